@@ -0,0 +1,161 @@
+/**
+ * Airport Profiles for Babelfish Looking Glass
+ *
+ * Built-in profiles keyed by ICAO code. An AirportConnector is created per
+ * profile; extra or overriding profiles can be supplied through
+ * config.airports.profiles or a JSON file at AIRPORT_PROFILES_PATH.
+ *
+ * Units: positions in decimal degrees, distances and elevations in metres,
+ * ATZ height in feet above the aerodrome. Stand polygons are approximate and
+ * should be refined from the AIP aerodrome chart before relying on them.
+ */
+
+const airports = {
+  EGPK: {
+    icao: 'EGPK',
+    name: 'Prestwick Airport',
+    latitude: 55.5094,
+    longitude: -4.5867,
+    elevation: 20,
+    timeZone: 'Europe/London',
+    approachRadius: 50000,
+    runwayThreshold: 5000,
+    groundRadius: 5000,
+    atz: { radius: 4630, height: 2000 },
+    // Keep the source and event names the Prestwick rules already match on
+    source: 'prestwick-airport',
+    eventPrefix: 'prestwick',
+    runways: {
+      '12': {
+        heading: 120,
+        length: 2987,
+        elevation: 20,
+        threshold: { latitude: 55.5161, longitude: -4.6155 }
+      },
+      '30': {
+        heading: 300,
+        length: 2987,
+        elevation: 13,
+        threshold: { latitude: 55.5027, longitude: -4.5745 }
+      }
+    },
+    stands: [
+      {
+        id: 'terminal',
+        name: 'Terminal Apron',
+        type: 'terminal',
+        polygon: [
+          { lat: 55.5102, lon: -4.5895 },
+          { lat: 55.5102, lon: -4.5845 },
+          { lat: 55.5082, lon: -4.5845 },
+          { lat: 55.5082, lon: -4.5895 }
+        ]
+      },
+      {
+        id: 'maintenance',
+        name: 'Maintenance Apron',
+        type: 'maintenance_area',
+        polygon: [
+          { lat: 55.5100, lon: -4.6110 },
+          { lat: 55.5100, lon: -4.6050 },
+          { lat: 55.5075, lon: -4.6050 },
+          { lat: 55.5075, lon: -4.6110 }
+        ]
+      }
+    ],
+    notam: {
+      searchRadius: 50,
+      keywords: ['prestwick', 'egpk']
+    }
+  },
+
+  EGPF: {
+    icao: 'EGPF',
+    name: 'Glasgow Airport',
+    latitude: 55.8719,
+    longitude: -4.4331,
+    elevation: 8,
+    timeZone: 'Europe/London',
+    approachRadius: 50000,
+    runwayThreshold: 5000,
+    groundRadius: 4000,
+    atz: { radius: 4630, height: 2000 },
+    runways: {
+      '05': {
+        heading: 52,
+        length: 2665,
+        elevation: 8,
+        threshold: { latitude: 55.8642, longitude: -4.4519 }
+      },
+      '23': {
+        heading: 232,
+        length: 2665,
+        elevation: 8,
+        threshold: { latitude: 55.8789, longitude: -4.4183 }
+      }
+    },
+    stands: [
+      {
+        id: 'terminal',
+        name: 'Main Terminal Apron',
+        type: 'terminal',
+        polygon: [
+          { lat: 55.8715, lon: -4.4380 },
+          { lat: 55.8715, lon: -4.4290 },
+          { lat: 55.8690, lon: -4.4290 },
+          { lat: 55.8690, lon: -4.4380 }
+        ]
+      }
+    ],
+    notam: {
+      searchRadius: 50,
+      keywords: ['glasgow', 'egpf']
+    }
+  },
+
+  EGPH: {
+    icao: 'EGPH',
+    name: 'Edinburgh Airport',
+    latitude: 55.9500,
+    longitude: -3.3725,
+    elevation: 41,
+    timeZone: 'Europe/London',
+    approachRadius: 50000,
+    runwayThreshold: 5000,
+    groundRadius: 4000,
+    atz: { radius: 4630, height: 2000 },
+    runways: {
+      '06': {
+        heading: 61,
+        length: 2556,
+        elevation: 41,
+        threshold: { latitude: 55.9441, longitude: -3.3957 }
+      },
+      '24': {
+        heading: 241,
+        length: 2556,
+        elevation: 34,
+        threshold: { latitude: 55.9552, longitude: -3.3598 }
+      }
+    },
+    stands: [
+      {
+        id: 'terminal',
+        name: 'Terminal Apron',
+        type: 'terminal',
+        polygon: [
+          { lat: 55.9500, lon: -3.3660 },
+          { lat: 55.9500, lon: -3.3590 },
+          { lat: 55.9470, lon: -3.3590 },
+          { lat: 55.9470, lon: -3.3660 }
+        ]
+      }
+    ],
+    notam: {
+      searchRadius: 50,
+      keywords: ['edinburgh', 'egph']
+    }
+  }
+};
+
+module.exports = airports;
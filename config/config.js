@@ -1,5 +1,24 @@
 require('dotenv').config();
 
+/**
+ * JSON list from an environment variable; malformed values fall back to []
+ */
+function parseJSONListEnv(name) {
+  if (!process.env[name]) {
+    return [];
+  }
+  try {
+    const value = JSON.parse(process.env[name]);
+    if (Array.isArray(value)) {
+      return value;
+    }
+    console.warn(`${name} must be a JSON array; ignoring it`);
+  } catch (error) {
+    console.warn(`${name} is not valid JSON; ignoring it: ${error.message}`);
+  }
+  return [];
+}
+
 const config = {
   // Server Configuration
   server: {
@@ -163,6 +182,157 @@ const config = {
     }
   },
 
+  // Event Store Configuration (durable EventBus history)
+  eventStore: {
+    enabled: process.env.EVENT_STORE_ENABLED !== 'false',
+    retentionDays: parseInt(process.env.EVENT_STORE_RETENTION_DAYS) || 30,
+    batchSize: parseInt(process.env.EVENT_STORE_BATCH_SIZE) || 100,
+    flushInterval: parseInt(process.env.EVENT_STORE_FLUSH_INTERVAL) || 1000,
+    maxQueryLimit: parseInt(process.env.EVENT_STORE_MAX_QUERY_LIMIT) || 10000
+  },
+
+  // Rule Engine Configuration
+  rules: {
+    conditions: {
+      // Named locations usable in within() geofence expressions
+      locations: {
+        EGPK: { lat: 55.5094, lon: -4.5867 }
+      }
+    },
+    patterns: {
+      sweepInterval: parseInt(process.env.RULE_PATTERN_SWEEP_INTERVAL) || 1000,
+      maxKeysPerRule: parseInt(process.env.RULE_PATTERN_MAX_KEYS) || 10000
+    }
+  },
+
+  // Multi-source ADS-B fusion
+  fusion: {
+    // Lower priority wins; maxAge is how long a source's data stays usable
+    sources: {
+      'adsb-main': { priority: 1, maxAge: 30000 },
+      'airplaneslive-main': { priority: 2, maxAge: 60000 },
+      'adsbfi-main': { priority: 3, maxAge: parseInt(process.env.FUSION_ADSBFI_MAX_AGE) || 360000 }
+    },
+    preferFresherBy: parseInt(process.env.FUSION_PREFER_FRESHER_BY) || 10000,
+    position: {
+      maxAge: parseInt(process.env.FUSION_POSITION_MAX_AGE) || 30000,
+      minNic: 0,
+      maxImpliedSpeed: 1500,
+      toleranceNm: 1
+    },
+    sweepInterval: 5000
+  },
+
+  // Conflict probe (loss of separation between tracked aircraft)
+  conflictProbe: {
+    enabled: process.env.CONFLICT_PROBE_ENABLED !== 'false',
+    lookahead: parseInt(process.env.CONFLICT_PROBE_LOOKAHEAD) || 120, // seconds
+    step: 5,
+    interval: 5000,
+    minAltitude: 300,
+    maxAge: 30000,
+    // Lateral NM / vertical ft by airspace type; first matching type wins
+    minima: {
+      ATZ: { lateral: 1, vertical: 500 },
+      CTR: { lateral: 3, vertical: 1000 },
+      CTA: { lateral: 3, vertical: 1000 },
+      TMA: { lateral: 3, vertical: 1000 },
+      default: { lateral: 5, vertical: 1000 }
+    }
+  },
+
+  // Aircraft entering NOTAM volumes in force (restricted areas, drones, parachuting, displays)
+  notamInfringement: {
+    enabled: process.env.NOTAM_INFRINGEMENT_ENABLED !== 'false',
+    interval: 5000,
+    maxAge: 30000,
+    // Q-code subjects checked: groups (R airspace restrictions, W navigation warnings) or codes (WU)
+    subjects: ['R', 'W'],
+    // Ground elevation (ft AMSL) for AGL limits, e.g. 65 at Prestwick
+    groundElevationFt: parseInt(process.env.NOTAM_GROUND_ELEVATION_FT) || 0,
+    // NOTAMs without item E geometry fall back to the Q-line circle; skip it from this radius (NM)
+    maxQLineRadiusNm: 100,
+    highlight: true
+  },
+
+  // Inbound ETA prediction and arrivals board (Prestwick)
+  arrivals: {
+    enabled: process.env.ARRIVALS_ENABLED !== 'false',
+    leadTime: parseInt(process.env.ARRIVALS_LEAD_MINUTES) || 5, // minutes before ETA for arrival:imminent
+    interval: 5000,
+    maxDistance: 60, // NM
+    maxEta: 3600, // seconds
+    inboundTolerance: 60,
+    approachSpeed: 140,
+    maxAge: 30000
+  },
+
+  // Slew-to-cue: steer PTZ cameras at aircraft
+  slewToCue: {
+    enabled: process.env.SLEW_TO_CUE_ENABLED !== 'false',
+    interval: 1000,
+    lead: 1, // seconds ahead of the last position
+    deadband: 0.5, // degrees
+    cueEvents: ['landing:detected', 'taxi:movement', 'ground:movement'],
+    cueHold: 120000,
+    // e.g. [{ id: 'apron-ptz', driver: 'hikvision', connectorId: 'hikvision-main', channelId: 1,
+    //         latitude: 55.5085, longitude: -4.5870, elevation: 20, height: 12, panOffset: 0,
+    //         fov: { wide: 60, narrow: 2 }, auto: true }]
+    cameras: parseJSONListEnv('SLEW_TO_CUE_CAMERAS')
+  },
+
+  // Camera field of view cones and coverage queries
+  cameraCoverage: {
+    enabled: process.env.CAMERA_COVERAGE_ENABLED !== 'false',
+    defaultFov: 90, // degrees, for cameras with a heading but no fov
+    defaultRange: 100, // metres
+    coneSegments: 16,
+    snapshotConnectorId: process.env.CAMERA_COVERAGE_SNAPSHOT_CONNECTOR || 'unifi-protect-main'
+  },
+
+  // Evidence clips and snapshots exported around alarms
+  evidence: {
+    enabled: process.env.EVIDENCE_ENABLED !== 'false',
+    directory: process.env.EVIDENCE_DIRECTORY || undefined, // default data/evidence
+    connectorId: 'unifi-protect-main',
+    preRoll: parseInt(process.env.EVIDENCE_PRE_ROLL) || 10, // seconds
+    postRoll: parseInt(process.env.EVIDENCE_POST_ROLL) || 20, // seconds
+    maxRoll: parseInt(process.env.EVIDENCE_MAX_ROLL) || 600, // seconds, longest pre/post-roll
+    maxAhead: 300, // seconds a capture's timestamp may be in the future
+    exportDelay: 5, // seconds after the window before exporting
+    snapshotCount: 3,
+    maxCameras: 4,
+    // Days kept, by alarm severity
+    retention: {
+      default: parseInt(process.env.EVIDENCE_RETENTION_DAYS) || 30,
+      high: 60,
+      critical: 90
+    }
+  },
+
+  // ANPR plate watchlists
+  watchlists: {
+    enabled: process.env.WATCHLISTS_ENABLED !== 'false',
+    maxDistance: 1, // edit distance accepted as a fuzzy match
+    minFuzzyLength: 5,
+    dedupeWindow: 10000, // ms within which the same plate at the same camera counts once
+    actionCooldown: 300000, // ms between actions for the same plate on a list
+    telegramConnectorId: 'telegram-bot-main',
+    mqttConnectorId: 'mqtt-broker-main',
+    displayConnectorId: 'display-manager-main',
+    mqttTopic: 'babelfish/anpr/watchlist'
+  },
+
+  // Radar track playback (time-machine mode)
+  playback: {
+    maxRangeHours: parseInt(process.env.PLAYBACK_MAX_RANGE_HOURS) || 24,
+    maxPositions: parseInt(process.env.PLAYBACK_MAX_POSITIONS) || 200000,
+    maxSessions: parseInt(process.env.PLAYBACK_MAX_SESSIONS) || 5,
+    staleAfter: 60000,
+    trailLength: 20,
+    sessionTimeout: 1800000
+  },
+
   // Entity Management Configuration
   entities: {
     enabled: process.env.ENTITIES_ENABLED !== 'false',
@@ -201,6 +371,22 @@ const config = {
     }
   },
 
+  // Airport Profiles Configuration (built-in profiles live in config/airports.js)
+  airports: {
+    profilesPath: process.env.AIRPORT_PROFILES_PATH || null,
+    profiles: {},
+    // ICAO codes to monitor with an airport connector each (EGPK is covered by prestwick-airport-main)
+    monitor: (process.env.AIRPORT_MONITOR || '').split(',').map(icao => icao.trim().toUpperCase()).filter(Boolean)
+  },
+
+  // Airport movements log (landings, takeoffs, go-arounds, touch-and-gos)
+  movementLog: {
+    enabled: process.env.MOVEMENT_LOG_ENABLED !== 'false',
+    dedupeWindow: 300000, // ignore a repeat of the same movement within 5 minutes
+    timeZone: process.env.MOVEMENT_LOG_TIME_ZONE || 'Europe/London',
+    maxResults: 10000
+  },
+
   // Airport Vector Service Configuration
   airportVector: {
     enabled: process.env.AIRPORT_VECTOR_ENABLED !== 'false',
@@ -230,6 +416,8 @@ const config = {
     airspaceDataPath: process.env.AIRSPACE_DATA_PATH || './aviationdata/OUT_UK_Airspace',
     enableAirspaceAwareness: process.env.AIRSPACE_AWARENESS_ENABLED !== 'false',
     airspaceTypes: process.env.AIRSPACE_TYPES?.split(',') || ['FA', 'ATZ', 'CTA', 'CTR', 'DA', 'FIR', 'LARS', 'MIL'],
+    // Extra OpenAir (.openair/.air/.txt) or GeoJSON files and directories, e.g. other countries' airspace
+    airspaceFiles: process.env.AIRSPACE_FILES?.split(',').filter(Boolean) || [],
     logLevel: process.env.AIRSPACE_LOG_LEVEL || 'info',
     display: {
       defaultColor: process.env.AIRSPACE_DEFAULT_COLOR || '#ff0000',
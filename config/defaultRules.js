@@ -466,6 +466,128 @@ const defaultRules = [
     }
   },
 
+  // ADSB Conflict Alert Rule
+  {
+    id: 'adsb-conflict-alert-rule',
+    name: 'ADSB Conflict Alert',
+    description: 'Alert on predicted or actual loss of separation between aircraft',
+    conditions: {
+      eventType: 'adsb:conflict',
+      source: 'conflict-probe'
+    },
+    actions: [
+      {
+        type: 'send_notification',
+        parameters: {
+          message: '⚠️ <b>SEPARATION CONFLICT</b> ({{data.status}})\n\n✈️ <b>Aircraft:</b> {{data.aircraftA.callsign}} ({{data.aircraftA.icao24}}) / {{data.aircraftB.callsign}} ({{data.aircraftB.icao24}})\n⏱️ <b>Time to conflict:</b> {{data.timeToConflict}}s\n📏 <b>Separation:</b> {{data.separation.lateral}} NM / {{data.separation.vertical}} ft\n📐 <b>Minima:</b> {{data.minima.lateral}} NM / {{data.minima.vertical}} ft\n🕐 <b>Time:</b> {{timestamp}}',
+          priority: 'high',
+          channels: ['telegram'],
+          parseMode: 'HTML'
+        }
+      },
+      {
+        type: 'log_event',
+        parameters: {
+          level: 'warn',
+          message: 'Aircraft separation conflict',
+          data: {
+            rule: 'adsb-conflict-alert-rule',
+            aircraftA: '{{data.aircraftA.icao24}}',
+            aircraftB: '{{data.aircraftB.icao24}}',
+            severity: '{{data.severity}}',
+            timeToConflict: '{{data.timeToConflict}}'
+          }
+        }
+      }
+    ],
+    metadata: {
+      enabled: true,
+      category: 'adsb',
+      priority: 3
+    }
+  },
+
+  // NOTAM Infringement Alert Rule
+  {
+    id: 'notam-infringement-alert-rule',
+    name: 'NOTAM Infringement Alert',
+    description: 'Alert when an aircraft enters the volume of a NOTAM in force',
+    conditions: {
+      eventType: 'notam:infringement',
+      source: 'notam-infringement'
+    },
+    actions: [
+      {
+        type: 'send_notification',
+        parameters: {
+          message: '⛔ <b>NOTAM INFRINGEMENT</b>\n\n✈️ <b>Aircraft:</b> {{data.aircraft.callsign}} ({{data.aircraft.icao24}}) at {{data.aircraft.altitude}} ft\n📋 <b>NOTAM:</b> {{data.notamNumber}} {{data.subject}}\n📐 <b>Limits:</b> {{data.limits.lowerFt}}-{{data.limits.upperFt}} ft\n📏 <b>Penetration:</b> {{data.penetration.lateralNm}} NM / {{data.penetration.verticalFt}} ft\n🕐 <b>Time:</b> {{timestamp}}',
+          priority: 'high',
+          channels: ['telegram'],
+          parseMode: 'HTML'
+        }
+      },
+      {
+        type: 'log_event',
+        parameters: {
+          level: 'warn',
+          message: 'Aircraft inside NOTAM volume',
+          data: {
+            rule: 'notam-infringement-alert-rule',
+            aircraft: '{{data.aircraft.icao24}}',
+            notam: '{{data.notamNumber}}',
+            lateralNm: '{{data.penetration.lateralNm}}',
+            verticalFt: '{{data.penetration.verticalFt}}'
+          }
+        }
+      }
+    ],
+    metadata: {
+      enabled: true,
+      category: 'notam',
+      priority: 3
+    }
+  },
+
+  // Prestwick Arrival Imminent Rule
+  {
+    id: 'prestwick-arrival-imminent-rule',
+    name: 'Prestwick Arrival Imminent',
+    description: 'Alert a few minutes before an inbound aircraft is expected to land so cameras and renders can be prepared',
+    conditions: {
+      eventType: 'arrival:imminent',
+      source: 'arrival-prediction'
+    },
+    actions: [
+      {
+        type: 'send_notification',
+        parameters: {
+          message: '🛬 <b>ARRIVAL IMMINENT</b> - {{data.airport}}\n\n✈️ <b>Aircraft:</b> {{data.callsign}} ({{data.icao24}})\n🛣️ <b>Runway:</b> {{data.runway}}\n⏱️ <b>ETA:</b> {{data.eta}} ({{data.etaSeconds}}s)\n📏 <b>Distance:</b> {{data.distance}} NM\n📊 <b>Confidence:</b> {{data.confidence}}',
+          priority: 'medium',
+          channels: ['telegram'],
+          parseMode: 'HTML'
+        }
+      },
+      {
+        type: 'log_event',
+        parameters: {
+          level: 'info',
+          message: 'Arrival imminent',
+          data: {
+            rule: 'prestwick-arrival-imminent-rule',
+            icao24: '{{data.icao24}}',
+            runway: '{{data.runway}}',
+            eta: '{{data.eta}}'
+          }
+        }
+      }
+    ],
+    metadata: {
+      enabled: true,
+      category: 'aviation',
+      priority: 2
+    }
+  },
+
   // ADSB Airspace Entry Rule (CHANGED TO TELEGRAM)
   {
     id: 'adsb-airspace-entry-rule',
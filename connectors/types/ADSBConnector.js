@@ -2,8 +2,46 @@ const BaseConnector = require('../BaseConnector');
 const axios = require('axios');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const net = require('net');
 const SquawkCodeService = require('../../services/squawkCodeService');
 const AircraftDataService = require('../../services/aircraftDataService');
+const SBSParser = require('../../services/sbsParser');
+const ModeSDecoder = require('../../services/modeSDecoder');
+const FlightPhaseService = require('../../services/flightPhaseService');
+const airportProfiles = require('../../config/airports');
+
+const FEET_PER_METER = 3.28084;
+
+// Default TCP ports for streaming inputs
+const STREAM_PORTS = { sbs: 30003, beast: 30005, avr: 30002 };
+
+// Flight phase detections and the event types they are published as
+const FLIGHT_PHASE_EVENTS = {
+  go_around: 'go_around:detected',
+  touch_and_go: 'touch_and_go:detected',
+  circuit: 'circuit:detected',
+  'holding:entered': 'holding_pattern:entered',
+  'holding:exited': 'holding_pattern:exited'
+};
+
+/**
+ * Ray-casting point in polygon; vertices may be {lat, lon} or [lat, lon]
+ */
+function pointInPolygon(point, polygon) {
+  const vertices = (polygon || []).map(vertex => Array.isArray(vertex) ? { lat: vertex[0], lon: vertex[1] } : vertex);
+  let inside = false;
+
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+        point.lon < (b.lon - a.lon) * (point.lat - a.lat) / (b.lat - a.lat) + a.lon) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
 
 /**
  * ADSB Connector for dump1090 with BaseStation.sqb integration, Airspace Awareness, and Squawk Code Analysis
@@ -65,6 +103,14 @@ class ADSBConnector extends BaseConnector {
     this.baseStationDbPath = connectorConfig.baseStationDbPath || './aviationdata/BaseStation.sqb';
     this.enableAirspaceAwareness = connectorConfig.enableAirspaceAwareness !== false;
     
+    // Input mode: 'json' polls aircraft.json, 'sbs', 'beast' and 'avr' stream over TCP
+    this.inputMode = connectorConfig.input || 'json';
+    this.streamHost = connectorConfig.host || 'localhost';
+    this.streamPort = connectorConfig.port || STREAM_PORTS[this.inputMode];
+    this.reconnectInterval = connectorConfig.reconnectInterval || 5000;
+    this.streamAircraftTimeout = connectorConfig.aircraftTimeout || 60000;
+    this.streamQueueLimit = connectorConfig.streamQueueLimit || 2000;
+    
     // Radar configuration
     this.radarConfig = {
       range: connectorConfig.radarRange || 50,
@@ -103,6 +149,27 @@ class ADSBConnector extends BaseConnector {
     this.activeRunway = null;
     this.aircraftRegistry = new Map(); // Initialize aircraft registry
     this.baseStationDb = null; // Initialize BaseStation database reference
+    this.zones = new Map();
+    
+    // Spatial helpers used by zone checks and filters
+    this.spatialUtils = {
+      calculateDistance: (lat1, lon1, lat2, lon2) => this.calculateDistance(lat1, lon1, lat2, lon2),
+      pointInPolygon: (point, polygon) => pointInPolygon(point, polygon)
+    };
+    
+    // Streaming input state
+    this.streamSocket = null;
+    this.streamBuffer = '';
+    this.streamQueue = Promise.resolve(); // settles once queued updates are applied
+    this.streamPending = new Map(); // icao24 -> update waiting to be applied, merged with later ones
+    this.streamDraining = false;
+    this.streamSweepDue = false;
+    this.streamPaused = false;
+    this.streamSweepTimer = null;
+    this.streamReconnectTimer = null;
+    this.isStreaming = false;
+    this.streamAircraft = new Map(); // icao24 -> merged raw record in aircraft.json shape
+    this.modeSDecoder = new ModeSDecoder();
     
     // Event tracking
     this.lastEventTime = new Map();
@@ -141,7 +208,15 @@ class ADSBConnector extends BaseConnector {
       squawkCodeQueries: 0,
       baseStationCacheHits: 0,
       baseStationQueries: 0,
-      flightStarts: 0
+      flightStarts: 0,
+      zoneViolations: 0,
+      streamMessages: 0,
+      streamBytes: 0,
+      streamReconnects: 0,
+      streamCoalesced: 0,
+      streamDropped: 0,
+      streamPauses: 0,
+      flightPhaseEvents: 0
     };
     
     // Event storage
@@ -158,6 +233,12 @@ class ADSBConnector extends BaseConnector {
     // Ground event detection
     this.enableGroundEventDetection = config.enableGroundEventDetection !== false;
     
+    // Go-around, touch-and-go, circuit and holding detection
+    this.enableFlightPhaseDetection = connectorConfig.enableFlightPhaseDetection !== false;
+    this.flightPhaseService = new FlightPhaseService(connectorConfig.flightPhase || {}, this.logger);
+    // ICAO -> { source, handlers } for airports whose airport connector runs the detection
+    this.flightPhaseSources = new Map();
+    
     // Squawk code analysis
     this.enableSquawkCodeAnalysis = config.enableSquawkCodeAnalysis !== false;
     this.squawkCodeService = null;
@@ -557,6 +638,126 @@ class ADSBConnector extends BaseConnector {
     });
   }
 
+  /**
+   * Feed the flight phase state machine with the nearest airport and runway
+   */
+  updateFlightPhase(aircraft, now = Date.now()) {
+    const airport = this.determineAirport(aircraft);
+    if (!airport || this.flightPhaseSources.has(airport.icao)) {
+      return [];
+    }
+    // Profile elevations are in metres
+    const profile = airportProfiles[airport.icao];
+    const fieldElevation = profile ? profile.elevation * FEET_PER_METER : airport.elevation || 0;
+
+    const onGround = aircraft.altitude === 'ground';
+    const runway = this.determineRunway({ ...aircraft, heading: aircraft.track }, airport);
+
+    return this.flightPhaseService.update({
+      icao24: aircraft.icao24,
+      callsign: aircraft.callsign,
+      registration: aircraft.registration,
+      latitude: aircraft.lat,
+      longitude: aircraft.lon,
+      altitude: onGround ? 0 : aircraft.altitude,
+      speed: aircraft.speed,
+      heading: aircraft.track,
+      verticalRate: aircraft.vertical_rate,
+      onGround,
+      timestamp: now
+    }, {
+      airport: { icao: airport.icao, latitude: airport.lat, longitude: airport.lon },
+      fieldElevation,
+      runway: runway ? { id: runway.id, heading: runway.heading } : null,
+      airspaces: this.aircraftAirspaceContext.get(aircraft.icao24)?.current || []
+    });
+  }
+
+  /**
+   * Publish an airport's own flight phase detections instead of detecting there
+   */
+  attachFlightPhaseSource(icao, source) {
+    this.detachFlightPhaseSource(icao);
+
+    const handlers = {};
+    for (const type of FlightPhaseService.EVENT_TYPES) {
+      handlers[type] = (phaseEvent) => {
+        const aircraft = this.aircraft.get(phaseEvent.icao24) || {
+          icao24: phaseEvent.icao24,
+          callsign: phaseEvent.callsign,
+          registration: phaseEvent.registration,
+          lat: phaseEvent.position.latitude,
+          lon: phaseEvent.position.longitude,
+          altitude: phaseEvent.position.altitude
+        };
+        this.generateFlightPhaseEvent(aircraft, phaseEvent);
+      };
+      source.on(type, handlers[type]);
+    }
+
+    this.flightPhaseSources.set(icao, { source, handlers });
+    this.logger.info(`Flight phases at ${icao} taken from its airport connector`);
+  }
+
+  detachFlightPhaseSource(icao) {
+    const attached = this.flightPhaseSources.get(icao);
+    if (!attached) return;
+
+    for (const [type, handler] of Object.entries(attached.handlers)) {
+      attached.source.removeListener(type, handler);
+    }
+    this.flightPhaseSources.delete(icao);
+  }
+
+  /**
+   * Generate go-around, touch-and-go, circuit or holding event
+   */
+  generateFlightPhaseEvent(aircraft, phaseEvent) {
+    const type = FLIGHT_PHASE_EVENTS[phaseEvent.type];
+    const event = {
+      id: `${phaseEvent.type.replace(':', '_')}_${aircraft.icao24}_${Date.now()}`,
+      timestamp: new Date(),
+      type,
+      aircraft: aircraft,
+      airspace: null,
+      metadata: {
+        eventType: phaseEvent.type,
+        airport: phaseEvent.airport,
+        runway: phaseEvent.runway,
+        phase: phaseEvent.phase,
+        confidence: phaseEvent.confidence,
+        position: phaseEvent.position,
+        ...phaseEvent.details
+      }
+    };
+    
+    this.events.push(event);
+    this.performance.flightPhaseEvents++;
+    this.emit(type, event);
+    
+    // Publish to event bus for rule processing
+    if (this.eventBus) {
+      this.eventBus.publishEvent({
+        type,
+        source: this.id,
+        timestamp: new Date().toISOString(),
+        data: {
+          aircraft: aircraft,
+          metadata: event.metadata
+        }
+      }).catch(error => {
+        this.logger.debug('Failed to publish flight phase event to event bus', { error: error.message });
+      });
+    }
+    
+    this.logger.info(`Flight phase event: ${type}`, {
+      aircraft: aircraft.icao24,
+      airport: phaseEvent.airport,
+      runway: phaseEvent.runway,
+      confidence: phaseEvent.confidence
+    });
+  }
+
   /**
    * Generate ground movement event
    */
@@ -1438,6 +1639,10 @@ class ADSBConnector extends BaseConnector {
    * Connect to dump1090
    */
   async performConnect() {
+    if (this.inputMode !== 'json') {
+      return this.connectStreamInput();
+    }
+    
     try {
       this.logger.info('Connecting to dump1090...', { url: this.url });
       
@@ -1447,21 +1652,7 @@ class ADSBConnector extends BaseConnector {
       if (response.status === 200) {
         this.logger.info('Successfully connected to dump1090');
         
-        // Initialize BaseStation database if enabled
-        if (this.enableBaseStationIntegration) {
-          await this.initializeBaseStationDatabase();
-        }
-        
-        // Initialize aircraft data service if available
-        if (this.enableAircraftDataService && this.aircraftDataService) {
-          try {
-            await this.aircraftDataService.initialize();
-            this.logger.info('Aircraft data service initialized successfully');
-          } catch (error) {
-            this.logger.warn('Failed to initialize aircraft data service', { error: error.message });
-            this.enableAircraftDataService = false;
-          }
-        }
+        await this.initializeDataSources();
         
         this.startPolling();
         return true;
@@ -1474,6 +1665,368 @@ class ADSBConnector extends BaseConnector {
     }
   }
 
+  /**
+   * Initialize BaseStation database and aircraft data service
+   */
+  async initializeDataSources() {
+    // Initialize BaseStation database if enabled
+    if (this.enableBaseStationIntegration) {
+      await this.initializeBaseStationDatabase();
+    }
+    
+    // Initialize aircraft data service if available
+    if (this.enableAircraftDataService && this.aircraftDataService) {
+      try {
+        await this.aircraftDataService.initialize();
+        this.logger.info('Aircraft data service initialized successfully');
+      } catch (error) {
+        this.logger.warn('Failed to initialize aircraft data service', { error: error.message });
+        this.enableAircraftDataService = false;
+      }
+    }
+  }
+
+  /**
+   * Connect to a Mode-S receiver's SBS, Beast or AVR TCP output
+   */
+  async connectStreamInput() {
+    if (!STREAM_PORTS[this.inputMode]) {
+      throw new Error(`Unsupported ADSB input: ${this.inputMode}`);
+    }
+    
+    try {
+      this.logger.info('Connecting to Mode-S receiver...', {
+        input: this.inputMode,
+        host: this.streamHost,
+        port: this.streamPort
+      });
+      
+      await this.initializeDataSources();
+      
+      this.isStreaming = true;
+      await this.openStream();
+      
+      // Disappearances, flight timeouts, zones and status on the poll interval
+      this.streamSweepTimer = setInterval(() => {
+        this.streamSweepDue = true;
+        this.drainStreamQueue();
+      }, this.pollInterval);
+      
+      return true;
+    } catch (error) {
+      this.isStreaming = false;
+      this.logger.error('Failed to connect to Mode-S receiver', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open the TCP socket, resolving once connected
+   */
+  openStream() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.streamHost, port: this.streamPort });
+      let connected = false;
+      
+      socket.once('connect', () => {
+        connected = true;
+        this.streamSocket = socket;
+        this.streamBuffer = '';
+        this.streamPaused = false;
+        this.modeSDecoder.reset();
+        this.logger.info('Connected to Mode-S receiver', { input: this.inputMode, port: this.streamPort });
+        resolve();
+      });
+      
+      socket.on('data', chunk => this.handleStreamData(chunk));
+      
+      socket.on('error', error => {
+        if (!connected) {
+          reject(error);
+        } else {
+          this.logger.warn('Mode-S stream error', { error: error.message });
+        }
+      });
+      
+      socket.on('close', () => {
+        if (this.streamSocket === socket) {
+          this.streamSocket = null;
+        }
+        if (connected && this.isStreaming) {
+          this.logger.warn('Mode-S stream closed, reconnecting', { interval: this.reconnectInterval });
+          this.scheduleStreamReconnect();
+        }
+      });
+    });
+  }
+
+  /**
+   * Retry the stream connection until it succeeds or the connector disconnects
+   */
+  scheduleStreamReconnect() {
+    if (this.streamReconnectTimer || !this.isStreaming) {
+      return;
+    }
+    
+    this.streamReconnectTimer = setTimeout(async () => {
+      this.streamReconnectTimer = null;
+      if (!this.isStreaming) {
+        return;
+      }
+      
+      try {
+        this.performance.streamReconnects++;
+        await this.openStream();
+      } catch (error) {
+        this.logger.debug('Mode-S reconnect failed', { error: error.message });
+        this.scheduleStreamReconnect();
+      }
+    }, this.reconnectInterval);
+  }
+
+  /**
+   * Close the stream and stop its timers
+   */
+  stopStream() {
+    this.isStreaming = false;
+    
+    if (this.streamSweepTimer) {
+      clearInterval(this.streamSweepTimer);
+      this.streamSweepTimer = null;
+    }
+    if (this.streamReconnectTimer) {
+      clearTimeout(this.streamReconnectTimer);
+      this.streamReconnectTimer = null;
+    }
+    if (this.streamSocket) {
+      this.streamSocket.destroy();
+      this.streamSocket = null;
+    }
+    this.streamPending.clear();
+    this.streamSweepDue = false;
+    this.streamPaused = false;
+  }
+
+  /**
+   * Parse a chunk of stream data into updates and queue them in arrival order
+   */
+  handleStreamData(chunk) {
+    this.performance.streamBytes += chunk.length;
+    const updates = [];
+    
+    if (this.inputMode === 'beast') {
+      for (const frame of this.modeSDecoder.feedBeast(chunk)) {
+        updates.push(this.modeSDecoder.decode(frame));
+      }
+    } else {
+      this.streamBuffer += chunk.toString('latin1');
+      const lines = this.streamBuffer.split(/\r?\n/);
+      this.streamBuffer = lines.pop();
+      
+      // Guard against a peer that never sends newlines
+      if (this.streamBuffer.length > 65536) {
+        this.streamBuffer = '';
+      }
+      
+      for (const line of lines) {
+        if (this.inputMode === 'sbs') {
+          updates.push(SBSParser.parseLine(line));
+        } else {
+          const frame = this.modeSDecoder.parseAVR(line);
+          updates.push(frame ? this.modeSDecoder.decode(frame) : null);
+        }
+      }
+    }
+    
+    for (const update of updates) {
+      if (update) {
+        this.queueStreamUpdate(update);
+      }
+    }
+    
+    this.drainStreamQueue();
+  }
+
+  /**
+   * Queue an update, merging it into one already waiting for the same aircraft
+   *
+   * At most `streamQueueLimit` aircraft wait at once. When the queue is full
+   * the socket is paused until it drains to half, and updates for aircraft
+   * not already queued are dropped.
+   */
+  queueStreamUpdate(update) {
+    this.performance.streamMessages++;
+    
+    const pending = this.streamPending.get(update.icao24);
+    if (pending) {
+      for (const [key, value] of Object.entries(update)) {
+        if (value !== undefined) {
+          pending[key] = value;
+        }
+      }
+      pending.messages++;
+      this.performance.streamCoalesced++;
+    } else if (this.streamPending.size >= this.streamQueueLimit) {
+      this.performance.streamDropped++;
+    } else {
+      this.streamPending.set(update.icao24, { ...update, messages: 1 });
+    }
+    
+    if (this.streamPending.size >= this.streamQueueLimit && this.streamSocket && !this.streamPaused) {
+      this.streamSocket.pause();
+      this.streamPaused = true;
+      this.performance.streamPauses++;
+      this.logger.warn('Mode-S stream paused, update queue full', { queued: this.streamPending.size });
+    }
+  }
+
+  /**
+   * Apply queued updates and due sweeps one at a time, in order
+   */
+  drainStreamQueue() {
+    if (this.streamDraining) {
+      return this.streamQueue;
+    }
+    
+    this.streamDraining = true;
+    this.streamQueue = (async () => {
+      try {
+        while (this.streamSweepDue || this.streamPending.size > 0) {
+          if (this.streamSweepDue) {
+            this.streamSweepDue = false;
+            await this.sweepStreamAircraft().catch(error => this.logger.error('Failed to sweep stream aircraft', error));
+            continue;
+          }
+          
+          const [icao24, update] = this.streamPending.entries().next().value;
+          this.streamPending.delete(icao24);
+          
+          if (this.streamPaused && this.streamPending.size <= this.streamQueueLimit / 2) {
+            this.streamPaused = false;
+            if (this.streamSocket) {
+              this.streamSocket.resume();
+            }
+          }
+          
+          try {
+            await this.applyStreamUpdate(update);
+          } catch (error) {
+            this.performance.errorCount++;
+            this.logger.debug('Failed to apply stream update', { icao24, error: error.message });
+          }
+        }
+      } finally {
+        this.streamDraining = false;
+      }
+    })();
+    
+    return this.streamQueue;
+  }
+
+  /**
+   * Merge one stream message into the aircraft's record and process it like a polled aircraft
+   *
+   * `update.messages` counts the stream messages merged into the update.
+   * `seen` and `last_seen` come from the message time, not the time it was applied.
+   */
+  async applyStreamUpdate(update, now = Date.now()) {
+    const record = this.streamAircraft.get(update.icao24) || { hex: update.icao24, messages: 0 };
+    // A receiver clock far out from ours is ignored rather than expiring the aircraft
+    const heard = update.timestamp && now - update.timestamp < this.streamAircraftTimeout ? Math.min(update.timestamp, now) : now;
+    
+    // Surface reports are marked the way aircraft.json does, with alt_baro 'ground'
+    let altitude = update.altitude;
+    if (update.onGround === true) {
+      altitude = 'ground';
+    } else if (update.onGround === false && record.alt_baro === 'ground' && altitude === undefined) {
+      altitude = null;
+    }
+    
+    const fields = {
+      flight: update.callsign,
+      alt_baro: altitude,
+      gs: update.speed,
+      track: update.track,
+      baro_rate: update.verticalRate,
+      squawk: update.squawk,
+      lat: update.lat,
+      lon: update.lon,
+      rssi: update.rssi
+    };
+    
+    let changed = !this.streamAircraft.has(update.icao24);
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined && record[key] !== value) {
+        record[key] = value;
+        changed = true;
+      }
+    }
+    
+    record.messages += update.messages || 1;
+    record.seen = (now - heard) / 1000;
+    record.last_seen = heard;
+    this.streamAircraft.set(update.icao24, record);
+    
+    const existing = this.aircraft.get(update.icao24);
+    if (!changed && existing) {
+      existing.last_seen = heard;
+      existing.seen = record.seen;
+      existing.messages = record.messages;
+      return existing;
+    }
+    
+    return this.processAircraftRecord(record, now);
+  }
+
+  /**
+   * Drop silent aircraft and run the periodic checks the poll loop does
+   */
+  async sweepStreamAircraft(now = Date.now()) {
+    for (const [icao24, record] of this.streamAircraft.entries()) {
+      if (now - record.last_seen <= this.streamAircraftTimeout) continue;
+      
+      this.streamAircraft.delete(icao24);
+      const aircraft = this.aircraft.get(icao24);
+      if (aircraft) {
+        await this.handleAircraftDisappearance(aircraft);
+        this.aircraft.delete(icao24);
+      }
+    }
+    
+    this.modeSDecoder.prune(now);
+    
+    if (this.enableFlightTracking) {
+      this.checkFlightTimeouts();
+    }
+    
+    await this.checkZones();
+    this.broadcastAircraftData(Array.from(this.aircraft.values()));
+    
+    this.performance.aircraftCount = this.aircraft.size;
+    this.performance.lastPoll = new Date(now).toISOString();
+    
+    if (this.eventBus) {
+      this.eventBus.publishEvent({
+        type: 'adsb:status',
+        source: this.id,
+        timestamp: new Date(now).toISOString(),
+        data: {
+          aircraftCount: this.aircraft.size,
+          activeFlights: this.activeFlights.size,
+          input: this.inputMode,
+          connected: this.streamSocket !== null,
+          performance: this.performance,
+          metadata: {
+            eventType: 'adsb_status',
+            streamMessages: this.performance.streamMessages
+          }
+        }
+      }).catch(error => {
+        this.logger.debug('Failed to publish ADSB status event to event bus', { error: error.message });
+      });
+    }
+  }
+
   /**
    * Initialize BaseStation database connection
    */
@@ -1718,7 +2271,8 @@ class ADSBConnector extends BaseConnector {
    */
   async performDisconnect() {
     this.stopPolling();
-    this.logger.info('Disconnected from dump1090');
+    this.stopStream();
+    this.logger.info(this.inputMode === 'json' ? 'Disconnected from dump1090' : 'Disconnected from Mode-S receiver');
     return true;
   }
 
@@ -1820,205 +2374,226 @@ class ADSBConnector extends BaseConnector {
   async processAircraftData(data) {
     const now = Date.now();
     const newAircraft = new Map();
-    const currentIcao24s = new Set();
     
     // Process each aircraft
     if (data.aircraft && Array.isArray(data.aircraft)) {
       for (const aircraftData of data.aircraft) {
         if (!aircraftData.hex) continue;
         
-        const icao24 = aircraftData.hex.toUpperCase();
-        currentIcao24s.add(icao24);
-        
-        // Create aircraft object
-        const aircraft = {
-          icao24: icao24,
-          callsign: aircraftData.flight?.trim() || null,
-          lat: aircraftData.lat || null,
-          lon: aircraftData.lon || null,
-          altitude: aircraftData.alt_baro || aircraftData.alt_geom || null,
-          speed: aircraftData.gs || null,
-          track: aircraftData.track || null,
-          vertical_rate: aircraftData.baro_rate || null,
-          squawk: aircraftData.squawk || null,
-          emergency: aircraftData.squawk ? this.emergencyCodes.includes(aircraftData.squawk) : false,
-          timestamp: now,
-          last_seen: aircraftData.last_seen || now,
-          messages: aircraftData.messages || 0,
-          seen: aircraftData.seen || 0,
-          rssi: aircraftData.rssi || null
-        };
-        
-        // Enhance with BaseStation registration data if available
-        if (this.enableBaseStationIntegration) {
-          try {
-            const registrationData = await this.getAircraftRegistration(icao24);
-            if (registrationData) {
-              aircraft.registration = registrationData.registration;
-              aircraft.icaoTypeCode = registrationData.icaoTypeCode;
-              aircraft.type = registrationData.type;
-              aircraft.manufacturer = registrationData.manufacturer;
-              aircraft.operatorFlagCode = registrationData.operatorFlagCode;
-              aircraft.serialNo = registrationData.serialNo;
-              aircraft.yearBuilt = registrationData.yearBuilt;
-              aircraft.owner = registrationData.owner;
-              aircraft.operator = registrationData.operator;
-              
-              // Use registration as display name if callsign is not available
-              if (!aircraft.callsign && aircraft.registration) {
-                aircraft.displayName = aircraft.registration;
-              } else if (aircraft.callsign) {
-                aircraft.displayName = aircraft.callsign;
-              } else {
-                aircraft.displayName = aircraft.icao24;
-              }
-            } else {
-              // No registration data found
-              aircraft.displayName = aircraft.callsign || aircraft.icao24;
-            }
-          } catch (error) {
-            this.logger.debug('Failed to get registration data for aircraft', { 
-              icao24, 
-              error: error.message 
-            });
-            aircraft.displayName = aircraft.callsign || aircraft.icao24;
+        const aircraft = await this.processAircraftRecord(aircraftData, now);
+        newAircraft.set(aircraft.icao24, aircraft);
+      }
+    }
+    
+    // Check for disappeared aircraft
+    for (const [icao24, aircraft] of this.aircraft.entries()) {
+      if (!newAircraft.has(icao24)) {
+        await this.handleAircraftDisappearance(aircraft);
+        this.aircraft.delete(icao24);
+      }
+    }
+    
+    await this.checkZones();
+    
+    // Broadcast aircraft data to other connectors
+    this.broadcastAircraftData(Array.from(newAircraft.values()));
+  }
+
+  /**
+   * Process one aircraft record in aircraft.json shape (polled or merged from a stream)
+   */
+  async processAircraftRecord(aircraftData, now = Date.now()) {
+    const icao24 = aircraftData.hex.toUpperCase();
+    
+    // Create aircraft object
+    const aircraft = {
+      icao24: icao24,
+      callsign: aircraftData.flight?.trim() || null,
+      lat: aircraftData.lat || null,
+      lon: aircraftData.lon || null,
+      altitude: aircraftData.alt_baro || aircraftData.alt_geom || null,
+      speed: aircraftData.gs || null,
+      track: aircraftData.track || null,
+      vertical_rate: aircraftData.baro_rate || null,
+      squawk: aircraftData.squawk || null,
+      emergency: aircraftData.squawk ? this.emergencyCodes.includes(aircraftData.squawk) : false,
+      timestamp: now,
+      last_seen: aircraftData.last_seen || now,
+      messages: aircraftData.messages || 0,
+      seen: aircraftData.seen || 0,
+      rssi: aircraftData.rssi || null
+    };
+    
+    // Enhance with BaseStation registration data if available
+    if (this.enableBaseStationIntegration) {
+      try {
+        const registrationData = await this.getAircraftRegistration(icao24);
+        if (registrationData) {
+          aircraft.registration = registrationData.registration;
+          aircraft.icaoTypeCode = registrationData.icaoTypeCode;
+          aircraft.type = registrationData.type;
+          aircraft.manufacturer = registrationData.manufacturer;
+          aircraft.operatorFlagCode = registrationData.operatorFlagCode;
+          aircraft.serialNo = registrationData.serialNo;
+          aircraft.yearBuilt = registrationData.yearBuilt;
+          aircraft.owner = registrationData.owner;
+          aircraft.operator = registrationData.operator;
+          
+          // Use registration as display name if callsign is not available
+          if (!aircraft.callsign && aircraft.registration) {
+            aircraft.displayName = aircraft.registration;
+          } else if (aircraft.callsign) {
+            aircraft.displayName = aircraft.callsign;
+          } else {
+            aircraft.displayName = aircraft.icao24;
           }
         } else {
+          // No registration data found
           aircraft.displayName = aircraft.callsign || aircraft.icao24;
         }
+      } catch (error) {
+        this.logger.debug('Failed to get registration data for aircraft', { 
+          icao24, 
+          error: error.message 
+        });
+        aircraft.displayName = aircraft.callsign || aircraft.icao24;
+      }
+    } else {
+      aircraft.displayName = aircraft.callsign || aircraft.icao24;
+    }
+    
+    // Process airspace data if available
+    if (this.enableAirspaceAwareness && this.airspaceService && aircraft.lat && aircraft.lon) {
+      try {
+        this.performance.airspaceQueries++;
+        const airspaceUpdate = this.airspaceService.updateAircraftAirspace(aircraft);
         
-        // Process airspace data if available
-        if (this.enableAirspaceAwareness && this.airspaceService && aircraft.lat && aircraft.lon) {
-          try {
-            this.performance.airspaceQueries++;
-            const airspaceUpdate = this.airspaceService.updateAircraftAirspace(aircraft);
-            
-            // Add airspace context to aircraft
-            aircraft.airspace = airspaceUpdate.current;
-            aircraft.airspaceContext = this.generateAirspaceContext(airspaceUpdate.current);
-            
-            // Store airspace context for this aircraft
-            this.aircraftAirspaceContext.set(icao24, {
-              current: airspaceUpdate.current,
-              new: airspaceUpdate.new,
-              exited: airspaceUpdate.exited,
+        // Add airspace context to aircraft
+        aircraft.airspace = airspaceUpdate.current;
+        aircraft.airspaceContext = this.generateAirspaceContext(airspaceUpdate.current);
+        
+        // Store airspace context for this aircraft
+        this.aircraftAirspaceContext.set(icao24, {
+          current: airspaceUpdate.current,
+          new: airspaceUpdate.new,
+          exited: airspaceUpdate.exited,
+          timestamp: now
+        });
+        
+        // Process airspace events
+        if (airspaceUpdate.new && airspaceUpdate.new.length > 0) {
+          for (const airspace of airspaceUpdate.new) {
+            this.handleAirspaceEvent({
+              type: 'airspace:entry',
+              aircraft: aircraft,
+              airspace: airspace,
               timestamp: now
             });
-            
-            // Process airspace events
-            if (airspaceUpdate.new && airspaceUpdate.new.length > 0) {
-              for (const airspace of airspaceUpdate.new) {
-                this.handleAirspaceEvent({
-                  type: 'airspace:entry',
-                  aircraft: aircraft,
-                  airspace: airspace,
-                  timestamp: now
-                });
-              }
-            }
-            
-            if (airspaceUpdate.exited && airspaceUpdate.exited.length > 0) {
-              for (const airspace of airspaceUpdate.exited) {
-                this.handleAirspaceEvent({
-                  type: 'airspace:exit',
-                  aircraft: aircraft,
-                  airspace: airspace,
-                  timestamp: now
-                });
-              }
-            }
-          } catch (error) {
-            this.logger.debug('Failed to process airspace data for aircraft', { 
-              icao24, 
-              error: error.message,
-              airspaceServiceAvailable: !!this.airspaceService,
-              enableAirspaceAwareness: this.enableAirspaceAwareness
-            });
           }
         }
         
-        // Process ground events for aircraft on the ground
-        if (this.enableGroundEventDetection && aircraft.lat && aircraft.lon && aircraft.altitude) {
-          try {
-            // Check if aircraft is on ground and generate appropriate events
-            if (this.isAircraftOnGround(aircraft)) {
-              // Get current airspace context for the aircraft
-              const airspaceContext = this.aircraftAirspaceContext.get(icao24);
-              const currentAirspace = airspaceContext?.current?.[0] || null;
-              
-              // Generate ground movement event
-              this.generateGroundMovementEvent(aircraft, currentAirspace);
-              
-              // Generate helicopter specific events
-              if (this.isHelicopter(aircraft)) {
-                this.generateHelicopterEvent(aircraft, currentAirspace);
-              }
-              
-              // Generate taxi events
-              if (this.isAircraftTaxiing(aircraft)) {
-                this.generateTaxiEvent(aircraft, currentAirspace);
-              }
-              
-              // Generate parking events
-              if (this.isAircraftParked(aircraft)) {
-                this.generateParkingEvent(aircraft, currentAirspace);
-              }
-            }
-          } catch (error) {
-            this.logger.debug('Failed to process ground events for aircraft', { 
-              icao24, 
-              error: error.message 
+        if (airspaceUpdate.exited && airspaceUpdate.exited.length > 0) {
+          for (const airspace of airspaceUpdate.exited) {
+            this.handleAirspaceEvent({
+              type: 'airspace:exit',
+              aircraft: aircraft,
+              airspace: airspace,
+              timestamp: now
             });
           }
         }
-        
-        // Enhance with squawk code analysis if available
-        if (this.enableSquawkCodeAnalysis && this.squawkCodeService && aircraft.squawk) {
-          try {
-            this.performance.squawkCodeQueries++;
-            const squawkEvent = this.squawkCodeService.analyzeAircraftSquawk(aircraft);
-            
-            if (squawkEvent) {
-              aircraft.squawkAnalysis = squawkEvent;
-              
-              // Handle squawk code events
-              this.handleSquawkCodeEvent(squawkEvent);
-            }
-          } catch (error) {
-            this.logger.debug('Failed to analyze squawk code for aircraft', { 
-              icao24, 
-              error: error.message 
-            });
+      } catch (error) {
+        this.logger.debug('Failed to process airspace data for aircraft', { 
+          icao24, 
+          error: error.message,
+          airspaceServiceAvailable: !!this.airspaceService,
+          enableAirspaceAwareness: this.enableAirspaceAwareness
+        });
+      }
+    }
+    
+    // Process ground events for aircraft on the ground
+    if (this.enableGroundEventDetection && aircraft.lat && aircraft.lon && aircraft.altitude) {
+      try {
+        // Check if aircraft is on ground and generate appropriate events
+        if (this.isAircraftOnGround(aircraft)) {
+          // Get current airspace context for the aircraft
+          const airspaceContext = this.aircraftAirspaceContext.get(icao24);
+          const currentAirspace = airspaceContext?.current?.[0] || null;
+          
+          // Generate ground movement event
+          this.generateGroundMovementEvent(aircraft, currentAirspace);
+          
+          // Generate helicopter specific events
+          if (this.isHelicopter(aircraft)) {
+            this.generateHelicopterEvent(aircraft, currentAirspace);
+          }
+          
+          // Generate taxi events
+          if (this.isAircraftTaxiing(aircraft)) {
+            this.generateTaxiEvent(aircraft, currentAirspace);
+          }
+          
+          // Generate parking events
+          if (this.isAircraftParked(aircraft)) {
+            this.generateParkingEvent(aircraft, currentAirspace);
           }
         }
-        
-        // Store aircraft data
-        newAircraft.set(icao24, aircraft);
-        
-        // Check if this is a new aircraft
-        if (!this.aircraft.has(icao24)) {
-          this.handleAircraftAppearance(aircraft);
-        } else {
-          // Update existing aircraft
-          const oldAircraft = this.aircraft.get(icao24);
-          await this.handleAircraftUpdate(oldAircraft, aircraft);
+      } catch (error) {
+        this.logger.debug('Failed to process ground events for aircraft', { 
+          icao24, 
+          error: error.message 
+        });
+      }
+    }
+    
+    // Flight phase detection around the nearest airport
+    if (this.enableFlightPhaseDetection && aircraft.lat && aircraft.lon) {
+      try {
+        for (const phaseEvent of this.updateFlightPhase(aircraft, now)) {
+          this.generateFlightPhaseEvent(aircraft, phaseEvent);
         }
-        
-        // Update aircraft in main storage
-        this.aircraft.set(icao24, aircraft);
+      } catch (error) {
+        this.logger.debug('Failed to update flight phase for aircraft', { 
+          icao24, 
+          error: error.message 
+        });
       }
     }
     
-    // Check for disappeared aircraft
-    for (const [icao24, aircraft] of this.aircraft.entries()) {
-      if (!currentIcao24s.has(icao24)) {
-        await this.handleAircraftDisappearance(aircraft);
-        this.aircraft.delete(icao24);
+    // Enhance with squawk code analysis if available
+    if (this.enableSquawkCodeAnalysis && this.squawkCodeService && aircraft.squawk) {
+      try {
+        this.performance.squawkCodeQueries++;
+        const squawkEvent = this.squawkCodeService.analyzeAircraftSquawk(aircraft);
+        
+        if (squawkEvent) {
+          aircraft.squawkAnalysis = squawkEvent;
+          
+          // Handle squawk code events
+          this.handleSquawkCodeEvent(squawkEvent);
+        }
+      } catch (error) {
+        this.logger.debug('Failed to analyze squawk code for aircraft', { 
+          icao24, 
+          error: error.message 
+        });
       }
     }
     
-    // Broadcast aircraft data to other connectors
-    this.broadcastAircraftData(Array.from(newAircraft.values()));
+    // Check if this is a new aircraft
+    if (!this.aircraft.has(icao24)) {
+      this.handleAircraftAppearance(aircraft);
+    } else {
+      // Update existing aircraft
+      const oldAircraft = this.aircraft.get(icao24);
+      await this.handleAircraftUpdate(oldAircraft, aircraft);
+    }
+    
+    // Update aircraft in main storage
+    this.aircraft.set(icao24, aircraft);
+    
+    return aircraft;
   }
   
   /**
@@ -2029,7 +2604,8 @@ class ADSBConnector extends BaseConnector {
       // Find radar connector and send aircraft data
       if (this.connectorRegistry) {
         const radarConnector = this.connectorRegistry.getConnector('radar-main');
-        if (radarConnector && radarConnector.updateAircraftData) {
+        // A radar fed by the fusion service gets this data through it instead
+        if (radarConnector && radarConnector.updateAircraftData && !radarConnector.aircraftFusionService) {
           radarConnector.updateAircraftData(aircraftList);
         }
       }
@@ -2195,6 +2771,8 @@ class ADSBConnector extends BaseConnector {
    * Handle aircraft disappearance
    */
   async handleAircraftDisappearance(aircraft) {
+    this.flightPhaseService.remove(aircraft.icao24);
+    
     this.disappearances.push({
       ...aircraft,
       disappeared_at: new Date().toISOString()
@@ -2883,6 +3461,17 @@ class ADSBConnector extends BaseConnector {
         emergency: this.emergencyEvents ? this.emergencyEvents.length : 0,
         recent: this.events ? this.events.slice(-10) : []
       },
+      input: {
+        mode: this.inputMode,
+        host: this.inputMode === 'json' ? null : this.streamHost,
+        port: this.inputMode === 'json' ? null : this.streamPort,
+        connected: this.inputMode === 'json' ? this.isPolling === true : this.streamSocket !== null,
+        messages: this.performance ? this.performance.streamMessages : 0,
+        queued: this.streamPending.size,
+        coalesced: this.performance ? this.performance.streamCoalesced : 0,
+        dropped: this.performance ? this.performance.streamDropped : 0,
+        decoder: this.inputMode === 'json' ? null : this.modeSDecoder.getStats()
+      },
       baseStation: {
         enabled: this.enableBaseStationIntegration,
         connected: this.baseStationDb !== null,
@@ -3021,8 +3610,12 @@ class ADSBConnector extends BaseConnector {
   static validateConfig(config) {
     const errors = [];
     
-    if (!config.config?.url) {
+    const input = config.config?.input || 'json';
+    
+    if (input === 'json' && !config.config?.url) {
       errors.push('dump1090 URL is required');
+    } else if (input !== 'json' && !STREAM_PORTS[input]) {
+      errors.push('Input must be one of json, sbs, beast or avr');
     }
     
     if (config.config?.pollInterval && config.config.pollInterval < 1000) {
@@ -3060,7 +3653,11 @@ class ADSBConnector extends BaseConnector {
         'Registration data export'
       ],
       configuration: {
-        url: 'dump1090 URL (required)',
+        url: 'dump1090 aircraft.json URL (required for json input)',
+        input: 'Input mode: json (poll aircraft.json), sbs (port 30003), beast (port 30005) or avr (port 30002)',
+        host: 'Receiver host for streaming inputs (default: localhost)',
+        port: 'Receiver TCP port for streaming inputs (default depends on input)',
+        aircraftTimeout: 'Drop streamed aircraft after this many milliseconds of silence (default: 60000)',
         pollInterval: 'Polling interval in milliseconds (default: 5000)',
         emergencyCodes: 'Array of emergency squawk codes (default: ["7500", "7600", "7700"])',
         radarRange: 'Radar display range in nautical miles (default: 0.5)',
@@ -1,6 +1,12 @@
 const BaseConnector = require('../BaseConnector');
 const axios = require('axios');
 const https = require('https');
+const net = require('net');
+const APRSParser = require('../../services/aprsParser');
+
+const STREAM_PORTS = { 'aprs-is': 14580, kiss: 8001 };
+const TOCALL = 'APZBLG'; // Experimental software destination
+const MAX_MESSAGE_LENGTH = 67;
 
 /**
  * APRS Connector for aprs.fi API integration
@@ -8,6 +14,11 @@ const https = require('https');
  * Connects to aprs.fi API to fetch UK APRS data and provides real-time
  * visualization on the map system. Supports station tracking, weather data,
  * and message monitoring for amateur radio stations.
+ *
+ * Can instead stream raw packets from an APRS-IS server or a KISS-over-TCP
+ * TNC (such as Direwolf), decoded with APRSParser. With a verified APRS-IS
+ * login or a TNC it also sends messages, acks and object beacons, and can
+ * bridge messages to a Telegram chat.
  */
 class APRSConnector extends BaseConnector {
   constructor(config = {}) {
@@ -24,10 +35,58 @@ class APRSConnector extends BaseConnector {
       west: -8.6500
     };
     
+    // Input: 'api' polls aprs.fi, 'aprs-is' and 'kiss' stream raw packets over TCP
+    this.inputMode = this.config.input || 'api';
+    this.streamHost = this.config.host || (this.inputMode === 'kiss' ? 'localhost' : 'rotate.aprs2.net');
+    this.streamPort = this.config.port || STREAM_PORTS[this.inputMode];
+    this.callsign = (this.config.callsign || 'N0CALL').toUpperCase();
+    this.passcode = this.config.passcode !== undefined ? this.config.passcode : -1; // -1 logs in receive-only
+    this.filter = this.config.filter || this.getBoundsFilter();
+    this.reconnectInterval = this.config.reconnectInterval || 5000;
+    this.keepaliveTimeout = this.config.keepaliveTimeout || 120000; // APRS-IS sends a comment every 20 seconds
+    this.maxMessages = this.config.maxMessages || 500;
+    this.maxPackets = this.config.maxPackets || 200;
+    this.stationTimeout = this.config.stationTimeout || 3600000; // Streamed stations not heard within this are dropped
+    
     // Station tracking
     this.stations = new Map();
     this.weatherStations = new Map();
     this.messages = [];
+    this.packets = [];
+    this.stationStatus = new Map(); // callsign -> { status, receivedAt } of the latest status report
+    
+    // Streaming input state
+    this.streamSocket = null;
+    this.streamBuffer = '';
+    this.kissBuffer = Buffer.alloc(0);
+    this.streamQueue = Promise.resolve();
+    this.streamReconnectTimer = null;
+    this.sweepTimer = null;
+    this.isStreaming = false;
+    
+    // Transmit: messages, acks and object beacons
+    this.txPath = this.config.txPath || (this.inputMode === 'kiss' ? 'WIDE1-1,WIDE2-1' : 'TCPIP*');
+    this.txInterval = this.config.txInterval || 1500; // Minimum gap between packets
+    this.txRateLimit = this.config.txRateLimit || 20; // Packets per minute
+    this.txQueueSize = this.config.txQueueSize || 100;
+    this.dupeWindow = this.config.dupeWindow || 30000; // Identical packets are not sent again within this
+    this.messageRetryInterval = this.config.messageRetryInterval || 30000;
+    this.messageAttempts = this.config.messageAttempts || 5;
+    this.messageDedupeWindow = this.config.messageDedupeWindow || 1800000;
+    this.minBeaconInterval = this.config.minBeaconInterval || 60000;
+    this.telegramBridge = this.config.telegramBridge || null; // { connectorId, chatId }
+    this.txQueue = [];
+    this.txTimes = [];
+    this.txRecent = new Map(); // packet body -> time queued
+    this.txTimer = null;
+    this.outbox = new Map(); // message id -> outgoing message
+    this.retryTimers = new Map();
+    this.nextMessageId = 1;
+    this.receivedMessageIds = new Map(); // source:addressee:id -> time received
+    this.beacons = new Map();
+    this.beaconTimers = new Map();
+    this.telegramHandler = null;
+    this.telegramReplies = new Map(); // chatId:Telegram message id -> callsign
     
     // Polling
     this.pollTimer = null;
@@ -39,6 +98,15 @@ class APRSConnector extends BaseConnector {
       weatherReports: 0,
       messagesReceived: 0,
       apiCalls: 0,
+      packetsReceived: 0,
+      packetsInvalid: 0,
+      streamReconnects: 0,
+      packetsSent: 0,
+      packetsSuppressed: 0,
+      messagesSent: 0,
+      messagesAcked: 0,
+      messagesFailed: 0,
+      beaconsSent: 0,
       lastUpdate: null
     };
     
@@ -48,7 +116,7 @@ class APRSConnector extends BaseConnector {
     this.spatialElements = new Map();
     
     // Validate API key
-    if (!this.apiKey) {
+    if (this.inputMode === 'api' && !this.apiKey) {
       throw new Error('APRS API key is required');
     }
   }
@@ -259,8 +327,24 @@ class APRSConnector extends BaseConnector {
       {
         id: 'aprs:messages',
         name: 'Message Monitoring',
-        description: 'Monitor APRS text messages',
-        operations: ['read', 'subscribe'],
+        description: 'Monitor, send and acknowledge APRS text messages',
+        operations: ['read', 'subscribe', 'send', 'outbox'],
+        requiresConnection: true,
+        category: 'communication'
+      },
+      {
+        id: 'aprs:beacons',
+        name: 'Object Beacons',
+        description: 'Periodically beacon APRS objects such as incident markers',
+        operations: ['list', 'add', 'remove'],
+        requiresConnection: true,
+        category: 'communication'
+      },
+      {
+        id: 'aprs:packets',
+        name: 'Raw Packets',
+        description: 'Recent raw APRS packets from the APRS-IS or KISS stream',
+        operations: ['read'],
         requiresConnection: true,
         category: 'communication'
       },
@@ -286,6 +370,13 @@ class APRSConnector extends BaseConnector {
         return this.executeWeatherData(operation, parameters);
       case 'aprs:messages':
         return this.executeMessageMonitoring(operation, parameters);
+      case 'aprs:beacons':
+        return this.executeBeacons(operation, parameters);
+      case 'aprs:packets':
+        if (operation !== 'read') {
+          throw new Error(`Unknown operation: ${operation}`);
+        }
+        return this.getPackets(parameters);
       case 'aprs:visualization':
         return this.executeMapVisualization(operation, parameters);
       default:
@@ -330,6 +421,26 @@ class APRSConnector extends BaseConnector {
         return this.getMessages(parameters);
       case 'subscribe':
         return this.subscribeToMessages(parameters);
+      case 'send':
+        return this.sendMessage(parameters);
+      case 'outbox':
+        return this.getOutbox(parameters);
+      default:
+        throw new Error(`Unknown operation: ${operation}`);
+    }
+  }
+
+  /**
+   * Execute object beacon operations
+   */
+  async executeBeacons(operation, parameters) {
+    switch (operation) {
+      case 'list':
+        return Array.from(this.beacons.values());
+      case 'add':
+        return this.addBeacon(parameters);
+      case 'remove':
+        return { removed: this.removeBeacon(parameters.id) };
       default:
         throw new Error(`Unknown operation: ${operation}`);
     }
@@ -353,6 +464,10 @@ class APRSConnector extends BaseConnector {
    * Perform connection to APRS API
    */
   async performConnect() {
+    if (this.inputMode !== 'api') {
+      return this.connectStreamInput();
+    }
+    
     try {
       // Test API connection with a simple query
       try {
@@ -382,17 +497,7 @@ class APRSConnector extends BaseConnector {
       // Start polling for data
       this.startPolling();
       
-      // Auto-register with map connectors if available
-      if (this.connectorRegistry) {
-        const mapConnectors = this.connectorRegistry.getConnectorsByType('map');
-        for (const mapConnector of mapConnectors) {
-          try {
-            await this.registerWithMap(mapConnector);
-          } catch (error) {
-            this.logger.warn(`Failed to auto-register with map ${mapConnector.id}:`, error.message);
-          }
-        }
-      }
+      await this.registerWithMaps();
       
       return true;
     } catch (error) {
@@ -401,11 +506,937 @@ class APRSConnector extends BaseConnector {
     }
   }
 
+  /**
+   * Auto-register with map connectors if available
+   */
+  async registerWithMaps() {
+    if (!this.connectorRegistry) {
+      return;
+    }
+    
+    const mapConnectors = this.connectorRegistry.getConnectorsByType('map');
+    for (const mapConnector of mapConnectors) {
+      try {
+        await this.registerWithMap(mapConnector);
+      } catch (error) {
+        this.logger.warn(`Failed to auto-register with map ${mapConnector.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Connect to an APRS-IS server or KISS TNC
+   */
+  async connectStreamInput() {
+    if (!STREAM_PORTS[this.inputMode]) {
+      throw new Error(`Unsupported APRS input: ${this.inputMode}`);
+    }
+    
+    try {
+      this.logger.info('Connecting to APRS stream...', {
+        input: this.inputMode,
+        host: this.streamHost,
+        port: this.streamPort
+      });
+      
+      this.isStreaming = true;
+      await this.openStream();
+      await this.registerWithMaps();
+      this.attachTelegramBridge();
+      this.startStationSweep();
+      
+      for (const beacon of this.beacons.values()) {
+        this.scheduleBeacon(beacon);
+      }
+      
+      return true;
+    } catch (error) {
+      this.isStreaming = false;
+      this.logger.error('Failed to connect to APRS stream', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open the TCP socket, logging in to APRS-IS, and resolve once connected
+   */
+  openStream() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.streamHost, port: this.streamPort });
+      let connected = false;
+      
+      socket.once('connect', () => {
+        connected = true;
+        this.streamSocket = socket;
+        this.streamBuffer = '';
+        this.kissBuffer = Buffer.alloc(0);
+        
+        if (this.inputMode === 'aprs-is') {
+          socket.write(`${this.getLoginLine()}\r\n`);
+          // A silent server connection is dead; APRS-IS sends keepalives
+          socket.setTimeout(this.keepaliveTimeout, () => {
+            this.logger.warn('APRS-IS keepalive timeout');
+            socket.destroy();
+          });
+        }
+        
+        this.logger.info('Connected to APRS stream', { input: this.inputMode, port: this.streamPort });
+        this.drainTxQueue();
+        resolve();
+      });
+      
+      socket.on('data', chunk => this.handleStreamData(chunk));
+      
+      socket.on('error', error => {
+        if (!connected) {
+          reject(error);
+        } else {
+          this.logger.warn('APRS stream error', { error: error.message });
+        }
+      });
+      
+      socket.on('close', () => {
+        if (this.streamSocket === socket) {
+          this.streamSocket = null;
+        }
+        if (connected && this.isStreaming) {
+          this.logger.warn('APRS stream closed, reconnecting', { interval: this.reconnectInterval });
+          this.scheduleStreamReconnect();
+        }
+      });
+    });
+  }
+
+  /**
+   * Retry the stream connection until it succeeds or the connector disconnects
+   */
+  scheduleStreamReconnect() {
+    if (this.streamReconnectTimer || !this.isStreaming) {
+      return;
+    }
+    
+    this.streamReconnectTimer = setTimeout(async () => {
+      this.streamReconnectTimer = null;
+      if (!this.isStreaming) {
+        return;
+      }
+      
+      try {
+        this.stats.streamReconnects++;
+        await this.openStream();
+      } catch (error) {
+        this.logger.debug('APRS reconnect failed', { error: error.message });
+        this.scheduleStreamReconnect();
+      }
+    }, this.reconnectInterval);
+  }
+
+  /**
+   * Close the stream and stop its timers
+   */
+  stopStream() {
+    this.isStreaming = false;
+    
+    if (this.streamReconnectTimer) {
+      clearTimeout(this.streamReconnectTimer);
+      this.streamReconnectTimer = null;
+    }
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+    if (this.streamSocket) {
+      this.streamSocket.destroy();
+      this.streamSocket = null;
+    }
+  }
+
+  /**
+   * Periodically drop streamed stations that have gone quiet. aprs.fi only
+   * returns recent stations, but a stream never says when one stops.
+   */
+  startStationSweep() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = setInterval(() => {
+      this.sweepStations().catch(error => {
+        this.logger.warn('APRS station sweep failed', { error: error.message });
+      });
+    }, Math.min(this.stationTimeout, 60000));
+  }
+
+  /**
+   * Remove stations and status reports older than stationTimeout
+   */
+  async sweepStations(now = Date.now()) {
+    const cutoff = now - this.stationTimeout;
+    
+    for (const station of Array.from(this.stations.values())) {
+      if (new Date(station.lastSeen).getTime() < cutoff) {
+        await this.removeStation(station.name);
+      }
+    }
+    
+    for (const [name, report] of this.stationStatus.entries()) {
+      if (Date.parse(report.receivedAt) < cutoff) {
+        this.stationStatus.delete(name);
+      }
+    }
+  }
+
+  /**
+   * APRS-IS login line with the server-side filter
+   */
+  getLoginLine() {
+    // Messages to our callsign need a group filter when we can answer them
+    const filters = [this.filter, this.canTransmit() ? `g/${this.callsign}` : null].filter(Boolean);
+    const filter = filters.length > 0 ? ` filter ${filters.join(' ')}` : '';
+    return `user ${this.callsign} pass ${this.passcode} vers Babelfish-LookingGlass 1.0${filter}`;
+  }
+
+  /**
+   * APRS-IS area filter (a/north/west/south/east) covering the UK bounds
+   */
+  getBoundsFilter() {
+    const { north, west, south, east } = this.ukBounds;
+    return `a/${north}/${west}/${south}/${east}`;
+  }
+
+  /**
+   * Split a chunk of stream data into TNC2 lines and queue them in arrival order
+   */
+  handleStreamData(chunk) {
+    const lines = [];
+    
+    if (this.inputMode === 'kiss') {
+      const { frames, remainder } = APRSParser.splitKISS(Buffer.concat([this.kissBuffer, chunk]));
+      this.kissBuffer = remainder.length > 65536 ? Buffer.alloc(0) : remainder;
+      for (const frame of frames) {
+        const line = APRSParser.decodeAX25(frame);
+        if (line) {
+          lines.push(line);
+        } else {
+          this.stats.packetsInvalid++;
+        }
+      }
+    } else {
+      this.streamBuffer += chunk.toString('latin1');
+      const split = this.streamBuffer.split(/\r?\n/);
+      this.streamBuffer = split.pop();
+      
+      // Guard against a peer that never sends newlines
+      if (this.streamBuffer.length > 65536) {
+        this.streamBuffer = '';
+      }
+      
+      for (const line of split) {
+        if (line.startsWith('#')) {
+          // Server banner, login response and keepalives
+          if (line.includes('logresp')) {
+            this.logger.info('APRS-IS login', { response: line.slice(2) });
+          }
+        } else if (line.trim()) {
+          lines.push(line);
+        }
+      }
+    }
+    
+    for (const line of lines) {
+      this.streamQueue = this.streamQueue
+        .then(() => this.handlePacketLine(line))
+        .catch(error => {
+          this.logger.debug('Failed to process APRS packet', { packet: line, error: error.message });
+        });
+    }
+  }
+
+  /**
+   * Parse one TNC2 packet and feed it into the station, weather and message paths
+   */
+  async handlePacketLine(line) {
+    this.stats.packetsReceived++;
+    const packet = APRSParser.parse(line);
+    
+    if (!packet) {
+      this.stats.packetsInvalid++;
+      return;
+    }
+    
+    this.packets.push({
+      source: packet.source,
+      type: packet.type,
+      raw: packet.raw,
+      receivedAt: packet.receivedAt
+    });
+    if (this.packets.length > this.maxPackets) {
+      this.packets.splice(0, this.packets.length - this.maxPackets);
+    }
+    
+    this.stats.lastUpdate = new Date();
+    this.emit('packet:received', packet);
+    
+    switch (packet.type) {
+      case 'position':
+      case 'object':
+      case 'item':
+        if (packet.killed) {
+          await this.removeStation(packet.name);
+          break;
+        }
+        await this.processStationData(this.packetToStationEntry(packet));
+        if (packet.weather) {
+          await this.processWeatherData(this.packetToWeatherEntry(packet));
+        }
+        break;
+      case 'weather':
+        await this.processWeatherData(this.packetToWeatherEntry(packet));
+        break;
+      case 'status':
+        this.applyStatus(packet);
+        break;
+      case 'message':
+        await this.handleMessagePacket(packet);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Convert a parsed position, object or item to an aprs.fi location entry
+   */
+  packetToStationEntry(packet) {
+    const types = { object: 'o', item: 'i' };
+    
+    return {
+      name: packet.name,
+      type: types[packet.type] || (packet.weather ? 'w' : 'l'),
+      lat: packet.lat,
+      lng: packet.lng,
+      symbol: packet.symbol,
+      comment: packet.comment,
+      lasttime: String(Math.floor(Date.parse(packet.receivedAt) / 1000)),
+      course: packet.course,
+      speed: packet.speed,
+      altitude: packet.altitude,
+      status: packet.micE || this.stationStatus.get(packet.name)?.status,
+      path: [packet.destination, ...packet.path].join(','),
+      phg: packet.phg
+    };
+  }
+
+  /**
+   * Convert parsed weather to an aprs.fi weather entry
+   */
+  packetToWeatherEntry(packet) {
+    const weather = packet.weather;
+    
+    return {
+      name: packet.name,
+      time: String(Math.floor(Date.parse(packet.timestamp || packet.receivedAt) / 1000)),
+      temp: weather.temperature,
+      pressure: weather.pressure,
+      humidity: weather.humidity,
+      wind_direction: weather.windDirection,
+      wind_speed: weather.windSpeed,
+      wind_gust: weather.windGust,
+      rain_1h: weather.rain1h,
+      rain_24h: weather.rain24h,
+      rain_mn: weather.rainMidnight,
+      luminosity: weather.luminosity
+    };
+  }
+
+  /**
+   * Record a status report, updating the station if it is being tracked
+   */
+  applyStatus(packet) {
+    this.stationStatus.set(packet.name, { status: packet.status, receivedAt: packet.receivedAt });
+    
+    const station = this.stations.get(packet.name);
+    if (station) {
+      const updated = { ...station, status: packet.status };
+      this.stations.set(packet.name, updated);
+      this.emit('station:updated', { old: station, new: updated });
+    }
+  }
+
+  /**
+   * Store a message, ack, reject or bulletin
+   */
+  recordMessage(packet) {
+    const message = {
+      id: `${packet.source}-${packet.message.id || Date.parse(packet.receivedAt)}-${packet.message.kind}`,
+      from: packet.source,
+      to: packet.message.addressee,
+      type: packet.message.kind,
+      text: packet.message.text || null,
+      messageId: packet.message.id || null,
+      path: packet.path.join(','),
+      timestamp: packet.receivedAt
+    };
+    
+    this.messages.push(message);
+    if (this.messages.length > this.maxMessages) {
+      this.messages.splice(0, this.messages.length - this.maxMessages);
+    }
+    this.stats.messagesReceived++;
+    
+    this.emit('message:received', message);
+    return message;
+  }
+
+  /**
+   * Record a message, acking those addressed to us and resolving our
+   * outgoing messages on their ack or reject
+   */
+  async handleMessagePacket(packet) {
+    const { addressee, kind, id, replyAck } = packet.message;
+    const toUs = addressee === this.callsign;
+    
+    if (kind === 'message' && id) {
+      // Ack every copy: the sender retries until an ack gets through
+      if (toUs && this.canTransmit()) {
+        this.transmit(APRSParser.formatMessage(packet.source, `ack${id}`), { priority: true, force: true });
+      }
+      
+      // Retries and digipeated copies are only recorded once
+      const key = `${packet.source}:${addressee}:${id}`;
+      const now = Date.now();
+      for (const [seenKey, time] of this.receivedMessageIds) {
+        if (now - time >= this.messageDedupeWindow) {
+          this.receivedMessageIds.delete(seenKey);
+        }
+      }
+      if (this.receivedMessageIds.has(key)) {
+        return;
+      }
+      this.receivedMessageIds.set(key, now);
+    }
+    
+    const message = this.recordMessage(packet);
+    if (!toUs) {
+      return;
+    }
+    
+    if (kind === 'ack' || kind === 'rej') {
+      await this.resolveOutgoingMessage(id, kind, packet.source);
+      return;
+    }
+    if (replyAck) {
+      await this.resolveOutgoingMessage(replyAck, 'ack', packet.source);
+    }
+    if (kind === 'message') {
+      this.emit('message:incoming', message);
+      await this.forwardToTelegram(message);
+    }
+  }
+
+  /**
+   * Whether packets can be sent: a verified APRS-IS login, or a KISS TNC
+   * with a real callsign
+   */
+  canTransmit() {
+    if (this.inputMode === 'aprs-is') {
+      return String(this.passcode) !== '-1';
+    }
+    if (this.inputMode === 'kiss') {
+      return this.callsign !== 'N0CALL';
+    }
+    return false;
+  }
+
+  /**
+   * Queue a packet for sending. Returns false if an identical packet was
+   * queued within the duplicate window, unless forced (retries and acks).
+   */
+  transmit(body, options = {}) {
+    if (!this.canTransmit()) {
+      throw new Error('Sending needs an APRS-IS passcode or a KISS TNC');
+    }
+    
+    const now = Date.now();
+    for (const [recentBody, time] of this.txRecent) {
+      if (now - time >= this.dupeWindow) {
+        this.txRecent.delete(recentBody);
+      }
+    }
+    
+    if (!options.force && this.txRecent.has(body)) {
+      this.stats.packetsSuppressed++;
+      return false;
+    }
+    if (this.txQueue.length >= this.txQueueSize) {
+      throw new Error('APRS transmit queue is full');
+    }
+    
+    this.txRecent.set(body, now);
+    if (options.priority) {
+      this.txQueue.unshift(body);
+    } else {
+      this.txQueue.push(body);
+    }
+    
+    this.drainTxQueue();
+    return true;
+  }
+
+  /**
+   * Send queued packets, spaced by txInterval and within txRateLimit per minute
+   */
+  drainTxQueue() {
+    if (this.txTimer || !this.streamSocket) {
+      return;
+    }
+    
+    while (this.txQueue.length > 0) {
+      const now = Date.now();
+      this.txTimes = this.txTimes.filter(time => now - time < 60000);
+      
+      let wait = 0;
+      if (this.txTimes.length > 0) {
+        wait = this.txTimes[this.txTimes.length - 1] + this.txInterval - now;
+      }
+      if (this.txTimes.length >= this.txRateLimit) {
+        wait = Math.max(wait, this.txTimes[0] + 60000 - now);
+      }
+      
+      if (wait > 0) {
+        this.txTimer = setTimeout(() => {
+          this.txTimer = null;
+          this.drainTxQueue();
+        }, wait);
+        return;
+      }
+      
+      this.writePacket(this.txQueue.shift());
+      this.txTimes.push(now);
+    }
+  }
+
+  /**
+   * Write one packet from our callsign to the stream
+   */
+  writePacket(body) {
+    const line = `${this.callsign}>${TOCALL}${this.txPath ? `,${this.txPath}` : ''}:${body}`;
+    
+    if (this.inputMode === 'kiss') {
+      this.streamSocket.write(APRSParser.encodeKISS(line));
+    } else {
+      this.streamSocket.write(`${line}\r\n`, 'latin1');
+    }
+    
+    this.stats.packetsSent++;
+    this.emit('packet:sent', { raw: line, sentAt: new Date().toISOString() });
+  }
+
+  /**
+   * Send a message to a station, retrying until it is acked or rejected
+   */
+  sendMessage(parameters = {}) {
+    const to = String(parameters.to || '').trim().toUpperCase();
+    const text = APRSParser.sanitizeText(parameters.text);
+    
+    if (!/^[A-Z0-9-]{1,9}$/.test(to)) {
+      throw new Error('A callsign of up to 9 characters is required');
+    }
+    if (!text) {
+      throw new Error('Message text is required');
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      throw new Error(`APRS messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    if (!this.canTransmit()) {
+      throw new Error('Sending needs an APRS-IS passcode or a KISS TNC');
+    }
+    
+    const message = {
+      id: String(this.nextMessageId),
+      to,
+      text,
+      status: 'pending',
+      attempts: 0,
+      source: parameters.source || 'api',
+      createdAt: new Date().toISOString(),
+      lastSentAt: null,
+      resolvedAt: null
+    };
+    this.nextMessageId = this.nextMessageId >= 99999 ? 1 : this.nextMessageId + 1;
+    
+    this.outbox.set(message.id, message);
+    if (this.outbox.size > this.maxMessages) {
+      const oldest = Array.from(this.outbox.values()).find(m => m.status !== 'pending');
+      if (oldest) {
+        this.outbox.delete(oldest.id);
+      }
+    }
+    
+    this.stats.messagesSent++;
+    this.sendMessageAttempt(message);
+    return message;
+  }
+
+  /**
+   * Send one attempt of a pending message and schedule the next
+   */
+  sendMessageAttempt(message) {
+    if (message.status !== 'pending') {
+      return;
+    }
+    
+    if (message.attempts >= this.messageAttempts) {
+      message.status = 'failed';
+      message.resolvedAt = new Date().toISOString();
+      this.stats.messagesFailed++;
+      this.emit('message:failed', message);
+      this.notifyTelegram(message).catch(() => {});
+      return;
+    }
+    
+    message.attempts++;
+    message.lastSentAt = new Date().toISOString();
+    
+    try {
+      this.transmit(APRSParser.formatMessage(message.to, message.text, message.id), { force: message.attempts > 1 });
+    } catch (error) {
+      this.logger.warn('Failed to queue APRS message', { to: message.to, error: error.message });
+    }
+    
+    this.retryTimers.set(message.id, setTimeout(() => {
+      this.retryTimers.delete(message.id);
+      this.sendMessageAttempt(message);
+    }, this.messageRetryInterval));
+  }
+
+  /**
+   * Mark an outgoing message acked or rejected by the station it was sent to
+   */
+  async resolveOutgoingMessage(id, kind, from) {
+    const message = this.outbox.get(id);
+    if (!message || message.status !== 'pending' || message.to !== from) {
+      return;
+    }
+    
+    clearTimeout(this.retryTimers.get(id));
+    this.retryTimers.delete(id);
+    
+    message.status = kind === 'ack' ? 'acked' : 'rejected';
+    message.resolvedAt = new Date().toISOString();
+    if (kind === 'ack') {
+      this.stats.messagesAcked++;
+    }
+    
+    this.emit(`message:${message.status}`, message);
+    await this.notifyTelegram(message);
+  }
+
+  /**
+   * Get outgoing messages
+   */
+  getOutbox(parameters = {}) {
+    let messages = Array.from(this.outbox.values());
+    
+    if (parameters.status) {
+      messages = messages.filter(m => m.status === parameters.status);
+    }
+    
+    if (parameters.to) {
+      const to = parameters.to.toUpperCase();
+      messages = messages.filter(m => m.to === to);
+    }
+    
+    return messages;
+  }
+
+  /**
+   * Add or replace an object beacon, sent now and every interval until it
+   * is removed or expires
+   */
+  addBeacon(parameters = {}) {
+    const name = String(parameters.name || '').trim();
+    const lat = parseFloat(parameters.lat);
+    const lng = parseFloat(parameters.lng ?? parameters.lon);
+    const symbol = parameters.symbol || '/.';
+    const expiresAt = parameters.expiresAt ? new Date(parameters.expiresAt) : null;
+    
+    if (name.length < 1 || name.length > 9 || APRSParser.sanitizeText(name) !== name) {
+      throw new Error('Beacon name must be 1 to 9 printable characters');
+    }
+    if (isNaN(lat) || isNaN(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error('Beacon needs a valid lat and lng');
+    }
+    if (!/^[/\\A-Z0-9].$/.test(symbol)) {
+      throw new Error('Beacon symbol must be a table and code, e.g. "/."');
+    }
+    if (expiresAt && isNaN(expiresAt)) {
+      throw new Error('Invalid expiresAt');
+    }
+    if (!this.canTransmit()) {
+      throw new Error('Sending needs an APRS-IS passcode or a KISS TNC');
+    }
+    
+    const id = parameters.id || name;
+    const existing = this.beacons.get(id);
+    if (existing) {
+      clearInterval(this.beaconTimers.get(id));
+      // A renamed object is a different object to other stations
+      if (existing.name !== name) {
+        this.transmit(APRSParser.formatObject({ ...existing, killed: true }), { force: true });
+      }
+    }
+    
+    const beacon = {
+      id,
+      name,
+      lat,
+      lng,
+      symbol,
+      comment: APRSParser.sanitizeText(parameters.comment).slice(0, 43),
+      interval: Math.max(parameters.interval || 600000, this.minBeaconInterval),
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      source: parameters.source || 'api',
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      lastSentAt: null,
+      sent: 0
+    };
+    
+    this.beacons.set(id, beacon);
+    this.sendBeacon(beacon);
+    this.scheduleBeacon(beacon);
+    
+    this.emit('beacon:added', beacon);
+    return beacon;
+  }
+
+  scheduleBeacon(beacon) {
+    clearInterval(this.beaconTimers.get(beacon.id));
+    this.beaconTimers.set(beacon.id, setInterval(() => this.sendBeacon(beacon), beacon.interval));
+  }
+
+  /**
+   * Send a beacon, or kill it once expired
+   */
+  sendBeacon(beacon) {
+    if (beacon.expiresAt && Date.now() >= Date.parse(beacon.expiresAt)) {
+      this.removeBeacon(beacon.id);
+      return;
+    }
+    
+    try {
+      if (this.transmit(APRSParser.formatObject(beacon))) {
+        beacon.sent++;
+        beacon.lastSentAt = new Date().toISOString();
+        this.stats.beaconsSent++;
+      }
+    } catch (error) {
+      this.logger.warn('Failed to queue APRS beacon', { beacon: beacon.id, error: error.message });
+    }
+  }
+
+  /**
+   * Stop a beacon and send the object killed so stations drop it
+   */
+  removeBeacon(id) {
+    const beacon = this.beacons.get(id);
+    if (!beacon) {
+      return false;
+    }
+    
+    clearInterval(this.beaconTimers.get(id));
+    this.beaconTimers.delete(id);
+    this.beacons.delete(id);
+    
+    try {
+      this.transmit(APRSParser.formatObject({ ...beacon, killed: true }), { force: true });
+    } catch (error) {
+      this.logger.warn('Failed to queue APRS beacon kill', { beacon: id, error: error.message });
+    }
+    
+    this.emit('beacon:removed', beacon);
+    return true;
+  }
+
+  /**
+   * Bridge messages to our callsign to a Telegram chat, and send
+   * "/aprs CALLSIGN text" or replies to bridged messages from that chat
+   */
+  attachTelegramBridge() {
+    if (!this.telegramBridge || !this.connectorRegistry || this.telegramHandler) {
+      return;
+    }
+    
+    const connectorId = this.telegramBridge.connectorId || 'telegram-bot-main';
+    const connector = this.connectorRegistry.getConnector(connectorId);
+    if (!connector) {
+      this.logger.warn('Telegram connector for APRS bridge not found', { connectorId });
+      return;
+    }
+    
+    const handlerId = connector.addMessageHandler(msg => {
+      this.handleTelegramMessage(msg).catch(error => {
+        this.logger.warn('Failed to bridge Telegram message to APRS', { error: error.message });
+      });
+    });
+    
+    this.telegramHandler = { connector, handlerId };
+    this.logger.info('APRS Telegram bridge attached', { connectorId, chatId: this.telegramBridge.chatId });
+  }
+
+  detachTelegramBridge() {
+    if (this.telegramHandler) {
+      this.telegramHandler.connector.removeMessageHandler(this.telegramHandler.handlerId);
+      this.telegramHandler = null;
+    }
+  }
+
+  /**
+   * Send a Telegram message from the bridge chat to APRS, split to fit
+   */
+  async handleTelegramMessage(msg) {
+    if (!msg.text || String(msg.chat.id) !== String(this.telegramBridge.chatId)) {
+      return;
+    }
+    
+    let to = null;
+    let text = null;
+    const command = /^\/aprs(?:@\S+)?\s+([A-Za-z0-9-]{1,9})\s+([\s\S]+)$/.exec(msg.text.trim());
+    
+    if (command) {
+      to = command[1];
+      text = command[2];
+    } else if (msg.reply_to_message) {
+      to = this.telegramReplies.get(`${msg.chat.id}:${msg.reply_to_message.message_id}`);
+      text = msg.text;
+    }
+    
+    if (!to) {
+      return;
+    }
+    
+    const parts = [];
+    let current = '';
+    for (const word of APRSParser.sanitizeText(text).split(' ')) {
+      if (current && `${current} ${word}`.length > MAX_MESSAGE_LENGTH) {
+        parts.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${word}` : word.slice(0, MAX_MESSAGE_LENGTH);
+    }
+    if (current) {
+      parts.push(current);
+    }
+    
+    for (const part of parts) {
+      this.sendMessage({ to, text: part, source: 'telegram' });
+    }
+  }
+
+  /**
+   * Post a message addressed to us into the bridge chat
+   */
+  async forwardToTelegram(message) {
+    if (!this.telegramHandler) {
+      return;
+    }
+    
+    try {
+      const result = await this.telegramHandler.connector.execute('telegram:send', 'text', {
+        chatId: this.telegramBridge.chatId,
+        text: `📻 ${message.from}: ${message.text}`
+      });
+      
+      if (result && result.message_id) {
+        this.telegramReplies.set(`${this.telegramBridge.chatId}:${result.message_id}`, message.from);
+        if (this.telegramReplies.size > this.maxMessages) {
+          this.telegramReplies.delete(this.telegramReplies.keys().next().value);
+        }
+      }
+    } catch (error) {
+      this.logger.warn('Failed to forward APRS message to Telegram', { error: error.message });
+    }
+  }
+
+  /**
+   * Tell the bridge chat how a message sent from it ended
+   */
+  async notifyTelegram(message) {
+    if (!this.telegramHandler || message.source !== 'telegram') {
+      return;
+    }
+    
+    const outcomes = {
+      acked: `✅ ${message.to} acknowledged: ${message.text}`,
+      rejected: `⛔ ${message.to} rejected: ${message.text}`,
+      failed: `⚠️ No ack from ${message.to} after ${message.attempts} attempts: ${message.text}`
+    };
+    
+    try {
+      await this.telegramHandler.connector.execute('telegram:send', 'text', {
+        chatId: this.telegramBridge.chatId,
+        text: outcomes[message.status]
+      });
+    } catch (error) {
+      this.logger.warn('Failed to notify Telegram of APRS message', { error: error.message });
+    }
+  }
+
+  /**
+   * Stop sending: clear the queue, retries and beacon timers. Pending
+   * messages fail; beacons resume on the next connect.
+   */
+  stopTransmit() {
+    clearTimeout(this.txTimer);
+    this.txTimer = null;
+    this.txQueue = [];
+    
+    for (const timer of this.retryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+    
+    for (const timer of this.beaconTimers.values()) {
+      clearInterval(timer);
+    }
+    this.beaconTimers.clear();
+    
+    for (const message of this.outbox.values()) {
+      if (message.status === 'pending') {
+        message.status = 'failed';
+        message.resolvedAt = new Date().toISOString();
+        this.stats.messagesFailed++;
+        this.emit('message:failed', message);
+      }
+    }
+  }
+
+  /**
+   * Drop a killed object or item, or a station that has gone quiet
+   */
+  async removeStation(name) {
+    this.stationStatus.delete(name);
+    
+    const station = this.stations.get(name);
+    if (!station) {
+      return;
+    }
+    
+    this.stations.delete(name);
+    this.spatialElements.delete(`aprs-${name}`);
+    this.emit('station:removed', station);
+    
+    await this.broadcastToMaps({
+      type: 'station:removed',
+      stationId: `aprs-${name}`
+    });
+  }
+
   /**
    * Perform disconnection
    */
   async performDisconnect() {
     this.stopPolling();
+    this.stopTransmit();
+    this.stopStream();
+    this.detachTelegramBridge();
     
     // Unregister from all map connectors
     for (const mapConnectorId of this.mapConnectors.keys()) {
@@ -927,7 +1958,44 @@ class APRSConnector extends BaseConnector {
    * Get messages
    */
   getMessages(parameters = {}) {
-    return this.messages;
+    let messages = this.messages;
+    
+    if (parameters.callsign) {
+      const callsign = parameters.callsign.toUpperCase();
+      messages = messages.filter(m => m.from === callsign || m.to === callsign);
+    }
+    
+    if (parameters.type) {
+      messages = messages.filter(m => m.type === parameters.type);
+    }
+    
+    if (parameters.limit) {
+      messages = messages.slice(-parameters.limit);
+    }
+    
+    return messages;
+  }
+
+  /**
+   * Get recent raw packets
+   */
+  getPackets(parameters = {}) {
+    let packets = this.packets;
+    
+    if (parameters.source) {
+      const source = parameters.source.toUpperCase();
+      packets = packets.filter(p => p.source === source);
+    }
+    
+    if (parameters.type) {
+      packets = packets.filter(p => p.type === parameters.type);
+    }
+    
+    if (parameters.limit) {
+      packets = packets.slice(-parameters.limit);
+    }
+    
+    return packets;
   }
 
   /**
@@ -968,6 +2036,20 @@ class APRSConnector extends BaseConnector {
       ...this.stats,
       status: this.status,
       isPolling: this.isPolling,
+      input: {
+        mode: this.inputMode,
+        host: this.inputMode === 'api' ? null : this.streamHost,
+        port: this.inputMode === 'api' ? null : this.streamPort,
+        filter: this.inputMode === 'aprs-is' ? this.filter : null,
+        connected: this.inputMode === 'api' ? this.isPolling : this.streamSocket !== null
+      },
+      transmit: {
+        enabled: this.canTransmit(),
+        queued: this.txQueue.length,
+        pendingMessages: this.getOutbox({ status: 'pending' }).length,
+        beacons: this.beacons.size,
+        telegramBridge: this.telegramHandler !== null
+      },
       stationsCount: this.stations.size,
       weatherStationsCount: this.weatherStations.size,
       messagesCount: this.messages.length
@@ -980,10 +2062,24 @@ class APRSConnector extends BaseConnector {
   static validateConfig(config) {
     const errors = [];
     
-    if (!config.apiKey) {
+    const input = config.input || 'api';
+    
+    if (input !== 'api' && !STREAM_PORTS[input]) {
+      errors.push('Input must be api, aprs-is or kiss');
+    }
+    
+    if (input === 'api' && !config.apiKey) {
       errors.push('API key is required');
     }
     
+    if (input === 'aprs-is' && !config.callsign) {
+      errors.push('Callsign is required for APRS-IS');
+    }
+    
+    if (config.telegramBridge && !config.telegramBridge.chatId) {
+      errors.push('Telegram bridge needs a chatId');
+    }
+    
     if (config.pollInterval && (config.pollInterval < 5000 || config.pollInterval > 300000)) {
       errors.push('Poll interval must be between 5 and 300 seconds');
     }
@@ -1004,10 +2100,24 @@ class APRSConnector extends BaseConnector {
         'aprs:tracking',
         'aprs:weather', 
         'aprs:messages',
+        'aprs:packets',
+        'aprs:beacons',
         'aprs:visualization'
       ],
       configSchema: {
-        apiKey: { type: 'string', required: true, description: 'APRS.fi API key' },
+        input: { type: 'string', default: 'api', description: 'Data source: api (aprs.fi), aprs-is or kiss' },
+        apiKey: { type: 'string', description: 'APRS.fi API key, required for the api input' },
+        host: { type: 'string', description: 'APRS-IS server or KISS TNC host' },
+        port: { type: 'number', description: 'Stream port (default 14580 for APRS-IS, 8001 for KISS)' },
+        callsign: { type: 'string', description: 'APRS-IS login callsign' },
+        passcode: { type: 'number', default: -1, description: 'APRS-IS passcode, -1 for receive-only' },
+        filter: { type: 'string', description: 'APRS-IS server-side filter (default: area filter from ukBounds)' },
+        reconnectInterval: { type: 'number', default: 5000, description: 'Stream reconnect interval in milliseconds' },
+        txPath: { type: 'string', description: 'Path for sent packets (default TCPIP* for APRS-IS, WIDE1-1,WIDE2-1 for KISS)' },
+        txRateLimit: { type: 'number', default: 20, description: 'Maximum packets sent per minute' },
+        messageRetryInterval: { type: 'number', default: 30000, description: 'Milliseconds between message retries' },
+        messageAttempts: { type: 'number', default: 5, description: 'Sends of a message before it fails' },
+        telegramBridge: { type: 'object', description: 'Bridge messages to a Telegram chat: { connectorId, chatId }' },
         pollInterval: { type: 'number', default: 30000, description: 'Polling interval in milliseconds' },
         ukBounds: { type: 'object', description: 'UK geographic bounds' }
       }
@@ -43,11 +43,15 @@ class AirplanesLiveConnector extends BaseConnector {
 
   constructor(config) {
     super(config);
-    this.lat = config.lat;
-    this.lon = config.lon;
-    this.radius = config.radius;
-    this.pollInterval = config.pollInterval || 1000; // ms
-    this.apiBase = 'https://airplanes.live';
+    
+    // Extract config from the config object
+    const connectorConfig = this.config;
+    
+    this.lat = connectorConfig.lat;
+    this.lon = connectorConfig.lon;
+    this.radius = connectorConfig.radius;
+    this.pollInterval = connectorConfig.pollInterval || 30000; // within the 60s fusion maxAge
+    this.apiBase = 'https://api.airplanes.live/v2';
     this.running = false;
     this.lastFetch = 0;
   }
@@ -76,35 +80,22 @@ class AirplanesLiveConnector extends BaseConnector {
 
   async fetchAndPublish() {
     try {
-      // Airplanes.Live requires authentication, so for now we'll skip this
-      // and focus on the working ADS-B.fi connector
-      this.logger.debug('Airplanes.Live API requires authentication - skipping for now');
-      return;
+      const aircraftList = await this.fetchAircraft();
+      this.logger.debug(`Received ${aircraftList.length} aircraft from Airplanes.Live`);
       
-      // TODO: Implement with proper authentication
-      // const url = `${this.apiBase}/point/${this.lat}/${this.lon}/${this.radius}`;
-      // const res = await fetch(url, {
-      //   method: 'GET',
-      //   headers: {
-      //     'Accept': 'application/json',
-      //     'User-Agent': 'LookingGlass/1.0'
-      //   }
-      // });
-      // 
-      // if (!res.ok) {
-      //   throw new Error(`Airplanes.Live API error: ${res.status} - ${res.statusText}`);
-      // }
-      // 
-      // const data = await res.json();
-      // if (Array.isArray(data)) {
-      //   data.forEach(aircraft => {
-      //     this.eventBus.publishEvent('aircraft:detected', {
-      //       source: this.id,
-      //       data: aircraft,
-      //       timestamp: Date.now()
-      //     });
-      //   });
-      // }
+      // Fed into aircraft fusion alongside the local receiver and ADS-B.fi
+      if (this.eventBus) {
+        aircraftList.forEach(aircraft => {
+          this.eventBus.publishEvent({
+            type: 'aircraft:detected',
+            source: this.id,
+            data: aircraft,
+            timestamp: Date.now()
+          }).catch(error => {
+            this.logger.debug('Failed to publish aircraft to event bus', { icao24: aircraft.hex, error: error.message });
+          });
+        });
+      }
     } catch (error) {
       this.logger.error(`Airplanes.Live fetch error: ${error.message}`);
       throw error;
@@ -121,9 +112,17 @@ class AirplanesLiveConnector extends BaseConnector {
 
   async fetchAircraft() {
     const url = `${this.apiBase}/point/${this.lat}/${this.lon}/${this.radius}`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`Airplanes.Live API error: ${res.status}`);
-    return await res.json();
+    const res = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'LookingGlass/1.0'
+      },
+      timeout: 5000
+    });
+    if (!res.ok) throw new Error(`Airplanes.Live API error: ${res.status} - ${res.statusText}`);
+    const data = await res.json();
+    return data.ac || [];
   }
 }
 
@@ -213,14 +213,16 @@ Rules and notifications are configured in the system configuration.
   }
 
   async handleEscalationCommand(msg) {
-    const escalations = Array.from(this.alarmManager.escalationManager.escalationTimeouts.keys());
+    const escalations = this.alarmManager.escalationManager.getActive();
     
     if (escalations.length === 0) {
       await this.alarmManager.sendNotification('telegram', '✅ No active escalations', { priority: 'low' });
       return;
     }
     
-    const escalationList = escalations.map(id => `• Alarm ID: ${id}`).join('\n');
+    const escalationList = escalations.map(escalation => 
+      `• Alarm ID: ${escalation.alarmId} - level ${escalation.level}/${escalation.levels}`
+    ).join('\n');
     
     const message = `
 ⏰ <b>Active Escalations</b>
@@ -242,57 +244,464 @@ Use /menu to see available commands.
   }
 }
 
+/**
+ * Parse a duration in milliseconds or as '90s', '15m', '1h', '7d'
+ */
+function parseDuration(value, fallback = null) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+
+  const multipliers = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return Number(match[1]) * multipliers[match[2]];
+}
+
+/**
+ * On-call rotation for escalation recipients
+ *
+ * Rotations are configured as { members: [{ name, chatId }], shiftLength, startsAt }
+ * and hand over to the next member every shiftLength from startsAt.
+ */
+class OnCallRotation {
+  constructor(rotations = {}) {
+    this.rotations = rotations;
+  }
+
+  getOnCall(name, at = Date.now(), offset = 0) {
+    const rotation = this.rotations[name];
+    if (!rotation || !Array.isArray(rotation.members) || rotation.members.length === 0) {
+      return null;
+    }
+
+    const shiftLength = parseDuration(rotation.shiftLength, 7 * 86400000);
+    const startsAt = rotation.startsAt ? new Date(rotation.startsAt).getTime() : 0;
+    const shift = Math.floor((at - startsAt) / shiftLength);
+    const count = rotation.members.length;
+    const index = (((shift + offset) % count) + count) % count;
+
+    return {
+      ...rotation.members[index],
+      rotation: name,
+      shiftEndsAt: new Date(startsAt + (shift + 1) * shiftLength).toISOString()
+    };
+  }
+
+  getStatus(at = Date.now()) {
+    return Object.keys(this.rotations).map(name => ({
+      rotation: name,
+      current: this.getOnCall(name, at),
+      next: this.getOnCall(name, at, 1),
+      members: this.rotations[name].members.length
+    }));
+  }
+}
+
 /**
  * Escalation Manager for handling alarm escalations
+ *
+ * Policies are { levels: [{ after, channels, chatIds, onCall }], renotifyInterval }.
+ * A raised alarm moves up a level once `after` has elapsed since it was
+ * raised and is re-sent every renotifyInterval until it is acknowledged,
+ * shelved or cleared.
  */
 class EscalationManager {
-  constructor() {
-    this.escalationTimeouts = new Map();
-    this.escalationLevels = [
-      { delay: 5 * 60 * 1000, level: 1 }, // 5 minutes
-      { delay: 15 * 60 * 1000, level: 2 }, // 15 minutes
-      { delay: 30 * 60 * 1000, level: 3 }  // 30 minutes
-    ];
+  constructor(alarmManager, config = {}) {
+    this.alarmManager = alarmManager;
+    this.policies = config.policies || {};
+    this.defaultPolicy = config.defaultPolicy || null;
+    this.onCall = new OnCallRotation(config.onCall || {});
+
+    // alarmId -> { ruleId, policy, level, baseTime, lastNotifiedAt }
+    this.escalations = new Map();
   }
 
-  startEscalation(alarmId, rule) {
-    this.escalationLevels.forEach(({ delay, level }) => {
-      const timeout = setTimeout(() => {
-        this.escalate(alarmId, rule, level);
-      }, delay);
-      
-      this.escalationTimeouts.set(`${alarmId}-${level}`, timeout);
-    });
+  /**
+   * Resolve and validate the escalation policy for a rule
+   */
+  resolvePolicy(rule) {
+    const policy = rule.escalation || rule.escalationPolicy || this.defaultPolicy;
+    if (!policy) {
+      return null;
+    }
+
+    if (typeof policy === 'string') {
+      if (!this.policies[policy]) {
+        throw new Error(`Unknown escalation policy: ${policy}`);
+      }
+      return this.normalizePolicy({ name: policy, ...this.policies[policy] });
+    }
+
+    return this.normalizePolicy(policy);
+  }
+
+  normalizePolicy(policy) {
+    const levels = (policy.levels || []).map((level, index) => ({
+      level: index + 1,
+      after: parseDuration(level.after !== undefined ? level.after : level.delay, 0),
+      channels: level.channels || ['telegram'],
+      chatIds: level.chatIds || (level.chatId ? [level.chatId] : []),
+      onCall: level.onCall || null,
+      offset: level.offset || 0
+    }));
+
+    return {
+      name: policy.name || null,
+      channels: policy.channels || ['telegram'],
+      chatIds: policy.chatIds || [],
+      levels: levels.sort((a, b) => a.after - b.after),
+      renotifyInterval: parseDuration(policy.renotifyInterval, null)
+    };
+  }
+
+  startEscalation(alarm, rule) {
+    const policy = this.resolvePolicy(rule);
+    if (!policy) {
+      return null;
+    }
+
+    const now = Date.now();
+    const escalation = {
+      alarmId: alarm.id,
+      ruleId: rule.id,
+      policy,
+      level: 0,
+      baseTime: now,
+      lastNotifiedAt: now
+    };
+
+    this.escalations.set(alarm.id, escalation);
+    return escalation;
+  }
+
+  /**
+   * Restart the escalation clock, e.g. when a shelved alarm is raised again
+   */
+  restartEscalation(alarmId, now = Date.now()) {
+    const escalation = this.escalations.get(alarmId);
+    if (escalation) {
+      escalation.level = 0;
+      escalation.baseTime = now;
+      escalation.lastNotifiedAt = now;
+    }
+    return escalation;
   }
 
-  async escalate(alarmId, rule, level) {
+  /**
+   * Escalate or re-notify raised alarms that are due
+   */
+  async check(now = Date.now()) {
+    for (const [alarmId, escalation] of this.escalations) {
+      const alarm = this.alarmManager.activeAlarms.get(alarmId);
+      if (!alarm || alarm.status === 'cleared') {
+        this.escalations.delete(alarmId);
+        continue;
+      }
+
+      if (alarm.status !== 'raised') {
+        continue;
+      }
+
+      const { policy } = escalation;
+      const nextLevel = policy.levels[escalation.level];
+
+      if (nextLevel && now - escalation.baseTime >= nextLevel.after) {
+        escalation.level = nextLevel.level;
+        escalation.lastNotifiedAt = now;
+        await this.escalate(alarm, escalation, nextLevel, false);
+      } else if (policy.renotifyInterval && now - escalation.lastNotifiedAt >= policy.renotifyInterval) {
+        escalation.lastNotifiedAt = now;
+        const currentLevel = policy.levels[escalation.level - 1] || { level: 0, channels: policy.channels, chatIds: policy.chatIds };
+        await this.escalate(alarm, escalation, currentLevel, true);
+      }
+    }
+  }
+
+  async escalate(alarm, escalation, level, renotify) {
+    const recipients = this.getRecipients(level);
+    const onCall = recipients.find(recipient => recipient.onCall)?.onCall;
+    const title = renotify
+      ? `🔁 <b>ALARM STILL RAISED${level.level ? ` - Level ${level.level}` : ''}</b>`
+      : `🚨 <b>ALARM ESCALATION - Level ${level.level}</b>`;
+
     const message = `
-🚨 <b>ALARM ESCALATION - Level ${level}</b>
+${title}
 
-Rule: ${rule.name}
-Alarm ID: ${alarmId}
-Time: ${new Date().toLocaleString()}
+Rule: ${alarm.ruleName}
+Alarm: ${alarm.message}
+Raised: ${new Date(alarm.raisedAt).toLocaleString()}${onCall ? `\nOn call: ${onCall.name}` : ''}
 
 This alarm requires immediate attention!
     `;
-    
-    // Send escalation notification
-    // This would typically go to higher-level personnel
-    console.log(`Escalating alarm ${alarmId} to level ${level}`);
+
+    alarm.escalationLevel = escalation.level;
+    alarm.notifications = (alarm.notifications || 0) + 1;
+
+    for (const recipient of recipients) {
+      await this.alarmManager.sendNotification(recipient.channel, message, {
+        priority: alarm.severity,
+        alarmId: alarm.id,
+        chatId: recipient.chatId,
+        topic: 'alarms/escalations'
+      });
+    }
+
+    if (!renotify) {
+      this.alarmManager.publishAlarmEvent('alarm:escalated', alarm, {
+        level: level.level,
+        policy: escalation.policy.name,
+        onCall: onCall ? onCall.name : null
+      });
+    }
+  }
+
+  /**
+   * Expand a level into channel/chat recipients
+   */
+  getRecipients(level) {
+    const recipients = [];
+
+    for (const channel of level.channels) {
+      if (channel !== 'telegram') {
+        recipients.push({ channel });
+        continue;
+      }
+
+      const chatIds = [...(level.chatIds || [])];
+      let onCall = null;
+
+      if (level.onCall) {
+        onCall = this.onCall.getOnCall(level.onCall, Date.now(), level.offset);
+        if (onCall && onCall.chatId) {
+          chatIds.push(onCall.chatId);
+        }
+      }
+
+      if (chatIds.length === 0) {
+        recipients.push({ channel, onCall });
+      } else {
+        chatIds.forEach(chatId => recipients.push({ channel, chatId, onCall }));
+      }
+    }
+
+    return recipients;
   }
 
   clearEscalation(alarmId) {
-    this.escalationLevels.forEach(({ level }) => {
-      const timeoutKey = `${alarmId}-${level}`;
-      const timeout = this.escalationTimeouts.get(timeoutKey);
-      if (timeout) {
-        clearTimeout(timeout);
-        this.escalationTimeouts.delete(timeoutKey);
+    this.escalations.delete(alarmId);
+  }
+
+  getActive() {
+    return Array.from(this.escalations.values()).map(escalation => ({
+      alarmId: escalation.alarmId,
+      ruleId: escalation.ruleId,
+      policy: escalation.policy.name,
+      level: escalation.level,
+      levels: escalation.policy.levels.length,
+      nextLevelAt: escalation.policy.levels[escalation.level]
+        ? new Date(escalation.baseTime + escalation.policy.levels[escalation.level].after).toISOString()
+        : null,
+      lastNotifiedAt: new Date(escalation.lastNotifiedAt).toISOString()
+    }));
+  }
+}
+
+/**
+ * Suppression Manager for alarm deduplication and flood control
+ *
+ * Rules opt in with `suppression`:
+ *   { dedupeKey, cooldown, flood: { threshold, window }, suppressedBy: [ruleId] }
+ * dedupeKey is a field path, an array of paths or a {{template}}. Alarms are
+ * suppressed while an uncleared alarm has the same key (duplicate), within
+ * cooldown of the last alarm for the key, while a parent rule's alarm is
+ * active, or collapsed into a summary alarm once more than `threshold`
+ * alarms are raised within the flood window.
+ */
+class SuppressionManager {
+  constructor(alarmManager) {
+    this.alarmManager = alarmManager;
+
+    // `${ruleId}|${key}` -> last raised time
+    this.lastRaised = new Map();
+
+    // ruleId -> { times, summaryAlarmId, collapsed, startedAt, lastAt }
+    this.floods = new Map();
+
+    this.stats = { duplicate: 0, cooldown: 0, parent: 0, flood: 0, floodsStarted: 0 };
+  }
+
+  normalize(rule) {
+    const settings = rule.suppression;
+    if (!settings) {
+      return null;
+    }
+
+    return {
+      dedupeKey: settings.dedupeKey || null,
+      cooldown: parseDuration(settings.cooldown, 0),
+      flood: settings.flood ? {
+        threshold: settings.flood.threshold || 10,
+        window: parseDuration(settings.flood.window, 60000)
+      } : null,
+      suppressedBy: [].concat(settings.suppressedBy || [])
+    };
+  }
+
+  /**
+   * Build the dedupe key for an event ('*' when the rule has none)
+   */
+  getDedupeKey(rule, event, settings) {
+    const { dedupeKey } = settings;
+    if (!dedupeKey) {
+      return '*';
+    }
+
+    if (typeof dedupeKey === 'string' && dedupeKey.includes('{{')) {
+      return this.alarmManager.interpolateTemplate(dedupeKey, event, rule);
+    }
+
+    return [].concat(dedupeKey).map(path => {
+      const value = path.split('.').reduce((current, key) =>
+        current === undefined || current === null ? undefined : current[key], event);
+      return Array.isArray(value) ? value.join(',') : (value === undefined || value === null ? '' : String(value));
+    }).join('|');
+  }
+
+  /**
+   * Decide whether a triggered rule should raise a new alarm.
+   * Returns null when the rule has no suppression settings, { raise: true, key }
+   * to raise, or { raise: false, reason, key, alarm, flood } when suppressed.
+   */
+  check(rule, event, now = Date.now()) {
+    const settings = this.normalize(rule);
+    if (!settings) {
+      return null;
+    }
+
+    const key = this.getDedupeKey(rule, event, settings);
+    const activeAlarms = Array.from(this.alarmManager.activeAlarms.values());
+
+    // Parent alarm still active
+    if (settings.suppressedBy.length > 0) {
+      const parent = activeAlarms.find(alarm => settings.suppressedBy.includes(alarm.ruleId) && alarm.status !== 'cleared');
+      if (parent) {
+        return this.suppress('parent', key, parent);
       }
-    });
+    }
+
+    // Same key still open
+    if (settings.dedupeKey) {
+      const duplicate = activeAlarms.find(alarm => alarm.ruleId === rule.id && alarm.dedupeKey === key && !alarm.flood);
+      if (duplicate) {
+        duplicate.occurrences = (duplicate.occurrences || 1) + 1;
+        duplicate.lastOccurrence = now;
+        return this.suppress('duplicate', key, duplicate);
+      }
+    }
+
+    // Hold-off after the last alarm for this key
+    const lastRaised = this.lastRaised.get(`${rule.id}|${key}`);
+    if (settings.cooldown && lastRaised && now - lastRaised < settings.cooldown) {
+      return this.suppress('cooldown', key, null);
+    }
+
+    // Flood: collapse into a summary once over threshold
+    if (settings.flood) {
+      const flood = this.floods.get(rule.id) || { times: [], summaryAlarmId: null, collapsed: 0 };
+      flood.times = flood.times.filter(time => now - time < settings.flood.window);
+      flood.times.push(now);
+      flood.lastAt = now;
+      this.floods.set(rule.id, flood);
+
+      if (flood.summaryAlarmId || flood.times.length > settings.flood.threshold) {
+        flood.collapsed++;
+        return this.suppress('flood', key, null, flood);
+      }
+    }
+
+    return { raise: true, key };
+  }
+
+  suppress(reason, key, alarm, flood = null) {
+    this.stats[reason]++;
+    return { raise: false, reason, key, alarm, flood };
+  }
+
+  /**
+   * Remember a raised alarm for cooldowns
+   */
+  recordRaised(rule, key, now = Date.now()) {
+    this.lastRaised.set(`${rule.id}|${key}`, now);
+
+    // Keep the cooldown map bounded
+    if (this.lastRaised.size > 10000) {
+      this.lastRaised.delete(this.lastRaised.keys().next().value);
+    }
+  }
+
+  /**
+   * Floods that have been quiet for a whole window
+   */
+  getEndedFloods(rules, now = Date.now()) {
+    const ended = [];
+
+    for (const [ruleId, flood] of this.floods) {
+      const rule = rules.get(ruleId);
+      const settings = rule ? this.normalize(rule) : null;
+      const window = settings?.flood?.window || 60000;
+
+      if (now - flood.lastAt >= window) {
+        this.floods.delete(ruleId);
+        if (flood.summaryAlarmId) {
+          ended.push({ ruleId, ...flood });
+        }
+      }
+    }
+
+    return ended;
+  }
+
+  /**
+   * End the flood whose summary alarm was cleared, so later alarms start counting afresh
+   */
+  endFlood(alarmId) {
+    for (const [ruleId, flood] of this.floods) {
+      if (flood.summaryAlarmId === alarmId) {
+        this.floods.delete(ruleId);
+        return { ruleId, ...flood };
+      }
+    }
+    return null;
+  }
+
+  getStats() {
+    return {
+      suppressed: { ...this.stats },
+      activeFloods: Array.from(this.floods.entries())
+        .filter(([, flood]) => flood.summaryAlarmId)
+        .map(([ruleId, flood]) => ({ ruleId, alarmId: flood.summaryAlarmId, collapsed: flood.collapsed }))
+    };
   }
 }
 
+/**
+ * Allowed alarm state transitions
+ */
+const ALARM_TRANSITIONS = {
+  raised: ['acknowledged', 'shelved', 'cleared'],
+  acknowledged: ['shelved', 'cleared'],
+  shelved: ['raised', 'acknowledged', 'cleared'],
+  cleared: []
+};
+
 /**
  * Alarm Manager Connector
  * 
@@ -306,7 +715,6 @@ class AlarmManagerConnector extends BaseConnector {
     this.ruleEngine = null; // Will be set by the server
     this.notificationManager = new NotificationManager();
     this.commandProcessor = new CommandProcessor(this);
-    this.escalationManager = new EscalationManager();
     this.alarmTypeDiscovery = new AlarmTypeDiscoveryService();
     
     // Rate limiting for notifications to prevent spam
@@ -325,13 +733,20 @@ class AlarmManagerConnector extends BaseConnector {
     this.telegramConfig = config.telegram || {};
     this.mqttConfig = config.mqtt || {};
     
-    // Alarm escalation settings
-    this.escalationEnabled = config.escalationEnabled !== false;
-    this.escalationLevels = config.escalationLevels || [
-      { level: 1, delay: 300000, channels: ['telegram'] }, // 5 minutes
-      { level: 2, delay: 900000, channels: ['telegram', 'mqtt'] }, // 15 minutes
-      { level: 3, delay: 1800000, channels: ['telegram', 'mqtt', 'webhook'] } // 30 minutes
-    ];
+    // Alarm escalation settings (per-rule policies, on-call rotations)
+    this.escalationEnabled = this.config.escalationEnabled !== false;
+    this.escalationCheckInterval = this.config.escalationCheckInterval || 5000;
+    this.defaultShelveDuration = parseDuration(this.config.defaultShelveDuration, 3600000);
+    this.telegramActionButtons = this.config.telegramActionButtons !== false;
+    this.escalationManager = new EscalationManager(this, {
+      policies: this.config.escalationPolicies || {},
+      defaultPolicy: this.config.defaultEscalationPolicy || null,
+      onCall: this.config.onCall || {}
+    });
+    this.alarmTimer = null;
+    
+    // Deduplication, cooldowns, flood and parent/child suppression
+    this.suppressionManager = new SuppressionManager(this);
     
     // Command processing
     this.commandProcessingEnabled = config.commandProcessingEnabled !== false;
@@ -345,6 +760,14 @@ class AlarmManagerConnector extends BaseConnector {
     this.maxHistorySize = config.maxHistorySize || 1000;
     this.historyRetentionDays = config.historyRetentionDays || 30;
     
+    // Snapshots from the cameras covering an alarm's position
+    this.cameraCoverageService = null;
+    this.attachSnapshots = this.config.attachSnapshots !== false;
+    
+    // Evidence clips for every alarm, unless a rule captures its own
+    this.evidenceService = null;
+    this.captureEvidence = this.config.captureEvidence !== false;
+    
     // Auto-cleanup
     this.autoCleanupEnabled = config.autoCleanupEnabled !== false;
     this.cleanupInterval = config.cleanupInterval || 3600000; // 1 hour
@@ -374,7 +797,7 @@ class AlarmManagerConnector extends BaseConnector {
         name: 'Alarm Management',
         description: 'Manage alarm rules, conditions, and actions',
         category: 'alarms',
-        operations: ['create', 'read', 'update', 'delete', 'list', 'toggle', 'test', 'import', 'export', 'stats'],
+        operations: ['create', 'read', 'update', 'delete', 'list', 'toggle', 'test', 'import', 'export', 'stats', 'patterns'],
         dataTypes: ['rule', 'condition', 'action'],
         events: ['rule:created', 'rule:updated', 'rule:deleted', 'alarm:triggered'],
         parameters: {
@@ -402,9 +825,9 @@ class AlarmManagerConnector extends BaseConnector {
         name: 'Alarm History',
         description: 'Access alarm history and statistics',
         category: 'alarms',
-        operations: ['list', 'stats', 'acknowledge', 'resolve'],
+        operations: ['list', 'stats', 'acknowledge', 'resolve', 'shelve', 'unshelve', 'clear', 'active', 'get', 'escalations', 'oncall'],
         dataTypes: ['alarm', 'statistics'],
-        events: ['alarm:acknowledged', 'alarm:resolved'],
+        events: ['alarm:raised', 'alarm:acknowledged', 'alarm:shelved', 'alarm:unshelved', 'alarm:escalated', 'alarm:cleared'],
         parameters: {
           limit: { type: 'number', required: false },
           offset: { type: 'number', required: false },
@@ -444,6 +867,9 @@ class AlarmManagerConnector extends BaseConnector {
       // Setup event listeners
       this.setupEventListeners();
       
+      // Shelve expiry, floods, escalations and re-notification
+      this.alarmTimer = setInterval(() => this.checkAlarmTimers(), this.escalationCheckInterval);
+      
       // Note: Auto-cleanup functionality not yet implemented
       // if (this.autoCleanupEnabled) {
       //   this.startAutoCleanup();
@@ -468,6 +894,12 @@ class AlarmManagerConnector extends BaseConnector {
     const telegramConnector = this.connectorRegistry.getConnector('telegram-bot-main');
     if (telegramConnector) {
       this.channels.set('telegram', telegramConnector);
+      
+      // Acknowledge/shelve buttons on alarm notifications
+      if (!this.telegramCallbackListener) {
+        this.telegramCallbackListener = ({ query }) => this.handleTelegramCallback(query);
+        telegramConnector.on('callback-query', this.telegramCallbackListener);
+      }
       console.log('[AlarmManager] Telegram notification channel FORCE registered (debug)');
     } else {
       console.log('[AlarmManager] Telegram connector not found in registry');
@@ -503,9 +935,9 @@ class AlarmManagerConnector extends BaseConnector {
   setupEventListeners() {
     if (!this.eventBus) return;
     
-    this.eventTypes.forEach(eventType => {
-      this.eventBus.subscribe(eventType, this.handleEvent.bind(this));
-    });
+    this.eventSubscriptions = this.eventTypes.map(eventType => 
+      this.eventBus.subscribe(eventType, this.handleEvent.bind(this), { name: `alarm-manager:${eventType}` })
+    );
     
     console.log(`Event listeners set up for ${this.eventTypes.length} event types`);
   }
@@ -614,34 +1046,211 @@ class AlarmManagerConnector extends BaseConnector {
     try {
       console.log(`Rule '${rule.name}' triggered for event: ${event.type}`);
       
-      // Create alarm record
-      const alarm = {
-        id: `alarm-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        ruleId: rule.id,
-        ruleName: rule.name,
-        eventType: event.type,
-        source: event.source,
-        severity: rule.priority || 'medium',
+      const decision = this.suppressionManager.check(rule, event);
+      if (decision && !decision.raise) {
+        await this.recordSuppression(rule, event, decision);
+        return null;
+      }
+      
+      const alarm = this.createAlarm(rule, event, {
         message: this.interpolateTemplate(rule.description || 'Alarm triggered', event, rule),
-        timestamp: Date.now(),
-        status: 'active',
-        data: event.data || {}
-      };
+        dedupeKey: decision ? decision.key : undefined
+      });
       
-      // Store alarm
-      this.activeAlarms.set(alarm.id, alarm);
-      this.addToHistory(alarm);
+      if (decision) {
+        this.suppressionManager.recordRaised(rule, decision.key);
+      }
+      
+      if (this.captureEvidence && !rule.actions.some(action => action.type === 'capture_evidence')) {
+        this.captureAlarmEvidence(alarm, event);
+      }
       
       // Execute rule actions
       for (const action of rule.actions) {
         await this.executeAction(action, event, rule, alarm);
       }
       
+      return alarm;
     } catch (error) {
       console.error(`Error processing rule ${rule.name}:`, error);
     }
   }
 
+  /**
+   * Create, store and start escalating a raised alarm
+   */
+  createAlarm(rule, event, fields = {}) {
+    const now = Date.now();
+    const alarm = {
+      id: `alarm-${now}-${Math.random().toString(36).substr(2, 9)}`,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      eventType: event.type,
+      source: event.source,
+      severity: rule.priority || 'medium',
+      message: rule.description || 'Alarm triggered',
+      timestamp: now,
+      raisedAt: now,
+      status: 'raised',
+      escalationLevel: 0,
+      occurrences: 1,
+      transitions: [{ from: null, to: 'raised', at: new Date(now).toISOString(), by: 'system' }],
+      data: event.data || {},
+      ...fields
+    };
+    
+    // Cameras that can see where the alarm happened
+    if (this.cameraCoverageService && !alarm.cameras) {
+      const cameras = this.cameraCoverageService.getCamerasForEvent(event);
+      if (cameras.length > 0) {
+        alarm.cameras = cameras;
+      }
+    }
+    
+    // Store alarm
+    this.activeAlarms.set(alarm.id, alarm);
+    this.addToHistory(alarm);
+    
+    if (this.escalationEnabled) {
+      try {
+        this.escalationManager.startEscalation(alarm, rule);
+      } catch (error) {
+        this.logger.warn(`Escalation not started for rule ${rule.id}: ${error.message}`);
+      }
+    }
+    
+    this.publishAlarmEvent('alarm:raised', alarm);
+    
+    return alarm;
+  }
+
+  /**
+   * Record a suppressed alarm in history, starting a flood summary if needed
+   */
+  async recordSuppression(rule, event, decision) {
+    let target = decision.alarm;
+    
+    if (decision.reason === 'flood') {
+      target = this.activeAlarms.get(decision.flood.summaryAlarmId);
+      
+      if (!target) {
+        target = await this.raiseFloodSummary(rule, event, decision.flood);
+      } else {
+        target.flood.collapsed = decision.flood.collapsed;
+        target.occurrences = decision.flood.collapsed;
+        target.lastOccurrence = Date.now();
+      }
+    }
+    
+    const entry = {
+      id: `suppressed-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      eventType: event.type,
+      source: event.source,
+      severity: rule.priority || 'medium',
+      timestamp: Date.now(),
+      status: 'suppressed',
+      suppression: {
+        reason: decision.reason,
+        key: decision.key,
+        alarmId: target ? target.id : null
+      },
+      data: event.data || {}
+    };
+    
+    this.addToHistory(entry);
+    this.emit('alarm:suppressed', entry);
+    
+    this.logger.debug(`Alarm suppressed for rule ${rule.id} (${decision.reason}, key ${decision.key})`);
+    return entry;
+  }
+
+  /**
+   * Raise one summary alarm for a flood and notify the rule's channels
+   */
+  async raiseFloodSummary(rule, event, flood) {
+    const settings = this.suppressionManager.normalize(rule);
+    const windowSeconds = Math.round(settings.flood.window / 1000);
+    
+    const alarm = this.createAlarm(rule, event, {
+      message: `Alarm flood: ${rule.name} triggered more than ${settings.flood.threshold} times in ${windowSeconds}s`,
+      flood: {
+        collapsed: flood.collapsed,
+        threshold: settings.flood.threshold,
+        window: settings.flood.window,
+        startedAt: new Date().toISOString()
+      },
+      occurrences: flood.collapsed
+    });
+    
+    flood.summaryAlarmId = alarm.id;
+    flood.startedAt = Date.now();
+    this.suppressionManager.stats.floodsStarted++;
+    
+    const message = `
+🌊 <b>ALARM FLOOD</b>
+
+Rule: ${rule.name}
+More than ${settings.flood.threshold} alarms in ${windowSeconds}s.
+Further alarms are collapsed into this one until it has been quiet for ${windowSeconds}s.
+    `;
+    
+    for (const channel of this.getRuleChannels(rule)) {
+      await this.sendNotification(channel, message, { priority: alarm.severity, alarmId: alarm.id });
+    }
+    
+    this.publishAlarmEvent('alarm:flood', alarm, { collapsed: flood.collapsed });
+    return alarm;
+  }
+
+  /**
+   * Close floods that have gone quiet and send their totals
+   */
+  async endQuietFloods(now = Date.now()) {
+    const rules = new Map((this.ruleEngine ? this.ruleEngine.getRules() : []).map(rule => [rule.id, rule]));
+    
+    for (const flood of this.suppressionManager.getEndedFloods(rules, now)) {
+      const alarm = this.activeAlarms.get(flood.summaryAlarmId);
+      if (!alarm) {
+        continue;
+      }
+      
+      alarm.flood.endedAt = new Date(now).toISOString();
+      alarm.flood.collapsed = flood.collapsed;
+      alarm.message = `${alarm.message} (${flood.collapsed} collapsed)`;
+      
+      const rule = rules.get(flood.ruleId) || { actions: [] };
+      const message = `
+✅ <b>ALARM FLOOD ENDED</b>
+
+Rule: ${alarm.ruleName}
+${flood.collapsed} alarms were collapsed into this summary.
+      `;
+      
+      for (const channel of this.getRuleChannels(rule)) {
+        await this.sendNotification(channel, message, { priority: 'low', alarmId: alarm.id });
+      }
+      
+      this.publishAlarmEvent('alarm:flood:ended', alarm, { collapsed: flood.collapsed });
+    }
+  }
+
+  /**
+   * Notification channels used by a rule's notification actions
+   */
+  getRuleChannels(rule) {
+    const channels = new Set();
+    
+    for (const action of rule.actions || []) {
+      if (action.type === 'notification' || action.type === 'send_notification') {
+        (action.config?.channels || action.parameters?.channels || ['telegram']).forEach(channel => channels.add(channel));
+      }
+    }
+    
+    return channels.size > 0 ? Array.from(channels) : ['telegram'];
+  }
+
   async executeAction(action, event, rule, alarm) {
     try {
       switch (action.type) {
@@ -658,6 +1267,8 @@ class AlarmManagerConnector extends BaseConnector {
               
               if (result && result.success === false) {
                 console.error(`Failed to send notification to ${channel}:`, result.error);
+              } else if (channel === 'telegram' && alarm.cameras && this.attachSnapshots) {
+                await this.sendAlarmSnapshot(alarm);
               }
             } catch (error) {
               console.error(`Error sending notification to ${channel}:`, error);
@@ -678,6 +1289,10 @@ class AlarmManagerConnector extends BaseConnector {
           await this.clearAlarm(action, event, rule);
           break;
           
+        case 'capture_evidence':
+          this.captureAlarmEvidence(alarm, event, action.config || action.parameters || {});
+          break;
+          
         default:
           console.warn(`Unknown action type: ${action.type}`);
       }
@@ -686,6 +1301,49 @@ class AlarmManagerConnector extends BaseConnector {
     }
   }
 
+  /**
+   * Send a snapshot from the best camera covering an alarm to Telegram
+   */
+  async sendAlarmSnapshot(alarm, options = {}) {
+    const telegram = this.channels.get('telegram');
+    const [camera] = alarm.cameras || [];
+    if (!telegram || !camera || !this.cameraCoverageService) {
+      return null;
+    }
+    
+    try {
+      const photo = await this.cameraCoverageService.getSnapshot(camera.cameraId);
+      return await telegram.execute('telegram:send', 'photo', {
+        chatId: options.chatId || telegram.defaultChatId,
+        photo,
+        caption: `📷 ${camera.name} (${camera.distance} m)`
+      });
+    } catch (error) {
+      this.logger.warn(`Failed to send snapshot for alarm ${alarm.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Start an evidence capture for an alarm and link it in the alarm's history
+   */
+  captureAlarmEvidence(alarm, event, options = {}) {
+    if (!this.evidenceService) {
+      return null;
+    }
+    
+    try {
+      const evidence = this.evidenceService.captureForAlarm(alarm, event, options);
+      if (evidence) {
+        alarm.evidence = [...(alarm.evidence || []), { id: evidence.id, url: `/api/evidence/${evidence.id}` }];
+      }
+      return evidence;
+    } catch (error) {
+      this.logger.warn(`Failed to capture evidence for alarm ${alarm.id}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Execute webhook action
    */
@@ -843,10 +1501,34 @@ class AlarmManagerConnector extends BaseConnector {
    * Set RuleEngine reference
    */
   setRuleEngine(ruleEngine) {
+    if (this.ruleEngine && this.patternListener) {
+      this.ruleEngine.off('rule:pattern', this.patternListener);
+    }
+    
     this.ruleEngine = ruleEngine;
+    
+    // Pattern rules (counts, sequences, absence) fire from the rule engine
+    // rather than from a single bus event
+    this.patternListener = ({ rule, event }) => this.processRule(rule, event);
+    this.ruleEngine.on('rule:pattern', this.patternListener);
+    
     this.logger.info('RuleEngine reference set for AlarmManagerConnector');
   }
 
+  /**
+   * Set camera coverage service, used to attach camera snapshots to alarms
+   */
+  setCameraCoverageService(cameraCoverageService) {
+    this.cameraCoverageService = cameraCoverageService;
+  }
+
+  /**
+   * Set evidence service, used to export clips and snapshots for alarms
+   */
+  setEvidenceService(evidenceService) {
+    this.evidenceService = evidenceService;
+  }
+
   /**
    * Execute capability
    */
@@ -900,6 +1582,8 @@ class AlarmManagerConnector extends BaseConnector {
         return await this.exportRules();
       case 'stats':
         return await this.getRuleStats();
+      case 'patterns':
+        return await this.getPatternState(parameters.ruleId);
       default:
         throw new Error(`Unknown operation: ${operation}`);
     }
@@ -932,6 +1616,20 @@ class AlarmManagerConnector extends BaseConnector {
         return await this.acknowledgeAlarm(parameters.alarmId, parameters.userId, parameters.notes);
       case 'resolve':
         return await this.resolveAlarm(parameters.alarmId, parameters.userId);
+      case 'shelve':
+        return await this.shelveAlarm(parameters.alarmId, parameters.duration, parameters.userId, parameters.reason);
+      case 'unshelve':
+        return await this.unshelveAlarm(parameters.alarmId, parameters.userId);
+      case 'clear':
+        return await this.clearAlarmById(parameters.alarmId, parameters.userId, parameters.notes);
+      case 'active':
+        return await this.getActiveAlarms(parameters.filters);
+      case 'get':
+        return await this.getAlarm(parameters.alarmId);
+      case 'escalations':
+        return this.escalationManager.getActive();
+      case 'oncall':
+        return this.escalationManager.onCall.getStatus();
       default:
         throw new Error(`Unknown operation: ${operation}`);
     }
@@ -1104,7 +1802,8 @@ class AlarmManagerConnector extends BaseConnector {
       enabled: rules.filter(rule => rule.enabled !== false).length,
       disabled: rules.filter(rule => rule.enabled === false).length,
       byCategory: {},
-      byConnectorType: {}
+      byConnectorType: {},
+      patterns: this.ruleEngine.getStats().patterns
     };
     
     // Count by category
@@ -1122,6 +1821,17 @@ class AlarmManagerConnector extends BaseConnector {
     return stats;
   }
 
+  /**
+   * Get window state for pattern rules
+   */
+  async getPatternState(ruleId) {
+    if (!this.ruleEngine) {
+      return ruleId ? null : [];
+    }
+    
+    return this.ruleEngine.getPatternState(ruleId);
+  }
+
   /**
    * Test a rule with sample event data
    */
@@ -1215,6 +1925,8 @@ class AlarmManagerConnector extends BaseConnector {
       priorityStats,
       statusStats,
       historySize: this.alarmHistory.length,
+      activeEscalations: this.escalationManager.escalations.size,
+      suppression: this.suppressionManager.getStats(),
       channels: Array.from(this.channels.keys()),
       uptime: Date.now() - this.startTime,
       lastEvent: this.lastEventTime || null
@@ -1237,6 +1949,9 @@ class AlarmManagerConnector extends BaseConnector {
     if (filters.eventType) {
       history = history.filter(alarm => alarm.eventType === filters.eventType);
     }
+    if (filters.reason) {
+      history = history.filter(alarm => alarm.suppression?.reason === filters.reason);
+    }
     
     // Apply pagination
     const start = offset;
@@ -1252,14 +1967,27 @@ class AlarmManagerConnector extends BaseConnector {
     try {
       console.log('Disconnecting Alarm Manager Connector');
       
+      if (this.alarmTimer) {
+        clearInterval(this.alarmTimer);
+        this.alarmTimer = null;
+      }
+      
+      const telegramConnector = this.channels.get('telegram');
+      if (telegramConnector && this.telegramCallbackListener) {
+        telegramConnector.off('callback-query', this.telegramCallbackListener);
+        this.telegramCallbackListener = null;
+      }
+      
       // Clear active alarms
       this.activeAlarms.clear();
+      this.escalationManager.escalations.clear();
       
       // Clear event listeners
       if (this.eventBus) {
-        this.eventTypes.forEach(eventType => {
-          this.eventBus.unsubscribe(eventType, this.handleEvent.bind(this));
+        (this.eventSubscriptions || []).forEach(subscriberId => {
+          this.eventBus.unsubscribe(subscriberId);
         });
+        this.eventSubscriptions = [];
       }
       
       this.connected = false;
@@ -1296,6 +2024,7 @@ class AlarmManagerConnector extends BaseConnector {
             chatId: options.chatId,
             text: message,
             parseMode: 'HTML',
+            replyMarkup: this.buildAlarmKeyboard(options.alarmId),
             ...options
           });
           break;
@@ -1343,6 +2072,221 @@ class AlarmManagerConnector extends BaseConnector {
     }
   }
 
+  /**
+   * Inline Telegram buttons for an alarm that can still be handled
+   */
+  buildAlarmKeyboard(alarmId) {
+    const alarm = alarmId && this.activeAlarms.get(alarmId);
+    if (!this.telegramActionButtons || !alarm || alarm.status === 'cleared') {
+      return undefined;
+    }
+    
+    const shelveMinutes = Math.round(this.defaultShelveDuration / 60000);
+    return {
+      inline_keyboard: [[
+        { text: '✅ Acknowledge', callback_data: `alarm:ack:${alarmId}` },
+        { text: `🔕 Shelve ${shelveMinutes}m`, callback_data: `alarm:shelve:${alarmId}:${shelveMinutes}` },
+        { text: '🧹 Clear', callback_data: `alarm:clear:${alarmId}` }
+      ]]
+    };
+  }
+
+  /**
+   * Handle alarm buttons pressed in Telegram
+   */
+  async handleTelegramCallback(query) {
+    if (!query || !query.data || !query.data.startsWith('alarm:')) {
+      return;
+    }
+    
+    const [, action, alarmId, argument] = query.data.split(':');
+    const user = query.from?.username || query.from?.first_name || String(query.from?.id || 'telegram');
+    const by = `telegram:${user}`;
+    let reply;
+    
+    try {
+      switch (action) {
+        case 'ack':
+          await this.acknowledgeAlarm(alarmId, by);
+          reply = `✅ Acknowledged by ${user}`;
+          break;
+        case 'shelve':
+          await this.shelveAlarm(alarmId, argument ? Number(argument) * 60000 : undefined, by);
+          reply = `🔕 Shelved for ${argument || Math.round(this.defaultShelveDuration / 60000)} minutes`;
+          break;
+        case 'clear':
+          await this.clearAlarmById(alarmId, by);
+          reply = '🧹 Alarm cleared';
+          break;
+        default:
+          reply = `Unknown alarm action: ${action}`;
+      }
+    } catch (error) {
+      reply = `⚠️ ${error.message}`;
+    }
+    
+    try {
+      await this.channels.get('telegram').execute('telegram:keyboard', 'answer', {
+        callbackQueryId: query.id,
+        text: reply
+      });
+    } catch (error) {
+      this.logger.warn(`Failed to answer Telegram callback: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move an alarm through raised → acknowledged → shelved → cleared
+   */
+  transitionAlarm(alarmId, to, by = 'system', details = {}) {
+    const alarm = this.activeAlarms.get(alarmId);
+    if (!alarm) {
+      const error = new Error(`Alarm not found: ${alarmId}`);
+      error.code = 'ALARM_NOT_FOUND';
+      throw error;
+    }
+    
+    const from = alarm.status;
+    if (!(ALARM_TRANSITIONS[from] || []).includes(to)) {
+      const error = new Error(`Cannot move alarm from ${from} to ${to}`);
+      error.code = 'INVALID_TRANSITION';
+      throw error;
+    }
+    
+    const at = new Date().toISOString();
+    alarm.status = to;
+    alarm.transitions = alarm.transitions || [];
+    alarm.transitions.push({ from, to, at, by, ...details });
+    
+    return alarm;
+  }
+
+  /**
+   * Acknowledge an alarm, stopping escalation and re-notification
+   */
+  async acknowledgeAlarm(alarmId, userId = 'system', notes = '') {
+    const alarm = this.transitionAlarm(alarmId, 'acknowledged', userId, notes ? { notes } : {});
+    alarm.acknowledgedAt = Date.now();
+    alarm.acknowledgedBy = userId;
+    delete alarm.shelvedUntil;
+    delete alarm.shelvedFrom;
+    
+    this.publishAlarmEvent('alarm:acknowledged', alarm, { by: userId, notes });
+    return alarm;
+  }
+
+  /**
+   * Shelve an alarm for a period; it returns to its previous state afterwards
+   */
+  async shelveAlarm(alarmId, duration, userId = 'system', reason = '') {
+    const shelveFor = parseDuration(duration, this.defaultShelveDuration);
+    if (!(shelveFor > 0)) {
+      throw new Error('Shelve duration must be positive');
+    }
+    
+    const previous = this.activeAlarms.get(alarmId)?.status;
+    const shelvedUntil = new Date(Date.now() + shelveFor).toISOString();
+    const alarm = this.transitionAlarm(alarmId, 'shelved', userId, { until: shelvedUntil, ...(reason ? { reason } : {}) });
+    alarm.shelvedUntil = shelvedUntil;
+    alarm.shelvedFrom = previous;
+    alarm.shelvedBy = userId;
+    
+    this.publishAlarmEvent('alarm:shelved', alarm, { by: userId, until: shelvedUntil, reason });
+    return alarm;
+  }
+
+  /**
+   * Return a shelved alarm to the state it was shelved from
+   */
+  async unshelveAlarm(alarmId, userId = 'system') {
+    const current = this.activeAlarms.get(alarmId);
+    const to = current?.shelvedFrom === 'acknowledged' ? 'acknowledged' : 'raised';
+    const alarm = this.transitionAlarm(alarmId, to, userId);
+    delete alarm.shelvedUntil;
+    delete alarm.shelvedFrom;
+    
+    if (to === 'raised') {
+      // Still unhandled: start escalating again from the first level
+      this.escalationManager.restartEscalation(alarmId);
+    }
+    
+    this.publishAlarmEvent('alarm:unshelved', alarm, { by: userId });
+    return alarm;
+  }
+
+  /**
+   * Resolve an alarm (alias for clearing it)
+   */
+  async resolveAlarm(alarmId, userId = 'system') {
+    return this.clearAlarmById(alarmId, userId);
+  }
+
+  /**
+   * Get alarms that have not been cleared
+   */
+  async getActiveAlarms(filters = {}) {
+    return Array.from(this.activeAlarms.values())
+      .filter(alarm => !filters.status || alarm.status === filters.status)
+      .filter(alarm => !filters.ruleId || alarm.ruleId === filters.ruleId)
+      .sort((a, b) => b.raisedAt - a.raisedAt);
+  }
+
+  /**
+   * Get a single alarm, including cleared alarms still in history
+   */
+  async getAlarm(alarmId) {
+    return this.activeAlarms.get(alarmId) || this.alarmHistory.find(alarm => alarm.id === alarmId) || null;
+  }
+
+  /**
+   * Expire shelves, end quiet floods and run escalations
+   *
+   * Shelves and floods expire whether or not escalation is enabled; only
+   * escalation and re-notification depend on it.
+   */
+  async checkAlarmTimers(now = Date.now()) {
+    try {
+      for (const alarm of this.activeAlarms.values()) {
+        if (alarm.status === 'shelved' && alarm.shelvedUntil && new Date(alarm.shelvedUntil).getTime() <= now) {
+          await this.unshelveAlarm(alarm.id, 'system:shelve-expired');
+        }
+      }
+      
+      if (this.escalationEnabled) {
+        await this.escalationManager.check(now);
+      }
+      await this.endQuietFloods(now);
+    } catch (error) {
+      this.logger.error('Error checking alarm timers:', error);
+    }
+  }
+
+  /**
+   * Publish an alarm lifecycle event on the event bus
+   */
+  publishAlarmEvent(type, alarm, details = {}) {
+    this.emit(type, { alarm, ...details });
+    
+    if (!this.eventBus || typeof this.eventBus.publishEvent !== 'function') {
+      return;
+    }
+    
+    this.eventBus.publishEvent({
+      type,
+      source: this.id,
+      timestamp: new Date().toISOString(),
+      data: {
+        alarmId: alarm.id,
+        ruleId: alarm.ruleId,
+        ruleName: alarm.ruleName,
+        status: alarm.status,
+        severity: alarm.severity,
+        escalationLevel: alarm.escalationLevel,
+        ...details
+      }
+    });
+  }
+
   async clearAlarm(action, event, rule) {
     try {
       const alarmId = action.parameters?.alarmId || action.config?.alarmId;
@@ -1364,33 +2308,33 @@ class AlarmManagerConnector extends BaseConnector {
     }
   }
 
-  async clearAlarmById(alarmId) {
-    const alarm = this.activeAlarms.get(alarmId);
-    if (!alarm) {
+  async clearAlarmById(alarmId, userId = 'system', notes = '') {
+    if (!this.activeAlarms.has(alarmId)) {
       console.warn(`Alarm ${alarmId} not found`);
-      return;
+      return null;
     }
     
-    // Update alarm status
-    alarm.status = 'cleared';
+    // Update alarm status (the history entry is the same object)
+    const alarm = this.transitionAlarm(alarmId, 'cleared', userId, notes ? { notes } : {});
     alarm.clearedAt = Date.now();
+    alarm.clearedBy = userId;
     
-    // Remove from active alarms
+    // Remove from active alarms and stop escalating
     this.activeAlarms.delete(alarmId);
+    this.escalationManager.clearEscalation(alarmId);
     
-    // Add to history
-    this.addToHistory(alarm);
+    // A cleared flood summary ends its flood
+    const flood = this.suppressionManager.endFlood(alarmId);
+    if (flood && alarm.flood) {
+      alarm.flood.endedAt = new Date(alarm.clearedAt).toISOString();
+      alarm.flood.collapsed = flood.collapsed;
+    }
     
     // Notify GUI
-    if (this.eventBus) {
-      this.eventBus.publishEvent('alarm:cleared', {
-        alarmId,
-        ruleId: alarm.ruleId,
-        timestamp: Date.now()
-      });
-    }
+    this.publishAlarmEvent('alarm:cleared', alarm, { by: userId });
     
     console.log(`Alarm ${alarmId} cleared`);
+    return alarm;
   }
 
   async clearAllAlarms() {
@@ -345,6 +345,9 @@ class HikvisionConnector extends BaseConnector {
       case 'stop':
         return this.stopPTZ(parameters);
       
+      case 'absolute':
+        return this.absolutePTZ(parameters);
+      
       case 'preset':
         return this.setPTZPreset(parameters);
       
@@ -760,6 +763,44 @@ class HikvisionConnector extends BaseConnector {
     }
   }
   
+  /**
+   * Move PTZ to an absolute position
+   * pan 0-360 and tilt (positive up) in degrees, zoom as a ratio
+   */
+  async absolutePTZ(parameters) {
+    const { channelId, pan, tilt = 0, zoom = 1 } = parameters;
+    
+    if (!channelId || typeof pan !== 'number') {
+      throw new Error('Channel ID and pan are required');
+    }
+    
+    // ISAPI uses tenths of a degree, with elevation positive below the horizon
+    const azimuth = Math.round((((pan % 360) + 360) % 360) * 10);
+    const elevation = Math.round(Math.max(-90, Math.min(90, tilt)) * -10);
+    const absoluteZoom = Math.round(Math.max(1, zoom) * 10);
+    
+    try {
+      const xmlData = `<?xml version="1.0" encoding="UTF-8"?>
+<PTZData version="2.0" xmlns="http://www.hikvision.com/ver20/XMLSchema">
+  <AbsoluteHigh>
+    <elevation>${elevation}</elevation>
+    <azimuth>${azimuth}</azimuth>
+    <absoluteZoom>${absoluteZoom}</absoluteZoom>
+  </AbsoluteHigh>
+</PTZData>`;
+      
+      const response = await this.httpClient.put(`${this.apiEndpoints.ptz}/channels/${channelId}/absolute`, xmlData);
+      
+      if (response.status === 200) {
+        return { success: true, message: 'PTZ moved to position', azimuth, elevation, absoluteZoom };
+      } else {
+        throw new Error('Failed to move PTZ to position');
+      }
+    } catch (error) {
+      throw new Error(`Error moving PTZ to position: ${error.message}`);
+    }
+  }
+  
   /**
    * Set PTZ preset
    */
@@ -879,7 +920,7 @@ class HikvisionConnector extends BaseConnector {
         id: 'hikvision:ptz',
         name: 'PTZ Control',
         description: 'Control pan, tilt, and zoom functions',
-        operations: ['move', 'stop', 'preset', 'goto', 'zoom', 'list-presets'],
+        operations: ['move', 'stop', 'absolute', 'preset', 'goto', 'zoom', 'list-presets'],
         requiresConnection: true
       },
       {
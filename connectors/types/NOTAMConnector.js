@@ -1,7 +1,6 @@
 const BaseConnector = require('../BaseConnector');
-const axios = require('axios');
-const xml2js = require('xml2js');
-const https = require('https');
+const NOTAMParser = require('../../services/notamParser');
+const { createNOTAMSource, createXMLParser, collectElements, detectFormat } = require('../../services/notamSources');
 
 /**
  * NOTAM Connector for UK NOTAM data integration
@@ -9,6 +8,16 @@ const https = require('https');
  * Connects to the UK NOTAM archive XML feed to fetch NOTAM data and provides
  * geospatial visualization on the map system. Supports NOTAM tracking,
  * proximity alerts, and temporal analysis.
+ *
+ * Each NOTAM's Q-line, E-field area and F/G limits are decoded into a 3D
+ * volume and its D-field schedule into active periods (see
+ * services/notamParser.js), which proximity checks and filters use.
+ *
+ * NOTAMs are read through source adapters (services/notamSources.js): the
+ * PIB XML feed, ICAO text files, AIXM 5.1 Digital NOTAM and directory drops.
+ * A NOTAM is identified by series/number/year across sources; NOTAMR and
+ * NOTAMC withdraw the NOTAM they reference, and each poll's additions,
+ * replacements and cancellations are kept in a change log.
  */
 class NOTAMConnector extends BaseConnector {
   constructor(config = {}) {
@@ -44,7 +53,9 @@ class NOTAMConnector extends BaseConnector {
       expiredNotams: 0,
       apiCalls: 0,
       lastUpdate: null,
-      parseErrors: 0
+      parseErrors: 0,
+      replacedNotams: 0,
+      cancelledNotams: 0
     };
     
     // Map integration
@@ -52,25 +63,24 @@ class NOTAMConnector extends BaseConnector {
     this.mapConnectors = new Map();
     
     // XML parser - configured for lenient parsing
-    this.xmlParser = new xml2js.Parser({
-      explicitArray: false,
-      mergeAttrs: true,
-      strict: false,
-      ignoreAttrs: false,
-      attrNameProcessors: [xml2js.processors.stripPrefix],
-      tagNameProcessors: [xml2js.processors.stripPrefix],
-      valueProcessors: [xml2js.processors.parseBooleans, xml2js.processors.parseNumbers],
-      emptyTag: null,
-      explicitChildren: false,
-      childkey: 'children',
-      charsAsChildren: false,
-      includeWhiteChars: false,
-      async: false,
-      explicitRoot: true,
-      normalize: true,
-      normalizeTags: false,
-      trim: true
-    });
+    this.xmlParser = createXMLParser();
+    
+    // Source adapters, in priority order; the single feed URL by default
+    this.sources = (this.config.sources || [{ type: 'pib', url: this.notamUrl }]).map(source =>
+      createNOTAMSource(source.type, source, { xmlParser: this.xmlParser, logger: this.logger })
+    );
+    this.lastFetch = [];
+    
+    // NOTAMs withdrawn by a NOTAMR or NOTAMC, and the series/number/year keys
+    // withdrawn (key -> time until which a feed may still carry the old NOTAM)
+    this.withdrawnNotams = new Map();
+    this.withdrawnKeys = new Map();
+    // Withdrawn NOTAMs are kept this long for playback history, as long as track history by default
+    this.withdrawnRetention = (this.config.withdrawnRetentionDays || 30) * 86400000;
+    
+    // What each poll or import added, replaced and cancelled
+    this.changeLog = [];
+    this.maxChangeLog = this.config.maxChangeLog || 50;
   }
 
   /**
@@ -108,6 +118,7 @@ class NOTAMConnector extends BaseConnector {
           type: 'notam',
           name: notam.title || `NOTAM ${notam.notamNumber}`,
           position: notam.position,
+          geometry: notam.geometry || null,
           properties: {
             notamNumber: notam.notamNumber,
             title: notam.title,
@@ -307,6 +318,10 @@ class NOTAMConnector extends BaseConnector {
         return this.getNOTAMs(parameters);
       case 'get':
         return this.getNOTAM(parameters.notamId);
+      case 'import':
+        return await this.importNOTAMs(parameters);
+      case 'changes':
+        return this.getChangeLog(parameters);
       default:
         throw new Error(`Unknown operation: ${operation}`);
     }
@@ -384,7 +399,8 @@ class NOTAMConnector extends BaseConnector {
       this.logger.info('Connecting to NOTAM data source...');
       
       // Test connection by fetching initial data
-      await this.fetchNOTAMData();
+      const notams = await this.fetchNOTAMData();
+      await this.applyNOTAMs(notams);
       
       // Start polling
       this.startPolling();
@@ -456,13 +472,12 @@ class NOTAMConnector extends BaseConnector {
       
       const newNotams = await this.fetchNOTAMData();
       
-      // Process new NOTAMs
-      for (const notam of newNotams) {
-        await this.processNOTAM(notam);
-      }
+      // Process new NOTAMs, replacements and cancellations
+      await this.applyNOTAMs(newNotams);
       
       // Check for expired NOTAMs
       await this.expireNOTAMs();
+      this.pruneWithdrawn();
       
       // Update map displays
       await this.updateMapDisplays();
@@ -476,116 +491,215 @@ class NOTAMConnector extends BaseConnector {
   }
 
   /**
-   * Fetch NOTAM data from XML source
+   * Fetch NOTAM data from every source, one copy of each NOTAM
    */
   async fetchNOTAMData() {
-    try {
-      this.stats.apiCalls++;
-      
-      // Create HTTPS agent to ignore SSL issues
-      const httpsAgent = new https.Agent({
-        rejectUnauthorized: false
-      });
-      
-      const response = await axios.get(this.notamUrl, {
-        httpsAgent,
-        timeout: 30000,
-        headers: {
-          'User-Agent': 'Babelfish-LookingGlass/1.0'
-        }
-      });
-      
-      if (response.status !== 200) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      // Log the first 500 characters for debugging
-      this.logger.debug('Raw XML response (first 500 chars):', response.data.substring(0, 500));
-      
-      // Parse XML
-      const result = await this.xmlParser.parseStringPromise(response.data);
-      
-      // Debug: Log the structure
-      this.logger.debug('Parsed XML structure keys:', Object.keys(result));
-      if (result.PIB) {
-        this.logger.debug('PIB keys:', Object.keys(result.PIB));
-        if (result.PIB.NotamList) {
-          this.logger.debug('NotamList type:', Array.isArray(result.PIB.NotamList) ? 'array' : 'object');
-          this.logger.debug('NotamList keys:', Object.keys(result.PIB.NotamList));
+    this.stats.apiCalls++;
+    
+    const notams = [];
+    const seen = new Set();
+    const summary = [];
+    
+    for (const source of this.sources) {
+      const result = { id: source.id, type: source.type, notams: 0, duplicates: 0, error: null };
+      try {
+        const elements = await source.fetch();
+        for (const notam of this.parseElements(elements, source.id)) {
+          // Earlier sources win when several carry the same NOTAM
+          const key = notam.key || notam.id;
+          if (seen.has(key)) {
+            result.duplicates++;
+            continue;
+          }
+          seen.add(key);
+          notams.push(notam);
+          result.notams++;
         }
+      } catch (error) {
+        result.error = error.message;
+        this.logger.error(`Failed to fetch NOTAM data from ${source.id}:`, error.message);
       }
-      
-      // Extract NOTAM data
-      const notams = this.extractNOTAMs(result);
-      
-      this.logger.info(`Fetched ${notams.length} NOTAMs from XML source`);
-      
-      return notams;
-      
-    } catch (error) {
-      this.logger.error('Failed to fetch NOTAM data:', error.message);
-      this.logger.error('Error details:', error.stack);
-      throw error;
+      summary.push(result);
     }
+    
+    this.lastFetch = summary;
+    if (summary.length > 0 && summary.every(result => result.error)) {
+      throw new Error(`All NOTAM sources failed: ${summary.map(result => `${result.id}: ${result.error}`).join('; ')}`);
+    }
+    
+    this.logger.info(`Fetched ${notams.length} NOTAMs from ${summary.length} source(s)`);
+    
+    return notams;
   }
 
   /**
    * Extract NOTAMs from parsed XML
    */
   extractNOTAMs(xmlData) {
-    const notams = [];
-    
     try {
-      // More robust approach - search for NOTAM elements recursively
-      const findNotams = (obj) => {
-        if (typeof obj !== 'object' || obj === null) return;
-        
-        for (const [key, value] of Object.entries(obj)) {
-          // Look for NOTAM elements (case insensitive)
-          if (key.toLowerCase() === 'notam' || 
-              key.toLowerCase() === 'notamlist' ||
-              key.toLowerCase() === 'adsection' ||
-              key.toLowerCase() === 'firsection') {
-            this.logger.debug(`Found NOTAM-related element with key: ${key}`);
-            
-            if (key.toLowerCase() === 'notam') {
-              if (Array.isArray(value)) {
-                this.logger.debug(`Found ${value.length} NOTAM elements in array`);
-                for (const notamElement of value) {
-                  const notam = this.parseNOTAMElement(notamElement);
-                  if (notam) {
-                    notams.push(notam);
-                  }
-                }
-              } else if (typeof value === 'object') {
-                this.logger.debug('Found single NOTAM element');
-                const notam = this.parseNOTAMElement(value);
-                if (notam) {
-                  notams.push(notam);
-                }
-              }
-            }
-          }
-          
-          // Recursively search nested objects
-          if (typeof value === 'object' && value !== null) {
-            findNotams(value);
-          }
-        }
-      };
-      
-      findNotams(xmlData);
-      
-      this.logger.debug(`Found ${notams.length} NOTAM elements in XML structure`);
-      
+      return this.parseElements(collectElements(xmlData, 'notam'));
     } catch (error) {
       this.logger.error('Error extracting NOTAMs from XML:', error);
       this.stats.parseErrors++;
+      return [];
+    }
+  }
+
+  /**
+   * Parse source elements into NOTAMs, tagged with the source they came from
+   */
+  parseElements(elements, sourceId = null) {
+    const notams = [];
+    for (const element of elements) {
+      const notam = this.parseNOTAMElement(element);
+      if (notam) {
+        notam.source = sourceId;
+        notams.push(notam);
+      }
     }
-    
     return notams;
   }
 
+  /**
+   * Import NOTAMs from a file or content, outside the polled sources
+   */
+  async importNOTAMs({ path = null, content = null, format = 'auto' } = {}) {
+    if (!path && (content === null || content === undefined)) {
+      throw new Error('path or content is required');
+    }
+    
+    const { promises: fs } = require('fs');
+    const text = content !== null && content !== undefined ? String(content) : await fs.readFile(path, 'utf8');
+    const type = format === 'auto' ? detectFormat(text) : format;
+    const source = createNOTAMSource(type, { id: `import:${type}` }, { xmlParser: this.xmlParser, logger: this.logger });
+    
+    const seen = new Set();
+    const notams = this.parseElements(await source.parse(text), source.id).filter(notam => {
+      const key = notam.key || notam.id;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    
+    const changes = await this.applyNOTAMs(notams, [{ id: source.id, type, notams: notams.length, path }]);
+    await this.updateMapDisplays();
+    return changes;
+  }
+
+  /**
+   * Store fetched NOTAMs and withdraw those replaced or cancelled, recording the changes
+   */
+  async applyNOTAMs(notams, sources = this.lastFetch) {
+    const changes = {
+      timestamp: new Date().toISOString(),
+      sources,
+      added: [],
+      replaced: [],
+      cancelled: []
+    };
+    
+    // NOTAMs a NOTAMR or NOTAMC in the same batch withdraws are never added
+    const withdrawnInBatch = new Set(notams
+      .filter(notam => notam.reference && (notam.notamType === 'R' || notam.notamType === 'C'))
+      .map(notam => notam.reference));
+    
+    // New and replacement NOTAMs first, so references within the batch resolve
+    for (const notam of notams) {
+      if (notam.notamType === 'C' || (notam.key && (this.withdrawnKeys.has(notam.key) || withdrawnInBatch.has(notam.key)))) continue;
+      if (await this.processNOTAM(notam)) {
+        changes.added.push(notam.notamNumber);
+      }
+    }
+    
+    for (const notam of notams) {
+      if (!notam.reference || (notam.notamType !== 'R' && notam.notamType !== 'C')) continue;
+      const status = notam.notamType === 'R' ? 'replaced' : 'cancelled';
+      const withdrawn = this.withdrawNOTAM(notam.reference, status, notam);
+      if (withdrawn) {
+        changes[status].push({ notamNumber: withdrawn.notamNumber, by: notam.notamNumber });
+      }
+    }
+    
+    this.changeLog.push(changes);
+    if (this.changeLog.length > this.maxChangeLog) {
+      this.changeLog.shift();
+    }
+    
+    if (changes.added.length || changes.replaced.length || changes.cancelled.length) {
+      this.emit('notam:changes', changes);
+      this.logger.info(`NOTAM changes: ${changes.added.length} added, ${changes.replaced.length} replaced, ${changes.cancelled.length} cancelled`);
+    }
+    
+    return changes;
+  }
+
+  /**
+   * Withdraw the NOTAM with a series/number/year key, replaced by a NOTAMR or cancelled by a NOTAMC
+   */
+  withdrawNOTAM(key, status, by) {
+    const notam = Array.from(this.notams.values()).find(candidate => candidate.key === key);
+    
+    // Remember the key so a feed still carrying the old NOTAM does not bring it back,
+    // until the old NOTAM's validity ends (or the retention period, if that is not known)
+    const endTime = notam && notam.endTime ? new Date(notam.endTime).getTime() : NaN;
+    this.withdrawnKeys.set(key, Number.isNaN(endTime) ? Date.now() + this.withdrawnRetention : endTime);
+    
+    if (!notam) {
+      return null;
+    }
+    
+    notam.status = status;
+    notam.withdrawnBy = by.notamNumber;
+    notam.withdrawnAt = new Date().toISOString();
+    
+    this.notams.delete(notam.id);
+    if (this.activeNotams.delete(notam.id)) {
+      this.stats.activeNotams--;
+    }
+    this.expiredNotams.delete(notam.id);
+    this.withdrawnNotams.set(notam.id, notam);
+    this.stats[status === 'replaced' ? 'replacedNotams' : 'cancelledNotams']++;
+    
+    // Remove from spatial elements
+    this.spatialElements.delete(`notam-${notam.id}`);
+    
+    this.emit(`notam:${status}`, {
+      notam,
+      by,
+      timestamp: new Date().toISOString()
+    });
+    
+    this.logger.info(`NOTAM ${status}: ${notam.notamNumber} by ${by.notamNumber}`);
+    return notam;
+  }
+
+  /**
+   * Forget withdrawn keys a feed can no longer carry, and withdrawn NOTAMs
+   * older than the retention period
+   */
+  pruneWithdrawn(now = Date.now()) {
+    let pruned = 0;
+    for (const [key, until] of this.withdrawnKeys) {
+      if (until < now) {
+        this.withdrawnKeys.delete(key);
+      }
+    }
+    for (const [id, notam] of this.withdrawnNotams) {
+      if (new Date(notam.withdrawnAt).getTime() < now - this.withdrawnRetention) {
+        this.withdrawnNotams.delete(id);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * Recent change log entries, newest first
+   */
+  getChangeLog({ limit = 10 } = {}) {
+    return this.changeLog.slice(-limit).reverse();
+  }
+
   /**
    * Parse individual NOTAM element
    */
@@ -596,18 +710,32 @@ class NOTAMConnector extends BaseConnector {
         this.logger.debug('Sample NOTAM element:', JSON.stringify(element, null, 2));
         this._loggedFirstNotam = true;
       }
+      const startTime = this.extractStartTime(element);
+      const endTime = this.extractEndTime(element);
+      const qLine = this.extractQLine(element);
+      const volume = this.extractVolume(element, qLine);
+      const schedule = NOTAMParser.parseSchedule(NOTAMParser.field(element, 'ItemD'), startTime, endTime);
+
       // Extract basic NOTAM information
       const notam = {
         id: this.generateNOTAMId(element),
         notamNumber: this.extractNOTAMNumber(element),
+        key: this.extractNOTAMKey(element),
+        notamType: this.extractNOTAMType(element),
+        reference: this.extractReference(element),
         title: this.extractTitle(element),
         description: this.extractDescription(element),
-        startTime: this.extractStartTime(element),
-        endTime: this.extractEndTime(element),
+        startTime,
+        endTime,
         category: this.extractCategory(element),
         priority: this.extractPriority(element),
-        affectedArea: this.extractAffectedArea(element),
-        position: this.extractPosition(element),
+        affectedArea: this.extractAffectedArea(element, qLine),
+        position: volume ? volume.center : this.extractPosition(element),
+        qLine,
+        volume,
+        geometry: NOTAMParser.toGeometry(volume),
+        schedule,
+        activePeriods: schedule && schedule.parsed ? schedule.periods : null,
         status: 'active',
         rawData: element
       };
@@ -643,13 +771,9 @@ class NOTAMConnector extends BaseConnector {
     try {
       // UK NOTAM structure: Series + Number + Year + Type
       // e.g., L3206/25N
-      const series = element.Series || '';
-      const number = element.Number || '';
-      const year = element.Year || '';
-      const type = element.Type || '';
-      
-      if (series && number && year) {
-        return `${series}${number}/${year}${type}`;
+      const key = this.extractNOTAMKey(element);
+      if (key) {
+        return `${key}${this.extractNOTAMType(element) || ''}`;
       }
       
       // Fallback to other possible fields
@@ -669,6 +793,38 @@ class NOTAMConnector extends BaseConnector {
     }
   }
 
+  /**
+   * Extract the series/number/year identifying a NOTAM across sources, e.g. L3206/25
+   */
+  extractNOTAMKey(element) {
+    const series = NOTAMParser.field(element, 'Series');
+    const number = NOTAMParser.field(element, 'Number');
+    const year = NOTAMParser.field(element, 'Year');
+    
+    if (!series || !number || !year) {
+      return null;
+    }
+    
+    // Numeric parsing drops leading zeros
+    return `${series}${String(number).padStart(4, '0')}/${String(year).padStart(2, '0').slice(-2)}`;
+  }
+
+  /**
+   * Extract the NOTAM type: N(ew), R(eplace) or C(ancel)
+   */
+  extractNOTAMType(element) {
+    const type = NOTAMParser.field(element, 'Type');
+    return type ? type.toString().trim().toUpperCase() : null;
+  }
+
+  /**
+   * Extract the NOTAM a NOTAMR replaces or a NOTAMC cancels
+   */
+  extractReference(element) {
+    const reference = NOTAMParser.field(element, 'Reference');
+    return reference ? reference.toString().trim().toUpperCase() : null;
+  }
+
   /**
    * Extract title
    */
@@ -730,7 +886,8 @@ class NOTAMConnector extends BaseConnector {
     try {
       // UK NOTAM structure: STARTVALIDITY in format DDMMYYHHMM
       if (element.STARTVALIDITY) {
-        const validity = element.STARTVALIDITY.toString();
+        // Numeric parsing drops the leading zero of days 01-09
+        const validity = element.STARTVALIDITY.toString().padStart(10, '0');
         if (validity.length === 10) {
           const day = validity.substring(0, 2);
           const month = validity.substring(2, 4);
@@ -766,7 +923,8 @@ class NOTAMConnector extends BaseConnector {
     try {
       // UK NOTAM structure: ENDVALIDITY in format DDMMYYHHMM
       if (element.ENDVALIDITY) {
-        const validity = element.ENDVALIDITY.toString();
+        // Numeric parsing drops the leading zero of days 01-09
+        const validity = element.ENDVALIDITY.toString().padStart(10, '0');
         if (validity.length === 10) {
           const day = validity.substring(0, 2);
           const month = validity.substring(2, 4);
@@ -828,7 +986,7 @@ class NOTAMConnector extends BaseConnector {
   /**
    * Extract affected area
    */
-  extractAffectedArea(element) {
+  extractAffectedArea(element, qLine = null) {
     const possibleFields = ['area', 'affectedArea', 'region', 'zone'];
     
     for (const field of possibleFields) {
@@ -837,22 +995,64 @@ class NOTAMConnector extends BaseConnector {
       }
     }
     
+    // Aerodrome NOTAMs name the aerodrome in item A, others the FIR in the Q-line
+    const location = NOTAMParser.field(element, 'ItemA');
+    if (qLine && qLine.scope.includes('aerodrome') && location) {
+      return location.toString();
+    }
+    if (qLine && qLine.fir) {
+      return qLine.fir;
+    }
+    if (location) {
+      return location.toString();
+    }
+    
     return 'UK';
   }
 
+  /**
+   * Extract the decoded Q-line
+   */
+  extractQLine(element) {
+    try {
+      return NOTAMParser.parseQLine(NOTAMParser.field(element, 'QLine') || NOTAMParser.field(element, 'ItemQ'), {
+        coordinates: NOTAMParser.field(element, 'Coordinates'),
+        radius: NOTAMParser.field(element, 'Radius')
+      });
+    } catch (error) {
+      this.logger.error('Error extracting Q-line:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Extract the 3D volume from item E, falling back to the Q-line circle
+   */
+  extractVolume(element, qLine) {
+    try {
+      return NOTAMParser.buildVolume({
+        qLine,
+        text: this.extractDescription(element),
+        lower: NOTAMParser.field(element, 'ItemF'),
+        upper: NOTAMParser.field(element, 'ItemG')
+      });
+    } catch (error) {
+      this.logger.error('Error extracting volume:', error);
+      return null;
+    }
+  }
+
   /**
    * Extract position
    */
   extractPosition(element) {
     try {
       // UK NOTAM structure: Coordinates in format "DDMMN/SDDDMME/W"
-      if (element.Coordinates) {
-        const coords = element.Coordinates.toString();
-        const lat = this.extractLatitude(element);
-        const lon = this.extractLongitude(element);
-        
-        if (lat !== null && lon !== null) {
-          return { lat, lon };
+      const coordinates = NOTAMParser.field(element, 'Coordinates');
+      if (coordinates) {
+        const position = NOTAMParser.parseCoordinate(coordinates.toString());
+        if (position) {
+          return position;
         }
       }
       
@@ -970,6 +1170,7 @@ class NOTAMConnector extends BaseConnector {
    * Process NOTAM data
    */
   async processNOTAM(notam) {
+    let added = false;
     try {
       const existingNotam = this.notams.get(notam.id);
       
@@ -990,6 +1191,7 @@ class NOTAMConnector extends BaseConnector {
         });
         
         this.logger.info(`New NOTAM added: ${notam.notamNumber}`);
+        added = true;
         
       } else {
         // Update existing NOTAM
@@ -1012,6 +1214,7 @@ class NOTAMConnector extends BaseConnector {
     } catch (error) {
       this.logger.error('Error processing NOTAM:', error);
     }
+    return added;
   }
 
   /**
@@ -1023,6 +1226,7 @@ class NOTAMConnector extends BaseConnector {
       type: 'notam',
       name: notam.title || `NOTAM ${notam.notamNumber}`,
       position: notam.position,
+      geometry: notam.geometry || null,
       properties: {
         notamNumber: notam.notamNumber,
         title: notam.title,
@@ -1062,6 +1266,7 @@ class NOTAMConnector extends BaseConnector {
         ...existingElement,
         name: notam.title || `NOTAM ${notam.notamNumber}`,
         position: notam.position,
+        geometry: notam.geometry || null,
         properties: {
           notamNumber: notam.notamNumber,
           title: notam.title,
@@ -1097,7 +1302,7 @@ class NOTAMConnector extends BaseConnector {
     const expiredIds = [];
     
     for (const [id, notam] of this.activeNotams) {
-      if (notam.endTime && now > notam.endTime) {
+      if (notam.endTime && now > new Date(notam.endTime)) {
         expiredIds.push(id);
       }
     }
@@ -1167,17 +1372,41 @@ class NOTAMConnector extends BaseConnector {
     // Filter by time range
     if (parameters.startTime) {
       const startTime = new Date(parameters.startTime);
-      notams = notams.filter(notam => notam.startTime >= startTime);
+      notams = notams.filter(notam => notam.startTime && new Date(notam.startTime) >= startTime);
     }
     
     if (parameters.endTime) {
       const endTime = new Date(parameters.endTime);
-      notams = notams.filter(notam => notam.endTime <= endTime);
+      notams = notams.filter(notam => notam.endTime && new Date(notam.endTime) <= endTime);
+    }
+    
+    // Filter to those in force at a time, honouring item D schedules
+    if (parameters.activeAt) {
+      notams = notams.filter(notam => NOTAMParser.isActiveAt(notam, parameters.activeAt));
+    }
+    
+    // Filter to volumes containing a position (and altitude in feet, if given)
+    if (parameters.lat !== undefined && parameters.lon !== undefined) {
+      const position = { lat: Number(parameters.lat), lon: Number(parameters.lon) };
+      const altitude = parameters.altitude !== undefined ? Number(parameters.altitude) : null;
+      notams = notams.filter(notam => notam.volume && NOTAMParser.contains(notam.volume, position, altitude));
     }
     
     return notams;
   }
 
+  /**
+   * NOTAMs that were in force at a past time, including those since expired,
+   * replaced or cancelled (withdrawn ones only until they were withdrawn)
+   */
+  getNOTAMHistory({ at }) {
+    const time = new Date(at).getTime();
+    
+    return [...this.notams.values(), ...this.withdrawnNotams.values()].filter(notam =>
+      NOTAMParser.isActiveAt(notam, time) && !(notam.withdrawnAt && new Date(notam.withdrawnAt).getTime() <= time)
+    );
+  }
+
   /**
    * Get specific NOTAM
    */
@@ -1189,9 +1418,11 @@ class NOTAMConnector extends BaseConnector {
    * Convert NOTAM to geospatial format
    */
   convertToGeospatial(notamData) {
+    const geometry = notamData.volume ? NOTAMParser.toGeometry(notamData.volume) : null;
+    
     return {
       type: 'Feature',
-      geometry: {
+      geometry: geometry ? { type: geometry.type, coordinates: geometry.coordinates } : {
         type: 'Point',
         coordinates: [notamData.position.lon, notamData.position.lat]
       },
@@ -1204,7 +1435,13 @@ class NOTAMConnector extends BaseConnector {
         endTime: notamData.endTime,
         status: notamData.status,
         category: notamData.category,
-        priority: notamData.priority
+        priority: notamData.priority,
+        qCode: notamData.qLine ? notamData.qLine.code : null,
+        lowerFt: notamData.volume ? notamData.volume.lowerFt : null,
+        upperFt: notamData.volume ? notamData.volume.upperFt : null,
+        lowerReference: notamData.volume ? notamData.volume.lowerReference : null,
+        upperReference: notamData.volume ? notamData.volume.upperReference : null,
+        activePeriods: notamData.activePeriods || null
       }
     };
   }
@@ -1213,23 +1450,43 @@ class NOTAMConnector extends BaseConnector {
    * Analyze geospatial data
    */
   analyzeGeospatial(parameters) {
-    const { lat, lon, radius = 50 } = parameters;
+    const { lat, lon, radius = 50, altitude = null, verticalMargin = 0, at = new Date() } = parameters;
     
     const nearbyNotams = [];
     
     for (const notam of this.activeNotams.values()) {
-      const distance = this.calculateDistance(lat, lon, notam.position.lat, notam.position.lon);
-      if (distance <= radius) {
-        nearbyNotams.push({
-          ...notam,
-          distance
-        });
-      }
+      if (!NOTAMParser.isActiveAt(notam, at)) continue;
+      
+      const proximity = this.measureProximity(notam, { lat, lon }, altitude);
+      if (!proximity || proximity.distance > radius || proximity.verticalDistance > verticalMargin) continue;
+      
+      nearbyNotams.push({
+        ...notam,
+        ...proximity
+      });
     }
     
     return nearbyNotams.sort((a, b) => a.distance - b.distance);
   }
 
+  /**
+   * Distance in km to a NOTAM's volume edge (0 inside) and feet outside its vertical limits
+   */
+  measureProximity(notam, position, altitude = null) {
+    if (notam.volume) {
+      const distance = NOTAMParser.distanceToVolume(notam.volume, position);
+      const verticalDistance = NOTAMParser.verticalDistance(notam.volume, altitude);
+      return { distance, verticalDistance, inside: distance === 0 && verticalDistance === 0 };
+    }
+    
+    if (!notam.position) {
+      return null;
+    }
+    
+    const distance = this.calculateDistance(position.lat, position.lon, notam.position.lat, notam.position.lon);
+    return { distance, verticalDistance: 0, inside: false };
+  }
+
   /**
    * Query geospatial data
    */
@@ -1238,14 +1495,20 @@ class NOTAMConnector extends BaseConnector {
     
     let notams = Array.from(this.activeNotams.values());
     
-    // Filter by bounds
+    // Filter by bounds, overlapping the volume where there is one
     if (bounds) {
-      notams = notams.filter(notam => 
-        notam.position.lat >= bounds.south &&
-        notam.position.lat <= bounds.north &&
-        notam.position.lon >= bounds.west &&
-        notam.position.lon <= bounds.east
-      );
+      notams = notams.filter(notam => {
+        if (notam.volume) {
+          const area = notam.volume.bounds;
+          return area.south <= bounds.north && area.north >= bounds.south &&
+            area.west <= bounds.east && area.east >= bounds.west;
+        }
+        return notam.position &&
+          notam.position.lat >= bounds.south &&
+          notam.position.lat <= bounds.north &&
+          notam.position.lon >= bounds.west &&
+          notam.position.lon <= bounds.east;
+      });
     }
     
     // Filter by category
@@ -1265,12 +1528,15 @@ class NOTAMConnector extends BaseConnector {
    * Monitor proximity
    */
   monitorProximity(parameters) {
-    const { aircraftPosition, radius = 10 } = parameters;
+    const { aircraftPosition, radius = 10, verticalMargin = 0, at } = parameters;
     
     const nearbyNotams = this.analyzeGeospatial({
       lat: aircraftPosition.lat,
       lon: aircraftPosition.lon,
-      radius
+      altitude: aircraftPosition.altitude !== undefined ? aircraftPosition.altitude : null,
+      radius,
+      verticalMargin,
+      at
     });
     
     return nearbyNotams;
@@ -1287,19 +1553,18 @@ class NOTAMConnector extends BaseConnector {
       return null;
     }
     
-    const distance = this.calculateDistance(
-      aircraftPosition.lat,
-      aircraftPosition.lon,
-      notam.position.lat,
-      notam.position.lon
-    );
+    const proximity = this.measureProximity(notam, aircraftPosition,
+      aircraftPosition.altitude !== undefined ? aircraftPosition.altitude : null);
+    if (!proximity) {
+      return null;
+    }
     
     return {
       type: 'notam:proximity',
       aircraftId,
       notamId,
       notamNumber: notam.notamNumber,
-      distance,
+      ...proximity,
       position: aircraftPosition,
       notamPosition: notam.position,
       timestamp: new Date().toISOString()
@@ -1312,7 +1577,7 @@ class NOTAMConnector extends BaseConnector {
   checkProximity(parameters) {
     const { aircraftPosition, radius = 10 } = parameters;
     
-    const nearbyNotams = this.monitorProximity({ aircraftPosition, radius });
+    const nearbyNotams = this.monitorProximity(parameters);
     
     if (nearbyNotams.length > 0) {
       // Emit proximity event
@@ -1374,14 +1639,18 @@ class NOTAMConnector extends BaseConnector {
     
     const now = new Date();
     
-    if (notam.endTime && now > notam.endTime) {
+    if (notam.endTime && now > new Date(notam.endTime)) {
       return { valid: false, reason: 'NOTAM expired' };
     }
     
-    if (notam.startTime && now < notam.startTime) {
+    if (notam.startTime && now < new Date(notam.startTime)) {
       return { valid: false, reason: 'NOTAM not yet active' };
     }
     
+    if (!NOTAMParser.isActiveAt(notam, now)) {
+      return { valid: true, active: false, reason: 'Outside scheduled activity' };
+    }
+    
     return { valid: true };
   }
 
@@ -1486,6 +1755,7 @@ class NOTAMConnector extends BaseConnector {
       type: 'notam',
       name: notam.title || `NOTAM ${notam.notamNumber}`,
       position: notam.position,
+      geometry: notam.geometry || null,
       properties: {
         notamNumber: notam.notamNumber,
         title: notam.title,
@@ -1551,8 +1821,12 @@ class NOTAMConnector extends BaseConnector {
       notams: {
         total: this.stats.totalNotams,
         active: this.stats.activeNotams,
-        expired: this.stats.expiredNotams
+        expired: this.stats.expiredNotams,
+        replaced: this.stats.replacedNotams,
+        cancelled: this.stats.cancelledNotams
       },
+      sources: this.lastFetch.length > 0 ? this.lastFetch : this.sources.map(source => ({ id: source.id, type: source.type })),
+      changes: this.changeLog.length > 0 ? this.changeLog[this.changeLog.length - 1] : null,
       spatial: {
         elements: this.spatialElements.size,
         maps: this.mapConnectors.size
@@ -1578,6 +1852,21 @@ class NOTAMConnector extends BaseConnector {
       errors.push('Poll interval must be at least 60 seconds');
     }
     
+    const sources = config.config?.sources;
+    if (sources !== undefined) {
+      if (!Array.isArray(sources)) {
+        errors.push('Sources must be an array');
+      } else {
+        sources.forEach((source, index) => {
+          if (!['pib', 'icao-text', 'aixm', 'directory'].includes(source.type)) {
+            errors.push(`Source ${index} type must be one of pib, icao-text, aixm, directory`);
+          } else if (!source.url && !source.path) {
+            errors.push(`Source ${index} needs a url or path`);
+          }
+        });
+      }
+    }
+    
     if (errors.length > 0) {
       throw new Error(`Configuration validation failed: ${errors.join(', ')}`);
     }
@@ -1610,6 +1899,11 @@ class NOTAMConnector extends BaseConnector {
           description: 'Polling interval in milliseconds',
           default: 1200000
         },
+        sources: {
+          type: 'array',
+          description: 'NOTAM sources in priority order: { type: pib | icao-text | aixm | directory, url or path }',
+          default: [{ type: 'pib', url: 'https://raw.githubusercontent.com/Jonty/uk-notam-archive/main/data/PIB.xml' }]
+        },
         ukBounds: {
           type: 'object',
           description: 'UK bounding box coordinates',
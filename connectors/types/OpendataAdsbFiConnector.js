@@ -83,32 +83,19 @@ class OpendataAdsbFiConnector extends BaseConnector {
 
   async fetchAndPublish() {
     try {
-      const url = `${this.apiBase}/lat/${this.lat}/lon/${this.lon}/dist/${this.radius}`;
-      this.logger.debug(`Fetching from: ${url}`);
+      const aircraftList = await this.fetchAircraft();
+      this.logger.debug(`Received ${aircraftList.length} aircraft from ADS-B.fi`);
       
-      const res = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'LookingGlass/1.0'
-        },
-        timeout: 5000
-      });
-      
-      if (!res.ok) {
-        throw new Error(`adsb.fi API error: ${res.status} - ${res.statusText}`);
-      }
-      
-      const data = await res.json();
-      this.logger.debug(`Received ${data.aircraft?.length || 0} aircraft from ADS-B.fi`);
-      
-      if (data && Array.isArray(data.aircraft)) {
-        data.aircraft.forEach(aircraft => {
+      // Fed into aircraft fusion alongside the local receiver and Airplanes.Live
+      if (this.eventBus) {
+        aircraftList.forEach(aircraft => {
           this.eventBus.publishEvent({
             type: 'aircraft:detected',
             source: this.id,
             data: aircraft,
             timestamp: Date.now()
+          }).catch(error => {
+            this.logger.debug('Failed to publish aircraft to event bus', { icao24: aircraft.hex, error: error.message });
           });
         });
       }
@@ -128,8 +115,17 @@ class OpendataAdsbFiConnector extends BaseConnector {
 
   async fetchAircraft() {
     const url = `${this.apiBase}/lat/${this.lat}/lon/${this.lon}/dist/${this.radius}`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`adsb.fi API error: ${res.status}`);
+    this.logger.debug(`Fetching from: ${url}`);
+    
+    const res = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+        'User-Agent': 'LookingGlass/1.0'
+      },
+      timeout: 5000
+    });
+    if (!res.ok) throw new Error(`adsb.fi API error: ${res.status} - ${res.statusText}`);
     const data = await res.json();
     return data.aircraft || [];
   }
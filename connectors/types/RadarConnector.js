@@ -121,6 +121,7 @@ class RadarConnector extends BaseConnector {
     // Aircraft data cache
     this.aircraftData = new Map();
     this.aircraftTrails = new Map();
+    this.highlightedAircraft = new Set();
     this.zoneData = new Map();
     this.coastlineData = new Map();
     this.notamData = new Map();
@@ -170,7 +171,22 @@ class RadarConnector extends BaseConnector {
     this.adsbConnector = services.adsbConnector;
     this.adsbfiConnector = services.adsbfiConnector;
     this.airplanesLiveConnector = services.airplanesLiveConnector;
+    this.aircraftFusionService = services.aircraftFusionService || null;
+    this.conflictProbeService = services.conflictProbeService || null;
+    this.notamInfringementService = services.notamInfringementService || null;
+    this.notamConnector = services.notamConnector || null;
     this.airportVectorService = services.airportVectorService;
+    
+    // Keep radar aircraft and trails in step with the fused stream
+    if (this.aircraftFusionService) {
+      const update = aircraft => this.updateAircraftData([this.toRadarAircraft(aircraft)]);
+      this.aircraftFusionService.on('aircraft:appeared', update);
+      this.aircraftFusionService.on('aircraft:moved', ({ aircraft }) => update(aircraft));
+      this.aircraftFusionService.on('aircraft:disappeared', aircraft => {
+        this.aircraftData.delete(aircraft.icao24);
+        this.aircraftTrails.delete(aircraft.icao24);
+      });
+    }
     this.coastlineVectorService = services.coastlineVectorService;
     this.airspaceService = services.airspaceService;
     
@@ -540,8 +556,13 @@ class RadarConnector extends BaseConnector {
     // Get aircraft data from multiple ADSB connectors if available
     let aircraft = [];
     
+    // The fused stream already merges every ADSB source, so use it alone when present
+    if (this.aircraftFusionService) {
+      aircraft = this.aircraftFusionService.getAircraft().map(ac => this.toRadarAircraft(ac));
+    }
+    
     // Try to get aircraft data from the main ADSB connector
-    if (this.adsbConnector && this.adsbConnector.getAircraft) {
+    if (!this.aircraftFusionService && this.adsbConnector && this.adsbConnector.getAircraft) {
       try {
         const aircraftResult = this.adsbConnector.getAircraft();
         if (aircraftResult && aircraftResult.aircraft) {
@@ -572,7 +593,7 @@ class RadarConnector extends BaseConnector {
     }
     
     // Try to get aircraft data from ADS-B.fi connector
-    if (this.adsbfiConnector && this.adsbfiConnector.fetchAircraft) {
+    if (!this.aircraftFusionService && this.adsbfiConnector && this.adsbfiConnector.fetchAircraft) {
       try {
         const adsbfiAircraft = await this.adsbfiConnector.fetchAircraft();
         if (adsbfiAircraft && Array.isArray(adsbfiAircraft)) {
@@ -603,7 +624,7 @@ class RadarConnector extends BaseConnector {
     }
     
     // Try to get aircraft data from Airplanes.Live connector
-    if (this.airplanesLiveConnector && this.airplanesLiveConnector.fetchAircraft) {
+    if (!this.aircraftFusionService && this.airplanesLiveConnector && this.airplanesLiveConnector.fetchAircraft) {
       try {
         const airplanesLiveAircraft = await this.airplanesLiveConnector.fetchAircraft();
         if (airplanesLiveAircraft && Array.isArray(airplanesLiveAircraft)) {
@@ -638,8 +659,42 @@ class RadarConnector extends BaseConnector {
       aircraft = Array.from(this.aircraftData?.values?.() || []);
     }
 
+    return this.buildDisplay(aircraft);
+  }
+
+  /**
+   * Get radar display for a track playback frame, with NOTAMs as they were at that time
+   */
+  getPlaybackDisplay(frame) {
+    const display = this.buildDisplay(frame.aircraft, { at: frame.time });
+    display.playback = frame.playback;
+    return display;
+  }
+
+  /**
+   * Assemble the display payload around a set of aircraft
+   */
+  buildDisplay(aircraft, options = {}) {
+    // Highlight aircraft in a live conflict (playback frames have no probe results)
+    let conflicts = [];
+    if (this.conflictProbeService && !options.at) {
+      conflicts = this.conflictProbeService.getConflicts();
+      const involved = new Map();
+      for (const conflict of conflicts) {
+        involved.set(conflict.aircraftA.icao24, { id: conflict.id, severity: conflict.severity, with: conflict.aircraftB.icao24 });
+        involved.set(conflict.aircraftB.icao24, { id: conflict.id, severity: conflict.severity, with: conflict.aircraftA.icao24 });
+      }
+      aircraft = aircraft.map(ac => involved.has(ac.icao24) ? { ...ac, conflict: involved.get(ac.icao24) } : ac);
+    }
+
+    // Highlights outlive the aircraft updates that replace cached entries
+    if (this.highlightedAircraft.size > 0) {
+      aircraft = aircraft.map(ac => this.highlightedAircraft.has(ac.icao24) ? { ...ac, highlighted: true } : ac);
+    }
+
     const display = {
       aircraft: aircraft,
+      conflicts,
       zones: Array.from(this.zoneData?.values?.() || []),
       config: this.radarConfig || {
         range: 50,
@@ -703,7 +758,16 @@ class RadarConnector extends BaseConnector {
 
     // Add NOTAM data if enabled
     if (this.notamDisplay?.showNotams) {
-      const notams = Array.from(this.notamData.values());
+      let notams = Array.from(this.notamData.values());
+      if (options.at) {
+        notams = notams.filter(notam => this.isNotamActiveAt(notam, options.at));
+        
+        // Playback also shows NOTAMs that have since expired or been withdrawn
+        if (this.notamConnector) {
+          const shown = new Set(notams.map(notam => notam.id));
+          notams = notams.concat(this.notamConnector.getNOTAMHistory({ at: options.at }).filter(notam => !shown.has(notam.id)));
+        }
+      }
       display.notams = {
         enabled: true,
         notams: notams,
@@ -887,23 +951,32 @@ class RadarConnector extends BaseConnector {
    */
   highlightAircraft(parameters) {
     const { icao24, callsign, highlight } = parameters;
+    const targets = [];
     
-    if (icao24 && this.aircraftData.has(icao24)) {
-      const aircraft = this.aircraftData.get(icao24);
-      aircraft.highlighted = highlight !== false;
-      this.aircraftData.set(icao24, aircraft);
+    if (icao24) {
+      targets.push(icao24);
     }
     
     if (callsign) {
       for (const [icao, aircraft] of this.aircraftData.entries()) {
         if (aircraft.callsign === callsign) {
-          aircraft.highlighted = highlight !== false;
-          this.aircraftData.set(icao, aircraft);
+          targets.push(icao);
           break;
         }
       }
     }
     
+    for (const icao of targets) {
+      if (highlight !== false) {
+        this.highlightedAircraft.add(icao);
+      } else {
+        this.highlightedAircraft.delete(icao);
+      }
+      if (this.aircraftData.has(icao)) {
+        this.aircraftData.get(icao).highlighted = highlight !== false;
+      }
+    }
+    
     return { success: true };
   }
   
@@ -1289,6 +1362,29 @@ class RadarConnector extends BaseConnector {
     this.logger.info('Radar display initialized');
   }
   
+  /**
+   * Radar view of a fused aircraft, keeping its source provenance
+   */
+  toRadarAircraft(ac) {
+    return {
+      icao24: ac.icao24,
+      callsign: ac.callsign,
+      lat: ac.lat,
+      lon: ac.lon,
+      altitude: ac.altitude,
+      velocity: ac.speed,
+      track: ac.track,
+      squawk: ac.squawk,
+      emergency: ac.emergency,
+      lastUpdate: new Date(ac.last_seen).toISOString(),
+      aircraftType: ac.aircraftType,
+      registration: ac.registration,
+      operator: ac.operator,
+      sources: ac.sources,
+      provenance: ac.provenance
+    };
+  }
+  
   /**
    * Update aircraft data
    */
@@ -1494,6 +1590,21 @@ class RadarConnector extends BaseConnector {
     };
   }
 
+  /**
+   * Check whether a NOTAM was in force at a given time, within its item D schedule if it has one
+   */
+  isNotamActiveAt(notam, time) {
+    const start = notam.startTime || notam.validFrom;
+    const end = notam.endTime || notam.validTo;
+    if (start && new Date(start).getTime() > time) return false;
+    if (end && new Date(end).getTime() < time) return false;
+    if (Array.isArray(notam.activePeriods)) {
+      return notam.activePeriods.some(period =>
+        new Date(period.start).getTime() <= time && new Date(period.end).getTime() > time);
+    }
+    return true;
+  }
+
   /**
    * Filter NOTAMs based on criteria
    */
@@ -1526,16 +1637,18 @@ class RadarConnector extends BaseConnector {
    * Highlight specific NOTAM
    */
   highlightNotam(parameters) {
-    const { notamId } = parameters;
+    const { notamId, highlight } = parameters;
     const notam = this.notamData.get(notamId);
     
     if (!notam) {
       throw new Error(`NOTAM not found: ${notamId}`);
     }
     
+    notam.highlighted = highlight !== false;
+    
     return {
       notam,
-      highlighted: true,
+      highlighted: notam.highlighted,
       display: this.notamDisplay
     };
   }
@@ -1573,8 +1686,10 @@ class RadarConnector extends BaseConnector {
    */
   updateNotamData(notams) {
     for (const notam of notams) {
+      const existing = this.notamData.get(notam.id);
       this.notamData.set(notam.id, {
         ...notam,
+        highlighted: existing ? existing.highlighted : notam.highlighted,
         lastUpdate: new Date().toISOString()
       });
     }
@@ -63,6 +63,22 @@ class SpeedCalculationConnector extends BaseConnector {
           speedLimit: { type: 'number', required: false }
         }
       },
+      {
+        id: 'speed:routes',
+        name: 'Average Speed Routes',
+        description: 'Average speed enforcement over routes of chained detection points',
+        category: 'analytics',
+        operations: ['register', 'update', 'remove', 'list', 'get', 'averages', 'offences', 'offence'],
+        dataTypes: ['route', 'speed', 'offence'],
+        events: ['route:segment', 'route:completed', 'speed:offence'],
+        parameters: {
+          routeId: { type: 'string', required: false },
+          checkpoints: { type: 'array', required: true },
+          path: { type: 'array', required: false },
+          speedLimit: { type: 'number', required: false },
+          limitSchedule: { type: 'array', required: false }
+        }
+      },
       {
         id: 'integration:unifi',
         name: 'UniFi Integration',
@@ -99,6 +115,21 @@ class SpeedCalculationConnector extends BaseConnector {
         this.emit('detectionPoint:registered', pointData);
       });
       
+      this.speedService.on('route:segment', (average) => {
+        this.emit('route:segment', average);
+        this.broadcastToClients('routeSegment', average);
+      });
+      
+      this.speedService.on('route:completed', (average) => {
+        this.emit('route:completed', average);
+        this.broadcastToClients('routeCompleted', average);
+      });
+      
+      this.speedService.on('speed:offence', (offence) => {
+        this.emit('speed:offence', offence);
+        this.broadcastSpeedOffence(offence);
+      });
+      
       // Start event processing
       this.startEventProcessing();
       
@@ -145,6 +176,9 @@ class SpeedCalculationConnector extends BaseConnector {
         case 'detection:points':
           result = await this.executeDetectionPoints(operation, parameters);
           break;
+        case 'speed:routes':
+          result = await this.executeRoutes(operation, parameters);
+          break;
         case 'integration:unifi':
           result = await this.executeUniFiIntegration(operation, parameters);
           break;
@@ -195,6 +229,43 @@ class SpeedCalculationConnector extends BaseConnector {
     }
   }
 
+  /**
+   * Execute average speed route operations
+   */
+  async executeRoutes(operation, parameters = {}) {
+    switch (operation) {
+      case 'register':
+        return await this.speedService.registerRoute(parameters);
+      case 'update':
+        return await this.speedService.updateRoute(parameters.routeId, parameters.updates || {});
+      case 'remove':
+        return { success: this.speedService.removeRoute(parameters.routeId), routeId: parameters.routeId };
+      case 'list':
+        return this.speedService.getRoutes();
+      case 'get':
+        return this.speedService.getRoute(parameters.routeId) || null;
+      case 'averages': {
+        const averages = this.speedService.getRouteAverages(parameters);
+        return { averages, count: averages.length };
+      }
+      case 'offences': {
+        const offences = this.speedService.getOffences(parameters);
+        return { offences, count: offences.length };
+      }
+      case 'offence':
+        return this.speedService.getOffence(parameters.offenceId) || null;
+      default:
+        throw new Error(`Unknown route operation: ${operation}`);
+    }
+  }
+
+  /**
+   * Set evidence service reference, used to export clips for offences
+   */
+  setEvidenceService(evidenceService) {
+    this.speedService.setEvidenceService(evidenceService);
+  }
+
   /**
    * Execute UniFi integration operations
    */
@@ -505,6 +576,32 @@ class SpeedCalculationConnector extends BaseConnector {
     this.broadcastToClients('speedAlert', alertData);
   }
 
+  /**
+   * Broadcast speed offence to other connectors
+   */
+  broadcastSpeedOffence(offence) {
+    // Emit to event bus if available
+    if (this.eventBus) {
+      this.eventBus.publishEvent({
+        type: 'speed:offence',
+        source: this.id,
+        timestamp: new Date().toISOString(),
+        data: offence
+      });
+    }
+    
+    // Broadcast to WebSocket clients
+    this.broadcastToClients('speedOffence', offence);
+  }
+
+  /**
+   * Hand data to whatever relays this connector to WebSocket clients.
+   * Emitted rather than sent so a missing relay cannot break processing.
+   */
+  broadcastToClients(type, data) {
+    this.emit('broadcast', { type, data, timestamp: new Date().toISOString() });
+  }
+
   /**
    * Get speed calculations
    */
@@ -544,7 +641,8 @@ class SpeedCalculationConnector extends BaseConnector {
       type: this.type,
       cameraMapping: Array.from(this.cameraMapping.entries()),
       speedService: this.speedService.getStats(),
-      detectionPoints: this.speedService.getDetectionPoints()
+      detectionPoints: this.speedService.getDetectionPoints(),
+      routes: this.speedService.getRoutes()
     };
   }
 }
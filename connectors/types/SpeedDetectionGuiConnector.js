@@ -19,7 +19,8 @@ class SpeedDetectionGuiConnector extends BaseConnector {
         'map-integration',
         'line-crossing-configuration',
         'speed-calculation-monitoring',
-        'multi-system-management'
+        'multi-system-management',
+        'average-speed-routes'
       ],
       ...config
     });
@@ -45,6 +46,7 @@ class SpeedDetectionGuiConnector extends BaseConnector {
       speedDetection: {
         maxSystems: config.maxSystems || 10,
         defaultSpeedLimit: 30,
+        speedConnectorId: 'speed-calculation-main',
         ...config.speedDetection
       },
       ...config
@@ -91,7 +93,7 @@ class SpeedDetectionGuiConnector extends BaseConnector {
       speedDetection: {
         maxSystems: this.config.speedDetection.maxSystems,
         supportedObjectTypes: ['vehicle', 'person', 'bicycle'],
-        supportedDetectionTypes: ['lineCrossing', 'anpr'],
+        supportedDetectionTypes: ['lineCrossing', 'anpr', 'averageSpeed'],
         mapIntegration: this.config.mapIntegration.enabled
       },
       cameraIntegration: {
@@ -118,6 +120,8 @@ class SpeedDetectionGuiConnector extends BaseConnector {
           return await this.handleMapOperation(action, parameters);
         case 'speed':
           return await this.handleSpeedOperation(action, parameters);
+        case 'route':
+          return await this.handleRouteOperation(action, parameters);
         case 'gui':
           return await this.handleGuiOperation(action, parameters);
         default:
@@ -218,11 +222,35 @@ class SpeedDetectionGuiConnector extends BaseConnector {
         return await this.getSpeedAlerts(parameters);
       case 'getStats':
         return await this.getSpeedStats(parameters);
+      case 'getAverages':
+        return await this.getRouteAverages(parameters);
+      case 'getOffences':
+        return await this.getSpeedOffences(parameters);
       default:
         throw new Error(`Unknown speed action: ${action}`);
     }
   }
 
+  /**
+   * Handle average speed route operations
+   */
+  async handleRouteOperation(action, parameters) {
+    switch (action) {
+      case 'create':
+        return await this.createRoute(parameters);
+      case 'update':
+        return await this.updateRoute(parameters);
+      case 'delete':
+        return await this.deleteRoute(parameters);
+      case 'list':
+        return await this.listRoutes(parameters);
+      case 'get':
+        return await this.getRoute(parameters);
+      default:
+        throw new Error(`Unknown route action: ${action}`);
+    }
+  }
+
   /**
    * Handle GUI operations
    */
@@ -800,6 +828,100 @@ class SpeedDetectionGuiConnector extends BaseConnector {
     };
   }
 
+  /**
+   * Get the speed calculation connector that measures routes
+   */
+  getSpeedCalculationConnector() {
+    const connectorId = this.config.speedDetection?.speedConnectorId || 'speed-calculation-main';
+    const connector = this.connectorRegistry?.getConnector(connectorId);
+    if (!connector) {
+      throw new Error(`Speed calculation connector not available: ${connectorId}`);
+    }
+    return connector;
+  }
+
+  /**
+   * Create an average speed route through chained detection points
+   */
+  async createRoute(parameters) {
+    const route = await this.getSpeedCalculationConnector().execute('speed:routes', 'register', parameters);
+    return {
+      success: true,
+      route
+    };
+  }
+
+  /**
+   * Update an average speed route
+   */
+  async updateRoute(parameters) {
+    const { routeId, ...updates } = parameters;
+    const route = await this.getSpeedCalculationConnector().execute('speed:routes', 'update', { routeId, updates });
+    return {
+      success: true,
+      route
+    };
+  }
+
+  /**
+   * Delete an average speed route
+   */
+  async deleteRoute(parameters) {
+    return await this.getSpeedCalculationConnector().execute('speed:routes', 'remove', { routeId: parameters.routeId });
+  }
+
+  /**
+   * List average speed routes
+   */
+  async listRoutes(parameters = {}) {
+    const routes = await this.getSpeedCalculationConnector().execute('speed:routes', 'list', {});
+    return {
+      success: true,
+      routes,
+      total: routes.length
+    };
+  }
+
+  /**
+   * Get an average speed route
+   */
+  async getRoute(parameters) {
+    const route = await this.getSpeedCalculationConnector().execute('speed:routes', 'get', { routeId: parameters.routeId });
+    if (!route) {
+      throw new Error(`Route not found: ${parameters.routeId}`);
+    }
+    return {
+      success: true,
+      route
+    };
+  }
+
+  /**
+   * Get segment and whole-route average speeds
+   */
+  async getRouteAverages(parameters = {}) {
+    const { routeId, plateNumber, scope, limit } = parameters;
+    const result = await this.getSpeedCalculationConnector().execute('speed:routes', 'averages', { routeId, plateNumber, scope });
+    return {
+      success: true,
+      averages: limit ? result.averages.slice(0, limit) : result.averages,
+      total: result.count
+    };
+  }
+
+  /**
+   * Get average speed offences
+   */
+  async getSpeedOffences(parameters = {}) {
+    const { routeId, plateNumber, scope, limit } = parameters;
+    const result = await this.getSpeedCalculationConnector().execute('speed:routes', 'offences', { routeId, plateNumber, scope });
+    return {
+      success: true,
+      offences: limit ? result.offences.slice(0, limit) : result.offences,
+      total: result.count
+    };
+  }
+
   /**
    * Get GUI configuration
    */
@@ -842,6 +964,13 @@ class SpeedDetectionGuiConnector extends BaseConnector {
           cameras: 3,
           lines: 4,
           complexity: 'advanced'
+        },
+        averageSpeedRoute: {
+          name: 'Average Speed Route',
+          description: 'ANPR cameras chained along a road, measuring average speed over each segment and the whole route',
+          cameras: 3,
+          lines: 0,
+          complexity: 'advanced'
         }
       }
     };
@@ -952,8 +1081,8 @@ class SpeedDetectionGuiConnector extends BaseConnector {
         name: 'Speed Calculation Monitoring',
         description: 'Monitor speed calculations and alerts',
         category: 'monitoring',
-        operations: ['getCalculations', 'getAlerts', 'getStats'],
-        dataTypes: ['speed-calculation', 'speed-alert', 'speed-stats'],
+        operations: ['getCalculations', 'getAlerts', 'getStats', 'getAverages', 'getOffences'],
+        dataTypes: ['speed-calculation', 'speed-alert', 'speed-stats', 'route-average', 'speed-offence'],
         events: ['calculation:completed', 'alert:triggered', 'stats:updated'],
         requiresConnection: false
       },
@@ -966,6 +1095,16 @@ class SpeedDetectionGuiConnector extends BaseConnector {
         dataTypes: ['system-list', 'system-status'],
         events: ['system:status-changed'],
         requiresConnection: false
+      },
+      {
+        id: 'average-speed-routes',
+        name: 'Average Speed Routes',
+        description: 'Define routes of chained ANPR checkpoints for average speed enforcement',
+        category: 'speed-detection',
+        operations: ['create', 'update', 'delete', 'list', 'get'],
+        dataTypes: ['route'],
+        events: ['route:segment', 'route:completed', 'speed:offence'],
+        requiresConnection: false
       }
     ];
   }
@@ -1015,7 +1154,8 @@ class SpeedDetectionGuiConnector extends BaseConnector {
         'map-integration',
         'line-crossing-configuration',
         'speed-calculation-monitoring',
-        'multi-system-management'
+        'multi-system-management',
+        'average-speed-routes'
       ]
     };
   }
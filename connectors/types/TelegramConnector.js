@@ -400,6 +400,9 @@ class TelegramConnector extends BaseConnector {
       case 'remove':
         return this.removeKeyboard(parameters);
       
+      case 'answer':
+        return this.answerCallbackQuery(parameters);
+      
       default:
         throw new Error(`Unknown keyboard operation: ${operation}`);
     }
@@ -447,7 +450,7 @@ class TelegramConnector extends BaseConnector {
    * Send text message
    */
   async sendTextMessage(parameters) {
-    const { chatId, text, parseMode, disableWebPagePreview, disableNotification, replyToMessageId } = parameters;
+    const { chatId, text, parseMode, disableWebPagePreview, disableNotification, replyToMessageId, replyMarkup } = parameters;
     
     // Use default chat ID if not provided
     const targetChatId = chatId || this.defaultChatId;
@@ -463,6 +466,10 @@ class TelegramConnector extends BaseConnector {
       reply_to_message_id: replyToMessageId
     };
     
+    if (replyMarkup) {
+      options.reply_markup = replyMarkup;
+    }
+    
     try {
       const result = await this.bot.sendMessage(targetChatId, text, options);
       
@@ -723,6 +730,27 @@ class TelegramConnector extends BaseConnector {
     }
   }
   
+  /**
+   * Answer an inline keyboard button press
+   */
+  async answerCallbackQuery(parameters) {
+    const { callbackQueryId, text, showAlert } = parameters;
+    
+    if (!callbackQueryId) {
+      throw new Error('callbackQueryId is required');
+    }
+    
+    try {
+      return await this.bot.answerCallbackQuery(callbackQueryId, {
+        text,
+        show_alert: showAlert || false
+      });
+    } catch (error) {
+      console.error('Error answering callback query:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Send reply keyboard
    */
@@ -1091,7 +1119,7 @@ class TelegramConnector extends BaseConnector {
         id: 'telegram:keyboard',
         name: 'Keyboard Operations',
         description: 'Send inline and reply keyboards',
-        operations: ['inline', 'reply', 'remove'],
+        operations: ['inline', 'reply', 'remove', 'answer'],
         requiresConnection: true
       },
       {
@@ -5,6 +5,9 @@ const { URL } = require('url');
 const WebSocket = require('ws');
 const axios = require('axios');
 
+// Content types accepted for recording and clip downloads
+const VIDEO_CONTENT_TYPES = ['video/', 'application/octet-stream'];
+
 /**
  * Unifi Protect Connector
  * 
@@ -492,6 +495,9 @@ class UnifiProtectConnector extends BaseConnector {
       case 'download':
         return this.downloadRecording(parameters);
       
+      case 'export':
+        return this.exportClip(parameters);
+      
       case 'delete':
         return this.deleteRecording(parameters);
       
@@ -889,10 +895,26 @@ class UnifiProtectConnector extends BaseConnector {
       throw new Error('Recording ID is required');
     }
     
-    const response = await this.makeRequest('GET', `/proxy/protect/v1/recordings/${recordingId}/download`, null, {
-      'Accept': 'video/mp4'
-    });
-    return response.data;
+    return this.downloadBinary(`/proxy/protect/v1/recordings/${recordingId}/download`, 'video/mp4', VIDEO_CONTENT_TYPES);
+  }
+  
+  /**
+   * Export an MP4 clip of a camera's recording between two times
+   */
+  async exportClip(parameters) {
+    const { cameraId } = parameters;
+    const start = new Date(parameters.start).getTime();
+    const end = new Date(parameters.end).getTime();
+    
+    if (!cameraId) {
+      throw new Error('Camera ID is required');
+    }
+    if (isNaN(start) || isNaN(end) || end <= start) {
+      throw new Error('Valid start and end times are required');
+    }
+    
+    return this.downloadBinary(`/proxy/protect/api/video/export?camera=${encodeURIComponent(cameraId)}&start=${start}&end=${end}`,
+      'video/mp4', VIDEO_CONTENT_TYPES, { timeout: 120000 });
   }
   
   /**
@@ -1012,12 +1034,29 @@ class UnifiProtectConnector extends BaseConnector {
     }
   }
   
+  /**
+   * Download binary content; error statuses and other content types are rejected
+   * so a JSON error body is never mistaken for media
+   */
+  async downloadBinary(path, accept, contentTypes, requestOptions = {}) {
+    const response = await this.makeRequest('GET', path, null, { 'Accept': accept }, {
+      responseType: 'arraybuffer',
+      validateStatus: (status) => status >= 200 && status < 300,
+      expectContentTypes: contentTypes,
+      ...requestOptions
+    });
+    return Buffer.from(response);
+  }
+  
   /**
    * Make HTTP request to Unifi Protect API
    */
-  async makeRequest(method, path, data = null, headers = {}) {
+  async makeRequest(method, path, data = null, headers = {}, requestOptions = {}) {
     await this.checkRateLimit();
     
+    // Content types (prefixes) a successful response must have
+    const { expectContentTypes, ...axiosOptions } = requestOptions;
+    
     const { host, port, protocol, verifySSL } = this.config;
     
     // Build URL
@@ -1037,7 +1076,8 @@ class UnifiProtectConnector extends BaseConnector {
         rejectUnauthorized: verifySSL
       }),
       timeout: 30000,
-      validateStatus: (status) => status < 500 // Accept 4xx errors for debugging
+      validateStatus: (status) => status < 500, // Accept 4xx errors for debugging
+      ...axiosOptions
     };
     
     // Use session authentication if available, otherwise use API key
@@ -1075,8 +1115,15 @@ class UnifiProtectConnector extends BaseConnector {
       
       this.logger.debug(`Response status: ${response.status}`);
       
+      if (expectContentTypes) {
+        const contentType = String(response.headers?.['content-type'] || '');
+        if (!expectContentTypes.some(type => contentType.startsWith(type))) {
+          throw new Error(`Unexpected content type ${contentType || 'none'} from ${path} (${response.status})`);
+        }
+      }
+      
       // Log response structure for debugging
-      if (response.data && typeof response.data === 'object') {
+      if (response.data && typeof response.data === 'object' && !Buffer.isBuffer(response.data)) {
         const keys = Object.keys(response.data);
         this.logger.debug(`Response keys: ${keys.join(', ')}`);
       }
@@ -1116,7 +1163,7 @@ class UnifiProtectConnector extends BaseConnector {
         if (status === 429) {
           this.logger.warn('Rate limit exceeded, retrying...');
           await new Promise(resolve => setTimeout(resolve, 5000));
-          return this.makeRequest(method, path, data, headers);
+          return this.makeRequest(method, path, data, headers, requestOptions);
         }
         
         throw new Error(`API request failed: ${status} ${statusText}`);
@@ -1265,7 +1312,7 @@ class UnifiProtectConnector extends BaseConnector {
         name: 'Recording Management',
         description: 'Manage camera recordings',
         category: 'camera',
-        operations: ['list', 'get', 'download', 'delete'],
+        operations: ['list', 'get', 'download', 'export', 'delete'],
         dataTypes: ['video/mp4', 'application/json'],
         events: ['recording-started', 'recording-stopped'],
         parameters: {
@@ -3866,14 +3913,12 @@ class UnifiProtectConnector extends BaseConnector {
    */
   async getCameraSnapshot(cameraId, quality = 'high') {
     try {
-      // Use the existing makeRequest method to get snapshot
-      const response = await this.makeRequest('GET', `/proxy/protect/integration/v1/cameras/${cameraId}/snapshot?highQuality=${quality === 'high' ? 'true' : 'false'}`, null, {
-        'Accept': 'image/jpeg'
-      });
+      const snapshot = await this.downloadBinary(`/proxy/protect/integration/v1/cameras/${cameraId}/snapshot?highQuality=${quality === 'high' ? 'true' : 'false'}`,
+        'image/jpeg', ['image/']);
 
-      if (response) {
+      if (snapshot.length > 0) {
         this.logger.debug(`Got snapshot for camera ${cameraId}`);
-        return response;
+        return snapshot;
       } else {
         throw new Error('No snapshot data in response');
       }
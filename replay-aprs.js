@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * APRS Replay Server
+ *
+ * Serves a packet log over TCP as an APRS-IS server (port 14580) or a
+ * KISS-over-TCP TNC (port 8001, --kiss) so the APRS connector's streaming
+ * input can be tested offline. Log lines are TNC2 packets, optionally
+ * prefixed with a timestamp as in aprs.fi raw logs
+ * ("2026-06-10 12:00:00 UTC: M0ABC>APRS:..."); timestamped lines are paced
+ * by their timestamps, others by --rate. --hold keeps the connection open
+ * after the log ends, as a live server would.
+ *
+ * Usage: node replay-aprs.js <log> [--port 14580] [--kiss] [--speed 1] [--rate 10] [--loop] [--hold]
+ */
+
+const fs = require('fs');
+const net = require('net');
+const APRSParser = require('./services/aprsParser');
+
+const TIMESTAMP_PREFIX = /^(\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2})(?: UTC)?: /;
+
+function parseArgs(argv) {
+  const options = { file: null, port: null, kiss: false, speed: 1, rate: 10, loop: false, hold: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') options.port = parseInt(argv[++i], 10);
+    else if (arg === '--kiss') options.kiss = true;
+    else if (arg === '--speed') options.speed = parseFloat(argv[++i]);
+    else if (arg === '--rate') options.rate = parseFloat(argv[++i]);
+    else if (arg === '--loop') options.loop = true;
+    else if (arg === '--hold') options.hold = true;
+    else options.file = arg;
+  }
+
+  options.port = options.port || (options.kiss ? 8001 : 14580);
+  return options;
+}
+
+/**
+ * Build [{ line, delay }] with delays taken from log timestamps where available
+ */
+function buildSchedule(lines, options) {
+  const schedule = [];
+  let previous = null;
+
+  for (const entry of lines) {
+    let delay = 1000 / options.rate;
+    let line = entry;
+
+    const stamped = TIMESTAMP_PREFIX.exec(entry);
+    if (stamped) {
+      const timestamp = Date.parse(`${stamped[1].replace(' ', 'T')}Z`);
+      if (previous !== null) {
+        delay = Math.max(0, timestamp - previous) / options.speed;
+      }
+      previous = timestamp;
+      line = entry.slice(stamped[0].length);
+    }
+
+    // Comments only make sense on APRS-IS
+    if (line.startsWith('#') && options.kiss) continue;
+
+    schedule.push({ line, delay: Math.min(delay, 10000) });
+  }
+
+  return schedule;
+}
+
+function replay(socket, schedule, options) {
+  let index = 0;
+  let timer = null;
+
+  const write = (line) => {
+    if (!options.kiss) {
+      socket.write(`${line}\r\n`, 'latin1');
+      return;
+    }
+    try {
+      socket.write(APRSParser.encodeKISS(line));
+    } catch (error) {
+      // Not representable as AX.25 (e.g. APRS-IS q-constructs with long calls)
+    }
+  };
+
+  const next = () => {
+    if (socket.destroyed) return;
+
+    if (index >= schedule.length) {
+      if (!options.loop) {
+        if (!options.hold) socket.end();
+        return;
+      }
+      index = 0;
+    }
+
+    const { line, delay } = schedule[index++];
+    timer = setTimeout(() => {
+      write(line);
+      next();
+    }, index === 1 ? 0 : delay);
+  };
+
+  socket.on('close', () => clearTimeout(timer));
+  socket.on('error', () => clearTimeout(timer));
+  next();
+}
+
+/**
+ * Greet the client like an APRS-IS server and replay once it logs in;
+ * KISS clients are replayed to straight away
+ */
+function serve(socket, schedule, options) {
+  if (options.kiss) {
+    replay(socket, schedule, options);
+    return;
+  }
+
+  socket.write('# aprsc replay-aprs\r\n');
+  let buffer = '';
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('latin1');
+    const login = /^user (\S+) pass (-?\d+)[^\r\n]*\r?\n/m.exec(buffer);
+    if (!login) return;
+
+    socket.removeListener('data', onData);
+    socket.write(`# logresp ${login[1]} ${login[2] === '-1' ? 'unverified' : 'verified'}, server REPLAY\r\n`);
+    replay(socket, schedule, options);
+  };
+
+  socket.on('data', onData);
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.file) {
+    console.error('Usage: node replay-aprs.js <log> [--port 14580] [--kiss] [--speed 1] [--rate 10] [--loop] [--hold]');
+    process.exit(1);
+  }
+
+  const lines = fs.readFileSync(options.file, 'latin1').split(/\r?\n/).filter(line => line.trim());
+  const schedule = buildSchedule(lines, options);
+
+  const server = net.createServer(socket => {
+    console.log(`📡 Client connected from ${socket.remoteAddress}, replaying ${schedule.length} packets`);
+    serve(socket, schedule, options);
+  });
+
+  server.listen(options.port, () => {
+    console.log(`📻 Replaying ${options.file} on port ${options.port} as ${options.kiss ? 'a KISS TNC' : 'APRS-IS'} (speed x${options.speed}${options.loop ? ', looping' : ''})`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildSchedule, replay, serve };
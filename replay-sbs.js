@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * SBS / AVR Replay Server
+ *
+ * Serves a recorded BaseStation (port 30003) or AVR (port 30002) capture over
+ * TCP so the ADSB connector's streaming input can be tested without a receiver.
+ * SBS lines are paced by their generated timestamps; AVR lines by --rate.
+ *
+ * Usage: node replay-sbs.js <recording> [--port 30003] [--speed 1] [--rate 50] [--loop]
+ */
+
+const fs = require('fs');
+const net = require('net');
+const SBSParser = require('./services/sbsParser');
+
+function parseArgs(argv) {
+  const options = { file: null, port: 30003, speed: 1, rate: 50, loop: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') options.port = parseInt(argv[++i], 10);
+    else if (arg === '--speed') options.speed = parseFloat(argv[++i]);
+    else if (arg === '--rate') options.rate = parseFloat(argv[++i]);
+    else if (arg === '--loop') options.loop = true;
+    else options.file = arg;
+  }
+
+  return options;
+}
+
+/**
+ * Build [{ line, delay }] with delays taken from SBS timestamps where available
+ */
+function buildSchedule(lines, options) {
+  const schedule = [];
+  let previous = null;
+
+  for (const line of lines) {
+    let delay = 1000 / options.rate;
+
+    if (line.startsWith('MSG')) {
+      const update = SBSParser.parseLine(line);
+      if (update && previous !== null) {
+        delay = Math.max(0, update.timestamp - previous) / options.speed;
+      }
+      if (update) {
+        previous = update.timestamp;
+      }
+    }
+
+    schedule.push({ line, delay: Math.min(delay, 10000) });
+  }
+
+  return schedule;
+}
+
+function replay(socket, schedule, options) {
+  let index = 0;
+  let timer = null;
+
+  const next = () => {
+    if (socket.destroyed) return;
+
+    if (index >= schedule.length) {
+      if (!options.loop) {
+        socket.end();
+        return;
+      }
+      index = 0;
+    }
+
+    const { line, delay } = schedule[index++];
+    timer = setTimeout(() => {
+      socket.write(`${line}\r\n`);
+      next();
+    }, index === 1 ? 0 : delay);
+  };
+
+  socket.on('close', () => clearTimeout(timer));
+  socket.on('error', () => clearTimeout(timer));
+  next();
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.file) {
+    console.error('Usage: node replay-sbs.js <recording> [--port 30003] [--speed 1] [--rate 50] [--loop]');
+    process.exit(1);
+  }
+
+  const lines = fs.readFileSync(options.file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  const schedule = buildSchedule(lines, options);
+
+  const server = net.createServer(socket => {
+    console.log(`📡 Client connected from ${socket.remoteAddress}, replaying ${lines.length} lines`);
+    replay(socket, schedule, options);
+  });
+
+  server.listen(options.port, () => {
+    console.log(`🛩️ Replaying ${options.file} on port ${options.port} (speed x${options.speed}${options.loop ? ', looping' : ''})`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildSchedule, replay };
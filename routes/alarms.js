@@ -98,7 +98,7 @@ router.get('/api/stats', async (req, res) => {
  */
 router.get('/api/history', async (req, res) => {
   try {
-    const { limit = 100, offset = 0, status, ruleId, eventType } = req.query;
+    const { limit = 100, offset = 0, status, ruleId, eventType, reason } = req.query;
     
     const connectorRegistry = req.app.locals.connectorRegistry;
     if (!connectorRegistry) {
@@ -120,6 +120,7 @@ router.get('/api/history', async (req, res) => {
     if (status) filters.status = status;
     if (ruleId) filters.ruleId = ruleId;
     if (eventType) filters.eventType = eventType;
+    if (reason) filters.reason = reason;
     
     const history = await alarmManager.getAlarmHistory(
       parseInt(limit),
@@ -347,6 +348,334 @@ router.get('/api/events', async (req, res) => {
   }
 });
 
+/**
+ * GET /alarms/api/patterns
+ * Get window state for all pattern rules (counts, sequences, absence)
+ */
+router.get('/api/patterns', async (req, res) => {
+  try {
+    const connectorRegistry = req.app.locals.connectorRegistry;
+    if (!connectorRegistry) {
+      return res.status(503).json({
+        success: false,
+        error: 'Connector registry not available'
+      });
+    }
+
+    const alarmManager = connectorRegistry.getConnector('alarm-manager-main');
+    if (!alarmManager) {
+      return res.status(503).json({
+        success: false,
+        error: 'Alarm Manager Connector not available'
+      });
+    }
+
+    const patterns = await alarmManager.execute('alarm:management', 'patterns', {});
+    
+    res.json({
+      success: true,
+      data: patterns,
+      count: patterns.length
+    });
+  } catch (error) {
+    console.error('Error getting pattern state:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /alarms/api/patterns/:ruleId
+ * Get window state for one pattern rule
+ */
+router.get('/api/patterns/:ruleId', async (req, res) => {
+  try {
+    const connectorRegistry = req.app.locals.connectorRegistry;
+    if (!connectorRegistry) {
+      return res.status(503).json({
+        success: false,
+        error: 'Connector registry not available'
+      });
+    }
+
+    const alarmManager = connectorRegistry.getConnector('alarm-manager-main');
+    if (!alarmManager) {
+      return res.status(503).json({
+        success: false,
+        error: 'Alarm Manager Connector not available'
+      });
+    }
+
+    const state = await alarmManager.execute('alarm:management', 'patterns', {
+      ruleId: req.params.ruleId
+    });
+    
+    if (!state) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pattern rule not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: state
+    });
+  } catch (error) {
+    console.error('Error getting pattern state:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Resolve the Alarm Manager Connector, replying 503 when it is unavailable
+ */
+function getAlarmManager(req, res) {
+  const connectorRegistry = req.app.locals.connectorRegistry;
+  if (!connectorRegistry) {
+    res.status(503).json({
+      success: false,
+      error: 'Connector registry not available'
+    });
+    return null;
+  }
+
+  const alarmManager = connectorRegistry.getConnector('alarm-manager-main');
+  if (!alarmManager) {
+    res.status(503).json({
+      success: false,
+      error: 'Alarm Manager Connector not available'
+    });
+    return null;
+  }
+
+  return alarmManager;
+}
+
+/**
+ * Map alarm lifecycle errors to HTTP status codes
+ */
+function sendAlarmError(res, error) {
+  const status = error.code === 'ALARM_NOT_FOUND' ? 404 : error.code === 'INVALID_TRANSITION' ? 409 : 500;
+  if (status === 500) {
+    console.error('Error updating alarm:', error);
+  }
+  res.status(status).json({
+    success: false,
+    error: error.message
+  });
+}
+
+/**
+ * GET /alarms/api/alarms
+ * List alarms that have not been cleared (?status=raised|acknowledged|shelved, ?ruleId=)
+ */
+router.get('/api/alarms', async (req, res) => {
+  try {
+    const alarmManager = getAlarmManager(req, res);
+    if (!alarmManager) return;
+
+    const { status, ruleId } = req.query;
+    const alarms = await alarmManager.execute('alarm:history', 'active', {
+      filters: { status, ruleId }
+    });
+
+    res.json({
+      success: true,
+      data: alarms,
+      count: alarms.length
+    });
+  } catch (error) {
+    sendAlarmError(res, error);
+  }
+});
+
+/**
+ * GET /alarms/api/escalations
+ * List alarms currently being escalated
+ */
+router.get('/api/escalations', async (req, res) => {
+  try {
+    const alarmManager = getAlarmManager(req, res);
+    if (!alarmManager) return;
+
+    const escalations = await alarmManager.execute('alarm:history', 'escalations');
+
+    res.json({
+      success: true,
+      data: escalations,
+      count: escalations.length
+    });
+  } catch (error) {
+    sendAlarmError(res, error);
+  }
+});
+
+/**
+ * GET /alarms/api/oncall
+ * Current and next on-call member for each rotation
+ */
+router.get('/api/oncall', async (req, res) => {
+  try {
+    const alarmManager = getAlarmManager(req, res);
+    if (!alarmManager) return;
+
+    const rotations = await alarmManager.execute('alarm:history', 'oncall');
+
+    res.json({
+      success: true,
+      data: rotations
+    });
+  } catch (error) {
+    sendAlarmError(res, error);
+  }
+});
+
+/**
+ * GET /alarms/api/alarms/:alarmId
+ * Get an alarm with its state transitions
+ */
+router.get('/api/alarms/:alarmId', async (req, res) => {
+  try {
+    const alarmManager = getAlarmManager(req, res);
+    if (!alarmManager) return;
+
+    const alarm = await alarmManager.execute('alarm:history', 'get', {
+      alarmId: req.params.alarmId
+    });
+
+    if (!alarm) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alarm not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alarm
+    });
+  } catch (error) {
+    sendAlarmError(res, error);
+  }
+});
+
+/**
+ * POST /alarms/api/alarms/:alarmId/acknowledge
+ * Acknowledge an alarm ({ user, notes })
+ */
+router.post('/api/alarms/:alarmId/acknowledge', async (req, res) => {
+  try {
+    const alarmManager = getAlarmManager(req, res);
+    if (!alarmManager) return;
+
+    const alarm = await alarmManager.execute('alarm:history', 'acknowledge', {
+      alarmId: req.params.alarmId,
+      userId: req.body.user || 'web',
+      notes: req.body.notes
+    });
+
+    res.json({
+      success: true,
+      data: alarm
+    });
+  } catch (error) {
+    sendAlarmError(res, error);
+  }
+});
+
+/**
+ * POST /alarms/api/alarms/:alarmId/shelve
+ * Shelve an alarm ({ duration: '30m', user, reason })
+ */
+router.post('/api/alarms/:alarmId/shelve', async (req, res) => {
+  try {
+    const alarmManager = getAlarmManager(req, res);
+    if (!alarmManager) return;
+
+    let alarm;
+    try {
+      alarm = await alarmManager.execute('alarm:history', 'shelve', {
+        alarmId: req.params.alarmId,
+        duration: req.body.duration,
+        userId: req.body.user || 'web',
+        reason: req.body.reason
+      });
+    } catch (error) {
+      if (!error.code) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: alarm
+    });
+  } catch (error) {
+    sendAlarmError(res, error);
+  }
+});
+
+/**
+ * POST /alarms/api/alarms/:alarmId/unshelve
+ * Return a shelved alarm to its previous state
+ */
+router.post('/api/alarms/:alarmId/unshelve', async (req, res) => {
+  try {
+    const alarmManager = getAlarmManager(req, res);
+    if (!alarmManager) return;
+
+    const alarm = await alarmManager.execute('alarm:history', 'unshelve', {
+      alarmId: req.params.alarmId,
+      userId: req.body.user || 'web'
+    });
+
+    res.json({
+      success: true,
+      data: alarm
+    });
+  } catch (error) {
+    sendAlarmError(res, error);
+  }
+});
+
+/**
+ * POST /alarms/api/alarms/:alarmId/clear
+ * Clear an alarm ({ user, notes })
+ */
+router.post('/api/alarms/:alarmId/clear', async (req, res) => {
+  try {
+    const alarmManager = getAlarmManager(req, res);
+    if (!alarmManager) return;
+
+    const alarm = await alarmManager.execute('alarm:history', 'clear', {
+      alarmId: req.params.alarmId,
+      userId: req.body.user || 'web',
+      notes: req.body.notes
+    });
+
+    if (!alarm) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alarm not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: alarm
+    });
+  } catch (error) {
+    sendAlarmError(res, error);
+  }
+});
+
 /**
  * GET /alarms/api/:id
  * Get a specific alarm rule
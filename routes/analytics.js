@@ -507,6 +507,198 @@ router.get('/analytics/smart-patterns', async (req, res) => {
   }
 });
 
+// Watchlist Routes
+router.get('/watchlists', async (req, res) => {
+  try {
+    const watchlistService = req.app.locals.watchlistService;
+    if (!watchlistService) {
+      return res.status(503).json({ error: 'Watchlist service not available' });
+    }
+    
+    const watchlists = watchlistService.getLists();
+    res.json({ watchlists, count: watchlists.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/watchlists', async (req, res) => {
+  try {
+    const watchlistService = req.app.locals.watchlistService;
+    if (!watchlistService) {
+      return res.status(503).json({ error: 'Watchlist service not available' });
+    }
+    
+    const watchlist = await watchlistService.createList(req.body);
+    res.status(201).json(watchlist);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.get('/watchlists/hits', async (req, res) => {
+  try {
+    const watchlistService = req.app.locals.watchlistService;
+    if (!watchlistService) {
+      return res.status(503).json({ error: 'Watchlist service not available' });
+    }
+    
+    const hits = watchlistService.getHits({
+      plate: req.query.plate,
+      listId: req.query.listId,
+      cameraId: req.query.cameraId,
+      since: req.query.since,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    });
+    res.json({ hits, count: hits.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Match a plate without auditing or running actions
+router.get('/watchlists/match/:plateNumber', async (req, res) => {
+  try {
+    const watchlistService = req.app.locals.watchlistService;
+    if (!watchlistService) {
+      return res.status(503).json({ error: 'Watchlist service not available' });
+    }
+    
+    const matches = watchlistService.match(req.params.plateNumber);
+    res.json({ plate: watchlistService.normalize(req.params.plateNumber), matches, count: matches.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/watchlists/:listId', async (req, res) => {
+  try {
+    const watchlistService = req.app.locals.watchlistService;
+    if (!watchlistService) {
+      return res.status(503).json({ error: 'Watchlist service not available' });
+    }
+    
+    const watchlist = watchlistService.getList(req.params.listId);
+    if (!watchlist) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    
+    res.json(watchlist);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/watchlists/:listId', async (req, res) => {
+  try {
+    const watchlistService = req.app.locals.watchlistService;
+    if (!watchlistService) {
+      return res.status(503).json({ error: 'Watchlist service not available' });
+    }
+    
+    const watchlist = await watchlistService.updateList(req.params.listId, req.body);
+    if (!watchlist) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    
+    res.json(watchlist);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.delete('/watchlists/:listId', async (req, res) => {
+  try {
+    const watchlistService = req.app.locals.watchlistService;
+    if (!watchlistService) {
+      return res.status(503).json({ error: 'Watchlist service not available' });
+    }
+    
+    if (!await watchlistService.deleteList(req.params.listId)) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/watchlists/:listId/entries', async (req, res) => {
+  try {
+    const watchlistService = req.app.locals.watchlistService;
+    if (!watchlistService) {
+      return res.status(503).json({ error: 'Watchlist service not available' });
+    }
+    
+    const entry = await watchlistService.addEntry(req.params.listId, req.body);
+    if (!entry) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    
+    res.status(201).json(entry);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.put('/watchlists/:listId/entries/:entryId', async (req, res) => {
+  try {
+    const watchlistService = req.app.locals.watchlistService;
+    if (!watchlistService) {
+      return res.status(503).json({ error: 'Watchlist service not available' });
+    }
+    
+    const entry = await watchlistService.updateEntry(req.params.listId, req.params.entryId, req.body);
+    if (!entry) {
+      return res.status(404).json({ error: 'Watchlist entry not found' });
+    }
+    
+    res.json(entry);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.delete('/watchlists/:listId/entries/:entryId', async (req, res) => {
+  try {
+    const watchlistService = req.app.locals.watchlistService;
+    if (!watchlistService) {
+      return res.status(503).json({ error: 'Watchlist service not available' });
+    }
+    
+    if (!await watchlistService.removeEntry(req.params.listId, req.params.entryId)) {
+      return res.status(404).json({ error: 'Watchlist entry not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import entries as CSV (plate,description,expiresAt) or a JSON array; ?replace=true swaps the list's entries
+router.post('/watchlists/:listId/import', express.text({ type: ['text/csv', 'text/plain'] }), async (req, res) => {
+  try {
+    const watchlistService = req.app.locals.watchlistService;
+    if (!watchlistService) {
+      return res.status(503).json({ error: 'Watchlist service not available' });
+    }
+    
+    const input = typeof req.body === 'string' ? req.body : (req.body.entries || req.body);
+    const result = await watchlistService.importEntries(req.params.listId, input, {
+      replace: req.query.replace === 'true'
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Dashboard Routes
 router.get('/dashboard', async (req, res) => {
   try {
@@ -661,6 +853,12 @@ router.get('/stats', async (req, res) => {
       stats.analytics = analyticsEngine.getStats();
     }
     
+    // Watchlist stats
+    const watchlistService = req.app.locals.watchlistService;
+    if (watchlistService) {
+      stats.watchlists = watchlistService.getStats();
+    }
+    
     // Dashboard service stats
     const dashboardService = req.app.locals.dashboardService;
     if (dashboardService) {
@@ -213,6 +213,108 @@ router.get('/events', async (req, res) => {
   }
 });
 
+// Persisted event history (type, source, since, until, limit, offset, order)
+router.get('/events/history', async (req, res) => {
+  try {
+    const eventBus = req.app.locals.eventBus;
+    if (!eventBus) {
+      return res.status(500).json({ success: false, error: 'Event Bus not initialized' });
+    }
+
+    const { type, source, since, until, limit, offset, order } = req.query;
+    const filter = { type, source, since, until, limit, offset, order };
+    const events = await eventBus.queryEvents(filter);
+    const total = eventBus.eventStore ? await eventBus.eventStore.count(filter) : events.length;
+
+    res.json({ success: true, count: events.length, total, data: events });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Per-subscriber queue and delivery statistics
+router.get('/events/subscribers', (req, res) => {
+  try {
+    const eventBus = req.app.locals.eventBus;
+    if (!eventBus) {
+      return res.status(500).json({ success: false, error: 'Event Bus not initialized' });
+    }
+
+    const subscribers = eventBus.getSubscriberStats();
+    res.json({ success: true, count: subscribers.length, data: subscribers });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Replay a persisted time window through subscribers, rules and flows
+router.post('/events/replay', (req, res) => {
+  try {
+    const eventBus = req.app.locals.eventBus;
+    if (!eventBus) {
+      return res.status(500).json({ success: false, error: 'Event Bus not initialized' });
+    }
+
+    const { since, until } = req.body;
+    if (!since || !until) {
+      return res.status(400).json({ success: false, error: 'since and until are required' });
+    }
+
+    if (isNaN(new Date(since).getTime()) || isNaN(new Date(until).getTime())) {
+      return res.status(400).json({ success: false, error: 'since and until must be valid dates' });
+    }
+
+    const replay = eventBus.startReplay(req.body);
+    res.status(202).json({ success: true, data: replay });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List recent replays
+router.get('/events/replay', (req, res) => {
+  try {
+    const eventBus = req.app.locals.eventBus;
+    if (!eventBus) {
+      return res.status(500).json({ success: false, error: 'Event Bus not initialized' });
+    }
+
+    const replays = eventBus.getReplayStatus();
+    res.json({ success: true, count: replays.length, data: replays });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get replay status
+router.get('/events/replay/:replayId', (req, res) => {
+  try {
+    const eventBus = req.app.locals.eventBus;
+    const replay = eventBus ? eventBus.getReplayStatus(req.params.replayId) : null;
+    if (!replay) {
+      return res.status(404).json({ success: false, error: 'Replay not found' });
+    }
+
+    res.json({ success: true, data: replay });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cancel a running replay
+router.delete('/events/replay/:replayId', (req, res) => {
+  try {
+    const eventBus = req.app.locals.eventBus;
+    if (!eventBus || !eventBus.cancelReplay(req.params.replayId)) {
+      return res.status(404).json({ success: false, error: 'Replay not found or not running' });
+    }
+
+    res.json({ success: true, message: 'Replay cancelled' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Rules endpoints
 router.get('/rules', (req, res) => {
   try {
@@ -304,13 +406,44 @@ router.get('/rules/export', (req, res) => {
       return res.status(500).json({ success: false, error: 'Rule Engine not initialized' });
     }
     
-    const rules = ruleEngine.getRules();
+    const rules = ruleEngine.exportRules();
     res.json({ success: true, data: rules });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Validate a condition expression
+router.post('/rules/conditions/validate', (req, res) => {
+  try {
+    const ruleEngine = req.app.locals.ruleEngine;
+    if (!ruleEngine) {
+      return res.status(500).json({ success: false, error: 'Rule Engine not initialized' });
+    }
+    
+    const { expression, event } = req.body;
+    if (!expression) {
+      return res.status(400).json({ success: false, error: 'expression is required' });
+    }
+    
+    let compiled;
+    try {
+      compiled = ruleEngine.validateExpression(expression);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    // Optionally evaluate against a sample event
+    if (event) {
+      compiled.matches = ruleEngine.evaluateConditions(event, { expression: compiled.expression });
+    }
+    
+    res.json({ success: true, data: compiled });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Toggle rule enabled/disabled
 router.post('/rules/:ruleId/toggle', (req, res) => {
   try {
@@ -862,6 +995,7 @@ router.get('/radar/aircraft', (req, res) => {
   try {
     const radarConnector = req.app.locals.radarConnector;
     const adsbConnector = req.app.locals.connectorRegistry?.getConnector('adsb-main');
+    const fusionService = req.app.locals.aircraftFusionService;
     
     if (!radarConnector) {
       return res.status(500).json({ success: false, error: 'Radar Connector not initialized' });
@@ -869,8 +1003,10 @@ router.get('/radar/aircraft', (req, res) => {
     
     let aircraft = [];
     
-    // Get aircraft from ADSB connector if available
-    if (adsbConnector && adsbConnector.aircraft) {
+    // Prefer the fused stream, falling back to the local ADSB connector
+    if (fusionService) {
+      aircraft = fusionService.getAircraft();
+    } else if (adsbConnector && adsbConnector.aircraft) {
       aircraft = Array.from(adsbConnector.aircraft.values());
     }
     
@@ -889,6 +1025,17 @@ router.get('/radar/aircraft', (req, res) => {
 // Simple aircraft endpoint that doesn't require RadarConnector
 router.get('/aircraft', (req, res) => {
   try {
+    const fusionService = req.app.locals.aircraftFusionService;
+    
+    // Fused aircraft from all ADS-B sources, with per-field provenance
+    if (fusionService) {
+      let aircraft = fusionService.getAircraft();
+      if (req.query.source) {
+        aircraft = aircraft.filter(a => a.sources.includes(req.query.source));
+      }
+      return res.json({ success: true, data: aircraft });
+    }
+    
     const adsbConnector = req.app.locals.connectorRegistry?.getConnector('adsb-main');
     
     if (!adsbConnector) {
@@ -908,6 +1055,41 @@ router.get('/aircraft', (req, res) => {
   }
 });
 
+// Fusion statistics: aircraft per source, multi-source count, rejected positions
+router.get('/aircraft/fusion', (req, res) => {
+  try {
+    const fusionService = req.app.locals.aircraftFusionService;
+    
+    if (!fusionService) {
+      return res.status(503).json({ success: false, error: 'Aircraft fusion service not available' });
+    }
+    
+    res.json({ success: true, data: fusionService.getStats() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// One fused aircraft with the per-source observations behind it
+router.get('/aircraft/:icao24', (req, res) => {
+  try {
+    const fusionService = req.app.locals.aircraftFusionService;
+    
+    if (!fusionService) {
+      return res.status(503).json({ success: false, error: 'Aircraft fusion service not available' });
+    }
+    
+    const aircraft = fusionService.getAircraft(req.params.icao24);
+    if (!aircraft) {
+      return res.status(404).json({ success: false, error: 'Aircraft not found' });
+    }
+    
+    res.json({ success: true, data: { ...aircraft, observations: fusionService.getObservations(req.params.icao24) } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Debug endpoint for ADSB connector internal state
 router.get('/adsb/debug', (req, res) => {
   try {
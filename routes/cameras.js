@@ -43,6 +43,36 @@ async function saveCameraLocations(locations) {
   }
 }
 
+/**
+ * Field of view settings from a request body: heading, fov and range,
+ * plus elevation, verticalFov and height for airborne coverage
+ */
+function parseFieldOfView(body) {
+  const limits = {
+    heading: [0, 360],
+    fov: [1, 360],
+    range: [1, 50000],
+    elevation: [-90, 90],
+    verticalFov: [1, 180],
+    height: [-500, 10000]
+  };
+  
+  const values = {};
+  for (const [field, [min, max]] of Object.entries(limits)) {
+    if (body[field] === undefined || body[field] === null || body[field] === '') continue;
+    const value = parseFloat(body[field]);
+    if (isNaN(value) || value < min || value > max) {
+      return { error: `${field} must be between ${min} and ${max}` };
+    }
+    values[field] = value;
+  }
+  
+  if (values.heading === undefined && Object.keys(values).length > 0) {
+    return { error: 'heading is required for a field of view' };
+  }
+  return { values };
+}
+
 /**
  * Get all camera locations
  */
@@ -148,6 +178,7 @@ router.post('/locations/:cameraId', async (req, res) => {
   try {
     const { cameraId } = req.params;
     const { lat, lng, name, description, address } = req.body;
+    const fieldOfView = parseFieldOfView(req.body);
     
     // Validate required fields
     if (!lat || !lng) {
@@ -165,6 +196,13 @@ router.post('/locations/:cameraId', async (req, res) => {
       });
     }
     
+    if (fieldOfView.error) {
+      return res.status(400).json({
+        success: false,
+        error: fieldOfView.error
+      });
+    }
+    
     // Load existing locations
     const locations = await loadCameraLocations();
     
@@ -175,6 +213,7 @@ router.post('/locations/:cameraId', async (req, res) => {
       name: name || '',
       description: description || '',
       address: address || '',
+      ...fieldOfView.values,
       updatedAt: new Date().toISOString()
     };
     
@@ -187,6 +226,12 @@ router.post('/locations/:cameraId', async (req, res) => {
       });
     }
     
+    // Redraw the field of view cone
+    const coverage = req.app.locals.cameraCoverageService;
+    if (coverage) {
+      await coverage.setCamera(cameraId, locations[cameraId]);
+    }
+    
     // Try to update camera in UniFi Protect if connector is available
     try {
       const connectorRegistry = req.app.get('connectorRegistry');
@@ -232,6 +277,10 @@ router.delete('/locations/:cameraId', async (req, res) => {
     
     delete locations[cameraId];
     
+    if (req.app.locals.cameraCoverageService) {
+      await req.app.locals.cameraCoverageService.removeCamera(cameraId);
+    }
+    
     const saved = await saveCameraLocations(locations);
     if (!saved) {
       return res.status(500).json({
@@ -252,4 +301,137 @@ router.delete('/locations/:cameraId', async (req, res) => {
   }
 });
 
+/**
+ * Get camera field of view cones
+ */
+router.get('/fov', (req, res) => {
+  const coverage = req.app.locals.cameraCoverageService;
+  if (!coverage) {
+    return res.status(503).json({
+      success: false,
+      error: 'Camera coverage service not available'
+    });
+  }
+  
+  const cameras = coverage.getCameras();
+  res.json({
+    success: true,
+    data: cameras,
+    count: cameras.length
+  });
+});
+
+/**
+ * Get the cameras that cover a point (altitude in feet AMSL, optional)
+ */
+router.get('/coverage', (req, res) => {
+  const coverage = req.app.locals.cameraCoverageService;
+  if (!coverage) {
+    return res.status(503).json({
+      success: false,
+      error: 'Camera coverage service not available'
+    });
+  }
+  
+  const lat = parseFloat(req.query.lat);
+  const lng = parseFloat(req.query.lng ?? req.query.lon);
+  const altitude = parseFloat(req.query.altitude);
+  if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return res.status(400).json({
+      success: false,
+      error: 'Valid lat and lng are required'
+    });
+  }
+  
+  const cameras = coverage.getCoveringCameras({ lat, lng, altitude: isNaN(altitude) ? null : altitude });
+  res.json({
+    success: true,
+    data: cameras,
+    count: cameras.length
+  });
+});
+
+/**
+ * Reject PTZ slew-to-cue requests when the service is not running
+ */
+function requireSlewToCue(req, res, next) {
+  if (!req.app.locals.slewToCueService) {
+    return res.status(503).json({
+      success: false,
+      error: 'Slew-to-cue service not available'
+    });
+  }
+  next();
+}
+
+/**
+ * Send a slew-to-cue result, mapping unknown cameras to 404
+ */
+async function sendPTZResult(res, action) {
+  try {
+    res.json({
+      success: true,
+      data: await action()
+    });
+  } catch (error) {
+    res.status(error.message.startsWith('PTZ camera not found') ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Get PTZ cameras with their targets and positions
+ */
+router.get('/ptz', requireSlewToCue, (req, res) => {
+  const service = req.app.locals.slewToCueService;
+  res.json({
+    success: true,
+    data: service.getCameras(),
+    stats: service.getStats()
+  });
+});
+
+/**
+ * Steer a PTZ camera at an aircraft until released
+ */
+router.post('/ptz/:cameraId/track', requireSlewToCue, (req, res) => {
+  const { icao24 } = req.body;
+  if (!icao24 || !/^[0-9a-f]{6}$/i.test(icao24)) {
+    return res.status(400).json({
+      success: false,
+      error: 'A 6 digit hex icao24 is required'
+    });
+  }
+  sendPTZResult(res, () => req.app.locals.slewToCueService.track(req.params.cameraId, icao24));
+});
+
+/**
+ * Point a PTZ camera at a position (altitude in feet AMSL, omit for ground level)
+ */
+router.post('/ptz/:cameraId/point', requireSlewToCue, (req, res) => {
+  const lat = parseFloat(req.body.lat);
+  const lon = parseFloat(req.body.lon);
+  const altitude = parseFloat(req.body.altitude);
+  if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return res.status(400).json({
+      success: false,
+      error: 'Valid lat and lon are required'
+    });
+  }
+  sendPTZResult(res, () => req.app.locals.slewToCueService.pointAt(req.params.cameraId, {
+    lat,
+    lon,
+    altitude: isNaN(altitude) ? null : altitude
+  }));
+});
+
+/**
+ * Stop steering a PTZ camera
+ */
+router.post('/ptz/:cameraId/release', requireSlewToCue, (req, res) => {
+  sendPTZResult(res, () => req.app.locals.slewToCueService.release(req.params.cameraId));
+});
+
 module.exports = router; 
\ No newline at end of file
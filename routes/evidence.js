@@ -0,0 +1,237 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * Evidence Routes
+ *
+ * Lists, serves and manages clips and snapshots exported around alarms by
+ * the evidence service.
+ */
+
+/**
+ * Reject evidence requests when the service is not running
+ */
+function requireEvidence(req, res, next) {
+  if (!req.app.locals.evidenceService) {
+    return res.status(503).json({
+      success: false,
+      error: 'Evidence service not available'
+    });
+  }
+  next();
+}
+
+router.use(requireEvidence);
+
+/**
+ * List captures (filters: alarmId, cameraId, status, limit)
+ */
+router.get('/', (req, res) => {
+  const evidence = req.app.locals.evidenceService.listEvidence({
+    alarmId: req.query.alarmId,
+    cameraId: req.query.cameraId,
+    status: req.query.status,
+    limit: parseInt(req.query.limit) || undefined
+  });
+
+  res.json({
+    success: true,
+    data: evidence,
+    count: evidence.length
+  });
+});
+
+/**
+ * Get evidence statistics
+ */
+router.get('/stats', (req, res) => {
+  res.json({
+    success: true,
+    data: req.app.locals.evidenceService.getStats()
+  });
+});
+
+/**
+ * Start a manual capture from cameras, or from the cameras covering a point
+ */
+router.post('/', (req, res) => {
+  const evidenceService = req.app.locals.evidenceService;
+  const { cameraIds, lat, lng, lon, timestamp, preRoll, postRoll, alarmId, severity } = req.body;
+
+  let cameras = [];
+  if (Array.isArray(cameraIds)) {
+    cameras = cameraIds.map(cameraId => ({ cameraId: String(cameraId) }));
+  } else if (lat !== undefined) {
+    cameras = evidenceService.getCamerasForEvent({ data: { lat: parseFloat(lat), lng: parseFloat(lng ?? lon) } });
+  }
+
+  if (cameras.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'cameraIds, or a lat/lng covered by a camera, is required'
+    });
+  }
+
+  try {
+    const evidence = evidenceService.capture({
+      cameras,
+      timestamp,
+      preRoll: preRoll === undefined ? undefined : parseFloat(preRoll),
+      postRoll: postRoll === undefined ? undefined : parseFloat(postRoll),
+      alarmId,
+      severity,
+      reason: 'manual'
+    });
+
+    res.status(202).json({
+      success: true,
+      data: evidence
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Run the retention policy now
+ */
+router.post('/prune', async (req, res) => {
+  try {
+    const removed = await req.app.locals.evidenceService.prune();
+    res.json({
+      success: true,
+      data: { removed },
+      count: removed.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get a capture's manifest
+ */
+router.get('/:id', (req, res) => {
+  const evidence = req.app.locals.evidenceService.getEvidence(req.params.id);
+  if (!evidence) {
+    return res.status(404).json({
+      success: false,
+      error: 'Evidence not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: evidence
+  });
+});
+
+/**
+ * Re-hash a capture's files against its manifest
+ */
+router.get('/:id/verify', async (req, res) => {
+  try {
+    const result = await req.app.locals.evidenceService.verify(req.params.id);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evidence not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Download a clip or snapshot
+ */
+router.get('/:id/files/:name', (req, res) => {
+  const evidenceService = req.app.locals.evidenceService;
+  const filePath = evidenceService.getFilePath(req.params.id, req.params.name);
+  if (!filePath) {
+    return res.status(404).json({
+      success: false,
+      error: 'Evidence file not found'
+    });
+  }
+
+  const item = evidenceService.getEvidence(req.params.id).items.find(item => item.name === req.params.name);
+  res.set('Content-Type', item.contentType);
+  res.set('X-Evidence-SHA256', item.sha256);
+  res.sendFile(filePath);
+});
+
+/**
+ * Hold a capture so retention does not delete it, or release it
+ */
+router.post('/:id/hold', async (req, res) => {
+  try {
+    const evidence = await req.app.locals.evidenceService.setHold(req.params.id, req.body.hold !== false);
+    if (!evidence) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evidence not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: evidence
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete a capture
+ */
+router.delete('/:id', async (req, res) => {
+  const evidenceService = req.app.locals.evidenceService;
+  const evidence = evidenceService.getEvidence(req.params.id);
+  if (!evidence) {
+    return res.status(404).json({
+      success: false,
+      error: 'Evidence not found'
+    });
+  }
+  if (evidence.hold) {
+    return res.status(409).json({
+      success: false,
+      error: 'Evidence is on hold'
+    });
+  }
+
+  try {
+    await evidenceService.remove(req.params.id);
+    res.json({
+      success: true,
+      message: 'Evidence deleted'
+    });
+  } catch (error) {
+    res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
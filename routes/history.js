@@ -730,6 +730,9 @@ router.get('/', (req, res) => {
                   <button class="btn render-video" onclick="renderFlightTimeline('\${flight.icao24 || ''}', '\${flight.callsign || flight.icao24 || 'Unknown'}')">
                     📊 Render Timeline
                   </button>
+                  <button class="btn render-video" onclick="replayOnRadar('\${flight.icao24 || ''}', '\${flight.startTime || ''}', '\${flight.endTime || ''}')">
+                    📼 Replay on Radar
+                  </button>
                 </div>
                 <div id="render-status-\${flight.icao24 || 'unknown'}" class="render-status" style="display: none;"></div>
               </div>
@@ -865,6 +868,20 @@ router.get('/', (req, res) => {
       flightMaps.set(icao24, map);
     }
     
+    // Open the radar in playback mode over the flight's time span
+    function replayOnRadar(icao24, startTime, endTime) {
+      if (!startTime) {
+        alert('Flight has no start time to replay from');
+        return;
+      }
+      const params = new URLSearchParams({
+        playbackStart: new Date(startTime).toISOString(),
+        playbackEnd: new Date(endTime || Date.now()).toISOString()
+      });
+      if (icao24) params.set('icao24', icao24);
+      window.open('/radar?' + params.toString(), '_blank');
+    }
+    
     async function renderFlightVideo(icao24, callsign) {
       const statusElement = document.getElementById(\`render-status-\${icao24}\`);
       const button = event.target;
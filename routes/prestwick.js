@@ -3,10 +3,14 @@ const router = express.Router();
 
 let prestwickConnector = null;
 let eventBus = null;
+let movementLogService = null;
+let arrivalPredictionService = null;
 
-function injectServices({ connectorRegistry, eventBus }) {
+function injectServices({ connectorRegistry, eventBus, movementLogService: movementLog, arrivalPredictionService: arrivals }) {
   prestwickConnector = connectorRegistry.getConnector('prestwick-airport-main');
   eventBus = eventBus;
+  movementLogService = movementLog || null;
+  arrivalPredictionService = arrivals || null;
 }
 
 /**
@@ -372,6 +376,265 @@ router.post('/telegram/test', async (req, res) => {
   }
 });
 
+/**
+ * Reject movement log requests when the log is not running
+ */
+function requireMovementLog(req, res, next) {
+  if (!movementLogService) {
+    return res.status(503).json({
+      error: 'Movement log not available',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+}
+
+/**
+ * Send a movements CSV download
+ */
+function sendMovementsCSV(res, movements, filename) {
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+  res.send(movementLogService.toCSV(movements));
+}
+
+/**
+ * Send a report as JSON, CSV or PDF-ready JSON
+ */
+function sendMovementReport(req, res, report, filename) {
+  if (req.query.format === 'csv') {
+    return sendMovementsCSV(res, report.movements || [], `${filename}.csv`);
+  }
+
+  res.json({
+    success: true,
+    data: req.query.format === 'pdf' ? movementLogService.toPrintable(report) : report,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * GET /api/prestwick/movements
+ * Logged movements (default last 24 hours); format=csv to download
+ */
+router.get('/movements', requireMovementLog, async (req, res) => {
+  try {
+    const airport = (req.query.airport || 'EGPK').toUpperCase();
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 86400000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({
+        error: 'from and to must be valid times',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const filter = {
+      airport,
+      from,
+      to,
+      type: req.query.type,
+      runway: req.query.runway,
+      icao24: req.query.icao24,
+      limit: req.query.limit
+    };
+
+    // CSV exports the whole range; the JSON listing is capped by limit
+    if (req.query.format === 'csv') {
+      const movements = await movementLogService.getAllMovements(filter);
+      return sendMovementsCSV(res, movements, `${airport.toLowerCase()}-movements.csv`);
+    }
+
+    const movements = await movementLogService.getMovements(filter);
+
+    res.json({
+      success: true,
+      data: { airport, from: from.toISOString(), to: to.toISOString(), count: movements.length, movements },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/prestwick/movements/reports/daily?date=YYYY-MM-DD
+ * Daily movements report; format=csv or format=pdf
+ */
+router.get('/movements/reports/daily', requireMovementLog, async (req, res) => {
+  try {
+    const airport = (req.query.airport || 'EGPK').toUpperCase();
+    const date = req.query.date || movementLogService.getLocalParts(new Date(), movementLogService.getTimeZone(airport)).date;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        error: 'date must be YYYY-MM-DD',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const report = await movementLogService.getDailyReport(airport, date);
+    sendMovementReport(req, res, report, `${airport.toLowerCase()}-movements-${date}`);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/prestwick/movements/reports/monthly?month=YYYY-MM
+ * Monthly movements report; format=csv or format=pdf
+ */
+router.get('/movements/reports/monthly', requireMovementLog, async (req, res) => {
+  try {
+    const airport = (req.query.airport || 'EGPK').toUpperCase();
+    const month = req.query.month || movementLogService.getLocalParts(new Date(), movementLogService.getTimeZone(airport)).month;
+
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      return res.status(400).json({
+        error: 'month must be YYYY-MM',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const report = await movementLogService.getMonthlyReport(airport, month);
+    if (req.query.format === 'csv') {
+      const movements = await movementLogService.getMonthlyMovements(airport, month);
+      return sendMovementsCSV(res, movements, `${airport.toLowerCase()}-movements-${month}.csv`);
+    }
+    sendMovementReport(req, res, report, `${airport.toLowerCase()}-movements-${month}`);
+  } catch (error) {
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/prestwick/movements/runways
+ * Runway-in-use history (default last 7 days)
+ */
+router.get('/movements/runways', requireMovementLog, async (req, res) => {
+  try {
+    const airport = (req.query.airport || 'EGPK').toUpperCase();
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 7 * 86400000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({
+        error: 'from and to must be valid times',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const history = await movementLogService.getRunwayHistory(airport, from, to);
+
+    res.json({
+      success: true,
+      data: { airport, from: from.toISOString(), to: to.toISOString(), periods: history },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/prestwick/movements/busiest
+ * Busiest hours (default last 30 days)
+ */
+router.get('/movements/busiest', requireMovementLog, async (req, res) => {
+  try {
+    const airport = (req.query.airport || 'EGPK').toUpperCase();
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 86400000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({
+        error: 'from and to must be valid times',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const busiest = await movementLogService.getBusiestHours(airport, from, to, {
+      limit: parseInt(req.query.limit) || 10
+    });
+
+    res.json({
+      success: true,
+      data: busiest,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Reject arrivals requests when prediction is not running
+ */
+function requireArrivals(req, res, next) {
+  if (!arrivalPredictionService) {
+    return res.status(503).json({
+      error: 'Arrival prediction not available',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+}
+
+/**
+ * GET /api/prestwick/arrivals
+ * Arrivals board: predicted inbound aircraft ordered by ETA
+ */
+router.get('/arrivals', requireArrivals, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: arrivalPredictionService.getBoard(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/prestwick/arrivals/:icao24
+ * Prediction for one inbound aircraft
+ */
+router.get('/arrivals/:icao24', requireArrivals, (req, res) => {
+  const arrival = arrivalPredictionService.getArrival(req.params.icao24);
+  if (!arrival) {
+    return res.status(404).json({
+      error: `No predicted arrival for ${req.params.icao24}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    data: arrival,
+    timestamp: new Date().toISOString()
+  });
+});
+
 module.exports = {
   router,
   injectServices
@@ -22,7 +22,7 @@ const logger = winston.createLogger({
 });
 
 // Import services (these will be injected from the main server)
-let radarConnector, adsbConnector, adsbfiConnector, airplanesLiveConnector, connectorRegistry, airportVectorService, airspaceService, vectorOptimizationService;
+let radarConnector, adsbConnector, adsbfiConnector, airplanesLiveConnector, connectorRegistry, airportVectorService, airspaceService, vectorOptimizationService, trackPlaybackService;
 
 // Middleware to inject services
 function injectServices(services) {
@@ -34,6 +34,7 @@ function injectServices(services) {
   airportVectorService = services.airportVectorService;
   airspaceService = services.airspaceService;
   vectorOptimizationService = services.vectorOptimizationService;
+  trackPlaybackService = services.trackPlaybackService;
 }
 
 // Main radar interface
@@ -135,6 +136,17 @@ router.get('/', (req, res) => {
       animation: blink 1s infinite;
     }
     
+    .aircraft.conflict {
+      background: #ff8800;
+      box-shadow: 0 0 8px #ff8800;
+    }
+    
+    .aircraft.conflict.critical {
+      background: #ff0000;
+      box-shadow: 0 0 10px #ff0000;
+      animation: blink 1s infinite;
+    }
+    
     .aircraft.highlighted {
       background: #ffff00;
       box-shadow: 0 0 10px #ffff00;
@@ -424,6 +436,63 @@ router.get('/', (req, res) => {
       color: #888;
       background: #111;
     }
+    
+    .playback-panel {
+      position: absolute;
+      bottom: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      width: 480px;
+      background: rgba(0,0,0,0.85);
+      border: 1px solid #00ff00;
+      border-radius: 8px;
+      padding: 10px 15px;
+      color: #00ff00;
+      font-size: 12px;
+      z-index: 1000;
+    }
+    
+    .playback-panel.active {
+      border-color: #ffff00;
+    }
+    
+    .playback-row {
+      display: flex;
+      align-items: center;
+      gap: 5px;
+      margin-bottom: 5px;
+    }
+    
+    .playback-row input, .playback-row select {
+      background: #000;
+      border: 1px solid #00ff00;
+      color: #00ff00;
+      border-radius: 4px;
+      padding: 3px;
+      font-size: 11px;
+    }
+    
+    #playback-seek {
+      flex: 1;
+    }
+    
+    .notam-marker {
+      position: absolute;
+      width: 10px;
+      height: 10px;
+      border: 2px solid #ff8800;
+      transform: translate(-50%, -50%) rotate(45deg);
+      pointer-events: none;
+    }
+    
+    .notam-label {
+      position: absolute;
+      font-size: 9px;
+      color: #ff8800;
+      white-space: nowrap;
+      transform: translate(10px, -5px);
+      pointer-events: none;
+    }
   </style>
 </head>
 <body>
@@ -613,6 +682,30 @@ router.get('/', (req, res) => {
       <h3>Zones</h3>
       <div id="zone-list"></div>
     </div>
+    
+    <div class="playback-panel" id="playback-panel">
+      <div class="playback-row">
+        <strong id="playback-mode">LIVE</strong>
+        <input type="datetime-local" id="playback-start">
+        <input type="datetime-local" id="playback-end">
+        <input type="text" id="playback-icao24" placeholder="ICAO24" size="7">
+        <button class="btn" onclick="startPlayback()">Replay</button>
+      </div>
+      <div class="playback-row">
+        <button class="btn" id="playback-toggle" onclick="togglePlayback()" disabled>Pause</button>
+        <select id="playback-speed" onchange="setPlaybackSpeed(this.value)">
+          <option value="1">1x</option>
+          <option value="2">2x</option>
+          <option value="5">5x</option>
+          <option value="10">10x</option>
+          <option value="30">30x</option>
+          <option value="60">60x</option>
+        </select>
+        <input type="range" id="playback-seek" min="0" max="1000" value="0" disabled onchange="seekPlayback(this.value)">
+        <span id="playback-time">-</span>
+        <button class="btn" onclick="stopPlayback()">Live</button>
+      </div>
+    </div>
   </div>
   
   <!-- Add Zone Modal -->
@@ -685,22 +778,45 @@ router.get('/', (req, res) => {
     let airportVectorData = null;
     let airspaceData = null;
     let airspaceEvents = [];
+    let playbackSession = null;
+    let refreshTimer = null;
 
     // Initialize radar
     async function initRadar() {
       try {
         await loadRadarData();
-        setInterval(loadRadarData, 5000); // Periodically refresh data
+        scheduleRefresh();
         renderRadar();
+        
+        // Links from the history page open straight into a replay
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('playbackStart') && params.get('playbackEnd')) {
+          document.getElementById('playback-start').value = toLocalInput(params.get('playbackStart'));
+          document.getElementById('playback-end').value = toLocalInput(params.get('playbackEnd'));
+          document.getElementById('playback-icao24').value = params.get('icao24') || '';
+          await startPlayback();
+        }
       } catch (error) {
         showAlert('Failed to initialize radar: ' + error.message);
       }
     }
 
+    // Refresh every 5s live, every second while replaying
+    function scheduleRefresh() {
+      if (refreshTimer) clearInterval(refreshTimer);
+      refreshTimer = setInterval(loadRadarData, playbackSession ? 1000 : 5000);
+    }
+
     // Load radar data from API
     async function loadRadarData() {
       try {
-        const response = await fetch('/radar/api/display');
+        const url = playbackSession ? '/radar/api/display?playback=' + encodeURIComponent(playbackSession.id) : '/radar/api/display';
+        const response = await fetch(url);
+        if (playbackSession && response.status === 404) {
+          // Session expired on the server
+          stopPlayback();
+          return;
+        }
         if (response.ok) {
           const result = await response.json();
           if (result.success && result.data) {
@@ -720,6 +836,9 @@ router.get('/', (req, res) => {
               };
             }
             radarData = newData;
+            if (newData.playback) {
+              updatePlaybackControls(newData.playback);
+            }
             renderRadar();
             updateInfoPanel();
           } else {
@@ -731,9 +850,115 @@ router.get('/', (req, res) => {
       }
     }
 
+    function toLocalInput(value) {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) return '';
+      return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+
+    // Start replaying stored tracks for the selected time range
+    async function startPlayback() {
+      const start = document.getElementById('playback-start').value;
+      const end = document.getElementById('playback-end').value;
+      if (!start || !end) {
+        showAlert('Select a start and end time to replay');
+        return;
+      }
+      
+      try {
+        if (playbackSession) {
+          await fetch('/radar/api/playback/' + encodeURIComponent(playbackSession.id), { method: 'DELETE' });
+        }
+        const response = await fetch('/radar/api/playback', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString(),
+            speed: parseInt(document.getElementById('playback-speed').value),
+            icao24: document.getElementById('playback-icao24').value.trim() || undefined
+          })
+        });
+        const result = await response.json();
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        playbackSession = result.data;
+        updatePlaybackControls(playbackSession);
+        scheduleRefresh();
+        await loadRadarData();
+      } catch (error) {
+        showAlert('Failed to start playback: ' + error.message);
+      }
+    }
+
+    async function controlPlayback(body) {
+      if (!playbackSession) return;
+      try {
+        const response = await fetch('/radar/api/playback/' + encodeURIComponent(playbackSession.id) + '/control', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        updatePlaybackControls(result.data);
+        await loadRadarData();
+      } catch (error) {
+        showAlert('Playback control failed: ' + error.message);
+      }
+    }
+
+    function togglePlayback() {
+      if (!playbackSession) return;
+      controlPlayback({ action: playbackSession.state === 'playing' ? 'pause' : 'play' });
+    }
+
+    function setPlaybackSpeed(speed) {
+      controlPlayback({ action: 'speed', speed: parseInt(speed) });
+    }
+
+    function seekPlayback(value) {
+      if (!playbackSession) return;
+      const start = new Date(playbackSession.start).getTime();
+      const end = new Date(playbackSession.end).getTime();
+      controlPlayback({ action: 'seek', time: new Date(start + (end - start) * value / 1000).toISOString() });
+    }
+
+    // Return to the live picture
+    async function stopPlayback() {
+      if (playbackSession) {
+        fetch('/radar/api/playback/' + encodeURIComponent(playbackSession.id), { method: 'DELETE' }).catch(() => {});
+      }
+      playbackSession = null;
+      document.getElementById('playback-panel').classList.remove('active');
+      document.getElementById('playback-mode').textContent = 'LIVE';
+      document.getElementById('playback-toggle').disabled = true;
+      document.getElementById('playback-seek').disabled = true;
+      document.getElementById('playback-time').textContent = '-';
+      scheduleRefresh();
+      await loadRadarData();
+    }
+
+    function updatePlaybackControls(status) {
+      playbackSession = status;
+      document.getElementById('playback-panel').classList.add('active');
+      document.getElementById('playback-mode').textContent = status.state.toUpperCase();
+      document.getElementById('playback-toggle').disabled = false;
+      document.getElementById('playback-toggle').textContent = status.state === 'playing' ? 'Pause' : 'Play';
+      document.getElementById('playback-seek').disabled = false;
+      document.getElementById('playback-seek').value = Math.round(status.progress * 1000);
+      document.getElementById('playback-speed').value = String(status.speed);
+      document.getElementById('playback-time').textContent = new Date(status.time).toLocaleString();
+    }
+
     // Render radar display
     function renderRadar() {
       renderAircraft();
+      renderConflicts();
+      renderNotams();
       renderAirportVectors();
       renderCoastline();
       renderAirspace();
@@ -770,6 +995,14 @@ router.get('/', (req, res) => {
           aircraftEl.classList.add('emergency');
         }
         
+        if (aircraft.conflict) {
+          aircraftEl.classList.add('conflict', aircraft.conflict.severity);
+        }
+        
+        if (aircraft.highlighted) {
+          aircraftEl.classList.add('highlighted');
+        }
+        
         // Add label
         const label = document.createElement('div');
         label.className = 'aircraft-label';
@@ -804,6 +1037,118 @@ router.get('/', (req, res) => {
       }
     }
     
+    // Join conflicting pairs with a line labelled with the predicted separation
+    function renderConflicts() {
+      const container = document.getElementById('aircraft-container');
+      let overlay = document.getElementById('conflict-overlay');
+      if (!overlay) {
+        overlay = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        overlay.id = 'conflict-overlay';
+        overlay.setAttribute('viewBox', '0 0 100 100');
+        overlay.setAttribute('preserveAspectRatio', 'none');
+        overlay.style.cssText = 'position: absolute; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none;';
+        container.appendChild(overlay);
+      }
+      overlay.innerHTML = '';
+      container.querySelectorAll('.conflict-label').forEach(el => el.remove());
+      if (!radarData.conflicts) return;
+
+      radarData.conflicts.forEach(conflict => {
+        const a = latLonToRadarPosition(conflict.aircraftA.lat, conflict.aircraftA.lon);
+        const b = latLonToRadarPosition(conflict.aircraftB.lat, conflict.aircraftB.lon);
+        const color = conflict.severity === 'critical' ? '#ff0000' : '#ff8800';
+
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', a.x);
+        line.setAttribute('y1', a.y);
+        line.setAttribute('x2', b.x);
+        line.setAttribute('y2', b.y);
+        line.setAttribute('stroke', color);
+        line.setAttribute('stroke-width', '0.3');
+        line.setAttribute('stroke-dasharray', '1 0.5');
+        overlay.appendChild(line);
+
+        const label = document.createElement('div');
+        label.className = 'conflict-label aircraft-label';
+        label.style.left = ((a.x + b.x) / 2) + '%';
+        label.style.top = ((a.y + b.y) / 2) + '%';
+        label.style.color = color;
+        label.textContent = conflict.lossOfSeparation
+          ? 'LOS ' + conflict.separation.lateral + 'nm/' + conflict.separation.vertical + 'ft'
+          : 'CONFLICT ' + conflict.timeToConflict + 's';
+        container.appendChild(label);
+      });
+    }
+    
+    // Render NOTAM areas and markers (only those in force at the replayed time during playback)
+    function renderNotams() {
+      const container = document.getElementById('aircraft-container');
+      container.querySelectorAll('.notam-marker, .notam-label').forEach(el => el.remove());
+      let overlay = document.getElementById('notam-overlay');
+      if (!overlay) {
+        overlay = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        overlay.id = 'notam-overlay';
+        overlay.setAttribute('viewBox', '0 0 100 100');
+        overlay.setAttribute('preserveAspectRatio', 'none');
+        overlay.style.cssText = 'position: absolute; top: 0; left: 0; width: 100%; height: 100%; pointer-events: none;';
+        container.appendChild(overlay);
+      }
+      overlay.innerHTML = '';
+      if (!radarData.notams || !radarData.notams.notams) return;
+
+      radarData.notams.notams.forEach(notam => {
+        let lat = notam.position?.lat;
+        let lon = notam.position?.lon;
+        if ((lat === undefined || lon === undefined) && notam.geometry?.bounds) {
+          lat = (notam.geometry.bounds.north + notam.geometry.bounds.south) / 2;
+          lon = (notam.geometry.bounds.east + notam.geometry.bounds.west) / 2;
+        }
+        if (typeof lat !== 'number' || typeof lon !== 'number') return;
+
+        const position = latLonToRadarPosition(lat, lon);
+        const ring = notam.geometry?.type === 'Polygon' && notam.geometry.coordinates?.[0];
+        if (ring && ring.length > 2) {
+          const area = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+          area.setAttribute('points', ring.map(([pointLon, pointLat]) => {
+            const point = latLonToRadarPosition(pointLat, pointLon);
+            return point.x + ',' + point.y;
+          }).join(' '));
+          // Highlighted while an aircraft is infringing it
+          area.setAttribute('fill', notam.highlighted ? 'rgba(255, 0, 0, 0.2)' : 'rgba(255, 136, 0, 0.08)');
+          area.setAttribute('stroke', notam.highlighted ? '#ff0000' : '#ff8800');
+          area.setAttribute('stroke-width', notam.highlighted ? '0.4' : '0.2');
+          area.setAttribute('stroke-dasharray', notam.highlighted ? 'none' : '0.8 0.4');
+          overlay.appendChild(area);
+        } else {
+          const marker = document.createElement('div');
+          marker.className = 'notam-marker';
+          marker.style.left = position.x + '%';
+          marker.style.top = position.y + '%';
+          marker.title = notam.title || notam.description || notam.id;
+          if (notam.highlighted) marker.style.borderColor = '#ff0000';
+          container.appendChild(marker);
+        }
+
+        // Vertical limits as SFC-2000, SFC-400AGL or FL100-FL245
+        const limits = notam.volume ? [
+          [notam.volume.lowerFt, notam.volume.lowerReference],
+          [notam.volume.upperFt, notam.volume.upperReference]
+        ].map(([feet, reference]) =>
+          feet === 0 ? 'SFC' : feet >= 99900 ? 'UNL' : reference === 'AGL' ? feet + 'AGL' :
+            feet >= 10000 ? 'FL' + Math.round(feet / 100) : String(feet)
+        ).join('-') : '';
+
+        const label = document.createElement('div');
+        label.className = 'notam-label';
+        label.style.left = position.x + '%';
+        label.style.top = position.y + '%';
+        label.textContent = (notam.notamNumber || notam.id) + (limits ? ' ' + limits : '');
+        if (notam.highlighted) label.style.color = '#ff0000';
+        label.title = notam.title || notam.description || notam.id;
+        container.appendChild(label);
+      });
+    }
+    
     // Update info panel
     function updateInfoPanel() {
       // Don't override aircraft count - it's set in renderAircraft()
@@ -1351,7 +1696,19 @@ router.get('/api/display', async (req, res) => {
       return res.status(500).json({ success: false, error: 'Radar Connector not initialized' });
     }
     
-    const display = radarConnector.getRadarDisplay();
+    // Time-machine mode: replay a stored playback session instead of live data
+    if (req.query.playback) {
+      if (!trackPlaybackService) {
+        return res.status(503).json({ success: false, error: 'Track playback not available' });
+      }
+      if (!trackPlaybackService.sessions.has(req.query.playback)) {
+        return res.status(404).json({ success: false, error: `Playback session not found: ${req.query.playback}` });
+      }
+      const frame = trackPlaybackService.getFrame(req.query.playback);
+      return res.json({ success: true, data: radarConnector.getPlaybackDisplay(frame) });
+    }
+    
+    const display = await radarConnector.getRadarDisplay();
     
     // Add augmented flight data if ADSB connector is available
     if (connectorRegistry) {
@@ -1374,6 +1731,105 @@ router.get('/api/display', async (req, res) => {
   }
 });
 
+// Active conflicts from the conflict probe
+router.get('/api/conflicts', async (req, res) => {
+  if (!radarConnector?.conflictProbeService) {
+    return res.status(503).json({ success: false, error: 'Conflict probe not available' });
+  }
+  
+  const conflicts = radarConnector.conflictProbeService.getConflicts();
+  res.json({ success: true, data: conflicts, count: conflicts.length });
+});
+
+// Aircraft currently inside NOTAM volumes
+router.get('/api/notam-infringements', async (req, res) => {
+  if (!radarConnector?.notamInfringementService) {
+    return res.status(503).json({ success: false, error: 'NOTAM infringement checks not available' });
+  }
+  
+  const infringements = radarConnector.notamInfringementService.getInfringements();
+  res.json({ success: true, data: infringements, count: infringements.length });
+});
+
+// Track playback endpoints
+router.post('/api/playback', async (req, res) => {
+  try {
+    if (!trackPlaybackService) {
+      return res.status(503).json({ success: false, error: 'Track playback not available' });
+    }
+    
+    const { start, end, speed, icao24, paused } = req.body;
+    if (!start || !end) {
+      return res.status(400).json({ success: false, error: 'start and end are required' });
+    }
+    
+    const status = await trackPlaybackService.createSession({ start, end, speed, icao24, paused });
+    res.json({ success: true, data: status });
+  } catch (error) {
+    logger.error('Failed to start track playback', { error: error.message });
+    res.status(error.code === 'PLAYBACK_LIMIT' ? 429 : 400).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/api/playback/:id', async (req, res) => {
+  try {
+    if (!trackPlaybackService) {
+      return res.status(503).json({ success: false, error: 'Track playback not available' });
+    }
+    
+    res.json({ success: true, data: trackPlaybackService.getStatus(req.params.id) });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/api/playback/:id/control', async (req, res) => {
+  try {
+    if (!trackPlaybackService) {
+      return res.status(503).json({ success: false, error: 'Track playback not available' });
+    }
+    if (!trackPlaybackService.sessions.has(req.params.id)) {
+      return res.status(404).json({ success: false, error: `Playback session not found: ${req.params.id}` });
+    }
+    
+    const { action, time, speed } = req.body;
+    let status;
+    switch (action) {
+      case 'play':
+        status = trackPlaybackService.play(req.params.id);
+        break;
+      case 'pause':
+        status = trackPlaybackService.pause(req.params.id);
+        break;
+      case 'seek':
+        status = trackPlaybackService.seek(req.params.id, time);
+        break;
+      case 'speed':
+        status = trackPlaybackService.setSpeed(req.params.id, speed);
+        break;
+      default:
+        return res.status(400).json({ success: false, error: `Unknown playback action: ${action}` });
+    }
+    
+    res.json({ success: true, data: status });
+  } catch (error) {
+    logger.error('Failed to control track playback', { id: req.params.id, error: error.message });
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/api/playback/:id', async (req, res) => {
+  if (!trackPlaybackService) {
+    return res.status(503).json({ success: false, error: 'Track playback not available' });
+  }
+  
+  const deleted = trackPlaybackService.deleteSession(req.params.id);
+  if (!deleted) {
+    return res.status(404).json({ success: false, error: `Playback session not found: ${req.params.id}` });
+  }
+  res.json({ success: true });
+});
+
 router.post('/api/configure', async (req, res) => {
   try {
     if (!radarConnector) {
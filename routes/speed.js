@@ -216,6 +216,198 @@ class SpeedRoutes {
       }
     });
 
+    // List average speed routes
+    router.get('/speed/routes', async (req, res) => {
+      try {
+        const connector = req.app.locals.speedCalculationConnector;
+        if (!connector) {
+          return res.status(503).json({ error: 'Speed calculation connector not available' });
+        }
+        
+        const routes = await connector.execute('speed:routes', 'list', {});
+        
+        res.json({
+          success: true,
+          routes,
+          count: routes.length
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Register average speed route
+    router.post('/speed/routes', async (req, res) => {
+      try {
+        const connector = req.app.locals.speedCalculationConnector;
+        if (!connector) {
+          return res.status(503).json({ error: 'Speed calculation connector not available' });
+        }
+        
+        if (!Array.isArray(req.body.checkpoints)) {
+          return res.status(400).json({ error: 'Missing required field: checkpoints' });
+        }
+        
+        const route = await connector.execute('speed:routes', 'register', req.body);
+        
+        res.status(201).json({
+          success: true,
+          route
+        });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Get average speed route
+    router.get('/speed/routes/:routeId', async (req, res) => {
+      try {
+        const connector = req.app.locals.speedCalculationConnector;
+        if (!connector) {
+          return res.status(503).json({ error: 'Speed calculation connector not available' });
+        }
+        
+        const route = await connector.execute('speed:routes', 'get', { routeId: req.params.routeId });
+        if (!route) {
+          return res.status(404).json({ error: 'Route not found' });
+        }
+        
+        res.json({
+          success: true,
+          route
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Update average speed route
+    router.put('/speed/routes/:routeId', async (req, res) => {
+      try {
+        const connector = req.app.locals.speedCalculationConnector;
+        if (!connector) {
+          return res.status(503).json({ error: 'Speed calculation connector not available' });
+        }
+        
+        const { routeId } = req.params;
+        if (!await connector.execute('speed:routes', 'get', { routeId })) {
+          return res.status(404).json({ error: 'Route not found' });
+        }
+        
+        const route = await connector.execute('speed:routes', 'update', {
+          routeId,
+          updates: req.body
+        });
+        
+        res.json({
+          success: true,
+          route
+        });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Remove average speed route
+    router.delete('/speed/routes/:routeId', async (req, res) => {
+      try {
+        const connector = req.app.locals.speedCalculationConnector;
+        if (!connector) {
+          return res.status(503).json({ error: 'Speed calculation connector not available' });
+        }
+        
+        const result = await connector.execute('speed:routes', 'remove', { routeId: req.params.routeId });
+        if (!result.success) {
+          return res.status(404).json({ error: 'Route not found' });
+        }
+        
+        res.json({
+          success: true,
+          result
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get segment and whole-route average speeds
+    router.get('/speed/averages', async (req, res) => {
+      try {
+        const connector = req.app.locals.speedCalculationConnector;
+        if (!connector) {
+          return res.status(503).json({ error: 'Speed calculation connector not available' });
+        }
+        
+        const filter = {
+          routeId: req.query.routeId,
+          plateNumber: req.query.plateNumber,
+          scope: req.query.scope
+        };
+        
+        const result = await connector.execute('speed:routes', 'averages', filter);
+        const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+        
+        res.json({
+          success: true,
+          averages: result.averages.slice(0, limit),
+          count: result.count,
+          filter
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get average speed offences
+    router.get('/speed/offences', async (req, res) => {
+      try {
+        const connector = req.app.locals.speedCalculationConnector;
+        if (!connector) {
+          return res.status(503).json({ error: 'Speed calculation connector not available' });
+        }
+        
+        const filter = {
+          routeId: req.query.routeId,
+          plateNumber: req.query.plateNumber,
+          scope: req.query.scope
+        };
+        
+        const result = await connector.execute('speed:routes', 'offences', filter);
+        const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+        
+        res.json({
+          success: true,
+          offences: result.offences.slice(0, limit),
+          count: result.count,
+          filter
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Get an offence with both ANPR reads
+    router.get('/speed/offences/:offenceId', async (req, res) => {
+      try {
+        const connector = req.app.locals.speedCalculationConnector;
+        if (!connector) {
+          return res.status(503).json({ error: 'Speed calculation connector not available' });
+        }
+        
+        const offence = await connector.execute('speed:routes', 'offence', { offenceId: req.params.offenceId });
+        if (!offence) {
+          return res.status(404).json({ error: 'Offence not found' });
+        }
+        
+        res.json({
+          success: true,
+          offence
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Connect to UniFi Protect
     router.post('/speed/connect-unifi', async (req, res) => {
       try {
@@ -343,11 +535,17 @@ class SpeedRoutes {
         });
       }
 
+      const onOffence = (offence) => sendEvent('speedOffence', offence);
+      if (connector) {
+        connector.on('speed:offence', onOffence);
+      }
+
       // Handle client disconnect
       req.on('close', () => {
         if (connector) {
           connector.removeAllListeners('speed:calculated');
           connector.removeAllListeners('speed:alert');
+          connector.removeListener('speed:offence', onOffence);
         }
       });
     });
@@ -22,6 +22,8 @@ const { router: apiRouter, injectServices } = require('./routes/api');
 
 // Import flow system
 const EventBus = require('./services/eventBus');
+const EventStore = require('./services/eventStore');
+const DatabaseService = require('./services/databaseService');
 const RuleEngine = require('./services/ruleEngine');
 const ActionFramework = require('./services/actionFramework');
 const FlowBuilder = require('./services/flowBuilder');
@@ -52,6 +54,18 @@ const VectorOptimizationService = require('./services/vectorOptimizationService'
 // Import airspace service
 const AirspaceService = require('./services/airspaceService');
 
+// Import aircraft fusion service
+const AircraftFusionService = require('./services/aircraftFusionService');
+const TrackPlaybackService = require('./services/trackPlaybackService');
+const ConflictProbeService = require('./services/conflictProbeService');
+const NOTAMInfringementService = require('./services/notamInfringementService');
+const MovementLogService = require('./services/movementLogService');
+const ArrivalPredictionService = require('./services/arrivalPredictionService');
+const SlewToCueService = require('./services/slewToCueService');
+const CameraCoverageService = require('./services/cameraCoverageService');
+const EvidenceService = require('./services/evidenceService');
+const WatchlistService = require('./services/watchlistService');
+
 // Import default rules
 const defaultRules = require('./config/defaultRules');
 
@@ -68,6 +82,7 @@ const APRSConnector = require('./connectors/types/APRSConnector');
 const RemotionConnector = require('./connectors/types/RemotionConnector');
 const OverwatchConnector = require('./connectors/types/OverwatchConnector');
 const PrestwickAirportConnector = require('./connectors/types/PrestwickAirportConnector');
+const AirportConnector = require('./connectors/types/AirportConnector');
 const SystemVisualizerConnector = require('./connectors/types/SystemVisualizerConnector');
 const TelegramConnector = require('./connectors/types/TelegramConnector');
 const AlarmManagerConnector = require('./connectors/types/AlarmManagerConnector');
@@ -145,6 +160,8 @@ const logger = winston.createLogger({
 });
 
 // Global variables for services
+let databaseService;
+let eventStore;
 let eventBus;
 let ruleEngine;
 let actionFramework;
@@ -179,6 +196,16 @@ let airspaceService;
 let vectorOptimizationService;
 let aircraftDataService;
 let squawkCodeService;
+let aircraftFusionService;
+let trackPlaybackService;
+let conflictProbeService;
+let notamInfringementService;
+let movementLogService;
+let arrivalPredictionService;
+let slewToCueService;
+let cameraCoverageService;
+let evidenceService;
+let watchlistService;
 let transcodingService;
 
 // Main application setup
@@ -843,6 +870,17 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Prestwick arrivals board
+  socket.on('getArrivals', () => {
+    const board = arrivalPredictionService ? arrivalPredictionService.getBoard() : {
+      airport: null,
+      leadTime: config.arrivals?.leadTime || 5,
+      arrivals: [],
+      updated: new Date().toISOString()
+    };
+    socket.emit('prestwickArrivals', { ...board, timestamp: new Date().toISOString() });
+  });
+
   // Connector-related WebSocket events
   socket.on('getConnectors', async () => {
     try {
@@ -1036,6 +1074,23 @@ async function startServer() {
     mqttBroker = new MQTTBroker(config.mqtt || {}, logger);
     eventBus = new EventBus(config.eventBus || {}, logger);
     ruleEngine = new RuleEngine(config.rules || {}, logger);
+    eventBus.setRuleEngine(ruleEngine);
+    ruleEngine.setEventBus(eventBus);
+
+    // Initialize durable event store behind the event bus
+    try {
+      databaseService = new DatabaseService({
+        ...config.database,
+        databasePath: path.resolve(__dirname, config.database.path)
+      });
+      await databaseService.initialize();
+      eventStore = new EventStore(config.eventStore || {}, databaseService, logger);
+      await eventStore.initialize();
+      eventBus.setEventStore(eventStore);
+    } catch (error) {
+      logger.error('Failed to initialize event store, events will be kept in memory only:', error);
+      eventStore = null;
+    }
     actionFramework = new ActionFramework(config.actions || {}, logger);
     flowOrchestrator = new FlowOrchestrator(config.flows || {}, logger); // TEMPORARILY DISABLED
 
@@ -1108,6 +1163,7 @@ async function startServer() {
     connectorRegistry.registerType('remotion', RemotionConnector);
     connectorRegistry.registerType('overwatch', OverwatchConnector);
     connectorRegistry.registerType('prestwick-airport', PrestwickAirportConnector);
+    connectorRegistry.registerType('airport', AirportConnector);
     connectorRegistry.registerType('telegram', TelegramConnector);
     connectorRegistry.registerType('alarm-manager', AlarmManagerConnector);
     connectorRegistry.registerType('notam', NOTAMConnector);
@@ -1120,6 +1176,18 @@ async function startServer() {
     aircraftDataService = new AircraftDataService(config.aircraftData || {}, logger);
     await aircraftDataService.initialize();
     
+    // Initialize track playback over stored positions
+    trackPlaybackService = new TrackPlaybackService(config.playback || {}, logger);
+    trackPlaybackService.setAircraftDataService(aircraftDataService);
+    
+    // Initialize the airport movements log
+    if (config.movementLog?.enabled !== false) {
+      movementLogService = new MovementLogService(config.movementLog || {}, logger);
+      movementLogService.setAircraftDataService(aircraftDataService);
+      movementLogService.setEventBus(eventBus);
+      await movementLogService.initialize();
+    }
+    
     // Initialize squawk code service
     squawkCodeService = new SquawkCodeService(config.squawkCode || {}, logger);
     await squawkCodeService.initialize();
@@ -1152,6 +1220,9 @@ async function startServer() {
       }
     }
     speedCalculationConnector = speedCalculationConnectorInstance;
+    if (speedCalculationConnector) {
+      speedCalculationConnector.on('broadcast', ({ type, data }) => broadcastToClients(type, data));
+    }
 
     // Ensure essential connectors exist and initialize them
     const adsbConnectorInstance = connectorRegistry.getConnector('adsb-main');
@@ -1203,12 +1274,71 @@ async function startServer() {
     const adsbfiConnectorInstance = connectorRegistry.getConnector('adsbfi-main');
     const airplanesLiveConnectorInstance = connectorRegistry.getConnector('airplaneslive-main');
     
+    // Fuse local and online ADS-B feeds into one aircraft stream keyed on ICAO24.
+    // The local receiver is attached directly; ADS-B.fi and Airplanes.Live
+    // publish `aircraft:detected` on the event bus, which fusion subscribes to.
+    aircraftFusionService = new AircraftFusionService(config.fusion || {}, logger);
+    if (adsbConnectorInstance) {
+      aircraftFusionService.attachConnector(adsbConnectorInstance);
+    }
+    aircraftFusionService.setEventBus(eventBus);
+    for (const pollingConnector of [adsbfiConnectorInstance, airplanesLiveConnectorInstance]) {
+      if (pollingConnector) {
+        pollingConnector.setEventBus(eventBus);
+      }
+    }
+    aircraftFusionService.start();
+    logger.info('Aircraft fusion service initialized');
+    
+    // Probe the fused picture for loss of separation between aircraft
+    if (config.conflictProbe?.enabled !== false) {
+      conflictProbeService = new ConflictProbeService(config.conflictProbe || {}, logger);
+      conflictProbeService.setAircraftFusionService(aircraftFusionService);
+      conflictProbeService.setAirspaceService(airspaceService);
+      conflictProbeService.setEventBus(eventBus);
+      conflictProbeService.start();
+    }
+
+    // Check the fused picture against NOTAM volumes in force
+    const notamConnectorInstance = connectorRegistry.getConnectorsByType('notam')[0];
+    if (config.notamInfringement?.enabled !== false && notamConnectorInstance) {
+      notamInfringementService = new NOTAMInfringementService(config.notamInfringement || {}, logger);
+      notamInfringementService.setAircraftFusionService(aircraftFusionService);
+      notamInfringementService.setNOTAMConnector(notamConnectorInstance);
+      notamInfringementService.setRadarConnector(radarConnectorInstance);
+      notamInfringementService.setEventBus(eventBus);
+      notamInfringementService.start();
+    }
+
+    // Steer PTZ cameras at selected aircraft or at aircraft that trigger ground events
+    if (config.slewToCue?.enabled !== false) {
+      slewToCueService = new SlewToCueService(config.slewToCue || {}, logger);
+      slewToCueService.setConnectorRegistry(connectorRegistry);
+      slewToCueService.setAircraftFusionService(aircraftFusionService);
+      slewToCueService.setEventBus(eventBus);
+      if (adsbConnectorInstance) {
+        slewToCueService.setADSBConnector(adsbConnectorInstance);
+      }
+      for (const camera of config.slewToCue?.cameras || []) {
+        try {
+          slewToCueService.addCamera(camera);
+        } catch (error) {
+          logger.error(`Failed to add PTZ camera ${camera.id}`, { error: error.message });
+        }
+      }
+      slewToCueService.start();
+    }
+    
     // Initialize radar connector with its dependencies
     if (radarConnectorInstance && airportVectorService && coastlineVectorService) {
       radarConnectorInstance.initialize({
         adsbConnector: adsbConnectorInstance,
         adsbfiConnector: adsbfiConnectorInstance,
         airplanesLiveConnector: airplanesLiveConnectorInstance,
+        aircraftFusionService: aircraftFusionService,
+        conflictProbeService: conflictProbeService,
+        notamInfringementService: notamInfringementService,
+        notamConnector: notamConnectorInstance,
         airportVectorService: airportVectorService,
         coastlineVectorService: coastlineVectorService,
         airspaceService: airspaceService,
@@ -1266,11 +1396,61 @@ async function startServer() {
       if (prestwickConnectorInstance.setConnectorRegistry) {
         prestwickConnectorInstance.setConnectorRegistry(connectorRegistry);
       }
+      if (prestwickConnectorInstance.setAircraftFusionService) {
+        prestwickConnectorInstance.setAircraftFusionService(aircraftFusionService);
+      }
       logger.info('Prestwick Airport connector initialized with its dependencies.');
     } else {
       logger.warn('Could not initialize Prestwick Airport connector due to missing dependencies.');
     }
 
+    // Predict inbound arrivals at Prestwick and push the board to clients
+    if (prestwickConnectorInstance?.airportService && config.arrivals?.enabled !== false) {
+      arrivalPredictionService = new ArrivalPredictionService(config.arrivals || {}, logger);
+      arrivalPredictionService.setAirportService(prestwickConnectorInstance.airportService);
+      arrivalPredictionService.setAircraftFusionService(aircraftFusionService);
+      arrivalPredictionService.setEventBus(eventBus);
+      arrivalPredictionService.on('board:updated', board => broadcastToClients('prestwickArrivals', board));
+      arrivalPredictionService.start();
+    }
+
+    // Auto-create an airport connector for each monitored airport profile
+    for (const icao of config.airports?.monitor || []) {
+      const configured = connectorRegistry.getConnectors().some(c =>
+        c.type === 'airport' && c.profile && c.profile.icao === icao
+      );
+      if (!configured) {
+        logger.info(`Auto-creating airport connector for ${icao}...`);
+        try {
+          await connectorRegistry.createConnector({
+            id: `airport-${icao.toLowerCase()}`,
+            type: 'airport',
+            name: `Airport ${icao}`,
+            description: `${icao} aircraft operations tracking`,
+            enabled: true,
+            config: { airport: icao }
+          });
+        } catch (error) {
+          logger.error(`Failed to create airport connector for ${icao}`, { error: error.message });
+        }
+      }
+    }
+
+    // Initialize airport connectors with their dependencies
+    for (const airportConnector of connectorRegistry.getConnectors().filter(c => c.type === 'airport')) {
+      airportConnector.setEventBus(eventBus);
+      airportConnector.setConnectorRegistry(connectorRegistry);
+      airportConnector.setAircraftFusionService(aircraftFusionService);
+      logger.info(`Airport connector ${airportConnector.id} initialized for ${airportConnector.profile.icao}`);
+    }
+
+    // Log movements from Prestwick and every airport connector
+    if (movementLogService) {
+      for (const airportConnector of connectorRegistry.getConnectors().filter(c => c.profile && c.airportService)) {
+        movementLogService.attachAirport(airportConnector);
+      }
+    }
+
     // Auto-create Remotion connector
     let remotionConnectorInstance = connectorRegistry.getConnector('remotion-main');
     if (!remotionConnectorInstance) {
@@ -1321,6 +1501,32 @@ async function startServer() {
     // Auto-register Web GUI and Map connectors
     await autoRegisterGuiAndMapConnectors();
 
+    // Camera field of view cones and point coverage for alarm snapshots
+    if (config.cameraCoverage?.enabled !== false) {
+      cameraCoverageService = new CameraCoverageService(config.cameraCoverage || {}, logger);
+      cameraCoverageService.setConnectorRegistry(connectorRegistry);
+      cameraCoverageService.setEntityManager(entityManager);
+      await cameraCoverageService.loadLocations();
+      const coverageMap = connectorRegistry.getConnector('main-map');
+      if (coverageMap) {
+        await cameraCoverageService.setMapConnector(coverageMap);
+      }
+    }
+
+    // Pre/post-roll clips and snapshots around alarms
+    if (config.evidence?.enabled !== false) {
+      evidenceService = new EvidenceService(config.evidence || {}, logger);
+      evidenceService.setConnectorRegistry(connectorRegistry);
+      evidenceService.setEventBus(eventBus);
+      if (cameraCoverageService) {
+        evidenceService.setCameraCoverageService(cameraCoverageService);
+      }
+      await evidenceService.start();
+      if (speedCalculationConnector) {
+        speedCalculationConnector.setEvidenceService(evidenceService);
+      }
+    }
+
     // Set entity manager reference for connectors that support it
     const connectors = connectorRegistry.getConnectors();
     connectors.forEach(connector => {
@@ -1348,6 +1554,16 @@ async function startServer() {
       }
     }
     
+    // Attach covering camera snapshots to alarms
+    if (alarmManagerConnector && cameraCoverageService) {
+      alarmManagerConnector.setCameraCoverageService(cameraCoverageService);
+    }
+    
+    // Export evidence clips for alarms
+    if (alarmManagerConnector && evidenceService) {
+      alarmManagerConnector.setEvidenceService(evidenceService);
+    }
+    
     // Now set AlarmManager reference for connectors that support it
     if (alarmManagerConnector) {
       connectors.forEach(connector => {
@@ -1384,6 +1600,16 @@ async function startServer() {
     // Initialize analytics engine with zone manager
     analyticsEngine.setZoneManager(zoneManager);
     
+    // ANPR plate watchlists, checked on every plate detection
+    if (config.watchlists?.enabled !== false) {
+      watchlistService = new WatchlistService(config.watchlists || {}, logger);
+      watchlistService.setConnectorRegistry(connectorRegistry);
+      watchlistService.setEventBus(eventBus);
+      await watchlistService.load();
+      analyticsEngine.setWatchlistService(watchlistService);
+      speedCalculationService.setWatchlistService(watchlistService);
+    }
+    
     // Initialize dashboard service
     await dashboardService.initialize({
       zoneManager,
@@ -1449,7 +1675,8 @@ async function startServer() {
       connectorRegistry,
       airportVectorService,
       airspaceService,
-      vectorOptimizationService
+      vectorOptimizationService,
+      trackPlaybackService
     });
 
     // Set up history routes
@@ -1470,7 +1697,9 @@ async function startServer() {
     // Set up Prestwick Airport routes
     injectPrestwickServices({
       connectorRegistry,
-      eventBus
+      eventBus,
+      movementLogService,
+      arrivalPredictionService
     });
 
     // Mount Overwatch API routes at the path the frontend expects
@@ -1514,6 +1743,9 @@ async function startServer() {
     // Mount camera location management routes
     app.use('/api/cameras', require('./routes/cameras'));
 
+    // Mount evidence routes
+    app.use('/api/evidence', require('./routes/evidence'));
+
     // Mount telegram routes
     app.use('/api/telegram', telegramRouter);
 
@@ -1749,12 +1981,24 @@ async function startServer() {
     // Make services available to API routes via app.locals
     app.locals.connectorRegistry = connectorRegistry;
     app.locals.eventBus = eventBus;
+    app.locals.eventStore = eventStore;
+    app.locals.aircraftFusionService = aircraftFusionService;
+    app.locals.trackPlaybackService = trackPlaybackService;
+    app.locals.conflictProbeService = conflictProbeService;
+    app.locals.notamInfringementService = notamInfringementService;
+    app.locals.movementLogService = movementLogService;
+    app.locals.arrivalPredictionService = arrivalPredictionService;
+    app.locals.slewToCueService = slewToCueService;
+    app.locals.cameraCoverageService = cameraCoverageService;
+    app.locals.evidenceService = evidenceService;
     app.locals.ruleEngine = ruleEngine;
     app.locals.actionFramework = actionFramework;
     app.locals.flowOrchestrator = flowOrchestrator; // TEMPORARILY DISABLED
     app.locals.flowBuilder = flowBuilder;
     app.locals.entityManager = entityManager;
     app.locals.analyticsEngine = analyticsEngine;
+    app.locals.speedCalculationConnector = speedCalculationConnector;
+    app.locals.watchlistService = watchlistService;
     app.locals.dashboardService = dashboardService;
     app.locals.layoutManager = layoutManager;
     app.locals.guiEditor = guiEditor;
@@ -1776,7 +2020,7 @@ async function startServer() {
     // Initialize health routes
     new HealthRoutes({
       healthMonitor,
-      databaseService: null, // Will be added when database service is enhanced
+      databaseService,
       connectorRegistry
     });
 
@@ -1876,6 +2120,14 @@ process.on('SIGTERM', async () => {
   if (dashboardService) dashboardService.cleanup();
   if (connectorRegistry) await connectorRegistry.disconnectAll();
   if (mqttBroker) await mqttBroker.disconnect();
+  if (ruleEngine) ruleEngine.shutdown();
+  if (aircraftFusionService) aircraftFusionService.stop();
+  if (conflictProbeService) conflictProbeService.stop();
+  if (notamInfringementService) notamInfringementService.stop();
+  if (arrivalPredictionService) arrivalPredictionService.stop();
+  if (slewToCueService) slewToCueService.stop();
+  if (evidenceService) evidenceService.stop();
+  if (eventStore) await eventStore.close();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -1888,6 +2140,14 @@ process.on('SIGINT', async () => {
   if (dashboardService) dashboardService.cleanup();
   if (connectorRegistry) await connectorRegistry.disconnectAll();
   if (mqttBroker) await mqttBroker.disconnect();
+  if (ruleEngine) ruleEngine.shutdown();
+  if (aircraftFusionService) aircraftFusionService.stop();
+  if (conflictProbeService) conflictProbeService.stop();
+  if (notamInfringementService) notamInfringementService.stop();
+  if (arrivalPredictionService) arrivalPredictionService.stop();
+  if (slewToCueService) slewToCueService.stop();
+  if (evidenceService) evidenceService.stop();
+  if (eventStore) await eventStore.close();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -119,8 +119,7 @@ class AircraftDataService {
           reject(err);
         } else {
           this.logger.info('Connected to babelfish database');
-          this.createAircraftTables();
-          resolve(true);
+          this.createAircraftTables().then(() => resolve(true), reject);
         }
       });
     });
@@ -486,6 +485,37 @@ class AircraftDataService {
     }
   }
 
+  /**
+   * Get stored positions between two times, oldest first
+   */
+  async getPositionsInRange(start, end, options = {}) {
+    if (!this.config.enableTracking || !this.babelfishDb) {
+      return [];
+    }
+
+    let query = `
+      SELECT * FROM aircraft_positions
+      WHERE timestamp >= ? AND timestamp <= ?
+      AND lat IS NOT NULL AND lon IS NOT NULL
+    `;
+    const params = [new Date(start).toISOString(), new Date(end).toISOString()];
+
+    if (options.icao24) {
+      query += ` AND UPPER(icao24) = ?`;
+      params.push(options.icao24.toUpperCase());
+    }
+
+    query += ` ORDER BY timestamp ASC LIMIT ?`;
+    params.push(options.limit || 100000);
+
+    try {
+      return await this.getAllQuery(query, params);
+    } catch (error) {
+      this.logger.error('Failed to get positions in range', { error: error.message });
+      return [];
+    }
+  }
+
   /**
    * Get recent aircraft events
    */
@@ -594,7 +624,7 @@ class AircraftDataService {
    * Start cleanup timer
    */
   startCleanupTimer() {
-    setInterval(() => {
+    this.cleanupTimer = setInterval(() => {
       this.cleanupOldData();
     }, this.config.cleanupInterval);
   }
@@ -629,6 +659,10 @@ class AircraftDataService {
    * Close database connections
    */
   async close() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
     if (this.baseStationDb) {
       this.baseStationDb.close();
     }
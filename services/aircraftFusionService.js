@@ -0,0 +1,479 @@
+const EventEmitter = require('events');
+const winston = require('winston');
+
+/**
+ * Aircraft Fusion Service
+ *
+ * Merges aircraft reported by several ADS-B sources (local dump1090, ADS-B.fi,
+ * Airplanes.Live) into a single stream keyed on ICAO24. Each source keeps its
+ * own observation per aircraft; the fused record picks every field from the
+ * best fresh observation by source priority, with fresher lower-priority data
+ * winning when the preferred source has gone stale, and positions filtered by
+ * quality rules. Every fused field records which source supplied it.
+ */
+
+// Fields fused independently, with the observation keys they are taken from
+const FIELD_GROUPS = {
+  position: ['lat', 'lon'],
+  altitude: ['altitude'],
+  velocity: ['speed', 'track', 'vertical_rate'],
+  callsign: ['callsign'],
+  squawk: ['squawk'],
+  identity: ['registration', 'aircraftType', 'operator']
+};
+
+class AircraftFusionService extends EventEmitter {
+  constructor(config = {}, logger = null) {
+    super();
+
+    this.config = {
+      // sourceId -> { priority (lower wins), maxAge ms }
+      sources: config.sources || {},
+      defaultPriority: config.defaultPriority || 100,
+      defaultMaxAge: config.defaultMaxAge || 60000,
+      // A lower priority source wins when its value is this much fresher
+      preferFresherBy: config.preferFresherBy || 10000,
+      position: {
+        maxAge: config.position?.maxAge || 30000,
+        minNic: config.position?.minNic || 0,
+        // Reject positions implying a faster ground speed than this (knots)
+        maxImpliedSpeed: config.position?.maxImpliedSpeed || 1500,
+        // Disagreement allowed between sources reporting at the same moment (NM)
+        toleranceNm: config.position?.toleranceNm || 1
+      },
+      sweepInterval: config.sweepInterval || 5000
+    };
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+      transports: [new winston.transports.Console()]
+    });
+
+    // icao24 -> Map(sourceId -> observation)
+    this.observations = new Map();
+
+    // icao24 -> fused aircraft
+    this.aircraft = new Map();
+
+    this.attached = [];
+    this.eventBus = null;
+    this.eventBusSubscription = null;
+    this.sweepTimer = null;
+
+    this.stats = { observations: 0, fusedUpdates: 0, rejectedPositions: 0, appeared: 0, disappeared: 0 };
+  }
+
+  /**
+   * Feed ADS-B connector events (appeared/updated/disappeared) into fusion
+   */
+  attachConnector(connector, sourceId = connector.id) {
+    const handlers = {
+      'aircraft:appeared': aircraft => this.ingest(sourceId, aircraft),
+      'aircraft:updated': event => this.ingest(sourceId, event.aircraft),
+      'aircraft:disappeared': aircraft => this.removeObservation(sourceId, aircraft.icao24)
+    };
+
+    for (const [event, handler] of Object.entries(handlers)) {
+      connector.on(event, handler);
+    }
+    this.attached.push({ connector, sourceId, handlers });
+
+    this.logger.info('Aircraft fusion attached to connector', { sourceId });
+  }
+
+  /**
+   * Feed `aircraft:detected` events from polling connectors (ADS-B.fi, Airplanes.Live)
+   *
+   * Each poll publishes a burst of one event per aircraft, so the
+   * subscription is lossless rather than dropping the oldest.
+   */
+  setEventBus(eventBus) {
+    this.eventBus = eventBus;
+    this.eventBusSubscription = eventBus.subscribe('aircraft:detected', event => {
+      if (event.data) {
+        this.ingest(event.source, event.data, typeof event.timestamp === 'number' ? event.timestamp : undefined);
+      }
+    }, { name: 'aircraft-fusion', lossless: true });
+  }
+
+  start() {
+    if (this.sweepTimer) {
+      return;
+    }
+    this.sweepTimer = setInterval(() => this.sweep(), this.config.sweepInterval);
+    this.sweepTimer.unref?.();
+  }
+
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+
+    for (const { connector, handlers } of this.attached) {
+      for (const [event, handler] of Object.entries(handlers)) {
+        connector.removeListener(event, handler);
+      }
+    }
+    this.attached = [];
+
+    if (this.eventBus && this.eventBusSubscription) {
+      this.eventBus.unsubscribe(this.eventBusSubscription);
+      this.eventBusSubscription = null;
+    }
+  }
+
+  getSourceConfig(sourceId) {
+    const source = this.config.sources[sourceId] || {};
+    return {
+      priority: source.priority !== undefined ? source.priority : this.config.defaultPriority,
+      maxAge: source.maxAge || this.config.defaultMaxAge
+    };
+  }
+
+  /**
+   * Normalize connector aircraft or readsb/dump1090 JSON into an observation
+   */
+  normalize(raw, receivedAt) {
+    const icao24 = (raw.icao24 || raw.hex || '').toString().replace(/^~/, '').toUpperCase();
+    if (!/^[0-9A-F]{6}$/.test(icao24)) {
+      return null;
+    }
+
+    const number = value => (typeof value === 'number' && !isNaN(value) ? value : null);
+    const onGround = raw.alt_baro === 'ground' || raw.onGround === true;
+
+    let altitude = number(raw.altitude);
+    if (altitude === null) altitude = onGround ? 0 : number(raw.alt_baro);
+    if (altitude === null) altitude = number(raw.alt_geom);
+
+    const seenPos = number(raw.seen_pos);
+    const seen = number(raw.seen);
+    const lat = number(raw.lat !== undefined ? raw.lat : raw.latitude);
+    const lon = number(raw.lon !== undefined ? raw.lon : raw.longitude);
+    const callsign = (raw.callsign || raw.flight || '').toString().trim();
+
+    // Connector aircraft carry the absolute time they were last heard, which stays
+    // right when a sweep re-reads them; readsb JSON gives seconds before the fetch
+    const lastSeen = this.parseTime(raw.last_seen !== undefined ? raw.last_seen : raw.lastUpdate);
+    let time = receivedAt;
+    if (lastSeen !== null) {
+      time = Math.min(lastSeen, receivedAt);
+    } else if (seen !== null) {
+      time = receivedAt - seen * 1000;
+    }
+
+    return {
+      icao24,
+      receivedAt,
+      time,
+      positionTime: lat !== null && lon !== null ? (lastSeen === null && seenPos !== null ? receivedAt - seenPos * 1000 : time) : null,
+      lat: lat !== null && lon !== null ? lat : null,
+      lon: lat !== null && lon !== null ? lon : null,
+      nic: number(raw.nic),
+      altitude,
+      onGround,
+      speed: number(raw.speed !== undefined ? raw.speed : (raw.gs !== undefined ? raw.gs : raw.velocity)),
+      track: number(raw.track !== undefined ? raw.track : raw.heading),
+      vertical_rate: number(raw.vertical_rate !== undefined ? raw.vertical_rate : raw.baro_rate),
+      callsign: callsign || null,
+      squawk: raw.squawk ? raw.squawk.toString() : null,
+      registration: raw.registration || raw.r || null,
+      aircraftType: raw.aircraftType || raw.icaoTypeCode || raw.t || null,
+      operator: raw.operator || null
+    };
+  }
+
+  /**
+   * Epoch milliseconds from a millisecond timestamp or ISO string, or null
+   */
+  parseTime(value) {
+    if (typeof value === 'number') {
+      return value > 1e12 ? value : null;
+    }
+    if (typeof value === 'string' || value instanceof Date) {
+      const time = new Date(value).getTime();
+      return isNaN(time) ? null : time;
+    }
+    return null;
+  }
+
+  /**
+   * Record one source's view of an aircraft and rebuild the fused record
+   */
+  ingest(sourceId, raw, receivedAt = Date.now()) {
+    if (!raw) {
+      return null;
+    }
+
+    const observation = this.normalize(raw, receivedAt);
+    if (!observation) {
+      return null;
+    }
+
+    observation.sourceId = sourceId;
+    this.stats.observations++;
+
+    const sources = this.observations.get(observation.icao24) || new Map();
+    sources.set(sourceId, observation);
+    this.observations.set(observation.icao24, sources);
+
+    return this.fuse(observation.icao24, receivedAt);
+  }
+
+  removeObservation(sourceId, icao24, now = Date.now()) {
+    const key = (icao24 || '').toUpperCase();
+    const sources = this.observations.get(key);
+    if (!sources || !sources.delete(sourceId)) {
+      return null;
+    }
+
+    return this.fuse(key, now);
+  }
+
+  /**
+   * Observations for a field group ordered best first
+   */
+  rankCandidates(icao24, group, now) {
+    const sources = this.observations.get(icao24);
+    if (!sources) {
+      return [];
+    }
+
+    const keys = FIELD_GROUPS[group];
+    const candidates = [];
+
+    for (const observation of sources.values()) {
+      if (observation[keys[0]] === null || observation[keys[0]] === undefined) continue;
+
+      const source = this.getSourceConfig(observation.sourceId);
+      const time = group === 'position' ? observation.positionTime : observation.time;
+      const age = now - time;
+      if (age > source.maxAge) continue;
+
+      candidates.push({ observation, priority: source.priority, time, age });
+    }
+
+    const margin = this.config.preferFresherBy;
+    return candidates.sort((a, b) => {
+      // Much fresher data beats priority
+      if (Math.abs(a.time - b.time) > margin) {
+        return b.time - a.time;
+      }
+      return a.priority - b.priority || b.time - a.time;
+    });
+  }
+
+  /**
+   * Position quality: fresh, accurate enough and physically reachable from the last fix
+   */
+  isPositionAcceptable(candidate, previous, now) {
+    const { observation } = candidate;
+    const rules = this.config.position;
+
+    if (now - observation.positionTime > rules.maxAge) {
+      return false;
+    }
+
+    if (rules.minNic && observation.nic !== null && observation.nic < rules.minNic) {
+      return false;
+    }
+
+    if (previous && previous.lat !== null && previous.positionTime) {
+      const hours = Math.abs(observation.positionTime - previous.positionTime) / 3600000;
+      const distanceNm = this.calculateDistance(previous.lat, previous.lon, observation.lat, observation.lon) / 1.852;
+      if (distanceNm > rules.toleranceNm + rules.maxImpliedSpeed * hours) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Rebuild the fused record for an aircraft and emit the change
+   */
+  fuse(icao24, now = Date.now()) {
+    const previous = this.aircraft.get(icao24) || null;
+    const sources = this.observations.get(icao24);
+
+    if (!sources || sources.size === 0) {
+      this.observations.delete(icao24);
+      if (previous) {
+        this.aircraft.delete(icao24);
+        this.stats.disappeared++;
+        this.emit('aircraft:disappeared', previous);
+      }
+      return null;
+    }
+
+    const fused = {
+      icao24,
+      callsign: null,
+      lat: null,
+      lon: null,
+      altitude: null,
+      speed: null,
+      track: null,
+      vertical_rate: null,
+      squawk: null,
+      registration: previous?.registration || null,
+      aircraftType: previous?.aircraftType || null,
+      operator: previous?.operator || null,
+      provenance: {},
+      sources: Array.from(sources.keys()),
+      timestamp: now,
+      last_seen: Math.max(...Array.from(sources.values()).map(observation => observation.time))
+    };
+
+    for (const group of Object.keys(FIELD_GROUPS)) {
+      let candidates = this.rankCandidates(icao24, group, now);
+
+      if (group === 'position') {
+        const accepted = candidates.filter(candidate => this.isPositionAcceptable(candidate, previous, now));
+        this.stats.rejectedPositions += candidates.length - accepted.length;
+        candidates = accepted;
+      }
+
+      const best = candidates[0];
+      if (!best) {
+        // Keep the last fused position rather than blanking it
+        if (group === 'position' && previous && previous.lat !== null) {
+          fused.lat = previous.lat;
+          fused.lon = previous.lon;
+          fused.positionTime = previous.positionTime;
+          fused.provenance.position = { ...previous.provenance.position, held: true };
+        }
+        continue;
+      }
+
+      for (const key of FIELD_GROUPS[group]) {
+        if (best.observation[key] !== null && best.observation[key] !== undefined) {
+          fused[key] = best.observation[key];
+        }
+      }
+      if (group === 'position') {
+        fused.positionTime = best.observation.positionTime;
+        fused.onGround = best.observation.onGround;
+      }
+
+      fused.provenance[group] = { source: best.observation.sourceId, age: Math.max(0, Math.round(best.age)) };
+    }
+
+    fused.emergency = ['7500', '7600', '7700'].includes(fused.squawk);
+    fused.displayName = fused.callsign || fused.registration || icao24;
+    fused.primarySource = fused.provenance.position?.source || fused.sources[0];
+
+    this.aircraft.set(icao24, fused);
+    this.stats.fusedUpdates++;
+
+    if (!previous) {
+      this.stats.appeared++;
+      this.emit('aircraft:appeared', fused);
+    } else {
+      const changes = this.diff(previous, fused);
+      if (Object.keys(changes).length > 0) {
+        this.emit('aircraft:updated', { aircraft: fused, changes });
+        if (changes.position) {
+          this.emit('aircraft:moved', { aircraft: fused, changes });
+        }
+      }
+    }
+
+    return fused;
+  }
+
+  diff(previous, fused) {
+    const changes = {};
+
+    if (previous.lat !== fused.lat || previous.lon !== fused.lon) {
+      changes.position = {
+        old: { lat: previous.lat, lon: previous.lon },
+        new: { lat: fused.lat, lon: fused.lon }
+      };
+    }
+    for (const key of ['altitude', 'speed', 'callsign', 'squawk']) {
+      if (previous[key] !== fused[key]) {
+        changes[key] = { old: previous[key], new: fused[key] };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Expire stale observations and drop aircraft no source still reports
+   */
+  sweep(now = Date.now()) {
+    // Attached connectors only emit on change, so re-read their current aircraft
+    for (const { connector, sourceId } of this.attached) {
+      if (connector.aircraft instanceof Map) {
+        for (const aircraft of connector.aircraft.values()) {
+          this.ingest(sourceId, aircraft, now);
+        }
+      }
+    }
+
+    for (const [icao24, sources] of this.observations) {
+      let expired = false;
+      for (const [sourceId, observation] of sources) {
+        if (now - observation.time > this.getSourceConfig(sourceId).maxAge) {
+          sources.delete(sourceId);
+          expired = true;
+        }
+      }
+      if (expired || sources.size === 0) {
+        this.fuse(icao24, now);
+      }
+    }
+  }
+
+  getAircraft(icao24) {
+    if (icao24) {
+      return this.aircraft.get(icao24.toUpperCase()) || null;
+    }
+    return Array.from(this.aircraft.values());
+  }
+
+  /**
+   * Per-source observations behind one fused aircraft
+   */
+  getObservations(icao24) {
+    const sources = this.observations.get((icao24 || '').toUpperCase());
+    return sources ? Array.from(sources.values()) : [];
+  }
+
+  getStats() {
+    const bySource = {};
+    for (const sources of this.observations.values()) {
+      for (const sourceId of sources.keys()) {
+        bySource[sourceId] = (bySource[sourceId] || 0) + 1;
+      }
+    }
+
+    return {
+      ...this.stats,
+      aircraft: this.aircraft.size,
+      multiSource: Array.from(this.aircraft.values()).filter(aircraft => aircraft.sources.length > 1).length,
+      bySource,
+      sources: Object.fromEntries(Object.keys({ ...this.config.sources, ...bySource })
+        .map(sourceId => [sourceId, this.getSourceConfig(sourceId)]))
+    };
+  }
+
+  /**
+   * Great-circle distance in kilometres
+   */
+  calculateDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+}
+
+module.exports = AircraftFusionService;
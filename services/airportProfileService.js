@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const winston = require('winston');
+const builtInAirports = require('../config/airports');
+
+/**
+ * Airport Profile Service
+ *
+ * Loads airport profiles (runways, ATZ, stands, NOTAM relevance rules and
+ * notification templates) from config/airports.js, config.airports.profiles
+ * and an optional JSON file, and fills in defaults so AirportService and
+ * AirportConnector can work from any profile.
+ */
+
+const DEFAULT_NOTAM_CATEGORIES = {
+  approach: ['runway', 'approach', 'landing', 'airport', 'navigation'],
+  landing: ['runway', 'approach', 'landing', 'airport', 'navigation'],
+  takeoff: ['runway', 'takeoff', 'airport', 'navigation'],
+  // Categories that make a NOTAM near the airport worth announcing when first seen
+  monitor: ['runway', 'approach', 'landing', 'takeoff', 'airport', 'navigation', 'airspace']
+};
+
+const DEFAULT_TEMPLATES = {
+  aircraft: '{{emoji}} <b>{{action}} at {{airportName}} ({{airportCode}})</b>',
+  groundMovement: '{{emoji}} <b>{{action}} at {{airportName}} ({{airportCode}})</b>',
+  taxi: '{{emoji}} <b>Taxiing at {{airportName}} ({{airportCode}})</b>',
+  parking: '{{emoji}} <b>Parked at {{airportName}} ({{airportCode}})</b>',
+  helicopter: '{{emoji}} <b>Helicopter {{action}} at {{airportName}} ({{airportCode}})</b>',
+  notamAlert: '{{emoji}} <b>NOTAM Alert - {{airportName}}</b>',
+  newNotam: '{{emoji}} <b>NEW NOTAM - {{airportName}} ({{airportCode}})</b>',
+  newNotamFooter: '📍 <b>Affects {{airportName}} Operations</b>',
+  startup: '🟢 <b>{{airportName}} Connector Active</b>',
+  firstData: '🟢 First ADSB data received from {{airportName}} ({{airportCode}})'
+};
+
+class AirportProfileService {
+  constructor(config = {}, logger = null) {
+    this.config = {
+      profilesPath: config.profilesPath || null,
+      profiles: config.profiles || {}
+    };
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.profiles = new Map();
+    this.load();
+  }
+
+  /**
+   * Load built-in profiles, then the profiles file, then inline config; later
+   * sources override earlier ones field by field
+   */
+  load() {
+    for (const profile of Object.values(builtInAirports)) {
+      this.addProfile(profile);
+    }
+
+    if (this.config.profilesPath) {
+      for (const profile of this.loadFile(this.config.profilesPath)) {
+        this.addProfile(profile);
+      }
+    }
+
+    for (const [icao, profile] of Object.entries(this.config.profiles)) {
+      this.addProfile({ icao, ...profile });
+    }
+  }
+
+  /**
+   * Read profiles from a JSON file holding an array or an object keyed by ICAO
+   */
+  loadFile(filePath) {
+    const resolved = path.resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+      this.logger.warn('Airport profiles file not found', { path: resolved });
+      return [];
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+      return Array.isArray(data)
+        ? data
+        : Object.entries(data).map(([icao, profile]) => ({ icao, ...profile }));
+    } catch (error) {
+      this.logger.error('Failed to load airport profiles file', { path: resolved, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Add or override a profile, merging onto any existing profile for the same ICAO
+   */
+  addProfile(profile) {
+    const icao = (profile.icao || '').toUpperCase();
+    const existing = this.profiles.get(icao);
+    const normalized = AirportProfileService.normalizeProfile(existing ? AirportProfileService.mergeProfile(existing, profile) : profile);
+
+    const errors = AirportProfileService.validateProfile(normalized);
+    if (errors.length > 0) {
+      throw new Error(`Invalid airport profile ${icao || '(no ICAO)'}: ${errors.join(', ')}`);
+    }
+
+    this.profiles.set(normalized.icao, normalized);
+    return normalized;
+  }
+
+  /**
+   * Resolve an ICAO code, or an inline profile merged onto the known one
+   */
+  resolve(airport) {
+    if (airport && typeof airport === 'object') {
+      const icao = (airport.icao || '').toUpperCase();
+      const existing = this.profiles.get(icao);
+      const normalized = AirportProfileService.normalizeProfile(existing ? AirportProfileService.mergeProfile(existing, airport) : airport);
+      const errors = AirportProfileService.validateProfile(normalized);
+      if (errors.length > 0) {
+        throw new Error(`Invalid airport profile ${icao || '(no ICAO)'}: ${errors.join(', ')}`);
+      }
+      return normalized;
+    }
+
+    const profile = this.getProfile(airport);
+    if (!profile) {
+      throw new Error(`Unknown airport profile: ${airport}`);
+    }
+    return profile;
+  }
+
+  getProfile(icao) {
+    return icao ? this.profiles.get(String(icao).toUpperCase()) || null : null;
+  }
+
+  getProfiles() {
+    return Array.from(this.profiles.values());
+  }
+
+  /**
+   * Field-by-field override; runways and stands are replaced as a whole
+   */
+  static mergeProfile(base, override) {
+    return {
+      ...base,
+      ...override,
+      atz: { ...base.atz, ...override.atz },
+      notam: {
+        ...base.notam,
+        ...override.notam,
+        categories: { ...(base.notam || {}).categories, ...(override.notam || {}).categories }
+      },
+      templates: { ...base.templates, ...override.templates }
+    };
+  }
+
+  /**
+   * Fill in defaults and derived fields
+   */
+  static normalizeProfile(profile) {
+    const icao = (profile.icao || '').toUpperCase();
+    const code = icao.toLowerCase();
+    const notam = profile.notam || {};
+
+    const runways = {};
+    for (const [id, runway] of Object.entries(profile.runways || {})) {
+      const threshold = runway.threshold || {};
+      runways[id] = {
+        name: `Runway ${id}`,
+        ...runway,
+        latitude: threshold.latitude,
+        longitude: threshold.longitude,
+        elevation: runway.elevation !== undefined ? runway.elevation : profile.elevation || 0
+      };
+    }
+
+    return {
+      ...profile,
+      icao,
+      name: profile.name || icao,
+      elevation: profile.elevation || 0,
+      timeZone: profile.timeZone || 'Europe/London',
+      approachRadius: profile.approachRadius || 50000,
+      runwayThreshold: profile.runwayThreshold || 5000,
+      groundRadius: profile.groundRadius || 5000,
+      atz: { radius: 4630, height: 2000, ...profile.atz },
+      source: profile.source || `airport-${code}`,
+      eventPrefix: profile.eventPrefix || code,
+      runways,
+      stands: profile.stands || [],
+      notam: {
+        searchRadius: 50,
+        ...notam,
+        keywords: (notam.keywords || [code]).map(keyword => keyword.toLowerCase()),
+        categories: { ...DEFAULT_NOTAM_CATEGORIES, ...notam.categories }
+      },
+      templates: { ...DEFAULT_TEMPLATES, ...profile.templates }
+    };
+  }
+
+  /**
+   * List problems with a normalized profile
+   */
+  static validateProfile(profile) {
+    const errors = [];
+
+    if (!/^[A-Z0-9]{4}$/.test(profile.icao || '')) {
+      errors.push('icao must be a four character ICAO code');
+    }
+    if (typeof profile.latitude !== 'number' || typeof profile.longitude !== 'number') {
+      errors.push('latitude and longitude must be numbers');
+    }
+
+    const runways = Object.entries(profile.runways || {});
+    if (runways.length === 0) {
+      errors.push('at least one runway is required');
+    }
+    for (const [id, runway] of runways) {
+      if (typeof runway.heading !== 'number') {
+        errors.push(`runway ${id} heading must be a number`);
+      }
+      if (typeof runway.latitude !== 'number' || typeof runway.longitude !== 'number') {
+        errors.push(`runway ${id} threshold latitude and longitude must be numbers`);
+      }
+    }
+
+    for (const stand of profile.stands || []) {
+      if (!stand.id || !Array.isArray(stand.polygon) || stand.polygon.length < 3) {
+        errors.push(`stand ${stand.id || '(no id)'} needs an id and a polygon of at least 3 points`);
+      }
+    }
+
+    return errors;
+  }
+}
+
+AirportProfileService.DEFAULT_TEMPLATES = DEFAULT_TEMPLATES;
+
+module.exports = AirportProfileService;
@@ -0,0 +1,414 @@
+/**
+ * Airspace Parser
+ *
+ * Reads airspace definitions other than the BaseStation .out outlines:
+ *
+ *   OpenAir   AC class, AN name, AL/AH limits, DP points, V X=/V D= arc
+ *             centre and direction, DA/DB arcs and DC circles
+ *   GeoJSON   Polygon/MultiPolygon features with name, type/class and
+ *             lower/upper limits as text ("FL65") or openAIP limit objects
+ *
+ * Each airspace comes out in the airspace service's shape - polygons of
+ * { lat, lon } - with lower and upper limits decoded to feet. Arcs and
+ * circles are flattened to points every ARC_STEP degrees. Limits keep their
+ * reference (SFC, AGL, AMSL, FL, UNL); without a terrain model, AGL heights
+ * are compared as if the ground were at sea level.
+ */
+
+const EARTH_RADIUS_NM = 3440.065;
+const FEET_PER_METRE = 3.28084;
+const UNLIMITED_FT = 99900;
+const ARC_STEP = 5;
+
+// OpenAir AC classes and GeoJSON type names -> airspace service types
+const TYPES = {
+  R: 'Restricted',
+  RESTRICTED: 'Restricted',
+  Q: 'Danger_Area',
+  D_AREA: 'Danger_Area',
+  DANGER: 'Danger_Area',
+  P: 'Prohibited',
+  PROHIBITED: 'Prohibited',
+  CTR: 'CTR',
+  CTA: 'CTA',
+  TMA: 'TMA',
+  ATZ: 'ATZ',
+  MATZ: 'Military',
+  FIR: 'FIR',
+  UIR: 'FIR',
+  LARS: 'LARS',
+  AWY: 'Airway_Lower',
+  AIRWAY: 'Airway_Lower',
+  TMZ: 'TMZ',
+  RMZ: 'RMZ',
+  TRA: 'Restricted',
+  TSA: 'Restricted',
+  GP: 'Glider_Prohibited',
+  W: 'Wave_Window'
+};
+
+// openAIP numeric airspace types
+const OPENAIP_TYPES = {
+  1: 'Restricted', 2: 'Danger_Area', 3: 'Prohibited', 4: 'CTR', 5: 'TMZ', 6: 'RMZ', 7: 'TMA',
+  8: 'Restricted', 9: 'Restricted', 10: 'FIR', 11: 'FIR', 13: 'ATZ', 14: 'Military', 15: 'Airway_Lower'
+};
+const OPENAIP_CLASSES = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+// openAIP limit units and datums
+const OPENAIP_UNITS = { 0: 'M', 1: 'FT', 6: 'FL' };
+const OPENAIP_DATUMS = { 0: 'AGL', 1: 'AMSL', 2: 'FL' };
+
+const COORDINATE = /(\d+(?::\d+(?:\.\d+)?){0,2}|\d+\.\d+)\s*([NS])\s*,?\s*(\d+(?::\d+(?:\.\d+)?){0,2}|\d+\.\d+)\s*([EW])/i;
+
+class AirspaceParser {
+  /**
+   * Parse OpenAir text into airspaces
+   */
+  static parseOpenAir(content, filename = 'openair') {
+    const airspaces = [];
+    const ids = new Set();
+    let current = null;
+    let points = [];
+    let center = null;
+    let clockwise = true;
+
+    const finish = () => {
+      if (current && points.length >= 3) {
+        current.polygons.push(points);
+        airspaces.push(this.finishAirspace(current, filename, ids));
+      }
+      current = null;
+      points = [];
+      center = null;
+      clockwise = true;
+    };
+
+    for (const rawLine of String(content).split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (line === '' || line.startsWith('*')) continue;
+
+      const [command] = line.split(/\s+/, 1);
+      const value = line.substring(command.length).trim();
+
+      switch (command.toUpperCase()) {
+        case 'AC':
+          finish();
+          current = { name: null, airspaceClass: value.toUpperCase(), typeName: null, lower: null, upper: null, polygons: [], metadata: {} };
+          break;
+        case 'AN':
+          if (current) current.name = value;
+          break;
+        case 'AY':
+          if (current) current.typeName = value.toUpperCase();
+          break;
+        case 'AL':
+          if (current) current.lower = value;
+          break;
+        case 'AH':
+          if (current) current.upper = value;
+          break;
+        case 'AF':
+          if (current) current.metadata.frequency = value;
+          break;
+        case 'AG':
+          if (current) current.metadata.station = value;
+          break;
+        case 'V': {
+          const [name, setting] = value.split('=').map(part => part.trim());
+          if (/^X$/i.test(name)) {
+            center = this.parseCoordinate(setting);
+          } else if (/^D$/i.test(name)) {
+            clockwise = setting !== '-';
+          }
+          break;
+        }
+        case 'DP': {
+          const point = this.parseCoordinate(value);
+          if (current && point) points.push(point);
+          break;
+        }
+        case 'DA': {
+          const [radius, start, end] = value.split(',').map(part => parseFloat(part));
+          if (current && center && [radius, start, end].every(Number.isFinite)) {
+            points.push(...this.arc(center, radius, start, end, clockwise));
+          }
+          break;
+        }
+        case 'DB': {
+          const [from, to] = value.split(',').map(part => this.parseCoordinate(part));
+          if (current && center && from && to) {
+            const radius = this.distance(center, from);
+            const arc = this.arc(center, radius, this.bearing(center, from), this.bearing(center, to), clockwise);
+            // Start and end exactly on the given points
+            points.push(from, ...arc.slice(1, -1), to);
+          }
+          break;
+        }
+        case 'DC': {
+          const radius = parseFloat(value);
+          if (current && center && Number.isFinite(radius)) {
+            points.push(...this.arc(center, radius, 0, 360, true).slice(0, -1));
+          }
+          break;
+        }
+        default:
+          // Styling (SP, SB), airways (DY, V W=) and extensions are not used
+          break;
+      }
+    }
+    finish();
+
+    return airspaces;
+  }
+
+  /**
+   * Parse GeoJSON (a FeatureCollection, Feature or array of features) into airspaces
+   */
+  static parseGeoJSON(content, filename = 'geojson') {
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    const features = Array.isArray(data) ? data : (data.type === 'FeatureCollection' ? data.features : [data]);
+    const airspaces = [];
+    const ids = new Set();
+
+    for (const feature of features || []) {
+      const geometry = feature && feature.geometry;
+      if (!geometry) continue;
+
+      // Outer rings only; holes are not used
+      let rings = [];
+      if (geometry.type === 'Polygon') {
+        rings = [geometry.coordinates[0]];
+      } else if (geometry.type === 'MultiPolygon') {
+        rings = geometry.coordinates.map(polygon => polygon[0]);
+      }
+      const polygons = rings
+        .filter(ring => Array.isArray(ring) && ring.length >= 3)
+        .map(ring => ring.map(([lon, lat]) => ({ lat, lon })));
+      if (polygons.length === 0) continue;
+
+      const properties = feature.properties || {};
+      const property = (...names) => names.map(name => properties[name]).find(value => value !== undefined && value !== null);
+      const type = property('type', 'airspaceType', 'TYPE');
+      const icaoClass = property('icaoClass', 'class', 'airspaceClass', 'CLASS');
+
+      airspaces.push(this.finishAirspace({
+        sourceId: property('id', '_id', 'ID'),
+        name: property('name', 'NAME', 'title', 'designator'),
+        airspaceClass: typeof icaoClass === 'number' ? (OPENAIP_CLASSES[icaoClass] || null) : (icaoClass ? String(icaoClass).toUpperCase() : null),
+        typeName: typeof type === 'number' ? null : (type ? String(type).toUpperCase() : null),
+        openAIPType: typeof type === 'number' ? type : null,
+        lower: property('lowerLimit', 'lower', 'floor', 'LOWER'),
+        upper: property('upperLimit', 'upper', 'ceiling', 'UPPER'),
+        polygons,
+        metadata: {}
+      }, filename, ids));
+    }
+
+    return airspaces;
+  }
+
+  /**
+   * Resolve the type and limits and give the airspace a unique id
+   */
+  static finishAirspace(current, filename, ids) {
+    const name = current.name || current.sourceId || `Airspace ${ids.size + 1}`;
+    let id = `${filename}_${current.sourceId || name}`;
+    for (let n = 2; ids.has(id); n++) {
+      id = `${filename}_${current.sourceId || name}#${n}`;
+    }
+    ids.add(id);
+
+    const lower = this.parseLimit(current.lower);
+    const upper = this.parseLimit(current.upper);
+
+    return {
+      id,
+      name,
+      type: this.resolveType(current, name),
+      airspaceClass: current.airspaceClass && /^[A-G]$/.test(current.airspaceClass) ? current.airspaceClass : null,
+      filename,
+      polygons: current.polygons,
+      lower,
+      upper,
+      lowerFt: lower ? lower.ft : null,
+      upperFt: upper ? upper.ft : null,
+      metadata: {
+        ...current.metadata,
+        class: current.airspaceClass || null,
+        floor: lower ? lower.ft : undefined,
+        ceiling: upper ? upper.ft : undefined
+      }
+    };
+  }
+
+  /**
+   * Airspace service type from an explicit type, the OpenAir class or the name
+   */
+  static resolveType(current, name) {
+    if (current.openAIPType !== null && current.openAIPType !== undefined && OPENAIP_TYPES[current.openAIPType]) {
+      return OPENAIP_TYPES[current.openAIPType];
+    }
+    if (current.typeName && TYPES[current.typeName]) {
+      return TYPES[current.typeName];
+    }
+    if (current.airspaceClass && TYPES[current.airspaceClass]) {
+      return TYPES[current.airspaceClass];
+    }
+
+    // Classes A-G say how the airspace is controlled, not what it is
+    const words = String(name).toUpperCase().split(/[^A-Z]+/);
+    const named = ['CTR', 'CTA', 'TMA', 'ATZ', 'MATZ', 'FIR', 'UIR', 'LARS', 'AWY', 'TMZ', 'RMZ'].find(word => words.includes(word));
+    if (named) return TYPES[named];
+
+    return current.airspaceClass && /^[A-G]$/.test(current.airspaceClass) ? `Class_${current.airspaceClass}` : 'Unknown';
+  }
+
+  /**
+   * Decode a limit: text such as "SFC", "FL65", "2500ft AMSL", "1500 AGL", "600m MSL" or
+   * "UNL", an openAIP { value, unit, referenceDatum } object, or a number of feet AMSL
+   */
+  static parseLimit(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (typeof value === 'number') {
+      return { text: `${value}FT AMSL`, ft: Math.round(value), reference: 'AMSL' };
+    }
+    if (typeof value === 'object') {
+      const unit = OPENAIP_UNITS[value.unit] || 'FT';
+      const datum = OPENAIP_DATUMS[value.referenceDatum] || 'AMSL';
+      if (unit === 'FL') return this.parseLimit(`FL${value.value}`);
+      if (datum === 'AGL' && Number(value.value) === 0) return this.parseLimit('SFC');
+      return this.parseLimit(`${value.value}${unit} ${datum}`);
+    }
+
+    const text = String(value).trim().toUpperCase();
+    if (/^(SFC|GND|GROUND|SURFACE)$/.test(text) || text === '0') {
+      return { text, ft: 0, reference: 'SFC' };
+    }
+    if (/^(UNL|UNLTD|UNLIM|UNLIMITED)/.test(text)) {
+      return { text, ft: UNLIMITED_FT, reference: 'UNL' };
+    }
+
+    const flightLevel = /^FL\s*(\d+)/.exec(text);
+    if (flightLevel) {
+      return { text, ft: parseInt(flightLevel[1], 10) * 100, reference: 'FL' };
+    }
+
+    const height = /^(\d+(?:\.\d+)?)\s*(FT|F|M)?\b\s*(AMSL|MSL|ALT|AGL|AAL|GND|SFC|ASFC)?/.exec(text);
+    if (!height) return null;
+
+    const amount = parseFloat(height[1]);
+    const ft = Math.round(height[2] === 'M' ? amount * FEET_PER_METRE : amount);
+    const reference = ['AGL', 'AAL', 'GND', 'SFC', 'ASFC'].includes(height[3]) ? 'AGL' : 'AMSL';
+    return { text, ft, reference };
+  }
+
+  /**
+   * Parse "51:30:00 N 000:10:00 W", "51:30.5N 000:10.25W" or "51.5 N 0.1667 W"
+   */
+  static parseCoordinate(text) {
+    const match = COORDINATE.exec(String(text || ''));
+    if (!match) return null;
+
+    const degrees = value => value.split(':').reduce((total, part, index) => total + parseFloat(part) / Math.pow(60, index), 0);
+    const lat = degrees(match[1]) * (match[2].toUpperCase() === 'S' ? -1 : 1);
+    const lon = degrees(match[3]) * (match[4].toUpperCase() === 'W' ? -1 : 1);
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+
+    return { lat: this.round(lat, 6), lon: this.round(lon, 6) };
+  }
+
+  /**
+   * Points along an arc of radius NM from one bearing to another, both ends included
+   */
+  static arc(center, radiusNm, startBearing, endBearing, clockwise = true) {
+    let sweep = clockwise ? endBearing - startBearing : startBearing - endBearing;
+    sweep = ((sweep % 360) + 360) % 360;
+    // A whole turn, e.g. 0 to 360 for a circle
+    if (sweep === 0 && startBearing !== endBearing) sweep = 360;
+
+    const direction = clockwise ? 1 : -1;
+    const steps = Math.max(1, Math.ceil(sweep / ARC_STEP));
+    const points = [];
+    for (let step = 0; step <= steps; step++) {
+      const bearing = startBearing + direction * sweep * step / steps;
+      points.push(this.destination(center, bearing, radiusNm));
+    }
+    return points;
+  }
+
+  /**
+   * Whether an altitude in feet lies between an airspace's limits; unknown altitudes and limits pass
+   */
+  static withinLimits(airspace, altitude) {
+    if (typeof altitude !== 'number' || !airspace) return true;
+
+    const lowerFt = airspace.lowerFt !== undefined && airspace.lowerFt !== null ? airspace.lowerFt : airspace.metadata?.floor;
+    const upperFt = airspace.upperFt !== undefined && airspace.upperFt !== null ? airspace.upperFt : airspace.metadata?.ceiling;
+    if (typeof lowerFt === 'number' && altitude < lowerFt) return false;
+    if (typeof upperFt === 'number' && altitude > upperFt) return false;
+    return true;
+  }
+
+  /**
+   * Guess the format of airspace file content: 'geojson', 'openair' or 'basestation'
+   */
+  static detectFormat(content) {
+    const text = String(content).trim();
+    // BaseStation outlines also start with "{", so only valid JSON counts
+    if (text.startsWith('{') || text.startsWith('[')) {
+      try {
+        JSON.parse(text);
+        return 'geojson';
+      } catch (error) {
+        // Not JSON
+      }
+    }
+    if (/^\s*AC\s+\S+/m.test(text)) return 'openair';
+    return 'basestation';
+  }
+
+  /**
+   * Distance in nautical miles
+   */
+  static distance(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_NM * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+  }
+
+  /**
+   * Initial bearing in degrees from a to b
+   */
+  static bearing(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const lat1 = toRadians(a.lat);
+    const lat2 = toRadians(b.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  }
+
+  static destination(origin, bearing, distanceNm) {
+    const angular = distanceNm / EARTH_RADIUS_NM;
+    const theta = bearing * Math.PI / 180;
+    const lat1 = origin.lat * Math.PI / 180;
+    const lon1 = origin.lon * Math.PI / 180;
+
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(theta));
+    const lon2 = lon1 + Math.atan2(Math.sin(theta) * Math.sin(angular) * Math.cos(lat1), Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+
+    return { lat: this.round(lat2 * 180 / Math.PI, 6), lon: this.round(lon2 * 180 / Math.PI, 6) };
+  }
+
+  static round(value, places) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+AirspaceParser.UNLIMITED_FT = UNLIMITED_FT;
+
+module.exports = AirspaceParser;
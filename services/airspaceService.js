@@ -1,6 +1,15 @@
 const fs = require('fs').promises;
 const path = require('path');
 const winston = require('winston');
+const AirspaceParser = require('./airspaceParser');
+
+// Files read from the airspace data directory, by extension
+const AIRSPACE_FORMATS = {
+  '.out': 'basestation',
+  '.openair': 'openair',
+  '.air': 'openair',
+  '.geojson': 'geojson'
+};
 
 /**
  * Airspace Service for UK Airspace Data Integration
@@ -8,6 +17,11 @@ const winston = require('winston');
  * Parses and manages UK airspace data from BaseStation format files.
  * Provides airspace awareness, classification, and event generation
  * for aircraft tracking and radar visualization.
+ *
+ * OpenAir and GeoJSON airspace (services/airspaceParser.js) can be loaded
+ * beside the BaseStation outlines, e.g. for other countries. These carry
+ * lower and upper limits, so aircraft are checked against 3D volumes; the
+ * BaseStation outlines have none and are checked laterally only.
  */
 class AirspaceService {
   constructor(config = {}) {
@@ -33,6 +47,8 @@ class AirspaceService {
     this.airspaceDataPath = config.airspaceDataPath || path.join(__dirname, '../aviationdata/OUT_UK_Airspace');
     this.enableAirspaceAwareness = config.enableAirspaceAwareness !== false; // Default to true
     this.airspaceTypes = config.airspaceTypes || ['FA', 'ATZ', 'CTA', 'CTR', 'DA', 'FIR', 'LARS', 'MIL'];
+    // Extra OpenAir/GeoJSON/BaseStation files or directories to load
+    this.airspaceFiles = config.airspaceFiles || [];
     
     // Initialize Map properties with defensive getters
     this._airspaces = new Map();
@@ -162,11 +178,11 @@ class AirspaceService {
     this._ensureMaps();
     try {
       const files = await fs.readdir(this.airspaceDataPath);
-      const outFiles = files.filter(file => file.endsWith('.out'));
+      const airspaceFiles = files.filter(file => AIRSPACE_FORMATS[path.extname(file).toLowerCase()]);
       
-      this.logger.info(`Found ${outFiles.length} airspace files`);
+      this.logger.info(`Found ${airspaceFiles.length} airspace files`);
       
-      for (const file of outFiles) {
+      for (const file of airspaceFiles) {
         await this.parseAirspaceFile(file);
       }
       
@@ -183,6 +199,10 @@ class AirspaceService {
         this.logger.warn('VATSIM directory not found or accessible', { error: error.message });
       }
       
+      for (const airspacePath of this.airspaceFiles) {
+        await this.loadAirspacePath(airspacePath);
+      }
+      
     } catch (error) {
       this.logger.error('Failed to load airspace data', { error: error.message });
       throw error;
@@ -198,23 +218,13 @@ class AirspaceService {
       const filePath = path.join(this.airspaceDataPath, subdirectory, filename);
       const content = await fs.readFile(filePath, 'utf8');
       
-      const airspaceType = this.determineAirspaceType(filename);
-      const airspaceData = this.parseBaseStationFormat(content, filename);
+      const format = AIRSPACE_FORMATS[path.extname(filename).toLowerCase()] || AirspaceParser.detectFormat(content);
+      const airspaceData = this.parseAirspaceContent(content, filename, format);
+      this.storeAirspaces(airspaceData);
       
       if (airspaceData.length > 0) {
-        // Store by type
-        if (!this.airspaceTypeCollections.has(airspaceType)) {
-          this.airspaceTypeCollections.set(airspaceType, []);
-        }
-        this.airspaceTypeCollections.get(airspaceType).push(...airspaceData);
-        
-        // Store individually
-        airspaceData.forEach(airspace => {
-          this.airspaces.set(airspace.id, airspace);
-        });
-        
         this.logger.debug(`Parsed ${airspaceData.length} airspace elements from ${filename}`, {
-          type: airspaceType,
+          format,
           filename
         });
       }
@@ -224,6 +234,86 @@ class AirspaceService {
     }
   }
 
+  /**
+   * Load an airspace file, or every airspace file in a directory, from any path
+   */
+  async loadAirspacePath(airspacePath) {
+    try {
+      const stat = await fs.stat(airspacePath);
+      if (stat.isDirectory()) {
+        const files = await fs.readdir(airspacePath);
+        for (const file of files.filter(name => AIRSPACE_FORMATS[path.extname(name).toLowerCase()])) {
+          await this.importAirspace({ path: path.join(airspacePath, file), rebuildIndex: false });
+        }
+      } else {
+        await this.importAirspace({ path: airspacePath, rebuildIndex: false });
+      }
+    } catch (error) {
+      this.logger.error(`Failed to load airspace from ${airspacePath}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Import airspace from a file or content ('openair', 'geojson' or 'basestation'; guessed if not given)
+   */
+  async importAirspace({ path: filePath = null, content = null, format = null, filename = null, rebuildIndex = true } = {}) {
+    this._ensureMaps();
+    if (!filePath && (content === null || content === undefined)) {
+      throw new Error('path or content is required');
+    }
+    
+    const text = content !== null && content !== undefined
+      ? (typeof content === 'string' ? content : JSON.stringify(content))
+      : await fs.readFile(filePath, 'utf8');
+    const name = filename || (filePath ? path.basename(filePath) : 'import');
+    const resolvedFormat = format || AIRSPACE_FORMATS[path.extname(name).toLowerCase()] || AirspaceParser.detectFormat(text);
+    
+    const airspaceData = this.parseAirspaceContent(text, name, resolvedFormat);
+    this.storeAirspaces(airspaceData);
+    if (rebuildIndex) {
+      await this.buildSpatialIndex();
+    }
+    
+    this.logger.info(`Imported ${airspaceData.length} airspaces from ${name}`, { format: resolvedFormat });
+    return airspaceData;
+  }
+
+  /**
+   * Parse airspace file content in the given format
+   */
+  parseAirspaceContent(content, filename, format) {
+    switch (format) {
+      case 'openair':
+        return AirspaceParser.parseOpenAir(content, filename);
+      case 'geojson':
+        return AirspaceParser.parseGeoJSON(content, filename);
+      case 'basestation':
+        return this.parseBaseStationFormat(content, filename);
+      default:
+        throw new Error(`Unknown airspace format: ${format}. Must be one of: openair, geojson, basestation`);
+    }
+  }
+
+  /**
+   * Store airspaces individually and by type, replacing any loaded before with the same id
+   */
+  storeAirspaces(airspaceData) {
+    for (const airspace of airspaceData) {
+      const existing = this.airspaces.get(airspace.id);
+      if (existing) {
+        const collection = this.airspaceTypeCollections.get(existing.type) || [];
+        const index = collection.indexOf(existing);
+        if (index !== -1) collection.splice(index, 1);
+      }
+      
+      if (!this.airspaceTypeCollections.has(airspace.type)) {
+        this.airspaceTypeCollections.set(airspace.type, []);
+      }
+      this.airspaceTypeCollections.get(airspace.type).push(airspace);
+      this.airspaces.set(airspace.id, airspace);
+    }
+  }
+
   /**
    * Determine airspace type from filename
    */
@@ -341,18 +431,25 @@ class AirspaceService {
    */
   async buildSpatialIndex() {
     this.logger.info('Building spatial index...');
+    this.airspaceIndex.clear();
     
     for (const [id, airspace] of this.airspaces) {
       // Calculate bounding box for each airspace
       const bounds = this.calculateBounds(airspace.polygons);
       airspace.bounds = bounds;
       
-      // Store in spatial index
-      const gridKey = this.getGridKey(bounds.center.lat, bounds.center.lon);
-      if (!this.airspaceIndex.has(gridKey)) {
-        this.airspaceIndex.set(gridKey, []);
+      // Store in every grid cell the bounding box covers, so large airspaces are found away from their centre
+      const [south, west] = this.getGridKey(bounds.minLat, bounds.minLon).split(',').map(Number);
+      const [north, east] = this.getGridKey(bounds.maxLat, bounds.maxLon).split(',').map(Number);
+      for (let gridLat = south; gridLat <= north; gridLat++) {
+        for (let gridLon = west; gridLon <= east; gridLon++) {
+          const gridKey = `${gridLat},${gridLon}`;
+          if (!this.airspaceIndex.has(gridKey)) {
+            this.airspaceIndex.set(gridKey, []);
+          }
+          this.airspaceIndex.get(gridKey).push(id);
+        }
       }
-      this.airspaceIndex.get(gridKey).push(id);
     }
     
     this.logger.info(`Spatial index built with ${this.airspaceIndex.size} grid cells`);
@@ -426,11 +523,15 @@ class AirspaceService {
     
     for (const airspaceId of candidateAirspaces) {
       const airspace = this.airspaces.get(airspaceId);
-      if (airspace && this.isPointInAirspace(aircraft.lat, aircraft.lon, airspace)) {
+      if (airspace && this.isPointInAirspace(aircraft.lat, aircraft.lon, airspace) &&
+          AirspaceParser.withinLimits(airspace, aircraft.altitude)) {
         currentAirspaces.push({
           id: airspace.id,
           name: airspace.name,
           type: airspace.type,
+          airspaceClass: airspace.airspaceClass || null,
+          lowerFt: airspace.lowerFt !== undefined ? airspace.lowerFt : null,
+          upperFt: airspace.upperFt !== undefined ? airspace.upperFt : null,
           metadata: airspace.metadata
         });
       }
@@ -608,6 +709,8 @@ class AirspaceService {
           type: airspace.type,
           polygons: airspace.polygons,
           bounds: airspace.bounds,
+          lowerFt: airspace.lowerFt !== undefined ? airspace.lowerFt : null,
+          upperFt: airspace.upperFt !== undefined ? airspace.upperFt : null,
           metadata: airspace.metadata,
           color: this.getAirspaceColor(airspace.type)
         });
@@ -648,7 +751,11 @@ class AirspaceService {
       'VOR': '#FFFF00',
       'Holding_Pattern': '#FF8000',
       'Airway_Lower': '#0080FF',
-      'Airway_Upper': '#8000FF'
+      'Airway_Upper': '#8000FF',
+      'Restricted': '#FF00FF',
+      'Prohibited': '#FF0000',
+      'TMZ': '#00C0C0',
+      'RMZ': '#00C0C0'
     };
     
     return colors[type] || '#808080';
@@ -785,16 +892,9 @@ class AirspaceService {
     const matchingAirspaces = [];
     
     for (const [id, airspace] of this.airspaces) {
-      if (this.isPointInAirspace(lat, lon, airspace)) {
-        // Check altitude if provided and airspace has altitude limits
-        if (altitude !== null && airspace.metadata && airspace.metadata.floor !== undefined && airspace.metadata.ceiling !== undefined) {
-          if (altitude >= airspace.metadata.floor && altitude <= airspace.metadata.ceiling) {
-            matchingAirspaces.push(airspace);
-          }
-        } else {
-          // No altitude check needed or no altitude data available
-          matchingAirspaces.push(airspace);
-        }
+      // Altitude is checked against whichever limits the airspace has
+      if (this.isPointInAirspace(lat, lon, airspace) && AirspaceParser.withinLimits(airspace, altitude)) {
+        matchingAirspaces.push(airspace);
       }
     }
     
@@ -183,11 +183,15 @@ class AlarmTypeDiscoveryService {
       'squawk:analysis': 'medium',
       'notam:alert': 'medium',
       'speed:violation': 'medium',
+      'go_around:detected': 'medium',
+      'holding_pattern:entered': 'medium',
       
       // Low severity
       'aircraft:appeared': 'low',
       'aircraft:updated': 'low',
       'aircraft:disappeared': 'low',
+      'touch_and_go:detected': 'low',
+      'circuit:detected': 'low',
       'doorbell': 'low',
       'camera': 'low',
       'connector:status': 'low',
@@ -231,6 +235,7 @@ class AlarmTypeDiscoveryService {
         break;
       case 'adsb':
       case 'prestwick-airport':
+      case 'airport':
         channels.push('telegram', 'mqtt');
         break;
     }
@@ -243,8 +248,10 @@ class AlarmTypeDiscoveryService {
       'unifi-protect': ['motion', 'smartDetectZone', 'smartDetectLine', 'camera', 'system'],
       'hikvision': ['motion', 'camera', 'system'],
       'ankke-dvr': ['motion', 'camera', 'system'],
-      'adsb': ['aircraft:detected', 'aircraft:emergency', 'aircraft:appeared', 'aircraft:updated', 'aircraft:disappeared'],
+      'adsb': ['aircraft:detected', 'aircraft:emergency', 'aircraft:appeared', 'aircraft:updated', 'aircraft:disappeared',
+        'go_around:detected', 'touch_and_go:detected', 'circuit:detected', 'holding_pattern:entered'],
       'prestwick-airport': ['alarm:notification', 'aircraft:detected', 'aircraft:emergency'],
+      'airport': ['alarm:notification', 'aircraft:detected', 'aircraft:emergency'],
       'telegram': ['telegram:message', 'telegram:command'],
       'mqtt': ['mqtt:message', 'mqtt:status'],
       'aprs': ['aprs:station', 'aprs:weather', 'aprs:message'],
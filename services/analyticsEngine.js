@@ -557,6 +557,16 @@ class AnalyticsEngine extends EventEmitter {
     
     tracking.lastSeen = timestamp;
     
+    if (this.watchlistService) {
+      await this.watchlistService.checkDetection({
+        plateNumber,
+        cameraId,
+        timestamp,
+        confidence: data.confidence,
+        source: 'analytics'
+      });
+    }
+    
     // Check for speed calculation opportunities
     await this.checkSpeedCalculation(plateNumber);
     
@@ -832,6 +842,13 @@ class AnalyticsEngine extends EventEmitter {
     this.zoneManager = zoneManager;
   }
   
+  /**
+   * Set watchlist service reference, checked on every plate detection
+   */
+  setWatchlistService(watchlistService) {
+    this.watchlistService = watchlistService;
+  }
+  
   /**
    * Get statistics
    */
@@ -0,0 +1,632 @@
+/**
+ * APRS Packet Parser
+ *
+ * Parses APRS packets in TNC2 text format (SOURCE>DEST,PATH:information), as
+ * served by APRS-IS and monitored by most TNCs, and converts AX.25 UI frames
+ * from KISS TNCs to and from the same format. Information field types:
+ *
+ *   ! = / @   positions, uncompressed or compressed, with or without timestamp
+ *   ` '       Mic-E positions
+ *   ;         objects
+ *   )         items
+ *   >         status reports
+ *   :         messages, acks, rejects and bulletins
+ *   _         positionless weather reports
+ *   }         third-party packets, returned as the inner packet
+ *
+ * Speeds are returned in km/h, altitudes in metres and weather in metric
+ * units (°C, m/s, mm, mbar), matching the aprs.fi API.
+ *
+ * Also formats the messages, acks and objects the connector transmits.
+ */
+
+const KNOTS_TO_KMH = 1.852;
+const MPH_TO_MS = 0.44704;
+const FEET_TO_METRES = 0.3048;
+const HUNDREDTHS_INCH_TO_MM = 0.254;
+
+const FEND = 0xC0;
+const FESC = 0xDB;
+const TFEND = 0xDC;
+const TFESC = 0xDD;
+
+// Mic-E message bits ABC, index 0 (000) to 7 (111)
+const MIC_E_STANDARD = ['Emergency', 'Priority', 'Special', 'Committed', 'Returning', 'In Service', 'En Route', 'Off Duty'];
+const MIC_E_CUSTOM = ['Emergency', 'Custom-6', 'Custom-5', 'Custom-4', 'Custom-3', 'Custom-2', 'Custom-1', 'Custom-0'];
+
+// Weather field letters and their widths
+const WEATHER_FIELDS = { c: 3, s: 3, g: 3, t: 3, r: 3, p: 3, P: 3, h: 2, b: 5, L: 3, l: 3, '#': 3 };
+
+class APRSParser {
+  /**
+   * Parse one TNC2 line. Returns null for server comments and packets that
+   * are malformed; packets of types not decoded here have type 'unknown'.
+   */
+  static parse(line, receivedAt = new Date()) {
+    if (!line) {
+      return null;
+    }
+
+    const text = String(line).replace(/[\r\n]+$/, '');
+    if (text.startsWith('#')) {
+      return null;
+    }
+
+    const colon = text.indexOf(':');
+    const header = /^([^>,:\s]{1,9})>([^>,:\s]{1,9})((?:,[^>,:\s]+)*)$/.exec(text.slice(0, colon));
+    if (colon === -1 || !header) {
+      return null;
+    }
+
+    const packet = {
+      raw: text,
+      source: header[1].toUpperCase(),
+      destination: header[2].toUpperCase(),
+      path: header[3] ? header[3].slice(1).split(',') : [],
+      body: text.slice(colon + 1),
+      name: header[1].toUpperCase(),
+      type: 'unknown',
+      receivedAt: new Date(receivedAt).toISOString()
+    };
+
+    // Third-party traffic is parsed as the packet it carries
+    if (packet.body.startsWith('}')) {
+      const inner = APRSParser.parse(packet.body.slice(1), receivedAt);
+      if (inner) {
+        inner.raw = text;
+        inner.via = packet.source;
+      }
+      return inner;
+    }
+
+    return APRSParser.parseBody(packet) ? packet : null;
+  }
+
+  /**
+   * Decode the information field by its data type identifier
+   */
+  static parseBody(packet) {
+    const body = packet.body;
+
+    switch (body[0]) {
+      case '!':
+      case '=':
+        packet.type = 'position';
+        packet.messaging = body[0] === '=';
+        return APRSParser.parsePosition(packet, body.slice(1));
+
+      case '/':
+      case '@':
+        packet.type = 'position';
+        packet.messaging = body[0] === '@';
+        packet.timestamp = APRSParser.parseTimestamp(body.slice(1, 8));
+        return APRSParser.parsePosition(packet, body.slice(8));
+
+      case '`':
+      case '\'':
+        packet.type = 'position';
+        packet.messaging = false;
+        return APRSParser.parseMicE(packet);
+
+      case ';': {
+        if (body.length < 18 || (body[10] !== '*' && body[10] !== '_')) {
+          return false;
+        }
+        packet.type = 'object';
+        packet.name = body.slice(1, 10).trim();
+        packet.killed = body[10] === '_';
+        packet.timestamp = APRSParser.parseTimestamp(body.slice(11, 18));
+        return packet.name.length > 0 && APRSParser.parsePosition(packet, body.slice(18));
+      }
+
+      case ')': {
+        const item = /^\)([^!_]{3,9})([!_])/.exec(body);
+        if (!item) {
+          return false;
+        }
+        packet.type = 'item';
+        packet.name = item[1].trim();
+        packet.killed = item[2] === '_';
+        return APRSParser.parsePosition(packet, body.slice(item[0].length));
+      }
+
+      case '>': {
+        packet.type = 'status';
+        const stamped = /^(\d{6}z)(.*)$/.exec(body.slice(1));
+        if (stamped) {
+          packet.timestamp = APRSParser.parseTimestamp(stamped[1]);
+        }
+        packet.status = (stamped ? stamped[2] : body.slice(1)).trim();
+        return true;
+      }
+
+      case ':':
+        return APRSParser.parseMessage(packet);
+
+      case '_': {
+        if (!/^\d{8}/.test(body.slice(1, 9))) {
+          return false;
+        }
+        packet.type = 'weather';
+        packet.timestamp = APRSParser.parseTimestamp(body.slice(1, 9));
+        const { weather, rest } = APRSParser.parseWeather(body.slice(9));
+        packet.weather = weather;
+        packet.comment = rest.trim();
+        return Object.keys(weather).length > 0;
+      }
+
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Parse an uncompressed or compressed position, then its data extension,
+   * altitude, weather and comment
+   */
+  static parsePosition(packet, text) {
+    let rest;
+
+    const plain = /^(\d{2})([0-9 ]{2}\.[0-9 ]{2})([NS])(.)(\d{3})([0-9 ]{2}\.[0-9 ]{2})([EW])(.)/.exec(text);
+    if (plain) {
+      const lat = parseInt(plain[1], 10) + parseFloat(plain[2].replace(/ /g, '0')) / 60;
+      const lng = parseInt(plain[5], 10) + parseFloat(plain[6].replace(/ /g, '0')) / 60;
+      if (lat > 90 || lng > 180) {
+        return false;
+      }
+
+      packet.format = 'uncompressed';
+      packet.lat = plain[3] === 'S' ? -lat : lat;
+      packet.lng = plain[7] === 'W' ? -lng : lng;
+      packet.symbolTable = plain[4];
+      packet.symbolCode = plain[8];
+      rest = text.slice(plain[0].length);
+
+      // Course/speed data extension, which a weather station uses for wind
+      const courseSpeed = /^(\d{3})\/(\d{3})/.exec(rest);
+      if (courseSpeed) {
+        if (packet.symbolCode === '_') {
+          packet.weather = {
+            windDirection: parseInt(courseSpeed[1], 10),
+            windSpeed: APRSParser.round(parseInt(courseSpeed[2], 10) * MPH_TO_MS, 2)
+          };
+        } else {
+          packet.course = parseInt(courseSpeed[1], 10);
+          packet.speed = APRSParser.round(parseInt(courseSpeed[2], 10) * KNOTS_TO_KMH, 2);
+        }
+        rest = rest.slice(7);
+      } else if (/^PHG\d{4}/.test(rest)) {
+        packet.phg = rest.slice(3, 7);
+        rest = rest.slice(7);
+      } else if (/^RNG\d{4}/.test(rest)) {
+        packet.range = parseInt(rest.slice(3, 7), 10) * 1.609344; // miles to km
+        rest = rest.slice(7);
+      }
+    } else {
+      const compressed = /^([/\\A-Za-j])([!-{]{4})([!-{]{4})(.)(.)(.)(.)/.exec(text);
+      if (!compressed) {
+        return false;
+      }
+
+      packet.format = 'compressed';
+      packet.lat = APRSParser.round(90 - APRSParser.base91(compressed[2]) / 380926, 6);
+      packet.lng = APRSParser.round(-180 + APRSParser.base91(compressed[3]) / 190463, 6);
+      // Overlay digits are sent as a-j
+      packet.symbolTable = /[a-j]/.test(compressed[1]) ? String(compressed[1].charCodeAt(0) - 97) : compressed[1];
+      packet.symbolCode = compressed[4];
+
+      const c = compressed[5].charCodeAt(0) - 33;
+      const s = compressed[6].charCodeAt(0) - 33;
+      const t = compressed[7].charCodeAt(0) - 33;
+      if (compressed[5] !== ' ') {
+        if (((t >> 3) & 3) === 2) {
+          packet.altitude = APRSParser.round(Math.pow(1.002, c * 91 + s) * FEET_TO_METRES, 1);
+        } else if (c >= 0 && c <= 89) {
+          if (packet.symbolCode === '_') {
+            packet.weather = { windDirection: c * 4, windSpeed: APRSParser.round((Math.pow(1.08, s) - 1) * MPH_TO_MS, 2) };
+          } else {
+            packet.course = c * 4;
+            packet.speed = APRSParser.round((Math.pow(1.08, s) - 1) * KNOTS_TO_KMH, 2);
+          }
+        } else if (c === 90) {
+          packet.range = APRSParser.round(2 * Math.pow(1.08, s) * 1.609344, 2);
+        }
+      }
+      rest = text.slice(compressed[0].length);
+    }
+
+    packet.symbol = `${packet.symbolTable}${packet.symbolCode}`;
+
+    if (packet.symbolCode === '_') {
+      const { weather, rest: remaining } = APRSParser.parseWeather(rest);
+      packet.weather = { ...packet.weather, ...weather };
+      rest = remaining;
+    }
+
+    const altitude = /\/A=(-?\d{5,6})/.exec(rest);
+    if (altitude) {
+      packet.altitude = APRSParser.round(parseInt(altitude[1], 10) * FEET_TO_METRES, 1);
+      rest = rest.replace(altitude[0], '');
+    }
+
+    packet.comment = rest.trim();
+    return true;
+  }
+
+  /**
+   * Decode a Mic-E position: latitude, message and longitude offset are in
+   * the destination address, longitude, speed and course in the body
+   */
+  static parseMicE(packet) {
+    const destination = packet.destination.split('-')[0];
+    const body = packet.body;
+    if (destination.length !== 6 || body.length < 9) {
+      return false;
+    }
+
+    const digits = [];
+    const bits = [];
+    let custom = false;
+
+    for (const char of destination) {
+      if (char >= '0' && char <= '9') {
+        digits.push(char);
+        bits.push(0);
+      } else if (char >= 'A' && char <= 'J') {
+        digits.push(String(char.charCodeAt(0) - 65));
+        bits.push(1);
+        custom = true;
+      } else if (char >= 'P' && char <= 'Y') {
+        digits.push(String(char.charCodeAt(0) - 80));
+        bits.push(1);
+      } else if (char === 'K' || char === 'L' || char === 'Z') {
+        // Position ambiguity
+        digits.push('0');
+        bits.push(char === 'L' ? 0 : 1);
+        custom = custom || char === 'K';
+      } else {
+        return false;
+      }
+    }
+
+    const north = /[P-Z]/.test(destination[3]);
+    const longitudeOffset = /[P-Z]/.test(destination[4]) ? 100 : 0;
+    const west = /[P-Z]/.test(destination[5]);
+
+    const lat = parseInt(digits.slice(0, 2).join(''), 10) + parseFloat(`${digits.slice(2, 4).join('')}.${digits.slice(4, 6).join('')}`) / 60;
+
+    const byte = (index) => body.charCodeAt(index) - 28;
+    let degrees = byte(1) + longitudeOffset;
+    if (degrees >= 180 && degrees <= 189) {
+      degrees -= 80;
+    } else if (degrees >= 190 && degrees <= 199) {
+      degrees -= 190;
+    }
+    let minutes = byte(2);
+    if (minutes >= 60) {
+      minutes -= 60;
+    }
+    const lng = degrees + (minutes + byte(3) / 100) / 60;
+
+    let speed = byte(4) * 10 + Math.floor(byte(5) / 10);
+    let course = (byte(5) % 10) * 100 + byte(6);
+    if (speed >= 800) {
+      speed -= 800;
+    }
+    if (course >= 400) {
+      course -= 400;
+    }
+
+    if (lat > 90 || lng > 180 || degrees < 0 || minutes < 0) {
+      return false;
+    }
+
+    const messageIndex = bits[0] * 4 + bits[1] * 2 + bits[2];
+
+    packet.format = 'mic-e';
+    packet.lat = APRSParser.round(north ? lat : -lat, 6);
+    packet.lng = APRSParser.round(west ? -lng : lng, 6);
+    packet.speed = APRSParser.round(speed * KNOTS_TO_KMH, 2);
+    packet.course = course;
+    packet.symbolCode = body[7];
+    packet.symbolTable = body[8];
+    packet.symbol = `${packet.symbolTable}${packet.symbolCode}`;
+    packet.micE = custom ? MIC_E_CUSTOM[messageIndex] : MIC_E_STANDARD[messageIndex];
+
+    // Optional radio type byte, then altitude as three base-91 digits and }
+    let rest = body.slice(9).replace(/^[ >\]`']/, '');
+    const altitude = /^([!-{]{3})\}/.exec(rest);
+    if (altitude) {
+      packet.altitude = APRSParser.base91(altitude[1]) - 10000;
+      rest = rest.slice(4);
+    }
+
+    packet.comment = rest.trim();
+    return true;
+  }
+
+  /**
+   * Parse a message, ack, reject or bulletin addressed to a station
+   */
+  static parseMessage(packet) {
+    const body = packet.body;
+    if (body.length < 11 || body[10] !== ':') {
+      return false;
+    }
+
+    const addressee = body.slice(1, 10).trim().toUpperCase();
+    const text = body.slice(11);
+    const response = /^(ack|rej)([A-Za-z0-9]{1,5})\s*$/.exec(text);
+
+    packet.type = 'message';
+    packet.message = { addressee };
+
+    if (response) {
+      packet.message.kind = response[1];
+      packet.message.id = response[2];
+      return true;
+    }
+
+    // {id, or {MM}AA when the sender acks in the message (reply-ack)
+    const id = /\{([A-Za-z0-9]{1,5})(?:\}([A-Za-z0-9]{0,5}))?\s*$/.exec(text);
+    packet.message.kind = /^(BLN|NWS-)/.test(addressee) ? 'bulletin' : 'message';
+    packet.message.text = (id ? text.slice(0, id.index) : text).trim();
+    if (id) {
+      packet.message.id = id[1];
+      if (id[2]) {
+        packet.message.replyAck = id[2];
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Parse weather fields from the start of text, returning them in metric
+   * units with the text that follows
+   */
+  static parseWeather(text) {
+    const weather = {};
+    let rest = text;
+
+    while (rest.length > 0 && WEATHER_FIELDS[rest[0]]) {
+      const key = rest[0];
+      const raw = rest.slice(1, 1 + WEATHER_FIELDS[key]);
+      if (raw.length !== WEATHER_FIELDS[key] || !/^(-?\d+|\.+| +)$/.test(raw)) {
+        break;
+      }
+      rest = rest.slice(1 + WEATHER_FIELDS[key]);
+
+      const value = parseInt(raw, 10);
+      if (isNaN(value)) {
+        continue; // Sensor fitted but no reading
+      }
+
+      switch (key) {
+        case 'c': weather.windDirection = value; break;
+        case 's':
+          // s after the wind fields is snowfall
+          if (weather.windSpeed === undefined) {
+            weather.windSpeed = APRSParser.round(value * MPH_TO_MS, 2);
+          }
+          break;
+        case 'g': weather.windGust = APRSParser.round(value * MPH_TO_MS, 2); break;
+        case 't': weather.temperature = APRSParser.round((value - 32) * 5 / 9, 1); break;
+        case 'r': weather.rain1h = APRSParser.round(value * HUNDREDTHS_INCH_TO_MM, 1); break;
+        case 'p': weather.rain24h = APRSParser.round(value * HUNDREDTHS_INCH_TO_MM, 1); break;
+        case 'P': weather.rainMidnight = APRSParser.round(value * HUNDREDTHS_INCH_TO_MM, 1); break;
+        case 'h': weather.humidity = value === 0 ? 100 : value; break;
+        case 'b': weather.pressure = value / 10; break;
+        case 'L': weather.luminosity = value; break;
+        case 'l': weather.luminosity = value + 1000; break;
+        default: break;
+      }
+    }
+
+    return { weather, rest };
+  }
+
+  /**
+   * Parse DDHHMMz (UTC), DDHHMM/ (local), HHMMSSh (UTC) or MMDDHHMM
+   * timestamps. Days are taken as the latest such day not in the future.
+   */
+  static parseTimestamp(text, now = new Date()) {
+    let date = null;
+
+    if (/^\d{6}[z/]$/.test(text)) {
+      const [day, hours, minutes] = [text.slice(0, 2), text.slice(2, 4), text.slice(4, 6)].map(Number);
+      const utc = text[6] === 'z';
+      const build = (monthOffset) => utc
+        ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + monthOffset, day, hours, minutes))
+        : new Date(now.getFullYear(), now.getMonth() + monthOffset, day, hours, minutes);
+      date = build(0);
+      if (date - now > 3600000) {
+        date = build(-1);
+      }
+    } else if (/^\d{6}h$/.test(text)) {
+      const [hours, minutes, seconds] = [text.slice(0, 2), text.slice(2, 4), text.slice(4, 6)].map(Number);
+      date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hours, minutes, seconds));
+      if (date - now > 3600000) {
+        date = new Date(date.getTime() - 86400000);
+      }
+    } else if (/^\d{8}$/.test(text)) {
+      const [month, day, hours, minutes] = [text.slice(0, 2), text.slice(2, 4), text.slice(4, 6), text.slice(6, 8)].map(Number);
+      date = new Date(Date.UTC(now.getUTCFullYear(), month - 1, day, hours, minutes));
+      if (date - now > 86400000) {
+        date = new Date(Date.UTC(now.getUTCFullYear() - 1, month - 1, day, hours, minutes));
+      }
+    }
+
+    return date && !isNaN(date) ? date.toISOString() : null;
+  }
+
+  /**
+   * Split a KISS byte stream into AX.25 frames, returning the bytes of any
+   * incomplete frame to prepend to the next chunk
+   */
+  static splitKISS(buffer) {
+    const frames = [];
+    let start = buffer.indexOf(FEND);
+    if (start === -1) {
+      return { frames, remainder: Buffer.alloc(0) };
+    }
+
+    let end;
+    while ((end = buffer.indexOf(FEND, start + 1)) !== -1) {
+      const frame = buffer.subarray(start + 1, end);
+      // Data frames only (command 0 on any port)
+      if (frame.length > 1 && (frame[0] & 0x0f) === 0) {
+        frames.push(APRSParser.unescapeKISS(frame.subarray(1)));
+      }
+      start = end;
+    }
+
+    return { frames, remainder: buffer.subarray(start) };
+  }
+
+  static unescapeKISS(frame) {
+    const bytes = [];
+    for (let i = 0; i < frame.length; i++) {
+      if (frame[i] === FESC && i + 1 < frame.length) {
+        bytes.push(frame[++i] === TFEND ? FEND : FESC);
+      } else {
+        bytes.push(frame[i]);
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Convert an AX.25 UI frame to a TNC2 line, or null if it is not one
+   */
+  static decodeAX25(frame) {
+    const addresses = [];
+    let offset = 0;
+
+    while (offset + 7 <= frame.length && addresses.length < 10) {
+      const call = Array.from(frame.subarray(offset, offset + 6), byte => String.fromCharCode(byte >> 1)).join('').trim();
+      const ssidByte = frame[offset + 6];
+      const ssid = (ssidByte >> 1) & 0x0f;
+      addresses.push({ call: ssid ? `${call}-${ssid}` : call, repeated: (ssidByte & 0x80) !== 0 });
+      offset += 7;
+      if (ssidByte & 0x01) {
+        break;
+      }
+    }
+
+    if (addresses.length < 2 || frame[offset] !== 0x03 || frame[offset + 1] !== 0xF0 ||
+        addresses.some(address => !/^[A-Z0-9]{1,6}(-\d{1,2})?$/.test(address.call))) {
+      return null;
+    }
+
+    // TNC2 marks the last digipeater that has repeated the frame
+    const digipeaters = addresses.slice(2);
+    const lastRepeated = digipeaters.map(address => address.repeated).lastIndexOf(true);
+    const path = digipeaters.map((address, i) => `,${address.call}${i === lastRepeated ? '*' : ''}`).join('');
+
+    return `${addresses[1].call}>${addresses[0].call}${path}:${frame.subarray(offset + 2).toString('latin1')}`;
+  }
+
+  /**
+   * Encode a TNC2 line as a KISS data frame
+   */
+  static encodeKISS(line) {
+    const colon = line.indexOf(':');
+    const header = /^([^>,]+)>([^>,]+)((?:,[^>,]+)*)$/.exec(line.slice(0, colon));
+    if (colon === -1 || !header) {
+      throw new Error('Not a TNC2 packet');
+    }
+
+    const path = header[3] ? header[3].slice(1).split(',') : [];
+    const starred = path.findIndex(hop => hop.endsWith('*'));
+    const calls = [header[2], header[1], ...path.map(hop => hop.replace(/\*$/, ''))];
+
+    const address = Buffer.concat(calls.map((call, i) => {
+      const [base, ssid = '0'] = call.toUpperCase().split('-');
+      if (!/^[A-Z0-9]{1,6}$/.test(base) || !/^\d{1,2}$/.test(ssid) || Number(ssid) > 15) {
+        throw new Error(`Not an AX.25 address: ${call}`);
+      }
+      const bytes = Buffer.from(base.padEnd(6, ' '), 'latin1').map(byte => byte << 1);
+      let ssidByte = 0x60 | (Number(ssid) << 1);
+      if (i >= 2 && i - 2 <= starred) {
+        ssidByte |= 0x80;
+      }
+      if (i === calls.length - 1) {
+        ssidByte |= 0x01;
+      }
+      return Buffer.concat([Buffer.from(bytes), Buffer.from([ssidByte])]);
+    }));
+
+    const frame = Buffer.concat([address, Buffer.from([0x03, 0xF0]), Buffer.from(line.slice(colon + 1), 'latin1')]);
+    const escaped = [];
+    for (const byte of frame) {
+      if (byte === FEND) {
+        escaped.push(FESC, TFEND);
+      } else if (byte === FESC) {
+        escaped.push(FESC, TFESC);
+      } else {
+        escaped.push(byte);
+      }
+    }
+
+    return Buffer.from([FEND, 0x00, ...escaped, FEND]);
+  }
+
+  /**
+   * Format a position as DDMM.mmN/DDDMM.mmW with the symbol table and code
+   * in place of the separator and after the longitude
+   */
+  static formatPosition(lat, lng, symbol = '/.') {
+    const format = (value, width, hemispheres) => {
+      const absolute = Math.abs(value);
+      let degrees = Math.floor(absolute);
+      let minutes = Math.round((absolute - degrees) * 6000) / 100;
+      if (minutes >= 60) {
+        degrees++;
+        minutes = 0;
+      }
+      return `${String(degrees).padStart(width, '0')}${minutes.toFixed(2).padStart(5, '0')}${hemispheres[value < 0 ? 1 : 0]}`;
+    };
+
+    return `${format(lat, 2, 'NS')}${symbol[0]}${format(lng, 3, 'EW')}${symbol[1]}`;
+  }
+
+  /**
+   * Format an object report, live or killed, timestamped DDHHMMz
+   */
+  static formatObject({ name, lat, lng, symbol, comment = '', killed = false, timestamp = new Date() }) {
+    const time = new Date(timestamp);
+    const stamp = [time.getUTCDate(), time.getUTCHours(), time.getUTCMinutes()].map(value => String(value).padStart(2, '0')).join('');
+    const text = APRSParser.sanitizeText(comment).slice(0, 43);
+
+    return `;${name.padEnd(9).slice(0, 9)}${killed ? '_' : '*'}${stamp}z${APRSParser.formatPosition(lat, lng, symbol)}${text}`;
+  }
+
+  /**
+   * Format a message, ack (text ackNN) or reject to a station
+   */
+  static formatMessage(addressee, text, id = null) {
+    return `:${addressee.toUpperCase().padEnd(9)}:${APRSParser.sanitizeText(text)}${id ? `{${id}` : ''}`;
+  }
+
+  /**
+   * Strip characters APRS text fields cannot carry (| ~ { and non-printables)
+   */
+  static sanitizeText(text) {
+    return String(text || '').replace(/[|~{]/g, '').replace(/[^\x20-\x7e]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  static base91(text) {
+    let value = 0;
+    for (const char of text) {
+      value = value * 91 + char.charCodeAt(0) - 33;
+    }
+    return value;
+  }
+
+  static round(value, places) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = APRSParser;
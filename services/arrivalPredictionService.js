@@ -0,0 +1,381 @@
+const EventEmitter = require('events');
+const winston = require('winston');
+
+/**
+ * Arrival Prediction Service
+ *
+ * Estimates when inbound aircraft will reach the runway threshold at one
+ * airport and keeps a live arrivals board. Each aircraft heading for the
+ * airport is matched to its likely runway with the airport service's
+ * determineRunway; the ETA combines the time to fly the remaining path at
+ * groundspeed (slowing towards approach speed) with the time to lose the
+ * remaining height at the current descent rate. An arrival:imminent event
+ * is published leadTime minutes before each expected arrival.
+ */
+
+const FEET_PER_METER = 3.28084;
+const METERS_PER_NM = 1852;
+const KNOTS_TO_MPS = 0.514444;
+// 3 degree glidepath, in feet per nautical mile
+const GLIDEPATH_FT_PER_NM = 318;
+
+class ArrivalPredictionService extends EventEmitter {
+  constructor(config = {}, logger = null) {
+    super();
+
+    this.config = {
+      interval: config.interval || 5000,
+      // Minutes before the ETA at which arrival:imminent is published
+      leadTime: config.leadTime || 5,
+      // Consider aircraft within this range (NM) and arriving within maxEta (s)
+      maxDistance: config.maxDistance || 60,
+      maxEta: config.maxEta || 3600,
+      // Track must point within this many degrees of the airport
+      inboundTolerance: config.inboundTolerance || 60,
+      minSpeed: config.minSpeed || 60, // knots
+      approachSpeed: config.approachSpeed || 140, // knots over the threshold
+      // Extra path (NM) for aircraft not yet lined up with the runway
+      joiningAllowance: config.joiningAllowance || 5,
+      maxAge: config.maxAge || 30000,
+      // Keep landed aircraft on the board for this long (ms)
+      landedRetention: config.landedRetention || 600000,
+      // An aircraft on final last seen at or below this height (ft) that drops out has landed
+      landedHeight: config.landedHeight || 300
+    };
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.airportService = null;
+    this.aircraftFusionService = null;
+    this.adsbConnector = null;
+    this.eventBus = null;
+    this.updateTimer = null;
+
+    // icao24 -> arrival board entry
+    this.arrivals = new Map();
+
+    this.stats = { updates: 0, predicted: 0, imminent: 0, landed: 0, lastUpdate: null };
+  }
+
+  /**
+   * Airport geometry, runways and determineRunway come from the airport service
+   */
+  setAirportService(airportService) {
+    this.airportService = airportService;
+    // The airport's own landing detection confirms touchdown
+    if (typeof airportService.on === 'function') {
+      airportService.on('landing', event => this.markLanded(event.data?.icao24));
+    }
+  }
+
+  /**
+   * Use the fused aircraft picture when available
+   */
+  setAircraftFusionService(aircraftFusionService) {
+    this.aircraftFusionService = aircraftFusionService;
+  }
+
+  /**
+   * Fall back to a single ADSB connector's aircraft map
+   */
+  setADSBConnector(adsbConnector) {
+    this.adsbConnector = adsbConnector;
+  }
+
+  setEventBus(eventBus) {
+    this.eventBus = eventBus;
+  }
+
+  start() {
+    if (this.updateTimer) return;
+    this.updateTimer = setInterval(() => this.update(), this.config.interval);
+    if (this.updateTimer.unref) this.updateTimer.unref();
+    this.logger.info('Arrival prediction started', {
+      airport: this.airportService?.config.airportCode,
+      leadTime: this.config.leadTime
+    });
+  }
+
+  stop() {
+    if (this.updateTimer) {
+      clearInterval(this.updateTimer);
+      this.updateTimer = null;
+    }
+  }
+
+  /**
+   * Recently seen aircraft with a position, airborne and on the ground
+   */
+  getRecentAircraft(now = Date.now()) {
+    let aircraft = [];
+    if (this.aircraftFusionService) {
+      aircraft = this.aircraftFusionService.getAircraft();
+    } else if (this.adsbConnector?.aircraft) {
+      aircraft = Array.from(this.adsbConnector.aircraft.values());
+    }
+
+    return aircraft.filter(ac => {
+      if (typeof ac.lat !== 'number' || typeof ac.lon !== 'number') return false;
+      const lastSeen = ac.last_seen || ac.timestamp;
+      return !lastSeen || now - new Date(lastSeen).getTime() <= this.config.maxAge;
+    });
+  }
+
+  getTraffic(now = Date.now()) {
+    return this.getRecentAircraft(now).filter(ac => !this.isOnGround(ac) && typeof ac.altitude === 'number');
+  }
+
+  isOnGround(aircraft) {
+    return Boolean(aircraft.onGround || aircraft.isOnGround || aircraft.altitude === 'ground');
+  }
+
+  /**
+   * Predict the arrival of one aircraft, or null if it is not inbound
+   */
+  predict(aircraft, now = Date.now()) {
+    const service = this.airportService;
+    const { latitude, longitude, elevation } = service.config;
+    const speed = typeof aircraft.speed === 'number' ? aircraft.speed : 0;
+    const track = typeof aircraft.track === 'number' ? aircraft.track : aircraft.heading;
+    const verticalRate = typeof aircraft.vertical_rate === 'number' ? aircraft.vertical_rate : 0;
+
+    if (speed < this.config.minSpeed || typeof track !== 'number') {
+      return null;
+    }
+
+    const distance = service.calculateDistance(aircraft.lat, aircraft.lon, latitude, longitude);
+    if (distance / METERS_PER_NM > this.config.maxDistance) {
+      return null;
+    }
+
+    // Heading for the airport?
+    const bearing = service.calculateBearing(aircraft.lat, aircraft.lon, latitude, longitude);
+    const offTrack = this.angleBetween(track, bearing);
+    if (offTrack > this.config.inboundTolerance) {
+      return null;
+    }
+
+    const runwayInfo = service.determineRunway(aircraft.lat, aircraft.lon, track);
+    if (!runwayInfo) {
+      return null;
+    }
+    const runway = runwayInfo.runway;
+    const fieldElevation = (runway.elevation ?? elevation ?? 0) * FEET_PER_METER;
+    const height = aircraft.altitude - fieldElevation;
+
+    // Lined up with the runway, or still to join final
+    const alignment = this.angleBetween(track, runway.heading);
+    const aligned = alignment <= 30;
+    const pathNm = runwayInfo.distance / METERS_PER_NM + (aligned ? 0 : this.config.joiningAllowance);
+
+    // Far too high to land from here and not descending: an overflight
+    const descending = verticalRate < -100;
+    if (!descending && height > pathNm * GLIDEPATH_FT_PER_NM * 2 + 3000) {
+      return null;
+    }
+
+    // Groundspeed easing towards approach speed over the remaining path
+    const averageSpeed = speed > this.config.approachSpeed ? (speed + this.config.approachSpeed) / 2 : speed;
+    const speedEta = (pathNm * METERS_PER_NM) / (averageSpeed * KNOTS_TO_MPS);
+    const descentEta = descending ? Math.max(height, 0) / -verticalRate * 60 : null;
+
+    let etaSeconds = speedEta;
+    let agreement = false;
+    if (descentEta !== null && Math.abs(descentEta - speedEta) <= speedEta * 0.5) {
+      etaSeconds = speedEta * 0.7 + descentEta * 0.3;
+      agreement = Math.abs(descentEta - speedEta) <= speedEta * 0.25;
+    }
+
+    if (etaSeconds > this.config.maxEta) {
+      return null;
+    }
+
+    let confidence = 0.4;
+    if (aligned) confidence += 0.2;
+    if (descending) confidence += 0.2;
+    if (agreement) confidence += 0.2;
+    if (offTrack > this.config.inboundTolerance / 2) confidence -= 0.1;
+
+    const onFinal = aligned && pathNm <= 10 && height <= 4000;
+
+    return {
+      icao24: aircraft.icao24,
+      callsign: aircraft.callsign || null,
+      registration: aircraft.registration || null,
+      aircraftType: aircraft.icaoTypeCode || aircraft.type || null,
+      runway: runwayInfo.id,
+      status: onFinal ? 'final' : 'inbound',
+      eta: new Date(now + etaSeconds * 1000).toISOString(),
+      etaSeconds: Math.round(etaSeconds),
+      distance: Math.round(pathNm * 10) / 10,
+      altitude: aircraft.altitude,
+      height: Math.round(height),
+      speed,
+      verticalRate,
+      track,
+      confidence: Math.round(Math.max(0, Math.min(confidence, 1)) * 100) / 100,
+      lat: aircraft.lat,
+      lon: aircraft.lon
+    };
+  }
+
+  /**
+   * Refresh the board from the current traffic
+   */
+  update(now = Date.now()) {
+    if (!this.airportService) {
+      return this.getBoard(now);
+    }
+
+    const seen = new Set();
+    for (const aircraft of this.getRecentAircraft(now)) {
+      if (this.isOnGround(aircraft)) {
+        this.markLanded(aircraft.icao24, now);
+        continue;
+      }
+      if (typeof aircraft.altitude !== 'number') continue;
+
+      const prediction = this.predict(aircraft, now);
+      if (!prediction) continue;
+
+      seen.add(prediction.icao24);
+      const existing = this.arrivals.get(prediction.icao24);
+      const entry = {
+        ...prediction,
+        firstSeen: existing ? existing.firstSeen : new Date(now).toISOString(),
+        alerted: existing ? existing.alerted : false,
+        lastUpdate: new Date(now).toISOString()
+      };
+      this.arrivals.set(prediction.icao24, entry);
+
+      if (!existing) {
+        this.stats.predicted++;
+      }
+
+      if (!entry.alerted && entry.etaSeconds <= this.config.leadTime * 60) {
+        entry.alerted = true;
+        this.stats.imminent++;
+        this.publishImminent(entry);
+      }
+    }
+
+    // Aircraft on final that dropped off low and close to their ETA have landed;
+    // others (including go-arounds climbing out of coverage) are removed
+    for (const [icao24, entry] of this.arrivals) {
+      if (seen.has(icao24)) continue;
+
+      if (entry.status === 'landed') {
+        if (now - new Date(entry.landedAt).getTime() > this.config.landedRetention) {
+          this.arrivals.delete(icao24);
+        }
+      } else if (now - new Date(entry.lastUpdate).getTime() > this.config.maxAge ||
+                 entry.etaSeconds - (now - new Date(entry.lastUpdate).getTime()) / 1000 <= 60) {
+        if (entry.status === 'final' && entry.height <= this.config.landedHeight) {
+          this.markLanded(icao24, now);
+        } else {
+          this.arrivals.delete(icao24);
+        }
+      }
+    }
+
+    this.stats.updates++;
+    this.stats.lastUpdate = new Date(now).toISOString();
+
+    const board = this.getBoard(now);
+    this.emit('board:updated', board);
+    return board;
+  }
+
+  /**
+   * Show a board entry as landed, on a ground sighting or the airport's landing event
+   */
+  markLanded(icao24, now = Date.now()) {
+    const entry = icao24 ? this.arrivals.get(icao24.toUpperCase()) : null;
+    if (!entry || entry.status === 'landed') {
+      return false;
+    }
+
+    entry.status = 'landed';
+    entry.landedAt = new Date(now).toISOString();
+    this.stats.landed++;
+    return true;
+  }
+
+  /**
+   * Emit locally and publish to the EventBus so displays and renders can be prepared
+   */
+  publishImminent(entry) {
+    const event = {
+      ...this.summarize(entry),
+      airport: this.airportService.config.airportCode,
+      leadTime: this.config.leadTime
+    };
+    this.emit('arrival:imminent', event);
+
+    this.logger.info('Arrival imminent', {
+      icao24: entry.icao24,
+      callsign: entry.callsign,
+      runway: entry.runway,
+      eta: entry.eta
+    });
+
+    if (this.eventBus) {
+      this.eventBus.publishEvent({
+        type: 'arrival:imminent',
+        source: 'arrival-prediction',
+        timestamp: new Date().toISOString(),
+        data: event
+      }).catch(error => {
+        this.logger.debug('Failed to publish arrival event to event bus', { error: error.message });
+      });
+    }
+  }
+
+  summarize(entry) {
+    const { alerted, lat, lon, height, ...summary } = entry;
+    return { ...summary, position: { lat, lon } };
+  }
+
+  /**
+   * Arrivals ordered by ETA, landed aircraft last
+   */
+  getBoard(now = Date.now()) {
+    const arrivals = Array.from(this.arrivals.values())
+      .map(entry => this.summarize(entry))
+      .sort((a, b) => (a.status === 'landed') - (b.status === 'landed') || a.eta.localeCompare(b.eta));
+
+    return {
+      airport: this.airportService ? this.airportService.config.airportCode : null,
+      leadTime: this.config.leadTime,
+      arrivals,
+      updated: new Date(now).toISOString()
+    };
+  }
+
+  getArrival(icao24) {
+    const entry = this.arrivals.get(icao24.toUpperCase());
+    return entry ? this.summarize(entry) : null;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      active: this.arrivals.size,
+      config: this.config
+    };
+  }
+
+  /**
+   * Smallest angle between two headings (0-180)
+   */
+  angleBetween(a, b) {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+  }
+}
+
+module.exports = ArrivalPredictionService;
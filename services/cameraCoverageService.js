@@ -0,0 +1,344 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const winston = require('winston');
+
+/**
+ * Camera Coverage Service
+ *
+ * Models each fixed camera's field of view as a cone: heading, horizontal
+ * field of view and range from its location, with an optional elevation
+ * angle and vertical field of view for airborne targets. Answers which
+ * cameras currently cover a point, draws the cones on the map and fetches
+ * snapshots from the covering cameras for alarms.
+ */
+
+const FEET_PER_METER = 3.28084;
+const EARTH_RADIUS = 6371000;
+
+class CameraCoverageService extends EventEmitter {
+  constructor(config = {}, logger = null) {
+    super();
+
+    this.config = {
+      locationsFile: config.locationsFile || path.join(__dirname, '../data/camera-locations.json'),
+      // Defaults for cameras stored with a heading but no fov/range
+      defaultFov: config.defaultFov || 90,
+      defaultRange: config.defaultRange || 100, // metres
+      // Points on the arc of each drawn cone
+      coneSegments: config.coneSegments || 16,
+      snapshotConnectorId: config.snapshotConnectorId || 'unifi-protect-main'
+    };
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.connectorRegistry = null;
+    this.mapConnector = null;
+    this.entityManager = null;
+
+    // cameraId -> camera with field of view
+    this.cameras = new Map();
+    // cameraId -> map element id
+    this.mapElements = new Map();
+  }
+
+  /**
+   * Snapshots come from the UniFi Protect connector in the registry
+   */
+  setConnectorRegistry(connectorRegistry) {
+    this.connectorRegistry = connectorRegistry;
+  }
+
+  /**
+   * Draw field-of-view cones on this map
+   */
+  async setMapConnector(mapConnector) {
+    this.mapConnector = mapConnector;
+    this.mapElements.clear();
+    for (const camera of this.cameras.values()) {
+      await this.drawCone(camera);
+    }
+  }
+
+  /**
+   * Keep camera entities' field of view in step
+   */
+  setEntityManager(entityManager) {
+    this.entityManager = entityManager;
+  }
+
+  /**
+   * Load cameras with a heading from the camera locations file
+   */
+  async loadLocations() {
+    let locations = {};
+    try {
+      locations = JSON.parse(await fs.readFile(this.config.locationsFile, 'utf8'));
+    } catch (error) {
+      this.logger.debug('No camera locations loaded', { error: error.message });
+    }
+
+    for (const [cameraId, location] of Object.entries(locations)) {
+      await this.setCamera(cameraId, location);
+    }
+    this.logger.info(`Camera coverage loaded for ${this.cameras.size} cameras`);
+    return this.getCameras();
+  }
+
+  /**
+   * Add or update a camera from its stored location; cameras without a
+   * heading have no field of view and are removed
+   */
+  async setCamera(cameraId, location) {
+    if (typeof location.heading !== 'number' || typeof location.lat !== 'number' || typeof location.lng !== 'number') {
+      await this.removeCamera(cameraId);
+      return null;
+    }
+
+    const fov = location.fov || this.config.defaultFov;
+    const camera = {
+      cameraId,
+      name: location.name || cameraId,
+      lat: location.lat,
+      lng: location.lng,
+      heading: ((location.heading % 360) + 360) % 360,
+      fov,
+      range: location.range || this.config.defaultRange,
+      elevation: location.elevation || 0, // degrees above the horizon
+      verticalFov: location.verticalFov || null,
+      height: location.height || 0 // lens height, metres AMSL
+    };
+
+    this.cameras.set(cameraId, camera);
+    await this.drawCone(camera);
+    await this.updateEntity(camera);
+    this.emit('camera:updated', camera);
+    return camera;
+  }
+
+  async removeCamera(cameraId) {
+    const existed = this.cameras.delete(cameraId);
+    const elementId = this.mapElements.get(cameraId);
+    if (elementId && this.mapConnector) {
+      try {
+        await this.mapConnector.deleteSpatialElement({ elementId });
+      } catch (error) {
+        this.logger.debug('Failed to delete camera cone', { cameraId, error: error.message });
+      }
+    }
+    this.mapElements.delete(cameraId);
+    if (existed) {
+      this.emit('camera:removed', { cameraId });
+    }
+    return existed;
+  }
+
+  /**
+   * Cone outline: the camera, then the arc at full range
+   */
+  buildCone(camera) {
+    const points = [{ lat: camera.lat, lng: camera.lng }];
+    const start = camera.heading - camera.fov / 2;
+    const segments = this.config.coneSegments;
+    for (let i = 0; i <= segments; i++) {
+      points.push(this.destination(camera.lat, camera.lng, start + camera.fov * i / segments, camera.range));
+    }
+    points.push({ lat: camera.lat, lng: camera.lng });
+    return points;
+  }
+
+  async drawCone(camera) {
+    if (!this.mapConnector) return null;
+
+    const properties = {
+      cameraId: camera.cameraId,
+      name: camera.name,
+      heading: camera.heading,
+      fov: camera.fov,
+      range: camera.range,
+      elevation: camera.elevation,
+      polygon: this.buildCone(camera)
+    };
+
+    try {
+      const elementId = this.mapElements.get(camera.cameraId);
+      if (elementId) {
+        return await this.mapConnector.updateSpatialElement({
+          elementId,
+          updates: { position: { lat: camera.lat, lng: camera.lng }, properties }
+        });
+      }
+
+      const element = await this.mapConnector.createSpatialElement({
+        elementType: 'camera-fov',
+        position: { lat: camera.lat, lng: camera.lng },
+        properties
+      });
+      this.mapElements.set(camera.cameraId, element.id);
+      return element;
+    } catch (error) {
+      this.logger.warn('Failed to draw camera cone', { cameraId: camera.cameraId, error: error.message });
+      return null;
+    }
+  }
+
+  async updateEntity(camera) {
+    const entityId = `camera-${camera.cameraId}`;
+    const entity = this.entityManager?.getEntity(entityId);
+    if (!entity) return;
+
+    const { cameraId, name, ...fieldOfView } = camera;
+    await this.entityManager.updateEntity(entityId, {
+      data: { ...entity.data, fieldOfView }
+    });
+  }
+
+  /**
+   * Whether a camera's cone covers a point (altitude in feet AMSL, optional)
+   */
+  covers(camera, { lat, lng, altitude = null }) {
+    const distance = this.calculateDistance(camera.lat, camera.lng, lat, lng);
+    const bearing = this.calculateBearing(camera.lat, camera.lng, lat, lng);
+    let offAxis = Math.abs(bearing - camera.heading) % 360;
+    if (offAxis > 180) offAxis = 360 - offAxis;
+
+    let covered = distance <= camera.range && (distance < 1 || offAxis <= camera.fov / 2);
+
+    // Check the vertical field of view when both the camera and point define it
+    let elevationAngle = null;
+    if (typeof altitude === 'number' && camera.verticalFov) {
+      const rise = altitude / FEET_PER_METER - camera.height;
+      elevationAngle = Math.atan2(rise, Math.max(distance, 1)) * 180 / Math.PI;
+      covered = covered && Math.abs(elevationAngle - camera.elevation) <= camera.verticalFov / 2;
+    }
+
+    return {
+      covered,
+      distance: Math.round(distance),
+      bearing: Math.round(bearing * 10) / 10,
+      offAxis: Math.round(offAxis * 10) / 10,
+      elevationAngle: elevationAngle === null ? null : Math.round(elevationAngle * 10) / 10
+    };
+  }
+
+  /**
+   * Cameras covering a point, the tightest and most central view first
+   */
+  getCoveringCameras(point) {
+    const position = { ...point, lng: point.lng ?? point.lon };
+    const covering = [];
+    for (const camera of this.cameras.values()) {
+      const result = this.covers(camera, position);
+      if (result.covered) {
+        // Width of scene in frame at the point, widened the further off-axis it is
+        const frameWidth = 2 * Math.max(result.distance, 1) * Math.tan(Math.min(camera.fov, 170) / 2 * Math.PI / 180);
+        const score = frameWidth * (1 + result.offAxis / (camera.fov / 2));
+        covering.push({ cameraId: camera.cameraId, name: camera.name, ...result, score });
+      }
+    }
+    return covering
+      .sort((a, b) => a.score - b.score)
+      .map(({ score, ...entry }) => entry);
+  }
+
+  /**
+   * Position of an aircraft, APRS station, speed violation or other event
+   */
+  getEventPosition(event) {
+    const data = event?.data || event || {};
+    const candidates = [
+      data.aircraft,
+      data.detection2?.position,
+      data.position,
+      data.location,
+      data.station,
+      data
+    ];
+
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      const lat = candidate.lat ?? candidate.latitude;
+      const lng = candidate.lng ?? candidate.lon ?? candidate.longitude;
+      if (typeof lat === 'number' && typeof lng === 'number') {
+        const altitude = typeof candidate.altitude === 'number' ? candidate.altitude : null;
+        return { lat, lng, altitude };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Cameras covering the position an event happened at
+   */
+  getCamerasForEvent(event) {
+    const position = this.getEventPosition(event);
+    return position ? this.getCoveringCameras(position) : [];
+  }
+
+  /**
+   * JPEG snapshot from a camera
+   */
+  async getSnapshot(cameraId) {
+    const connector = this.connectorRegistry?.getConnector(this.config.snapshotConnectorId);
+    if (!connector) {
+      throw new Error(`Snapshot connector ${this.config.snapshotConnectorId} not available`);
+    }
+    return connector.getCameraSnapshot(cameraId, 'high');
+  }
+
+  getCamera(cameraId) {
+    const camera = this.cameras.get(cameraId);
+    return camera ? { ...camera, cone: this.buildCone(camera) } : null;
+  }
+
+  getCameras() {
+    return Array.from(this.cameras.keys()).map(cameraId => this.getCamera(cameraId));
+  }
+
+  /**
+   * Point a distance in metres along a bearing
+   */
+  destination(lat, lng, bearing, distance) {
+    const angular = distance / EARTH_RADIUS;
+    const bearingRad = bearing * Math.PI / 180;
+    const lat1 = lat * Math.PI / 180;
+    const lng1 = lng * Math.PI / 180;
+
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) +
+      Math.cos(lat1) * Math.sin(angular) * Math.cos(bearingRad));
+    const lng2 = lng1 + Math.atan2(Math.sin(bearingRad) * Math.sin(angular) * Math.cos(lat1),
+      Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+
+    return { lat: lat2 * 180 / Math.PI, lng: lng2 * 180 / Math.PI };
+  }
+
+  /**
+   * Great-circle distance in metres
+   */
+  calculateDistance(lat1, lon1, lat2, lon2) {
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Initial bearing in degrees
+   */
+  calculateBearing(lat1, lon1, lat2, lon2) {
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const lat1Rad = lat1 * Math.PI / 180;
+    const lat2Rad = lat2 * Math.PI / 180;
+    const y = Math.sin(dLon) * Math.cos(lat2Rad);
+    const x = Math.cos(lat1Rad) * Math.sin(lat2Rad) - Math.sin(lat1Rad) * Math.cos(lat2Rad) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  }
+}
+
+module.exports = CameraCoverageService;
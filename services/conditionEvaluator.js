@@ -0,0 +1,821 @@
+const winston = require('winston');
+
+/**
+ * Condition Evaluator
+ *
+ * Serializable condition language for rules. Conditions are stored as a
+ * JSON tree so they survive the rules table and rule export/import, and can
+ * be authored as text expressions such as:
+ *
+ *   type == 'aircraft:updated'
+ *     AND data.aircraft.altitude < 1500
+ *     AND within(data.aircraft.lat, data.aircraft.lon, 'EGPK', 5, 'nm')
+ *     AND time('21:00', '06:00')
+ *
+ * Tree nodes:
+ * - { all: [...] }, { any: [...] }, { not: node }
+ * - { field, op, value } with op one of ==, !=, >, >=, <, <=, in, not in,
+ *   contains, matches, exists
+ * - { geofence: { latField, lonField, lat, lon, radius, units } }
+ *   ({ location } may replace lat/lon, { polygon: [[lat, lon], ...] } may
+ *   replace the circle)
+ * - { time: { start: 'HH:MM', end: 'HH:MM', utc } } (may cross midnight)
+ */
+class ConditionEvaluator {
+  constructor(config = {}, logger) {
+    this.config = config;
+    this.logger = logger || winston.createLogger();
+
+    // Named locations usable in geofences, e.g. { EGPK: { lat, lon } }
+    this.locations = { ...(config.locations || {}) };
+
+    // Compiled regular expressions for `matches`
+    this.regexCache = new Map();
+  }
+
+  /**
+   * Compile a text expression or condition tree into a validated tree
+   */
+  compile(expression) {
+    const tree = typeof expression === 'string' ? this.parse(expression) : expression;
+    return this.normalize(tree);
+  }
+
+  /**
+   * Evaluate a condition tree against an event
+   */
+  evaluate(node, event) {
+    if (node.all) {
+      return node.all.every(child => this.evaluate(child, event));
+    }
+
+    if (node.any) {
+      return node.any.some(child => this.evaluate(child, event));
+    }
+
+    if (node.not) {
+      return !this.evaluate(node.not, event);
+    }
+
+    if (node.geofence) {
+      return this.evaluateGeofence(node.geofence, event);
+    }
+
+    if (node.time) {
+      return this.evaluateTimeWindow(node.time, event.timestamp);
+    }
+
+    return this.evaluateComparison(node, event);
+  }
+
+  /**
+   * Evaluate a field comparison
+   */
+  evaluateComparison(node, event) {
+    const actual = this.getFieldValue(event, node.field);
+    const expected = node.value;
+
+    switch (node.op) {
+      case 'exists':
+        return (actual !== undefined && actual !== null) === (expected !== false);
+      case '==':
+        return this.isEqual(actual, expected);
+      case '!=':
+        return !this.isEqual(actual, expected);
+      case '>':
+      case '>=':
+      case '<':
+      case '<=':
+        return this.compareOrdered(node.op, actual, expected);
+      case 'in':
+        return Array.isArray(actual)
+          ? actual.some(item => expected.some(candidate => this.isEqual(item, candidate)))
+          : expected.some(candidate => this.isEqual(actual, candidate));
+      case 'not in':
+        return !this.evaluateComparison({ ...node, op: 'in' }, event);
+      case 'contains':
+        if (Array.isArray(actual)) {
+          return actual.some(item => this.isEqual(item, expected));
+        }
+        return typeof actual === 'string' && actual.includes(String(expected));
+      case 'matches':
+        return actual !== undefined && actual !== null && this.getRegex(expected).test(String(actual));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Equality with numeric coercion for values that arrive as strings
+   */
+  isEqual(actual, expected) {
+    if (actual === expected) {
+      return true;
+    }
+
+    if (typeof expected === 'number' && typeof actual === 'string' && actual.trim() !== '') {
+      return Number(actual) === expected;
+    }
+
+    return false;
+  }
+
+  /**
+   * Ordered comparison of numbers, or of strings such as ISO timestamps
+   */
+  compareOrdered(op, actual, expected) {
+    if (actual === undefined || actual === null || actual === '') {
+      return false;
+    }
+
+    let left = actual;
+    let right = expected;
+
+    if (typeof expected === 'number') {
+      left = Number(actual);
+      if (isNaN(left)) {
+        return false;
+      }
+    } else {
+      left = String(actual);
+      right = String(expected);
+    }
+
+    switch (op) {
+      case '>': return left > right;
+      case '>=': return left >= right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      default: return false;
+    }
+  }
+
+  /**
+   * Evaluate a circular or polygon geofence
+   */
+  evaluateGeofence(geofence, event) {
+    const lat = Number(this.getFieldValue(event, geofence.latField));
+    const lon = Number(this.getFieldValue(event, geofence.lonField));
+
+    if (!isFinite(lat) || !isFinite(lon) || (lat === 0 && lon === 0)) {
+      return false;
+    }
+
+    if (geofence.polygon) {
+      return this.isPointInPolygon(lat, lon, geofence.polygon);
+    }
+
+    const center = geofence.location ? this.locations[geofence.location] : geofence;
+    if (!center) {
+      return false;
+    }
+
+    const distance = this.calculateDistance(lat, lon, center.lat, center.lon);
+    return distance <= this.toMeters(geofence.radius, geofence.units);
+  }
+
+  /**
+   * Evaluate a daily time window, which may cross midnight
+   */
+  evaluateTimeWindow(window, timestamp) {
+    const date = timestamp ? new Date(timestamp) : new Date();
+    if (isNaN(date.getTime())) {
+      return false;
+    }
+
+    const minutes = window.utc
+      ? date.getUTCHours() * 60 + date.getUTCMinutes()
+      : date.getHours() * 60 + date.getMinutes();
+
+    return this.isWithinTimeWindow(minutes, this.parseTime(window.start), this.parseTime(window.end));
+  }
+
+  /**
+   * Check minutes-of-day against a [start, end] window
+   */
+  isWithinTimeWindow(minutes, start, end) {
+    if (start <= end) {
+      return minutes >= start && minutes <= end;
+    }
+
+    // Window crosses midnight, e.g. 22:00-06:00
+    return minutes >= start || minutes <= end;
+  }
+
+  /**
+   * Parse time string (HH:MM format)
+   */
+  parseTime(timeString) {
+    const [hours, minutes] = String(timeString).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+
+  /**
+   * Ray-casting point in polygon test ([[lat, lon], ...])
+   */
+  isPointInPolygon(lat, lon, polygon) {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const [latI, lonI] = polygon[i];
+      const [latJ, lonJ] = polygon[j];
+
+      const intersects = ((lonI > lon) !== (lonJ > lon)) &&
+        (lat < (latJ - latI) * (lon - lonI) / (lonJ - lonI) + latI);
+
+      if (intersects) {
+        inside = !inside;
+      }
+    }
+
+    return inside;
+  }
+
+  /**
+   * Calculate distance between two points in meters
+   */
+  calculateDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371000; // Earth's radius in meters
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+              Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return R * c;
+  }
+
+  /**
+   * Convert a radius to meters
+   */
+  toMeters(radius, units = 'nm') {
+    switch (units) {
+      case 'nm': return radius * 1852;
+      case 'km': return radius * 1000;
+      case 'mi': return radius * 1609.344;
+      case 'm': return radius;
+      default: throw new Error(`Unknown distance unit: ${units}`);
+    }
+  }
+
+  /**
+   * Get a compiled regular expression, accepting '/pattern/flags' strings
+   */
+  getRegex(pattern) {
+    if (!this.regexCache.has(pattern)) {
+      const literal = /^\/(.*)\/([gimsuy]*)$/.exec(pattern);
+      const regex = literal ? new RegExp(literal[1], literal[2].replace('g', '')) : new RegExp(pattern);
+      this.regexCache.set(pattern, regex);
+    }
+
+    return this.regexCache.get(pattern);
+  }
+
+  /**
+   * Resolve a dotted path against the event
+   */
+  getFieldValue(event, path) {
+    return path.split('.').reduce((current, key) =>
+      current === undefined || current === null ? undefined : current[key], event);
+  }
+
+  /**
+   * Validate a condition tree and return it in canonical form
+   */
+  normalize(node) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      throw new Error('Invalid condition: expected an object');
+    }
+
+    const groupKey = ['all', 'and', 'any', 'or'].find(key => node[key] !== undefined);
+    if (groupKey) {
+      const children = node[groupKey];
+      if (!Array.isArray(children) || children.length === 0) {
+        throw new Error(`Invalid condition: "${groupKey}" must be a non-empty array`);
+      }
+      const key = groupKey === 'and' ? 'all' : groupKey === 'or' ? 'any' : groupKey;
+      return { [key]: children.map(child => this.normalize(child)) };
+    }
+
+    if (node.not !== undefined) {
+      return { not: this.normalize(node.not) };
+    }
+
+    if (node.geofence !== undefined) {
+      return { geofence: this.normalizeGeofence(node.geofence) };
+    }
+
+    if (node.time !== undefined) {
+      return { time: this.normalizeTimeWindow(node.time) };
+    }
+
+    return this.normalizeComparison(node);
+  }
+
+  /**
+   * Validate a comparison node
+   */
+  normalizeComparison(node) {
+    const operators = ['==', '!=', '>', '>=', '<', '<=', 'in', 'not in', 'contains', 'matches', 'exists'];
+
+    if (typeof node.field !== 'string' || node.field.length === 0) {
+      throw new Error('Invalid condition: comparison requires a "field" path');
+    }
+
+    const op = node.op === '=' ? '==' : node.op;
+    if (!operators.includes(op)) {
+      throw new Error(`Invalid condition: unknown operator "${node.op}"`);
+    }
+
+    if ((op === 'in' || op === 'not in') && !Array.isArray(node.value)) {
+      throw new Error(`Invalid condition: "${op}" requires an array value`);
+    }
+
+    if (op === 'matches') {
+      try {
+        this.getRegex(node.value);
+      } catch (error) {
+        throw new Error(`Invalid condition: bad regular expression "${node.value}"`);
+      }
+    }
+
+    if (op === 'exists') {
+      return { field: node.field, op, value: node.value !== false };
+    }
+
+    return { field: node.field, op, value: node.value };
+  }
+
+  /**
+   * Validate a geofence definition
+   */
+  normalizeGeofence(geofence) {
+    if (!geofence.latField || !geofence.lonField) {
+      throw new Error('Invalid condition: geofence requires "latField" and "lonField"');
+    }
+
+    const normalized = { latField: geofence.latField, lonField: geofence.lonField };
+
+    if (geofence.polygon) {
+      if (!Array.isArray(geofence.polygon) || geofence.polygon.length < 3 ||
+          geofence.polygon.some(point => !Array.isArray(point) || point.length !== 2 || point.some(v => typeof v !== 'number'))) {
+        throw new Error('Invalid condition: geofence polygon needs at least 3 [lat, lon] points');
+      }
+      normalized.polygon = geofence.polygon;
+      return normalized;
+    }
+
+    if (geofence.location) {
+      if (!this.locations[geofence.location]) {
+        throw new Error(`Invalid condition: unknown location "${geofence.location}"`);
+      }
+      normalized.location = geofence.location;
+    } else if (typeof geofence.lat === 'number' && typeof geofence.lon === 'number') {
+      normalized.lat = geofence.lat;
+      normalized.lon = geofence.lon;
+    } else {
+      throw new Error('Invalid condition: geofence requires lat/lon, a location or a polygon');
+    }
+
+    if (typeof geofence.radius !== 'number' || geofence.radius <= 0) {
+      throw new Error('Invalid condition: geofence radius must be a positive number');
+    }
+
+    normalized.radius = geofence.radius;
+    normalized.units = geofence.units || 'nm';
+    this.toMeters(1, normalized.units);
+
+    return normalized;
+  }
+
+  /**
+   * Validate a time window
+   */
+  normalizeTimeWindow(window) {
+    const pattern = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+    if (!pattern.test(window.start) || !pattern.test(window.end)) {
+      throw new Error('Invalid condition: time window requires "start" and "end" in HH:MM format');
+    }
+
+    const normalized = { start: window.start, end: window.end };
+    if (window.utc) {
+      normalized.utc = true;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Convert a condition tree back to a text expression
+   */
+  stringify(node, parentGroup = null) {
+    if (node.all || node.any) {
+      const group = node.all ? 'all' : 'any';
+      const text = node[group].map(child => this.stringify(child, group)).join(group === 'all' ? ' AND ' : ' OR ');
+      return parentGroup && node[group].length > 1 ? `(${text})` : text;
+    }
+
+    if (node.not) {
+      const inner = this.stringify(node.not, 'not');
+      return node.not.all || node.not.any || node.not.not ? `NOT (${inner.replace(/^\((.*)\)$/, '$1')})` : `NOT ${inner}`;
+    }
+
+    if (node.geofence) {
+      const g = node.geofence;
+      if (g.polygon) {
+        return `inPolygon(${g.latField}, ${g.lonField}, ${JSON.stringify(g.polygon)})`;
+      }
+      const center = g.location ? JSON.stringify(g.location) : `${g.lat}, ${g.lon}`;
+      return `within(${g.latField}, ${g.lonField}, ${center}, ${g.radius}, ${JSON.stringify(g.units || 'nm')})`;
+    }
+
+    if (node.time) {
+      const utc = node.time.utc ? ', "utc"' : '';
+      return `time(${JSON.stringify(node.time.start)}, ${JSON.stringify(node.time.end)}${utc})`;
+    }
+
+    if (node.op === 'exists') {
+      return node.value === false ? `NOT exists(${node.field})` : `exists(${node.field})`;
+    }
+
+    const op = /^[a-z ]+$/.test(node.op) ? node.op.toUpperCase() : node.op;
+    return `${node.field} ${op} ${JSON.stringify(node.value)}`;
+  }
+
+  /**
+   * Parse a text expression into a condition tree
+   */
+  parse(text) {
+    const parser = {
+      tokens: this.tokenize(text),
+      position: 0
+    };
+
+    const tree = this.parseOr(parser);
+
+    if (parser.position < parser.tokens.length) {
+      this.syntaxError(parser, 'unexpected token');
+    }
+
+    return tree;
+  }
+
+  /**
+   * Split an expression into tokens
+   */
+  tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      // Strings
+      if (char === '"' || char === "'") {
+        let value = '';
+        let j = i + 1;
+        while (j < text.length && text[j] !== char) {
+          if (text[j] === '\\' && j + 1 < text.length) {
+            const next = text[j + 1];
+            value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+            j += 2;
+          } else {
+            value += text[j++];
+          }
+        }
+        if (j >= text.length) {
+          throw new Error(`Expression syntax error at position ${i}: unterminated string`);
+        }
+        tokens.push({ type: 'literal', value, position: i });
+        i = j + 1;
+        continue;
+      }
+
+      // Numbers (a leading minus is only a sign where an operand is expected)
+      const previous = tokens[tokens.length - 1];
+      const expectsOperand = !previous || ['operator', 'keyword', 'punct'].includes(previous.type) && previous.value !== ')' && previous.value !== ']';
+      const numberMatch = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(i));
+      if (numberMatch && (char !== '-' || expectsOperand)) {
+        tokens.push({ type: 'literal', value: Number(numberMatch[0]), position: i });
+        i += numberMatch[0].length;
+        continue;
+      }
+
+      // Operators
+      const operatorMatch = /^(==|!=|>=|<=|&&|\|\||=|>|<|!)/.exec(text.slice(i));
+      if (operatorMatch) {
+        tokens.push({ type: 'operator', value: operatorMatch[0], position: i });
+        i += operatorMatch[0].length;
+        continue;
+      }
+
+      if ('()[],'.includes(char)) {
+        tokens.push({ type: 'punct', value: char, position: i });
+        i++;
+        continue;
+      }
+
+      // Identifiers, paths and keywords
+      const identMatch = /^[A-Za-z_$][\w$]*(\.[\w$]+)*/.exec(text.slice(i));
+      if (identMatch) {
+        const word = identMatch[0];
+        const upper = word.toUpperCase();
+
+        if (['AND', 'OR', 'NOT', 'IN', 'CONTAINS', 'MATCHES'].includes(upper)) {
+          tokens.push({ type: 'keyword', value: upper, position: i });
+        } else if (word === 'true' || word === 'false' || word === 'null') {
+          tokens.push({ type: 'literal', value: JSON.parse(word), position: i });
+        } else {
+          tokens.push({ type: 'identifier', value: word, position: i });
+        }
+
+        i += word.length;
+        continue;
+      }
+
+      throw new Error(`Expression syntax error at position ${i}: unexpected character "${char}"`);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * or := and (OR and)*
+   */
+  parseOr(parser) {
+    const children = [this.parseAnd(parser)];
+
+    while (this.matchToken(parser, 'keyword', 'OR') || this.matchToken(parser, 'operator', '||')) {
+      children.push(this.parseAnd(parser));
+    }
+
+    return children.length === 1 ? children[0] : { any: children };
+  }
+
+  /**
+   * and := not (AND not)*
+   */
+  parseAnd(parser) {
+    const children = [this.parseNot(parser)];
+
+    while (this.matchToken(parser, 'keyword', 'AND') || this.matchToken(parser, 'operator', '&&')) {
+      children.push(this.parseNot(parser));
+    }
+
+    return children.length === 1 ? children[0] : { all: children };
+  }
+
+  /**
+   * not := NOT not | primary
+   */
+  parseNot(parser) {
+    if (this.matchToken(parser, 'keyword', 'NOT') || this.matchToken(parser, 'operator', '!')) {
+      return { not: this.parseNot(parser) };
+    }
+
+    return this.parsePrimary(parser);
+  }
+
+  /**
+   * primary := '(' or ')' | function call | comparison
+   */
+  parsePrimary(parser) {
+    if (this.matchToken(parser, 'punct', '(')) {
+      const node = this.parseOr(parser);
+      this.expectToken(parser, 'punct', ')');
+      return node;
+    }
+
+    const token = parser.tokens[parser.position];
+    const next = parser.tokens[parser.position + 1];
+
+    if (token && token.type === 'identifier' && next && next.type === 'punct' && next.value === '(') {
+      return this.parseFunction(parser);
+    }
+
+    return this.parseComparison(parser);
+  }
+
+  /**
+   * comparison := operand operator operand
+   */
+  parseComparison(parser) {
+    const left = this.parseOperand(parser);
+    const op = this.parseComparisonOperator(parser);
+
+    if (!op) {
+      if (left.field) {
+        return { field: left.field, op: '==', value: true };
+      }
+      this.syntaxError(parser, 'expected a comparison operator');
+    }
+
+    const right = this.parseOperand(parser);
+
+    if (left.field && !right.field) {
+      return { field: left.field, op, value: right.value };
+    }
+
+    // Literal on the left, e.g. 'person' IN data.smartDetectTypes
+    if (!left.field && right.field) {
+      const mirrored = { '>': '<', '>=': '<=', '<': '>', '<=': '>=', 'in': 'contains', '==': '==', '!=': '!=' };
+      if (!mirrored[op]) {
+        this.syntaxError(parser, `operator ${op} needs a field on the left`);
+      }
+      return { field: right.field, op: mirrored[op], value: left.value };
+    }
+
+    this.syntaxError(parser, 'a comparison needs exactly one field and one value');
+  }
+
+  /**
+   * Read a comparison operator if present
+   */
+  parseComparisonOperator(parser) {
+    const token = parser.tokens[parser.position];
+    if (!token) {
+      return null;
+    }
+
+    if (token.type === 'operator' && ['==', '!=', '>=', '<=', '>', '<', '='].includes(token.value)) {
+      parser.position++;
+      return token.value === '=' ? '==' : token.value;
+    }
+
+    if (token.type === 'keyword') {
+      if (token.value === 'IN' || token.value === 'CONTAINS' || token.value === 'MATCHES') {
+        parser.position++;
+        return token.value.toLowerCase();
+      }
+
+      const next = parser.tokens[parser.position + 1];
+      if (token.value === 'NOT' && next && next.type === 'keyword' && next.value === 'IN') {
+        parser.position += 2;
+        return 'not in';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * operand := literal | path | array
+   */
+  parseOperand(parser) {
+    const token = parser.tokens[parser.position];
+
+    if (!token) {
+      this.syntaxError(parser, 'unexpected end of expression');
+    }
+
+    if (token.type === 'literal') {
+      parser.position++;
+      return { value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      parser.position++;
+      return { field: token.value };
+    }
+
+    if (token.type === 'punct' && token.value === '[') {
+      return { value: this.parseArray(parser) };
+    }
+
+    this.syntaxError(parser, `unexpected "${token.value}"`);
+  }
+
+  /**
+   * array := '[' (literal | array) (',' (literal | array))* ']'
+   */
+  parseArray(parser) {
+    this.expectToken(parser, 'punct', '[');
+    const values = [];
+
+    if (this.matchToken(parser, 'punct', ']')) {
+      return values;
+    }
+
+    do {
+      const token = parser.tokens[parser.position];
+      if (token && token.type === 'punct' && token.value === '[') {
+        values.push(this.parseArray(parser));
+      } else if (token && token.type === 'literal') {
+        parser.position++;
+        values.push(token.value);
+      } else {
+        this.syntaxError(parser, 'arrays may only contain literal values');
+      }
+    } while (this.matchToken(parser, 'punct', ','));
+
+    this.expectToken(parser, 'punct', ']');
+    return values;
+  }
+
+  /**
+   * Parse built-in functions: within, inPolygon, time, exists
+   */
+  parseFunction(parser) {
+    const name = parser.tokens[parser.position].value;
+    parser.position++;
+    this.expectToken(parser, 'punct', '(');
+
+    const args = [];
+    if (!this.matchToken(parser, 'punct', ')')) {
+      do {
+        args.push(this.parseOperand(parser));
+      } while (this.matchToken(parser, 'punct', ','));
+      this.expectToken(parser, 'punct', ')');
+    }
+
+    const field = index => {
+      if (!args[index] || !args[index].field) {
+        this.syntaxError(parser, `${name}() argument ${index + 1} must be a field path`);
+      }
+      return args[index].field;
+    };
+    const value = index => {
+      if (!args[index] || args[index].field) {
+        this.syntaxError(parser, `${name}() argument ${index + 1} must be a value`);
+      }
+      return args[index].value;
+    };
+
+    switch (name) {
+      case 'within': {
+        // within(latField, lonField, lat, lon, radius[, units])
+        // within(latField, lonField, 'LOCATION', radius[, units])
+        const geofence = { latField: field(0), lonField: field(1) };
+        if (typeof value(2) === 'string') {
+          geofence.location = value(2);
+          geofence.radius = value(3);
+          geofence.units = args[4] ? value(4) : 'nm';
+        } else {
+          geofence.lat = value(2);
+          geofence.lon = value(3);
+          geofence.radius = value(4);
+          geofence.units = args[5] ? value(5) : 'nm';
+        }
+        return { geofence };
+      }
+      case 'inPolygon':
+        return { geofence: { latField: field(0), lonField: field(1), polygon: value(2) } };
+      case 'time': {
+        const window = { start: value(0), end: value(1) };
+        if (args[2] && value(2) === 'utc') {
+          window.utc = true;
+        }
+        return { time: window };
+      }
+      case 'exists':
+        return { field: field(0), op: 'exists', value: true };
+      default:
+        this.syntaxError(parser, `unknown function ${name}()`);
+    }
+  }
+
+  /**
+   * Consume a token if it matches
+   */
+  matchToken(parser, type, value) {
+    const token = parser.tokens[parser.position];
+    if (token && token.type === type && token.value === value) {
+      parser.position++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consume a required token
+   */
+  expectToken(parser, type, value) {
+    if (!this.matchToken(parser, type, value)) {
+      this.syntaxError(parser, `expected "${value}"`);
+    }
+  }
+
+  /**
+   * Throw a syntax error pointing at the current token
+   */
+  syntaxError(parser, message) {
+    const token = parser.tokens[parser.position];
+    const position = token ? token.position : 'end';
+    throw new Error(`Expression syntax error at position ${position}: ${message}`);
+  }
+
+  /**
+   * Register or replace a named location
+   */
+  setLocation(name, lat, lon) {
+    this.locations[name] = { lat, lon };
+  }
+}
+
+module.exports = ConditionEvaluator;
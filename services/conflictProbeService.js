@@ -0,0 +1,365 @@
+const EventEmitter = require('events');
+const winston = require('winston');
+
+/**
+ * Conflict Probe Service
+ *
+ * Projects every airborne track forward along its current ground speed,
+ * track and vertical rate, and flags pairs predicted to breach lateral and
+ * vertical separation minima within the look-ahead window. Minima depend on
+ * the airspace the breach happens in (e.g. tighter inside an ATZ than a CTA).
+ * New and escalating conflicts are published to the EventBus as adsb:conflict.
+ */
+
+const DEFAULT_MINIMA = {
+  default: { lateral: 5, vertical: 1000 },
+  ATZ: { lateral: 1, vertical: 500 },
+  CTR: { lateral: 3, vertical: 1000 },
+  CTA: { lateral: 3, vertical: 1000 },
+  TMA: { lateral: 3, vertical: 1000 }
+};
+
+class ConflictProbeService extends EventEmitter {
+  constructor(config = {}, logger = null) {
+    super();
+
+    this.config = {
+      // How far ahead to project tracks, and the projection step (seconds)
+      lookahead: config.lookahead || 120,
+      step: config.step || 5,
+      interval: config.interval || 5000,
+      // Ignore aircraft below this altitude (ft) and data older than maxAge (ms)
+      minAltitude: config.minAltitude !== undefined ? config.minAltitude : 300,
+      maxAge: config.maxAge || 30000,
+      // Separation minima (NM / ft) by airspace type; the first listed type an
+      // aircraft pair is inside wins, so list the tightest first
+      minima: config.minima || DEFAULT_MINIMA
+    };
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.aircraftFusionService = null;
+    this.adsbConnector = null;
+    this.airspaceService = null;
+    this.eventBus = null;
+    this.probeTimer = null;
+
+    // Pair key -> active conflict
+    this.conflicts = new Map();
+
+    this.stats = { probes: 0, pairsChecked: 0, detected: 0, escalated: 0, resolved: 0, lastProbe: null };
+  }
+
+  /**
+   * Use the fused aircraft picture when available
+   */
+  setAircraftFusionService(aircraftFusionService) {
+    this.aircraftFusionService = aircraftFusionService;
+  }
+
+  /**
+   * Fall back to a single ADSB connector's aircraft map
+   */
+  setADSBConnector(adsbConnector) {
+    this.adsbConnector = adsbConnector;
+  }
+
+  setAirspaceService(airspaceService) {
+    this.airspaceService = airspaceService;
+  }
+
+  setEventBus(eventBus) {
+    this.eventBus = eventBus;
+  }
+
+  start() {
+    if (this.probeTimer) return;
+    this.probeTimer = setInterval(() => this.probe(), this.config.interval);
+    if (this.probeTimer.unref) this.probeTimer.unref();
+    this.logger.info('Conflict probe started', { lookahead: this.config.lookahead, interval: this.config.interval });
+  }
+
+  stop() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+
+  /**
+   * Airborne aircraft with a usable position, altitude and velocity
+   */
+  getTraffic(now = Date.now()) {
+    let aircraft = [];
+    if (this.aircraftFusionService) {
+      aircraft = this.aircraftFusionService.getAircraft();
+    } else if (this.adsbConnector?.aircraft) {
+      aircraft = Array.from(this.adsbConnector.aircraft.values());
+    }
+
+    const traffic = [];
+    for (const ac of aircraft) {
+      if (typeof ac.lat !== 'number' || typeof ac.lon !== 'number') continue;
+      if (typeof ac.altitude !== 'number' || ac.onGround || ac.isOnGround) continue;
+      if (ac.altitude < this.config.minAltitude) continue;
+
+      const lastSeen = ac.last_seen || ac.timestamp;
+      if (lastSeen && now - new Date(lastSeen).getTime() > this.config.maxAge) continue;
+
+      traffic.push({
+        icao24: ac.icao24,
+        callsign: ac.callsign || null,
+        lat: ac.lat,
+        lon: ac.lon,
+        altitude: ac.altitude,
+        speed: typeof ac.speed === 'number' ? ac.speed : 0,
+        track: typeof ac.track === 'number' ? ac.track : 0,
+        verticalRate: typeof ac.vertical_rate === 'number' ? ac.vertical_rate : 0
+      });
+    }
+    return traffic;
+  }
+
+  /**
+   * Dead-reckon a track forward (flat earth is fine over a few minutes)
+   */
+  project(aircraft, seconds) {
+    const distance = aircraft.speed * seconds / 3600;
+    const radians = aircraft.track * Math.PI / 180;
+    return {
+      lat: aircraft.lat + distance * Math.cos(radians) / 60,
+      lon: aircraft.lon + distance * Math.sin(radians) / (60 * Math.cos(aircraft.lat * Math.PI / 180)),
+      altitude: aircraft.altitude + aircraft.verticalRate * seconds / 60
+    };
+  }
+
+  /**
+   * Separation minima at a point, from the airspace it lies in
+   */
+  getMinima(lat, lon, altitude, cache = null) {
+    const defaults = this.config.minima.default || DEFAULT_MINIMA.default;
+    if (!this.airspaceService) {
+      return { ...defaults, airspace: null };
+    }
+
+    // Cache per probe on a ~0.01 degree / 500 ft grid
+    const key = `${lat.toFixed(2)},${lon.toFixed(2)},${Math.round(altitude / 500)}`;
+    if (cache && cache.has(key)) return cache.get(key);
+
+    let result = { ...defaults, airspace: null };
+    try {
+      const airspaces = this.airspaceService.getAirspacesAtPosition(lat, lon, altitude);
+      for (const type of Object.keys(this.config.minima)) {
+        if (type === 'default') continue;
+        const airspace = airspaces.find(candidate => candidate.type === type);
+        if (airspace) {
+          result = { ...this.config.minima[type], airspace: { id: airspace.id, name: airspace.name, type } };
+          break;
+        }
+      }
+    } catch (error) {
+      this.logger.debug('Airspace lookup failed during conflict probe', { error: error.message });
+    }
+
+    if (cache) cache.set(key, result);
+    return result;
+  }
+
+  /**
+   * Largest minima in use, for cheap pair rejection
+   */
+  getWidestMinima() {
+    const minima = Object.values(this.config.minima);
+    return {
+      lateral: Math.max(...minima.map(m => m.lateral)),
+      vertical: Math.max(...minima.map(m => m.vertical))
+    };
+  }
+
+  /**
+   * Find the first predicted breach of separation between two aircraft, and
+   * their closest point of approach over the whole look-ahead
+   */
+  checkPair(a, b, widest = this.getWidestMinima(), cache = null) {
+    const { lookahead, step } = this.config;
+
+    // Too far apart to close within the look-ahead even head-on
+    const closing = (a.speed + b.speed) * lookahead / 3600;
+    if (this.calculateDistance(a.lat, a.lon, b.lat, b.lon) - closing > widest.lateral) {
+      return null;
+    }
+
+    let cpa = null;
+    let breach = null;
+    for (let t = 0; t <= lookahead; t += step) {
+      const pa = this.project(a, t);
+      const pb = this.project(b, t);
+      const lateral = this.calculateDistance(pa.lat, pa.lon, pb.lat, pb.lon);
+      const vertical = Math.abs(pa.altitude - pb.altitude);
+
+      if (!cpa || lateral < cpa.lateral) {
+        cpa = { time: t, lateral, vertical };
+      }
+
+      if (breach || lateral >= widest.lateral || vertical >= widest.vertical) continue;
+
+      const position = { lat: (pa.lat + pb.lat) / 2, lon: (pa.lon + pb.lon) / 2, altitude: (pa.altitude + pb.altitude) / 2 };
+      const minima = this.getMinima(position.lat, position.lon, position.altitude, cache);
+      if (lateral < minima.lateral && vertical < minima.vertical) {
+        breach = { timeToConflict: t, separation: { lateral, vertical }, minima, position };
+      }
+    }
+
+    return breach ? { ...breach, cpa } : null;
+  }
+
+  /**
+   * Run one probe over the current traffic picture
+   */
+  probe(now = Date.now()) {
+    const traffic = this.getTraffic(now);
+    const widest = this.getWidestMinima();
+    const cache = new Map();
+    const found = new Map();
+
+    for (let i = 0; i < traffic.length; i++) {
+      for (let j = i + 1; j < traffic.length; j++) {
+        // Keep pair order stable so the key and A/B roles don't flip between probes
+        const [a, b] = traffic[i].icao24 < traffic[j].icao24 ? [traffic[i], traffic[j]] : [traffic[j], traffic[i]];
+        this.stats.pairsChecked++;
+
+        const result = this.checkPair(a, b, widest, cache);
+        if (result) {
+          found.set(`${a.icao24}-${b.icao24}`, { a, b, result });
+        }
+      }
+    }
+
+    for (const [key, { a, b, result }] of found) {
+      const existing = this.conflicts.get(key);
+      const lossOfSeparation = result.timeToConflict === 0;
+      const conflict = {
+        id: existing ? existing.id : `conflict-${key}-${now}`,
+        key,
+        severity: lossOfSeparation ? 'critical' : 'warning',
+        lossOfSeparation,
+        timeToConflict: result.timeToConflict,
+        separation: this.round(result.separation),
+        minima: result.minima,
+        cpa: this.round(result.cpa),
+        position: result.position,
+        aircraftA: this.summarize(a),
+        aircraftB: this.summarize(b),
+        firstDetected: existing ? existing.firstDetected : new Date(now).toISOString(),
+        lastUpdate: new Date(now).toISOString()
+      };
+      this.conflicts.set(key, conflict);
+
+      if (!existing) {
+        this.stats.detected++;
+        this.publishConflict('adsb:conflict', conflict, 'detected');
+      } else if (lossOfSeparation && !existing.lossOfSeparation) {
+        this.stats.escalated++;
+        this.publishConflict('adsb:conflict', conflict, 'escalated');
+      }
+    }
+
+    for (const [key, conflict] of this.conflicts) {
+      if (found.has(key)) continue;
+      this.conflicts.delete(key);
+      this.stats.resolved++;
+      this.publishConflict('adsb:conflict:resolved', { ...conflict, lastUpdate: new Date(now).toISOString() }, 'resolved');
+    }
+
+    this.stats.probes++;
+    this.stats.lastProbe = new Date(now).toISOString();
+    return this.getConflicts();
+  }
+
+  /**
+   * Emit locally and publish to the EventBus for alarms and notifications
+   */
+  publishConflict(type, conflict, status) {
+    const event = { ...conflict, status };
+    this.emit(`conflict:${status}`, event);
+
+    const log = status === 'resolved' ? 'info' : 'warn';
+    this.logger[log](`Conflict ${status}`, {
+      pair: conflict.key,
+      timeToConflict: conflict.timeToConflict,
+      lateral: conflict.separation.lateral,
+      vertical: conflict.separation.vertical
+    });
+
+    if (this.eventBus) {
+      this.eventBus.publishEvent({
+        type,
+        source: 'conflict-probe',
+        timestamp: new Date().toISOString(),
+        data: event
+      }).catch(error => {
+        this.logger.debug('Failed to publish conflict event to event bus', { error: error.message });
+      });
+    }
+  }
+
+  summarize(aircraft) {
+    return {
+      icao24: aircraft.icao24,
+      callsign: aircraft.callsign,
+      lat: aircraft.lat,
+      lon: aircraft.lon,
+      altitude: aircraft.altitude,
+      speed: aircraft.speed,
+      track: aircraft.track
+    };
+  }
+
+  round(separation) {
+    return {
+      ...separation,
+      lateral: Math.round(separation.lateral * 100) / 100,
+      vertical: Math.round(separation.vertical)
+    };
+  }
+
+  getConflicts() {
+    return Array.from(this.conflicts.values());
+  }
+
+  /**
+   * Active conflicts involving one aircraft
+   */
+  getConflictsFor(icao24) {
+    return this.getConflicts().filter(conflict =>
+      conflict.aircraftA.icao24 === icao24 || conflict.aircraftB.icao24 === icao24
+    );
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      active: this.conflicts.size,
+      config: this.config
+    };
+  }
+
+  /**
+   * Great-circle distance in nautical miles
+   */
+  calculateDistance(lat1, lon1, lat2, lon2) {
+    const R = 3440.065;
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+}
+
+module.exports = ConflictProbeService;
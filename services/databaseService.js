@@ -306,6 +306,7 @@ class DatabaseService {
         type TEXT NOT NULL,
         source TEXT NOT NULL,
         data TEXT,
+        metadata TEXT,
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
         processed BOOLEAN DEFAULT FALSE
       )`,
@@ -359,6 +360,21 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Add a column to an existing table if it is missing
+   */
+  async ensureColumn(table, column, definition) {
+    const columns = await this.executeQuery(`PRAGMA table_info(${table})`);
+    
+    if (columns.some(existing => existing.name === column)) {
+      return false;
+    }
+    
+    await this.executeQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    this.logger.info(`Added column ${column} to ${table}`);
+    return true;
+  }
+
   /**
    * Enable WAL mode for better concurrency
    */
@@ -32,6 +32,13 @@ class EventBus extends EventEmitter {
     this.processingQueue = [];
     this.isProcessing = false;
     
+    // Durable event store and replay state
+    this.eventStore = null;
+    this.ruleEngine = null;
+    this.replays = new Map();
+    this.maxReplayHistory = config.maxReplayHistory || 20;
+    this.maxReplayDelay = config.maxReplayDelay || 10000;
+    
     this.logger.info('Event Bus initialized');
   }
   
@@ -90,7 +97,7 @@ class EventBus extends EventEmitter {
   }
   
   /**
-   * Store event in memory
+   * Store event in memory and persist it if an event store is attached
    */
   storeEvent(event) {
     this.events.push(event);
@@ -99,6 +106,10 @@ class EventBus extends EventEmitter {
     if (this.events.length > this.maxEvents) {
       this.events.shift();
     }
+    
+    if (this.eventStore) {
+      this.eventStore.append(event);
+    }
   }
   
   /**
@@ -155,17 +166,51 @@ class EventBus extends EventEmitter {
   
   /**
    * Subscribe to events
+   *
+   * Patterns may be an exact type or source, an MQTT-style topic
+   * (`adsb:+`, `notam:#`), a glob (`smartDetect*`), a RegExp, a function,
+   * or an object `{ type, source, data }` combining type/source patterns
+   * with data field filters.
+   *
+   * Options:
+   * - filter: data field filters, e.g. `{ 'aircraft.altitude': { lt: 1500 } }`
+   * - queueSize: maximum events waiting for this subscriber (default 1000)
+   * - overflow: 'drop-oldest' (default) or 'drop-newest' when the queue is full
+   * - lossless: never drop events; the queue grows past queueSize instead
+   * - timeout: milliseconds before a callback is treated as timed out (default 30000)
+   * - name: label shown in subscriber stats
    */
-  subscribe(pattern, callback) {
+  subscribe(pattern, callback, options = {}) {
     const subscriberId = this.generateSubscriberId();
     
     this.subscribers.set(subscriberId, {
+      id: subscriberId,
+      name: options.name || null,
       pattern,
+      matcher: this.compilePattern(pattern),
+      filter: options.filter || null,
       callback,
+      queue: [],
+      queueSize: options.queueSize || this.config.subscriberQueueSize || 1000,
+      overflow: options.overflow === 'drop-newest' ? 'drop-newest' : 'drop-oldest',
+      lossless: options.lossless === true,
+      timeout: options.timeout || this.config.subscriberTimeout || 30000,
+      draining: false,
+      stats: {
+        matched: 0,
+        delivered: 0,
+        dropped: 0,
+        errors: 0,
+        timeouts: 0,
+        maxQueueLength: 0,
+        averageLatency: 0,
+        lastDelivered: null,
+        lastError: null
+      },
       timestamp: new Date().toISOString()
     });
     
-    this.logger.debug(`Event subscriber registered: ${subscriberId} for pattern: ${pattern}`);
+    this.logger.debug(`Event subscriber registered: ${subscriberId} for pattern: ${this.describePattern(pattern)}`);
     
     return subscriberId;
   }
@@ -174,8 +219,10 @@ class EventBus extends EventEmitter {
    * Unsubscribe from events
    */
   unsubscribe(subscriberId) {
-    if (this.subscribers.has(subscriberId)) {
+    const subscriber = this.subscribers.get(subscriberId);
+    if (subscriber) {
       this.subscribers.delete(subscriberId);
+      this.releaseQueue(subscriber);
       this.logger.debug(`Event subscriber unregistered: ${subscriberId}`);
       return true;
     }
@@ -184,23 +231,150 @@ class EventBus extends EventEmitter {
   
   /**
    * Broadcast event to subscribers
+   *
+   * Events are queued per subscriber and delivered in order, so a slow
+   * subscriber only delays its own queue rather than the whole bus.
+   *
+   * With `wait`, the event bypasses the queue limit and the returned promise
+   * resolves once every matching subscriber has handled it, with the number
+   * of subscribers that never received it.
    */
-  async broadcastToSubscribers(event) {
-    const promises = [];
+  async broadcastToSubscribers(event, options = {}) {
+    const deliveries = [];
     
-    for (const [subscriberId, subscriber] of this.subscribers) {
-      if (this.matchesPattern(event, subscriber.pattern)) {
+    for (const subscriber of this.subscribers.values()) {
+      if (!this.matchesSubscriber(event, subscriber)) {
+        continue;
+      }
+      
+      subscriber.stats.matched++;
+      
+      const entry = { event, queuedAt: Date.now() };
+      
+      if (options.wait) {
+        deliveries.push(new Promise(resolve => {
+          entry.resolve = resolve;
+        }));
+      } else if (!subscriber.lossless && subscriber.queue.length >= subscriber.queueSize) {
+        // Events someone is waiting on are never dropped
+        const oldest = subscriber.queue.findIndex(queued => !queued.resolve);
+        
+        subscriber.stats.dropped++;
+        
+        if (subscriber.overflow === 'drop-newest' || oldest === -1) {
+          continue;
+        }
+        
+        subscriber.queue.splice(oldest, 1);
+      }
+      
+      subscriber.queue.push(entry);
+      subscriber.stats.maxQueueLength = Math.max(subscriber.stats.maxQueueLength, subscriber.queue.length);
+      
+      if (!subscriber.draining) {
+        this.drainSubscriber(subscriber);
+      }
+    }
+    
+    const delivered = await Promise.all(deliveries);
+    return delivered.filter(received => !received).length;
+  }
+  
+  /**
+   * Deliver queued events to a subscriber one at a time
+   */
+  async drainSubscriber(subscriber) {
+    subscriber.draining = true;
+    
+    try {
+      while (subscriber.queue.length > 0 && this.subscribers.has(subscriber.id)) {
+        const { event, queuedAt, resolve } = subscriber.queue.shift();
+        
         try {
-          const promise = subscriber.callback(event);
-          promises.push(promise);
+          await this.invokeSubscriber(subscriber, event);
+          
+          const stats = subscriber.stats;
+          stats.delivered++;
+          stats.averageLatency = (stats.averageLatency * (stats.delivered - 1) + (Date.now() - queuedAt)) / stats.delivered;
+          stats.lastDelivered = new Date().toISOString();
         } catch (error) {
-          this.logger.error(`Error in subscriber ${subscriberId}:`, error);
+          if (error.code === 'SUBSCRIBER_TIMEOUT') {
+            subscriber.stats.timeouts++;
+          }
+          subscriber.stats.errors++;
+          subscriber.stats.lastError = error.message;
+          this.logger.error(`Error in subscriber ${subscriber.id}:`, error);
+        }
+        
+        if (resolve) {
+          resolve(true);
         }
       }
+    } finally {
+      subscriber.draining = false;
+    }
+  }
+  
+  /**
+   * Empty a removed subscriber's queue, counting what it never received
+   */
+  releaseQueue(subscriber) {
+    for (const { resolve } of subscriber.queue.splice(0)) {
+      subscriber.stats.dropped++;
+      if (resolve) {
+        resolve(false);
+      }
     }
+  }
+  
+  /**
+   * Run a subscriber callback with a timeout
+   */
+  invokeSubscriber(subscriber, event) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Subscriber timed out after ${subscriber.timeout}ms`);
+        error.code = 'SUBSCRIBER_TIMEOUT';
+        reject(error);
+      }, subscriber.timeout);
+    });
+    
+    const delivery = Promise.resolve().then(() => subscriber.callback(event));
     
-    if (promises.length > 0) {
-      await Promise.allSettled(promises);
+    return Promise.race([delivery, timeout]).finally(() => clearTimeout(timer));
+  }
+  
+  /**
+   * Wait until every subscriber queue is empty
+   */
+  async drainSubscribers(timeout = 30000) {
+    const deadline = Date.now() + timeout;
+    
+    while (Date.now() < deadline) {
+      const busy = Array.from(this.subscribers.values()).some(s => s.draining || s.queue.length > 0);
+      if (!busy) {
+        return true;
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Check if event matches a subscriber's pattern and data filter
+   */
+  matchesSubscriber(event, subscriber) {
+    try {
+      if (!subscriber.matcher(event)) {
+        return false;
+      }
+      
+      return !subscriber.filter || this.matchesDataFilter(event.data, subscriber.filter);
+    } catch (error) {
+      this.logger.error(`Error matching subscriber ${subscriber.id}:`, error);
+      return false;
     }
   }
   
@@ -208,19 +382,185 @@ class EventBus extends EventEmitter {
    * Check if event matches pattern
    */
   matchesPattern(event, pattern) {
+    return this.compilePattern(pattern)(event);
+  }
+  
+  /**
+   * Compile a subscription pattern into a matcher function
+   */
+  compilePattern(pattern) {
     if (typeof pattern === 'string') {
-      return event.type === pattern || event.source === pattern;
+      if (!this.isTopicPattern(pattern)) {
+        return event => event.type === pattern || event.source === pattern;
+      }
+      
+      const regex = this.topicToRegExp(pattern);
+      return event => regex.test(event.type) || regex.test(event.source);
     }
     
     if (pattern instanceof RegExp) {
-      return pattern.test(event.type) || pattern.test(event.source);
+      return event => {
+        pattern.lastIndex = 0;
+        if (pattern.test(event.type)) {
+          return true;
+        }
+        pattern.lastIndex = 0;
+        return pattern.test(event.source);
+      };
     }
     
     if (typeof pattern === 'function') {
-      return pattern(event);
+      return pattern;
     }
     
-    return false;
+    if (pattern && typeof pattern === 'object') {
+      const typeRegex = pattern.type ? this.topicToRegExp(pattern.type) : null;
+      const sourceRegex = pattern.source ? this.topicToRegExp(pattern.source) : null;
+      
+      return event => {
+        if (typeRegex && !typeRegex.test(event.type)) {
+          return false;
+        }
+        if (sourceRegex && !sourceRegex.test(event.source)) {
+          return false;
+        }
+        return !pattern.data || this.matchesDataFilter(event.data, pattern.data);
+      };
+    }
+    
+    return () => false;
+  }
+  
+  /**
+   * Check whether a string pattern uses wildcards
+   */
+  isTopicPattern(pattern) {
+    return /[+#*?]/.test(pattern);
+  }
+  
+  /**
+   * Convert an MQTT-style or glob topic pattern to a regular expression
+   *
+   * Levels are separated by ':'. `+` matches exactly one level, a trailing
+   * `#` matches zero or more levels, `*` matches any characters and `?`
+   * matches a single character.
+   */
+  topicToRegExp(pattern) {
+    const levels = pattern.split(':');
+    let source = '';
+    
+    levels.forEach((level, index) => {
+      const separator = index === 0 ? '' : ':';
+      
+      if (level === '#' && index === levels.length - 1) {
+        source += index === 0 ? '.*' : '(?::.*)?';
+        return;
+      }
+      
+      if (level === '+') {
+        source += `${separator}[^:]+`;
+        return;
+      }
+      
+      const escaped = level
+        .replace(/[.^$|+()[\]{}\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+      source += `${separator}${escaped}`;
+    });
+    
+    return new RegExp(`^${source}$`);
+  }
+  
+  /**
+   * Check event data against field filters
+   *
+   * Each key is a dotted path into the event data. Values are either a
+   * literal (strict equality) or an operator object using eq, ne, gt, gte,
+   * lt, lte, in, nin, contains, exists or regex.
+   */
+  matchesDataFilter(data, filter) {
+    for (const [path, condition] of Object.entries(filter)) {
+      const value = this.getFieldValue(data, path);
+      
+      if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+        if (value !== condition) {
+          return false;
+        }
+        continue;
+      }
+      
+      for (const [operator, expected] of Object.entries(condition)) {
+        if (!this.evaluateFilterOperator(operator, value, expected)) {
+          return false;
+        }
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Evaluate a single data filter operator
+   */
+  evaluateFilterOperator(operator, value, expected) {
+    switch (operator) {
+      case 'eq': return value === expected;
+      case 'ne': return value !== expected;
+      case 'gt': return value > expected;
+      case 'gte': return value >= expected;
+      case 'lt': return value < expected;
+      case 'lte': return value <= expected;
+      case 'in': return Array.isArray(expected) && expected.includes(value);
+      case 'nin': return Array.isArray(expected) && !expected.includes(value);
+      case 'contains':
+        return (Array.isArray(value) || typeof value === 'string') && value.includes(expected);
+      case 'exists': return (value !== undefined && value !== null) === Boolean(expected);
+      case 'regex': return typeof value === 'string' && new RegExp(expected).test(value);
+      default:
+        throw new Error(`Unknown filter operator: ${operator}`);
+    }
+  }
+  
+  /**
+   * Resolve a dotted path within an object
+   */
+  getFieldValue(object, path) {
+    return path.split('.').reduce((current, key) => 
+      current === undefined || current === null ? undefined : current[key], object);
+  }
+  
+  /**
+   * Describe a subscription pattern for logs and stats
+   */
+  describePattern(pattern) {
+    if (typeof pattern === 'function') {
+      return `function ${pattern.name || 'anonymous'}`;
+    }
+    
+    if (pattern && typeof pattern === 'object' && !(pattern instanceof RegExp)) {
+      return JSON.stringify(pattern);
+    }
+    
+    return String(pattern);
+  }
+  
+  /**
+   * Get per-subscriber delivery statistics
+   */
+  getSubscriberStats() {
+    return Array.from(this.subscribers.values()).map(subscriber => ({
+      id: subscriber.id,
+      name: subscriber.name,
+      pattern: this.describePattern(subscriber.pattern),
+      filter: subscriber.filter,
+      queueLength: subscriber.queue.length,
+      queueSize: subscriber.queueSize,
+      overflow: subscriber.overflow,
+      lossless: subscriber.lossless,
+      ...subscriber.stats,
+      subscribedAt: subscriber.timestamp
+    }));
   }
   
   /**
@@ -252,6 +592,204 @@ class EventBus extends EventEmitter {
     return filtered;
   }
   
+  /**
+   * Query events from the persistent store, falling back to memory
+   */
+  async queryEvents(filter = {}) {
+    if (this.eventStore && this.eventStore.initialized) {
+      return await this.eventStore.query(filter);
+    }
+    
+    const events = this.getEvents({ ...filter, limit: undefined });
+    const offset = parseInt(filter.offset) || 0;
+    const ordered = filter.order === 'desc' ? events.reverse() : events;
+    
+    return ordered.slice(offset, offset + (parseInt(filter.limit) || 1000));
+  }
+  
+  /**
+   * Replay a stored time window and wait for it to finish
+   */
+  async replayEvents(options = {}) {
+    const replay = this.createReplay(options);
+    await this.runReplay(replay);
+    return this.formatReplay(replay);
+  }
+  
+  /**
+   * Start a replay in the background and return its initial status
+   */
+  startReplay(options = {}) {
+    const replay = this.createReplay(options);
+    
+    this.runReplay(replay).catch(error => {
+      this.logger.error(`Replay ${replay.id} failed:`, error);
+    });
+    
+    return this.formatReplay(replay);
+  }
+  
+  /**
+   * Cancel a running replay
+   */
+  cancelReplay(replayId) {
+    const replay = this.replays.get(replayId);
+    if (!replay || (replay.status !== 'running' && replay.status !== 'pending')) {
+      return false;
+    }
+    
+    replay.cancelled = true;
+    return true;
+  }
+  
+  /**
+   * Get replay status, or all recent replays when no ID is given
+   */
+  getReplayStatus(replayId) {
+    if (replayId) {
+      const replay = this.replays.get(replayId);
+      return replay ? this.formatReplay(replay) : null;
+    }
+    
+    return Array.from(this.replays.values()).map(replay => this.formatReplay(replay));
+  }
+  
+  /**
+   * Create a replay record
+   *
+   * Options: since, until, type, source, limit, speed (0 replays as fast as
+   * possible, 1 in real time, 10 ten times faster) and targets
+   * ({ subscribers, rules, flows }, all enabled by default).
+   */
+  createReplay(options) {
+    const replay = {
+      id: `replay-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      status: 'pending',
+      options: {
+        since: options.since || null,
+        until: options.until || null,
+        type: options.type || null,
+        source: options.source || null,
+        limit: options.limit || 10000,
+        speed: options.speed !== undefined ? Number(options.speed) : 0
+      },
+      targets: {
+        subscribers: options.targets?.subscribers !== false,
+        rules: options.targets?.rules !== false,
+        flows: options.targets?.flows !== false
+      },
+      total: 0,
+      replayed: 0,
+      dropped: 0,
+      errors: 0,
+      cancelled: false,
+      startedAt: null,
+      completedAt: null,
+      error: null
+    };
+    
+    this.replays.set(replay.id, replay);
+    
+    // Keep only the most recent replays
+    while (this.replays.size > this.maxReplayHistory) {
+      const oldestId = this.replays.keys().next().value;
+      this.replays.delete(oldestId);
+    }
+    
+    return replay;
+  }
+  
+  /**
+   * Run a replay through subscribers, rule engine and flows
+   */
+  async runReplay(replay) {
+    replay.status = 'running';
+    replay.startedAt = new Date().toISOString();
+    this.emit('replay:started', this.formatReplay(replay));
+    this.logger.info(`Replay ${replay.id} started`, replay.options);
+    
+    try {
+      const { since, until, type, source, limit, speed } = replay.options;
+      const events = await this.queryEvents({ since, until, type, source, limit, order: 'asc' });
+      replay.total = events.length;
+      
+      let previousTime = null;
+      
+      for (const event of events) {
+        if (replay.cancelled) {
+          break;
+        }
+        
+        // Preserve original event spacing, scaled by replay speed
+        const eventTime = new Date(event.timestamp).getTime();
+        if (speed > 0 && previousTime !== null && eventTime > previousTime) {
+          const delay = Math.min((eventTime - previousTime) / speed, this.maxReplayDelay);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        previousTime = eventTime;
+        
+        try {
+          await this.dispatchReplayEvent(event, replay);
+          replay.replayed++;
+        } catch (error) {
+          replay.errors++;
+          this.logger.error(`Error replaying event ${event.id}:`, error);
+        }
+      }
+      
+      replay.status = replay.cancelled ? 'cancelled' : 'completed';
+    } catch (error) {
+      replay.status = 'failed';
+      replay.error = error.message;
+      throw error;
+    } finally {
+      replay.completedAt = new Date().toISOString();
+      this.emit('replay:completed', this.formatReplay(replay));
+      this.logger.info(`Replay ${replay.id} ${replay.status}: ${replay.replayed}/${replay.total} events, ${replay.dropped} dropped deliveries`);
+    }
+  }
+  
+  /**
+   * Dispatch a single replayed event
+   *
+   * Replayed events are not stored again; they carry `metadata.replay` so
+   * subscribers can tell them apart from live traffic.
+   */
+  async dispatchReplayEvent(event, replay) {
+    const replayedEvent = {
+      ...event,
+      metadata: {
+        ...event.metadata,
+        replay: true,
+        replayId: replay.id,
+        replayedAt: new Date().toISOString()
+      }
+    };
+    
+    // Wait for each subscriber so a large replay cannot overrun their queues
+    if (replay.targets.subscribers) {
+      replay.dropped += await this.broadcastToSubscribers(replayedEvent, { wait: true });
+    }
+    
+    if (replay.targets.rules && this.ruleEngine) {
+      await this.ruleEngine.processEvent(replayedEvent);
+    }
+    
+    if (replay.targets.flows) {
+      await this.triggerFlows(replayedEvent);
+    }
+    
+    this.emit('replay:event', replayedEvent);
+  }
+  
+  /**
+   * Format a replay record for API responses
+   */
+  formatReplay(replay) {
+    const { cancelled, ...status } = replay;
+    return status;
+  }
+  
   /**
    * Get event statistics
    */
@@ -261,10 +799,28 @@ class EventBus extends EventEmitter {
       eventsByType: Object.fromEntries(this.stats.eventsByType),
       eventsBySource: Object.fromEntries(this.stats.eventsBySource),
       queueLength: this.processingQueue.length,
-      subscriberCount: this.subscribers.size
+      subscriberCount: this.subscribers.size,
+      subscribersBacklogged: Array.from(this.subscribers.values()).filter(sub => sub.queue.length > 0).length,
+      subscriberDrops: Array.from(this.subscribers.values()).reduce((total, sub) => total + sub.stats.dropped, 0),
+      store: this.eventStore ? this.eventStore.getStats() : null,
+      activeReplays: Array.from(this.replays.values()).filter(r => r.status === 'running').length
     };
   }
   
+  /**
+   * Set event store reference
+   */
+  setEventStore(eventStore) {
+    this.eventStore = eventStore;
+  }
+  
+  /**
+   * Set rule engine reference used by replays
+   */
+  setRuleEngine(ruleEngine) {
+    this.ruleEngine = ruleEngine;
+  }
+  
   /**
    * Generate unique event ID
    */
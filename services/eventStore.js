@@ -0,0 +1,331 @@
+const winston = require('winston');
+
+/**
+ * Event Store
+ *
+ * Persists normalized EventBus events to the SQLite `events` table and
+ * provides indexed queries by type, source and time range. Writes are
+ * buffered and flushed in batches so bursts of events do not issue one
+ * query per event.
+ */
+class EventStore {
+  constructor(config = {}, databaseService, logger) {
+    this.config = {
+      enabled: config.enabled !== false,
+      batchSize: config.batchSize || 100,
+      flushInterval: config.flushInterval || 1000,
+      maxBufferSize: config.maxBufferSize || 10000,
+      retentionDays: config.retentionDays || 30,
+      cleanupInterval: config.cleanupInterval || 3600000, // 1 hour
+      maxQueryLimit: config.maxQueryLimit || 10000,
+      ...config
+    };
+    this.databaseService = databaseService;
+    this.logger = logger || winston.createLogger();
+
+    // Pending writes
+    this.buffer = [];
+    this.flushPromise = null;
+    this.flushTimer = null;
+    this.cleanupTimer = null;
+
+    // Store statistics
+    this.stats = {
+      eventsWritten: 0,
+      eventsDropped: 0,
+      writeErrors: 0,
+      lastFlush: null,
+      lastCleanup: null
+    };
+
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the store (indexes, migrations and timers)
+   */
+  async initialize() {
+    if (!this.config.enabled || !this.databaseService) {
+      this.logger.info('Event store disabled');
+      return false;
+    }
+
+    await this.databaseService.ensureColumn('events', 'metadata', 'TEXT');
+
+    const indexes = [
+      'CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_events_type_timestamp ON events(type, timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_events_source_timestamp ON events(source, timestamp)'
+    ];
+
+    for (const index of indexes) {
+      await this.databaseService.executeQuery(index);
+    }
+
+    this.flushTimer = setInterval(() => this.flush(), this.config.flushInterval);
+    this.cleanupTimer = setInterval(() => this.cleanup(), this.config.cleanupInterval);
+
+    this.initialized = true;
+    this.logger.info('Event store initialized', {
+      retentionDays: this.config.retentionDays,
+      batchSize: this.config.batchSize
+    });
+
+    return true;
+  }
+
+  /**
+   * Queue an event for persistence
+   */
+  append(event) {
+    if (!this.initialized) {
+      return false;
+    }
+
+    if (this.buffer.length >= this.config.maxBufferSize) {
+      this.buffer.shift();
+      this.stats.eventsDropped++;
+    }
+
+    this.buffer.push(event);
+
+    if (this.buffer.length >= this.config.batchSize) {
+      this.flush();
+    }
+
+    return true;
+  }
+
+  /**
+   * Write buffered events to the database
+   *
+   * Concurrent callers wait for the in-flight write so queries issued
+   * right after a flush see every event published before them.
+   */
+  async flush() {
+    while (this.flushPromise) {
+      await this.flushPromise;
+    }
+
+    if (this.buffer.length === 0) {
+      return 0;
+    }
+
+    this.flushPromise = this.writeBatch(this.buffer.splice(0, this.buffer.length));
+
+    try {
+      return await this.flushPromise;
+    } finally {
+      this.flushPromise = null;
+    }
+  }
+
+  /**
+   * Insert a batch of events in a single transaction
+   */
+  async writeBatch(batch) {
+    try {
+      const queries = batch.map(event => ({
+        sql: `INSERT OR REPLACE INTO events (id, type, source, data, metadata, timestamp, processed)
+              VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        params: [
+          event.id,
+          event.type,
+          event.source,
+          JSON.stringify(event.data || {}),
+          JSON.stringify(event.metadata || {}),
+          this.toTimestamp(event.timestamp),
+          event.metadata?.processed ? 1 : 0
+        ]
+      }));
+
+      await this.databaseService.executeTransaction(queries);
+
+      this.stats.eventsWritten += batch.length;
+      this.stats.lastFlush = new Date().toISOString();
+      return batch.length;
+    } catch (error) {
+      this.stats.writeErrors++;
+      this.stats.eventsDropped += batch.length;
+      this.logger.error(`Failed to persist ${batch.length} events:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Query persisted events
+   *
+   * Supported filters: type, source, since, until, limit, offset and
+   * order ('asc' or 'desc', defaults to 'asc').
+   */
+  async query(filter = {}) {
+    if (!this.initialized) {
+      return [];
+    }
+
+    // Make sure recent events are visible to the query
+    await this.flush();
+
+    const { where, params } = this.buildWhereClause(filter);
+    const order = filter.order === 'desc' ? 'DESC' : 'ASC';
+    const limit = Math.min(parseInt(filter.limit) || 1000, this.config.maxQueryLimit);
+    const offset = parseInt(filter.offset) || 0;
+
+    const rows = await this.databaseService.executeQuery(
+      `SELECT id, type, source, data, metadata, timestamp, processed FROM events
+       ${where} ORDER BY timestamp ${order} LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return rows.map(row => this.rowToEvent(row));
+  }
+
+  /**
+   * Count persisted events matching a filter
+   */
+  async count(filter = {}) {
+    if (!this.initialized) {
+      return 0;
+    }
+
+    await this.flush();
+
+    const { where, params } = this.buildWhereClause(filter);
+    const row = await this.databaseService.executeSingleQuery(
+      `SELECT COUNT(*) as count FROM events ${where}`,
+      params
+    );
+
+    return row ? row.count : 0;
+  }
+
+  /**
+   * Delete events older than the retention period
+   */
+  async cleanup(retentionDays = this.config.retentionDays) {
+    if (!this.initialized) {
+      return 0;
+    }
+
+    try {
+      const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+      const before = await this.count({ until: cutoff });
+
+      if (before > 0) {
+        await this.databaseService.run('DELETE FROM events WHERE timestamp <= ?', [cutoff]);
+        this.logger.info(`Purged ${before} events older than ${retentionDays} days`);
+      }
+
+      this.stats.lastCleanup = new Date().toISOString();
+      return before;
+    } catch (error) {
+      this.logger.error('Event store cleanup failed:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Build a WHERE clause from a query filter
+   */
+  buildWhereClause(filter) {
+    const clauses = [];
+    const params = [];
+
+    if (filter.type) {
+      clauses.push('type = ?');
+      params.push(filter.type);
+    }
+
+    if (filter.source) {
+      clauses.push('source = ?');
+      params.push(filter.source);
+    }
+
+    if (filter.since) {
+      clauses.push('timestamp >= ?');
+      params.push(this.toTimestamp(filter.since));
+    }
+
+    if (filter.until) {
+      clauses.push('timestamp <= ?');
+      params.push(this.toTimestamp(filter.until));
+    }
+
+    return {
+      where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Normalize a timestamp to ISO format so stored values sort correctly
+   */
+  toTimestamp(value) {
+    const date = value ? new Date(value) : new Date();
+    return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+  }
+
+  /**
+   * Convert a database row back into a normalized event
+   */
+  rowToEvent(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      source: row.source,
+      timestamp: row.timestamp,
+      data: this.parseJson(row.data, {}),
+      metadata: {
+        ...this.parseJson(row.metadata, {}),
+        processed: Boolean(row.processed)
+      }
+    };
+  }
+
+  /**
+   * Parse a JSON column, falling back to a default value
+   */
+  parseJson(value, fallback) {
+    if (!value) {
+      return fallback;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Get store statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: this.initialized,
+      bufferedEvents: this.buffer.length,
+      retentionDays: this.config.retentionDays
+    };
+  }
+
+  /**
+   * Flush pending events and stop timers
+   */
+  async close() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+
+    await this.flush();
+    this.initialized = false;
+  }
+}
+
+module.exports = EventStore;
@@ -0,0 +1,472 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const winston = require('winston');
+
+/**
+ * Evidence Service
+ *
+ * Exports a pre/post-roll clip and a sequence of snapshots from every camera
+ * relevant to an alarm or rule action, and keeps them in a local evidence
+ * store. Each capture is a directory holding the files and a manifest with
+ * their SHA-256 hashes and the alarm they belong to. Captures expire by alarm
+ * severity unless held.
+ */
+
+const CONTENT_TYPES = {
+  clip: 'video/mp4',
+  snapshot: 'image/jpeg'
+};
+
+const DAY = 86400000;
+
+// Camera ids become part of file names, so nothing that could leave the capture directory
+const CAMERA_ID = /^[A-Za-z0-9_-]+$/;
+
+class EvidenceService extends EventEmitter {
+  constructor(config = {}, logger = null) {
+    super();
+
+    this.config = {
+      directory: config.directory || path.join(__dirname, '../data/evidence'),
+      connectorId: config.connectorId || 'unifi-protect-main',
+      preRoll: config.preRoll ?? 10, // seconds before the event
+      postRoll: config.postRoll ?? 20, // seconds after the event
+      // Longest pre- or post-roll, and how far ahead a capture's timestamp may be
+      maxRoll: config.maxRoll ?? 600, // seconds
+      maxAhead: config.maxAhead ?? 300, // seconds
+      // Wait after the window closes for the NVR to finish writing it
+      exportDelay: config.exportDelay ?? 5, // seconds
+      snapshotCount: config.snapshotCount ?? 3,
+      maxCameras: config.maxCameras || 4,
+      // Days kept, by alarm severity
+      retention: { default: 30, critical: 90, high: 60, ...config.retention },
+      pruneInterval: config.pruneInterval || 3600000
+    };
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.connectorRegistry = null;
+    this.cameraCoverageService = null;
+    this.eventBus = null;
+
+    // evidenceId -> manifest
+    this.records = new Map();
+    // evidenceId -> capture promise
+    this.pending = new Map();
+    this.timer = null;
+
+    this.stats = { captured: 0, failed: 0, pruned: 0, bytes: 0 };
+  }
+
+  /**
+   * Clips and snapshots come from the UniFi Protect connector in the registry
+   */
+  setConnectorRegistry(connectorRegistry) {
+    this.connectorRegistry = connectorRegistry;
+  }
+
+  /**
+   * Find cameras covering an event's position
+   */
+  setCameraCoverageService(cameraCoverageService) {
+    this.cameraCoverageService = cameraCoverageService;
+  }
+
+  setEventBus(eventBus) {
+    this.eventBus = eventBus;
+  }
+
+  async start() {
+    await this.loadRecords();
+    this.timer = setInterval(() => {
+      this.prune().catch(error => this.logger.error('Evidence pruning failed', { error: error.message }));
+    }, this.config.pruneInterval);
+    if (this.timer.unref) this.timer.unref();
+    this.logger.info(`Evidence service started with ${this.records.size} stored captures`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Load manifests from the evidence directory. Captures cut short by a
+   * restart are marked interrupted.
+   */
+  async loadRecords() {
+    let entries = [];
+    try {
+      entries = await fs.readdir(this.config.directory, { withFileTypes: true });
+    } catch (error) {
+      this.logger.debug('No evidence directory yet', { error: error.message });
+      return 0;
+    }
+
+    for (const entry of entries.filter(entry => entry.isDirectory())) {
+      try {
+        const manifest = JSON.parse(await fs.readFile(path.join(this.config.directory, entry.name, 'manifest.json'), 'utf8'));
+        if (manifest.status === 'pending') {
+          manifest.status = 'interrupted';
+          await this.saveManifest(manifest);
+        }
+        this.records.set(manifest.id, manifest);
+      } catch (error) {
+        this.logger.warn(`Skipping unreadable evidence ${entry.name}`, { error: error.message });
+      }
+    }
+    return this.records.size;
+  }
+
+  /**
+   * Cameras relevant to an event: those covering its position, the alarm's
+   * own cameras and any camera named in the event
+   */
+  getCamerasForEvent(event, alarm = null) {
+    const cameras = [...(alarm?.cameras || [])];
+    if (cameras.length === 0 && this.cameraCoverageService) {
+      cameras.push(...this.cameraCoverageService.getCamerasForEvent(event));
+    }
+
+    const data = event?.data || {};
+    const eventCamera = data.cameraId || data.camera?.id || (typeof data.camera === 'string' ? data.camera : null) ||
+      (typeof data.device === 'string' ? data.device : null);
+    if (eventCamera && CAMERA_ID.test(eventCamera)) {
+      cameras.unshift({ cameraId: eventCamera, name: data.cameraName || data.camera?.name || eventCamera });
+    }
+
+    const seen = new Set();
+    return cameras
+      .filter(camera => !seen.has(camera.cameraId) && seen.add(camera.cameraId))
+      .slice(0, this.config.maxCameras)
+      .map(({ cameraId, name }) => ({ cameraId, name: name || cameraId }));
+  }
+
+  /**
+   * Capture evidence for an alarm. Returns null when no camera is relevant.
+   */
+  captureForAlarm(alarm, event, options = {}) {
+    const cameras = options.cameraIds
+      ? options.cameraIds.map(cameraId => ({ cameraId, name: cameraId }))
+      : this.getCamerasForEvent(event, alarm);
+    if (cameras.length === 0) {
+      return null;
+    }
+
+    return this.capture({
+      ...options,
+      cameras,
+      timestamp: alarm.timestamp,
+      alarmId: alarm.id,
+      ruleId: alarm.ruleId,
+      ruleName: alarm.ruleName,
+      eventType: alarm.eventType,
+      severity: alarm.severity
+    });
+  }
+
+  /**
+   * Start a capture and return its manifest. Snapshots are taken through the
+   * post-roll while it is still ahead; clips are exported once the window has
+   * been recorded. Use waitFor() to wait for the capture to finish.
+   */
+  capture(request) {
+    const now = Date.now();
+    const timestamp = request.timestamp ? new Date(request.timestamp).getTime() : now;
+    const preRoll = request.preRoll ?? this.config.preRoll;
+    const postRoll = request.postRoll ?? this.config.postRoll;
+    const severity = request.severity || 'medium';
+
+    if (!Array.isArray(request.cameras) || request.cameras.length === 0) {
+      throw new Error('At least one camera is required');
+    }
+    const invalid = request.cameras.find(({ cameraId }) => !CAMERA_ID.test(String(cameraId ?? '')));
+    if (invalid) {
+      throw new Error(`Invalid camera id: ${invalid.cameraId}`);
+    }
+    if (isNaN(timestamp) || !Number.isFinite(preRoll) || !Number.isFinite(postRoll) || preRoll < 0 || postRoll < 0) {
+      throw new Error('Invalid capture window');
+    }
+    if (preRoll > this.config.maxRoll || postRoll > this.config.maxRoll) {
+      throw new Error(`preRoll and postRoll must be at most ${this.config.maxRoll} seconds`);
+    }
+    if (timestamp - now > this.config.maxAhead * 1000) {
+      throw new Error(`timestamp must be at most ${this.config.maxAhead} seconds ahead`);
+    }
+
+    const manifest = {
+      id: `evidence-${now}-${Math.random().toString(36).substr(2, 9)}`,
+      alarmId: request.alarmId || null,
+      ruleId: request.ruleId || null,
+      ruleName: request.ruleName || null,
+      eventType: request.eventType || null,
+      severity,
+      reason: request.reason || (request.alarmId ? 'alarm' : 'manual'),
+      timestamp: new Date(timestamp).toISOString(),
+      window: {
+        start: new Date(timestamp - preRoll * 1000).toISOString(),
+        end: new Date(timestamp + postRoll * 1000).toISOString(),
+        preRoll,
+        postRoll
+      },
+      cameras: request.cameras.map(({ cameraId, name }) => ({ cameraId, name: name || cameraId })),
+      status: 'pending',
+      hold: false,
+      createdAt: new Date(now).toISOString(),
+      completedAt: null,
+      expiresAt: new Date(now + this.getRetentionDays(severity) * DAY).toISOString(),
+      items: [],
+      errors: []
+    };
+
+    this.records.set(manifest.id, manifest);
+    const job = this.runCapture(manifest, timestamp, preRoll, postRoll)
+      .catch(async error => {
+        manifest.status = 'failed';
+        manifest.errors.push({ error: error.message });
+        this.stats.failed++;
+        this.logger.error(`Evidence capture ${manifest.id} failed`, { error: error.message });
+        await this.saveManifest(manifest).catch(() => {});
+      })
+      .finally(() => this.pending.delete(manifest.id));
+    this.pending.set(manifest.id, job);
+
+    this.logger.info(`Capturing evidence ${manifest.id} from ${manifest.cameras.length} cameras`, { alarmId: manifest.alarmId });
+    return manifest;
+  }
+
+  async runCapture(manifest, timestamp, preRoll, postRoll) {
+    await fs.mkdir(this.getDirectory(manifest.id), { recursive: true });
+    await this.saveManifest(manifest);
+
+    const connector = this.getConnector();
+    const start = timestamp - preRoll * 1000;
+    const end = timestamp + postRoll * 1000;
+
+    // Snapshots are live, so only the part of the window still to come is covered
+    const count = this.config.snapshotCount;
+    for (let i = 0; i < count; i++) {
+      const at = count > 1 ? timestamp + (postRoll * 1000 * i) / (count - 1) : timestamp;
+      const wait = at - Date.now();
+      if (wait < -1000) continue;
+      await this.delay(wait);
+      await Promise.all(manifest.cameras.map(camera =>
+        this.store(manifest, camera, 'snapshot', `snapshot-${camera.cameraId}-${i + 1}.jpg`,
+          () => connector.getCameraSnapshot(camera.cameraId, 'high'))));
+    }
+
+    await this.delay(end + this.config.exportDelay * 1000 - Date.now());
+    for (const camera of manifest.cameras) {
+      await this.store(manifest, camera, 'clip', `clip-${camera.cameraId}.mp4`,
+        () => connector.exportClip({ cameraId: camera.cameraId, start, end }));
+    }
+
+    const clips = manifest.items.filter(item => item.type === 'clip').length;
+    manifest.status = clips === manifest.cameras.length ? 'complete' : (manifest.items.length > 0 ? 'partial' : 'failed');
+    manifest.completedAt = new Date().toISOString();
+    await this.saveManifest(manifest);
+
+    this.stats[manifest.status === 'failed' ? 'failed' : 'captured']++;
+    this.emit('evidence:captured', manifest);
+    if (this.eventBus) {
+      this.eventBus.publishEvent({
+        type: 'evidence:captured',
+        source: 'evidence',
+        timestamp: manifest.completedAt,
+        data: this.summarize(manifest)
+      }).catch(error => this.logger.debug('Failed to publish evidence event', { error: error.message }));
+    }
+    return manifest;
+  }
+
+  /**
+   * Fetch one file, hash it and add it to the manifest. Failures are
+   * recorded rather than ending the capture.
+   */
+  async store(manifest, camera, type, name, download) {
+    try {
+      const data = Buffer.from(await download());
+      if (data.length === 0) {
+        throw new Error('Empty response');
+      }
+      await fs.writeFile(path.join(this.getDirectory(manifest.id), name), data);
+      manifest.items.push({
+        name,
+        type,
+        cameraId: camera.cameraId,
+        contentType: CONTENT_TYPES[type],
+        size: data.length,
+        sha256: crypto.createHash('sha256').update(data).digest('hex'),
+        capturedAt: new Date().toISOString()
+      });
+      this.stats.bytes += data.length;
+      await this.saveManifest(manifest);
+    } catch (error) {
+      manifest.errors.push({ cameraId: camera.cameraId, type, error: error.message });
+      this.logger.warn(`Evidence ${type} from ${camera.cameraId} failed`, { evidenceId: manifest.id, error: error.message });
+    }
+  }
+
+  /**
+   * Resolves with the manifest once a capture has finished
+   */
+  async waitFor(evidenceId) {
+    await this.pending.get(evidenceId);
+    return this.records.get(evidenceId) || null;
+  }
+
+  /**
+   * Re-hash stored files and report any that changed or went missing
+   */
+  async verify(evidenceId) {
+    const manifest = this.records.get(evidenceId);
+    if (!manifest) {
+      return null;
+    }
+
+    const items = [];
+    for (const item of manifest.items) {
+      try {
+        const data = await fs.readFile(this.getFilePath(evidenceId, item.name));
+        const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+        items.push({ name: item.name, valid: sha256 === item.sha256 });
+      } catch (error) {
+        items.push({ name: item.name, valid: false, error: 'missing' });
+      }
+    }
+    return { id: evidenceId, valid: items.every(item => item.valid), items };
+  }
+
+  /**
+   * Exempt a capture from retention, or release it
+   */
+  async setHold(evidenceId, hold) {
+    const manifest = this.records.get(evidenceId);
+    if (!manifest) {
+      return null;
+    }
+    manifest.hold = Boolean(hold);
+    await this.saveManifest(manifest);
+    return manifest;
+  }
+
+  async remove(evidenceId) {
+    const manifest = this.records.get(evidenceId);
+    if (!manifest) {
+      return false;
+    }
+    if (this.pending.has(evidenceId)) {
+      throw new Error('Evidence capture still in progress');
+    }
+    await fs.rm(this.getDirectory(evidenceId), { recursive: true, force: true });
+    this.records.delete(evidenceId);
+    return true;
+  }
+
+  /**
+   * Delete expired captures that are not held
+   */
+  async prune(now = Date.now()) {
+    const removed = [];
+    for (const manifest of Array.from(this.records.values())) {
+      if (manifest.hold || this.pending.has(manifest.id) || Date.parse(manifest.expiresAt) > now) continue;
+      await this.remove(manifest.id);
+      removed.push(manifest.id);
+    }
+    if (removed.length > 0) {
+      this.stats.pruned += removed.length;
+      this.logger.info(`Pruned ${removed.length} expired evidence captures`);
+    }
+    return removed;
+  }
+
+  getRetentionDays(severity) {
+    return this.config.retention[severity] ?? this.config.retention.default;
+  }
+
+  getEvidence(evidenceId) {
+    return this.records.get(evidenceId) || null;
+  }
+
+  /**
+   * Captures, newest first
+   */
+  listEvidence(filters = {}) {
+    let records = Array.from(this.records.values());
+    if (filters.alarmId) {
+      records = records.filter(manifest => manifest.alarmId === filters.alarmId);
+    }
+    if (filters.cameraId) {
+      records = records.filter(manifest => manifest.cameras.some(camera => camera.cameraId === filters.cameraId));
+    }
+    if (filters.status) {
+      records = records.filter(manifest => manifest.status === filters.status);
+    }
+    return records
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, filters.limit || 100)
+      .map(manifest => this.summarize(manifest));
+  }
+
+  summarize(manifest) {
+    return {
+      id: manifest.id,
+      alarmId: manifest.alarmId,
+      ruleId: manifest.ruleId,
+      eventType: manifest.eventType,
+      severity: manifest.severity,
+      timestamp: manifest.timestamp,
+      status: manifest.status,
+      hold: manifest.hold,
+      cameras: manifest.cameras.map(camera => camera.cameraId),
+      clips: manifest.items.filter(item => item.type === 'clip').length,
+      snapshots: manifest.items.filter(item => item.type === 'snapshot').length,
+      expiresAt: manifest.expiresAt
+    };
+  }
+
+  getStats() {
+    return { ...this.stats, stored: this.records.size, pending: this.pending.size };
+  }
+
+  getConnector() {
+    const connector = this.connectorRegistry?.getConnector(this.config.connectorId);
+    if (!connector) {
+      throw new Error(`Evidence connector ${this.config.connectorId} not available`);
+    }
+    return connector;
+  }
+
+  getDirectory(evidenceId) {
+    return path.join(this.config.directory, evidenceId);
+  }
+
+  /**
+   * Path of a file listed in a capture's manifest
+   */
+  getFilePath(evidenceId, name) {
+    const manifest = this.records.get(evidenceId);
+    if (!manifest || !manifest.items.some(item => item.name === name)) {
+      return null;
+    }
+    return path.join(this.getDirectory(evidenceId), name);
+  }
+
+  async saveManifest(manifest) {
+    await fs.writeFile(path.join(this.getDirectory(manifest.id), 'manifest.json'), JSON.stringify(manifest, null, 2));
+  }
+
+  delay(ms) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+  }
+}
+
+module.exports = EvidenceService;
@@ -0,0 +1,462 @@
+const EventEmitter = require('events');
+const winston = require('winston');
+
+/**
+ * Flight Phase Service
+ *
+ * Per-aircraft flight-phase state machine around one airport. Fed with
+ * position updates plus the runway and airspace context the caller already
+ * has, it recognises go-arounds (descending on final, then climbing away
+ * without touching down), touch-and-gos (touchdown followed by a climb
+ * without slowing to taxi speed), circuits (back on final shortly after
+ * departing, without leaving the circuit area) and holding (sustained
+ * turning at a steady level). Each detection is emitted with a confidence
+ * value between 0 and 1.
+ *
+ * Phases: unknown, ground, climb_out, final, airborne, holding
+ */
+
+const EVENT_TYPES = ['go_around', 'touch_and_go', 'circuit', 'holding:entered', 'holding:exited'];
+
+class FlightPhaseService extends EventEmitter {
+  constructor(config = {}, logger = null) {
+    super();
+
+    this.config = {
+      // Heights are feet above the field, distances meters from the airport reference point
+      groundHeight: config.groundHeight || 50,
+      finalDistance: config.finalDistance || 8000,
+      finalHeight: config.finalHeight || 1500,
+      finalDescentRate: config.finalDescentRate || 200, // ft/min
+      goAroundClimb: config.goAroundClimb || 300,
+      climbRate: config.climbRate || 300, // ft/min
+      liftOffHeight: config.liftOffHeight || 150,
+      fullStopSpeed: config.fullStopSpeed || 40, // knots
+      touchAndGoWindow: config.touchAndGoWindow || 90000,
+      circuitWindow: config.circuitWindow || 900000,
+      circuitRadius: config.circuitRadius || 8000,
+      circuitMaxHeight: config.circuitMaxHeight || 2500,
+      holdingMinHeight: config.holdingMinHeight || 2000,
+      holdingWindow: config.holdingWindow || 480000,
+      holdingTurn: config.holdingTurn || 360, // degrees of turn in the window
+      holdingAltitudeBand: config.holdingAltitudeBand || 600,
+      staleAfter: config.staleAfter || 600000
+    };
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.aircraft = new Map();
+    this.stats = Object.fromEntries(EVENT_TYPES.map(type => [type, 0]));
+  }
+
+  /**
+   * Process a position update; returns the events it raised
+   *
+   * aircraft: { icao24, callsign, registration, latitude, longitude, altitude,
+   *   speed, heading, verticalRate?, onGround?, timestamp? }
+   * context: { airport: { icao, latitude, longitude }, fieldElevation (ft),
+   *   runway: { id, heading }?, airspaces: [{ name, type }]? }
+   */
+  update(aircraft, context) {
+    if (!aircraft.icao24 || typeof aircraft.latitude !== 'number' || typeof aircraft.longitude !== 'number' ||
+        typeof aircraft.altitude !== 'number') {
+      return [];
+    }
+
+    const now = aircraft.timestamp ? new Date(aircraft.timestamp).getTime() : Date.now();
+    const state = this.getState(aircraft.icao24);
+    const sample = {
+      time: now,
+      latitude: aircraft.latitude,
+      longitude: aircraft.longitude,
+      height: aircraft.altitude - (context.fieldElevation || 0),
+      speed: aircraft.speed,
+      heading: aircraft.heading,
+      distance: this.calculateDistance(aircraft.latitude, aircraft.longitude, context.airport.latitude, context.airport.longitude)
+    };
+
+    state.samples.push(sample);
+    state.samples = state.samples.filter(entry => now - entry.time <= this.config.holdingWindow);
+    state.lastSeen = now;
+    state.aircraft = aircraft;
+    state.context = context;
+
+    const verticalRate = typeof aircraft.verticalRate === 'number' ? aircraft.verticalRate : this.calculateVerticalRate(state.samples);
+    const onGround = aircraft.onGround === true || sample.height < this.config.groundHeight;
+    const events = [];
+
+    if (onGround) {
+      this.updateGround(state, sample);
+    } else {
+      this.updateAirborne(state, sample, verticalRate, events);
+    }
+
+    this.updateHolding(state, sample, onGround, events);
+    this.cleanup(now);
+
+    for (const event of events) {
+      this.stats[event.type]++;
+      this.logger.info(`Flight phase event: ${event.type}`, {
+        icao24: event.icao24,
+        callsign: event.callsign,
+        airport: event.airport,
+        runway: event.runway,
+        confidence: event.confidence
+      });
+      this.emit(event.type, event);
+    }
+
+    return events;
+  }
+
+  /**
+   * On the ground: a touchdown if the aircraft was on final
+   */
+  updateGround(state, sample) {
+    if (state.final) {
+      state.touchdown = {
+        time: sample.time,
+        runway: state.final.runway,
+        minSpeed: typeof sample.speed === 'number' ? sample.speed : Infinity
+      };
+      state.final = null;
+    } else if (state.touchdown && typeof sample.speed === 'number') {
+      state.touchdown.minSpeed = Math.min(state.touchdown.minSpeed, sample.speed);
+    }
+
+    state.phase = 'ground';
+    state.circuit = null;
+  }
+
+  /**
+   * Airborne: lift-off, final approach, go-around and circuit tracking
+   */
+  updateAirborne(state, sample, verticalRate, events) {
+    const runway = state.context.runway || null;
+
+    // Lift-off after a touchdown or from the ground
+    if (state.phase === 'ground' && sample.height >= this.config.liftOffHeight) {
+      const touchdown = state.touchdown;
+      if (touchdown && touchdown.minSpeed >= this.config.fullStopSpeed &&
+          sample.time - touchdown.time <= this.config.touchAndGoWindow) {
+        events.push(this.createEvent('touch_and_go', state, sample, {
+          runway: touchdown.runway,
+          confidence: this.calculateTouchAndGoConfidence(touchdown, sample, runway),
+          details: {
+            groundTime: Math.round((sample.time - touchdown.time) / 1000),
+            minGroundSpeed: Number.isFinite(touchdown.minSpeed) ? touchdown.minSpeed : null
+          }
+        }));
+        this.startDeparture(state, 'touch_and_go', sample, touchdown.runway);
+      } else {
+        this.startDeparture(state, 'takeoff', sample, touchdown ? touchdown.runway : runway?.id || null);
+      }
+      state.touchdown = null;
+      state.phase = 'climb_out';
+    } else if (state.phase === 'ground') {
+      return;
+    }
+
+    this.trackCircuit(state, sample);
+
+    const inFinalZone = sample.distance <= this.config.finalDistance && sample.height <= this.config.finalHeight;
+
+    if (!state.final && inFinalZone && verticalRate <= -this.config.finalDescentRate) {
+      state.final = {
+        runway: runway?.id || null,
+        startedAt: sample.time,
+        minHeight: sample.height
+      };
+      state.phase = 'final';
+
+      const circuit = this.checkCircuit(state, sample);
+      if (circuit) {
+        events.push(circuit);
+      }
+      return;
+    }
+
+    if (!state.final) {
+      const leftCircuit = sample.height > this.config.circuitMaxHeight || sample.distance > this.config.circuitRadius;
+      if (state.phase !== 'holding' && (state.phase !== 'climb_out' || leftCircuit)) {
+        state.phase = 'airborne';
+      }
+      return;
+    }
+
+    state.final.minHeight = Math.min(state.final.minHeight, sample.height);
+    if (runway?.id && !state.final.runway) {
+      state.final.runway = runway.id;
+    }
+
+    if (sample.height - state.final.minHeight >= this.config.goAroundClimb && verticalRate >= this.config.climbRate) {
+      events.push(this.createEvent('go_around', state, sample, {
+        runway: state.final.runway,
+        confidence: this.calculateGoAroundConfidence(state.final, verticalRate),
+        details: {
+          minimumHeight: Math.round(state.final.minHeight),
+          climbRate: Math.round(verticalRate)
+        }
+      }));
+      this.startDeparture(state, 'go_around', sample, state.final.runway);
+      state.final = null;
+      state.phase = 'climb_out';
+    } else if (sample.distance > this.config.finalDistance * 1.5) {
+      // Descended through the final zone without landing or climbing away
+      state.final = null;
+      state.phase = 'airborne';
+    }
+  }
+
+  /**
+   * Start tracking a possible circuit from a departure, touch-and-go or go-around
+   */
+  startDeparture(state, type, sample, runway) {
+    state.circuit = {
+      from: type,
+      runway,
+      startedAt: sample.time,
+      maxDistance: sample.distance,
+      maxHeight: sample.height,
+      turn: 0,
+      lastHeading: sample.heading
+    };
+    if (type === 'takeoff') {
+      state.circuitCount = 0;
+    }
+  }
+
+  trackCircuit(state, sample) {
+    const circuit = state.circuit;
+    if (!circuit) return;
+
+    circuit.maxDistance = Math.max(circuit.maxDistance, sample.distance);
+    circuit.maxHeight = Math.max(circuit.maxHeight, sample.height);
+    if (typeof sample.heading === 'number' && typeof circuit.lastHeading === 'number') {
+      circuit.turn += Math.abs(this.headingDelta(circuit.lastHeading, sample.heading));
+    }
+    circuit.lastHeading = sample.heading;
+  }
+
+  /**
+   * Back on final soon after departing without leaving the circuit area
+   */
+  checkCircuit(state, sample) {
+    const circuit = state.circuit;
+    if (!circuit) return null;
+
+    state.circuit = null;
+    if (sample.time - circuit.startedAt > this.config.circuitWindow ||
+        circuit.maxDistance > this.config.circuitRadius ||
+        circuit.maxHeight > this.config.circuitMaxHeight) {
+      return null;
+    }
+
+    state.circuitCount++;
+
+    let confidence = 0.5;
+    if (circuit.turn >= 270) confidence += 0.2;
+    if (circuit.maxHeight >= 500 && circuit.maxHeight <= 1500) confidence += 0.15;
+    if (circuit.runway && circuit.runway === state.final.runway) confidence += 0.15;
+
+    return this.createEvent('circuit', state, sample, {
+      runway: state.final.runway || circuit.runway,
+      confidence,
+      details: {
+        circuit: state.circuitCount,
+        from: circuit.from,
+        duration: Math.round((sample.time - circuit.startedAt) / 1000),
+        maxDistance: Math.round(circuit.maxDistance),
+        maxHeight: Math.round(circuit.maxHeight),
+        turn: Math.round(circuit.turn)
+      }
+    });
+  }
+
+  /**
+   * Sustained turning at a steady level
+   */
+  updateHolding(state, sample, onGround, events) {
+    const samples = state.samples;
+    const heights = samples.map(entry => entry.height);
+    const band = Math.max(...heights) - Math.min(...heights);
+
+    let turn = 0;
+    for (let i = 1; i < samples.length; i++) {
+      if (typeof samples[i - 1].heading === 'number' && typeof samples[i].heading === 'number') {
+        turn += this.headingDelta(samples[i - 1].heading, samples[i].heading);
+      }
+    }
+    turn = Math.abs(turn);
+
+    const holdingAirspace = (state.context.airspaces || []).find(airspace => airspace.type === 'Holding_Pattern') || null;
+
+    if (!state.holding) {
+      if (!onGround && !state.final && sample.height >= this.config.holdingMinHeight &&
+          turn >= this.config.holdingTurn && band <= this.config.holdingAltitudeBand) {
+        let confidence = 0.6;
+        if (turn >= this.config.holdingTurn * 2) confidence += 0.2;
+        if (holdingAirspace) confidence += 0.2;
+
+        state.holding = { enteredAt: sample.time, fix: holdingAirspace ? holdingAirspace.name : null };
+        state.previousPhase = state.phase;
+        state.phase = 'holding';
+        events.push(this.createEvent('holding:entered', state, sample, {
+          runway: null,
+          confidence,
+          details: { fix: state.holding.fix, turn: Math.round(turn), altitudeBand: Math.round(band) }
+        }));
+      }
+      return;
+    }
+
+    // Straightened out, changed level or started an approach
+    if (onGround || state.final || turn < this.config.holdingTurn / 2 || band > this.config.holdingAltitudeBand * 2) {
+      const holding = state.holding;
+      state.holding = null;
+      if (state.phase === 'holding') {
+        state.phase = 'airborne';
+      }
+      events.push(this.createEvent('holding:exited', state, sample, {
+        runway: null,
+        confidence: 0.8,
+        details: { fix: holding.fix, duration: Math.round((sample.time - holding.enteredAt) / 1000) }
+      }));
+    }
+  }
+
+  createEvent(type, state, sample, { runway, confidence, details }) {
+    const aircraft = state.aircraft;
+    return {
+      id: `phase-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      icao24: aircraft.icao24,
+      callsign: aircraft.callsign || null,
+      registration: aircraft.registration || null,
+      airport: state.context.airport.icao,
+      runway: runway || null,
+      phase: state.phase,
+      confidence: Math.round(Math.min(confidence, 1) * 100) / 100,
+      position: {
+        latitude: sample.latitude,
+        longitude: sample.longitude,
+        altitude: aircraft.altitude,
+        height: Math.round(sample.height),
+        distance: Math.round(sample.distance)
+      },
+      speed: aircraft.speed,
+      heading: aircraft.heading,
+      details,
+      timestamp: new Date(sample.time).toISOString()
+    };
+  }
+
+  calculateGoAroundConfidence(final, verticalRate) {
+    let confidence = 0.5;
+    confidence += final.minHeight < 500 ? 0.2 : 0.1;
+    if (final.runway) confidence += 0.15;
+    confidence += verticalRate >= 800 ? 0.15 : 0.05;
+    return confidence;
+  }
+
+  calculateTouchAndGoConfidence(touchdown, sample, runway) {
+    let confidence = 0.6;
+    confidence += sample.time - touchdown.time <= 30000 ? 0.2 : 0.1;
+    if (touchdown.minSpeed >= 50) confidence += 0.1;
+    if (touchdown.runway || runway) confidence += 0.1;
+    return confidence;
+  }
+
+  /**
+   * Vertical rate in ft/min over the last 30 seconds (or since the previous sample)
+   */
+  calculateVerticalRate(samples) {
+    const latest = samples[samples.length - 1];
+    let reference = samples.find(entry => latest.time - entry.time <= 30000);
+    if (reference === latest && samples.length > 1) {
+      reference = samples[samples.length - 2];
+    }
+    if (!reference || reference === latest || latest.time - reference.time > 120000) {
+      return 0;
+    }
+    return (latest.height - reference.height) / ((latest.time - reference.time) / 60000);
+  }
+
+  /**
+   * Signed heading change in degrees (-180..180)
+   */
+  headingDelta(from, to) {
+    return ((to - from + 540) % 360) - 180;
+  }
+
+  calculateDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371000; // meters
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+              Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  getState(icao24) {
+    if (!this.aircraft.has(icao24)) {
+      this.aircraft.set(icao24, {
+        phase: 'unknown',
+        samples: [],
+        final: null,
+        touchdown: null,
+        circuit: null,
+        circuitCount: 0,
+        holding: null,
+        lastSeen: 0
+      });
+    }
+    return this.aircraft.get(icao24);
+  }
+
+  /**
+   * Current phase of an aircraft
+   */
+  getPhase(icao24) {
+    const state = this.aircraft.get(icao24);
+    if (!state) return null;
+
+    return {
+      icao24,
+      phase: state.phase,
+      runway: state.final ? state.final.runway : null,
+      circuits: state.circuitCount,
+      holding: state.holding ? { ...state.holding } : null,
+      lastSeen: new Date(state.lastSeen).toISOString()
+    };
+  }
+
+  getPhases() {
+    return Array.from(this.aircraft.keys()).map(icao24 => this.getPhase(icao24));
+  }
+
+  remove(icao24) {
+    this.aircraft.delete(icao24);
+  }
+
+  cleanup(now = Date.now()) {
+    for (const [icao24, state] of this.aircraft) {
+      if (now - state.lastSeen > this.config.staleAfter) {
+        this.aircraft.delete(icao24);
+      }
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, tracked: this.aircraft.size };
+  }
+}
+
+FlightPhaseService.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = FlightPhaseService;
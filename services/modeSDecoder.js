@@ -0,0 +1,455 @@
+/**
+ * Mode S Decoder
+ *
+ * Decodes raw Mode S frames received as Beast binary (TCP 30005) or AVR
+ * hex (TCP 30002) into the same update shape produced by SBSParser.
+ *
+ * Supported downlink formats:
+ *   DF17/18  ADS-B identification, airborne position (CPR) and velocity
+ *   DF4/20   surveillance altitude
+ *   DF5/21   surveillance identity (squawk)
+ *   DF11     all-call reply (address only)
+ *
+ * DF17/18 and DF11 frames are CRC checked. DF4/5/20/21 carry the address in
+ * the parity field, so they are only accepted for addresses already seen in
+ * a checked frame.
+ */
+
+const CRC_GENERATOR = 0xFFF409;
+const CALLSIGN_CHARSET = '#ABCDEFGHIJKLMNOPQRSTUVWXYZ##### ###############0123456789######';
+const CPR_NZ = 15;
+const CPR_MAX = 131072;
+
+// Beast frame types and their payload lengths
+const BEAST_FRAME_LENGTHS = { 0x31: 2, 0x32: 7, 0x33: 14, 0x34: 14 };
+const BEAST_ESCAPE = 0x1a;
+
+class ModeSDecoder {
+  constructor(options = {}) {
+    // Max age of the other CPR frame for a global decode
+    this.cprPairTimeout = options.cprPairTimeout || 10000;
+
+    // Max age of a known position used as local decode reference
+    this.referenceTimeout = options.referenceTimeout || 600000;
+
+    // Addresses seen in CRC checked frames
+    this.knownAddressTimeout = options.knownAddressTimeout || 60000;
+
+    this.cpr = new Map();
+    this.knownAddresses = new Map();
+    this.beastBuffer = Buffer.alloc(0);
+
+    this.stats = { frames: 0, decoded: 0, crcErrors: 0, unknownAddress: 0, unsupported: 0 };
+  }
+
+  /**
+   * Split a Beast byte stream into frames, keeping any partial frame for the next chunk
+   */
+  feedBeast(chunk) {
+    let buffer = this.beastBuffer.length > 0 ? Buffer.concat([this.beastBuffer, chunk]) : chunk;
+    const frames = [];
+    let offset = 0;
+
+    while (offset < buffer.length) {
+      if (buffer[offset] !== BEAST_ESCAPE) {
+        offset++;
+        continue;
+      }
+
+      const type = buffer[offset + 1];
+      if (type === undefined) {
+        break;
+      }
+
+      const payloadLength = BEAST_FRAME_LENGTHS[type];
+      if (!payloadLength) {
+        // Escaped 0x1a or garbage, resync on the next escape
+        offset += type === BEAST_ESCAPE ? 2 : 1;
+        continue;
+      }
+
+      // 6 byte MLAT timestamp + 1 byte signal level + payload, with 0x1a doubled
+      const needed = 6 + 1 + payloadLength;
+      const bytes = [];
+      let position = offset + 2;
+      let broken = false;
+
+      while (bytes.length < needed && position < buffer.length) {
+        const byte = buffer[position];
+        if (byte === BEAST_ESCAPE) {
+          if (position + 1 >= buffer.length) {
+            break;
+          }
+          if (buffer[position + 1] !== BEAST_ESCAPE) {
+            broken = true;
+            break;
+          }
+          position++;
+        }
+        bytes.push(byte);
+        position++;
+      }
+
+      if (broken) {
+        offset = position;
+        continue;
+      }
+
+      if (bytes.length < needed) {
+        break;
+      }
+
+      offset = position;
+      if (type === 0x32 || type === 0x33) {
+        const signal = bytes[6] / 255;
+        frames.push({
+          bytes: Buffer.from(bytes.slice(7)),
+          rssi: signal > 0 ? Math.round(10 * Math.log10(signal * signal) * 10) / 10 : null,
+          format: 'beast'
+        });
+      }
+    }
+
+    this.beastBuffer = Buffer.from(buffer.slice(offset));
+    return frames;
+  }
+
+  /**
+   * Parse one AVR line (*8D...; or @<timestamp>8D...;)
+   */
+  parseAVR(line) {
+    const trimmed = (line || '').trim();
+    let hex = null;
+
+    if (trimmed.startsWith('*')) {
+      hex = trimmed.slice(1);
+    } else if (trimmed.startsWith('@')) {
+      hex = trimmed.slice(13);
+    } else {
+      return null;
+    }
+
+    hex = hex.replace(/;.*$/, '');
+    if (!/^[0-9A-Fa-f]+$/.test(hex) || (hex.length !== 14 && hex.length !== 28)) {
+      return null;
+    }
+
+    return { bytes: Buffer.from(hex, 'hex'), rssi: null, format: 'avr' };
+  }
+
+  /**
+   * Decode a frame into an update, or null if it carries nothing usable
+   */
+  decode(frame, now = Date.now()) {
+    const bytes = Buffer.isBuffer(frame) ? frame : frame.bytes;
+    const format = frame.format || 'avr';
+    this.stats.frames++;
+
+    if (!bytes || (bytes.length !== 7 && bytes.length !== 14)) {
+      return null;
+    }
+
+    const df = Math.min(bytes[0] >> 3, 24);
+    const residual = ModeSDecoder.crcResidual(bytes);
+    let icao24;
+
+    if (df === 17 || df === 18) {
+      if (bytes.length !== 14 || residual !== 0) {
+        this.stats.crcErrors++;
+        return null;
+      }
+      icao24 = ModeSDecoder.hexAddress(bytes, 1);
+      this.knownAddresses.set(icao24, now);
+    } else if (df === 11) {
+      // Parity is overlaid with the interrogator code
+      if ((residual & 0xFFFF80) !== 0) {
+        this.stats.crcErrors++;
+        return null;
+      }
+      icao24 = ModeSDecoder.hexAddress(bytes, 1);
+      this.knownAddresses.set(icao24, now);
+    } else if (df === 4 || df === 5 || df === 20 || df === 21) {
+      icao24 = residual.toString(16).toUpperCase().padStart(6, '0');
+      const seen = this.knownAddresses.get(icao24);
+      if (!seen || now - seen > this.knownAddressTimeout) {
+        this.stats.unknownAddress++;
+        return null;
+      }
+    } else {
+      this.stats.unsupported++;
+      return null;
+    }
+
+    const update = { icao24, format, timestamp: now, df };
+    if (frame.rssi !== null && frame.rssi !== undefined) {
+      update.rssi = frame.rssi;
+    }
+
+    if (df === 4 || df === 20) {
+      const altitude = ModeSDecoder.decodeAC13(ModeSDecoder.getBits(bytes, 20, 13));
+      if (altitude !== null) {
+        update.altitude = altitude;
+      }
+    } else if (df === 5 || df === 21) {
+      update.squawk = ModeSDecoder.decodeIdentity(ModeSDecoder.getBits(bytes, 20, 13));
+    } else if (df === 17 || df === 18) {
+      this.decodeExtendedSquitter(bytes, update, now);
+    }
+
+    this.stats.decoded++;
+    return update;
+  }
+
+  /**
+   * Decode the ME field of an extended squitter
+   */
+  decodeExtendedSquitter(bytes, update, now) {
+    const tc = ModeSDecoder.getBits(bytes, 33, 5);
+    update.typeCode = tc;
+
+    if (tc >= 1 && tc <= 4) {
+      let callsign = '';
+      for (let i = 0; i < 8; i++) {
+        callsign += CALLSIGN_CHARSET[ModeSDecoder.getBits(bytes, 41 + i * 6, 6)];
+      }
+      callsign = callsign.replace(/#/g, '').trim();
+      if (callsign) {
+        update.callsign = callsign;
+      }
+    } else if (tc >= 9 && tc <= 18) {
+      const altitude = ModeSDecoder.decodeAC12(ModeSDecoder.getBits(bytes, 41, 12));
+      if (altitude !== null) {
+        update.altitude = altitude;
+      }
+      update.onGround = false;
+
+      const position = this.decodeAirbornePosition(update.icao24, {
+        odd: ModeSDecoder.getBits(bytes, 54, 1) === 1,
+        lat: ModeSDecoder.getBits(bytes, 55, 17) / CPR_MAX,
+        lon: ModeSDecoder.getBits(bytes, 72, 17) / CPR_MAX,
+        time: now
+      });
+      if (position) {
+        update.lat = position.lat;
+        update.lon = position.lon;
+      }
+    } else if (tc === 19) {
+      Object.assign(update, ModeSDecoder.decodeVelocity(bytes));
+    }
+
+    return update;
+  }
+
+  /**
+   * Resolve a CPR frame with its counterpart (global) or the last known position (local)
+   */
+  decodeAirbornePosition(icao24, frame) {
+    const state = this.cpr.get(icao24) || { even: null, odd: null, position: null };
+    state[frame.odd ? 'odd' : 'even'] = frame;
+    this.cpr.set(icao24, state);
+
+    let position = null;
+    const other = frame.odd ? state.even : state.odd;
+
+    if (other && frame.time - other.time <= this.cprPairTimeout) {
+      position = ModeSDecoder.globalCPR(state.even, state.odd, frame.odd);
+    }
+
+    if (!position && state.position && frame.time - state.position.time <= this.referenceTimeout) {
+      position = ModeSDecoder.localCPR(frame, state.position);
+    }
+
+    if (position) {
+      state.position = { ...position, time: frame.time };
+    }
+    return position;
+  }
+
+  /**
+   * Forget CPR state for aircraft not heard from recently
+   */
+  prune(now = Date.now()) {
+    for (const [icao24, state] of this.cpr) {
+      const last = Math.max(state.even?.time || 0, state.odd?.time || 0);
+      if (now - last > this.referenceTimeout) {
+        this.cpr.delete(icao24);
+      }
+    }
+    for (const [icao24, seen] of this.knownAddresses) {
+      if (now - seen > this.knownAddressTimeout) {
+        this.knownAddresses.delete(icao24);
+      }
+    }
+  }
+
+  reset() {
+    this.cpr.clear();
+    this.knownAddresses.clear();
+    this.beastBuffer = Buffer.alloc(0);
+  }
+
+  getStats() {
+    return { ...this.stats, trackedCpr: this.cpr.size, knownAddresses: this.knownAddresses.size };
+  }
+
+  /**
+   * Read `count` bits starting at 1-based bit `first` of the message
+   */
+  static getBits(bytes, first, count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      const bit = first - 1 + i;
+      value = value * 2 + ((bytes[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+    return value;
+  }
+
+  static hexAddress(bytes, offset) {
+    return bytes.slice(offset, offset + 3).toString('hex').toUpperCase();
+  }
+
+  /**
+   * CRC remainder XOR parity: 0 for a clean DF17, the address for DF4/5/20/21
+   */
+  static crcResidual(bytes) {
+    let crc = 0;
+    for (let i = 0; i < bytes.length - 3; i++) {
+      crc ^= bytes[i] << 16;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x800000 ? ((crc << 1) ^ CRC_GENERATOR) & 0xFFFFFF : (crc << 1) & 0xFFFFFF;
+      }
+    }
+
+    const parity = (bytes[bytes.length - 3] << 16) | (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+    return (crc ^ parity) & 0xFFFFFF;
+  }
+
+  /**
+   * 12 bit altitude from an airborne position (25ft increments only)
+   */
+  static decodeAC12(code) {
+    if (!(code & 0x10)) {
+      return null;
+    }
+    const n = ((code & 0xFE0) >> 1) | (code & 0x0F);
+    return n * 25 - 1000;
+  }
+
+  /**
+   * 13 bit altitude from surveillance replies (25ft increments only)
+   */
+  static decodeAC13(code) {
+    if (code & 0x40 || !(code & 0x10)) {
+      return null;
+    }
+    const n = ((code & 0x1F80) >> 2) | ((code & 0x20) >> 1) | (code & 0x0F);
+    return n * 25 - 1000;
+  }
+
+  /**
+   * 13 bit Gillham identity code to a four digit squawk
+   */
+  static decodeIdentity(code) {
+    const bit = index => (code >> (12 - index)) & 1;
+    const a = bit(1) | (bit(3) << 1) | (bit(5) << 2);
+    const b = bit(7) | (bit(9) << 1) | (bit(11) << 2);
+    const c = bit(0) | (bit(2) << 1) | (bit(4) << 2);
+    const d = bit(8) | (bit(10) << 1) | (bit(12) << 2);
+    return `${a}${b}${c}${d}`;
+  }
+
+  /**
+   * Ground speed, track and vertical rate from a TC19 subtype 1/2 message
+   */
+  static decodeVelocity(bytes) {
+    const subtype = ModeSDecoder.getBits(bytes, 38, 3);
+    const result = {};
+
+    if (subtype === 1 || subtype === 2) {
+      const ewRaw = ModeSDecoder.getBits(bytes, 47, 10);
+      const nsRaw = ModeSDecoder.getBits(bytes, 58, 10);
+
+      if (ewRaw > 0 && nsRaw > 0) {
+        const factor = subtype === 2 ? 4 : 1;
+        const ew = (ewRaw - 1) * factor * (ModeSDecoder.getBits(bytes, 46, 1) ? -1 : 1);
+        const ns = (nsRaw - 1) * factor * (ModeSDecoder.getBits(bytes, 57, 1) ? -1 : 1);
+
+        result.speed = Math.round(Math.sqrt(ew * ew + ns * ns) * 10) / 10;
+        result.track = Math.round(((Math.atan2(ew, ns) * 180 / Math.PI + 360) % 360) * 10) / 10;
+      }
+    }
+
+    const vrRaw = ModeSDecoder.getBits(bytes, 70, 9);
+    if (vrRaw > 0) {
+      result.verticalRate = (vrRaw - 1) * 64 * (ModeSDecoder.getBits(bytes, 69, 1) ? -1 : 1);
+    }
+
+    return result;
+  }
+
+  /**
+   * Number of longitude zones at a latitude
+   */
+  static cprNL(lat) {
+    const absLat = Math.abs(lat);
+    if (absLat === 0) return 59;
+    if (absLat === 87) return 2;
+    if (absLat > 87) return 1;
+
+    const a = 1 - Math.cos(Math.PI / (2 * CPR_NZ));
+    const b = Math.cos(Math.PI / 180 * absLat) ** 2;
+    return Math.floor(2 * Math.PI / Math.acos(1 - a / b));
+  }
+
+  static cprMod(a, b) {
+    return a - b * Math.floor(a / b);
+  }
+
+  /**
+   * Globally unambiguous decode from an even/odd pair
+   */
+  static globalCPR(even, odd, latestIsOdd) {
+    const dLatEven = 360 / 60;
+    const dLatOdd = 360 / 59;
+    const j = Math.floor(59 * even.lat - 60 * odd.lat + 0.5);
+
+    let latEven = dLatEven * (ModeSDecoder.cprMod(j, 60) + even.lat);
+    let latOdd = dLatOdd * (ModeSDecoder.cprMod(j, 59) + odd.lat);
+    if (latEven >= 270) latEven -= 360;
+    if (latOdd >= 270) latOdd -= 360;
+
+    // Both frames must be in the same longitude zone band
+    if (ModeSDecoder.cprNL(latEven) !== ModeSDecoder.cprNL(latOdd)) {
+      return null;
+    }
+
+    const lat = latestIsOdd ? latOdd : latEven;
+    const nl = ModeSDecoder.cprNL(lat);
+    const ni = Math.max(latestIsOdd ? nl - 1 : nl, 1);
+    const m = Math.floor(even.lon * (nl - 1) - odd.lon * nl + 0.5);
+    let lon = (360 / ni) * (ModeSDecoder.cprMod(m, ni) + (latestIsOdd ? odd.lon : even.lon));
+    if (lon >= 180) lon -= 360;
+
+    return { lat: Math.round(lat * 100000) / 100000, lon: Math.round(lon * 100000) / 100000 };
+  }
+
+  /**
+   * Decode relative to a reference position within 180NM
+   */
+  static localCPR(frame, reference) {
+    const dLat = 360 / (frame.odd ? 59 : 60);
+    const j = Math.floor(reference.lat / dLat) +
+      Math.floor(0.5 + ModeSDecoder.cprMod(reference.lat, dLat) / dLat - frame.lat);
+    const lat = dLat * (j + frame.lat);
+
+    const ni = Math.max(ModeSDecoder.cprNL(lat) - (frame.odd ? 1 : 0), 1);
+    const dLon = 360 / ni;
+    const m = Math.floor(reference.lon / dLon) +
+      Math.floor(0.5 + ModeSDecoder.cprMod(reference.lon, dLon) / dLon - frame.lon);
+    const lon = dLon * (m + frame.lon);
+
+    return { lat: Math.round(lat * 100000) / 100000, lon: Math.round(lon * 100000) / 100000 };
+  }
+}
+
+module.exports = ModeSDecoder;
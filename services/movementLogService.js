@@ -0,0 +1,584 @@
+const winston = require('winston');
+
+/**
+ * Movement Log Service
+ *
+ * Persists airport movements (landings, takeoffs, go-arounds and
+ * touch-and-gos) reported by airport connectors to the babelfish database,
+ * with the registration and type looked up from BaseStation, and builds
+ * daily/monthly reports, runway-in-use history and busiest-hour statistics
+ * from them. Reports group by the airport's local day and hour.
+ */
+
+const MOVEMENT_TYPES = ['landing', 'takeoff', 'go_around', 'touch_and_go'];
+
+const CSV_COLUMNS = [
+  { key: 'time', label: 'Time' },
+  { key: 'airport', label: 'Airport' },
+  { key: 'movementType', label: 'Movement' },
+  { key: 'runway', label: 'Runway' },
+  { key: 'callsign', label: 'Callsign' },
+  { key: 'registration', label: 'Registration' },
+  { key: 'aircraftType', label: 'Type' },
+  { key: 'aircraftDescription', label: 'Aircraft' },
+  { key: 'operator', label: 'Operator' },
+  { key: 'icao24', label: 'ICAO24' }
+];
+
+class MovementLogService {
+  constructor(config = {}, logger = null) {
+    this.config = {
+      // Ignore the same movement for the same aircraft repeated within this window (ms)
+      dedupeWindow: config.dedupeWindow || 300000,
+      timeZone: config.timeZone || 'Europe/London',
+      // Rows per query; reports page through every movement in their range
+      maxResults: config.maxResults || 10000
+    };
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.aircraftDataService = null;
+    this.eventBus = null;
+    this.initialized = false;
+
+    // ICAO -> { timeZone, handlers }
+    this.airports = new Map();
+    this.lastRecorded = new Map();
+
+    this.stats = { recorded: 0, duplicates: 0, errors: 0, lastMovement: null };
+  }
+
+  /**
+   * Movements are stored in the aircraft data service's babelfish database
+   */
+  setAircraftDataService(aircraftDataService) {
+    this.aircraftDataService = aircraftDataService;
+  }
+
+  setEventBus(eventBus) {
+    this.eventBus = eventBus;
+  }
+
+  /**
+   * Create the movements table
+   */
+  async initialize() {
+    if (!this.aircraftDataService) {
+      throw new Error('Aircraft data service not available');
+    }
+
+    await this.aircraftDataService.runQuery(`CREATE TABLE IF NOT EXISTS airport_movements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      airport TEXT NOT NULL,
+      movement_type TEXT NOT NULL,
+      icao24 TEXT NOT NULL,
+      callsign TEXT,
+      registration TEXT,
+      aircraft_type TEXT,
+      aircraft_description TEXT,
+      operator TEXT,
+      runway TEXT,
+      time DATETIME NOT NULL,
+      altitude INTEGER,
+      speed REAL,
+      heading REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await this.aircraftDataService.runQuery('CREATE INDEX IF NOT EXISTS idx_airport_movements_airport_time ON airport_movements(airport, time)');
+    await this.aircraftDataService.runQuery('CREATE INDEX IF NOT EXISTS idx_airport_movements_icao24 ON airport_movements(icao24)');
+
+    this.initialized = true;
+    this.logger.info('Movement log initialized');
+  }
+
+  /**
+   * Record movements announced by an airport connector on the event bus
+   */
+  attachAirport(connector) {
+    if (!this.eventBus) {
+      throw new Error('Event bus not available');
+    }
+
+    const { icao, eventPrefix, timeZone } = connector.profile;
+    if (this.airports.has(icao)) {
+      return;
+    }
+
+    const handlers = {};
+    for (const movementType of MOVEMENT_TYPES) {
+      handlers[movementType] = (event) => {
+        this.recordMovement(icao, movementType, event.data || {}, event.timestamp).catch(error => {
+          this.stats.errors++;
+          this.logger.error('Failed to record movement', { airport: icao, movementType, error: error.message });
+        });
+      };
+      this.eventBus.on(`${eventPrefix}:${movementType}`, handlers[movementType]);
+    }
+
+    this.airports.set(icao, { eventPrefix, timeZone: timeZone || this.config.timeZone, handlers });
+    this.logger.info(`Movement log attached to ${icao}`);
+  }
+
+  detachAirport(icao) {
+    const airport = this.airports.get(icao);
+    if (!airport) return;
+
+    for (const [movementType, handler] of Object.entries(airport.handlers)) {
+      this.eventBus.removeListener(`${airport.eventPrefix}:${movementType}`, handler);
+    }
+    this.airports.delete(icao);
+  }
+
+  /**
+   * Persist one movement; returns null for duplicates
+   */
+  async recordMovement(airport, movementType, data, time = new Date()) {
+    if (!this.initialized) {
+      throw new Error('Movement log not initialized');
+    }
+    if (!MOVEMENT_TYPES.includes(movementType)) {
+      throw new Error(`Unknown movement type: ${movementType}`);
+    }
+    if (!data.icao24) {
+      throw new Error('icao24 is required');
+    }
+
+    const icao24 = data.icao24.toUpperCase();
+    const timestamp = new Date(time || Date.now());
+    const key = `${airport}:${icao24}:${movementType}`;
+    const last = this.lastRecorded.get(key);
+    if (last && Math.abs(timestamp - last) < this.config.dedupeWindow) {
+      this.stats.duplicates++;
+      return null;
+    }
+    // Claim the key now so concurrent repeats are dropped; release it if the insert fails
+    this.lastRecorded.set(key, timestamp.getTime());
+    this.pruneDedupe(timestamp.getTime());
+
+    const registration = await this.lookupRegistration(icao24);
+    const movement = {
+      airport,
+      movementType,
+      icao24,
+      callsign: data.callsign ? data.callsign.trim() : null,
+      registration: data.registration || registration?.registration || null,
+      aircraftType: data.icaoTypeCode || registration?.icaoTypeCode || null,
+      aircraftDescription: data.type || registration?.type || null,
+      operator: data.operatorFlagCode || registration?.operatorFlagCode || null,
+      runway: data.runway && data.runway !== 'unknown' ? data.runway : null,
+      time: timestamp.toISOString(),
+      altitude: typeof data.altitude === 'number' ? Math.round(data.altitude) : null,
+      speed: typeof data.speed === 'number' ? data.speed : null,
+      heading: typeof data.heading === 'number' ? data.heading : null
+    };
+
+    let result;
+    try {
+      result = await this.aircraftDataService.runQuery(
+        `INSERT INTO airport_movements
+          (airport, movement_type, icao24, callsign, registration, aircraft_type, aircraft_description, operator, runway, time, altitude, speed, heading)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [movement.airport, movement.movementType, movement.icao24, movement.callsign, movement.registration, movement.aircraftType,
+          movement.aircraftDescription, movement.operator, movement.runway, movement.time, movement.altitude, movement.speed, movement.heading]
+      );
+    } catch (error) {
+      if (this.lastRecorded.get(key) === timestamp.getTime()) {
+        if (last) {
+          this.lastRecorded.set(key, last);
+        } else {
+          this.lastRecorded.delete(key);
+        }
+      }
+      throw error;
+    }
+    movement.id = result.lastID;
+
+    this.stats.recorded++;
+    this.stats.lastMovement = movement.time;
+    this.logger.info(`Movement logged: ${movementType}`, {
+      airport,
+      icao24,
+      callsign: movement.callsign,
+      runway: movement.runway
+    });
+
+    return movement;
+  }
+
+  /**
+   * Registration and type from BaseStation, if available
+   */
+  async lookupRegistration(icao24) {
+    try {
+      return await this.aircraftDataService.getAircraftRegistration(icao24);
+    } catch (error) {
+      this.logger.debug('Registration lookup failed', { icao24, error: error.message });
+      return null;
+    }
+  }
+
+  pruneDedupe(now) {
+    if (this.lastRecorded.size < 1000) return;
+    for (const [key, time] of this.lastRecorded) {
+      if (now - time > this.config.dedupeWindow) {
+        this.lastRecorded.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Movements in a time range, oldest first, up to options.limit (capped at maxResults)
+   */
+  async getMovements(options = {}) {
+    const { conditions, params } = this.buildFilter(options);
+    const limit = Math.min(parseInt(options.limit) || this.config.maxResults, this.config.maxResults);
+    const rows = await this.aircraftDataService.getAllQuery(
+      `SELECT * FROM airport_movements WHERE ${conditions.join(' AND ')} ORDER BY time ASC, id ASC LIMIT ?`,
+      [...params, limit]
+    );
+    return rows.map(row => this.toMovement(row));
+  }
+
+  /**
+   * Every movement in a time range, oldest first, read maxResults rows at a time
+   */
+  async getAllMovements(options = {}) {
+    const { conditions, params } = this.buildFilter(options);
+    const movements = [];
+    let last = null;
+
+    for (;;) {
+      const pageConditions = [...conditions];
+      const pageParams = [...params];
+      if (last) {
+        pageConditions.push('(time > ? OR (time = ? AND id > ?))');
+        pageParams.push(last.time, last.time, last.id);
+      }
+
+      const rows = await this.aircraftDataService.getAllQuery(
+        `SELECT * FROM airport_movements WHERE ${pageConditions.join(' AND ')} ORDER BY time ASC, id ASC LIMIT ?`,
+        [...pageParams, this.config.maxResults]
+      );
+      movements.push(...rows.map(row => this.toMovement(row)));
+      if (rows.length < this.config.maxResults) {
+        return movements;
+      }
+      last = rows[rows.length - 1];
+    }
+  }
+
+  /**
+   * WHERE conditions and parameters for the movement filters
+   */
+  buildFilter(options) {
+    const conditions = ['airport = ?'];
+    const params = [(options.airport || 'EGPK').toUpperCase()];
+
+    if (options.from) {
+      conditions.push('time >= ?');
+      params.push(this.toISO(options.from));
+    }
+    if (options.to) {
+      conditions.push('time < ?');
+      params.push(this.toISO(options.to));
+    }
+    if (options.type) {
+      conditions.push('movement_type = ?');
+      params.push(options.type);
+    }
+    if (options.runway) {
+      conditions.push('runway = ?');
+      params.push(options.runway);
+    }
+    if (options.icao24) {
+      conditions.push('icao24 = ?');
+      params.push(options.icao24.toUpperCase());
+    }
+
+    return { conditions, params };
+  }
+
+  toMovement(row) {
+    return {
+      id: row.id,
+      airport: row.airport,
+      movementType: row.movement_type,
+      icao24: row.icao24,
+      callsign: row.callsign,
+      registration: row.registration,
+      aircraftType: row.aircraft_type,
+      aircraftDescription: row.aircraft_description,
+      operator: row.operator,
+      runway: row.runway,
+      time: row.time,
+      altitude: row.altitude,
+      speed: row.speed,
+      heading: row.heading
+    };
+  }
+
+  /**
+   * Report for one local day (YYYY-MM-DD)
+   */
+  async getDailyReport(airport, date, options = {}) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      throw new Error('date must be YYYY-MM-DD');
+    }
+
+    const timeZone = this.getTimeZone(airport, options.timeZone);
+    const start = Date.parse(`${date}T00:00:00Z`);
+    // Widen the UTC range by a day each side, then keep the local day
+    const movements = (await this.getAllMovements({ airport, from: start - 86400000, to: start + 2 * 86400000 }))
+      .filter(movement => this.getLocalParts(movement.time, timeZone).date === date);
+
+    return {
+      airport: airport.toUpperCase(),
+      period: 'daily',
+      date,
+      timeZone,
+      ...this.summarize(movements, timeZone),
+      runwaysInUse: this.buildRunwayHistory(movements),
+      movements
+    };
+  }
+
+  /**
+   * Report for one local month (YYYY-MM)
+   */
+  async getMonthlyReport(airport, month, options = {}) {
+    if (!/^\d{4}-\d{2}$/.test(month || '')) {
+      throw new Error('month must be YYYY-MM');
+    }
+
+    const timeZone = this.getTimeZone(airport, options.timeZone);
+    const movements = await this.getMonthlyMovements(airport, month, { timeZone });
+
+    const byDay = {};
+    for (const movement of movements) {
+      const day = this.getLocalParts(movement.time, timeZone).date;
+      byDay[day] = (byDay[day] || 0) + 1;
+    }
+    const busiestDay = Object.entries(byDay).reduce((best, [day, count]) => {
+      return !best || count > best.movements ? { date: day, movements: count } : best;
+    }, null);
+
+    return {
+      airport: airport.toUpperCase(),
+      period: 'monthly',
+      month,
+      timeZone,
+      ...this.summarize(movements, timeZone),
+      byDay,
+      busiestDay,
+      runwaysInUse: this.buildRunwayHistory(movements)
+    };
+  }
+
+  /**
+   * Movements in one local month (YYYY-MM)
+   */
+  async getMonthlyMovements(airport, month, options = {}) {
+    const timeZone = this.getTimeZone(airport, options.timeZone);
+    const [year, monthIndex] = month.split('-').map(Number);
+    const start = Date.UTC(year, monthIndex - 1, 1);
+    const end = Date.UTC(year, monthIndex, 1);
+    return (await this.getAllMovements({ airport, from: start - 86400000, to: end + 86400000 }))
+      .filter(movement => this.getLocalParts(movement.time, timeZone).month === month);
+  }
+
+  /**
+   * Periods during which each runway was in use, from consecutive movements
+   */
+  async getRunwayHistory(airport, from, to) {
+    const movements = await this.getAllMovements({ airport, from, to });
+    return this.buildRunwayHistory(movements);
+  }
+
+  buildRunwayHistory(movements) {
+    const periods = [];
+    for (const movement of movements) {
+      if (!movement.runway) continue;
+
+      const current = periods[periods.length - 1];
+      if (current && current.runway === movement.runway) {
+        current.to = movement.time;
+        current.movements++;
+      } else {
+        periods.push({ runway: movement.runway, from: movement.time, to: movement.time, movements: 1 });
+      }
+    }
+    return periods;
+  }
+
+  /**
+   * Busiest hours of the day and busiest individual hours in a range
+   */
+  async getBusiestHours(airport, from, to, options = {}) {
+    const timeZone = this.getTimeZone(airport, options.timeZone);
+    const movements = await this.getAllMovements({ airport, from, to });
+    const summary = this.summarize(movements, timeZone);
+
+    const slots = {};
+    for (const movement of movements) {
+      const parts = this.getLocalParts(movement.time, timeZone);
+      const slot = `${parts.date} ${String(parts.hour).padStart(2, '0')}:00`;
+      slots[slot] = (slots[slot] || 0) + 1;
+    }
+
+    return {
+      airport: airport.toUpperCase(),
+      timeZone,
+      total: movements.length,
+      byHourOfDay: summary.byHour
+        .map((count, hour) => ({ hour, movements: count }))
+        .filter(entry => entry.movements > 0)
+        .sort((a, b) => b.movements - a.movements || a.hour - b.hour),
+      busiestSlots: Object.entries(slots)
+        .map(([slot, count]) => ({ slot, movements: count }))
+        .sort((a, b) => b.movements - a.movements || a.slot.localeCompare(b.slot))
+        .slice(0, options.limit || 10)
+    };
+  }
+
+  /**
+   * Totals by type, runway and local hour
+   */
+  summarize(movements, timeZone) {
+    const byType = Object.fromEntries(MOVEMENT_TYPES.map(type => [type, 0]));
+    const byRunway = {};
+    const byHour = new Array(24).fill(0);
+
+    for (const movement of movements) {
+      byType[movement.movementType] = (byType[movement.movementType] || 0) + 1;
+      if (movement.runway) {
+        byRunway[movement.runway] = (byRunway[movement.runway] || 0) + 1;
+      }
+      byHour[this.getLocalParts(movement.time, timeZone).hour]++;
+    }
+
+    const peak = Math.max(0, ...byHour);
+    return {
+      total: movements.length,
+      byType,
+      byRunway,
+      byHour,
+      busiestHour: peak > 0 ? { hour: byHour.indexOf(peak), movements: peak } : null
+    };
+  }
+
+  /**
+   * Movements as CSV
+   */
+  toCSV(movements) {
+    const escape = value => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+    return [
+      CSV_COLUMNS.map(column => escape(column.label)).join(','),
+      ...movements.map(movement => CSV_COLUMNS.map(column => escape(movement[column.key])).join(','))
+    ].join('\n');
+  }
+
+  /**
+   * Layout-ready report (title, summary pairs and tables) for PDF rendering
+   */
+  toPrintable(report) {
+    const period = report.period === 'daily' ? report.date : report.month;
+    const tables = [
+      {
+        title: 'Movements by Runway',
+        columns: ['Runway', 'Movements'],
+        rows: Object.entries(report.byRunway).map(([runway, count]) => [runway, count])
+      },
+      {
+        title: 'Movements by Hour',
+        columns: ['Hour', 'Movements'],
+        rows: report.byHour.map((count, hour) => [`${String(hour).padStart(2, '0')}:00`, count]).filter(row => row[1] > 0)
+      },
+      {
+        title: 'Runways in Use',
+        columns: ['Runway', 'From', 'To', 'Movements'],
+        rows: report.runwaysInUse.map(period => [period.runway, period.from, period.to, period.movements])
+      }
+    ];
+
+    if (report.byDay) {
+      tables.push({
+        title: 'Movements by Day',
+        columns: ['Date', 'Movements'],
+        rows: Object.entries(report.byDay).map(([day, count]) => [day, count])
+      });
+    }
+    if (report.movements) {
+      tables.push({
+        title: 'Movement Log',
+        columns: CSV_COLUMNS.map(column => column.label),
+        rows: report.movements.map(movement => CSV_COLUMNS.map(column => movement[column.key] ?? ''))
+      });
+    }
+
+    return {
+      title: `${report.airport} ${report.period === 'daily' ? 'Daily' : 'Monthly'} Movements Report`,
+      subtitle: `${period} (${report.timeZone})`,
+      generatedAt: new Date().toISOString(),
+      summary: [
+        { label: 'Total movements', value: report.total },
+        { label: 'Landings', value: report.byType.landing },
+        { label: 'Takeoffs', value: report.byType.takeoff },
+        { label: 'Go-arounds', value: report.byType.go_around },
+        { label: 'Touch-and-gos', value: report.byType.touch_and_go },
+        { label: 'Busiest hour', value: report.busiestHour ? `${String(report.busiestHour.hour).padStart(2, '0')}:00 (${report.busiestHour.movements})` : '-' }
+      ],
+      tables
+    };
+  }
+
+  getTimeZone(airport, timeZone) {
+    return timeZone || this.airports.get((airport || '').toUpperCase())?.timeZone || this.config.timeZone;
+  }
+
+  /**
+   * Local date, month and hour of a time in a time zone
+   */
+  getLocalParts(time, timeZone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      hourCycle: 'h23'
+    });
+    for (const part of formatter.formatToParts(new Date(time))) {
+      parts[part.type] = part.value;
+    }
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      month: `${parts.year}-${parts.month}`,
+      hour: parseInt(parts.hour, 10)
+    };
+  }
+
+  toISO(time) {
+    const date = new Date(time);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid time: ${time}`);
+    }
+    return date.toISOString();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      airports: Array.from(this.airports.keys()),
+      config: this.config
+    };
+  }
+}
+
+MovementLogService.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+module.exports = MovementLogService;
@@ -0,0 +1,284 @@
+const EventEmitter = require('events');
+const winston = require('winston');
+const NOTAMParser = require('./notamParser');
+
+/**
+ * NOTAM Infringement Service
+ *
+ * Checks every tracked aircraft against the volumes of NOTAMs in force -
+ * restricted and danger areas, drone operations, parachuting, air displays
+ * and other navigation warnings - including their altitude bands and item D
+ * schedules. An aircraft entering a volume is published to the EventBus as
+ * notam:infringement with its penetration depth, and the NOTAM and track are
+ * highlighted on the radar until it leaves (notam:infringement:resolved).
+ */
+
+class NOTAMInfringementService extends EventEmitter {
+  constructor(config = {}, logger = null) {
+    super();
+
+    this.config = {
+      interval: config.interval || 5000,
+      // Ignore position data older than maxAge (ms)
+      maxAge: config.maxAge || 30000,
+      // Q-code subjects checked, as two-letter codes (WU) or subject groups (R)
+      subjects: config.subjects || ['R', 'W'],
+      // Ground elevation (ft AMSL) added to AGL limits; 0 compares them as if the ground were at sea level
+      groundElevationFt: config.groundElevationFt || 0,
+      // Q-line circles this wide (999 is the whole FIR) are not volumes worth checking
+      maxQLineRadiusNm: config.maxQLineRadiusNm || 100,
+      // Highlight the NOTAM and track on the radar while infringing
+      highlight: config.highlight !== false
+    };
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.aircraftFusionService = null;
+    this.adsbConnector = null;
+    this.notamConnector = null;
+    this.radarConnector = null;
+    this.eventBus = null;
+    this.probeTimer = null;
+
+    // icao24:notamId -> active infringement
+    this.infringements = new Map();
+
+    this.stats = { probes: 0, checks: 0, detected: 0, resolved: 0, lastProbe: null };
+  }
+
+  /**
+   * Use the fused aircraft picture when available
+   */
+  setAircraftFusionService(aircraftFusionService) {
+    this.aircraftFusionService = aircraftFusionService;
+  }
+
+  /**
+   * Fall back to a single ADSB connector's aircraft map
+   */
+  setADSBConnector(adsbConnector) {
+    this.adsbConnector = adsbConnector;
+  }
+
+  setNOTAMConnector(notamConnector) {
+    this.notamConnector = notamConnector;
+  }
+
+  setRadarConnector(radarConnector) {
+    this.radarConnector = radarConnector;
+  }
+
+  setEventBus(eventBus) {
+    this.eventBus = eventBus;
+  }
+
+  start() {
+    if (this.probeTimer) return;
+    this.probeTimer = setInterval(() => this.probe(), this.config.interval);
+    if (this.probeTimer.unref) this.probeTimer.unref();
+    this.logger.info('NOTAM infringement checks started', { interval: this.config.interval, subjects: this.config.subjects });
+  }
+
+  stop() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+
+  /**
+   * Airborne aircraft with a current position and altitude
+   */
+  getTraffic(now = Date.now()) {
+    let aircraft = [];
+    if (this.aircraftFusionService) {
+      aircraft = this.aircraftFusionService.getAircraft();
+    } else if (this.adsbConnector?.aircraft) {
+      aircraft = Array.from(this.adsbConnector.aircraft.values());
+    }
+
+    return aircraft.filter(ac => {
+      if (typeof ac.lat !== 'number' || typeof ac.lon !== 'number') return false;
+      if (typeof ac.altitude !== 'number' || ac.onGround || ac.isOnGround) return false;
+      const lastSeen = ac.last_seen || ac.timestamp;
+      return !lastSeen || now - new Date(lastSeen).getTime() <= this.config.maxAge;
+    });
+  }
+
+  /**
+   * NOTAMs in force now, with a volume and a subject we check. A volume
+   * taken from a FIR-wide Q-line radius would flag half the sky.
+   */
+  getActiveNOTAMs(now = Date.now()) {
+    if (!this.notamConnector) return [];
+
+    return this.notamConnector.getNOTAMs({ activeAt: new Date(now) }).filter(notam =>
+      notam.status !== 'expired' && notam.volume && notam.qLine &&
+      !(notam.volume.source === 'q-line' && notam.volume.radiusNm >= this.config.maxQLineRadiusNm) &&
+      this.config.subjects.some(subject => notam.qLine.subject.code.startsWith(subject))
+    );
+  }
+
+  /**
+   * Run one check of the current traffic picture against NOTAMs in force
+   */
+  probe(now = Date.now()) {
+    const traffic = this.getTraffic(now);
+    const notams = this.getActiveNOTAMs(now);
+    const found = new Map();
+
+    for (const aircraft of traffic) {
+      for (const notam of notams) {
+        const { bounds } = notam.volume;
+        if (aircraft.lat < bounds.south || aircraft.lat > bounds.north ||
+            aircraft.lon < bounds.west || aircraft.lon > bounds.east) continue;
+
+        this.stats.checks++;
+        const volume = NOTAMParser.toAMSL(notam.volume, this.config.groundElevationFt);
+        if (!NOTAMParser.contains(volume, aircraft, aircraft.altitude)) continue;
+
+        found.set(`${aircraft.icao24}:${notam.id}`, {
+          aircraft,
+          notam,
+          penetration: NOTAMParser.penetration(volume, aircraft, aircraft.altitude)
+        });
+      }
+    }
+
+    for (const [key, { aircraft, notam, penetration }] of found) {
+      const existing = this.infringements.get(key);
+      const infringement = {
+        id: existing ? existing.id : `infringement-${key}-${now}`,
+        key,
+        aircraft: this.summarize(aircraft),
+        notamId: notam.id,
+        notamNumber: notam.notamNumber,
+        qCode: notam.qLine.code,
+        subject: notam.qLine.subject.name,
+        title: notam.title,
+        limits: {
+          lowerFt: notam.volume.lowerFt,
+          upperFt: notam.volume.upperFt,
+          lowerReference: notam.volume.lowerReference,
+          upperReference: notam.volume.upperReference
+        },
+        penetration,
+        maxPenetration: existing ? {
+          lateralNm: Math.max(existing.maxPenetration.lateralNm, penetration.lateralNm),
+          verticalFt: Math.max(existing.maxPenetration.verticalFt, penetration.verticalFt)
+        } : { ...penetration },
+        firstDetected: existing ? existing.firstDetected : new Date(now).toISOString(),
+        lastUpdate: new Date(now).toISOString()
+      };
+      this.infringements.set(key, infringement);
+
+      if (!existing) {
+        this.stats.detected++;
+        this.highlight(infringement, notam, true);
+        this.publish('notam:infringement', infringement, 'detected');
+      }
+    }
+
+    for (const [key, infringement] of this.infringements) {
+      if (found.has(key)) continue;
+      this.infringements.delete(key);
+      this.stats.resolved++;
+      this.highlight(infringement, null, false);
+      this.publish('notam:infringement:resolved', { ...infringement, lastUpdate: new Date(now).toISOString() }, 'resolved');
+    }
+
+    this.stats.probes++;
+    this.stats.lastProbe = new Date(now).toISOString();
+    return this.getInfringements();
+  }
+
+  /**
+   * Highlight the NOTAM and track on the radar, clearing each once nothing else involves it
+   */
+  highlight(infringement, notam, on) {
+    if (!this.radarConnector || !this.config.highlight) return;
+
+    const { icao24 } = infringement.aircraft;
+    const active = this.getInfringements();
+    try {
+      if (on || !active.some(other => other.aircraft.icao24 === icao24)) {
+        this.radarConnector.highlightAircraft({ icao24, highlight: on });
+      }
+      if (on || !active.some(other => other.notamId === infringement.notamId)) {
+        // The radar only knows NOTAMs it has been given
+        if (notam && !this.radarConnector.notamData.has(notam.id)) {
+          this.radarConnector.updateNotamData([notam]);
+        }
+        if (this.radarConnector.notamData.has(infringement.notamId)) {
+          this.radarConnector.highlightNotam({ notamId: infringement.notamId, highlight: on });
+        }
+      }
+    } catch (error) {
+      this.logger.debug('Failed to update radar highlight for NOTAM infringement', { error: error.message });
+    }
+  }
+
+  /**
+   * Emit locally and publish to the EventBus for alarms and notifications
+   */
+  publish(type, infringement, status) {
+    const event = { ...infringement, status };
+    this.emit(type, event);
+
+    const log = status === 'resolved' ? 'info' : 'warn';
+    this.logger[log](`NOTAM infringement ${status}`, {
+      aircraft: infringement.aircraft.callsign || infringement.aircraft.icao24,
+      notam: infringement.notamNumber,
+      lateralNm: infringement.penetration.lateralNm,
+      verticalFt: infringement.penetration.verticalFt
+    });
+
+    if (this.eventBus) {
+      this.eventBus.publishEvent({
+        type,
+        source: 'notam-infringement',
+        timestamp: new Date().toISOString(),
+        data: event
+      }).catch(error => {
+        this.logger.debug('Failed to publish NOTAM infringement to event bus', { error: error.message });
+      });
+    }
+  }
+
+  summarize(aircraft) {
+    return {
+      icao24: aircraft.icao24,
+      callsign: aircraft.callsign || null,
+      lat: aircraft.lat,
+      lon: aircraft.lon,
+      altitude: aircraft.altitude,
+      speed: typeof aircraft.speed === 'number' ? aircraft.speed : null,
+      track: typeof aircraft.track === 'number' ? aircraft.track : null
+    };
+  }
+
+  getInfringements() {
+    return Array.from(this.infringements.values());
+  }
+
+  /**
+   * Active infringements by one aircraft
+   */
+  getInfringementsFor(icao24) {
+    return this.getInfringements().filter(infringement => infringement.aircraft.icao24 === icao24);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      active: this.infringements.size,
+      config: this.config
+    };
+  }
+}
+
+module.exports = NOTAMInfringementService;
@@ -0,0 +1,711 @@
+/**
+ * NOTAM Parser
+ *
+ * Decodes the parts of an ICAO NOTAM that say where and when it applies:
+ *
+ *   Q)  FIR/QCODE/TRAFFIC/PURPOSE/SCOPE/LOWER/UPPER/CENTRE+RADIUS
+ *   D)  day/time schedule within the validity period ("DAILY 0800-1700")
+ *   E)  plain text, searched for polygons and circles of coordinates
+ *   F)  G)  lower and upper limits ("SFC", "2000FT AMSL", "FL195")
+ *
+ * Fields may be given as ICAO text or as the XML elements of a PIB (QLine
+ * with FIR, Code23, Code45 ... and Coordinates/Radius beside it); element
+ * names are matched case-insensitively since the NOTAM connector parses XML
+ * leniently and gets them uppercased.
+ *
+ * A volume is a circle (centre, radiusNm) or polygon (points) with lowerFt
+ * and upperFt, and the reference each is measured from (SFC, AGL, AMSL, FL,
+ * UNL). Schedules expand to UTC active periods; a schedule that
+ * cannot be fully understood is reported unparsed and the NOTAM is treated
+ * as active for its whole validity.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const NM_TO_KM = 1.852;
+const UNLIMITED_FT = 99900;
+const CIRCLE_SEGMENTS = 36;
+const DAY_MS = 86400000;
+const SCHEDULE_HORIZON_DAYS = 90;
+const MAX_PERIODS = 2000;
+
+const COORDINATE = '(\\d{2})(\\d{2})(\\d{2}(?:\\.\\d+)?)?([NS])\\s*(\\d{3})(\\d{2})(\\d{2}(?:\\.\\d+)?)?([EW])';
+const DISTANCE = '(\\d+(?:\\.\\d+)?)\\s*(NM|KM|M)';
+const CIRCLE_PATTERNS = [
+  new RegExp(`${DISTANCE}\\s+RADIUS\\s+(?:OF\\s+)?(?:(?:CENTRED|CENTERED|CENTRE|CENTER)\\s+)?(?:(?:ON|AT)\\s+)?${COORDINATE}`),
+  new RegExp(`RADIUS\\s+(?:OF\\s+)?${DISTANCE}\\s+(?:(?:CENTRED|CENTERED|CENTRE|CENTER)\\s+)?(?:(?:ON|AT)\\s+)?${COORDINATE}`)
+];
+
+// Q-code letters 2-3: the subject
+const Q_SUBJECT_GROUPS = {
+  A: 'Airspace organisation',
+  C: 'Communications and surveillance',
+  F: 'Facilities and services',
+  G: 'GNSS services',
+  I: 'ILS and MLS',
+  L: 'Lighting facilities',
+  M: 'Movement and landing area',
+  N: 'Navigation facilities',
+  O: 'Other information',
+  P: 'Air traffic procedures',
+  R: 'Airspace restrictions',
+  S: 'Air traffic services',
+  W: 'Navigation warnings'
+};
+
+const Q_SUBJECTS = {
+  AA: 'Minimum altitude', AC: 'Control zone', AD: 'Air defence identification zone', AE: 'Control area',
+  AF: 'Flight information region', AH: 'Upper control area', AN: 'Area navigation route', AO: 'Oceanic control area',
+  AR: 'ATS route', AT: 'Terminal control area', AU: 'Upper flight information region', AZ: 'Aerodrome traffic zone',
+  CA: 'Air/ground facility', CE: 'En-route surveillance radar', CP: 'Precision approach radar', CS: 'Secondary surveillance radar',
+  CT: 'Terminal area surveillance radar', FA: 'Aerodrome', FF: 'Fire fighting and rescue', FH: 'Helicopter alighting area',
+  FU: 'Fuel availability', GA: 'GNSS aerodrome-specific operations', GW: 'GNSS area-wide operations',
+  IC: 'Instrument landing system', ID: 'DME associated with ILS', IG: 'Glide path (ILS)', IL: 'Localizer (ILS)',
+  LA: 'Approach lighting system', LH: 'High intensity runway lights', LI: 'Runway end identifier lights', LP: 'PAPI',
+  LR: 'All landing area lighting facilities', LT: 'Threshold lights', LX: 'Taxiway centre line lights',
+  MA: 'Movement area', MD: 'Declared distances', MK: 'Parking area', MN: 'Apron', MR: 'Runway', MS: 'Stopway',
+  MT: 'Threshold', MX: 'Taxiway', NB: 'Non-directional radio beacon', ND: 'DME', NM: 'VOR/DME', NT: 'TACAN',
+  NV: 'VOR', OA: 'Aeronautical information service', OB: 'Obstacle', OE: 'Aircraft entry requirements',
+  OL: 'Obstacle lights', OR: 'Rescue coordination centre', PA: 'Standard instrument arrival', PD: 'Standard instrument departure',
+  PF: 'Flow control procedure', PH: 'Holding procedure', PI: 'Instrument approach procedure', PO: 'Obstacle clearance altitude and height',
+  PR: 'Radio failure procedure', RA: 'Airspace reservation', RD: 'Danger area', RM: 'Military operating area',
+  RO: 'Overflying of', RP: 'Prohibited area', RR: 'Restricted area', RT: 'Temporary restricted area',
+  SA: 'Automatic terminal information service', SC: 'Area control centre', SE: 'Flight information service',
+  SF: 'Aerodrome flight information service', SL: 'Flow control centre', SP: 'Approach control service', ST: 'Aerodrome control tower',
+  WA: 'Air display', WB: 'Aerobatics', WC: 'Captive balloon or kite', WD: 'Demolition of explosives', WE: 'Exercises',
+  WF: 'Air refuelling', WG: 'Glider flying', WH: 'Blasting', WJ: 'Banner or target towing', WL: 'Ascent of free balloon',
+  WM: 'Missile, gun or rocket firing', WP: 'Parachute jumping exercise', WR: 'Radioactive materials or toxic chemicals',
+  WS: 'Burning or blowing gas', WT: 'Mass movement of aircraft', WU: 'Unmanned aircraft', WV: 'Formation flight',
+  WW: 'Significant volcanic activity', WZ: 'Model flying'
+};
+
+// Q-code letters 4-5: the condition
+const Q_CONDITION_GROUPS = {
+  A: 'Availability',
+  C: 'Changes',
+  H: 'Hazard conditions',
+  L: 'Limitations',
+  X: 'Other'
+};
+
+const Q_CONDITIONS = {
+  AC: 'Withdrawn for maintenance', AD: 'Available for daylight operation', AF: 'Flight checked and found reliable',
+  AH: 'Hours of service are', AK: 'Resumed normal operation', AL: 'Operative subject to previous conditions',
+  AM: 'Military operations only', AN: 'Available for night operation', AO: 'Operational', AP: 'Available on prior permission only',
+  AR: 'Available on request', AS: 'Unserviceable', AU: 'Not available', AW: 'Completely withdrawn',
+  CA: 'Activated', CC: 'Completed', CD: 'Deactivated', CE: 'Erected', CF: 'Operating frequency changed',
+  CG: 'Downgraded', CH: 'Changed', CI: 'Identification or radio call sign changed', CL: 'Realigned', CM: 'Displaced',
+  CN: 'Cancelled', CO: 'Operating', CP: 'Operating on reduced power', CR: 'Temporarily replaced by', CS: 'Installed',
+  CT: 'On test, do not use', HA: 'Braking action is', HB: 'Friction coefficient is', HG: 'Grass cutting in progress',
+  HV: 'Work completed', HW: 'Work in progress', HX: 'Concentration of birds', LB: 'Reserved for aircraft based therein',
+  LC: 'Closed', LF: 'Interference from', LH: 'Unserviceable for aircraft heavier than', LI: 'Closed to IFR operations',
+  LK: 'Operating as a fixed light', LL: 'Usable for length of', LN: 'Closed to all night operations', LP: 'Prohibited to',
+  LR: 'Aircraft restricted to runways and taxiways', LS: 'Subject to interruption', LT: 'Limited to', LV: 'Closed to VFR operations',
+  LW: 'Will take place', LX: 'Operating but caution advised', XX: 'Plain language'
+};
+
+const TRAFFIC = { I: 'IFR', V: 'VFR', K: 'checklist' };
+const PURPOSE = { N: 'immediate attention', B: 'PIB entry', O: 'operationally significant', M: 'miscellaneous', K: 'checklist' };
+const SCOPE = { A: 'aerodrome', E: 'en-route', W: 'navigation warning', K: 'checklist' };
+
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+class NOTAMParser {
+  /**
+   * Look up an element field regardless of case
+   */
+  static field(element, name) {
+    if (!element || typeof element !== 'object') return undefined;
+    if (element[name] !== undefined) return element[name];
+
+    const key = Object.keys(element).find(candidate => candidate.toLowerCase() === name.toLowerCase());
+    return key ? element[key] : undefined;
+  }
+
+  /**
+   * Decode where and when a NOTAM element applies
+   */
+  static decode(element, { startTime = null, endTime = null, now = new Date() } = {}) {
+    const qLine = this.parseQLine(this.field(element, 'QLine') || this.field(element, 'ItemQ'), {
+      coordinates: this.field(element, 'Coordinates'),
+      radius: this.field(element, 'Radius')
+    });
+
+    const volume = this.buildVolume({
+      qLine,
+      text: this.field(element, 'ItemE'),
+      lower: this.field(element, 'ItemF'),
+      upper: this.field(element, 'ItemG')
+    });
+
+    const schedule = this.parseSchedule(this.field(element, 'ItemD'), startTime, endTime, { now });
+
+    return { qLine, volume, schedule };
+  }
+
+  /**
+   * Parse a Q-line from "EGTT/QWULW/IV/M/W/000/020/5130N00010W002" or its XML fields
+   */
+  static parseQLine(input, { coordinates = null, radius = null } = {}) {
+    if (!input) return null;
+
+    let fir, code, traffic, purpose, scope, lower, upper;
+
+    if (typeof input === 'string') {
+      const parts = input.replace(/^\s*Q\)\s*/i, '').trim().toUpperCase().split('/').map(part => part.trim());
+      [fir, code, traffic, purpose, scope, lower, upper] = parts;
+
+      const position = /^(\d{4}[NS]\d{5}[EW])(\d{3})?$/.exec(parts[7] || '');
+      if (position) {
+        coordinates = coordinates || position[1];
+        radius = radius !== null && radius !== undefined ? radius : position[2];
+      }
+    } else if (typeof input === 'object') {
+      const value = name => {
+        const found = this.field(input, name);
+        return found === undefined || found === null ? '' : String(found).trim().toUpperCase();
+      };
+      fir = value('FIR');
+      code = `Q${value('Code23')}${value('Code45')}`;
+      traffic = value('Traffic');
+      purpose = value('Purpose');
+      scope = value('Scope');
+      lower = value('Lower');
+      upper = value('Upper');
+      coordinates = coordinates || this.field(input, 'Coordinates');
+      radius = radius !== null && radius !== undefined ? radius : this.field(input, 'Radius');
+    } else {
+      return null;
+    }
+
+    if (!/^Q[A-Z]{4}$/.test(code || '')) return null;
+
+    const subjectCode = code.substring(1, 3);
+    const conditionCode = code.substring(3, 5);
+    const lowerFL = this.parseFlightLevel(lower);
+    const upperFL = this.parseFlightLevel(upper);
+    const radiusNm = parseInt(radius, 10);
+
+    return {
+      fir: fir || null,
+      code,
+      subject: {
+        code: subjectCode,
+        name: Q_SUBJECTS[subjectCode] || null,
+        group: Q_SUBJECT_GROUPS[subjectCode[0]] || null
+      },
+      condition: {
+        code: conditionCode,
+        name: Q_CONDITIONS[conditionCode] || null,
+        group: Q_CONDITION_GROUPS[conditionCode[0]] || null
+      },
+      traffic: this.decodeLetters(traffic, TRAFFIC),
+      purpose: this.decodeLetters(purpose, PURPOSE),
+      scope: this.decodeLetters(scope, SCOPE),
+      lowerFL,
+      upperFL,
+      lowerFt: lowerFL === null ? null : lowerFL * 100,
+      upperFt: upperFL === null ? null : (upperFL >= 999 ? UNLIMITED_FT : upperFL * 100),
+      center: coordinates ? this.parseCoordinate(String(coordinates)) : null,
+      radiusNm: Number.isNaN(radiusNm) ? null : radiusNm
+    };
+  }
+
+  static parseFlightLevel(value) {
+    const level = parseInt(value, 10);
+    return Number.isNaN(level) ? null : level;
+  }
+
+  static decodeLetters(value, table) {
+    return String(value || '').split('').filter(letter => table[letter]).map(letter => table[letter]);
+  }
+
+  /**
+   * Parse "5130N00010W" or "513000N 0001000W" style coordinates
+   */
+  static parseCoordinate(text) {
+    const match = new RegExp(`^\\s*${COORDINATE}`).exec(String(text).toUpperCase());
+    return match ? this.coordinateFromMatch(match, 1) : null;
+  }
+
+  static coordinateFromMatch(match, offset) {
+    const part = (degrees, minutes, seconds, hemisphere) => {
+      const value = parseInt(degrees, 10) + parseInt(minutes, 10) / 60 + (seconds ? parseFloat(seconds) / 3600 : 0);
+      return hemisphere === 'S' || hemisphere === 'W' ? -value : value;
+    };
+
+    const lat = part(match[offset], match[offset + 1], match[offset + 2], match[offset + 3]);
+    const lon = part(match[offset + 4], match[offset + 5], match[offset + 6], match[offset + 7]);
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+
+    return { lat: this.round(lat, 6), lon: this.round(lon, 6) };
+  }
+
+  /**
+   * Find a circle or polygon in E-field text
+   */
+  static parseItemE(text) {
+    if (!text) return null;
+    const upper = String(text).toUpperCase();
+
+    for (const pattern of CIRCLE_PATTERNS) {
+      const match = pattern.exec(upper);
+      if (match) {
+        const center = this.coordinateFromMatch(match, 3);
+        if (center) {
+          return { type: 'circle', center, radiusNm: this.toNauticalMiles(parseFloat(match[1]), match[2]) };
+        }
+      }
+    }
+
+    const points = [];
+    const pattern = new RegExp(`\\b${COORDINATE}`, 'g');
+    let match;
+    while ((match = pattern.exec(upper)) !== null) {
+      const point = this.coordinateFromMatch(match, 1);
+      if (point) points.push(point);
+    }
+
+    if (points.length > 1 && points[0].lat === points[points.length - 1].lat && points[0].lon === points[points.length - 1].lon) {
+      points.pop();
+    }
+
+    return points.length >= 3 ? { type: 'polygon', points } : null;
+  }
+
+  static toNauticalMiles(value, unit) {
+    if (unit === 'KM') return this.round(value / NM_TO_KM, 3);
+    if (unit === 'M') return this.round(value / (NM_TO_KM * 1000), 3);
+    return value;
+  }
+
+  /**
+   * Parse an F/G-field limit ("SFC", "GND", "2000FT AMSL", "300M AGL", "FL195", "UNL")
+   * to { ft, reference }, the reference being SFC, AGL, AMSL, FL or UNL
+   */
+  static parseAltitude(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return { ft: value, reference: 'AMSL' };
+
+    const text = String(value).toUpperCase().trim();
+    if (/^(SFC|GND)\b/.test(text)) return { ft: 0, reference: 'SFC' };
+    if (/^UNL/.test(text)) return { ft: UNLIMITED_FT, reference: 'UNL' };
+
+    const level = /^FL\s*(\d+)/.exec(text);
+    if (level) return { ft: parseInt(level[1], 10) * 100, reference: 'FL' };
+
+    const height = /^(\d+(?:\.\d+)?)\s*(FT|M)?\b\s*(AMSL|MSL|AGL|AAL|GND|SFC)?/.exec(text);
+    if (height) {
+      const amount = parseFloat(height[1]);
+      return {
+        ft: Math.round(height[2] === 'M' ? amount / 0.3048 : amount),
+        reference: ['AGL', 'AAL', 'GND', 'SFC'].includes(height[3]) ? 'AGL' : 'AMSL'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * A limit from the Q-line flight levels, used when item F or G is missing
+   */
+  static qLineLimit(ft) {
+    if (ft === 0) return { ft, reference: 'SFC' };
+    return { ft, reference: ft >= UNLIMITED_FT ? 'UNL' : 'FL' };
+  }
+
+  /**
+   * Build the 3D volume from the E-field area, falling back to the Q-line circle
+   */
+  static buildVolume({ qLine = null, text = null, lower = null, upper = null } = {}) {
+    const area = this.parseItemE(text);
+    let volume;
+
+    if (area && area.type === 'polygon') {
+      volume = { type: 'polygon', points: area.points, center: this.centroid(area.points), source: 'item-e' };
+    } else if (area) {
+      volume = { type: 'circle', center: area.center, radiusNm: area.radiusNm, source: 'item-e' };
+    } else if (qLine && qLine.center) {
+      volume = { type: 'circle', center: qLine.center, radiusNm: qLine.radiusNm || 1, source: 'q-line' };
+    } else {
+      return null;
+    }
+
+    const lowerLimit = this.parseAltitude(lower) || this.qLineLimit(qLine && qLine.lowerFt !== null ? qLine.lowerFt : 0);
+    const upperLimit = this.parseAltitude(upper) || this.qLineLimit(qLine && qLine.upperFt !== null ? qLine.upperFt : UNLIMITED_FT);
+    volume.lowerFt = lowerLimit.ft;
+    volume.upperFt = upperLimit.ft;
+    volume.lowerReference = lowerLimit.reference;
+    volume.upperReference = upperLimit.reference;
+    volume.bounds = this.volumeBounds(volume);
+
+    return volume;
+  }
+
+  static centroid(points) {
+    const sum = points.reduce((total, point) => ({ lat: total.lat + point.lat, lon: total.lon + point.lon }), { lat: 0, lon: 0 });
+    return { lat: this.round(sum.lat / points.length, 6), lon: this.round(sum.lon / points.length, 6) };
+  }
+
+  static volumeBounds(volume) {
+    const points = this.outline(volume);
+    return {
+      north: Math.max(...points.map(point => point.lat)),
+      south: Math.min(...points.map(point => point.lat)),
+      east: Math.max(...points.map(point => point.lon)),
+      west: Math.min(...points.map(point => point.lon))
+    };
+  }
+
+  /**
+   * Horizontal outline of a volume; circles are approximated by a polygon
+   */
+  static outline(volume, segments = CIRCLE_SEGMENTS) {
+    if (volume.type === 'polygon') return volume.points;
+
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+      points.push(this.destination(volume.center, (360 / segments) * i, volume.radiusNm * NM_TO_KM));
+    }
+    return points;
+  }
+
+  /**
+   * GeoJSON-style Polygon geometry with bounds, as the radar display expects
+   */
+  static toGeometry(volume) {
+    if (!volume) return null;
+
+    const ring = this.outline(volume).map(point => [point.lon, point.lat]);
+    ring.push(ring[0]);
+
+    return {
+      type: 'Polygon',
+      coordinates: [ring],
+      bounds: volume.bounds,
+      lowerFt: volume.lowerFt,
+      upperFt: volume.upperFt,
+      lowerReference: volume.lowerReference,
+      upperReference: volume.upperReference
+    };
+  }
+
+  /**
+   * The volume with its AGL limits raised by the ground elevation, so they
+   * compare with altitudes AMSL. Without one the ground is taken as sea level.
+   */
+  static toAMSL(volume, groundElevationFt = 0) {
+    if (!groundElevationFt) return volume;
+    return {
+      ...volume,
+      lowerFt: volume.lowerReference === 'AGL' ? volume.lowerFt + groundElevationFt : volume.lowerFt,
+      upperFt: volume.upperReference === 'AGL' ? volume.upperFt + groundElevationFt : volume.upperFt
+    };
+  }
+
+  /**
+   * Whether a position (and altitude in feet, if known) is inside a volume
+   */
+  static contains(volume, position, altitude = null) {
+    return this.distanceToVolume(volume, position) === 0 && this.verticalDistance(volume, altitude) === 0;
+  }
+
+  /**
+   * Horizontal distance in km from a position to the edge of a volume, 0 inside
+   */
+  static distanceToVolume(volume, position) {
+    if (volume.type === 'circle') {
+      const distance = this.distance(volume.center, position) - volume.radiusNm * NM_TO_KM;
+      return distance > 0 ? this.round(distance, 3) : 0;
+    }
+
+    if (this.insidePolygon(volume.points, position)) return 0;
+    return this.distanceToEdge(volume.points, position);
+  }
+
+  /**
+   * How far inside a volume a position is: NM from the nearest side and feet
+   * from the nearest vertical limit (null when altitude is unknown)
+   */
+  static penetration(volume, position, altitude = null) {
+    const lateral = volume.type === 'circle'
+      ? volume.radiusNm * NM_TO_KM - this.distance(volume.center, position)
+      : (this.insidePolygon(volume.points, position) ? this.distanceToEdge(volume.points, position) : 0);
+
+    let verticalFt = null;
+    if (altitude !== null && altitude !== undefined) {
+      const fromFloor = altitude - volume.lowerFt;
+      const fromCeiling = volume.upperFt >= UNLIMITED_FT ? Infinity : volume.upperFt - altitude;
+      verticalFt = Math.max(0, Math.round(Math.min(fromFloor, fromCeiling)));
+    }
+
+    return { lateralNm: this.round(Math.max(0, lateral) / NM_TO_KM, 2), verticalFt };
+  }
+
+  /**
+   * Distance in km from a position to the nearest side of a polygon
+   */
+  static distanceToEdge(points, position) {
+    // Project onto a local plane around the position to measure to each edge
+    const kmPerDegree = Math.PI * EARTH_RADIUS_KM / 180;
+    const cosLat = Math.cos(position.lat * Math.PI / 180);
+    const project = point => ({
+      x: (point.lon - position.lon) * kmPerDegree * cosLat,
+      y: (point.lat - position.lat) * kmPerDegree
+    });
+
+    let nearest = Infinity;
+    points.forEach((point, index) => {
+      const a = project(point);
+      const b = project(points[(index + 1) % points.length]);
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const lengthSquared = dx * dx + dy * dy;
+      const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+      nearest = Math.min(nearest, Math.hypot(a.x + t * dx, a.y + t * dy));
+    });
+
+    return this.round(nearest, 3);
+  }
+
+  /**
+   * Feet above or below the volume's vertical limits, 0 within them or when altitude is unknown
+   */
+  static verticalDistance(volume, altitude) {
+    if (altitude === null || altitude === undefined || Number.isNaN(Number(altitude))) return 0;
+    if (altitude < volume.lowerFt) return volume.lowerFt - altitude;
+    if (altitude > volume.upperFt) return altitude - volume.upperFt;
+    return 0;
+  }
+
+  static insidePolygon(points, position) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i];
+      const b = points[j];
+      if ((a.lat > position.lat) !== (b.lat > position.lat) &&
+          position.lon < (b.lon - a.lon) * (position.lat - a.lat) / (b.lat - a.lat) + a.lon) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Parse a B/C-field time "2606010800" (YYMMDDHHMM, optionally "EST") to ISO; PERM gives null
+   */
+  static parseDateTime(value) {
+    if (value === null || value === undefined) return null;
+
+    const match = /^(\d{10})(?:\s*EST)?$/.exec(String(value).trim().toUpperCase().padStart(10, '0'));
+    if (!match) return null;
+
+    const [year, month, day, hour, minute] = match[1].match(/\d{2}/g);
+    return `20${year}-${month}-${day}T${hour}:${minute}:00Z`;
+  }
+
+  /**
+   * Parse a D-field schedule into UTC active periods within the validity period
+   */
+  static parseSchedule(text, startTime, endTime, { now = new Date() } = {}) {
+    if (text === null || text === undefined || String(text).trim() === '') return null;
+
+    const schedule = { text: String(text).trim(), parsed: false, rules: [], periods: null };
+    const rules = this.parseScheduleRules(schedule.text);
+    const start = startTime ? new Date(startTime).getTime() : NaN;
+    if (!rules || Number.isNaN(start)) return schedule;
+
+    // Permanent and estimated NOTAMs are expanded a fixed horizon ahead
+    let end = endTime ? new Date(endTime).getTime() : NaN;
+    if (Number.isNaN(end)) {
+      end = Math.max(start, new Date(now).getTime()) + SCHEDULE_HORIZON_DAYS * DAY_MS;
+    }
+
+    schedule.parsed = true;
+    schedule.rules = rules;
+    schedule.periods = this.expandSchedule(rules, start, end);
+    return schedule;
+  }
+
+  /**
+   * Split a schedule into rules of day selectors and time windows (minutes of the UTC day)
+   */
+  static parseScheduleRules(text) {
+    const tokens = text.toUpperCase()
+      .replace(/\s*-\s*/g, '-')
+      .replace(/,/g, ' ')
+      .split(/\s+/)
+      .filter(token => token && token !== 'AND');
+
+    const rules = [];
+    let month = null;
+    let current = null;
+
+    const close = () => {
+      if (current) {
+        if (current.times.length === 0) current.times.push({ from: 0, to: 1440 });
+        rules.push(current);
+      }
+      current = null;
+    };
+    const open = () => {
+      if (current && current.times.length > 0) close();
+      if (!current) current = { daily: false, weekdays: [], dates: [], times: [] };
+      return current;
+    };
+
+    for (const token of tokens) {
+      const window = /^(\d{4})-(\d{4})$/.exec(token);
+      if (window || token === 'H24') {
+        const rule = current || (current = { daily: true, weekdays: [], dates: [], times: [] });
+        if (token === 'H24') {
+          rule.times.push({ from: 0, to: 1440 });
+          continue;
+        }
+        const from = this.minutesOfDay(window[1]);
+        const to = this.minutesOfDay(window[2]);
+        if (from === null || to === null) return null;
+        rule.times.push({ from, to });
+        continue;
+      }
+
+      if (token === 'DAILY') {
+        open().daily = true;
+        continue;
+      }
+
+      const weekdays = /^([A-Z]{3})(?:-([A-Z]{3}))?$/.exec(token);
+      if (weekdays && WEEKDAYS.includes(weekdays[1]) && (!weekdays[2] || WEEKDAYS.includes(weekdays[2]))) {
+        const first = WEEKDAYS.indexOf(weekdays[1]);
+        const last = weekdays[2] ? WEEKDAYS.indexOf(weekdays[2]) : first;
+        const rule = open();
+        for (let day = first; ; day = (day + 1) % 7) {
+          rule.weekdays.push(day);
+          if (day === last) break;
+        }
+        continue;
+      }
+
+      if (MONTHS.includes(token)) {
+        if (current && current.times.length > 0) close();
+        month = MONTHS.indexOf(token);
+        continue;
+      }
+
+      const dates = /^(\d{1,2})(?:-(\d{1,2}))?$/.exec(token);
+      if (dates) {
+        const first = parseInt(dates[1], 10);
+        const last = dates[2] ? parseInt(dates[2], 10) : first;
+        if (first < 1 || last > 31 || last < first) return null;
+        const rule = open();
+        for (let day = first; day <= last; day++) {
+          rule.dates.push({ month, day });
+        }
+        continue;
+      }
+
+      // EXC, SR/SS and anything else we cannot place in time
+      return null;
+    }
+
+    close();
+    return rules.length > 0 ? rules : null;
+  }
+
+  static minutesOfDay(hhmm) {
+    const hours = parseInt(hhmm.substring(0, 2), 10);
+    const minutes = parseInt(hhmm.substring(2, 4), 10);
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+    return hours * 60 + minutes;
+  }
+
+  static expandSchedule(rules, start, end) {
+    const periods = [];
+    // Windows are taken from the first day of validity; the night before it is not part of the NOTAM
+    const firstDay = Math.floor(start / DAY_MS) * DAY_MS;
+
+    for (let day = firstDay; day <= end && periods.length < MAX_PERIODS; day += DAY_MS) {
+      const date = new Date(day);
+
+      for (const rule of rules) {
+        const matches = rule.daily ||
+          rule.weekdays.includes(date.getUTCDay()) ||
+          rule.dates.some(entry => entry.day === date.getUTCDate() && (entry.month === null || entry.month === date.getUTCMonth()));
+        if (!matches) continue;
+
+        for (const time of rule.times) {
+          const from = day + time.from * 60000;
+          let to = day + time.to * 60000;
+          if (time.to <= time.from) to += DAY_MS;
+
+          const clippedFrom = Math.max(from, start);
+          const clippedTo = Math.min(to, end);
+          if (clippedTo > clippedFrom) periods.push([clippedFrom, clippedTo]);
+        }
+      }
+    }
+
+    periods.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const period of periods) {
+      const last = merged[merged.length - 1];
+      if (last && period[0] <= last[1]) {
+        last[1] = Math.max(last[1], period[1]);
+      } else {
+        merged.push(period);
+      }
+    }
+
+    return merged.map(([from, to]) => ({ start: new Date(from).toISOString(), end: new Date(to).toISOString() }));
+  }
+
+  /**
+   * Whether a NOTAM is in force at a time: within its validity and, if it has a schedule, one of its periods
+   */
+  static isActiveAt(notam, time = new Date()) {
+    const at = new Date(time).getTime();
+    const start = notam.startTime || notam.validFrom;
+    const end = notam.endTime || notam.validTo;
+
+    if (start && new Date(start).getTime() > at) return false;
+    if (end && new Date(end).getTime() < at) return false;
+
+    if (Array.isArray(notam.activePeriods)) {
+      return notam.activePeriods.some(period => at >= new Date(period.start).getTime() && at < new Date(period.end).getTime());
+    }
+    return true;
+  }
+
+  /**
+   * Great circle distance in km
+   */
+  static distance(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+  }
+
+  static destination(origin, bearing, distanceKm) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const angular = distanceKm / EARTH_RADIUS_KM;
+    const theta = toRadians(bearing);
+    const lat1 = toRadians(origin.lat);
+    const lon1 = toRadians(origin.lon);
+
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(theta));
+    const lon2 = lon1 + Math.atan2(Math.sin(theta) * Math.sin(angular) * Math.cos(lat1), Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+
+    return { lat: this.round(lat2 * 180 / Math.PI, 6), lon: this.round(lon2 * 180 / Math.PI, 6) };
+  }
+
+  static round(value, places) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+NOTAMParser.UNLIMITED_FT = UNLIMITED_FT;
+
+module.exports = NOTAMParser;
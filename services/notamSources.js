@@ -0,0 +1,332 @@
+const fs = require('fs').promises;
+const path = require('path');
+const https = require('https');
+const axios = require('axios');
+const xml2js = require('xml2js');
+const NOTAMParser = require('./notamParser');
+
+/**
+ * NOTAM Sources
+ *
+ * Source adapters for the NOTAM connector. Each reads NOTAMs from a URL or
+ * file and returns them as NOTAM elements in the shape of the UK PIB XML
+ * feed (Series, Number, Year, Type, QLine or ItemQ, ItemA, ItemD-ItemG,
+ * startTime/endTime), plus Reference - the NOTAM a NOTAMR replaces or a
+ * NOTAMC cancels, as "A1234/26". The connector decodes them all the same way.
+ */
+
+/**
+ * XML parser configured the way the NOTAM feeds need: lenient, with
+ * namespace prefixes stripped (element names come out uppercased)
+ */
+function createXMLParser() {
+  return new xml2js.Parser({
+    explicitArray: false,
+    mergeAttrs: true,
+    strict: false,
+    ignoreAttrs: false,
+    attrNameProcessors: [xml2js.processors.stripPrefix],
+    tagNameProcessors: [xml2js.processors.stripPrefix],
+    valueProcessors: [xml2js.processors.parseBooleans, xml2js.processors.parseNumbers],
+    emptyTag: null,
+    explicitChildren: false,
+    childkey: 'children',
+    charsAsChildren: false,
+    includeWhiteChars: false,
+    async: false,
+    explicitRoot: true,
+    normalize: true,
+    normalizeTags: false,
+    trim: true
+  });
+}
+
+/**
+ * Collect every element with the given name (any case) from parsed XML
+ */
+function collectElements(object, name, found = []) {
+  if (typeof object !== 'object' || object === null) return found;
+
+  for (const [key, value] of Object.entries(object)) {
+    if (key.toLowerCase() === name.toLowerCase()) {
+      for (const element of Array.isArray(value) ? value : [value]) {
+        if (typeof element === 'object' && element !== null) {
+          found.push(element);
+        }
+      }
+    } else if (typeof value === 'object' && value !== null) {
+      collectElements(value, name, found);
+    }
+  }
+  return found;
+}
+
+/**
+ * Guess the format of NOTAM file content
+ */
+function detectFormat(content) {
+  const text = String(content).trim();
+  if (/AIXMBasicMessage|textNOTAM/i.test(text)) return 'aixm';
+  if (text.startsWith('<')) return 'pib';
+  return 'icao-text';
+}
+
+/**
+ * Base for sources read from a URL or a file
+ */
+class NOTAMSource {
+  constructor(type, options = {}, context = {}) {
+    this.type = type;
+    this.id = options.id || type;
+    this.url = options.url || null;
+    this.path = options.path || null;
+    this.timeout = options.timeout || 30000;
+    this.xmlParser = context.xmlParser || createXMLParser();
+  }
+
+  async read() {
+    if (this.url) {
+      const response = await axios.get(this.url, {
+        httpsAgent: new https.Agent({ rejectUnauthorized: false }),
+        timeout: this.timeout,
+        responseType: 'text',
+        headers: { 'User-Agent': 'Babelfish-LookingGlass/1.0' }
+      });
+      if (response.status !== 200) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      return response.data;
+    }
+    if (this.path) {
+      return fs.readFile(this.path, 'utf8');
+    }
+    throw new Error(`NOTAM source ${this.id} needs a url or path`);
+  }
+
+  async fetch() {
+    return this.parse(await this.read());
+  }
+}
+
+/**
+ * UK PIB XML feed, as served by the NOTAM archive
+ */
+class PIBXMLSource extends NOTAMSource {
+  constructor(options = {}, context = {}) {
+    super('pib', options, context);
+  }
+
+  async parse(content) {
+    const result = await this.xmlParser.parseStringPromise(content);
+    return collectElements(result, 'notam');
+  }
+}
+
+/**
+ * ICAO-format NOTAM text: "(A1234/26 NOTAMR A1200/26 Q) ... A) ... B) ... E) ...)"
+ */
+class ICAOTextSource extends NOTAMSource {
+  constructor(options = {}, context = {}) {
+    super('icao-text', options, context);
+  }
+
+  async parse(content) {
+    return ICAOTextSource.parseText(content);
+  }
+
+  static parseText(content) {
+    const header = /\(?\s*([A-Z])(\d{1,4})\/(\d{2})\s+NOTAM([NRC])(?:\s+([A-Z]\d{1,4}\/\d{2}))?/g;
+    const text = String(content).replace(/\r/g, '');
+    const headers = [];
+    let match;
+    while ((match = header.exec(text)) !== null) {
+      headers.push(match);
+    }
+
+    return headers.map((current, index) => {
+      const end = index + 1 < headers.length ? headers[index + 1].index : text.length;
+      const items = this.parseItems(text.substring(current.index + current[0].length, end));
+      const [, series, number, year, type, reference] = current;
+
+      return {
+        SERIES: series,
+        NUMBER: number.padStart(4, '0'),
+        YEAR: year,
+        TYPE: type,
+        REFERENCE: reference ? this.normalizeReference(reference) : null,
+        ITEMQ: items.Q || null,
+        ITEMA: items.A || null,
+        startTime: NOTAMParser.parseDateTime(items.B),
+        endTime: NOTAMParser.parseDateTime(items.C),
+        ITEMD: items.D || null,
+        ITEME: items.E || null,
+        ITEMF: items.F || null,
+        ITEMG: items.G || null
+      };
+    });
+  }
+
+  /**
+   * Split the body into items, taking each letter only after the one before it
+   */
+  static parseItems(body) {
+    const letters = ['Q', 'A', 'B', 'C', 'D', 'E', 'F', 'G'];
+    const markers = [];
+    let from = 0;
+    for (const letter of letters) {
+      const pattern = new RegExp(`(^|\\s)${letter}\\)\\s*`, 'g');
+      pattern.lastIndex = from;
+      const match = pattern.exec(body);
+      if (match) {
+        markers.push({ letter, start: match.index, content: match.index + match[0].length });
+        from = match.index + match[0].length;
+      }
+    }
+
+    const items = {};
+    markers.forEach((marker, index) => {
+      const end = index + 1 < markers.length ? markers[index + 1].start : body.length;
+      let value = body.substring(marker.content, end).replace(/\s+/g, ' ').trim();
+      // The last item carries the closing bracket of the NOTAM
+      if (index === markers.length - 1) {
+        value = value.replace(/\)\s*$/, '').trim();
+      }
+      items[marker.letter] = value;
+    });
+    return items;
+  }
+
+  static normalizeReference(reference) {
+    const [, series, number, year] = /^([A-Z])(\d{1,4})\/(\d{2})$/.exec(reference);
+    return `${series}${number.padStart(4, '0')}/${year}`;
+  }
+}
+
+/**
+ * AIXM 5.1 Digital NOTAM: the text NOTAM of each event
+ */
+class AIXMSource extends NOTAMSource {
+  constructor(options = {}, context = {}) {
+    super('aixm', options, context);
+  }
+
+  async parse(content) {
+    const result = await this.xmlParser.parseStringPromise(content);
+    return collectElements(result, 'notam').map(notam => AIXMSource.toElement(notam));
+  }
+
+  static toElement(notam) {
+    const value = name => {
+      const found = NOTAMParser.field(notam, name);
+      return found === undefined || found === null || typeof found === 'object' ? null : String(found).trim();
+    };
+    // Numeric parsing drops leading zeros
+    const padded = (name, length) => (value(name) === null ? null : value(name).padStart(length, '0'));
+
+    const code = (value('selectionCode') || '').toUpperCase().replace(/^Q(?=[A-Z]{4}$)/, '');
+    const referredYear = padded('referredYear', 2);
+
+    return {
+      SERIES: value('series'),
+      NUMBER: padded('number', 4),
+      YEAR: padded('year', 2) && padded('year', 2).slice(-2),
+      TYPE: value('type'),
+      REFERENCE: value('referredSeries') && value('referredNumber') && referredYear
+        ? `${value('referredSeries')}${padded('referredNumber', 4)}/${referredYear.slice(-2)}`
+        : null,
+      QLINE: code.length === 4 ? {
+        FIR: value('affectedFIR'),
+        CODE23: code.substring(0, 2),
+        CODE45: code.substring(2, 4),
+        TRAFFIC: value('traffic'),
+        PURPOSE: value('purpose'),
+        SCOPE: value('scope'),
+        LOWER: padded('minimumFL', 3),
+        UPPER: padded('maximumFL', 3)
+      } : null,
+      COORDINATES: value('coordinates'),
+      RADIUS: value('radius'),
+      ITEMA: value('location'),
+      startTime: NOTAMParser.parseDateTime(value('effectiveStart')),
+      endTime: NOTAMParser.parseDateTime(value('effectiveEnd')),
+      ITEMD: value('schedule'),
+      ITEME: value('text'),
+      ITEMF: value('lowerLimit'),
+      ITEMG: value('upperLimit')
+    };
+  }
+}
+
+/**
+ * Directory drop: reads files placed in a directory, each once until it
+ * changes, in whichever of the other formats its content is in
+ */
+class DirectorySource extends NOTAMSource {
+  constructor(options = {}, context = {}) {
+    super('directory', options, context);
+    this.extensions = options.extensions || ['.xml', '.txt', '.notam'];
+    this.context = context;
+    // file name -> modified time and size when last read
+    this.files = new Map();
+  }
+
+  async fetch() {
+    if (!this.path) {
+      throw new Error(`NOTAM source ${this.id} needs a path`);
+    }
+
+    const names = (await fs.readdir(this.path)).filter(name =>
+      !name.startsWith('.') && this.extensions.includes(path.extname(name).toLowerCase())
+    ).sort();
+
+    const elements = [];
+    for (const name of names) {
+      const file = path.join(this.path, name);
+      const stat = await fs.stat(file);
+      const fingerprint = `${stat.mtimeMs}:${stat.size}`;
+      if (!stat.isFile() || this.files.get(name) === fingerprint) continue;
+
+      // A bad file is skipped until it changes rather than failing the poll
+      this.files.set(name, fingerprint);
+      try {
+        const content = await fs.readFile(file, 'utf8');
+        const source = createNOTAMSource(detectFormat(content), { id: `${this.id}:${name}` }, this.context);
+        elements.push(...await source.parse(content));
+      } catch (error) {
+        if (this.context.logger) {
+          this.context.logger.error(`Failed to read NOTAM file ${name}`, { error: error.message });
+        }
+      }
+    }
+    return elements;
+  }
+}
+
+const SOURCES = {
+  pib: PIBXMLSource,
+  'icao-text': ICAOTextSource,
+  aixm: AIXMSource,
+  directory: DirectorySource
+};
+
+/**
+ * Create a source by type ('pib', 'icao-text', 'aixm' or 'directory')
+ */
+function createNOTAMSource(type = 'pib', options = {}, context = {}) {
+  const Source = SOURCES[type];
+  if (!Source) {
+    throw new Error(`Unknown NOTAM source: ${type}. Must be one of: ${Object.keys(SOURCES).join(', ')}`);
+  }
+  return new Source(options, context);
+}
+
+module.exports = {
+  PIBXMLSource,
+  ICAOTextSource,
+  AIXMSource,
+  DirectorySource,
+  createNOTAMSource,
+  createXMLParser,
+  collectElements,
+  detectFormat
+};
@@ -0,0 +1,191 @@
+/**
+ * PTZ Drivers
+ *
+ * Absolute pan/tilt/zoom positioning for the slew-to-cue service. Each
+ * driver takes pan in degrees (0-360, clockwise from the camera's pan zero),
+ * tilt in degrees (positive above the horizon) and zoom as a magnification
+ * ratio (1 = widest).
+ */
+
+/**
+ * Simulated PTZ head for testing without hardware. Moves towards the
+ * commanded position at fixed slew rates and keeps a command history.
+ */
+class SimulatedPTZDriver {
+  constructor(options = {}) {
+    this.type = 'simulated';
+    this.panRate = options.panRate || 90; // degrees per second
+    this.tiltRate = options.tiltRate || 45;
+    this.zoomRate = options.zoomRate || 10; // zoom ratio per second
+    this.maxHistory = options.maxHistory || 100;
+
+    this.position = { pan: 0, tilt: 0, zoom: 1 };
+    this.target = { ...this.position };
+    this.lastMove = null;
+    this.commands = [];
+  }
+
+  async moveTo({ pan, tilt, zoom }, now = Date.now()) {
+    this.position = this.getPosition(now);
+    this.target = { pan, tilt, zoom };
+    this.lastMove = now;
+
+    this.commands.push({ pan, tilt, zoom, timestamp: new Date(now).toISOString() });
+    if (this.commands.length > this.maxHistory) {
+      this.commands.shift();
+    }
+    return { success: true };
+  }
+
+  async stop(now = Date.now()) {
+    this.position = this.getPosition(now);
+    this.target = { ...this.position };
+    this.lastMove = now;
+    return { success: true };
+  }
+
+  /**
+   * Position reached by now, slewing the short way round in pan
+   */
+  getPosition(now = Date.now()) {
+    if (this.lastMove === null) {
+      return { ...this.position };
+    }
+
+    const elapsed = (now - this.lastMove) / 1000;
+    let panDelta = ((this.target.pan - this.position.pan) % 360 + 540) % 360 - 180;
+    const step = (delta, rate) => Math.sign(delta) * Math.min(Math.abs(delta), rate * elapsed);
+
+    return {
+      pan: ((this.position.pan + step(panDelta, this.panRate)) % 360 + 360) % 360,
+      tilt: this.position.tilt + step(this.target.tilt - this.position.tilt, this.tiltRate),
+      zoom: this.position.zoom + step(this.target.zoom - this.position.zoom, this.zoomRate)
+    };
+  }
+}
+
+/**
+ * Hikvision PTZ through the connector's ISAPI absolute positioning
+ */
+class HikvisionPTZDriver {
+  constructor(options = {}, connectorRegistry = null) {
+    this.type = 'hikvision';
+    this.connectorId = options.connectorId;
+    this.channelId = options.channelId || 1;
+    this.connectorRegistry = connectorRegistry;
+    this.position = null;
+  }
+
+  getConnector() {
+    const connector = this.connectorRegistry?.getConnector(this.connectorId);
+    if (!connector) {
+      throw new Error(`Hikvision connector ${this.connectorId} not found`);
+    }
+    return connector;
+  }
+
+  async moveTo({ pan, tilt, zoom }) {
+    const result = await this.getConnector().absolutePTZ({ channelId: this.channelId, pan, tilt, zoom });
+    this.position = { pan, tilt, zoom };
+    return result;
+  }
+
+  async stop() {
+    return this.getConnector().stopPTZ({ channelId: this.channelId });
+  }
+
+  getPosition() {
+    return this.position ? { ...this.position } : null;
+  }
+}
+
+/**
+ * Ankke DVR PTZ. The DVR only has directional moves, so the head is driven
+ * open loop: each move is a timed pulse at a calibrated rate from the last
+ * estimated position. Zoom is not controlled.
+ */
+class AnkkePTZDriver {
+  constructor(options = {}, connectorRegistry = null) {
+    this.type = 'ankke';
+    this.connectorId = options.connectorId;
+    this.channel = options.channel || options.channelId || 1;
+    this.speed = options.speed || 50;
+    // Degrees per second at the configured speed; calibrate per camera
+    this.panRate = options.panRate || 30;
+    this.tiltRate = options.tiltRate || 15;
+    this.connectorRegistry = connectorRegistry;
+    // Assumed start position, e.g. after a home preset
+    this.position = { pan: options.homePan || 0, tilt: options.homeTilt || 0, zoom: 1 };
+  }
+
+  getConnector() {
+    const connector = this.connectorRegistry?.getConnector(this.connectorId);
+    if (!connector) {
+      throw new Error(`Ankke DVR connector ${this.connectorId} not found`);
+    }
+    return connector;
+  }
+
+  async moveTo({ pan, tilt }) {
+    const connector = this.getConnector();
+    const panDelta = ((pan - this.position.pan) % 360 + 540) % 360 - 180;
+    const tiltDelta = tilt - this.position.tilt;
+
+    const vertical = tiltDelta > 0 ? 'up' : 'down';
+    const horizontal = panDelta > 0 ? 'right' : 'left';
+    const panTime = Math.abs(panDelta) / this.panRate * 1000;
+    const tiltTime = Math.abs(tiltDelta) / this.tiltRate * 1000;
+
+    // Move diagonally for the shared part, then finish the longer axis
+    const both = Math.min(panTime, tiltTime);
+    if (both > 0) {
+      await this.pulse(connector, `${vertical}-${horizontal}`, both);
+    }
+    if (panTime > both) {
+      await this.pulse(connector, horizontal, panTime - both);
+    } else if (tiltTime > both) {
+      await this.pulse(connector, vertical, tiltTime - both);
+    }
+
+    this.position = { pan: (pan % 360 + 360) % 360, tilt, zoom: 1 };
+    return { success: true };
+  }
+
+  async pulse(connector, direction, duration) {
+    await connector.movePTZ({ channel: this.channel, direction, speed: this.speed });
+    await new Promise(resolve => setTimeout(resolve, duration));
+    await connector.stopPTZ({ channel: this.channel });
+  }
+
+  async stop() {
+    return this.getConnector().stopPTZ({ channel: this.channel });
+  }
+
+  getPosition() {
+    return { ...this.position };
+  }
+}
+
+const DRIVERS = {
+  simulated: SimulatedPTZDriver,
+  hikvision: HikvisionPTZDriver,
+  ankke: AnkkePTZDriver
+};
+
+/**
+ * Create a driver by type ('simulated', 'hikvision' or 'ankke')
+ */
+function createPTZDriver(type = 'simulated', options = {}, connectorRegistry = null) {
+  const Driver = DRIVERS[type];
+  if (!Driver) {
+    throw new Error(`Unknown PTZ driver: ${type}. Must be one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return new Driver(options, connectorRegistry);
+}
+
+module.exports = {
+  SimulatedPTZDriver,
+  HikvisionPTZDriver,
+  AnkkePTZDriver,
+  createPTZDriver
+};
@@ -1,5 +1,7 @@
 const EventEmitter = require('events');
 const winston = require('winston');
+const ConditionEvaluator = require('./conditionEvaluator');
+const TemporalPatternEngine = require('./temporalPatternEngine');
 
 /**
  * Rule Engine
@@ -33,6 +35,14 @@ class RuleEngine extends EventEmitter {
     this.executionQueue = [];
     this.isExecuting = false;
     
+    // Serializable condition expressions
+    this.conditionEvaluator = new ConditionEvaluator(config?.conditions || {}, this.logger);
+    
+    // Windowed counts, sequences and absence detection
+    this.patternEngine = new TemporalPatternEngine(config?.patterns || {}, this.conditionEvaluator, this.logger);
+    this.patternEngine.on('pattern:matched', ({ match, trigger }) => this.handlePatternMatch(match, trigger));
+    this.patternSubscription = null;
+    
     this.logger.info('Rule Engine initialized');
   }
   
@@ -60,6 +70,10 @@ class RuleEngine extends EventEmitter {
       this.rules.set(rule.id, rule);
       this.stats.totalRules = this.rules.size;
       
+      if (rule.conditions?.pattern) {
+        this.patternEngine.addRule(rule);
+      }
+      
       this.logger.info(`Rule registered: ${rule.id} - ${rule.name}`);
       this.emit('rule:registered', rule);
       
@@ -70,6 +84,14 @@ class RuleEngine extends EventEmitter {
     }
   }
   
+  /**
+   * Create a rule and return it
+   */
+  createRule(ruleData) {
+    const ruleId = this.registerRule({ ...ruleData });
+    return this.rules.get(ruleId);
+  }
+  
   /**
    * Update a rule
    */
@@ -92,6 +114,13 @@ class RuleEngine extends EventEmitter {
     this.validateRule(updatedRule);
     this.rules.set(ruleId, updatedRule);
     
+    // Pattern windows restart whenever the rule changes
+    if (updatedRule.conditions?.pattern) {
+      this.patternEngine.addRule(updatedRule);
+    } else {
+      this.patternEngine.removeRule(ruleId);
+    }
+    
     this.logger.info(`Rule updated: ${ruleId}`);
     this.emit('rule:updated', updatedRule);
     
@@ -109,6 +138,7 @@ class RuleEngine extends EventEmitter {
     
     this.rules.delete(ruleId);
     this.stats.totalRules = this.rules.size;
+    this.patternEngine.removeRule(ruleId);
     
     this.logger.info(`Rule removed: ${ruleId}`);
     this.emit('rule:removed', rule);
@@ -116,6 +146,17 @@ class RuleEngine extends EventEmitter {
     return true;
   }
   
+  /**
+   * Delete a rule, returning false if it does not exist
+   */
+  deleteRule(ruleId) {
+    if (!this.rules.has(ruleId)) {
+      return false;
+    }
+    
+    return this.removeRule(ruleId);
+  }
+  
   /**
    * Enable/disable a rule
    */
@@ -177,6 +218,11 @@ class RuleEngine extends EventEmitter {
         continue;
       }
       
+      // Pattern rules fire from their window state, not from single events
+      if (rule.conditions?.pattern) {
+        continue;
+      }
+      
       if (this.evaluateConditions(event, rule.conditions)) {
         matchingRules.push(rule);
       }
@@ -185,6 +231,55 @@ class RuleEngine extends EventEmitter {
     return matchingRules;
   }
   
+  /**
+   * Feed an event to the pattern rules whose base conditions it meets
+   */
+  processPatternEvent(event) {
+    for (const rule of this.rules.values()) {
+      if (!rule.conditions?.pattern || !rule.metadata.enabled) {
+        continue;
+      }
+      
+      if (this.evaluateConditions(event, rule.conditions)) {
+        this.patternEngine.processEvent(rule, event);
+      }
+    }
+  }
+  
+  /**
+   * Queue a pattern rule for execution when its pattern completes
+   */
+  handlePatternMatch(match, trigger) {
+    const rule = this.rules.get(match.ruleId);
+    if (!rule) {
+      return;
+    }
+    
+    const event = {
+      id: `pattern-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      type: 'rule:pattern',
+      source: 'rule-engine',
+      timestamp: match.firedAt,
+      data: {
+        ...(trigger?.data || {}),
+        pattern: match
+      },
+      trigger: trigger ? { id: trigger.id, type: trigger.type, source: trigger.source } : null
+    };
+    
+    this.executionQueue.push({
+      event,
+      rules: [rule],
+      timestamp: new Date().toISOString()
+    });
+    
+    if (!this.isExecuting) {
+      this.executeQueue();
+    }
+    
+    this.emit('rule:pattern', { rule, event, match });
+  }
+  
   /**
    * Evaluate rule conditions
    */
@@ -202,32 +297,36 @@ class RuleEngine extends EventEmitter {
       return false;
     }
     
-    // Time-based conditions
+    // Time-based conditions (windows may cross midnight, e.g. 22:00-06:00)
     if (conditions.timeRange) {
-      const eventTime = new Date(event.timestamp);
+      const eventTime = event.timestamp ? new Date(event.timestamp) : new Date();
       const currentTime = eventTime.getHours() * 60 + eventTime.getMinutes();
+      const startTime = conditions.timeRange.start ? this.parseTime(conditions.timeRange.start) : 0;
+      const endTime = conditions.timeRange.end ? this.parseTime(conditions.timeRange.end) : 24 * 60 - 1;
       
-      if (conditions.timeRange.start) {
-        const startTime = this.parseTime(conditions.timeRange.start);
-        if (currentTime < startTime) {
-          return false;
-        }
-      }
-      
-      if (conditions.timeRange.end) {
-        const endTime = this.parseTime(conditions.timeRange.end);
-        if (currentTime > endTime) {
-          return false;
-        }
+      if (!this.conditionEvaluator.isWithinTimeWindow(currentTime, startTime, endTime)) {
+        return false;
       }
     }
     
     // Data-based conditions
     if (conditions.data) {
       for (const [key, value] of Object.entries(conditions.data)) {
-        if (event.data[key] !== value) {
+        if (event.data?.[key] !== value) {
+          return false;
+        }
+      }
+    }
+    
+    // Condition expression
+    if (conditions.expression) {
+      try {
+        if (!this.conditionEvaluator.evaluate(conditions.expression, event)) {
           return false;
         }
+      } catch (error) {
+        this.logger.warn(`Error evaluating condition expression: ${error.message}`);
+        return false;
       }
     }
     
@@ -361,10 +460,22 @@ class RuleEngine extends EventEmitter {
       ...this.stats,
       rules: this.rules.size,
       actions: this.actionRegistry.size,
-      queueLength: this.executionQueue.length
+      queueLength: this.executionQueue.length,
+      patterns: this.patternEngine.getStats()
     };
   }
   
+  /**
+   * Get pattern window state for one rule, or all pattern rules
+   */
+  getPatternState(ruleId) {
+    if (ruleId) {
+      return this.patternEngine.getState(ruleId);
+    }
+    
+    return Array.from(this.patternEngine.patterns.keys()).map(id => this.patternEngine.getState(id));
+  }
+  
   /**
    * Validate rule structure
    */
@@ -383,6 +494,27 @@ class RuleEngine extends EventEmitter {
         throw new Error('Action must have a type');
       }
     }
+    
+    // Compile condition expressions to their stored tree form
+    if (rule.conditions?.expression) {
+      rule.conditions.expression = this.conditionEvaluator.compile(rule.conditions.expression);
+      rule.conditions.expressionText = this.conditionEvaluator.stringify(rule.conditions.expression);
+    }
+    
+    if (rule.conditions?.pattern) {
+      rule.conditions.pattern = this.patternEngine.normalize(rule.conditions.pattern);
+    }
+  }
+  
+  /**
+   * Validate a condition expression without registering a rule
+   */
+  validateExpression(expression) {
+    const tree = this.conditionEvaluator.compile(expression);
+    return {
+      expression: tree,
+      expressionText: this.conditionEvaluator.stringify(tree)
+    };
   }
   
   /**
@@ -433,7 +565,30 @@ class RuleEngine extends EventEmitter {
    * Set event bus reference
    */
   setEventBus(eventBus) {
+    if (this.eventBus && this.patternSubscription) {
+      this.eventBus.unsubscribe(this.patternSubscription);
+    }
+    
     this.eventBus = eventBus;
+    
+    // Pattern rules see every event once, straight from the bus; a dropped
+    // event would break counts and sequences, so the queue never drops
+    this.patternSubscription = eventBus.subscribe(/.*/, event => this.processPatternEvent(event), {
+      name: 'rule-engine:patterns',
+      lossless: true
+    });
+  }
+  
+  /**
+   * Stop pattern timers and detach from the event bus
+   */
+  shutdown() {
+    this.patternEngine.stop();
+    
+    if (this.eventBus && this.patternSubscription) {
+      this.eventBus.unsubscribe(this.patternSubscription);
+      this.patternSubscription = null;
+    }
   }
   
   /**
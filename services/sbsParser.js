@@ -0,0 +1,113 @@
+/**
+ * SBS-1 / BaseStation Parser
+ *
+ * Parses the BaseStation CSV stream served by dump1090, readsb and most
+ * Mode-S receivers on TCP port 30003. Each MSG line carries a subset of an
+ * aircraft's state depending on its transmission type:
+ *
+ *   MSG,1  identification (callsign)
+ *   MSG,2  surface position
+ *   MSG,3  airborne position
+ *   MSG,4  airborne velocity
+ *   MSG,5  surveillance altitude
+ *   MSG,6  surveillance identity (squawk)
+ *   MSG,7  air-to-air
+ *   MSG,8  all-call reply
+ *
+ * Only the fields present in a line are returned, so updates can be merged
+ * into an aircraft's existing state.
+ */
+class SBSParser {
+  /**
+   * Parse one line into an update, or null for non-MSG or malformed lines
+   */
+  static parseLine(line) {
+    if (!line) {
+      return null;
+    }
+
+    const fields = line.trim().split(',');
+    if (fields[0] !== 'MSG' || fields.length < 11) {
+      return null;
+    }
+
+    const icao24 = (fields[4] || '').trim().toUpperCase();
+    if (!/^[0-9A-F]{6}$/.test(icao24)) {
+      return null;
+    }
+
+    const update = {
+      icao24,
+      format: 'sbs',
+      transmissionType: parseInt(fields[1], 10) || null,
+      timestamp: SBSParser.parseTimestamp(fields[6], fields[7])
+    };
+
+    const callsign = (fields[10] || '').trim();
+    if (callsign) {
+      update.callsign = callsign;
+    }
+
+    SBSParser.assignNumber(update, 'altitude', fields[11]);
+    SBSParser.assignNumber(update, 'speed', fields[12]);
+    SBSParser.assignNumber(update, 'track', fields[13]);
+    SBSParser.assignNumber(update, 'lat', fields[14]);
+    SBSParser.assignNumber(update, 'lon', fields[15]);
+    SBSParser.assignNumber(update, 'verticalRate', fields[16]);
+
+    const squawk = (fields[17] || '').trim();
+    if (/^[0-7]{4}$/.test(squawk)) {
+      update.squawk = squawk;
+    }
+
+    if (SBSParser.parseFlag(fields[19]) !== null) {
+      update.emergencyFlag = SBSParser.parseFlag(fields[19]);
+    }
+    if (SBSParser.parseFlag(fields[21]) !== null) {
+      update.onGround = SBSParser.parseFlag(fields[21]);
+    }
+
+    // A position without both coordinates is not usable
+    if ((update.lat === undefined) !== (update.lon === undefined)) {
+      delete update.lat;
+      delete update.lon;
+    }
+
+    return update;
+  }
+
+  static assignNumber(update, key, value) {
+    if (value === undefined || value === null || value.trim() === '') {
+      return;
+    }
+
+    const number = parseFloat(value);
+    if (!isNaN(number)) {
+      update[key] = number;
+    }
+  }
+
+  /**
+   * BaseStation flags are -1 for true and 0 for false
+   */
+  static parseFlag(value) {
+    if (value === undefined || value === null || value.trim() === '') {
+      return null;
+    }
+    return value.trim() === '-1' || value.trim() === '1';
+  }
+
+  /**
+   * Generated date/time fields, e.g. 2024/06/01 and 12:00:00.000
+   */
+  static parseTimestamp(date, time) {
+    if (!date || !time) {
+      return Date.now();
+    }
+
+    const parsed = Date.parse(`${date.trim().replace(/\//g, '-')}T${time.trim()}`);
+    return isNaN(parsed) ? Date.now() : parsed;
+  }
+}
+
+module.exports = SBSParser;
@@ -0,0 +1,459 @@
+const EventEmitter = require('events');
+const winston = require('winston');
+const { createPTZDriver } = require('./ptzDrivers');
+
+/**
+ * Slew-to-Cue Service
+ *
+ * Points PTZ cameras at aircraft. Each camera has a geolocation, mounting
+ * height, pan zero bearing and field of view; from these and an aircraft's
+ * lat/lon/altitude the service computes pan, tilt and the zoom that frames
+ * the aircraft, then keeps steering the camera as the aircraft moves.
+ * Cameras follow a selected ICAO24, or (with auto set) whichever aircraft
+ * last triggered a landing/taxi/ground movement event within range.
+ */
+
+const FEET_PER_METER = 3.28084;
+const EARTH_RADIUS = 6371000;
+// Atmospheric refraction bends sight lines back towards the earth
+const REFRACTION = 0.13;
+
+class SlewToCueService extends EventEmitter {
+  constructor(config = {}, logger = null) {
+    super();
+
+    this.config = {
+      interval: config.interval || 1000,
+      // Aim this far ahead of the last position (s) to cover latency
+      lead: config.lead ?? 1,
+      // Don't re-command for smaller changes (degrees / zoom ratio)
+      deadband: config.deadband || 0.5,
+      zoomDeadband: config.zoomDeadband || 0.25,
+      maxAge: config.maxAge || 15000,
+      // ADSB connector events that cue auto cameras
+      cueEvents: config.cueEvents || ['landing:detected', 'taxi:movement', 'ground:movement'],
+      // An auto camera stays on a cued aircraft this long before it can be re-cued (ms)
+      cueHold: config.cueHold || 120000
+    };
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.aircraftFusionService = null;
+    this.adsbConnector = null;
+    this.connectorRegistry = null;
+    this.eventBus = null;
+    this.updateTimer = null;
+    this.cueListeners = [];
+    // Cameras with a move still in flight; ticks skip them rather than pile up
+    this.steering = new Set();
+
+    // cameraId -> camera
+    this.cameras = new Map();
+
+    this.stats = { updates: 0, commands: 0, cues: 0, lost: 0, errors: 0, skipped: 0 };
+  }
+
+  setAircraftFusionService(aircraftFusionService) {
+    this.aircraftFusionService = aircraftFusionService;
+  }
+
+  /**
+   * Listen for cue events, and fall back to this connector's aircraft map
+   */
+  setADSBConnector(adsbConnector) {
+    for (const [event, listener] of this.cueListeners) {
+      this.adsbConnector.off(event, listener);
+    }
+    this.cueListeners = [];
+
+    this.adsbConnector = adsbConnector;
+    if (!adsbConnector) return;
+
+    for (const event of this.config.cueEvents) {
+      const listener = (data) => {
+        const icao24 = data?.aircraft?.icao24;
+        if (icao24) {
+          this.cue(icao24, event).catch(error => {
+            this.logger.error('Failed to cue cameras', { icao24, error: error.message });
+          });
+        }
+      };
+      adsbConnector.on(event, listener);
+      this.cueListeners.push([event, listener]);
+    }
+  }
+
+  /**
+   * PTZ drivers look up their Hikvision/Ankke connectors here
+   */
+  setConnectorRegistry(connectorRegistry) {
+    this.connectorRegistry = connectorRegistry;
+  }
+
+  setEventBus(eventBus) {
+    this.eventBus = eventBus;
+  }
+
+  start() {
+    if (this.updateTimer) return;
+    this.updateTimer = setInterval(() => {
+      this.update().catch(error => {
+        this.logger.error('Slew-to-cue update failed', { error: error.message });
+      });
+    }, this.config.interval);
+    if (this.updateTimer.unref) this.updateTimer.unref();
+    this.logger.info('Slew-to-cue started', { cameras: this.cameras.size });
+  }
+
+  stop() {
+    if (this.updateTimer) {
+      clearInterval(this.updateTimer);
+      this.updateTimer = null;
+    }
+  }
+
+  /**
+   * Add a PTZ camera
+   */
+  addCamera(definition) {
+    const { id, latitude, longitude } = definition;
+    if (!id || typeof latitude !== 'number' || typeof longitude !== 'number') {
+      throw new Error('Camera id, latitude and longitude are required');
+    }
+
+    const fov = definition.fov || {};
+    const camera = {
+      id,
+      name: definition.name || id,
+      latitude,
+      longitude,
+      elevation: definition.elevation || 0, // ground, metres AMSL
+      height: definition.height || 0, // mounting height above ground, metres
+      panOffset: definition.panOffset || 0, // bearing of pan 0
+      tiltOffset: definition.tiltOffset || 0,
+      tiltLimits: definition.tiltLimits || [-90, 90],
+      // Horizontal field of view in degrees, fully out and fully in
+      fov: { wide: fov.wide || 60, narrow: fov.narrow || 3 },
+      // Width of scene (metres) to frame around the aircraft
+      frameWidth: definition.frameWidth || 60,
+      maxRange: definition.maxRange || 10000, // metres, for auto cueing
+      auto: !!definition.auto,
+      driver: definition.driverInstance ||
+        createPTZDriver(definition.driver || 'simulated', definition, this.connectorRegistry),
+      target: null,
+      pointing: null,
+      lastCommand: null
+    };
+    camera.maxZoom = Math.tan(camera.fov.wide * Math.PI / 360) / Math.tan(camera.fov.narrow * Math.PI / 360);
+
+    this.cameras.set(id, camera);
+    this.logger.info('PTZ camera added', { id, driver: camera.driver.type, auto: camera.auto });
+    return this.getCamera(id);
+  }
+
+  removeCamera(id) {
+    return this.cameras.delete(id);
+  }
+
+  /**
+   * Pan, tilt and zoom that point a camera at a position
+   * (altitude in feet AMSL; null for an aircraft on the ground)
+   */
+  computePointing(camera, { lat, lon, altitude }) {
+    const range = this.calculateDistance(camera.latitude, camera.longitude, lat, lon);
+    const bearing = this.calculateBearing(camera.latitude, camera.longitude, lat, lon);
+
+    // Aircraft on the ground are aimed a few metres above the camera's ground level
+    const targetHeight = typeof altitude === 'number' ? altitude / FEET_PER_METER : camera.elevation + 3;
+    const drop = range * range * (1 - REFRACTION) / (2 * EARTH_RADIUS);
+    const rise = targetHeight - (camera.elevation + camera.height) - drop;
+    const slantRange = Math.sqrt(range * range + rise * rise);
+
+    const elevationAngle = Math.atan2(rise, range) * 180 / Math.PI;
+    const pan = ((bearing - camera.panOffset) % 360 + 360) % 360;
+    const tilt = elevationAngle - camera.tiltOffset;
+
+    // Narrow the field of view until frameWidth fills it
+    const wanted = 2 * Math.atan(camera.frameWidth / 2 / Math.max(slantRange, 1));
+    const zoom = Math.tan(camera.fov.wide * Math.PI / 360) / Math.tan(wanted / 2);
+    const clampedZoom = Math.min(Math.max(zoom, 1), camera.maxZoom);
+
+    return {
+      pan: Math.round(pan * 100) / 100,
+      tilt: Math.round(tilt * 100) / 100,
+      zoom: Math.round(clampedZoom * 100) / 100,
+      bearing: Math.round(bearing * 100) / 100,
+      range: Math.round(range),
+      slantRange: Math.round(slantRange),
+      fov: Math.round(2 * Math.atan(Math.tan(camera.fov.wide * Math.PI / 360) / clampedZoom) * 180 / Math.PI * 100) / 100,
+      reachable: tilt >= camera.tiltLimits[0] && tilt <= camera.tiltLimits[1]
+    };
+  }
+
+  /**
+   * Follow an aircraft with a camera until released
+   */
+  async track(cameraId, icao24, now = Date.now()) {
+    const camera = this.requireCamera(cameraId);
+    camera.target = { icao24: icao24.toUpperCase(), mode: 'manual', reason: 'manual', since: now };
+    this.publishTracking(camera);
+    await this.steer(camera, now);
+    return this.getCamera(cameraId);
+  }
+
+  /**
+   * Point a camera once at a fixed position, dropping any tracked aircraft
+   */
+  async pointAt(cameraId, position, now = Date.now()) {
+    const camera = this.requireCamera(cameraId);
+    camera.target = null;
+    const pointing = this.computePointing(camera, position);
+    if (!pointing.reachable) {
+      throw new Error(`Position is outside the tilt limits of camera ${cameraId}`);
+    }
+    await this.command(camera, pointing, now, true);
+    return this.getCamera(cameraId);
+  }
+
+  async release(cameraId) {
+    const camera = this.requireCamera(cameraId);
+    camera.target = null;
+    await camera.driver.stop();
+    return this.getCamera(cameraId);
+  }
+
+  /**
+   * Slew auto cameras in range to the aircraft that triggered an event
+   */
+  async cue(icao24, reason = 'cue', now = Date.now()) {
+    const aircraft = this.getAircraftPosition(icao24, now);
+    if (!aircraft) return [];
+
+    const cued = [];
+    for (const camera of this.cameras.values()) {
+      if (!camera.auto || camera.target?.mode === 'manual') continue;
+      if (camera.target && camera.target.icao24 !== aircraft.icao24 && now - camera.target.since < this.config.cueHold) continue;
+
+      const pointing = this.computePointing(camera, aircraft);
+      if (pointing.range > camera.maxRange || !pointing.reachable) continue;
+
+      const retarget = camera.target?.icao24 !== aircraft.icao24;
+      camera.target = { icao24: aircraft.icao24, mode: 'cue', reason, since: now };
+      if (retarget) {
+        this.stats.cues++;
+        this.publishTracking(camera);
+      }
+      await this.steer(camera, now);
+      cued.push(camera.id);
+    }
+    return cued;
+  }
+
+  /**
+   * Steer every camera that has a target
+   */
+  async update(now = Date.now()) {
+    for (const camera of this.cameras.values()) {
+      if (camera.target) {
+        await this.steer(camera, now);
+      }
+    }
+    this.stats.updates++;
+  }
+
+  /**
+   * Steer a camera at its target, unless its last move has not finished
+   */
+  async steer(camera, now = Date.now()) {
+    if (this.steering.has(camera.id)) {
+      this.stats.skipped++;
+      return camera.pointing;
+    }
+
+    this.steering.add(camera.id);
+    try {
+      return await this.steerCamera(camera, now);
+    } finally {
+      this.steering.delete(camera.id);
+    }
+  }
+
+  async steerCamera(camera, now) {
+    const aircraft = this.getAircraftPosition(camera.target.icao24, now);
+    if (!aircraft) {
+      this.stats.lost++;
+      const target = camera.target;
+      camera.target = null;
+      this.emit('target:lost', { cameraId: camera.id, icao24: target.icao24, mode: target.mode });
+      this.logger.info('PTZ target lost', { camera: camera.id, icao24: target.icao24 });
+      return null;
+    }
+
+    const pointing = this.computePointing(camera, this.lead(aircraft));
+    if (!pointing.reachable) {
+      camera.pointing = pointing;
+      return pointing;
+    }
+    return this.command(camera, pointing, now);
+  }
+
+  /**
+   * Send a position to the driver unless it is within the deadband
+   */
+  async command(camera, pointing, now, force = false) {
+    camera.pointing = pointing;
+    const last = camera.lastCommand;
+    if (!force && last) {
+      const panDelta = Math.abs(((pointing.pan - last.pan) % 360 + 540) % 360 - 180);
+      if (panDelta < this.config.deadband &&
+          Math.abs(pointing.tilt - last.tilt) < this.config.deadband &&
+          Math.abs(pointing.zoom - last.zoom) < this.config.zoomDeadband) {
+        return pointing;
+      }
+    }
+
+    try {
+      await camera.driver.moveTo({ pan: pointing.pan, tilt: pointing.tilt, zoom: pointing.zoom }, now);
+      camera.lastCommand = { pan: pointing.pan, tilt: pointing.tilt, zoom: pointing.zoom, timestamp: new Date(now).toISOString() };
+      this.stats.commands++;
+      this.emit('camera:moved', { cameraId: camera.id, icao24: camera.target?.icao24 || null, ...pointing });
+    } catch (error) {
+      this.stats.errors++;
+      this.logger.error('PTZ move failed', { camera: camera.id, error: error.message });
+    }
+    return pointing;
+  }
+
+  publishTracking(camera) {
+    const event = {
+      cameraId: camera.id,
+      icao24: camera.target.icao24,
+      mode: camera.target.mode,
+      reason: camera.target.reason
+    };
+    this.emit('camera:tracking', event);
+    this.logger.info('PTZ camera tracking aircraft', event);
+
+    if (this.eventBus) {
+      this.eventBus.publishEvent({
+        type: 'ptz:tracking',
+        source: 'slew-to-cue',
+        timestamp: new Date().toISOString(),
+        data: event
+      }).catch(error => {
+        this.logger.debug('Failed to publish PTZ tracking event to event bus', { error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Current position of an aircraft, or null if unknown or stale
+   */
+  getAircraftPosition(icao24, now = Date.now()) {
+    const key = icao24.toUpperCase();
+    let aircraft = null;
+    if (this.aircraftFusionService) {
+      aircraft = this.aircraftFusionService.getAircraft(key);
+    } else if (this.adsbConnector?.aircraft) {
+      aircraft = this.adsbConnector.aircraft.get(key) || this.adsbConnector.aircraft.get(key.toLowerCase());
+    }
+
+    if (!aircraft || typeof aircraft.lat !== 'number' || typeof aircraft.lon !== 'number') {
+      return null;
+    }
+    const lastSeen = aircraft.last_seen || aircraft.timestamp;
+    if (lastSeen && now - new Date(lastSeen).getTime() > this.config.maxAge) {
+      return null;
+    }
+
+    const onGround = aircraft.onGround || aircraft.isOnGround || typeof aircraft.altitude !== 'number';
+    return {
+      icao24: key,
+      lat: aircraft.lat,
+      lon: aircraft.lon,
+      altitude: onGround ? null : aircraft.altitude,
+      speed: aircraft.speed || 0,
+      track: aircraft.track || 0,
+      verticalRate: aircraft.vertical_rate || 0
+    };
+  }
+
+  /**
+   * Dead-reckon the aircraft forward by the lead time
+   */
+  lead(aircraft) {
+    const seconds = this.config.lead;
+    if (!seconds || !aircraft.speed) return aircraft;
+
+    const distance = aircraft.speed * seconds / 3600; // NM
+    const radians = aircraft.track * Math.PI / 180;
+    return {
+      ...aircraft,
+      lat: aircraft.lat + distance * Math.cos(radians) / 60,
+      lon: aircraft.lon + distance * Math.sin(radians) / (60 * Math.cos(aircraft.lat * Math.PI / 180)),
+      altitude: aircraft.altitude === null ? null : aircraft.altitude + aircraft.verticalRate * seconds / 60
+    };
+  }
+
+  requireCamera(cameraId) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) {
+      throw new Error(`PTZ camera not found: ${cameraId}`);
+    }
+    return camera;
+  }
+
+  getCamera(cameraId) {
+    const camera = this.cameras.get(cameraId);
+    if (!camera) return null;
+
+    const { driver, ...rest } = camera;
+    return {
+      ...rest,
+      driver: driver.type,
+      position: driver.getPosition()
+    };
+  }
+
+  getCameras() {
+    return Array.from(this.cameras.keys()).map(id => this.getCamera(id));
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      cameras: this.cameras.size,
+      tracking: Array.from(this.cameras.values()).filter(camera => camera.target).length
+    };
+  }
+
+  /**
+   * Great-circle distance in metres
+   */
+  calculateDistance(lat1, lon1, lat2, lon2) {
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /**
+   * Initial bearing in degrees
+   */
+  calculateBearing(lat1, lon1, lat2, lon2) {
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const lat1Rad = lat1 * Math.PI / 180;
+    const lat2Rad = lat2 * Math.PI / 180;
+    const y = Math.sin(dLon) * Math.cos(lat2Rad);
+    const x = Math.cos(lat1Rad) * Math.sin(lat2Rad) - Math.sin(lat1Rad) * Math.cos(lat2Rad) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  }
+}
+
+module.exports = SlewToCueService;
@@ -18,6 +18,8 @@ class SpeedCalculationService extends EventEmitter {
       maxSpeedThreshold: config.maxSpeedThreshold || 200, // 200 km/h
       confidenceThreshold: config.confidenceThreshold || 0.8,
       retentionHours: config.retentionHours || 24,
+      offenceRetentionHours: config.offenceRetentionHours || 24 * 30,
+      evidenceWindow: config.evidenceWindow || 5, // seconds either side of each detection
       ...config
     };
 
@@ -39,12 +41,17 @@ class SpeedCalculationService extends EventEmitter {
     this.activeTracking = new Map(); // plateNumber -> tracking data
     this.speedCalculations = new Map(); // calculationId -> speed data
     this.speedAlerts = new Map(); // alertId -> alert data
+    this.routes = new Map(); // routeId -> average speed route
+    this.routeProgress = new Map(); // routeId:plate -> checkpoints passed so far
+    this.routeAverages = new Map(); // averageId -> segment or whole-route average
+    this.offences = new Map(); // offenceId -> offence record (in memory, lost on restart)
 
     // Statistics
     this.stats = {
       totalDetections: 0,
       totalCalculations: 0,
       totalAlerts: 0,
+      totalOffences: 0,
       averageSpeed: 0,
       lastCalculation: null
     };
@@ -52,6 +59,20 @@ class SpeedCalculationService extends EventEmitter {
     this.logger.info('Speed Calculation Service initialized');
   }
 
+  /**
+   * Set watchlist service reference, checked on every ANPR detection
+   */
+  setWatchlistService(watchlistService) {
+    this.watchlistService = watchlistService;
+  }
+
+  /**
+   * Set evidence service reference, used to export clips for offences
+   */
+  setEvidenceService(evidenceService) {
+    this.evidenceService = evidenceService;
+  }
+
   /**
    * Register a detection point (camera location)
    */
@@ -84,8 +105,13 @@ class SpeedCalculationService extends EventEmitter {
    */
   async processANPRDetection(event) {
     try {
-      const { cameraId, plateNumber, timestamp, confidence, data = {} } = event;
+      const { cameraId, plateNumber, timestamp, confidence, direction, data = {} } = event;
       
+      // Watchlists tolerate OCR errors, so check before the confidence threshold
+      if (plateNumber && this.watchlistService) {
+        await this.watchlistService.checkDetection({ plateNumber, cameraId, timestamp, confidence, source: 'speed' });
+      }
+
       if (!plateNumber || confidence < this.config.confidenceThreshold) {
         return;
       }
@@ -104,11 +130,14 @@ class SpeedCalculationService extends EventEmitter {
       // Add detection
       const detection = {
         cameraId,
+        plateNumber,
         timestamp: new Date(timestamp),
         confidence,
         position: detectionPoint.position,
         direction: detectionPoint.direction,
+        travelDirection: direction || data.direction, // as reported by the camera, if it does
         speedLimit: detectionPoint.speedLimit,
+        snapshot: data.snapshot || data.thumbnail || data.imageUrl || data.image || null,
         data
       };
 
@@ -123,6 +152,7 @@ class SpeedCalculationService extends EventEmitter {
 
       // Check for speed calculation opportunities
       await this.checkSpeedCalculation(plateNumber, detection);
+      await this.checkRoutes(plateNumber, detection);
 
       this.logger.debug(`ANPR detection processed: ${plateNumber} at ${cameraId}`);
       
@@ -378,13 +408,15 @@ class SpeedCalculationService extends EventEmitter {
           cameraId: detection1.cameraId,
           timestamp: detection1.timestamp,
           position: detection1.position,
-          direction: detection1.direction
+          direction: detection1.direction,
+          speedLimit: detection1.speedLimit
         },
         detection2: {
           cameraId: detection2.cameraId,
           timestamp: detection2.timestamp,
           position: detection2.position,
-          direction: detection2.direction
+          direction: detection2.direction,
+          speedLimit: detection2.speedLimit
         },
         distance: distance, // km
         timeDiff: timeDiff, // milliseconds
@@ -472,6 +504,533 @@ class SpeedCalculationService extends EventEmitter {
     }
   }
 
+  /**
+   * Register an average speed route through two or more chained detection points
+   */
+  async registerRoute(config) {
+    const id = config.id || `route-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const existing = this.routes.get(id);
+
+    const checkpoints = (config.checkpoints || []).map(checkpoint =>
+      typeof checkpoint === 'string' ? { cameraId: checkpoint } : { cameraId: checkpoint.cameraId, distance: checkpoint.distance }
+    );
+    if (checkpoints.length < 2) {
+      throw new Error('A route needs at least two checkpoints');
+    }
+    if (new Set(checkpoints.map(checkpoint => checkpoint.cameraId)).size !== checkpoints.length) {
+      throw new Error('A detection point can only appear once in a route');
+    }
+
+    for (const checkpoint of checkpoints) {
+      const point = this.detectionPoints.get(checkpoint.cameraId);
+      if (!point) {
+        throw new Error(`Detection point not found: ${checkpoint.cameraId}`);
+      }
+      if (config.direction && point.direction && point.direction !== config.direction) {
+        throw new Error(`Detection point ${checkpoint.cameraId} faces ${point.direction}, route runs ${config.direction}`);
+      }
+    }
+
+    const path = (config.path || []).map(point => Array.isArray(point)
+      ? { lat: Number(point[0]), lon: Number(point[1]) }
+      : { lat: Number(point.lat), lon: Number(point.lon ?? point.lng) });
+    if (path.length === 1 || path.some(point => isNaN(point.lat) || isNaN(point.lon))) {
+      throw new Error('Route path must be a polyline of at least two { lat, lon } points');
+    }
+
+    const limitSchedule = (config.limitSchedule || []).map(period => {
+      const limit = Number(period.limit);
+      if (this.parseClockTime(period.from) === null || this.parseClockTime(period.to) === null || !(limit > 0)) {
+        throw new Error('Limit periods need from and to as HH:MM and a positive limit');
+      }
+      if (period.days && (!Array.isArray(period.days) || period.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+        throw new Error('Limit period days must be 0 (Sunday) to 6 (Saturday)');
+      }
+      return { from: period.from, to: period.to, limit, days: period.days || null };
+    });
+
+    if (config.timezone) {
+      // Throws a RangeError for unknown zones
+      new Intl.DateTimeFormat('en-GB', { timeZone: config.timezone });
+    }
+
+    const enforce = config.enforce || 'both';
+    if (!['segments', 'route', 'both'].includes(enforce)) {
+      throw new Error('enforce must be segments, route or both');
+    }
+
+    const segments = this.buildRouteSegments(checkpoints, path);
+
+    const route = {
+      id,
+      name: config.name || id,
+      direction: config.direction || null,
+      checkpoints,
+      path,
+      segments,
+      length: segments.reduce((total, segment) => total + segment.distance, 0), // km
+      speedLimit: config.speedLimit ?? this.detectionPoints.get(checkpoints[0].cameraId).speedLimit ?? null,
+      limitSchedule,
+      timezone: config.timezone || null,
+      tolerance: {
+        percent: config.tolerance?.percent || 0,
+        kmh: config.tolerance?.kmh || 0
+      },
+      enforce,
+      maxSegmentTime: config.maxSegmentTime || this.config.maxTimeBetweenDetections,
+      active: config.active !== false,
+      metadata: {
+        ...existing?.metadata,
+        ...config.metadata,
+        created: existing?.metadata.created || new Date().toISOString(),
+        updated: new Date().toISOString()
+      }
+    };
+
+    this.routes.set(id, route);
+    this.clearRouteProgress(id);
+
+    this.logger.info(`Registered route ${id}: ${checkpoints.length} checkpoints, ${route.length.toFixed(3)} km`);
+    this.emit('route:registered', route);
+
+    return route;
+  }
+
+  /**
+   * Update a route, re-measuring its segments
+   */
+  async updateRoute(routeId, updates) {
+    const route = this.routes.get(routeId);
+    if (!route) {
+      throw new Error(`Route not found: ${routeId}`);
+    }
+
+    return this.registerRoute({ ...route, ...updates, id: routeId });
+  }
+
+  /**
+   * Remove a route and any vehicles part way along it
+   */
+  removeRoute(routeId) {
+    const removed = this.routes.delete(routeId);
+    this.clearRouteProgress(routeId);
+    return removed;
+  }
+
+  /**
+   * Drop the progress of vehicles along a route
+   */
+  clearRouteProgress(routeId) {
+    for (const key of this.routeProgress.keys()) {
+      if (key.startsWith(`${routeId}:`)) {
+        this.routeProgress.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get a route
+   */
+  getRoute(routeId) {
+    return this.routes.get(routeId);
+  }
+
+  /**
+   * Get routes
+   */
+  getRoutes() {
+    return Array.from(this.routes.values());
+  }
+
+  /**
+   * Measure the distance of each segment: surveyed if given, along the path
+   * if there is one, otherwise straight line
+   */
+  buildRouteSegments(checkpoints, path) {
+    const chainages = path.length >= 2
+      ? checkpoints.map(checkpoint => this.measureAlongPath(path, this.detectionPoints.get(checkpoint.cameraId).position))
+      : null;
+
+    return checkpoints.slice(1).map((checkpoint, i) => {
+      const from = checkpoints[i];
+      let distance;
+      let source;
+
+      if (checkpoint.distance !== undefined) {
+        distance = Number(checkpoint.distance);
+        source = 'surveyed';
+      } else if (chainages) {
+        distance = chainages[i + 1] - chainages[i];
+        source = 'path';
+        if (distance <= 0) {
+          throw new Error(`Checkpoint ${checkpoint.cameraId} is not after ${from.cameraId} along the path`);
+        }
+      } else {
+        distance = this.calculateDistance(
+          this.detectionPoints.get(from.cameraId).position,
+          this.detectionPoints.get(checkpoint.cameraId).position
+        );
+        source = 'straight';
+      }
+
+      if (!(distance > 0)) {
+        throw new Error(`Segment ${from.cameraId} to ${checkpoint.cameraId} has no length`);
+      }
+
+      return { from: from.cameraId, to: checkpoint.cameraId, distance, source };
+    });
+  }
+
+  /**
+   * Distance in km along a polyline to the closest point to a position
+   */
+  measureAlongPath(path, position) {
+    if (!position || position.lat === undefined || position.lon === undefined) {
+      throw new Error('Route paths need detection points with lat/lon positions');
+    }
+
+    let best = null;
+    let chainage = 0;
+
+    for (let i = 0; i < path.length - 1; i++) {
+      const a = path[i];
+      const b = path[i + 1];
+      const length = this.calculateDistance(a, b);
+
+      // Project onto the leg in a local flat frame, scaled for longitude
+      const scale = Math.cos(this.toRadians(a.lat));
+      const bx = (b.lon - a.lon) * scale;
+      const by = b.lat - a.lat;
+      const px = (position.lon - a.lon) * scale;
+      const py = position.lat - a.lat;
+      const legSquared = bx * bx + by * by;
+      const t = legSquared > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / legSquared)) : 0;
+      const offset = Math.hypot(px - t * bx, py - t * by);
+
+      if (!best || offset < best.offset) {
+        best = { offset, chainage: chainage + t * length };
+      }
+      chainage += length;
+    }
+
+    return best.chainage;
+  }
+
+  /**
+   * Parse HH:MM into minutes after midnight
+   */
+  parseClockTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+      return null;
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  /**
+   * Day of week and minutes after midnight, in the route's time zone
+   */
+  getLocalTime(time, timezone) {
+    const date = new Date(time);
+    if (!timezone) {
+      return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+    }
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+      day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+      minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+  }
+
+  /**
+   * Speed limit in force on a route at a time. Periods may run past
+   * midnight (22:00 to 06:00); their days are the days they start on.
+   */
+  getRouteLimit(route, time) {
+    const { day, minutes } = this.getLocalTime(time, route.timezone);
+
+    for (const period of route.limitSchedule) {
+      const from = this.parseClockTime(period.from);
+      const to = this.parseClockTime(period.to);
+      const overnight = from > to;
+      const inside = overnight ? minutes >= from || minutes < to : minutes >= from && minutes < to;
+      if (!inside) {
+        continue;
+      }
+
+      const startDay = overnight && minutes < to ? (day + 6) % 7 : day;
+      if (!period.days || period.days.includes(startDay)) {
+        return period.limit;
+      }
+    }
+
+    return route.speedLimit;
+  }
+
+  /**
+   * Whether a detection is travelling the way a route runs. The camera's
+   * reported direction must match its detection point, and the detection
+   * point must still face the route's direction.
+   */
+  matchesRouteDirection(route, detection) {
+    if (route.direction && detection.direction && detection.direction !== route.direction) {
+      return false;
+    }
+
+    const expected = detection.direction || route.direction;
+    return !detection.travelDirection || !expected || detection.travelDirection === expected;
+  }
+
+  /**
+   * Chain a detection onto the routes its camera is a checkpoint of
+   */
+  async checkRoutes(plateNumber, detection) {
+    const plate = String(plateNumber).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+    for (const route of this.routes.values()) {
+      const index = route.checkpoints.findIndex(checkpoint => checkpoint.cameraId === detection.cameraId);
+      if (!route.active || index === -1) {
+        continue;
+      }
+
+      if (!this.matchesRouteDirection(route, detection)) {
+        this.logger.debug(`Ignoring ${plate} at ${detection.cameraId} for route ${route.id}: wrong direction`);
+        continue;
+      }
+
+      const key = `${route.id}:${plate}`;
+      const progress = this.routeProgress.get(key);
+      const last = progress?.passes[progress.passes.length - 1];
+      const pass = { index, detection };
+
+      if (last) {
+        const elapsed = detection.timestamp - last.detection.timestamp;
+        const inTime = elapsed <= route.maxSegmentTime * (Math.abs(index - last.index) || 1);
+
+        // Repeat reads at the same checkpoint keep the first
+        if (index === last.index && inTime) {
+          continue;
+        }
+
+        if (index > last.index && inTime) {
+          if (elapsed < this.config.minTimeBetweenDetections) {
+            continue;
+          }
+
+          const segment = await this.recordRouteAverage(route, 'segment', last, pass);
+          progress.passes.push(pass);
+          if (segment) {
+            progress.segments.push(segment.id);
+          }
+
+          if (index === route.checkpoints.length - 1) {
+            this.routeProgress.delete(key);
+            const whole = await this.recordRouteAverage(route, 'route', progress.passes[0], pass, progress.segments);
+            if (whole) {
+              this.emit('route:completed', whole);
+            }
+          }
+          continue;
+        }
+      }
+
+      // First sighting, out of sequence or too slow: start again from here
+      if (index < route.checkpoints.length - 1) {
+        this.routeProgress.set(key, { routeId: route.id, plateNumber: plate, passes: [pass], segments: [] });
+      } else {
+        this.routeProgress.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Record the average speed between two checkpoints of a route and raise an
+   * offence if it is over the limit in force when the vehicle entered
+   */
+  async recordRouteAverage(route, scope, entry, exit, segmentIds = []) {
+    const distance = route.segments
+      .slice(entry.index, exit.index)
+      .reduce((total, segment) => total + segment.distance, 0);
+    const timeDiff = exit.detection.timestamp - entry.detection.timestamp;
+    const speedKmh = distance / (timeDiff / (1000 * 60 * 60));
+
+    // Faster than anything plausible means two different vehicles
+    if (speedKmh > this.config.maxSpeedThreshold) {
+      this.logger.warn(`Discarding ${speedKmh.toFixed(1)} km/h on route ${route.id}: plate likely misread`);
+      return null;
+    }
+
+    const speedLimit = this.getRouteLimit(route, entry.detection.timestamp);
+    const average = {
+      id: `${route.id}-${scope}-${entry.detection.timestamp.getTime()}-${exit.detection.timestamp.getTime()}`,
+      routeId: route.id,
+      routeName: route.name,
+      scope,
+      plateNumber: entry.detection.plateNumber,
+      from: entry.detection.cameraId,
+      to: exit.detection.cameraId,
+      entryTime: entry.detection.timestamp.toISOString(),
+      exitTime: exit.detection.timestamp.toISOString(),
+      distance, // km
+      timeDiff, // milliseconds
+      speedKmh,
+      speedLimit,
+      segments: scope === 'route' ? segmentIds : undefined,
+      offenceId: null,
+      calculatedAt: new Date().toISOString()
+    };
+
+    this.routeAverages.set(average.id, average);
+    if (scope === 'segment') {
+      this.emit('route:segment', average);
+    }
+    this.logger.info(`Average speed for ${average.plateNumber} on ${route.name} (${scope}): ${speedKmh.toFixed(1)} km/h`);
+
+    // A route covered in a single hop is the same measurement as that segment
+    const segmentOffence = scope === 'route' && segmentIds.length === 1
+      ? this.routeAverages.get(segmentIds[0])?.offenceId
+      : null;
+    const enforced = route.enforce === 'both' || route.enforce === (scope === 'segment' ? 'segments' : 'route');
+
+    if (segmentOffence) {
+      average.offenceId = segmentOffence;
+    } else if (enforced && speedLimit) {
+      const threshold = speedLimit * (1 + route.tolerance.percent / 100) + route.tolerance.kmh;
+      if (speedKmh > threshold) {
+        const offence = await this.recordOffence(route, average, threshold, entry.detection, exit.detection);
+        average.offenceId = offence.id;
+      }
+    }
+
+    return average;
+  }
+
+  /**
+   * Create an offence record with both ANPR reads and their snapshots
+   */
+  async recordOffence(route, average, threshold, entryDetection, exitDetection) {
+    const offence = {
+      id: `offence-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      routeId: route.id,
+      routeName: route.name,
+      scope: average.scope,
+      averageId: average.id,
+      plateNumber: average.plateNumber,
+      speedKmh: average.speedKmh,
+      speedLimit: average.speedLimit,
+      threshold,
+      excess: average.speedKmh - average.speedLimit,
+      distance: average.distance,
+      timeDiff: average.timeDiff,
+      entry: this.describeOffenceDetection(entryDetection),
+      exit: this.describeOffenceDetection(exitDetection),
+      evidence: [],
+      timestamp: new Date().toISOString()
+    };
+
+    // Clips around each read, exported from the recordings
+    if (this.evidenceService) {
+      for (const detection of [entryDetection, exitDetection]) {
+        try {
+          const evidence = this.evidenceService.capture({
+            cameras: [{ cameraId: detection.cameraId, name: this.detectionPoints.get(detection.cameraId)?.name }],
+            timestamp: detection.timestamp,
+            preRoll: this.config.evidenceWindow,
+            postRoll: this.config.evidenceWindow,
+            severity: 'high',
+            eventType: 'speed:offence',
+            reason: 'speed-offence'
+          });
+          offence.evidence.push({ cameraId: detection.cameraId, id: evidence.id, url: `/api/evidence/${evidence.id}` });
+        } catch (error) {
+          this.logger.warn(`Could not capture offence evidence at ${detection.cameraId}: ${error.message}`);
+        }
+      }
+    }
+
+    this.offences.set(offence.id, offence);
+    this.stats.totalOffences++;
+
+    this.emit('speed:offence', offence);
+    this.logger.warn(`Speed offence: ${offence.plateNumber} averaged ${offence.speedKmh.toFixed(1)} km/h in a ${offence.speedLimit} limit on ${route.name}`);
+
+    return offence;
+  }
+
+  /**
+   * The parts of a detection kept with an offence
+   */
+  describeOffenceDetection(detection) {
+    return {
+      cameraId: detection.cameraId,
+      name: this.detectionPoints.get(detection.cameraId)?.name || detection.cameraId,
+      plateRead: detection.plateNumber,
+      timestamp: detection.timestamp.toISOString(),
+      confidence: detection.confidence,
+      position: detection.position,
+      direction: detection.travelDirection || detection.direction,
+      snapshot: detection.snapshot
+    };
+  }
+
+  /**
+   * Get segment and whole-route averages
+   */
+  getRouteAverages(filter = {}) {
+    let averages = Array.from(this.routeAverages.values());
+
+    if (filter.routeId) {
+      averages = averages.filter(a => a.routeId === filter.routeId);
+    }
+
+    if (filter.plateNumber) {
+      averages = averages.filter(a => a.plateNumber === filter.plateNumber);
+    }
+
+    if (filter.scope) {
+      averages = averages.filter(a => a.scope === filter.scope);
+    }
+
+    return averages.sort((a, b) => new Date(b.calculatedAt) - new Date(a.calculatedAt));
+  }
+
+  /**
+   * Get offences
+   */
+  getOffences(filter = {}) {
+    let offences = Array.from(this.offences.values());
+
+    if (filter.routeId) {
+      offences = offences.filter(o => o.routeId === filter.routeId);
+    }
+
+    if (filter.plateNumber) {
+      offences = offences.filter(o => o.plateNumber === filter.plateNumber);
+    }
+
+    if (filter.scope) {
+      offences = offences.filter(o => o.scope === filter.scope);
+    }
+
+    return offences.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  /**
+   * Get an offence
+   */
+  getOffence(offenceId) {
+    return this.offences.get(offenceId);
+  }
+
   /**
    * Get speed calculations with filters
    */
@@ -541,7 +1100,11 @@ class SpeedCalculationService extends EventEmitter {
       detectionPoints: this.detectionPoints.size,
       activeTracking: this.activeTracking.size,
       totalCalculations: this.speedCalculations.size,
-      totalAlerts: this.speedAlerts.size
+      totalAlerts: this.speedAlerts.size,
+      routes: this.routes.size,
+      vehiclesOnRoutes: this.routeProgress.size,
+      routeAverages: this.routeAverages.size,
+      offences: this.offences.size
     };
   }
 
@@ -565,6 +1128,26 @@ class SpeedCalculationService extends EventEmitter {
       }
     }
     
+    // Clean up old route averages and offences
+    for (const [id, average] of this.routeAverages.entries()) {
+      if (new Date(average.calculatedAt) < cutoffTime) {
+        this.routeAverages.delete(id);
+      }
+    }
+
+    const offenceCutoff = new Date(Date.now() - this.config.offenceRetentionHours * 60 * 60 * 1000);
+    for (const [id, offence] of this.offences.entries()) {
+      if (new Date(offence.timestamp) < offenceCutoff) {
+        this.offences.delete(id);
+      }
+    }
+
+    for (const [key, progress] of this.routeProgress.entries()) {
+      if (progress.passes[progress.passes.length - 1].detection.timestamp < cutoffTime) {
+        this.routeProgress.delete(key);
+      }
+    }
+
     // Clean up old tracking data
     for (const [plateNumber, tracking] of this.activeTracking.entries()) {
       if (tracking.lastSeen < cutoffTime) {
@@ -0,0 +1,547 @@
+const EventEmitter = require('events');
+const winston = require('winston');
+
+/**
+ * Temporal Pattern Engine
+ *
+ * Keeps per-rule window state for rules that match over several events
+ * rather than one at a time. Patterns are declared in `conditions.pattern`:
+ *
+ * - count:    { type: 'count', groupBy, match, threshold, window }
+ *             threshold events for the same group within the window
+ * - sequence: { type: 'sequence', key, steps: [expr, expr, ...], within }
+ *             steps seen in order for the same key within the window
+ * - absence:  { type: 'absence', key, after, expect, within }
+ *             no `expect` event within the window after an `after` event,
+ *             or since the last `expect` event when `after` is omitted
+ *             (heartbeat)
+ *
+ * Expressions use the ConditionEvaluator language; windows accept
+ * milliseconds or strings such as '90s', '2m' and '1h'.
+ */
+class TemporalPatternEngine extends EventEmitter {
+  constructor(config = {}, conditionEvaluator, logger) {
+    super();
+    this.config = config;
+    this.conditionEvaluator = conditionEvaluator;
+    this.logger = logger || winston.createLogger();
+
+    this.sweepInterval = config.sweepInterval || 1000;
+    this.maxKeysPerRule = config.maxKeysPerRule || 10000;
+    this.maxEventsPerWindow = config.maxEventsPerWindow || 1000;
+
+    // ruleId -> { rule, pattern, keys: Map, stats }
+    this.patterns = new Map();
+    this.sweepTimer = null;
+
+    this.stats = {
+      eventsProcessed: 0,
+      patternsFired: 0,
+      windowsExpired: 0,
+      lastFired: null
+    };
+  }
+
+  /**
+   * Validate a pattern definition and return it in stored form
+   */
+  normalize(pattern) {
+    if (!pattern || typeof pattern !== 'object') {
+      throw new Error('Invalid pattern: expected an object');
+    }
+
+    const compile = (expression, name) => {
+      if (expression === undefined || expression === null || expression === '') {
+        throw new Error(`Invalid pattern: "${name}" is required`);
+      }
+      return this.conditionEvaluator.compile(expression);
+    };
+
+    const checkPath = (path, name) => {
+      if (path !== undefined && (typeof path !== 'string' || path.length === 0)) {
+        throw new Error(`Invalid pattern: "${name}" must be a field path`);
+      }
+    };
+
+    switch (pattern.type) {
+      case 'count': {
+        checkPath(pattern.groupBy, 'groupBy');
+        if (!Number.isInteger(pattern.threshold) || pattern.threshold < 1) {
+          throw new Error('Invalid pattern: count "threshold" must be a positive integer');
+        }
+        const normalized = {
+          type: 'count',
+          threshold: pattern.threshold,
+          window: this.parseDuration(pattern.window, 'window')
+        };
+        if (pattern.groupBy) normalized.groupBy = pattern.groupBy;
+        if (pattern.match) normalized.match = compile(pattern.match, 'match');
+        return normalized;
+      }
+      case 'sequence': {
+        checkPath(pattern.key, 'key');
+        if (!Array.isArray(pattern.steps) || pattern.steps.length < 2) {
+          throw new Error('Invalid pattern: sequence needs at least two "steps"');
+        }
+        const normalized = {
+          type: 'sequence',
+          steps: pattern.steps.map((step, index) => compile(step, `steps[${index}]`)),
+          within: this.parseDuration(pattern.within, 'within')
+        };
+        if (pattern.key) normalized.key = pattern.key;
+        return normalized;
+      }
+      case 'absence': {
+        checkPath(pattern.key, 'key');
+        const normalized = {
+          type: 'absence',
+          expect: compile(pattern.expect, 'expect'),
+          within: this.parseDuration(pattern.within, 'within')
+        };
+        if (pattern.key) normalized.key = pattern.key;
+        if (pattern.after) normalized.after = compile(pattern.after, 'after');
+        return normalized;
+      }
+      default:
+        throw new Error(`Invalid pattern: unknown type "${pattern.type}"`);
+    }
+  }
+
+  /**
+   * Parse a duration in milliseconds or as '500ms', '90s', '2m', '1h'
+   */
+  parseDuration(value, name = 'window') {
+    if (typeof value === 'number' && value > 0) {
+      return value;
+    }
+
+    const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h)$/.exec(String(value || '').trim());
+    if (!match) {
+      throw new Error(`Invalid pattern: "${name}" must be a duration such as 90s, 2m or 1h`);
+    }
+
+    const multipliers = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    return Number(match[1]) * multipliers[match[2]];
+  }
+
+  /**
+   * Start tracking a rule, resetting any existing window state
+   */
+  addRule(rule) {
+    const entry = {
+      rule,
+      pattern: rule.conditions.pattern,
+      keys: new Map(),
+      stats: { eventsMatched: 0, fired: 0, expired: 0, lastFired: null }
+    };
+
+    // A heartbeat without a key is armed straight away so a feed that
+    // never produces anything still raises an alarm
+    if (entry.pattern.type === 'absence' && !entry.pattern.after && !entry.pattern.key) {
+      const now = Date.now();
+      entry.keys.set('*', { armedAt: now, lastSeen: null, deadline: now + entry.pattern.within, fired: false });
+    }
+
+    this.patterns.set(rule.id, entry);
+    this.start();
+  }
+
+  /**
+   * Stop tracking a rule
+   */
+  removeRule(ruleId) {
+    this.patterns.delete(ruleId);
+
+    if (this.patterns.size === 0) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Feed an event that passed the rule's base conditions
+   */
+  processEvent(rule, event) {
+    const entry = this.patterns.get(rule.id);
+    if (!entry) {
+      return null;
+    }
+
+    this.stats.eventsProcessed++;
+
+    switch (entry.pattern.type) {
+      case 'count':
+        return this.processCount(entry, event);
+      case 'sequence':
+        return this.processSequence(entry, event);
+      case 'absence':
+        // Absence deadlines run on wall-clock time, so replayed history is ignored
+        return event.metadata?.replay ? null : this.processAbsence(entry, event);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Windowed count per group
+   */
+  processCount(entry, event) {
+    const { pattern } = entry;
+
+    if (pattern.match && !this.matches(pattern.match, event)) {
+      return null;
+    }
+
+    const key = this.resolveKey(event, pattern.groupBy);
+    if (key === null) {
+      return null;
+    }
+
+    entry.stats.eventsMatched++;
+
+    const time = this.getEventTime(event);
+    const window = this.getKeyState(entry, key, () => ({ events: [] }));
+    window.events = window.events.filter(item => item.time > time - pattern.window);
+    window.events.push(this.summarizeEvent(event, time));
+
+    if (window.events.length > this.maxEventsPerWindow) {
+      window.events.shift();
+    }
+
+    if (window.events.length < pattern.threshold) {
+      return null;
+    }
+
+    entry.keys.delete(key);
+    return this.fire(entry, {
+      key,
+      count: window.events.length,
+      window: pattern.window,
+      events: window.events,
+      reason: `${window.events.length} events within ${this.formatDuration(pattern.window)}`
+    }, event);
+  }
+
+  /**
+   * Ordered sequence per key
+   */
+  processSequence(entry, event) {
+    const { pattern } = entry;
+    const key = this.resolveKey(event, pattern.key);
+    if (key === null) {
+      return null;
+    }
+
+    const time = this.getEventTime(event);
+    let partial = entry.keys.get(key);
+
+    if (partial && time - partial.started > pattern.within) {
+      entry.keys.delete(key);
+      entry.stats.expired++;
+      this.stats.windowsExpired++;
+      partial = null;
+    }
+
+    if (partial && this.matches(pattern.steps[partial.step], event)) {
+      entry.stats.eventsMatched++;
+      partial.events.push(this.summarizeEvent(event, time));
+      partial.step++;
+
+      if (partial.step < pattern.steps.length) {
+        return null;
+      }
+
+      entry.keys.delete(key);
+      return this.fire(entry, {
+        key,
+        window: pattern.within,
+        events: partial.events,
+        reason: `${pattern.steps.length} steps within ${this.formatDuration(pattern.within)}`
+      }, event);
+    }
+
+    if (this.matches(pattern.steps[0], event)) {
+      entry.stats.eventsMatched++;
+      entry.keys.delete(key);
+      this.getKeyState(entry, key, () => ({
+        step: 1,
+        started: time,
+        events: [this.summarizeEvent(event, time)]
+      }));
+    }
+
+    return null;
+  }
+
+  /**
+   * Arm, satisfy or reset absence deadlines
+   */
+  processAbsence(entry, event) {
+    const { pattern } = entry;
+    const key = this.resolveKey(event, pattern.key);
+    if (key === null) {
+      return null;
+    }
+
+    const now = Date.now();
+
+    if (this.matches(pattern.expect, event)) {
+      entry.stats.eventsMatched++;
+
+      entry.keys.delete(key);
+      if (!pattern.after) {
+        this.getKeyState(entry, key, () => ({
+          armedAt: now,
+          lastSeen: now,
+          deadline: now + pattern.within,
+          fired: false
+        }));
+      }
+      return null;
+    }
+
+    if (pattern.after && this.matches(pattern.after, event)) {
+      entry.stats.eventsMatched++;
+      entry.keys.delete(key);
+      this.getKeyState(entry, key, () => ({
+        armedAt: now,
+        deadline: now + pattern.within,
+        event: this.summarizeEvent(event, this.getEventTime(event)),
+        trigger: event
+      }));
+    }
+
+    return null;
+  }
+
+  /**
+   * Fire overdue absence deadlines and drop expired windows
+   */
+  sweep(now = Date.now()) {
+    const fired = [];
+
+    for (const entry of this.patterns.values()) {
+      const { pattern } = entry;
+
+      for (const [key, state] of entry.keys) {
+        if (pattern.type === 'count') {
+          const newest = state.events[state.events.length - 1];
+          if (!newest || newest.time <= now - pattern.window) {
+            entry.keys.delete(key);
+          }
+        } else if (pattern.type === 'sequence') {
+          if (now - state.started > pattern.within) {
+            entry.keys.delete(key);
+            entry.stats.expired++;
+            this.stats.windowsExpired++;
+          }
+        } else if (pattern.type === 'absence' && !state.fired && state.deadline <= now) {
+          if (entry.rule.metadata?.enabled === false) {
+            continue;
+          }
+
+          if (pattern.after) {
+            entry.keys.delete(key);
+          } else {
+            state.fired = true;
+          }
+
+          fired.push(this.fire(entry, {
+            key,
+            window: pattern.within,
+            events: state.event ? [state.event] : [],
+            lastSeen: state.lastSeen ? new Date(state.lastSeen).toISOString() : null,
+            reason: pattern.after
+              ? `expected event not seen within ${this.formatDuration(pattern.within)}`
+              : `no event for ${this.formatDuration(pattern.within)}`
+          }, state.trigger || null));
+        }
+      }
+    }
+
+    return fired;
+  }
+
+  /**
+   * Record and announce a pattern match
+   */
+  fire(entry, details, trigger) {
+    const match = {
+      ruleId: entry.rule.id,
+      ruleName: entry.rule.name,
+      pattern: entry.pattern.type,
+      ...details,
+      events: (details.events || []).map(({ time, ...summary }) => summary),
+      firedAt: new Date().toISOString()
+    };
+
+    entry.stats.fired++;
+    entry.stats.lastFired = match.firedAt;
+    this.stats.patternsFired++;
+    this.stats.lastFired = match.firedAt;
+
+    this.logger.info(`Pattern matched: ${entry.rule.id} (${match.pattern}, key ${match.key}) - ${match.reason}`);
+    this.emit('pattern:matched', { match, trigger });
+
+    return match;
+  }
+
+  /**
+   * Evaluate a compiled expression, treating errors as no match
+   */
+  matches(expression, event) {
+    try {
+      return this.conditionEvaluator.evaluate(expression, event);
+    } catch (error) {
+      this.logger.warn(`Error evaluating pattern expression: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Resolve the correlation key for an event ('*' when ungrouped)
+   */
+  resolveKey(event, path) {
+    if (!path) {
+      return '*';
+    }
+
+    const value = this.conditionEvaluator.getFieldValue(event, path);
+    return value === undefined || value === null || value === '' ? null : String(value);
+  }
+
+  /**
+   * Get or create key state, evicting the oldest key when full
+   */
+  getKeyState(entry, key, create) {
+    if (!entry.keys.has(key)) {
+      if (entry.keys.size >= this.maxKeysPerRule) {
+        entry.keys.delete(entry.keys.keys().next().value);
+      }
+      entry.keys.set(key, create());
+    }
+
+    return entry.keys.get(key);
+  }
+
+  /**
+   * Event time in milliseconds, so replayed history keeps its spacing
+   */
+  getEventTime(event) {
+    const time = event.timestamp ? new Date(event.timestamp).getTime() : NaN;
+    return isNaN(time) ? Date.now() : time;
+  }
+
+  /**
+   * Short event reference kept in window state
+   */
+  summarizeEvent(event, time) {
+    return {
+      id: event.id,
+      type: event.type,
+      source: event.source,
+      timestamp: new Date(time).toISOString(),
+      time
+    };
+  }
+
+  /**
+   * Human readable duration
+   */
+  formatDuration(ms) {
+    if (ms % 3600000 === 0) return `${ms / 3600000}h`;
+    if (ms % 60000 === 0) return `${ms / 60000}m`;
+    if (ms % 1000 === 0) return `${ms / 1000}s`;
+    return `${ms}ms`;
+  }
+
+  /**
+   * Get window state for one rule
+   */
+  getState(ruleId) {
+    const entry = this.patterns.get(ruleId);
+    if (!entry) {
+      return null;
+    }
+
+    const { pattern } = entry;
+    const windows = Array.from(entry.keys.entries()).map(([key, state]) => {
+      switch (pattern.type) {
+        case 'count':
+          return {
+            key,
+            count: state.events.length,
+            threshold: pattern.threshold,
+            oldest: state.events[0]?.timestamp,
+            newest: state.events[state.events.length - 1]?.timestamp
+          };
+        case 'sequence':
+          return {
+            key,
+            step: state.step,
+            steps: pattern.steps.length,
+            started: new Date(state.started).toISOString(),
+            expiresAt: new Date(state.started + pattern.within).toISOString()
+          };
+        default:
+          return {
+            key,
+            waiting: !state.fired,
+            lastSeen: state.lastSeen ? new Date(state.lastSeen).toISOString() : null,
+            deadline: new Date(state.deadline).toISOString()
+          };
+      }
+    });
+
+    return {
+      ruleId,
+      name: entry.rule.name,
+      pattern: pattern.type,
+      activeWindows: windows.length,
+      windows,
+      ...entry.stats
+    };
+  }
+
+  /**
+   * Get pattern statistics
+   */
+  getStats() {
+    const rules = Array.from(this.patterns.keys()).map(ruleId => {
+      const { windows, ...summary } = this.getState(ruleId);
+      return summary;
+    });
+
+    return {
+      ...this.stats,
+      rules: rules.length,
+      activeWindows: rules.reduce((total, rule) => total + rule.activeWindows, 0),
+      patterns: rules
+    };
+  }
+
+  /**
+   * Start the sweep timer
+   */
+  start() {
+    if (this.sweepTimer) {
+      return;
+    }
+
+    this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+    if (this.sweepTimer.unref) {
+      this.sweepTimer.unref();
+    }
+  }
+
+  /**
+   * Stop the sweep timer
+   */
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+}
+
+module.exports = TemporalPatternEngine;
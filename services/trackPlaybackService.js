@@ -0,0 +1,322 @@
+const winston = require('winston');
+
+/**
+ * Track Playback Service
+ *
+ * Replays aircraft positions stored by AircraftDataService over a chosen time
+ * range. Each playback session owns a clock that runs at 1x-60x real time and
+ * can be paused or seeked; frames give every aircraft's last known position
+ * and trail at the session's current time, in the same shape the radar uses.
+ */
+
+const EMERGENCY_SQUAWKS = ['7500', '7600', '7700'];
+
+class TrackPlaybackService {
+  constructor(config = {}, logger = null) {
+    this.config = {
+      maxRangeHours: config.maxRangeHours || 24,
+      maxPositions: config.maxPositions || 200000,
+      // Each session holds up to maxPositions rows in memory
+      maxSessions: config.maxSessions || 5,
+      minSpeed: config.minSpeed || 1,
+      maxSpeed: config.maxSpeed || 60,
+      // An aircraft drops off the scope when its last position is this old
+      staleAfter: config.staleAfter || 60000,
+      trailLength: config.trailLength || 20,
+      // Sessions nobody has polled for this long are discarded
+      sessionTimeout: config.sessionTimeout || 1800000
+    };
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.aircraftDataService = null;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Set the aircraft data service positions are loaded from
+   */
+  setAircraftDataService(aircraftDataService) {
+    this.aircraftDataService = aircraftDataService;
+  }
+
+  /**
+   * Load a time range and start a paused or playing session
+   */
+  async createSession(options = {}, now = Date.now()) {
+    if (!this.aircraftDataService) {
+      throw new Error('Aircraft data service not available');
+    }
+
+    const start = new Date(options.start).getTime();
+    const end = new Date(options.end).getTime();
+    if (isNaN(start) || isNaN(end)) {
+      throw new Error('start and end must be valid times');
+    }
+    if (end <= start) {
+      throw new Error('end must be after start');
+    }
+    if (end - start > this.config.maxRangeHours * 3600000) {
+      throw new Error(`Time range cannot exceed ${this.config.maxRangeHours} hours`);
+    }
+
+    this.pruneSessions(now);
+    if (this.sessions.size >= this.config.maxSessions) {
+      const error = new Error(`Too many playback sessions (limit ${this.config.maxSessions}); stop one before starting another`);
+      error.code = 'PLAYBACK_LIMIT';
+      throw error;
+    }
+
+    // Include positions just before the range so aircraft already airborne appear at the start
+    const rows = await this.aircraftDataService.getPositionsInRange(start - this.config.staleAfter, end, {
+      icao24: options.icao24,
+      limit: this.config.maxPositions
+    });
+
+    const tracks = new Map();
+    for (const row of rows) {
+      const icao24 = row.icao24.toUpperCase();
+      if (!tracks.has(icao24)) {
+        tracks.set(icao24, []);
+      }
+      tracks.get(icao24).push({
+        icao24,
+        callsign: row.callsign ? row.callsign.trim() : null,
+        lat: row.lat,
+        lon: row.lon,
+        altitude: row.altitude,
+        speed: row.speed,
+        track: row.track,
+        vertical_rate: row.vertical_rate,
+        squawk: row.squawk,
+        time: new Date(row.timestamp).getTime()
+      });
+    }
+
+    const session = {
+      id: `playback-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      start,
+      end,
+      icao24: options.icao24 ? options.icao24.toUpperCase() : null,
+      speed: this.validateSpeed(options.speed || 1),
+      paused: options.paused === true,
+      // Playback time at the moment the clock was last anchored
+      position: start,
+      anchor: now,
+      tracks,
+      positionCount: rows.length,
+      truncated: rows.length >= this.config.maxPositions,
+      lastAccess: now
+    };
+
+    this.sessions.set(session.id, session);
+    this.logger.info('Track playback session created', {
+      id: session.id,
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      aircraft: tracks.size,
+      positions: rows.length
+    });
+
+    return this.getStatus(session.id, now);
+  }
+
+  /**
+   * Get a session, refreshing its idle timer
+   */
+  getSession(id, now = Date.now()) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      throw new Error(`Playback session not found: ${id}`);
+    }
+    session.lastAccess = now;
+    return session;
+  }
+
+  /**
+   * Current playback time of a session
+   */
+  getCurrentTime(session, now = Date.now()) {
+    if (session.paused) {
+      return session.position;
+    }
+    return Math.min(session.end, session.position + (now - session.anchor) * session.speed);
+  }
+
+  /**
+   * Re-anchor the clock at the current playback time
+   */
+  anchor(session, now) {
+    session.position = this.getCurrentTime(session, now);
+    session.anchor = now;
+  }
+
+  play(id, now = Date.now()) {
+    const session = this.getSession(id, now);
+    this.anchor(session, now);
+    // Playing from the end starts over
+    if (session.position >= session.end) {
+      session.position = session.start;
+    }
+    session.paused = false;
+    return this.getStatus(id, now);
+  }
+
+  pause(id, now = Date.now()) {
+    const session = this.getSession(id, now);
+    this.anchor(session, now);
+    session.paused = true;
+    return this.getStatus(id, now);
+  }
+
+  seek(id, time, now = Date.now()) {
+    const session = this.getSession(id, now);
+    const target = new Date(time).getTime();
+    if (isNaN(target)) {
+      throw new Error('Seek time must be a valid time');
+    }
+    session.position = Math.max(session.start, Math.min(session.end, target));
+    session.anchor = now;
+    return this.getStatus(id, now);
+  }
+
+  setSpeed(id, speed, now = Date.now()) {
+    const session = this.getSession(id, now);
+    const validated = this.validateSpeed(speed);
+    this.anchor(session, now);
+    session.speed = validated;
+    return this.getStatus(id, now);
+  }
+
+  validateSpeed(speed) {
+    const value = Number(speed);
+    if (!Number.isFinite(value) || value < this.config.minSpeed || value > this.config.maxSpeed) {
+      throw new Error(`Speed must be between ${this.config.minSpeed}x and ${this.config.maxSpeed}x`);
+    }
+    return value;
+  }
+
+  deleteSession(id) {
+    return this.sessions.delete(id);
+  }
+
+  /**
+   * Drop sessions that have not been polled recently
+   */
+  pruneSessions(now = Date.now()) {
+    for (const [id, session] of this.sessions) {
+      if (now - session.lastAccess > this.config.sessionTimeout) {
+        this.sessions.delete(id);
+        this.logger.debug('Track playback session expired', { id });
+      }
+    }
+  }
+
+  /**
+   * Session state for the playback controls
+   */
+  getStatus(id, now = Date.now()) {
+    const session = this.getSession(id, now);
+    const time = this.getCurrentTime(session, now);
+
+    return {
+      id: session.id,
+      start: new Date(session.start).toISOString(),
+      end: new Date(session.end).toISOString(),
+      time: new Date(time).toISOString(),
+      progress: (time - session.start) / (session.end - session.start),
+      speed: session.speed,
+      state: session.paused ? 'paused' : time >= session.end ? 'ended' : 'playing',
+      icao24: session.icao24,
+      aircraftCount: session.tracks.size,
+      positionCount: session.positionCount,
+      truncated: session.truncated
+    };
+  }
+
+  /**
+   * Aircraft positions and trails at the session's current time
+   */
+  getFrame(id, now = Date.now()) {
+    const session = this.getSession(id, now);
+    const time = this.getCurrentTime(session, now);
+    const aircraft = [];
+
+    for (const [icao24, positions] of session.tracks) {
+      const index = this.findLastIndex(positions, time);
+      if (index < 0) continue;
+
+      const current = positions[index];
+      if (time - current.time > this.config.staleAfter) continue;
+
+      const trail = positions
+        .slice(Math.max(0, index - this.config.trailLength), index)
+        .map(point => ({ lat: point.lat, lon: point.lon, altitude: point.altitude, timestamp: new Date(point.time).toISOString() }));
+
+      aircraft.push({
+        icao24,
+        callsign: current.callsign || this.findCallsign(positions, index),
+        lat: current.lat,
+        lon: current.lon,
+        altitude: current.altitude,
+        velocity: current.speed,
+        track: current.track,
+        vertical_rate: current.vertical_rate,
+        squawk: current.squawk,
+        emergency: EMERGENCY_SQUAWKS.includes(current.squawk),
+        lastUpdate: new Date(current.time).toISOString(),
+        trail
+      });
+    }
+
+    return {
+      time,
+      aircraft,
+      playback: this.getStatus(id, now)
+    };
+  }
+
+  /**
+   * Index of the last position at or before a time (positions sorted by time)
+   */
+  findLastIndex(positions, time) {
+    let low = 0;
+    let high = positions.length - 1;
+    let result = -1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (positions[mid].time <= time) {
+        result = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Positions are stored per update, so the callsign may only be on earlier rows
+   */
+  findCallsign(positions, index) {
+    for (let i = index; i >= 0; i--) {
+      if (positions[i].callsign) return positions[i].callsign;
+    }
+    return null;
+  }
+
+  getStats() {
+    return {
+      sessions: this.sessions.size,
+      config: this.config
+    };
+  }
+}
+
+module.exports = TrackPlaybackService;
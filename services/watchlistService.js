@@ -0,0 +1,620 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const winston = require('winston');
+
+/**
+ * Watchlist Service
+ *
+ * Managed ANPR plate lists (allow, deny, VIP and notify-on-sight). Plates
+ * from ANPR detections are matched against every enabled list exactly and by
+ * wildcard patterns; lists with fuzzy matching on also match OCR-confusable
+ * characters (0/O, 1/I, 5/S...) and by edit distance. Each hit is written to an audit log and runs the list's
+ * actions: a Telegram message, an MQTT publish or a display alarm.
+ */
+
+const LIST_TYPES = ['allow', 'deny', 'vip', 'notify'];
+
+const ACTION_TYPES = ['telegram', 'mqtt', 'display'];
+
+const DEFAULT_PRIORITY = { deny: 'high', notify: 'medium', vip: 'low', allow: 'low' };
+
+const LIST_ICONS = { deny: '🚫', notify: '👁️', vip: '⭐', allow: '✅' };
+
+// Characters ANPR commonly confuses, folded to one form for comparison
+const OCR_EQUIVALENTS = { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', B: '8', G: '6' };
+
+const MATCH_RANK = { exact: 0, ocr: 1, wildcard: 2, fuzzy: 3 };
+
+class WatchlistService extends EventEmitter {
+  constructor(config = {}, logger = null) {
+    super();
+
+    this.config = {
+      file: config.file || path.join(__dirname, '../data/watchlists.json'),
+      auditFile: config.auditFile || path.join(__dirname, '../data/watchlist-hits.jsonl'),
+      // Largest edit distance accepted as a fuzzy match
+      maxDistance: config.maxDistance ?? 1,
+      // Shorter plates only match exactly or by OCR equivalents
+      minFuzzyLength: config.minFuzzyLength || 5,
+      // Actions for the same plate on the same list are not repeated within this window (ms)
+      actionCooldown: config.actionCooldown ?? 300000,
+      // The same plate at the same camera arriving by two paths counts once
+      // when the detection times are within this window (ms)
+      dedupeWindow: config.dedupeWindow ?? 10000,
+      maxHits: config.maxHits || 1000,
+      telegramConnectorId: config.telegramConnectorId || 'telegram-bot-main',
+      mqttConnectorId: config.mqttConnectorId || 'mqtt-broker-main',
+      displayConnectorId: config.displayConnectorId || 'display-manager-main',
+      mqttTopic: config.mqttTopic || 'babelfish/anpr/watchlist'
+    };
+
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(winston.format.timestamp(), winston.format.json()),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.connectorRegistry = null;
+    this.eventBus = null;
+
+    // listId -> list with entries
+    this.lists = new Map();
+    // Recent hits, newest first
+    this.hits = [];
+    // plate|cameraId -> { timestamp, seenAt } of the last detection checked
+    this.recentDetections = new Map();
+    this.lastActions = new Map();
+
+    this.stats = { checked: 0, hits: 0, actions: 0, actionErrors: 0 };
+  }
+
+  /**
+   * Actions are sent through the Telegram, MQTT and display connectors
+   */
+  setConnectorRegistry(connectorRegistry) {
+    this.connectorRegistry = connectorRegistry;
+  }
+
+  setEventBus(eventBus) {
+    this.eventBus = eventBus;
+  }
+
+  /**
+   * Load lists and the most recent audited hits
+   */
+  async load() {
+    try {
+      const stored = JSON.parse(await fs.readFile(this.config.file, 'utf8'));
+      for (const list of stored.lists || []) {
+        this.lists.set(list.id, list);
+      }
+    } catch (error) {
+      this.logger.debug('No watchlists loaded', { error: error.message });
+    }
+
+    try {
+      const lines = (await fs.readFile(this.config.auditFile, 'utf8')).trim().split('\n').filter(Boolean);
+      this.hits = lines.slice(-this.config.maxHits).map(line => JSON.parse(line)).reverse();
+    } catch (error) {
+      this.logger.debug('No watchlist audit loaded', { error: error.message });
+    }
+
+    this.logger.info(`Loaded ${this.lists.size} watchlists`);
+    return this.getLists();
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.config.file), { recursive: true });
+    await fs.writeFile(this.config.file, JSON.stringify({ lists: Array.from(this.lists.values()) }, null, 2));
+  }
+
+  /**
+   * Create a list. Actions: { type: 'telegram', chatId }, { type: 'mqtt', topic }
+   * or { type: 'display', displays, priority }.
+   */
+  async createList(data) {
+    const list = this.validateList({
+      id: data.id || `watchlist-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      entries: [],
+      createdAt: new Date().toISOString(),
+      ...data
+    });
+    if (this.lists.has(list.id)) {
+      throw new Error(`Watchlist ${list.id} already exists`);
+    }
+
+    this.lists.set(list.id, list);
+    await this.save();
+    this.logger.info(`Watchlist created: ${list.name} (${list.type})`);
+    return list;
+  }
+
+  async updateList(listId, updates) {
+    const existing = this.lists.get(listId);
+    if (!existing) {
+      return null;
+    }
+
+    const list = this.validateList({ ...existing, ...updates, id: listId, entries: existing.entries });
+    this.lists.set(listId, list);
+    await this.save();
+    return list;
+  }
+
+  async deleteList(listId) {
+    const existed = this.lists.delete(listId);
+    if (existed) {
+      await this.save();
+    }
+    return existed;
+  }
+
+  validateList(list) {
+    if (!list.name || typeof list.name !== 'string') {
+      throw new Error('Watchlist name is required');
+    }
+    if (!LIST_TYPES.includes(list.type)) {
+      throw new Error(`Watchlist type must be one of: ${LIST_TYPES.join(', ')}`);
+    }
+
+    const actions = list.actions || [];
+    if (!Array.isArray(actions) || actions.some(action => !ACTION_TYPES.includes(action?.type))) {
+      throw new Error(`Watchlist actions must be of type: ${ACTION_TYPES.join(', ')}`);
+    }
+
+    return {
+      id: list.id,
+      name: list.name,
+      type: list.type,
+      description: list.description || '',
+      priority: list.priority || DEFAULT_PRIORITY[list.type],
+      enabled: list.enabled !== false,
+      fuzzy: list.fuzzy === true,
+      actions,
+      entries: list.entries,
+      createdAt: list.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Add a plate or wildcard pattern (* any run, ? one character)
+   */
+  async addEntry(listId, data) {
+    const list = this.lists.get(listId);
+    if (!list) {
+      return null;
+    }
+
+    const entry = this.validateEntry({
+      id: `entry-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      createdAt: new Date().toISOString(),
+      ...data
+    });
+
+    // Re-adding a plate updates it
+    const index = list.entries.findIndex(existing => existing.plate === entry.plate);
+    if (index >= 0) {
+      entry.id = list.entries[index].id;
+      entry.createdAt = list.entries[index].createdAt;
+      list.entries[index] = entry;
+    } else {
+      list.entries.push(entry);
+    }
+
+    await this.save();
+    return entry;
+  }
+
+  async updateEntry(listId, entryId, updates) {
+    const list = this.lists.get(listId);
+    const index = list ? list.entries.findIndex(entry => entry.id === entryId) : -1;
+    if (index < 0) {
+      return null;
+    }
+
+    const entry = this.validateEntry({ ...list.entries[index], ...updates, id: entryId });
+    list.entries[index] = entry;
+    await this.save();
+    return entry;
+  }
+
+  async removeEntry(listId, entryId) {
+    const list = this.lists.get(listId);
+    const index = list ? list.entries.findIndex(entry => entry.id === entryId) : -1;
+    if (index < 0) {
+      return false;
+    }
+
+    list.entries.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  validateEntry(entry) {
+    const plate = this.normalize(entry.plate || '', true);
+    if (plate.replace(/[*?]/g, '').length < 2) {
+      throw new Error('Plate must have at least 2 characters');
+    }
+
+    let expiresAt = null;
+    if (entry.expiresAt) {
+      const expiry = new Date(entry.expiresAt);
+      if (isNaN(expiry.getTime())) {
+        throw new Error(`Invalid expiry date for ${plate}`);
+      }
+      expiresAt = expiry.toISOString();
+    }
+
+    return {
+      id: entry.id,
+      plate,
+      description: entry.description || '',
+      expiresAt,
+      addedBy: entry.addedBy || null,
+      createdAt: entry.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Import entries from CSV text (plate,description,expiresAt per line) or
+   * an array of entries. With replace, the list's entries are swapped out.
+   */
+  async importEntries(listId, input, { replace = false } = {}) {
+    const list = this.lists.get(listId);
+    if (!list) {
+      return null;
+    }
+
+    const rows = typeof input === 'string' ? this.parseCSV(input) : input;
+    if (!Array.isArray(rows)) {
+      throw new Error('Import must be CSV text or an array of entries');
+    }
+
+    const previous = list.entries;
+    if (replace) {
+      list.entries = [];
+    }
+
+    const result = { imported: 0, errors: [] };
+    rows.forEach((row, index) => {
+      try {
+        const entry = this.validateEntry({ createdAt: new Date().toISOString(), ...row });
+        const existing = list.entries.find(candidate => candidate.plate === entry.plate);
+        if (existing) {
+          Object.assign(existing, { ...entry, id: existing.id, createdAt: existing.createdAt });
+        } else {
+          list.entries.push({ ...entry, id: `entry-${Date.now()}-${index}-${Math.random().toString(36).substr(2, 5)}` });
+        }
+        result.imported++;
+      } catch (error) {
+        result.errors.push({ row: index + 1, error: error.message });
+      }
+    });
+
+    if (replace && result.imported === 0 && rows.length > 0) {
+      list.entries = previous;
+    }
+    await this.save();
+    result.total = list.entries.length;
+    return result;
+  }
+
+  parseCSV(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+    if (lines.length > 0 && /^plate\b/i.test(lines[0])) {
+      lines.shift();
+    }
+
+    return lines.map(line => {
+      const [plate, description = '', expiresAt = ''] = line.split(',').map(field => field.trim().replace(/^"|"$/g, ''));
+      return { plate, description, expiresAt: expiresAt || null };
+    });
+  }
+
+  /**
+   * Upper case, letters and digits only (keeping * and ? for patterns)
+   */
+  normalize(plate, keepWildcards = false) {
+    const pattern = keepWildcards ? /[^A-Z0-9*?]/g : /[^A-Z0-9]/g;
+    return String(plate).toUpperCase().replace(pattern, '');
+  }
+
+  /**
+   * Fold OCR-confusable characters to one form
+   */
+  canonical(plate) {
+    return plate.replace(/[A-Z]/g, char => OCR_EQUIVALENTS[char] || char);
+  }
+
+  /**
+   * How an entry matches a normalized plate, or null
+   */
+  matchEntry(entry, plate, list) {
+    // OCR folding is part of fuzzy matching, so only lists that opt in use it
+    const fold = list.fuzzy ? value => this.canonical(value) : value => value;
+    const canonicalPlate = fold(plate);
+
+    if (/[*?]/.test(entry.plate)) {
+      const pattern = fold(entry.plate)
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+      return new RegExp(`^${pattern}$`).test(canonicalPlate) ? { matchType: 'wildcard', distance: 0 } : null;
+    }
+
+    if (entry.plate === plate) {
+      return { matchType: 'exact', distance: 0 };
+    }
+
+    if (!list.fuzzy) {
+      return null;
+    }
+
+    const canonicalEntry = this.canonical(entry.plate);
+    if (canonicalEntry === canonicalPlate) {
+      return { matchType: 'ocr', distance: 0 };
+    }
+
+    if (Math.min(plate.length, entry.plate.length) >= this.config.minFuzzyLength) {
+      const distance = this.editDistance(canonicalEntry, canonicalPlate);
+      if (distance <= this.config.maxDistance) {
+        return { matchType: 'fuzzy', distance };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Match a plate against every enabled list, best match per list
+   */
+  match(plateNumber, now = Date.now()) {
+    const plate = this.normalize(plateNumber);
+    const matches = [];
+    if (!plate) {
+      return matches;
+    }
+
+    for (const list of this.lists.values()) {
+      if (!list.enabled) continue;
+
+      let best = null;
+      for (const entry of list.entries) {
+        if (entry.expiresAt && Date.parse(entry.expiresAt) <= now) continue;
+        const result = this.matchEntry(entry, plate, list);
+        if (result && (!best || MATCH_RANK[result.matchType] < MATCH_RANK[best.matchType] ||
+          (result.matchType === best.matchType && result.distance < best.distance))) {
+          best = { ...result, entry };
+        }
+      }
+
+      if (best) {
+        matches.push({
+          listId: list.id,
+          listName: list.name,
+          listType: list.type,
+          priority: list.priority,
+          entryId: best.entry.id,
+          entryPlate: best.entry.plate,
+          description: best.entry.description,
+          matchType: best.matchType,
+          distance: best.distance
+        });
+      }
+    }
+    return matches.sort((a, b) => MATCH_RANK[a.matchType] - MATCH_RANK[b.matchType]);
+  }
+
+  /**
+   * Check an ANPR detection, audit any hits and run the lists' actions
+   */
+  async checkDetection(detection) {
+    const { plateNumber, cameraId = null, confidence = null, source = null } = detection;
+    const timestamp = detection.timestamp ? new Date(detection.timestamp).getTime() : Date.now();
+    const plate = this.normalize(plateNumber || '');
+    if (!plate) {
+      return [];
+    }
+
+    // The same detection may arrive from both the analytics engine and speed
+    // service, each with its own idea of the detection time
+    const key = `${plate}|${cameraId}`;
+    const now = Date.now();
+    for (const [seenKey, seen] of this.recentDetections) {
+      if (now - seen.seenAt > this.config.dedupeWindow) this.recentDetections.delete(seenKey);
+    }
+    const previous = this.recentDetections.get(key);
+    if (previous && Math.abs(timestamp - previous.timestamp) < this.config.dedupeWindow) {
+      return [];
+    }
+    this.recentDetections.set(key, { timestamp, seenAt: now });
+
+    this.stats.checked++;
+    const hits = [];
+    for (const match of this.match(plate, timestamp)) {
+      const hit = {
+        id: `hit-${now}-${Math.random().toString(36).substr(2, 9)}`,
+        timestamp: new Date(timestamp).toISOString(),
+        plate,
+        cameraId,
+        confidence,
+        source,
+        ...match,
+        actions: []
+      };
+
+      const cooldownKey = `${match.listId}|${match.entryId}|${plate}`;
+      const lastAction = this.lastActions.get(cooldownKey);
+      hit.suppressed = lastAction !== undefined && now - lastAction < this.config.actionCooldown;
+      if (!hit.suppressed) {
+        this.lastActions.set(cooldownKey, now);
+        hit.actions = await this.runActions(this.lists.get(match.listId), hit);
+      }
+
+      await this.audit(hit);
+      hits.push(hit);
+
+      this.emit('watchlist:hit', hit);
+      if (this.eventBus) {
+        this.eventBus.publishEvent({
+          type: 'watchlist:hit',
+          source: 'watchlist',
+          timestamp: hit.timestamp,
+          data: hit
+        }).catch(error => this.logger.debug('Failed to publish watchlist hit', { error: error.message }));
+      }
+    }
+
+    if (hits.length > 0) {
+      this.logger.info(`Watchlist hit: ${plate} on ${hits.map(hit => hit.listName).join(', ')}`);
+    }
+    return hits;
+  }
+
+  async runActions(list, hit) {
+    const results = [];
+    for (const action of list.actions) {
+      try {
+        await this.runAction(action, list, hit);
+        results.push({ type: action.type, success: true });
+        this.stats.actions++;
+      } catch (error) {
+        results.push({ type: action.type, success: false, error: error.message });
+        this.stats.actionErrors++;
+        this.logger.warn(`Watchlist ${action.type} action failed`, { listId: list.id, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  async runAction(action, list, hit) {
+    switch (action.type) {
+      case 'telegram':
+        return this.getConnector(action.connectorId || this.config.telegramConnectorId).execute('telegram:send', 'text', {
+          chatId: action.chatId,
+          text: this.formatMessage(list, hit),
+          parseMode: 'HTML'
+        });
+
+      case 'mqtt':
+        return this.getConnector(action.connectorId || this.config.mqttConnectorId).execute('mqtt:publish', 'publish', {
+          topic: action.topic || `${this.config.mqttTopic}/${list.type}`,
+          payload: hit
+        });
+
+      case 'display':
+        return this.getConnector(action.connectorId || this.config.displayConnectorId).execute('display:alarms', 'trigger', {
+          alarmId: hit.id,
+          priority: action.priority || list.priority,
+          displays: action.displays,
+          message: `${list.name}: ${hit.plate}${hit.cameraId ? ` at ${hit.cameraId}` : ''}`
+        });
+
+      default:
+        throw new Error(`Unknown watchlist action: ${action.type}`);
+    }
+  }
+
+  formatMessage(list, hit) {
+    const lines = [
+      `${LIST_ICONS[list.type]} <b>Watchlist hit: ${hit.plate}</b>`,
+      `List: ${list.name} (${list.type})`
+    ];
+    if (hit.matchType !== 'exact') {
+      lines.push(`Match: ${hit.matchType} on ${hit.entryPlate}`);
+    }
+    if (hit.description) {
+      lines.push(`Note: ${hit.description}`);
+    }
+    if (hit.cameraId) {
+      lines.push(`Camera: ${hit.cameraId}`);
+    }
+    lines.push(`Time: ${new Date(hit.timestamp).toLocaleString('en-GB')}`);
+    return lines.join('\n');
+  }
+
+  async audit(hit) {
+    this.hits.unshift(hit);
+    if (this.hits.length > this.config.maxHits) {
+      this.hits.length = this.config.maxHits;
+    }
+    this.stats.hits++;
+
+    try {
+      await fs.mkdir(path.dirname(this.config.auditFile), { recursive: true });
+      await fs.appendFile(this.config.auditFile, `${JSON.stringify(hit)}\n`);
+    } catch (error) {
+      this.logger.error('Failed to write watchlist audit', { error: error.message });
+    }
+  }
+
+  /**
+   * Audited hits, newest first (filters: plate, listId, cameraId, since, limit)
+   */
+  getHits(filters = {}) {
+    let hits = this.hits;
+    if (filters.plate) {
+      const plate = this.normalize(filters.plate);
+      hits = hits.filter(hit => hit.plate === plate);
+    }
+    if (filters.listId) {
+      hits = hits.filter(hit => hit.listId === filters.listId);
+    }
+    if (filters.cameraId) {
+      hits = hits.filter(hit => hit.cameraId === filters.cameraId);
+    }
+    if (filters.since) {
+      const since = new Date(filters.since).getTime();
+      hits = hits.filter(hit => Date.parse(hit.timestamp) >= since);
+    }
+    return hits.slice(0, filters.limit || 100);
+  }
+
+  getList(listId) {
+    return this.lists.get(listId) || null;
+  }
+
+  /**
+   * Lists without their entries
+   */
+  getLists() {
+    return Array.from(this.lists.values()).map(({ entries, ...list }) => ({
+      ...list,
+      entryCount: entries.length
+    }));
+  }
+
+  getStats() {
+    return { ...this.stats, lists: this.lists.size };
+  }
+
+  getConnector(connectorId) {
+    const connector = this.connectorRegistry?.getConnector(connectorId);
+    if (!connector) {
+      throw new Error(`Connector ${connectorId} not available`);
+    }
+    return connector;
+  }
+
+  /**
+   * Levenshtein distance
+   */
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+}
+
+module.exports = WatchlistService;
@@ -0,0 +1,243 @@
+const net = require('net');
+const ADSBConnector = require('./connectors/types/ADSBConnector');
+const ModeSDecoder = require('./services/modeSDecoder');
+const SBSParser = require('./services/sbsParser');
+const { buildSchedule, replay } = require('./replay-sbs');
+const { check, wait } = require('./test/helpers');
+
+/**
+ * Serve lines or raw bytes on an ephemeral port
+ */
+function startServer(onConnection) {
+  return new Promise(resolve => {
+    const server = net.createServer(onConnection);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function createConnector(input, port, extra = {}) {
+  return new ADSBConnector({
+    id: `adsb-${input}`,
+    type: 'adsb',
+    config: {
+      input,
+      host: '127.0.0.1',
+      port,
+      pollInterval: 60000,
+      enableBaseStationIntegration: false,
+      enableAirspaceAwareness: false,
+      enableAircraftDataService: false,
+      enableSquawkCodeAnalysis: false,
+      ...extra
+    }
+  });
+}
+
+/**
+ * Wrap a Mode S frame in Beast framing with the given signal byte
+ */
+function beastFrame(hex, signal = 0x80) {
+  const payload = Buffer.from(hex, 'hex');
+  const body = Buffer.concat([Buffer.from([0, 0, 0, 0, 0, 1, signal]), payload]);
+  const escaped = [];
+  for (const byte of body) {
+    escaped.push(byte);
+    if (byte === 0x1a) escaped.push(0x1a);
+  }
+  return Buffer.from([0x1a, payload.length === 14 ? 0x33 : 0x32, ...escaped]);
+}
+
+async function testSbsReplay() {
+  console.log('📡 SBS-1 replay on port 30003 format...');
+
+  const base = '2024/06/01';
+  const recording = [
+    `MSG,1,1,1,4CA2D6,1,${base},12:00:00.000,${base},12:00:00.000,RYR82AB,,,,,,,,,,,`,
+    `MSG,3,1,1,4CA2D6,1,${base},12:00:00.100,${base},12:00:00.100,,3000,,,55.5000,-4.6000,,,0,0,0,0`,
+    `MSG,4,1,1,4CA2D6,1,${base},12:00:00.200,${base},12:00:00.200,,,180,120,,,-640,,,,,0`,
+    `MSG,3,1,1,4CA2D6,1,${base},12:00:00.300,${base},12:00:00.300,,2950,,,55.5050,-4.5900,,,0,0,0,0`,
+    `MSG,3,1,1,4CA2D6,1,${base},12:00:00.400,${base},12:00:00.400,,2900,,,55.5100,-4.5800,,,0,0,0,0`,
+    `MSG,6,1,1,4CA2D6,1,${base},12:00:00.500,${base},12:00:00.500,,,,,,,,7700,0,-1,0,0`,
+    `MSG,8,1,1,406B90,1,${base},12:00:00.600,${base},12:00:00.600,,,,,,,,,,,,0`,
+    'STA,,5,179,400AE7,10103,2024/06/01,12:00:00.700,2024/06/01,12:00:00.700,RM',
+    'garbage line'
+  ];
+
+  const server = await startServer(socket => replay(socket, buildSchedule(recording, { speed: 1, rate: 50 }), { loop: false }));
+  const connector = createConnector('sbs', server.address().port);
+  connector.zones.set('approach', {
+    id: 'approach', name: 'Approach box', type: 'custom', active: true, violations: [],
+    coordinates: [[55.508, -4.585], [55.508, -4.575], [55.512, -4.575], [55.512, -4.585]]
+  });
+
+  const appeared = [];
+  const moved = [];
+  const emergencies = [];
+  const zoneEntries = [];
+  connector.on('aircraft:appeared', aircraft => appeared.push(aircraft.icao24));
+  connector.on('aircraft:moved', ({ changes }) => changes.position && moved.push(changes.position.new));
+  connector.on('emergency:detected', event => emergencies.push(event.aircraft.icao24));
+  connector.on('zone:entered', violation => zoneEntries.push(violation.icao24));
+
+  await connector.performConnect();
+  await wait(800);
+  await connector.streamQueue;
+
+  const aircraft = connector.aircraft.get('4CA2D6');
+  check(aircraft && aircraft.callsign === 'RYR82AB', `Callsign merged: ${aircraft?.callsign}`);
+  check(aircraft.lat === 55.51 && aircraft.lon === -4.58 && aircraft.altitude === 2900, `Latest position ${aircraft.lat}, ${aircraft.lon} at ${aircraft.altitude}ft`);
+  check(aircraft.speed === 180 && aircraft.track === 120 && aircraft.vertical_rate === -640, 'Velocity merged from MSG,4');
+  check(moved.length === 3, `Every streamed position processed (${moved.length} moves)`);
+  check(aircraft.squawk === '7700' && aircraft.emergency && emergencies.includes('4CA2D6'), 'MSG,6 squawk 7700 raised an emergency');
+  check(appeared.includes('406B90') && connector.aircraft.size === 2, 'All-call only aircraft appears');
+
+  await connector.sweepStreamAircraft();
+  check(zoneEntries.includes('4CA2D6'), 'Zone entry detected on the sweep');
+
+  await connector.sweepStreamAircraft(Date.now() + 61000);
+  check(connector.aircraft.size === 0 && connector.disappearances.length === 2, 'Silent aircraft dropped after aircraftTimeout');
+
+  const stats = connector.getStats().input;
+  check(stats.mode === 'sbs' && stats.messages === 7, `Stats: ${stats.messages} messages on port ${stats.port}`);
+
+  await connector.performDisconnect();
+  server.close();
+}
+
+async function testBeastStream() {
+  console.log('\n🐺 Beast binary on port 30005 format...');
+
+  // Identification, even/odd position pair (one with a 0x1a signal byte) and a DF5 identity reply
+  const decoder = new ModeSDecoder();
+  const withParity = (hex, address = 0) => {
+    const bytes = Buffer.from(hex, 'hex');
+    bytes.writeUIntBE(ModeSDecoder.crcResidual(bytes) ^ address, bytes.length - 3, 3);
+    return bytes.toString('hex');
+  };
+
+  const frames = Buffer.concat([
+    beastFrame(withParity('8D40621D202CC371C32CE0000000')),
+    beastFrame('8D40621D58C386435CC412692AD6', 0x1a),
+    beastFrame('8D40621D58C382D690C8AC2863A7'),
+    beastFrame(withParity('28000800000000', 0x40621D))
+  ]);
+
+  const server = await startServer(socket => {
+    // Split mid-frame to exercise buffering
+    socket.write(frames.slice(0, 20));
+    setTimeout(() => socket.write(frames.slice(20)), 50);
+  });
+
+  const connector = createConnector('beast', server.address().port);
+  await connector.performConnect();
+  await wait(300);
+  await connector.streamQueue;
+
+  const aircraft = connector.aircraft.get('40621D');
+  check(aircraft && aircraft.callsign === 'KLM1023', `Callsign decoded: ${aircraft?.callsign}`);
+  check(aircraft.lat === 52.2572 && aircraft.lon === 3.91937 && aircraft.altitude === 38000, `Global CPR position ${aircraft.lat}, ${aircraft.lon} at ${aircraft.altitude}ft`);
+  check(aircraft.squawk === '1000', `DF5 squawk decoded for known address: ${aircraft.squawk}`);
+  check(connector.modeSDecoder.getStats().crcErrors === 0, 'Escaped 0x1a bytes and split chunks parsed cleanly');
+  check(decoder.decode(decoder.parseAVR('*8D485020994409940838175B284F;')).track === 182.9, 'AVR velocity frame decodes');
+
+  await connector.performDisconnect();
+  server.close();
+}
+
+async function testReconnect() {
+  console.log('\n🔁 Reconnect...');
+
+  let connections = 0;
+  const server = await startServer(socket => {
+    connections++;
+    if (connections === 1) socket.destroy();
+  });
+
+  const connector = createConnector('sbs', server.address().port, { reconnectInterval: 100 });
+  await connector.performConnect();
+  await wait(400);
+  check(connections === 2 && connector.getStats().input.connected, 'Reconnected after the receiver dropped');
+
+  await connector.performDisconnect();
+  server.close();
+
+  try {
+    await createConnector('sbs', 1).performConnect();
+    check(false, 'Connected to a closed port');
+  } catch (error) {
+    check(true, `Initial connect failure surfaces: ${error.code}`);
+  }
+}
+
+async function testBackpressure() {
+  console.log('\n🚰 Back-pressure...');
+
+  const connector = createConnector('sbs', 1, { streamQueueLimit: 3 });
+  const socket = { paused: 0, resumed: 0, pause() { this.paused++; }, resume() { this.resumed++; } };
+  connector.streamSocket = socket;
+
+  // A slow consumer: every update takes 20ms to apply
+  const applied = [];
+  const apply = connector.applyStreamUpdate.bind(connector);
+  connector.applyStreamUpdate = async update => {
+    await wait(20);
+    applied.push(update.icao24);
+    return apply(update);
+  };
+
+  const base = '2024/06/01';
+  const position = (hex, i) => `MSG,3,1,1,${hex},1,${base},12:00:0${i % 10}.000,${base},12:00:0${i % 10}.000,,${3000 - i * 10},,,${(55.5 + i * 0.001).toFixed(4)},-4.6000,,,0,0,0,0`;
+  const lines = [];
+  for (let i = 0; i < 20; i++) lines.push(position('4CA2D6', i));
+  ['400AE7', '406B90', '4CA001', '4CA002'].forEach((hex, i) => lines.push(position(hex, i)));
+  connector.handleStreamData(Buffer.from(`${lines.join('\n')}\n`));
+
+  check(socket.paused === 1 && connector.streamPending.size <= 3, `Socket paused with ${connector.streamPending.size} aircraft queued`);
+  await connector.streamQueue;
+
+  const aircraft = connector.aircraft.get('4CA2D6');
+  const input = connector.getStats().input;
+  check(applied.join() === '4CA2D6,400AE7,406B90', `20 messages for one aircraft applied once (${applied.length} updates)`);
+  check(aircraft.lat === 55.519 && aircraft.altitude === 2810 && aircraft.messages === 20, 'Coalesced update carries the latest position and message count');
+  check(input.messages === 24 && input.coalesced === 19 && input.dropped === 2, `Stats: ${input.coalesced} coalesced, ${input.dropped} dropped`);
+  check(socket.resumed === 1 && input.queued === 0, 'Socket resumed once the queue drained');
+
+  connector.streamSocket = null;
+  await connector.performDisconnect();
+}
+
+async function testMessageTime() {
+  console.log('\n🕒 Message time and surface reports...');
+
+  const connector = createConnector('sbs', 1);
+  const now = Date.now();
+  const surface = SBSParser.parseLine('MSG,2,1,1,4CA2D6,1,2024/06/01,12:00:00.000,2024/06/01,12:00:00.000,,,12,270,55.5090,-4.5870,,,,,,-1');
+  await connector.applyStreamUpdate({ ...surface, timestamp: now - 5000 }, now);
+
+  const aircraft = connector.aircraft.get('4CA2D6');
+  check(surface.onGround === true && aircraft.altitude === 'ground', 'SBS on-ground flag marks the aircraft on the ground');
+  check(aircraft.last_seen === now - 5000 && aircraft.seen === 5, `seen and last_seen from the message time (seen ${aircraft.seen}s)`);
+
+  await connector.applyStreamUpdate({ icao24: '4CA2D6', onGround: false, lat: 55.52, lon: -4.6, timestamp: now + 1000 }, now + 1000);
+  check(connector.aircraft.get('4CA2D6').altitude === null, 'Airborne report clears the ground marker');
+
+  await connector.applyStreamUpdate({ icao24: '4CA2D6', lat: 55.53, lon: -4.6, timestamp: now - 3600000 }, now + 2000);
+  check(connector.aircraft.get('4CA2D6').last_seen === now + 2000, 'Receiver clock far out falls back to the arrival time');
+
+  await connector.performDisconnect();
+}
+
+async function testADSBStream() {
+  console.log('🧪 Testing ADSB streaming inputs...\n');
+  await testSbsReplay();
+  await testBeastStream();
+  await testReconnect();
+  await testBackpressure();
+  await testMessageTime();
+  console.log('\n✅ ADSB stream test completed');
+}
+
+testADSBStream().catch(error => {
+  console.error('❌ ADSB stream test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+const EventEmitter = require('events');
+const EventBus = require('./services/eventBus');
+const AircraftFusionService = require('./services/aircraftFusionService');
+const RadarConnector = require('./connectors/types/RadarConnector');
+const OpendataAdsbFiConnector = require('./connectors/types/OpendataAdsbFiConnector');
+const AirplanesLiveConnector = require('./connectors/types/AirplanesLiveConnector');
+const config = require('./config/config');
+const { check, tick } = require('./test/helpers');
+
+/**
+ * Stand-in for the local ADSB connector: emits events and keeps an aircraft map
+ */
+class LocalADSB extends EventEmitter {
+  constructor() {
+    super();
+    this.id = 'adsb-main';
+    this.aircraft = new Map();
+  }
+
+  report(aircraft) {
+    const existed = this.aircraft.has(aircraft.icao24);
+    this.aircraft.set(aircraft.icao24, aircraft);
+    if (existed) {
+      this.emit('aircraft:updated', { aircraft, changes: {} });
+    } else {
+      this.emit('aircraft:appeared', aircraft);
+    }
+  }
+}
+
+async function testAircraftFusion() {
+  console.log('🧪 Testing multi-source ADS-B fusion...\n');
+
+  const eventBus = new EventBus({ maxEvents: 100 });
+  const fusion = new AircraftFusionService(config.fusion);
+  const local = new LocalADSB();
+  fusion.attachConnector(local);
+  fusion.setEventBus(eventBus);
+
+  const radar = new RadarConnector({ id: 'radar-main', type: 'radar', config: {} });
+  radar.initialize({ aircraftFusionService: fusion });
+
+  const appeared = [];
+  fusion.on('aircraft:appeared', aircraft => appeared.push(aircraft.icao24));
+
+  const adsbfi = (aircraft, seconds = 0) => eventBus.publishEvent({
+    type: 'aircraft:detected',
+    source: 'adsbfi-main',
+    timestamp: Date.now() - seconds * 1000,
+    data: aircraft
+  });
+
+  // Same aircraft from both feeds
+  console.log('🔀 Merging feeds...');
+  local.report({ icao24: '4CA2D6', callsign: 'RYR82AB', lat: 55.500, lon: -4.600, altitude: 3000, speed: 180, track: 120, squawk: '4521', seen: 0 });
+  await adsbfi({ hex: '4ca2d6', flight: 'RYR82AB ', lat: 55.498, lon: -4.603, alt_baro: 3025, gs: 178, track: 121, r: 'EI-DCL', t: 'B738', seen: 1, seen_pos: 1 });
+  await adsbfi({ hex: '406b90', flight: 'EXS45M', lat: 55.9, lon: -4.2, alt_baro: 'ground', gs: 0, seen: 2 });
+  await eventBus.drainSubscribers();
+
+  const fused = fusion.getAircraft('4CA2D6');
+  check(fusion.getAircraft().length === 2 && appeared.filter(icao => icao === '4CA2D6').length === 1, 'One fused aircraft per ICAO24 across both feeds');
+  check(fused.sources.join() === 'adsb-main,adsbfi-main', `Sources: ${fused.sources.join(', ')}`);
+  check(fused.lat === 55.5 && fused.provenance.position.source === 'adsb-main', 'Position from the higher priority local receiver');
+  check(fused.registration === 'EI-DCL' && fused.provenance.identity.source === 'adsbfi-main', 'Registration filled in from ADS-B.fi');
+  check(fusion.getAircraft('406B90').onGround && fusion.getAircraft('406B90').altitude === 0, "readsb 'ground' altitude normalized");
+
+  // Freshness: the local feed goes quiet, ADS-B.fi keeps reporting
+  console.log('\n⏱️ Freshness...');
+  local.aircraft.get('4CA2D6').seen = 20;
+  local.report({ ...local.aircraft.get('4CA2D6') });
+  await adsbfi({ hex: '4ca2d6', lat: 55.505, lon: -4.590, alt_baro: 2950, gs: 176, track: 121, seen: 0, seen_pos: 0 });
+  await eventBus.drainSubscribers();
+  check(fused !== fusion.getAircraft('4CA2D6'), 'Fused record rebuilt');
+  check(fusion.getAircraft('4CA2D6').provenance.position.source === 'adsbfi-main', 'Fresher ADS-B.fi position wins over a 20s old local one');
+
+  // A sweep re-reads the local connector's map; a record silent for 50s keeps its age
+  local.aircraft.set('4CA999', { icao24: '4CA999', lat: 55.4, lon: -4.7, altitude: 2000, seen: 0, last_seen: Date.now() - 50000 });
+  await adsbfi({ hex: '4ca999', lat: 55.41, lon: -4.69, alt_baro: 2100, seen: 0, seen_pos: 0 });
+  await eventBus.drainSubscribers();
+  fusion.sweep();
+  const silent = fusion.getAircraft('4CA999');
+  check(silent.provenance.position.source === 'adsbfi-main' && silent.sources.join() === 'adsbfi-main',
+    'Swept local record keeps its last_seen age and expires past maxAge');
+  local.aircraft.delete('4CA999');
+  fusion.removeObservation('adsbfi-main', '4CA999');
+
+  // Position quality: a jump of ~80nm in a second is rejected
+  console.log('\n📍 Position quality...');
+  local.report({ icao24: '4CA2D6', callsign: 'RYR82AB', lat: 56.8, lon: -4.6, altitude: 2900, seen: 0 });
+  const afterJump = fusion.getAircraft('4CA2D6');
+  check(afterJump.lat === 55.505 && fusion.stats.rejectedPositions > 0, `Implausible jump rejected, position held at ${afterJump.lat}`);
+  check(afterJump.altitude === 2900 && afterJump.provenance.altitude.source === 'adsb-main', 'Other local fields still used');
+
+  // Radar consumes the fused stream
+  console.log('\n📡 Radar...');
+  const radarAircraft = radar.aircraftData.get('4CA2D6');
+  check(radar.aircraftData.size === 2 && radarAircraft.sources.length === 2, 'Radar holds one entry per fused aircraft');
+  check(radarAircraft.provenance.position.source === 'adsbfi-main', 'Radar aircraft carry provenance');
+
+  // Expiry: local goes away, ADS-B.fi observations age out
+  console.log('\n🧹 Expiry...');
+  local.aircraft.delete('4CA2D6');
+  local.emit('aircraft:disappeared', { icao24: '4CA2D6' });
+  check(fusion.getAircraft('4CA2D6').sources.join() === 'adsbfi-main', 'Local disappearance leaves the ADS-B.fi observation');
+
+  const disappeared = [];
+  fusion.on('aircraft:disappeared', aircraft => disappeared.push(aircraft.icao24));
+  fusion.sweep(Date.now() + 400000);
+  check(fusion.getAircraft().length === 0 && disappeared.length === 2, 'Aircraft dropped once every source is stale');
+  check(!radar.aircraftData.has('4CA2D6'), 'Radar entry removed with the fused aircraft');
+
+  // The two online feeds, polled through their connectors
+  console.log('\n🌐 ADS-B.fi and Airplanes.Live connectors...');
+  const area = { lat: 55.509, lon: -4.586, radius: 50 };
+  const adsbfiConnector = new OpendataAdsbFiConnector({ id: 'adsbfi-main', type: 'adsbfi', config: area });
+  const airplanesLive = new AirplanesLiveConnector({ id: 'airplaneslive-main', type: 'airplaneslive', config: area });
+  adsbfiConnector.fetchAircraft = async () => [{ hex: '4ca5e1', flight: 'EZY73QM ', lat: 55.61, lon: -4.41, alt_baro: 5200, gs: 210, r: 'G-UZHA', t: 'A20N', seen: 4 }];
+  airplanesLive.fetchAircraft = async () => [{ hex: '4ca5e1', flight: 'EZY73QM ', lat: 55.612, lon: -4.405, alt_baro: 5100, gs: 212, track: 45, seen: 0 }];
+  adsbfiConnector.setEventBus(eventBus);
+  airplanesLive.setEventBus(eventBus);
+
+  check(airplanesLive.lat === 55.509 && airplanesLive.radius === 50, 'Airplanes.Live reads its area from the connector config');
+  await adsbfiConnector.fetchAndPublish();
+  await airplanesLive.fetchAndPublish();
+  await eventBus.drainSubscribers();
+
+  const online = fusion.getAircraft('4CA5E1');
+  check(fusion.getAircraft().length === 1 && [...online.sources].sort().join() === 'adsbfi-main,airplaneslive-main',
+    `One aircraft from both online feeds: ${online?.sources.join(', ')}`);
+  check(online.lat === 55.612 && online.provenance.position.source === 'airplaneslive-main' &&
+    online.registration === 'G-UZHA' && online.provenance.identity.source === 'adsbfi-main', 'Airplanes.Live position, ADS-B.fi registration');
+
+  const rejections = [];
+  const onRejection = reason => rejections.push(reason);
+  process.on('unhandledRejection', onRejection);
+  const failingBus = { publishEvent: async () => { throw new Error('event store unavailable'); } };
+  adsbfiConnector.setEventBus(failingBus);
+  airplanesLive.setEventBus(failingBus);
+  await adsbfiConnector.fetchAndPublish();
+  await airplanesLive.fetchAndPublish();
+  await tick();
+  process.off('unhandledRejection', onRejection);
+  check(rejections.length === 0, 'Event bus failures while publishing are caught');
+
+  const stats = fusion.getStats();
+  console.log(`\n📊 observations=${stats.observations} updates=${stats.fusedUpdates} rejected=${stats.rejectedPositions}`);
+
+  fusion.stop();
+  console.log('\n✅ Aircraft fusion test completed');
+}
+
+testAircraftFusion().catch(error => {
+  console.error('❌ Aircraft fusion test failed:', error);
+  process.exit(1);
+});
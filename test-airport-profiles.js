@@ -0,0 +1,155 @@
+const EventEmitter = require('events');
+const AirportProfileService = require('./services/airportProfileService');
+const AirportService = require('./services/airportService');
+const AirportConnector = require('./connectors/types/AirportConnector');
+const PrestwickAirportConnector = require('./connectors/types/PrestwickAirportConnector');
+const { check, quietLogger, tick } = require('./test/helpers');
+
+async function testAirportProfiles() {
+  console.log('🧪 Testing airport profiles...\n');
+
+  // Profiles
+  console.log('📚 Profiles...');
+  const profiles = new AirportProfileService({
+    profiles: {
+      EGPF: { approachRadius: 30000, templates: { aircraft: '{{emoji}} {{action}} - {{airportCode}}' } }
+    }
+  }, quietLogger);
+
+  check(['EGPK', 'EGPF', 'EGPH'].every(icao => profiles.getProfile(icao)), 'Built-in EGPK, EGPF and EGPH profiles loaded');
+
+  const egpf = profiles.getProfile('egpf');
+  check(egpf.approachRadius === 30000 && egpf.runways['05'].heading === 52, 'Config overrides merge onto the built-in profile');
+  check(egpf.source === 'airport-egpf' && egpf.eventPrefix === 'egpf', `Default source ${egpf.source} and event prefix ${egpf.eventPrefix}`);
+  check(profiles.getProfile('EGPK').source === 'prestwick-airport', 'EGPK keeps the prestwick-airport source');
+  check(egpf.notam.categories.takeoff.includes('takeoff') && egpf.templates.taxi.includes('Taxiing'), 'NOTAM categories and templates fall back to defaults');
+
+  try {
+    profiles.addProfile({ icao: 'XX', latitude: 55, longitude: -4, runways: {} });
+    check(false, 'Invalid profile rejected');
+  } catch (error) {
+    check(error.message.includes('icao') && error.message.includes('runway'), `Invalid profile rejected: ${error.message}`);
+  }
+
+  const inline = profiles.resolve({ icao: 'EGPH', groundRadius: 2500 });
+  check(inline.groundRadius === 2500 && inline.name === 'Edinburgh Airport', 'Inline profile merges onto the known airport');
+
+  // Service
+  console.log('\n🛫 Airport service...');
+  const glasgow = new AirportService(egpf);
+  const runway23 = glasgow.determineRunway(55.91, -4.33, 232);
+  const runway05 = glasgow.determineRunway(55.83, -4.55, 52);
+  check(runway23.id === '23' && runway05.id === '05', `Runways ${runway23.id} and ${runway05.id} picked from the thresholds`);
+
+  const edinburgh = new AirportService(profiles.getProfile('EGPH'));
+  const threshold = edinburgh.runways['06'];
+  const state = edinburgh.determineAircraftState({ altitude: 600, speed: 130 }, 1000, { runway: threshold });
+  check(state === 'landing', 'Thresholds use height above the 41 m runway elevation');
+
+  check(glasgow.isInATZ(55.88, -4.44, 1500) && !glasgow.isInATZ(55.88, -4.44, 2500), 'ATZ is bounded by radius and height');
+  const stand = glasgow.findStand(55.870, -4.433);
+  check(stand && stand.id === 'terminal' && !glasgow.findStand(55.86, -4.46), 'Stand found from its polygon');
+  check(glasgow.renderTemplate('taxi', { emoji: '🚗' }) === '🚗 <b>Taxiing at Glasgow Airport (EGPF)</b>', 'Templates fill airport placeholders');
+
+  // Connector
+  console.log('\n🔌 Airport connector...');
+  try {
+    AirportConnector.validateConfig({ id: 'airport-x', type: 'airport', config: {} });
+    check(false, 'Missing airport rejected');
+  } catch (error) {
+    check(true, `Missing airport rejected: ${error.message}`);
+  }
+
+  const eventBus = new EventEmitter();
+  const emitted = [];
+  const notifications = [];
+  for (const name of ['egpf:approach', 'egpf:aircraft:approach', 'egpf:parking:status', 'airspace:atz_entered', 'prestwick:approach', 'prestwick:landing', 'prestwick:aircraft:landing']) {
+    eventBus.on(name, event => emitted.push({ name, event }));
+  }
+  eventBus.on('alarm:notification', notification => notifications.push(notification));
+
+  const connector = new AirportConnector({
+    id: 'airport-egpf',
+    type: 'airport',
+    config: {
+      airport: { icao: 'EGPF', templates: { aircraft: '{{emoji}} {{action}} - {{airportCode}}' } },
+      telegram: { notifyApproaches: true }
+    },
+    logger: quietLogger
+  });
+  connector.setEventBus(eventBus);
+  connector.setupAirportEventListeners();
+  check(connector.profile.icao === 'EGPF' && connector.airportService.config.airportName === 'Glasgow Airport', 'Connector resolved the EGPF profile');
+
+  await connector.handleADSBEvent({ icao24: '4CA123', callsign: 'EZY12', lat: 55.95, lon: -4.25, altitude: 5000, speed: 250, track: 232 });
+  await connector.handleADSBEvent({ icao24: '4CA123', callsign: 'EZY12', lat: 55.90, lon: -4.36, altitude: 2000, speed: 160, track: 232 });
+  await tick();
+
+  const approach = emitted.find(entry => entry.name === 'egpf:approach');
+  check(approach && approach.event.source === 'airport-egpf' && approach.event.data.airport.code === 'EGPF', 'Approach emitted as egpf:approach from airport-egpf');
+  check(emitted.some(entry => entry.name === 'egpf:aircraft:approach' && entry.event.data === approach.event.data), 'Original egpf:aircraft:approach name still emitted');
+  const message = notifications.find(notification => notification.type === 'aircraft:approach');
+  check(message && message.message.startsWith('🛬 Approaching - EGPF'), 'Notification uses the inline profile template');
+
+  await connector.handleADSBEvent({ icao24: '4CA123', callsign: 'EZY12', lat: 55.875, lon: -4.42, altitude: 1200, speed: 140, track: 232 });
+  check(emitted.some(entry => entry.name === 'airspace:atz_entered' && entry.event.data.airspace.type === 'ATZ'), 'ATZ entry emitted');
+
+  await connector.handleParkingEvent({
+    aircraft: { icao24: '4CA123', callsign: 'EZY12', lat: 55.870, lon: -4.433 },
+    metadata: { parkingArea: 'apron', confidence: 0.9, location: { lat: 55.870, lon: -4.433, altitude: 0 } }
+  });
+  const parked = emitted.find(entry => entry.name === 'egpf:parking:status');
+  check(parked && parked.event.data.stand.id === 'terminal' && parked.event.data.parkingArea === 'terminal', 'Parking event carries the profile stand');
+
+  await connector.handleParkingEvent({
+    aircraft: { icao24: '4CA124', lat: 55.95, lon: -3.37 },
+    metadata: { parkingArea: 'apron', confidence: 0.9 }
+  });
+  check(emitted.filter(entry => entry.name === 'egpf:parking:status').length === 1, 'Ground events at other airports ignored');
+
+  // Prestwick keeps working on the EGPK profile
+  console.log('\n🏴 Prestwick...');
+  const prestwick = new PrestwickAirportConnector({ id: 'prestwick-airport-main', type: 'prestwick-airport', config: {}, logger: quietLogger });
+  prestwick.setEventBus(eventBus);
+  check(prestwick.prestwickService === prestwick.airportService && prestwick.profile.icao === 'EGPK', 'Prestwick connector uses the EGPK profile');
+  const prestwickMessage = prestwick.formatTelegramMessage('landing', { callsign: 'PIK01' });
+  check(prestwickMessage.startsWith('✈️ <b>Landing at Prestwick Airport (EGPK)</b>'), 'Prestwick notification text unchanged');
+  check(prestwick.isAircraftAtPrestwick({ lat: 55.509, lon: -4.587 }) && !prestwick.isAircraftAtPrestwick({ lat: 55.87, lon: -4.43 }), 'isAircraftAtPrestwick still works');
+
+  const sentBefore = notifications.length;
+  await prestwick.handleAirportEvent({ type: 'aircraft:landing', data: { callsign: 'PIK01' } });
+  await prestwick.handleAirportEvent({ type: 'aircraft:en_route', data: { callsign: 'PIK01' } });
+  check(emitted.some(entry => entry.name === 'prestwick:landing') && emitted.some(entry => entry.name === 'prestwick:aircraft:landing'),
+    'Prestwick landing published as prestwick:landing and prestwick:aircraft:landing');
+  check(notifications.length === sentBefore, 'No movement notifications without the telegram notify flags');
+
+  const notifying = new PrestwickAirportConnector({
+    id: 'prestwick-airport-notify',
+    type: 'prestwick-airport',
+    config: { telegram: { enabled: true, notifyLandings: true } },
+    logger: quietLogger
+  });
+  notifying.setEventBus(eventBus);
+  await notifying.handleAirportEvent({ type: 'aircraft:landing', data: { callsign: 'PIK02' } });
+  await notifying.handleAirportEvent({ type: 'aircraft:approach', data: { callsign: 'PIK02' } });
+  await notifying.handleAirportEvent({ type: 'aircraft:en_route', data: { callsign: 'PIK02' } });
+  const sent = notifications.slice(sentBefore).map(notification => notification.type);
+  check(sent.length === 1 && sent[0] === 'aircraft:landing', `Only flagged movements notified: ${sent.join(', ')}`);
+
+  check(PrestwickAirportConnector.validateConfig({ id: 'p', type: 'prestwick-airport', prestwick: { approachRadius: 10 } }) === true &&
+    AirportConnector.validateConfig({ id: 'a', type: 'airport', config: { airport: 'EGPF' } }) === true, 'validateConfig returns true when valid');
+  try {
+    PrestwickAirportConnector.validateConfig({ id: 'p', type: 'prestwick-airport', prestwick: { approachRadius: '10' } });
+    check(false, 'Invalid Prestwick override rejected');
+  } catch (error) {
+    check(/approachRadius must be a number/.test(error.message), `Invalid Prestwick override throws like AirportConnector: ${error.message}`);
+  }
+
+  connector.airportService.stopNotamMonitoring();
+  console.log('\n✅ Airport profiles test completed');
+}
+
+testAirportProfiles().catch(error => {
+  console.error('❌ Airport profiles test failed:', error);
+  process.exit(1);
+});
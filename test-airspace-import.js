@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AirspaceService = require('./services/airspaceService');
+const AirspaceParser = require('./services/airspaceParser');
+const { check } = require('./test/helpers');
+
+const near = (a, b, tolerance) => Math.abs(a - b) < tolerance;
+
+const OPENAIR = `* Test airspace around Prestwick
+AC D
+AN PRESTWICK CTR
+AL SFC
+AH 2500ft AMSL
+AF 120.555
+DP 55:35:00 N 004:45:00 W
+DP 55:35:00 N 004:25:00 W
+DP 55:25:00 N 004:25:00 W
+DP 55:25:00 N 004:45:00 W
+
+AC R
+AN EG R610 TEST RANGE
+AL 1500ft AGL
+AH FL95
+V X=55:20:00 N 004:00:00 W
+DC 3
+
+AC Q
+AN EG D510 ARC AREA
+AL 2000
+AH 6000ft
+V X=55:00:00 N 005:00:00 W
+DP 55:00:00 N 005:00:00 W
+DP 55:05:00 N 005:00:00 W
+V D=+
+DB 55:05:00 N 005:00:00 W, 55:00:00 N 004:51:16 W
+
+AC E
+AN SCOTTISH TMA
+AL FL65
+AH FL245
+V X=56:00:00 N 004:30:00 W
+DA 60, 270, 90
+`;
+
+const GEOJSON = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: {
+        name: 'DUBLIN CTR', type: 4, icaoClass: 2,
+        lowerLimit: { value: 0, unit: 1, referenceDatum: 0 },
+        upperLimit: { value: 50, unit: 6, referenceDatum: 2 }
+      },
+      geometry: { type: 'Polygon', coordinates: [[[-6.5, 53.3], [-6.0, 53.3], [-6.0, 53.6], [-6.5, 53.6], [-6.5, 53.3]]] }
+    },
+    {
+      type: 'Feature',
+      properties: { name: 'TWIN TMZ', type: 'TMZ', lower: '1000 ft', upper: '600m MSL' },
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: [
+          [[[-3.0, 52.0], [-2.9, 52.0], [-2.9, 52.1], [-3.0, 52.0]]],
+          [[[-2.0, 52.0], [-1.9, 52.0], [-1.9, 52.1], [-2.0, 52.0]]]
+        ]
+      }
+    },
+    { type: 'Feature', properties: { name: 'VRP' }, geometry: { type: 'Point', coordinates: [-4, 55] } }
+  ]
+};
+
+const BASESTATION = `{Old Outline}
+$TYPE=5
+55.80+-4.20
+55.80+-4.10
+55.70+-4.10
+-1
+`;
+
+function testParser() {
+  console.log('🔍 Limits, coordinates and arcs...');
+
+  const limits = ['SFC', 'FL95', '2500ft AMSL', '1500ft AGL', '600m MSL', 'UNL', '3000'].map(text => AirspaceParser.parseLimit(text));
+  check(limits.map(limit => `${limit.ft}/${limit.reference}`).join() === '0/SFC,9500/FL,2500/AMSL,1500/AGL,1969/AMSL,99900/UNL,3000/AMSL',
+    'SFC, FL, ft/m AMSL and AGL, UNL limits');
+  check(AirspaceParser.parseLimit({ value: 0, unit: 1, referenceDatum: 0 }).reference === 'SFC' &&
+    AirspaceParser.parseLimit({ value: 50, unit: 6, referenceDatum: 2 }).ft === 5000, 'openAIP limit objects');
+
+  const coordinate = AirspaceParser.parseCoordinate('55:30.5 N 004:36:18 W');
+  check(near(coordinate.lat, 55.508333, 1e-5) && near(coordinate.lon, -4.605, 1e-5), 'Degrees, minutes and seconds coordinates');
+
+  const airspaces = AirspaceParser.parseOpenAir(OPENAIR, 'test.openair');
+  const [ctr, range, arcArea, tma] = airspaces;
+  check(airspaces.length === 4 && ctr.type === 'CTR' && ctr.airspaceClass === 'D' && ctr.lowerFt === 0 && ctr.upperFt === 2500 &&
+    ctr.metadata.frequency === '120.555', 'Class D CTR with its limits and frequency');
+
+  const center = { lat: 55 + 20 / 60, lon: -4 };
+  check(range.type === 'Restricted' && range.lower.reference === 'AGL' && range.upperFt === 9500 && range.polygons[0].length === 72 &&
+    range.polygons[0].every(point => near(AirspaceParser.distance(center, point), 3, 0.01)), 'DC circle of 3 NM');
+
+  const arcPoints = arcArea.polygons[0];
+  check(arcArea.type === 'Danger_Area' && arcArea.lowerFt === 2000 && near(arcPoints[arcPoints.length - 1].lon, -(4 + 51 / 60 + 16 / 3600), 1e-6) &&
+    arcPoints.slice(2).every(point => near(AirspaceParser.distance({ lat: 55, lon: -5 }, point), 5, 0.05)), 'DB arc between two points');
+
+  check(tma.type === 'TMA' && tma.lowerFt === 6500 && tma.polygons[0].length === 37 &&
+    near(tma.polygons[0][18].lat, 57, 0.01), 'DA arc clockwise through north, type from the name');
+
+  const features = AirspaceParser.parseGeoJSON(GEOJSON, 'test.geojson');
+  check(features.length === 2 && features[0].type === 'CTR' && features[0].airspaceClass === 'C' && features[0].upperFt === 5000 &&
+    features[1].polygons.length === 2 && features[1].type === 'TMZ' && features[1].upperFt === 1969, 'GeoJSON polygons and multipolygons');
+
+  check(AirspaceParser.detectFormat(OPENAIR) === 'openair' && AirspaceParser.detectFormat(JSON.stringify(GEOJSON)) === 'geojson' &&
+    AirspaceParser.detectFormat(BASESTATION) === 'basestation', 'Formats detected from content');
+}
+
+async function testService(dir) {
+  console.log('\n🛩️ Airspace service...');
+
+  fs.writeFileSync(path.join(dir, 'SCOTLAND.openair'), OPENAIR);
+  fs.writeFileSync(path.join(dir, 'UK_CTR_Test.out'), BASESTATION);
+  fs.writeFileSync(path.join(dir, 'Readme.txt'), 'DATA FILE - not airspace');
+  const extra = path.join(dir, 'extra');
+  fs.mkdirSync(extra);
+  fs.writeFileSync(path.join(extra, 'ireland.geojson'), JSON.stringify(GEOJSON));
+
+  const service = new AirspaceService({ airspaceDataPath: dir, airspaceFiles: [extra], logLevel: 'warn' });
+  await service.initialize();
+
+  check(service.airspaces.size === 7 && service.getAirspacesByType('CTR').length === 3 &&
+    service.getAirspacesByType('Restricted').length === 1, 'OpenAir, GeoJSON and BaseStation files loaded side by side');
+
+  const inCtr = { icao24: 'TEST01', lat: 55.5, lon: -4.6, altitude: 2000 };
+  let current = service.checkAircraftAirspace(inCtr);
+  check(current.length === 1 && current[0].name === 'PRESTWICK CTR' && current[0].upperFt === 2500 && current[0].airspaceClass === 'D',
+    'Aircraft inside the CTR volume');
+  check(service.checkAircraftAirspace({ ...inCtr, altitude: 3500 }).length === 0, 'Aircraft above the CTR ceiling is outside it');
+  check(service.checkAircraftAirspace({ ...inCtr, altitude: undefined }).length === 1, 'Unknown altitude falls back to lateral check');
+
+  // The TMA spans several grid cells; this point is far from its centre
+  check(service.checkAircraftAirspace({ lat: 56.3, lon: -5.9, altitude: 10000 }).some(airspace => airspace.name === 'SCOTTISH TMA'),
+    'Large airspace found away from its centre cell');
+  check(service.checkAircraftAirspace({ lat: 55.75, lon: -4.15, altitude: 40000 }).some(airspace => airspace.name === 'Old Outline'),
+    'BaseStation outlines without limits still checked laterally');
+
+  const events = [];
+  service.onAirspaceEvent(event => events.push(event));
+  service.updateAircraftAirspace(inCtr);
+  service.updateAircraftAirspace({ ...inCtr, altitude: 3500 });
+  check(events.map(event => event.type).join() === 'airspace:entry,airspace:exit', 'Climbing through the ceiling exits the airspace');
+
+  check(service.getAirspacesAtPosition(55.333, -4, 1000).length === 0 &&
+    service.getAirspacesAtPosition(55.333, -4, 5000).length === 1, 'getAirspacesAtPosition honours lower limits');
+
+  console.log('\n📥 Import...');
+  const imported = await service.importAirspace({
+    content: 'AC P\nAN EG P611 TEST\nAL SFC\nAH 2000ft\nV X=54:00:00 N 003:00:00 W\nDC 1\n',
+    filename: 'prohibited.txt'
+  });
+  check(imported.length === 1 && imported[0].type === 'Prohibited' &&
+    service.checkAircraftAirspace({ lat: 54, lon: -3, altitude: 1500 }).some(airspace => airspace.name === 'EG P611 TEST'),
+    'OpenAir imported from content and indexed');
+
+  await service.importAirspace({ path: path.join(extra, 'ireland.geojson') });
+  check(service.airspaces.size === 8 && service.getAirspacesByType('CTR').length === 3, 'Reimporting a file replaces its airspaces');
+}
+
+async function testAirspaceImport() {
+  console.log('🧪 Testing airspace import...\n');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'airspace-'));
+  try {
+    testParser();
+    await testService(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('\n✅ Airspace import test completed');
+}
+
+testAirspaceImport().catch(error => {
+  console.error('❌ Airspace import test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+const EventEmitter = require('events');
+const AlarmManagerConnector = require('./connectors/types/AlarmManagerConnector');
+const EventBus = require('./services/eventBus');
+const { check } = require('./test/helpers');
+
+/**
+ * Telegram stand-in that records messages and callback answers
+ */
+class RecordingTelegram extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+    this.answers = [];
+  }
+
+  async execute(capabilityId, operation, parameters) {
+    if (capabilityId === 'telegram:keyboard' && operation === 'answer') {
+      this.answers.push(parameters);
+    } else {
+      this.sent.push(parameters);
+    }
+    return { message_id: this.sent.length };
+  }
+}
+
+async function testAlarmLifecycle() {
+  console.log('🧪 Testing alarm lifecycle and escalation policies...\n');
+
+  const alarmManager = new AlarmManagerConnector({
+    id: 'alarm-manager-main',
+    type: 'alarm-manager',
+    config: {
+      defaultShelveDuration: '30m',
+      escalationPolicies: {
+        'aviation-critical': {
+          renotifyInterval: '5m',
+          levels: [
+            { after: '10m', channels: ['telegram'], onCall: 'ops' },
+            { after: '20m', channels: ['telegram'], chatIds: ['-100-duty-manager'] }
+          ]
+        }
+      },
+      onCall: {
+        ops: {
+          startsAt: '2024-01-01T08:00:00Z',
+          shiftLength: '7d',
+          members: [{ name: 'Alex', chatId: '1001' }, { name: 'Sam', chatId: '1002' }]
+        }
+      }
+    }
+  });
+
+  const eventBus = new EventBus({ maxEvents: 100 });
+  const lifecycleEvents = [];
+  eventBus.subscribe('alarm:#', event => lifecycleEvents.push(event.type));
+  alarmManager.eventBus = eventBus;
+
+  const telegram = new RecordingTelegram();
+  alarmManager.channels.set('telegram', telegram);
+  telegram.on('callback-query', ({ query }) => alarmManager.handleTelegramCallback(query));
+
+  const rule = {
+    id: 'emergency-squawk',
+    name: 'Emergency squawk',
+    description: 'Emergency squawk {{data.squawk}}',
+    priority: 'critical',
+    escalation: 'aviation-critical',
+    actions: [{ type: 'send_notification', parameters: { channels: ['telegram'], message: '🚨 Squawk {{data.squawk}}' } }]
+  };
+
+  // Raise
+  await alarmManager.processRule(rule, { type: 'aircraft:emergency', source: 'adsb-main', data: { squawk: '7700' } });
+  const [alarm] = await alarmManager.getActiveAlarms();
+  check(alarm && alarm.status === 'raised', `Alarm raised: ${alarm.message}`);
+
+  const buttons = telegram.sent[0].replyMarkup.inline_keyboard[0].map(button => button.callback_data);
+  check(buttons.includes(`alarm:ack:${alarm.id}`), `Notification carries buttons: ${buttons.join(', ')}`);
+
+  // Escalation timeline
+  const raisedAt = Date.now();
+  await alarmManager.checkAlarmTimers(raisedAt + 5 * 60000 + 1);
+  check(telegram.sent.length === 2 && telegram.sent[1].text.includes('STILL RAISED'), 'Re-notified after 5 minutes');
+
+  await alarmManager.checkAlarmTimers(raisedAt + 10 * 60000 + 1);
+  const onCall = alarmManager.escalationManager.onCall.getOnCall('ops');
+  check(alarm.escalationLevel === 1 && telegram.sent[2].chatId === onCall.chatId, `Level 1 paged on-call ${onCall.name} (${onCall.chatId})`);
+
+  await alarmManager.checkAlarmTimers(raisedAt + 20 * 60000 + 1);
+  check(alarm.escalationLevel === 2 && telegram.sent[3].chatId === '-100-duty-manager', 'Level 2 paged the duty manager chat');
+
+  // Acknowledge from Telegram
+  telegram.emit('callback-query', { query: { id: 'cb-1', data: `alarm:ack:${alarm.id}`, from: { username: 'alex' } } });
+  await new Promise(resolve => setImmediate(resolve));
+  check(alarm.status === 'acknowledged' && alarm.acknowledgedBy === 'telegram:alex', 'Acknowledged from Telegram button');
+  check(telegram.answers[0].text.includes('Acknowledged'), `Callback answered: ${telegram.answers[0].text}`);
+
+  const sentBefore = telegram.sent.length;
+  await alarmManager.checkAlarmTimers(raisedAt + 60 * 60000);
+  check(telegram.sent.length === sentBefore, 'No re-notification once acknowledged');
+
+  // Shelve and expire back to acknowledged
+  await alarmManager.shelveAlarm(alarm.id, '15m', 'web');
+  check(alarm.status === 'shelved', `Shelved until ${alarm.shelvedUntil}`);
+  await alarmManager.checkAlarmTimers(Date.now() + 16 * 60000);
+  check(alarm.status === 'acknowledged', 'Shelve expired back to acknowledged');
+
+  // Invalid transition
+  try {
+    await alarmManager.acknowledgeAlarm(alarm.id, 'web');
+    check(false, 'Acknowledged twice');
+  } catch (error) {
+    check(error.code === 'INVALID_TRANSITION', `Rejected: ${error.message}`);
+  }
+
+  // Clear
+  await alarmManager.clearAlarmById(alarm.id, 'web');
+  check(!alarmManager.activeAlarms.has(alarm.id) && alarm.status === 'cleared', 'Alarm cleared');
+  check(alarmManager.escalationManager.escalations.size === 0, 'Escalation stopped');
+
+  console.log(`\n📜 Transitions: ${alarm.transitions.map(t => `${t.from || '-'}→${t.to} (${t.by})`).join(', ')}`);
+
+  await eventBus.drainSubscribers();
+  console.log(`📡 Lifecycle events: ${lifecycleEvents.join(', ')}`);
+  check(['alarm:raised', 'alarm:escalated', 'alarm:acknowledged', 'alarm:shelved', 'alarm:unshelved', 'alarm:cleared']
+    .every(type => lifecycleEvents.includes(type)), 'All lifecycle events published');
+
+  // Shelves still expire with escalation turned off
+  console.log('\n⏸️ Shelve expiry without escalation...');
+  const quietManager = new AlarmManagerConnector({
+    id: 'alarm-manager-quiet',
+    type: 'alarm-manager',
+    config: { escalationEnabled: false, escalationPolicies: { 'aviation-critical': { renotifyInterval: '5m', levels: [] } } }
+  });
+  const quietTelegram = new RecordingTelegram();
+  quietManager.channels.set('telegram', quietTelegram);
+
+  await quietManager.performConnect();
+  check(quietManager.alarmTimer !== null, 'Alarm timer started with escalation disabled');
+
+  await quietManager.processRule(rule, { type: 'aircraft:emergency', source: 'adsb-main', data: { squawk: '7600' } });
+  const [quietAlarm] = await quietManager.getActiveAlarms();
+  await quietManager.shelveAlarm(quietAlarm.id, '15m', 'web');
+  const quietSent = quietTelegram.sent.length;
+  await quietManager.checkAlarmTimers(Date.now() + 16 * 60000);
+  check(quietAlarm.status === 'raised', 'Shelve expired back to raised');
+  check(quietTelegram.sent.length === quietSent, 'No re-notification with escalation disabled');
+  await quietManager.performDisconnect();
+
+  console.log('\n✅ Alarm lifecycle test completed');
+}
+
+testAlarmLifecycle().catch(error => {
+  console.error('❌ Alarm lifecycle test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,133 @@
+const EventEmitter = require('events');
+const AlarmManagerConnector = require('./connectors/types/AlarmManagerConnector');
+const { check } = require('./test/helpers');
+
+/**
+ * Telegram stand-in that records messages
+ */
+class RecordingTelegram extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+  }
+
+  async execute(capabilityId, operation, parameters) {
+    this.sent.push(parameters);
+    return { message_id: this.sent.length };
+  }
+}
+
+async function testAlarmSuppression() {
+  console.log('🧪 Testing alarm deduplication and suppression...\n');
+
+  const alarmManager = new AlarmManagerConnector({
+    id: 'alarm-manager-main',
+    type: 'alarm-manager',
+    config: { escalationEnabled: false }
+  });
+
+  const telegram = new RecordingTelegram();
+  alarmManager.channels.set('telegram', telegram);
+
+  const notify = [{ type: 'send_notification', parameters: { channels: ['telegram'], message: '{{data.device}}: {{data.detection}}' } }];
+
+  const nvrRule = { id: 'nvr-offline', name: 'NVR connection lost', priority: 'high', actions: notify };
+  const detectionRule = {
+    id: 'camera-detection',
+    name: 'Camera detection',
+    priority: 'medium',
+    suppression: { dedupeKey: ['data.device', 'data.detection'], suppressedBy: ['nvr-offline'] },
+    actions: notify
+  };
+  const motionRule = {
+    id: 'camera-motion',
+    name: 'Camera motion',
+    suppression: { dedupeKey: '{{data.device}}', cooldown: '5m' },
+    actions: notify
+  };
+  const floodRule = {
+    id: 'perimeter-motion',
+    name: 'Perimeter motion',
+    suppression: { flood: { threshold: 3, window: '1m' } },
+    actions: notify
+  };
+  alarmManager.ruleEngine = { getRules: () => [nvrRule, detectionRule, motionRule, floodRule] };
+
+  const detection = (device, type) => ({ type: 'smartDetectZone', source: 'unifi', data: { device, detection: type } });
+
+  // Deduplication on camera + detection type
+  console.log('🔁 Deduplication...');
+  const first = await alarmManager.processRule(detectionRule, detection('cam-gate', 'person'));
+  const repeat = await alarmManager.processRule(detectionRule, detection('cam-gate', 'person'));
+  const vehicle = await alarmManager.processRule(detectionRule, detection('cam-gate', 'vehicle'));
+  check(first && first.dedupeKey === 'cam-gate|person', `Alarm raised with key ${first.dedupeKey}`);
+  check(repeat === null && first.occurrences === 2, 'Repeat detection folded into the open alarm');
+  check(vehicle && vehicle.dedupeKey === 'cam-gate|vehicle', 'Different detection type raises its own alarm');
+
+  await alarmManager.clearAlarmById(first.id, 'web');
+  const afterClear = await alarmManager.processRule(detectionRule, detection('cam-gate', 'person'));
+  check(afterClear !== null, 'Same key raises again once the alarm is cleared');
+
+  // Cooldown
+  console.log('\n⏱️ Cooldown...');
+  const motion = await alarmManager.processRule(motionRule, detection('cam-yard', 'motion'));
+  await alarmManager.clearAlarmById(motion.id, 'web');
+  const held = await alarmManager.processRule(motionRule, detection('cam-yard', 'motion'));
+  const otherCamera = await alarmManager.processRule(motionRule, detection('cam-road', 'motion'));
+  check(held === null, 'Cleared alarm held off for the 5 minute cooldown');
+  check(otherCamera !== null, 'Other camera is not held off');
+
+  // Parent/child suppression
+  console.log('\n🧬 Parent suppression...');
+  const nvr = await alarmManager.processRule(nvrRule, { type: 'nvr:disconnected', source: 'unifi', data: { device: 'nvr-1' } });
+  const child = await alarmManager.processRule(detectionRule, detection('cam-car-park', 'person'));
+  check(child === null, 'Camera alarm suppressed while NVR alarm is active');
+  await alarmManager.clearAlarmById(nvr.id, 'web');
+  check(await alarmManager.processRule(detectionRule, detection('cam-car-park', 'person')) !== null, 'Camera alarms resume after NVR alarm clears');
+
+  // Flood collapse
+  console.log('\n🌊 Flood...');
+  const sentBefore = telegram.sent.length;
+  for (let i = 0; i < 10; i++) {
+    await alarmManager.processRule(floodRule, detection(`cam-fence-${i}`, 'motion'));
+  }
+  const floodAlarms = (await alarmManager.getActiveAlarms({ ruleId: 'perimeter-motion' }));
+  const summary = floodAlarms.find(alarm => alarm.flood);
+  check(floodAlarms.length === 4 && summary, `3 alarms raised then one summary (${floodAlarms.length} active)`);
+  check(summary.flood.collapsed === 7, `Summary collapsed ${summary.flood.collapsed} alarms`);
+  check(telegram.sent.length - sentBefore === 4 && telegram.sent.some(m => m.text.includes('ALARM FLOOD')), 'Flood notified once instead of per alarm');
+
+  await alarmManager.checkAlarmTimers(Date.now() + 61000);
+  check(summary.flood.endedAt && telegram.sent[telegram.sent.length - 1].text.includes('7 alarms were collapsed'), 'Flood end reported with the total');
+  check(await alarmManager.processRule(floodRule, detection('cam-fence-0', 'motion')) !== null, 'Alarms raise normally after the flood');
+
+  // Clearing the summary ends the flood instead of collapsing into a cleared alarm
+  for (let i = 1; i < 6; i++) {
+    await alarmManager.processRule(floodRule, detection(`cam-fence-${i}`, 'motion'));
+  }
+  const secondSummary = (await alarmManager.getActiveAlarms({ ruleId: 'perimeter-motion' })).find(alarm => alarm.flood);
+  await alarmManager.clearAlarmById(secondSummary.id, 'web');
+  check(secondSummary.flood.endedAt && (await alarmManager.getStats()).suppression.activeFloods.length === 0, 'Clearing the summary ends its flood');
+  check(await alarmManager.processRule(floodRule, detection('cam-fence-9', 'motion')) !== null, 'Alarms raise normally after the summary is cleared');
+
+  // History
+  console.log('\n📜 History...');
+  const suppressed = await alarmManager.getAlarmHistory(100, 0, { status: 'suppressed' });
+  const reasons = suppressed.reduce((counts, entry) => {
+    counts[entry.suppression.reason] = (counts[entry.suppression.reason] || 0) + 1;
+    return counts;
+  }, {});
+  console.log(`   ${JSON.stringify(reasons)}`);
+  check(reasons.duplicate === 1 && reasons.cooldown === 1 && reasons.parent === 1 && reasons.flood === 10, 'Every suppression recorded in history');
+  check((await alarmManager.getAlarmHistory(100, 0, { reason: 'parent' }))[0].suppression.alarmId === nvr.id, 'Parent suppression links the NVR alarm');
+
+  const stats = (await alarmManager.getStats()).suppression;
+  check(stats.suppressed.floodsStarted === 2 && stats.activeFloods.length === 0, `Stats: ${JSON.stringify(stats.suppressed)}`);
+
+  console.log('\n✅ Alarm suppression test completed');
+}
+
+testAlarmSuppression().catch(error => {
+  console.error('❌ Alarm suppression test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,278 @@
+const net = require('net');
+const APRSConnector = require('./connectors/types/APRSConnector');
+const APRSParser = require('./services/aprsParser');
+const { check, wait } = require('./test/helpers');
+
+/**
+ * APRS-IS stand-in that records what clients send and can push packets to them
+ */
+async function startAPRSIS() {
+  const server = { lines: [], sockets: [] };
+  server.net = net.createServer(socket => {
+    server.sockets.push(socket);
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk.toString('latin1');
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      server.lines.push(...lines);
+    });
+    socket.write('# aprsc test\r\n');
+  });
+  server.send = line => server.sockets.forEach(socket => socket.write(`${line}\r\n`));
+  server.sent = prefix => server.lines.filter(line => line.startsWith(prefix));
+  await new Promise(resolve => server.net.listen(0, '127.0.0.1', resolve));
+  server.port = server.net.address().port;
+  return server;
+}
+
+/**
+ * Telegram connector stand-in with the message handler API
+ */
+class FakeTelegram {
+  constructor() {
+    this.handlers = new Map();
+    this.sent = [];
+    this.nextId = 100;
+  }
+
+  addMessageHandler(handler) {
+    const id = String(this.handlers.size + 1);
+    this.handlers.set(id, handler);
+    return id;
+  }
+
+  removeMessageHandler(id) {
+    this.handlers.delete(id);
+  }
+
+  async execute(capabilityId, operation, parameters) {
+    const result = { message_id: this.nextId++, chat: { id: parameters.chatId }, text: parameters.text };
+    this.sent.push(result);
+    return result;
+  }
+
+  receive(msg) {
+    this.handlers.forEach(handler => handler({ chat: { id: -1001 }, ...msg }));
+  }
+}
+
+function createConnector(port, telegram, extra = {}) {
+  const connector = new APRSConnector({
+    id: 'aprs-gateway',
+    type: 'aprs',
+    config: {
+      input: 'aprs-is',
+      host: '127.0.0.1',
+      port,
+      callsign: 'M0TEST',
+      passcode: 12345,
+      filter: 'r/55.5/-4.6/50',
+      txInterval: 10,
+      messageRetryInterval: 150,
+      messageAttempts: 3,
+      minBeaconInterval: 100,
+      telegramBridge: { chatId: -1001 },
+      ...extra
+    }
+  });
+  connector.setConnectorRegistry({
+    on: () => {},
+    getConnector: id => (id === 'telegram-bot-main' ? telegram : null),
+    getConnectorsByType: () => []
+  });
+  return connector;
+}
+
+async function testMessaging() {
+  console.log('💬 Messages...');
+
+  const server = await startAPRSIS();
+  const telegram = new FakeTelegram();
+  const connector = createConnector(server.port, telegram);
+  const events = [];
+  ['message:acked', 'message:rejected', 'message:failed', 'message:incoming'].forEach(type => {
+    connector.on(type, message => events.push({ type, message }));
+  });
+
+  await connector.connect();
+  await wait(50);
+
+  const login = server.lines[0];
+  check(login.startsWith('user M0TEST pass 12345') && login.endsWith('filter r/55.5/-4.6/50 g/M0TEST'),
+    'Verified login adds a group filter for our messages');
+  check(connector.getStats().transmit.enabled && connector.getStats().transmit.telegramBridge, 'Transmit and Telegram bridge enabled');
+
+  const sent = await connector.execute('aprs:messages', 'send', { to: 'g4abc', text: 'Net at 2000 on GB3AY' });
+  await wait(50);
+  check(sent.id === '1' && server.sent('M0TEST>APZBLG,TCPIP*::G4ABC    :Net at 2000 on GB3AY{1').length === 1, 'Message sent with an id');
+
+  await wait(150);
+  check(sent.attempts === 2 && server.sent('M0TEST>APZBLG,TCPIP*::G4ABC    :').length === 2, 'Retried while unacked');
+
+  server.send('G4XYZ>APRS,TCPIP*::M0TEST   :ack1');
+  await wait(30);
+  check(sent.status === 'pending', 'Ack from another station ignored');
+
+  server.send('G4ABC>APRS,TCPIP*,qAC,T2UK::M0TEST   :ack1');
+  await wait(300);
+  check(sent.status === 'acked' && sent.attempts === 2 && events.some(e => e.type === 'message:acked'), 'Ack resolves the message and stops retries');
+
+  const rejected = connector.sendMessage({ to: 'G4REJ', text: 'Hello' });
+  await wait(30);
+  server.send('G4REJ>APRS,TCPIP*::M0TEST   :rej2');
+  await wait(30);
+  check(rejected.status === 'rejected', 'Reject resolves the message');
+
+  const unanswered = connector.sendMessage({ to: 'G4NONE', text: 'Anyone there?' });
+  await wait(600);
+  check(unanswered.status === 'failed' && unanswered.attempts === 3 && events.some(e => e.type === 'message:failed'),
+    'Message fails after its attempts run out');
+
+  try {
+    connector.sendMessage({ to: 'G4ABC', text: 'x'.repeat(68) });
+    check(false, 'Long message rejected');
+  } catch (error) {
+    check(true, `Long message rejected: ${error.message}`);
+  }
+
+  // Incoming messages are acked on every copy and recorded once
+  const before = server.lines.length;
+  server.send('G4ABC>APRS,TCPIP*::M0TEST   :Are you on the net tonight?{7');
+  server.send('G4ABC>APRS,WIDE1-1::M0TEST   :Are you on the net tonight?{7');
+  await wait(100);
+  const acks = server.lines.slice(before).filter(line => line === 'M0TEST>APZBLG,TCPIP*::G4ABC    :ack7');
+  check(acks.length === 2, 'Each copy of an incoming message acked');
+  check(events.filter(e => e.type === 'message:incoming').length === 1 &&
+    connector.getMessages({ callsign: 'G4ABC' }).filter(m => m.type === 'message').length === 1, 'Duplicate copies recorded once');
+
+  // Telegram bridge
+  console.log('\n🤖 Telegram bridge...');
+  const forwarded = telegram.sent.find(m => m.text === '📻 G4ABC: Are you on the net tonight?');
+  check(forwarded && forwarded.chat.id === -1001, 'Incoming message forwarded to the bridge chat');
+
+  telegram.receive({ text: 'Yes, see you there', reply_to_message: { message_id: forwarded.message_id } });
+  await wait(50);
+  const reply = connector.getOutbox({ to: 'G4ABC' }).find(m => m.text === 'Yes, see you there');
+  check(reply && reply.source === 'telegram' && server.sent(`M0TEST>APZBLG,TCPIP*::G4ABC    :Yes, see you there{${reply.id}`).length === 1,
+    'Reply to a forwarded message sent to that station');
+
+  server.send(`G4ABC>APRS,TCPIP*::M0TEST   :ack${reply.id}`);
+  await wait(50);
+  check(telegram.sent.some(m => m.text === '✅ G4ABC acknowledged: Yes, see you there'), 'Ack reported back to Telegram');
+
+  telegram.receive({ text: `/aprs mm0xyz ${'Long message from the control room that needs splitting '.repeat(2)}` });
+  await wait(50);
+  const split = connector.getOutbox({ to: 'MM0XYZ' });
+  check(split.length === 2 && split.every(m => m.text.length <= 67), `/aprs command split into ${split.length} messages`);
+
+  telegram.receive({ chat: { id: 555 }, text: '/aprs G4ABC wrong chat' });
+  telegram.receive({ text: 'Just chatting' });
+  await wait(30);
+  check(connector.getOutbox({ to: 'G4ABC' }).length === 2, 'Other chats and plain messages ignored');
+
+  await connector.disconnect();
+  check(telegram.handlers.size === 0 && split.every(m => m.status === 'failed'), 'Disconnect detaches the bridge and fails pending messages');
+  server.net.close();
+}
+
+async function testTransmitLimits() {
+  console.log('\n🚦 Rate limiting, duplicates and beacons...');
+
+  const server = await startAPRSIS();
+  const connector = createConnector(server.port, new FakeTelegram(), { txRateLimit: 3, dupeWindow: 100, telegramBridge: null });
+  await connector.connect();
+  await wait(50);
+
+  check(connector.transmit('>Status one') === true && connector.transmit('>Status one') === false &&
+    connector.stats.packetsSuppressed === 1, 'Identical packet suppressed within the duplicate window');
+
+  for (let i = 0; i < 5; i++) {
+    connector.transmit(`>Burst ${i}`);
+  }
+  await wait(200);
+  check(server.sent('M0TEST>APZBLG').length === 3 && connector.getStats().transmit.queued === 3, 'Rate limit holds packets in the queue');
+
+  connector.txRateLimit = 20;
+  clearTimeout(connector.txTimer);
+  connector.txTimer = null;
+  connector.drainTxQueue();
+  await wait(100);
+
+  const beacon = await connector.execute('aprs:beacons', 'add', {
+    name: 'INCIDENT1', lat: 55.4621, lng: -4.6297, symbol: '\\!', comment: 'Road closed A77', interval: 150
+  });
+  await wait(50);
+  const objects = () => server.sent('M0TEST>APZBLG,TCPIP*:;INCIDENT1*');
+  check(objects().length === 1 && objects()[0].includes('5527.73N\\00437.78W!Road closed A77'), 'Beacon sent as an object');
+
+  const parsed = APRSParser.parse(objects()[0]);
+  check(parsed.type === 'object' && parsed.name === 'INCIDENT1' && Math.abs(parsed.lat - 55.4621) < 0.0002, 'Beacon parses back');
+
+  await wait(350);
+  check(objects().length >= 2 && beacon.sent >= 2, `Beacon repeated on its interval (${beacon.sent} sent)`);
+
+  check((await connector.execute('aprs:beacons', 'remove', { id: 'INCIDENT1' })).removed, 'Beacon removed');
+  await wait(50);
+  check(server.sent('M0TEST>APZBLG,TCPIP*:;INCIDENT1_').length === 1, 'Removed beacon killed on air');
+
+  connector.addBeacon({ name: 'NOTAM1', lat: 55.5, lng: -4.6, interval: 100, expiresAt: new Date(Date.now() + 150).toISOString() });
+  await wait(350);
+  check(!connector.beacons.has('NOTAM1') && server.sent('M0TEST>APZBLG,TCPIP*:;NOTAM1   _').length === 1, 'Expired beacon killed');
+
+  try {
+    connector.addBeacon({ name: 'TOOLONGNAME', lat: 55, lng: -4 });
+    check(false, 'Invalid beacon rejected');
+  } catch (error) {
+    check(true, `Invalid beacon rejected: ${error.message}`);
+  }
+
+  await connector.disconnect();
+  server.net.close();
+}
+
+async function testTransmitModes() {
+  console.log('\n📻 Receive-only and KISS...');
+
+  const server = await startAPRSIS();
+  const receiveOnly = createConnector(server.port, new FakeTelegram(), { passcode: undefined, telegramBridge: null });
+  await receiveOnly.connect();
+  await wait(30);
+  check(!server.lines[0].includes('g/M0TEST'), 'Receive-only login has no group filter');
+  try {
+    receiveOnly.sendMessage({ to: 'G4ABC', text: 'Hello' });
+    check(false, 'Receive-only login cannot send');
+  } catch (error) {
+    check(true, `Receive-only login cannot send: ${error.message}`);
+  }
+  await receiveOnly.disconnect();
+  server.net.close();
+
+  const frames = [];
+  const tnc = net.createServer(socket => socket.on('data', chunk => {
+    frames.push(...APRSParser.splitKISS(chunk).frames.map(frame => APRSParser.decodeAX25(frame)));
+  }));
+  await new Promise(resolve => tnc.listen(0, '127.0.0.1', resolve));
+
+  const kiss = createConnector(tnc.address().port, new FakeTelegram(), { input: 'kiss', telegramBridge: null });
+  await kiss.connect();
+  kiss.sendMessage({ to: 'G4ABC', text: 'Over RF' });
+  await wait(50);
+  check(frames[0] === 'M0TEST>APZBLG,WIDE1-1,WIDE2-1::G4ABC    :Over RF{1', 'KISS transmit with an RF path');
+
+  await kiss.disconnect();
+  tnc.close();
+}
+
+async function testAPRSMessaging() {
+  console.log('🧪 Testing APRS messaging gateway...\n');
+  await testMessaging();
+  await testTransmitLimits();
+  await testTransmitModes();
+  console.log('\n✅ APRS messaging test completed');
+}
+
+testAPRSMessaging().catch(error => {
+  console.error('❌ APRS messaging test failed:', error);
+  process.exit(1);
+});
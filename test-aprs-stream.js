@@ -0,0 +1,228 @@
+const net = require('net');
+const APRSConnector = require('./connectors/types/APRSConnector');
+const APRSParser = require('./services/aprsParser');
+const { buildSchedule, serve } = require('./replay-aprs');
+const { check, wait } = require('./test/helpers');
+
+const near = (a, b, tolerance = 0.001) => Math.abs(a - b) < tolerance;
+
+function startServer(onConnection) {
+  return new Promise(resolve => {
+    const server = net.createServer(onConnection);
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+function createConnector(input, port, extra = {}) {
+  return new APRSConnector({
+    id: `aprs-${input}`,
+    type: 'aprs',
+    config: { input, host: '127.0.0.1', port, callsign: 'M0TEST', reconnectInterval: 200, ...extra }
+  });
+}
+
+const LOG = [
+  '2026-06-10 12:00:00 UTC: M0ABC-9>APRS,WIDE1-1,qAR,GB7AY:!5530.00N/00436.00W>088/036Mobile /A=000328',
+  '2026-06-10 12:00:01 UTC: GM4XYZ>APRS,TCPIP*,qAC,T2UK:@101200z5527.50N/00437.50W_220/004g005t050r001p010P005h80b10132Ayr WX',
+  '2026-06-10 12:00:02 UTC: MM0MIC>UQ2PVW,WIDE1-1:`(_fn"Oj/]mobile',
+  '2026-06-10 12:00:03 UTC: GB7AY>APRS,TCPIP*:;RALLY    *101200z5528.00N/00435.00W-Control point',
+  '2026-06-10 12:00:04 UTC: M0ABC-9>APRS,WIDE1-1:>En route to Ayr',
+  '2026-06-10 12:00:05 UTC: M0ABC-9>APRS,WIDE1-1::GM4XYZ   :Hello from the A77{12',
+  '2026-06-10 12:00:06 UTC: GM4XYZ>APRS,TCPIP*::M0ABC-9  :ack12',
+  '2026-06-10 12:00:07 UTC: GB7AY>APRS,TCPIP*:;RALLY    _101200z5528.00N/00435.00W-',
+  '2026-06-10 12:00:08 UTC: not a packet'
+];
+
+function testParser() {
+  console.log('🔍 Packet parser...');
+
+  const plain = APRSParser.parse('N0CALL>APRS,WIDE2-1:!4903.50N/07201.75W-088/036Test /A=001234');
+  check(plain.format === 'uncompressed' && near(plain.lat, 49.058333) && near(plain.lng, -72.029167) && plain.symbol === '/-',
+    'Uncompressed position');
+  check(plain.course === 88 && near(plain.speed, 66.67, 0.01) && near(plain.altitude, 376.1, 0.1) && plain.comment === 'Test',
+    'Course/speed, altitude and comment');
+
+  const compressed = APRSParser.parse('N0CALL>APRS:=/5L!!<*e7>7P[');
+  check(compressed.format === 'compressed' && near(compressed.lat, 49.5) && near(compressed.lng, -72.75) &&
+    compressed.course === 88 && near(compressed.speed / 1.852, 36.2, 0.1) && compressed.messaging,
+    'Compressed position with course/speed');
+
+  const micE = APRSParser.parse('N0CALL>S32U6T,WIDE1-1:`(_fn"Oj/');
+  check(micE.format === 'mic-e' && near(micE.lat, 33.427333) && near(micE.lng, -12.129) &&
+    near(micE.speed / 1.852, 20) && micE.course === 251 && micE.symbol === '/j' && micE.micE === 'Returning',
+    'Mic-E position, speed, course and message');
+
+  const object = APRSParser.parse('N0CALL>APRS:;LEADER   *092345z4903.50N/07201.75W>088/036');
+  const item = APRSParser.parse('N0CALL>APRS:)AID #2_4903.50N/07201.75WA');
+  check(object.type === 'object' && object.name === 'LEADER' && !object.killed && object.timestamp, 'Object with timestamp');
+  check(item.type === 'item' && item.name === 'AID #2' && item.killed, 'Killed item');
+
+  const status = APRSParser.parse('N0CALL>APRS:>092345zNet Control Center');
+  check(status.type === 'status' && status.status === 'Net Control Center', 'Status report');
+
+  const weather = APRSParser.parse('N0CALL>APRS:_10090556c220s004g005t077r000p000P000h50b09900wRSW');
+  check(weather.type === 'weather' && weather.weather.windDirection === 220 && near(weather.weather.windSpeed, 1.79, 0.01) &&
+    weather.weather.temperature === 25 && weather.weather.humidity === 50 && weather.weather.pressure === 990,
+    'Positionless weather in metric units');
+
+  const message = APRSParser.parse('N0CALL>APRS::WU2Z     :Testing{003');
+  const ack = APRSParser.parse('N0CALL>APRS::KB2ICI-14:ack003');
+  const bulletin = APRSParser.parse('N0CALL>APRS::BLN1     :Net tonight 2000');
+  check(message.message.addressee === 'WU2Z' && message.message.text === 'Testing' && message.message.id === '003', 'Message with id');
+  check(ack.message.kind === 'ack' && ack.message.id === '003' && bulletin.message.kind === 'bulletin', 'Acks and bulletins');
+
+  const thirdParty = APRSParser.parse('GB7XX>APRS,TCPIP*:}N0CALL>APRS,TCPIP,GB7XX*:!4903.50N/07201.75W-');
+  check(thirdParty.source === 'N0CALL' && thirdParty.via === 'GB7XX', 'Third-party packet unwrapped');
+
+  check(APRSParser.parse('# aprsc 2.1.10') === null && APRSParser.parse('garbage') === null &&
+    APRSParser.parse('N0CALL>APRS:!9999.99N/07201.75W-') === null, 'Comments and malformed packets rejected');
+
+  const line = 'M0ABC-9>APRS,MB7UH*,WIDE2-1:!5530.00N/00436.00W>Àtest';
+  const frame = APRSParser.encodeKISS(line);
+  const split = APRSParser.splitKISS(Buffer.concat([frame, frame.subarray(0, 6)]));
+  check(split.frames.length === 1 && APRSParser.decodeAX25(split.frames[0]) === line && split.remainder.length === 6,
+    'KISS frames round-trip through AX.25 with escaping');
+}
+
+async function testAPRSIS() {
+  console.log('\n🌐 APRS-IS replay...');
+
+  let loginLine = null;
+  const schedule = buildSchedule(LOG, { speed: 100, rate: 100 });
+  const server = await startServer(socket => {
+    socket.once('data', chunk => { loginLine = chunk.toString(); });
+    serve(socket, schedule, { kiss: false, loop: false, hold: true });
+  });
+
+  const connector = createConnector('aprs-is', server.address().port, { filter: 'r/55.5/-4.6/50' });
+  const appeared = [];
+  const removed = [];
+  const messages = [];
+  const weather = [];
+  connector.on('station:appeared', station => appeared.push(station.name));
+  connector.on('station:removed', station => removed.push(station.name));
+  connector.on('message:received', message => messages.push(message));
+  connector.on('weather:updated', report => weather.push(report));
+
+  await connector.connect();
+  await wait(600);
+
+  check(loginLine && loginLine.startsWith('user M0TEST pass -1 vers Babelfish-LookingGlass') &&
+    loginLine.includes('filter r/55.5/-4.6/50'), 'Logs in receive-only with the server-side filter');
+
+  const mobile = connector.stations.get('M0ABC-9');
+  check(mobile && near(mobile.lat, 55.5) && near(mobile.lng, -4.6) && mobile.course === 88 && mobile.altitude === 100,
+    'Position fed through processStationData');
+  check(mobile && mobile.status === 'En route to Ayr', 'Status applied to the station');
+  check(connector.stations.get('MM0MIC')?.status === 'En Route', 'Mic-E station tracked with its message');
+
+  check(appeared.includes('GM4XYZ') && connector.stations.get('GM4XYZ').type === 'w', 'Weather station position tracked');
+  const report = connector.getWeatherData({ stationId: 'GM4XYZ' })[0];
+  check(weather.length === 1 && report && report.temperature === 10 && report.pressure === 1013.2 && report.humidity === 80,
+    'Weather fed through processWeatherData');
+
+  check(appeared.includes('RALLY') && removed.includes('RALLY') && !connector.stations.has('RALLY'), 'Object created then killed');
+
+  const received = connector.getMessages();
+  check(messages.length === 2 && received[0].from === 'M0ABC-9' && received[0].to === 'GM4XYZ' &&
+    received[0].text === 'Hello from the A77' && received[0].messageId === '12', 'Message recorded');
+  check(received[1].type === 'ack' && connector.getMessages({ callsign: 'gm4xyz' }).length === 2, 'Ack recorded and messages filtered');
+
+  const packets = await connector.execute('aprs:packets', 'read', { source: 'M0ABC-9' });
+  check(packets.length === 3 && packets[0].raw.startsWith('M0ABC-9>APRS'), 'Raw packets readable');
+
+  const stats = connector.getStats();
+  check(stats.packetsReceived === 9 && stats.packetsInvalid === 1 && stats.input.mode === 'aprs-is', 'Packet stats');
+
+  await connector.disconnect();
+  server.close();
+}
+
+async function testKISS() {
+  console.log('\n📻 KISS TNC replay...');
+
+  const schedule = buildSchedule(LOG.slice(0, 3), { speed: 100, rate: 100, kiss: true });
+  const server = await startServer(socket => serve(socket, schedule, { kiss: true, loop: false, hold: true }));
+  const connector = createConnector('kiss', server.address().port);
+
+  await connector.performConnect();
+  await wait(400);
+
+  // The APRS-IS only packet (q-construct path) cannot be sent over RF
+  check(connector.stations.has('M0ABC-9') && connector.stations.has('MM0MIC'), 'Stations decoded from KISS frames');
+  check(connector.stations.get('M0ABC-9').path === 'APRS,WIDE1-1,QAR,GB7AY', 'AX.25 path carried through');
+
+  await connector.performDisconnect();
+  server.close();
+}
+
+async function testReconnect() {
+  console.log('\n🔁 Reconnect...');
+
+  let connections = 0;
+  const server = await startServer(socket => {
+    connections++;
+    if (connections === 1) {
+      socket.destroy();
+    } else {
+      socket.write(APRSParser.encodeKISS('G4ABC>APRS:!5530.00N/00436.00W-Back'));
+    }
+  });
+
+  const connector = createConnector('kiss', server.address().port);
+  await connector.performConnect();
+  await wait(500);
+
+  check(connections === 2 && connector.stats.streamReconnects === 1 && connector.stations.has('G4ABC'), 'Reconnects after the TNC drops');
+
+  await connector.performDisconnect();
+  server.close();
+
+  try {
+    await createConnector('kiss', 1).performConnect();
+    check(false, 'Connected to a closed port');
+  } catch (error) {
+    check(true, `Initial connect failure surfaces: ${error.code}`);
+  }
+
+  check(APRSConnector.validateConfig({ input: 'aprs-is' }).length === 1 && APRSConnector.validateConfig({ input: 'kiss' }).length === 0 &&
+    APRSConnector.validateConfig({}).length === 1, 'API key only required for the api input');
+}
+
+async function testStationSweep() {
+  console.log('\n🧹 Station expiry...');
+
+  const connector = createConnector('aprs-is', 1, { stationTimeout: 600000 });
+  const removed = [];
+  connector.on('station:removed', station => removed.push(station.name));
+
+  await connector.handlePacketLine('G4OLD>APRS,TCPIP*:>Heading home');
+  await connector.handlePacketLine('G4OLD>APRS,TCPIP*:!5530.00N/00436.00W-Old');
+  await connector.handlePacketLine('G4NEW>APRS,TCPIP*:!5531.00N/00437.00W-New');
+  await connector.handlePacketLine('G4QRT>APRS,TCPIP*:>Status only');
+
+  const old = connector.stations.get('G4OLD');
+  connector.stations.set('G4OLD', { ...old, lastSeen: new Date(Date.now() - 900000) });
+  connector.stationStatus.set('G4QRT', { status: 'Status only', receivedAt: new Date(Date.now() - 900000).toISOString() });
+  check(old.status === 'Heading home', 'Status report applied to the station');
+
+  await connector.sweepStations();
+  check(!connector.stations.has('G4OLD') && connector.stations.has('G4NEW'), 'Quiet station removed, recent one kept');
+  check(!connector.stationStatus.has('G4OLD') && !connector.stationStatus.has('G4QRT'), 'Status reports of quiet stations cleared');
+  check(removed.length === 1 && removed[0] === 'G4OLD', 'station:removed emitted for the expired station');
+}
+
+async function testAPRSStream() {
+  console.log('🧪 Testing APRS streaming inputs...\n');
+  testParser();
+  await testAPRSIS();
+  await testKISS();
+  await testReconnect();
+  await testStationSweep();
+  console.log('\n✅ APRS stream test completed');
+}
+
+testAPRSStream().catch(error => {
+  console.error('❌ APRS stream test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,162 @@
+const EventEmitter = require('events');
+const express = require('express');
+const airports = require('./config/airports');
+const AirportService = require('./services/airportService');
+const ArrivalPredictionService = require('./services/arrivalPredictionService');
+const { router: prestwickRouter, injectServices } = require('./routes/prestwick');
+const { check, quietLogger } = require('./test/helpers');
+
+const T0 = Date.parse('2025-06-24T12:00:00Z');
+const THRESHOLD_30 = airports.EGPK.runways['30'].threshold;
+
+/**
+ * Position moved along a bearing by a distance in nautical miles
+ */
+function move(position, bearing, nm) {
+  const rad = bearing * Math.PI / 180;
+  const meters = nm * 1852;
+  return {
+    lat: position.latitude + (meters * Math.cos(rad)) / 111320,
+    lon: position.longitude + (meters * Math.sin(rad)) / (111320 * Math.cos(position.latitude * Math.PI / 180))
+  };
+}
+
+function aircraft(icao24, position, fields, now = T0) {
+  return { icao24, ...position, last_seen: new Date(now).toISOString(), ...fields };
+}
+
+async function testArrivalPrediction() {
+  console.log('🧪 Testing arrival prediction...\n');
+
+  const airportService = new AirportService(airports.EGPK);
+  let traffic = [];
+  const fusion = { getAircraft: () => traffic };
+
+  const eventBus = new EventEmitter();
+  const published = [];
+  eventBus.publishEvent = async (event) => { published.push(event); };
+
+  const service = new ArrivalPredictionService({ leadTime: 5 }, quietLogger);
+  service.setAirportService(airportService);
+  service.setAircraftFusionService(fusion);
+  service.setEventBus(eventBus);
+
+  // Predictions
+  console.log('🛬 Predictions...');
+  // 10 NM final for runway 30 at 3000 ft, descending on a 3 degree path at 140 kts
+  const onFinal = aircraft('4CA2D6', move(THRESHOLD_30, 120, 10), {
+    callsign: 'RYR82AB', altitude: 3000, speed: 140, track: 300, vertical_rate: -750
+  });
+  const prediction = service.predict(onFinal, T0);
+  check(prediction && prediction.runway === '30', `Runway 30 predicted (${prediction?.runway})`);
+  check(prediction.etaSeconds > 230 && prediction.etaSeconds < 280, `ETA ${prediction.etaSeconds}s for 10 NM at 140 kts`);
+  check(prediction.status === 'final' && prediction.confidence === 1, `On final with confidence ${prediction.confidence}`);
+
+  // 30 NM to the south east, not yet lined up, descending through FL100
+  const joining = aircraft('406B90', move(THRESHOLD_30, 150, 30), {
+    callsign: 'EXS45M', altitude: 10000, speed: 280, track: 330, vertical_rate: -1500
+  });
+  const joiningPrediction = service.predict(joining, T0);
+  check(joiningPrediction && joiningPrediction.status === 'inbound' && joiningPrediction.etaSeconds > prediction.etaSeconds,
+    `Inbound aircraft further out arrives later (${joiningPrediction?.etaSeconds}s)`);
+
+  const outbound = aircraft('400A11', move(THRESHOLD_30, 120, 10), { altitude: 3000, speed: 140, track: 120, vertical_rate: 0 });
+  check(service.predict(outbound, T0) === null, 'Outbound aircraft ignored');
+
+  const overflight = aircraft('3C6444', move(THRESHOLD_30, 120, 15), { altitude: 37000, speed: 450, track: 300, vertical_rate: 0 });
+  check(service.predict(overflight, T0) === null, 'Cruising overflight ignored');
+
+  // Board and imminent events
+  console.log('\n📋 Board...');
+  const imminent = [];
+  const boards = [];
+  service.on('arrival:imminent', event => imminent.push(event));
+  service.on('board:updated', board => boards.push(board));
+
+  traffic = [joining, onFinal, outbound, overflight];
+  let board = service.update(T0);
+  check(board.airport === 'EGPK' && board.arrivals.length === 2, `Board lists ${board.arrivals.length} arrivals`);
+  check(board.arrivals[0].icao24 === '4CA2D6' && board.arrivals[1].icao24 === '406B90', 'Board ordered by ETA');
+  check(boards.length === 1, 'board:updated emitted');
+  check(imminent.length === 1 && imminent[0].icao24 === '4CA2D6' && imminent[0].leadTime === 5,
+    'arrival:imminent raised for the aircraft within 5 minutes');
+  check(published.length === 1 && published[0].type === 'arrival:imminent' && published[0].source === 'arrival-prediction',
+    'arrival:imminent published to the event bus');
+
+  traffic = [joining, { ...onFinal, ...move(THRESHOLD_30, 120, 6), last_seen: new Date(T0 + 100000).toISOString() }];
+  service.update(T0 + 100000);
+  check(imminent.length === 1, 'arrival:imminent raised only once per aircraft');
+
+  // Short final at 200 ft, then it touches down and drops out of the picture
+  traffic = [joining, { ...onFinal, ...move(THRESHOLD_30, 120, 0.5), altitude: 266, last_seen: new Date(T0 + 230000).toISOString() }];
+  service.update(T0 + 230000);
+  traffic = [{ ...joining, last_seen: new Date(T0 + 240000).toISOString() }];
+  board = service.update(T0 + 240000);
+  const landed = board.arrivals.find(arrival => arrival.icao24 === '4CA2D6');
+  check(landed && landed.status === 'landed' && board.arrivals[board.arrivals.length - 1] === landed,
+    'Aircraft on final that disappears at its ETA shown as landed, last on the board');
+  check(service.getArrival('4ca2d6').status === 'landed' && service.getStats().landed === 1, 'getArrival and stats');
+
+  // Routes
+  console.log('\n🌐 Routes...');
+  injectServices({ connectorRegistry: { getConnector: () => null }, eventBus, arrivalPredictionService: service });
+  const app = express();
+  app.use('/api/prestwick', prestwickRouter);
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api/prestwick`;
+
+  const arrivals = await fetch(`${base}/arrivals`).then(r => r.json());
+  check(arrivals.success && arrivals.data.arrivals.length === 2, 'GET /arrivals returns the board');
+
+  const single = await fetch(`${base}/arrivals/406b90`).then(r => r.json());
+  check(single.success && single.data.callsign === 'EXS45M' && single.data.position.lat, 'GET /arrivals/:icao24');
+
+  const missing = await fetch(`${base}/arrivals/ABCDEF`);
+  check(missing.status === 404, 'Unknown aircraft returns 404');
+
+  injectServices({ connectorRegistry: { getConnector: () => null }, eventBus });
+  const unavailable = await fetch(`${base}/arrivals`);
+  check(unavailable.status === 503, 'Arrivals unavailable without the service');
+
+  // Landing needs evidence
+  console.log('\n🛬 Landed...');
+  // Going around: last seen on final but well above the runway, climbing away
+  const goAround = aircraft('4CA3E7', move(THRESHOLD_30, 120, 4), {
+    callsign: 'EZY91', altitude: 1400, speed: 140, track: 300, vertical_rate: -700
+  }, T0 + 240000);
+  traffic = [{ ...joining, last_seen: new Date(T0 + 240000).toISOString() }, goAround];
+  service.update(T0 + 240000);
+  check(service.getArrival('4CA3E7').status === 'final', 'Aircraft on final listed');
+  traffic = [{ ...joining, last_seen: new Date(T0 + 300000).toISOString() }];
+  service.update(T0 + 300000);
+  check(service.getArrival('4CA3E7') === null && service.getStats().landed === 1, 'Aircraft on final that drops out high is removed, not landed');
+
+  // Seen on the ground
+  const rollout = aircraft('4CA4F8', move(THRESHOLD_30, 120, 3), {
+    callsign: 'EZY92', altitude: 1000, speed: 140, track: 300, vertical_rate: -700
+  }, T0 + 300000);
+  traffic = [rollout];
+  service.update(T0 + 300000);
+  traffic = [{ ...rollout, ...move(THRESHOLD_30, 300, 0.5), altitude: 'ground', speed: 40, last_seen: new Date(T0 + 400000).toISOString() }];
+  service.update(T0 + 400000);
+  check(service.getArrival('4CA4F8').status === 'landed', 'Ground sighting marks the arrival landed');
+
+  // The airport's landing event
+  const inbound = aircraft('4CA5A9', move(THRESHOLD_30, 120, 3), {
+    callsign: 'EZY93', altitude: 1000, speed: 140, track: 300, vertical_rate: -700
+  }, T0 + 400000);
+  traffic = [inbound];
+  service.update(T0 + 400000);
+  airportService.eventCallbacks.landing.forEach(callback => callback({ type: 'aircraft:landing', data: { icao24: '4CA5A9' } }));
+  check(service.getArrival('4CA5A9').status === 'landed' && service.getStats().landed === 3, 'Airport landing event marks the arrival landed');
+
+  server.close();
+  console.log('\n✅ Arrival prediction test completed');
+}
+
+testArrivalPrediction().catch(error => {
+  console.error('❌ Arrival prediction test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,232 @@
+const express = require('express');
+const SpeedCalculationService = require('./services/speedCalculationService');
+const SpeedCalculationConnector = require('./connectors/types/SpeedCalculationConnector');
+const SpeedDetectionGuiConnector = require('./connectors/types/SpeedDetectionGuiConnector');
+const { router: speedRouter, SpeedRoutes } = require('./routes/speed');
+const { check } = require('./test/helpers');
+
+const NOON = Date.UTC(2026, 5, 10, 12, 0, 0); // a Wednesday
+const LATE = Date.UTC(2026, 5, 10, 23, 0, 0);
+
+const A = { lat: 55.50, lon: -4.60 };
+const BEND = { lat: 55.505, lon: -4.59 };
+const B = { lat: 55.51, lon: -4.60 };
+const C = { lat: 55.52, lon: -4.60 };
+
+/**
+ * Evidence service stand-in that records capture requests
+ */
+class RecordingEvidence {
+  constructor() {
+    this.requests = [];
+  }
+
+  capture(request) {
+    this.requests.push(request);
+    return { id: `evidence-${this.requests.length}` };
+  }
+}
+
+/**
+ * Seconds needed to cover a distance at a speed
+ */
+function secondsFor(distanceKm, speedKmh) {
+  return distanceKm / speedKmh * 3600;
+}
+
+async function registerPoints(service) {
+  await service.registerDetectionPoint('cam-a', { name: 'Monkton', position: A, direction: 'northbound', speedLimit: 50 });
+  await service.registerDetectionPoint('cam-b', { name: 'Prestwick', position: B, direction: 'northbound', speedLimit: 50 });
+  await service.registerDetectionPoint('cam-c', { name: 'Ayr', position: C, direction: 'northbound', speedLimit: 50 });
+  await service.registerDetectionPoint('cam-s', { name: 'Southbound', position: C, direction: 'southbound' });
+}
+
+async function testAverageSpeed() {
+  console.log('🧪 Testing average speed routes...\n');
+
+  const service = new SpeedCalculationService({ logLevel: 'error' });
+  const evidence = new RecordingEvidence();
+  service.setEvidenceService(evidence);
+  await registerPoints(service);
+
+  // Route definitions
+  console.log('🛣️  Routes...');
+  const route = await service.registerRoute({
+    id: 'a79',
+    name: 'A79 Monkton to Ayr',
+    direction: 'northbound',
+    checkpoints: ['cam-a', 'cam-b', 'cam-c'],
+    path: [A, BEND, B, [C.lat, C.lon], { lat: 55.525, lng: -4.60 }],
+    speedLimit: 50,
+    limitSchedule: [
+      { from: '22:00', to: '06:00', limit: 30 },
+      { from: '08:00', to: '09:00', limit: 20, days: [1, 2, 3, 4, 5] }
+    ],
+    timezone: 'UTC',
+    tolerance: { percent: 10, kmh: 2 }
+  });
+
+  const straight = service.calculateDistance(A, B);
+  const bent = service.calculateDistance(A, BEND) + service.calculateDistance(BEND, B);
+  check(route.segments.length === 2 && route.segments[0].source === 'path', 'Segments measured along the path');
+  check(Math.abs(route.segments[0].distance - bent) < 0.001 && route.segments[0].distance > straight,
+    `Path distance follows the bend (${route.segments[0].distance.toFixed(3)} km vs ${straight.toFixed(3)} km straight)`);
+  check(Math.abs(route.length - (bent + service.calculateDistance(B, C))) < 0.001, `Route length ${route.length.toFixed(3)} km`);
+
+  const surveyed = await service.registerRoute({ id: 'surveyed', checkpoints: ['cam-a', { cameraId: 'cam-b', distance: 1.25 }] });
+  check(surveyed.segments[0].source === 'surveyed' && surveyed.segments[0].distance === 1.25 && surveyed.speedLimit === 50,
+    'Surveyed distances override, limit defaults from the entry point');
+  const plain = await service.registerRoute({ id: 'plain', checkpoints: ['cam-b', 'cam-c'], active: false });
+  check(plain.segments[0].source === 'straight', 'Straight line without a path');
+
+  const rejects = async (config, message) => {
+    try {
+      await service.registerRoute(config);
+      check(false, message);
+    } catch (error) {
+      check(true, `${message}: ${error.message}`);
+    }
+  };
+  await rejects({ checkpoints: ['cam-a'] }, 'Single checkpoint rejected');
+  await rejects({ checkpoints: ['cam-a', 'cam-x'] }, 'Unknown detection point rejected');
+  await rejects({ checkpoints: ['cam-a', 'cam-s'], direction: 'northbound' }, 'Detection point facing the wrong way rejected');
+  await rejects({ checkpoints: ['cam-c', 'cam-a'], path: [A, B, C] }, 'Checkpoints out of path order rejected');
+  await rejects({ checkpoints: ['cam-a', 'cam-b'], limitSchedule: [{ from: '7am', to: '19:00', limit: 30 }] }, 'Bad limit period rejected');
+  await rejects({ checkpoints: ['cam-a', 'cam-b'], timezone: 'Mars/Olympus' }, 'Unknown time zone rejected');
+
+  // Variable limits
+  console.log('\n🕒 Time of day limits...');
+  check(service.getRouteLimit(route, NOON) === 50, 'Default limit at noon');
+  check(service.getRouteLimit(route, LATE) === 30 && service.getRouteLimit(route, Date.UTC(2026, 5, 11, 3, 0)) === 30, 'Overnight limit either side of midnight');
+  check(service.getRouteLimit(route, Date.UTC(2026, 5, 10, 8, 30)) === 20, 'School run limit on a weekday');
+  check(service.getRouteLimit(route, Date.UTC(2026, 5, 13, 8, 30)) === 50, 'School run limit not on a Saturday');
+
+  // A vehicle through the route
+  console.log('\n🚗 Averages and offences...');
+  await service.removeRoute('surveyed');
+  const segmentEvents = [];
+  const completed = [];
+  const offenceEvents = [];
+  service.on('route:segment', average => segmentEvents.push(average));
+  service.on('route:completed', average => completed.push(average));
+  service.on('speed:offence', offence => offenceEvents.push(offence));
+
+  const [first, second] = route.segments.map(segment => segment.distance);
+  const atB = NOON + secondsFor(first, 50) * 1000;
+  const atC = atB + secondsFor(second, 80) * 1000;
+  const read = (cameraId, timestamp, extra = {}) => service.processANPRDetection({
+    cameraId, plateNumber: 'SF19 XYZ', timestamp, confidence: 0.95, data: { thumbnail: `/snap/${cameraId}.jpg` }, ...extra
+  });
+
+  await read('cam-a', NOON);
+  await read('cam-a', NOON + 2000);
+  await read('cam-b', atB);
+  check(segmentEvents.length === 1 && Math.abs(segmentEvents[0].speedKmh - 50) < 0.1 && !segmentEvents[0].offenceId,
+    `First segment 50 km/h, at the limit (${segmentEvents[0]?.speedKmh.toFixed(1)})`);
+  await read('cam-c', atC);
+  check(segmentEvents.length === 2 && Math.abs(segmentEvents[1].speedKmh - 80) < 0.1 && segmentEvents[1].offenceId,
+    'Second segment 80 km/h is an offence');
+
+  const whole = completed[0];
+  const expected = route.length / ((atC - NOON) / 3600000);
+  check(whole && whole.scope === 'route' && Math.abs(whole.speedKmh - expected) < 0.01 && whole.segments.length === 2,
+    `Whole-route average ${whole?.speedKmh.toFixed(1)} km/h`);
+  check(whole.speedKmh > 57 && whole.offenceId, 'Whole-route average over limit plus tolerance is an offence');
+
+  const offence = service.getOffence(segmentEvents[1].offenceId);
+  check(offence.plateNumber === 'SF19 XYZ' && offence.speedLimit === 50 && Math.abs(offence.threshold - 57) < 1e-9, 'Offence records the limit and threshold');
+  check(offence.entry.cameraId === 'cam-b' && offence.exit.cameraId === 'cam-c' &&
+    offence.entry.snapshot === '/snap/cam-b.jpg' && offence.exit.snapshot === '/snap/cam-c.jpg', 'Offence bundles both ANPR reads and snapshots');
+  check(offence.entry.timestamp === new Date(atB).toISOString() && offence.entry.name === 'Prestwick', 'Entry read time and place');
+  check(offence.evidence.length === 2 && evidence.requests[0].cameras[0].cameraId === 'cam-b' &&
+    Math.abs(new Date(evidence.requests[0].timestamp).getTime() - atB) < 1, 'Evidence clips requested around each read');
+  check(offenceEvents.length === 2 && service.getOffences({ scope: 'route' }).length === 1, 'speed:offence emitted per offence');
+  check(service.getTrackingData('SF19 XYZ').speedCalculations[0].plateNumber === 'SF19 XYZ', 'Point-to-point calculations keep the plate');
+
+  // Direction and sequence validation
+  console.log('\n🧭 Direction...');
+  await read('cam-a', NOON + 600000, { plateNumber: 'WR0 NGW' });
+  await read('cam-b', NOON + 600000 + secondsFor(first, 90) * 1000, { plateNumber: 'WR0 NGW', direction: 'southbound' });
+  check(service.getRouteAverages({ plateNumber: 'WR0 NGW' }).length === 0, 'Read reported travelling the wrong way ignored');
+
+  await read('cam-c', NOON + 900000, { plateNumber: 'RE11 VRS' });
+  await read('cam-b', NOON + 960000, { plateNumber: 'RE11 VRS' });
+  await read('cam-a', NOON + 1020000, { plateNumber: 'RE11 VRS' });
+  check(service.getRouteAverages({ plateNumber: 'RE11 VRS' }).length === 0, 'Checkpoints passed in reverse order measure nothing');
+
+  await read('cam-a', NOON + 1200000, { plateNumber: 'SK1P BBB' });
+  await read('cam-c', NOON + 1200000 + secondsFor(route.length, 40) * 1000, { plateNumber: 'SK1P BBB' });
+  const skipped = service.getRouteAverages({ plateNumber: 'SK1P BBB' });
+  check(skipped.length === 2 && Math.abs(skipped[0].speedKmh - 40) < 0.1 && skipped.every(a => !a.offenceId),
+    'Missed middle checkpoint spans both segments');
+
+  // Night limit
+  console.log('\n🌙 Night limit...');
+  await read('cam-a', LATE, { plateNumber: 'NT24 OWL' });
+  await read('cam-b', LATE + secondsFor(first, 40) * 1000, { plateNumber: 'NT24 OWL' });
+  const night = service.getOffences({ plateNumber: 'NT24 OWL' });
+  check(night.length === 1 && night[0].speedLimit === 30 && night[0].scope === 'segment', '40 km/h is an offence under the overnight limit');
+
+  // Connector, routes and GUI
+  console.log('\n🌐 Connector and API...');
+  const connector = new SpeedCalculationConnector({ id: 'speed-calculation-main', name: 'Speed', speedService: { logLevel: 'error' } });
+  await connector.performConnect();
+  const events = [];
+  connector.on('broadcast', event => events.push(event));
+  await registerPoints(connector.speedService);
+
+  new SpeedRoutes({});
+  const app = express();
+  app.use(express.json());
+  app.use('/api', speedRouter);
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api/speed`;
+  const send = (method, path, body) => fetch(`${base}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  check((await fetch(`${base}/routes`)).status === 503, 'Routes unavailable without the connector');
+  app.locals.speedCalculationConnector = connector;
+
+  const created = await send('POST', '/routes', { id: 'a77', name: 'A77', checkpoints: ['cam-a', 'cam-b'], speedLimit: 40 });
+  check(created.status === 201 && (await created.json()).route.segments.length === 1, 'POST /speed/routes');
+  check((await send('POST', '/routes', { checkpoints: ['cam-a', 'nowhere'] })).status === 400, 'POST /speed/routes validates');
+  const updated = await send('PUT', '/routes/a77', { speedLimit: 30 }).then(r => r.json());
+  check(updated.route.speedLimit === 30 && updated.route.name === 'A77', 'PUT /speed/routes/:id');
+  check((await send('PUT', '/routes/missing', {})).status === 404, 'PUT unknown route is 404');
+
+  await send('POST', '/process-anpr', { cameraId: 'cam-a', plateNumber: 'AP11 RTE', timestamp: NOON });
+  await send('POST', '/process-anpr', { cameraId: 'cam-b', plateNumber: 'AP11 RTE', timestamp: NOON + secondsFor(straight, 60) * 1000 });
+
+  const averages = await fetch(`${base}/averages?routeId=a77`).then(r => r.json());
+  check(averages.count === 2 && averages.averages.some(a => a.scope === 'segment'), 'GET /speed/averages');
+  const offences = await fetch(`${base}/offences?plateNumber=AP11 RTE`).then(r => r.json());
+  check(offences.count === 1 && Math.abs(offences.offences[0].speedKmh - 60) < 0.1, 'Single-hop route counted as one offence');
+  const single = await fetch(`${base}/offences/${offences.offences[0].id}`).then(r => r.json());
+  check(single.offence.entry.cameraId === 'cam-a' && (await fetch(`${base}/offences/none`)).status === 404, 'GET /speed/offences/:id');
+  check(events.some(event => event.type === 'speedOffence') && events.some(event => event.type === 'routeCompleted'), 'Offences broadcast to clients');
+
+  const gui = new SpeedDetectionGuiConnector({ logLevel: 'error' });
+  gui.setConnectorRegistry({ getConnector: (id) => id === 'speed-calculation-main' ? connector : null });
+  const listed = await gui.execute('route', 'list');
+  check(listed.total === 1 && listed.routes[0].id === 'a77', 'GUI lists routes');
+  const guiRoute = await gui.execute('route', 'create', { id: 'gui', checkpoints: ['cam-b', 'cam-c'], speedLimit: 60 });
+  check(guiRoute.route.id === 'gui' && (await gui.execute('route', 'update', { routeId: 'gui', speedLimit: 70 })).route.speedLimit === 70, 'GUI creates and updates routes');
+  check((await gui.execute('speed', 'getOffences', { routeId: 'a77' })).total === 1, 'GUI shows offences');
+  check((await gui.execute('gui', 'getTemplates')).templates.averageSpeedRoute, 'GUI has an average speed route template');
+
+  check((await send('DELETE', '/routes/a77')).status === 200 && (await fetch(`${base}/routes/a77`)).status === 404, 'DELETE /speed/routes/:id');
+
+  server.close();
+  await connector.performDisconnect();
+  console.log('\n✅ Average speed test completed');
+}
+
+testAverageSpeed().catch(error => {
+  console.error('❌ Average speed test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,223 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const CameraCoverageService = require('./services/cameraCoverageService');
+const MapConnector = require('./connectors/types/MapConnector');
+const EntityManager = require('./services/entityManager');
+const AlarmManagerConnector = require('./connectors/types/AlarmManagerConnector');
+const UnifiProtectConnector = require('./connectors/types/UnifiProtectConnector');
+const camerasRouter = require('./routes/cameras');
+const { check, quietLogger } = require('./test/helpers');
+
+const CAMERA = { lat: 55.5085, lng: -4.5870 };
+
+/**
+ * Position a distance in metres along a bearing from the camera
+ */
+function offset(bearing, meters) {
+  const rad = bearing * Math.PI / 180;
+  return {
+    lat: CAMERA.lat + (meters * Math.cos(rad)) / 111320,
+    lng: CAMERA.lng + (meters * Math.sin(rad)) / (111320 * Math.cos(CAMERA.lat * Math.PI / 180))
+  };
+}
+
+/**
+ * Telegram stand-in that records messages and photos
+ */
+class RecordingTelegram extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+    this.photos = [];
+    this.defaultChatId = '-100-ops';
+  }
+
+  async execute(capabilityId, operation, parameters) {
+    (operation === 'photo' ? this.photos : this.sent).push(parameters);
+    return { message_id: this.sent.length + this.photos.length };
+  }
+}
+
+async function testCameraCoverage() {
+  console.log('🧪 Testing camera field of view coverage...\n');
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'camera-coverage-'));
+  const locationsFile = path.join(tmpDir, 'camera-locations.json');
+  fs.writeFileSync(locationsFile, JSON.stringify({
+    'runway-east': { ...CAMERA, name: 'Runway East', heading: 90, fov: 60, range: 2000 },
+    'approach': { ...CAMERA, name: 'Approach', heading: 130, fov: 40, range: 8000, elevation: 5, verticalFov: 10, height: 20 },
+    'gate': { ...offset(0, 300), name: 'Main Gate' }
+  }));
+
+  const map = new MapConnector({ id: 'main-map', type: 'map', config: {}, logger: quietLogger });
+  const entityManager = new EntityManager({}, quietLogger);
+  await entityManager.createEntity({ id: 'camera-runway-east', type: 'camera', name: 'Runway East', data: { cameraId: 'runway-east' } });
+
+  const service = new CameraCoverageService({ locationsFile }, quietLogger);
+  service.setEntityManager(entityManager);
+
+  // Loading and cones
+  console.log('📐 Cones...');
+  const loaded = await service.loadLocations();
+  check(loaded.length === 2 && !service.getCamera('gate'), 'Cameras without a heading have no cone');
+
+  const cone = service.getCamera('runway-east').cone;
+  const arcDistances = cone.slice(1, -1).map(point => service.calculateDistance(CAMERA.lat, CAMERA.lng, point.lat, point.lng));
+  check(cone.length === 19 && arcDistances.every(distance => Math.abs(distance - 2000) < 1), `Cone arc drawn at full range (${cone.length} points)`);
+  const edges = [cone[1], cone[cone.length - 2]].map(point => service.calculateBearing(CAMERA.lat, CAMERA.lng, point.lat, point.lng));
+  check(Math.abs(edges[0] - 60) < 0.1 && Math.abs(edges[1] - 120) < 0.1, `Cone spans ${edges[0].toFixed(1)}° to ${edges[1].toFixed(1)}°`);
+
+  const entity = entityManager.getEntity('camera-runway-east');
+  check(entity.data.fieldOfView?.heading === 90 && entity.data.cameraId === 'runway-east', 'Camera entity carries its field of view');
+
+  await service.setMapConnector(map);
+  const elements = Array.from(map.spatialData.values()).filter(element => element.type === 'camera-fov');
+  check(elements.length === 2 && elements.some(element => element.properties.cameraId === 'approach'), 'Cones drawn on the map');
+
+  await service.setCamera('runway-east', { ...CAMERA, name: 'Runway East', heading: 100, fov: 60, range: 2000 });
+  const redrawn = map.spatialData.get(service.mapElements.get('runway-east'));
+  check(map.spatialData.size === 2 && redrawn.properties.heading === 100, 'Changed camera updates its cone in place');
+  await service.setCamera('runway-east', { ...CAMERA, name: 'Runway East', heading: 90, fov: 60, range: 2000 });
+
+  // Coverage
+  console.log('\n🎯 Coverage...');
+  const inside = service.getCoveringCameras(offset(90, 1000));
+  check(inside.length === 1 && inside[0].cameraId === 'runway-east' && Math.abs(inside[0].distance - 1000) <= 2, 'Point inside the cone is covered');
+  check(service.getCoveringCameras(offset(30, 1000)).length === 0, 'Point outside the horizontal field of view is not covered');
+  check(service.getCoveringCameras(offset(90, 2500)).length === 0, 'Point beyond range is not covered');
+  check(service.getCoveringCameras({ ...offset(90, 1000), lng: undefined, lon: offset(90, 1000).lng }).length === 1, 'Accepts lon as well as lng');
+
+  // 5 km out, the approach camera's 0-10° band spans roughly 65 ft to 2900 ft
+  const low = service.getCoveringCameras({ ...offset(130, 5000), altitude: 1500 });
+  check(low.length === 1 && low[0].cameraId === 'approach' && low[0].elevationAngle > 0, `Aircraft inside the vertical field of view (${low[0]?.elevationAngle}°)`);
+  check(service.getCoveringCameras({ ...offset(130, 5000), altitude: 6000 }).length === 0, 'Aircraft above the vertical field of view is not covered');
+  check(service.getCoveringCameras(offset(130, 5000)).length === 1, 'Points without altitude only need the horizontal field of view');
+
+  await service.setCamera('wide', { ...CAMERA, name: 'Wide', heading: 90, fov: 120, range: 3000 });
+  const ranked = service.getCoveringCameras(offset(90, 500));
+  check(ranked.length === 2 && ranked[0].cameraId === 'runway-east', `Best view first: ${ranked.map(camera => camera.cameraId).join(', ')}`);
+  await service.removeCamera('wide');
+  check(map.spatialData.size === 2 && !service.getCamera('wide'), 'Removed camera loses its cone');
+
+  // Event positions
+  console.log('\n📍 Event positions...');
+  const aircraftEvent = { type: 'aircraft:emergency', data: { aircraft: { icao24: '4CA2D6', lat: offset(130, 5000).lat, lon: offset(130, 5000).lng, altitude: 1500 } } };
+  check(service.getCamerasForEvent(aircraftEvent)[0]?.cameraId === 'approach', 'Aircraft event matched to the approach camera');
+  const speedEvent = { type: 'speed:violation', data: { detection2: { position: { lat: offset(90, 800).lat, lon: offset(90, 800).lng } } } };
+  check(service.getCamerasForEvent(speedEvent)[0]?.cameraId === 'runway-east', 'Speed violation matched by its second detection');
+  const aprsEvent = { type: 'aprs:position', data: { station: { callsign: 'GM4ABC-9', ...offset(95, 1500) } } };
+  check(service.getCamerasForEvent(aprsEvent)[0]?.cameraId === 'runway-east', 'APRS station matched by its position');
+  check(service.getCamerasForEvent({ type: 'system', data: {} }).length === 0, 'Events without a position match no cameras');
+
+  // Alarm snapshots
+  console.log('\n🚨 Alarm snapshots...');
+  const alarmManager = new AlarmManagerConnector({ id: 'alarm-manager-main', type: 'alarm-manager', config: {} });
+  const telegram = new RecordingTelegram();
+  alarmManager.channels.set('telegram', telegram);
+  alarmManager.setCameraCoverageService(service);
+  const snapshots = [];
+  service.getSnapshot = async (cameraId) => {
+    snapshots.push(cameraId);
+    return Buffer.from('jpeg');
+  };
+
+  const rule = {
+    id: 'emergency-squawk',
+    name: 'Emergency squawk',
+    priority: 'critical',
+    actions: [{ type: 'send_notification', parameters: { channels: ['telegram'], message: '🚨 Squawk 7700' } }]
+  };
+  await alarmManager.processRule(rule, aircraftEvent);
+  const [alarm] = await alarmManager.getActiveAlarms();
+  check(alarm.cameras?.[0]?.cameraId === 'approach', 'Alarm records the covering cameras');
+  check(telegram.sent.length === 1 && telegram.photos.length === 1 && snapshots[0] === 'approach', 'Snapshot from the covering camera sent with the alarm');
+  check(telegram.photos[0].chatId === '-100-ops' && telegram.photos[0].caption.includes('Approach'), `Photo caption: ${telegram.photos[0]?.caption}`);
+
+  await alarmManager.processRule({ ...rule, id: 'system-rule' }, { type: 'system', data: {} });
+  check(telegram.sent.length === 2 && telegram.photos.length === 1, 'No snapshot for alarms without a covered position');
+
+  service.getSnapshot = async () => { throw new Error('camera offline'); };
+  await alarmManager.processRule({ ...rule, id: 'speed-rule' }, speedEvent);
+  check(telegram.sent.length === 3 && telegram.photos.length === 1, 'Snapshot failure does not block the notification');
+
+  // UniFi Protect snapshots: error bodies are not images
+  console.log('\n📸 UniFi Protect snapshots...');
+  const protect = express();
+  protect.get('/proxy/protect/integration/v1/cameras/:id/snapshot', (req, res) => {
+    if (req.params.id === 'forbidden') {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    if (req.params.id === 'json') {
+      return res.json({ error: 'Camera disconnected' });
+    }
+    res.type('image/jpeg').send(Buffer.from([0xff, 0xd8, 0xff, 0xd9]));
+  });
+  const protectServer = await new Promise(resolve => {
+    const listener = protect.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const unifi = new UnifiProtectConnector({
+    id: 'unifi-protect-main',
+    type: 'unifi-protect',
+    config: { host: '127.0.0.1', port: protectServer.address().port, protocol: 'http', apiKey: 'test-key' },
+    logger: quietLogger
+  });
+
+  const jpeg = await unifi.getCameraSnapshot('approach', 'high');
+  check(Buffer.isBuffer(jpeg) && jpeg[0] === 0xff && jpeg.length === 4, 'JPEG snapshot returned as a Buffer');
+  for (const cameraId of ['forbidden', 'json']) {
+    try {
+      await unifi.getCameraSnapshot(cameraId, 'high');
+      check(false, `Snapshot from ${cameraId} camera rejected`);
+    } catch (error) {
+      check(true, `Snapshot from ${cameraId} camera rejected: ${error.message}`);
+    }
+  }
+  protectServer.close();
+
+  // Routes
+  console.log('\n🌐 Routes...');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/cameras', camerasRouter);
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api/cameras`;
+
+  check((await fetch(`${base}/coverage?lat=55.5&lon=-4.5`)).status === 503, 'Coverage unavailable without the service');
+  app.locals.cameraCoverageService = service;
+
+  const fov = await fetch(`${base}/fov`).then(r => r.json());
+  check(fov.success && fov.count === 2 && fov.data.every(camera => camera.cone.length > 0), 'GET /fov lists cameras with cones');
+
+  const point = offset(90, 1000);
+  const covered = await fetch(`${base}/coverage?lat=${point.lat}&lon=${point.lng}`).then(r => r.json());
+  check(covered.success && covered.count === 1 && covered.data[0].cameraId === 'runway-east', 'GET /coverage returns the covering cameras');
+  check((await fetch(`${base}/coverage?lat=abc&lng=1`)).status === 400, 'Bad coordinates rejected with 400');
+
+  const badFov = await fetch(`${base}/locations/runway-east`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...CAMERA, heading: 90, fov: 400 })
+  });
+  check(badFov.status === 400, 'Out-of-range field of view rejected with 400');
+
+  const noHeading = await fetch(`${base}/locations/runway-east`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...CAMERA, fov: 60 })
+  });
+  check(noHeading.status === 400, 'Field of view without a heading rejected with 400');
+
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  console.log('\n✅ Camera coverage test completed');
+}
+
+testCameraCoverage().catch(error => {
+  console.error('❌ Camera coverage test failed:', error);
+  process.exit(1);
+});
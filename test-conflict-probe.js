@@ -0,0 +1,123 @@
+const EventBus = require('./services/eventBus');
+const ConflictProbeService = require('./services/conflictProbeService');
+const RadarConnector = require('./connectors/types/RadarConnector');
+const config = require('./config/config');
+const { check } = require('./test/helpers');
+
+// Degrees per nautical mile around Prestwick
+const LAT = 55.5;
+const NM_LAT = 1 / 60;
+const NM_LON = 1 / (60 * Math.cos(LAT * Math.PI / 180));
+
+/**
+ * Stand-in for the fusion service: a mutable list of aircraft
+ */
+function createTraffic() {
+  const aircraft = new Map();
+  return {
+    aircraft,
+    getAircraft: () => Array.from(aircraft.values()),
+    set: (icao24, fields) => aircraft.set(icao24, { icao24, callsign: icao24, lat: LAT, lon: -4.6, altitude: 3000, speed: 240, track: 90, vertical_rate: 0, last_seen: Date.now(), ...fields })
+  };
+}
+
+async function testConflictProbe() {
+  console.log('🧪 Testing conflict probe...\n');
+
+  const eventBus = new EventBus({ maxEvents: 100 });
+  const published = [];
+  eventBus.subscribe('conflict-probe', event => published.push(event), { name: 'test' });
+
+  const traffic = createTraffic();
+  const probe = new ConflictProbeService(config.conflictProbe);
+  probe.setAircraftFusionService(traffic);
+  probe.setEventBus(eventBus);
+
+  // Head-on at the same level, 10 NM apart, closing at 480 kt
+  console.log('✈️ Head-on pair...');
+  traffic.set('AAA001', { lon: -4.6 });
+  traffic.set('BBB002', { lon: -4.6 + 10 * NM_LON, track: 270 });
+  let conflicts = probe.probe();
+  await eventBus.drainSubscribers();
+
+  check(conflicts.length === 1 && conflicts[0].key === 'AAA001-BBB002', 'Converging pair flagged');
+  check(conflicts[0].severity === 'warning' && conflicts[0].timeToConflict === 40, `Predicted breach of 5 NM in ${conflicts[0].timeToConflict}s`);
+  check(conflicts[0].cpa.lateral < 0.1 && conflicts[0].cpa.time === 75, `Closest approach ${conflicts[0].cpa.lateral} NM at ${conflicts[0].cpa.time}s`);
+  check(published.length === 1 && published[0].type === 'adsb:conflict' && published[0].data.status === 'detected', 'adsb:conflict published');
+
+  probe.probe();
+  await eventBus.drainSubscribers();
+  check(published.length === 1 && probe.conflicts.get('AAA001-BBB002').id === conflicts[0].id, 'Ongoing conflict not republished');
+
+  // Vertically separated
+  console.log('\n↕️ Vertical separation...');
+  traffic.set('BBB002', { lon: -4.6 + 10 * NM_LON, track: 270, altitude: 5000 });
+  conflicts = probe.probe();
+  await eventBus.drainSubscribers();
+  check(conflicts.length === 0, '2000 ft apart is not a conflict');
+  check(published[1].type === 'adsb:conflict:resolved' && published[1].data.status === 'resolved', 'Resolution published as adsb:conflict:resolved');
+
+  // Climbing into conflict
+  traffic.set('BBB002', { lon: -4.6 + 10 * NM_LON, track: 270, altitude: 4500, vertical_rate: -1500 });
+  conflicts = probe.probe();
+  check(conflicts.length === 1 && conflicts[0].timeToConflict === 40, 'Descent through the other level projected');
+
+  // Escalation to loss of separation
+  console.log('\n🚨 Loss of separation...');
+  traffic.set('BBB002', { lon: -4.6 + 2 * NM_LON, track: 270, altitude: 3200 });
+  conflicts = probe.probe();
+  await eventBus.drainSubscribers();
+  const last = published[published.length - 1];
+  check(conflicts[0].lossOfSeparation && conflicts[0].severity === 'critical', `Loss of separation at ${conflicts[0].separation.lateral} NM / ${conflicts[0].separation.vertical} ft`);
+  check(last.data.status === 'escalated' && last.data.aircraftA.icao24 === 'AAA001', 'Escalation published');
+
+  // Airspace specific minima
+  console.log('\n🛬 Airspace minima...');
+  probe.setAirspaceService({
+    getAirspacesAtPosition: (lat, lon) => lon > -4.7 && lon < -4.4 ? [{ id: 'egpk-atz', name: 'Prestwick ATZ', type: 'ATZ' }] : []
+  });
+  traffic.aircraft.clear();
+  // Parallel circuit traffic 2 NM apart: fine in the ATZ, a conflict outside it
+  traffic.set('CCC003', { speed: 100, track: 0 });
+  traffic.set('DDD004', { lon: -4.6 + 2 * NM_LON, speed: 100, track: 0 });
+  conflicts = probe.probe();
+  check(conflicts.length === 0, '2 NM apart is clear of the 1 NM ATZ minimum');
+
+  traffic.set('CCC003', { lon: -5.0, speed: 100, track: 0 });
+  traffic.set('DDD004', { lon: -5.0 + 2 * NM_LON, speed: 100, track: 0 });
+  conflicts = probe.probe();
+  check(conflicts.length === 1 && conflicts[0].minima.lateral === 5 && conflicts[0].minima.airspace === null, 'Same geometry outside the ATZ breaches the 5 NM default');
+
+  traffic.set('CCC003', { speed: 100, track: 0 });
+  traffic.set('DDD004', { lon: -4.6 + 0.5 * NM_LON, speed: 100, track: 0, altitude: 3300 });
+  conflicts = probe.probe();
+  check(conflicts.length === 1 && conflicts[0].minima.airspace.type === 'ATZ' && conflicts[0].minima.vertical === 500, 'ATZ minima applied inside the ATZ');
+
+  // Filtering
+  console.log('\n🧹 Filtering...');
+  traffic.set('DDD004', { lon: -4.6 + 0.5 * NM_LON, altitude: 0, onGround: true });
+  traffic.set('EEE005', { lon: -4.6 + 0.2 * NM_LON, last_seen: Date.now() - 120000 });
+  check(probe.getTraffic().map(ac => ac.icao24).join() === 'CCC003', 'Ground and stale aircraft ignored');
+
+  // Radar highlighting
+  console.log('\n📡 Radar...');
+  traffic.set('DDD004', { lon: -4.6 + 0.5 * NM_LON, speed: 100, track: 0, altitude: 3300 });
+  probe.probe();
+  const radar = new RadarConnector({ id: 'radar-main', type: 'radar', config: {} });
+  radar.initialize({ conflictProbeService: probe });
+  const display = radar.buildDisplay(traffic.getAircraft());
+  const highlighted = display.aircraft.filter(ac => ac.conflict);
+  check(display.conflicts.length === 1 && highlighted.length === 2, 'Radar display carries the conflict and marks both aircraft');
+  check(highlighted.find(ac => ac.icao24 === 'CCC003').conflict.with === 'DDD004', 'Each aircraft points at the other');
+
+  const stats = probe.getStats();
+  console.log(`\n📊 probes=${stats.probes} detected=${stats.detected} escalated=${stats.escalated} resolved=${stats.resolved}`);
+
+  probe.stop();
+  console.log('\n✅ Conflict probe test completed');
+}
+
+testConflictProbe().catch(error => {
+  console.error('❌ Conflict probe test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,114 @@
+const EventBus = require('./services/eventBus');
+const { check } = require('./test/helpers');
+
+async function testSubscriptions() {
+  console.log('🧪 Testing EventBus wildcard subscriptions and back-pressure...\n');
+
+  const eventBus = new EventBus({ maxEvents: 100 });
+  const received = {};
+  const record = name => event => {
+    received[name] = received[name] || [];
+    received[name].push(event.type);
+  };
+
+  eventBus.subscribe('adsb:+', record('single-level'));
+  eventBus.subscribe('notam:#', record('multi-level'));
+  eventBus.subscribe('smartDetect*', record('glob'));
+  eventBus.subscribe({ type: 'speed:alert', source: 'speed-*' }, record('type-and-source'));
+  eventBus.subscribe('aircraft:updated', record('low-aircraft'), {
+    filter: { 'aircraft.altitude': { lt: 1500 }, 'aircraft.callsign': { regex: '^LOG' } }
+  });
+
+  const events = [
+    { type: 'adsb:status', source: 'adsb-main' },
+    { type: 'adsb:aircraft:landing', source: 'adsb-main' },
+    { type: 'notam', source: 'notam-main' },
+    { type: 'notam:new', source: 'notam-main' },
+    { type: 'notam:proximity:alert', source: 'notam-main' },
+    { type: 'smartDetectZone', source: 'unifi-protect-main' },
+    { type: 'smartDetectLine', source: 'unifi-protect-main' },
+    { type: 'speed:alert', source: 'speed-calculation-main' },
+    { type: 'speed:alert', source: 'manual' },
+    { type: 'aircraft:updated', source: 'adsb-main', data: { aircraft: { altitude: 1200, callsign: 'LOG123' } } },
+    { type: 'aircraft:updated', source: 'adsb-main', data: { aircraft: { altitude: 3500, callsign: 'LOG456' } } }
+  ];
+
+  for (const event of events) {
+    await eventBus.publishEvent(event);
+  }
+  await eventBus.drainSubscribers();
+
+  check(JSON.stringify(received['single-level']) === JSON.stringify(['adsb:status']), `adsb:+ matched ${received['single-level']}`);
+  check(received['multi-level'].length === 3, `notam:# matched ${received['multi-level']}`);
+  check(received['glob'].length === 2, `smartDetect* matched ${received['glob']}`);
+  check(received['type-and-source'].length === 1, 'type + source pattern matched only speed-* sources');
+  check(received['low-aircraft'].length === 1, 'data filter matched only the low LOG aircraft');
+
+  // Slow subscriber must not block fast subscribers
+  console.log('\n🐢 Testing slow subscriber isolation...');
+  const fast = [];
+  const slowId = eventBus.subscribe('load:test', () => new Promise(resolve => setTimeout(resolve, 50)), {
+    name: 'slow', queueSize: 5, overflow: 'drop-oldest'
+  });
+  eventBus.subscribe('load:test', event => fast.push(event), { name: 'fast' });
+
+  const startTime = Date.now();
+  for (let i = 0; i < 20; i++) {
+    await eventBus.publishEvent({ type: 'load:test', source: 'test', data: { i } });
+  }
+  const publishDuration = Date.now() - startTime;
+
+  await new Promise(resolve => setTimeout(resolve, 10));
+  check(fast.length === 20, `Fast subscriber received ${fast.length}/20 events`);
+  check(publishDuration < 500, `Publishing 20 events took ${publishDuration}ms despite slow subscriber`);
+
+  await eventBus.drainSubscribers();
+  const slowStats = eventBus.getSubscriberStats().find(s => s.id === slowId);
+  check(slowStats.dropped > 0, `Slow subscriber dropped ${slowStats.dropped} events (queue size 5)`);
+  check(slowStats.delivered + slowStats.dropped === 20, `Slow subscriber delivered ${slowStats.delivered}`);
+
+  // Replays wait for slow subscribers instead of overrunning their queues
+  console.log('\n⏪ Testing replay larger than the subscriber queue...');
+  const replayBus = new EventBus({ maxEvents: 2000 });
+  for (let i = 0; i < 1500; i++) {
+    await replayBus.publishEvent({ type: 'replay:test', source: 'test', data: { i } });
+  }
+  await replayBus.drainSubscribers();
+
+  const replayed = [];
+  const replayId = replayBus.subscribe('replay:test', event => new Promise(resolve => setImmediate(() => {
+    replayed.push(event.data.i);
+    resolve();
+  })), { name: 'replay-slow', queueSize: 10 });
+
+  const replay = await replayBus.replayEvents({ type: 'replay:test', limit: 1500 });
+  const replayStats = replayBus.getSubscriberStats().find(s => s.id === replayId);
+  check(replay.replayed === 1500 && replay.dropped === 0, `Replay reported ${replay.replayed} replayed, ${replay.dropped} dropped`);
+  check(replayed.length === 1500 && replayed.every((value, index) => value === index),
+    `Subscriber with queue size 10 received all ${replayed.length} replayed events in order`);
+  check(replayStats.dropped === 0 && replayStats.delivered === 1500, `Subscriber stats: delivered=${replayStats.delivered} dropped=${replayStats.dropped}`);
+
+  // Lossless subscribers grow their queue rather than dropping live events
+  const lossless = [];
+  replayBus.subscribe('lossless:test', event => new Promise(resolve => setTimeout(() => {
+    lossless.push(event);
+    resolve();
+  }, 1)), { name: 'lossless', queueSize: 5, lossless: true });
+  for (let i = 0; i < 50; i++) {
+    await replayBus.publishEvent({ type: 'lossless:test', source: 'test', data: { i } });
+  }
+  await replayBus.drainSubscribers();
+  check(lossless.length === 50, `Lossless subscriber received ${lossless.length}/50 events with queue size 5`);
+
+  console.log('\n📊 Subscriber stats:');
+  eventBus.getSubscriberStats().forEach(s => {
+    console.log(`   - ${s.name || s.id}: ${s.pattern} delivered=${s.delivered} dropped=${s.dropped} maxQueue=${s.maxQueueLength}`);
+  });
+
+  console.log('\n✅ Subscription test completed');
+}
+
+testSubscriptions().catch(error => {
+  console.error('❌ Subscription test failed:', error);
+  process.exit(1);
+});
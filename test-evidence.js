@@ -0,0 +1,254 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const EvidenceService = require('./services/evidenceService');
+const AlarmManagerConnector = require('./connectors/types/AlarmManagerConnector');
+const UnifiProtectConnector = require('./connectors/types/UnifiProtectConnector');
+const evidenceRouter = require('./routes/evidence');
+const { check, quietLogger } = require('./test/helpers');
+
+/**
+ * UniFi Protect stand-in that records snapshot and clip requests
+ */
+class RecordingProtect {
+  constructor() {
+    this.snapshots = [];
+    this.exports = [];
+    this.offline = new Set();
+  }
+
+  async getCameraSnapshot(cameraId) {
+    if (this.offline.has(cameraId)) throw new Error('camera offline');
+    this.snapshots.push({ cameraId, at: Date.now() });
+    return Buffer.from(`jpeg-${cameraId}-${this.snapshots.length}`);
+  }
+
+  async exportClip({ cameraId, start, end }) {
+    if (this.offline.has(cameraId)) throw new Error('camera offline');
+    this.exports.push({ cameraId, start, end, at: Date.now() });
+    return Buffer.from(`mp4-${cameraId}-${start}-${end}`);
+  }
+}
+
+/**
+ * Telegram stand-in that records messages
+ */
+class RecordingTelegram extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+  }
+
+  async execute(capabilityId, operation, parameters) {
+    this.sent.push(parameters);
+    return { message_id: this.sent.length };
+  }
+}
+
+async function testEvidence() {
+  console.log('🧪 Testing evidence capture...\n');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'evidence-'));
+  const protect = new RecordingProtect();
+  const registry = { getConnector: (id) => (id === 'unifi-protect-main' ? protect : null) };
+  const coverage = {
+    getCamerasForEvent: (event) => (event.data?.aircraft ? [{ cameraId: 'runway', name: 'Runway' }, { cameraId: 'apron', name: 'Apron' }] : [])
+  };
+  const published = [];
+  const eventBus = { publishEvent: async (event) => { published.push(event); } };
+
+  const service = new EvidenceService({ directory, preRoll: 10, postRoll: 0.2, exportDelay: 0 }, quietLogger);
+  service.setConnectorRegistry(registry);
+  service.setCameraCoverageService(coverage);
+  service.setEventBus(eventBus);
+  await service.start();
+
+  // Capture
+  console.log('🎬 Capture...');
+  const started = Date.now();
+  const pending = service.capture({ cameras: [{ cameraId: 'runway', name: 'Runway' }], severity: 'critical', timestamp: started });
+  check(pending.status === 'pending' && service.getStats().pending === 1, 'Capture starts pending');
+  const manifest = await service.waitFor(pending.id);
+  check(manifest.status === 'complete' && manifest.items.length === 4, `Capture complete: ${manifest.items.map(item => item.name).join(', ')}`);
+
+  const [exported] = protect.exports;
+  check(exported.start === started - 10000 && exported.end === started + 200, 'Clip covers the pre/post-roll window');
+  check(exported.at >= exported.end, 'Clip exported after the window closed');
+  const snapshotTimes = protect.snapshots.map(snapshot => snapshot.at - started);
+  check(snapshotTimes.length === 3 && snapshotTimes[2] >= 190, `Snapshot sequence through the post-roll (${snapshotTimes.join(', ')} ms)`);
+
+  const clip = manifest.items.find(item => item.type === 'clip');
+  const expectedHash = require('crypto').createHash('sha256').update(fs.readFileSync(path.join(directory, manifest.id, clip.name))).digest('hex');
+  check(clip.sha256 === expectedHash && clip.contentType === 'video/mp4', 'Files stored with their SHA-256');
+  const stored = JSON.parse(fs.readFileSync(path.join(directory, manifest.id, 'manifest.json'), 'utf8'));
+  check(stored.status === 'complete' && stored.items.length === 4, 'Manifest written beside the files');
+  const days = (Date.parse(manifest.expiresAt) - Date.parse(manifest.createdAt)) / 86400000;
+  check(days === 90, `Critical evidence kept ${days} days`);
+  check(published.some(event => event.type === 'evidence:captured' && event.data.id === manifest.id), 'evidence:captured published');
+
+  const past = await service.waitFor(service.capture({ cameras: [{ cameraId: 'runway' }], timestamp: Date.now() - 3600000 }).id);
+  check(past.items.length === 1 && past.items[0].type === 'clip', 'Past events get a clip but no live snapshots');
+
+  protect.offline.add('apron');
+  const partial = await service.waitFor(service.capture({ cameras: [{ cameraId: 'runway' }, { cameraId: 'apron' }], postRoll: 0 }).id);
+  check(partial.status === 'partial' && partial.errors.some(error => error.cameraId === 'apron'), 'Failing camera leaves a partial capture');
+  protect.offline.delete('apron');
+
+  try {
+    service.capture({ cameras: [] });
+    check(false, 'Capture without cameras rejected');
+  } catch (error) {
+    check(true, `Capture without cameras rejected: ${error.message}`);
+  }
+
+  // Verification and retention
+  console.log('\n🔒 Verification and retention...');
+  check((await service.verify(manifest.id)).valid, 'Untouched evidence verifies');
+  fs.writeFileSync(path.join(directory, manifest.id, clip.name), 'tampered');
+  const tampered = await service.verify(manifest.id);
+  check(!tampered.valid && tampered.items.find(item => item.name === clip.name).valid === false, 'Changed file fails verification');
+
+  await service.setHold(manifest.id, true);
+  const removed = await service.prune(Date.now() + 365 * 86400000);
+  check(removed.length === 2 && service.getEvidence(manifest.id), 'Expired evidence pruned, held evidence kept');
+  check(!fs.existsSync(path.join(directory, past.id)), 'Pruned evidence deleted from disk');
+
+  const reloaded = new EvidenceService({ directory }, quietLogger);
+  await reloaded.loadRecords();
+  check(reloaded.getEvidence(manifest.id)?.hold === true, 'Manifests reloaded from the evidence store');
+
+  // Alarms
+  console.log('\n🚨 Alarms...');
+  const alarmManager = new AlarmManagerConnector({ id: 'alarm-manager-main', type: 'alarm-manager', config: {} });
+  alarmManager.channels.set('telegram', new RecordingTelegram());
+  alarmManager.setEvidenceService(service);
+
+  const rule = {
+    id: 'emergency-squawk',
+    name: 'Emergency squawk',
+    priority: 'high',
+    actions: [{ type: 'send_notification', parameters: { channels: ['telegram'], message: '🚨 Squawk 7700' } }]
+  };
+  const aircraftEvent = { type: 'aircraft:emergency', data: { aircraft: { icao24: '4CA2D6', lat: 55.5, lon: -4.58 } } };
+  const alarm = await alarmManager.processRule(rule, aircraftEvent);
+  check(alarm.evidence?.length === 1 && alarm.evidence[0].url === `/api/evidence/${alarm.evidence[0].id}`, 'Alarm linked to its evidence');
+  const history = await alarmManager.getAlarmHistory();
+  check(history.some(entry => entry.id === alarm.id && entry.evidence), 'Evidence link kept in alarm history');
+  const alarmEvidence = await service.waitFor(alarm.evidence[0].id);
+  check(alarmEvidence.alarmId === alarm.id && alarmEvidence.cameras.length === 2 && alarmEvidence.severity === 'high', 'Evidence from every covering camera');
+
+  const motion = await alarmManager.processRule({ ...rule, id: 'motion' }, { type: 'motion', data: { device: 'gate-cam' } });
+  check(service.getEvidence(motion.evidence[0].id).cameras[0].cameraId === 'gate-cam', 'Camera named in the event is captured');
+
+  const none = await alarmManager.processRule({ ...rule, id: 'system' }, { type: 'system', data: {} });
+  check(!none.evidence, 'No evidence without a relevant camera');
+
+  const actionRule = {
+    ...rule,
+    id: 'evidence-action',
+    actions: [{ type: 'capture_evidence', parameters: { cameraIds: ['apron'], preRoll: 30, postRoll: 0 } }]
+  };
+  const actionAlarm = await alarmManager.processRule(actionRule, aircraftEvent);
+  const actionEvidence = service.getEvidence(actionAlarm.evidence[0].id);
+  check(actionAlarm.evidence.length === 1 && actionEvidence.cameras[0].cameraId === 'apron' && actionEvidence.window.preRoll === 30,
+    'capture_evidence action uses its own cameras and window');
+  await Promise.all(Array.from(service.pending.values()));
+
+  // Routes
+  console.log('\n🌐 Routes...');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/evidence', evidenceRouter);
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api/evidence`;
+  const post = (path, body) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  check((await fetch(base)).status === 503, 'Evidence routes unavailable without the service');
+  app.locals.evidenceService = service;
+
+  const list = await fetch(`${base}?alarmId=${alarm.id}`).then(r => r.json());
+  check(list.success && list.count === 1 && list.data[0].clips === 2, 'GET /api/evidence filters by alarm');
+
+  const file = await fetch(`${base}/${alarm.evidence[0].id}/files/clip-runway.mp4`);
+  const body = Buffer.from(await file.arrayBuffer());
+  check(file.status === 200 && file.headers.get('content-type') === 'video/mp4' &&
+    file.headers.get('x-evidence-sha256') === alarmEvidence.items.find(item => item.name === 'clip-runway.mp4').sha256 &&
+    body.toString().startsWith('mp4-runway'), 'Clip served with its hash');
+  check((await fetch(`${base}/${alarm.evidence[0].id}/files/manifest.json`)).status === 404, 'Only listed files are served');
+  check((await fetch(`${base}/${alarm.evidence[0].id}/files/..%2F..%2Fetc%2Fpasswd`)).status === 404, 'Paths outside the capture rejected');
+
+  const verified = await fetch(`${base}/${alarm.evidence[0].id}/verify`).then(r => r.json());
+  check(verified.success && verified.data.valid, 'GET /:id/verify');
+
+  const manual = await post('', { cameraIds: ['runway'], postRoll: 0, preRoll: 5 });
+  const manualBody = await manual.json();
+  check(manual.status === 202 && manualBody.data.reason === 'manual', 'POST /api/evidence starts a manual capture');
+  await service.waitFor(manualBody.data.id);
+  const traversal = await post('', { cameraIds: ['../../etc/cron.d/x'], postRoll: 0 });
+  check(traversal.status === 400 && /Invalid camera id/.test((await traversal.json()).error) &&
+    !service.listEvidence().some(evidence => evidence.cameras.some(cameraId => cameraId.includes('/'))),
+  'Camera id with a path rejected before anything is written');
+  const covered = await post('', { lat: 55.5, lon: -4.58 });
+  check(covered.status === 400, 'Point with no covering camera rejected');
+  const longRoll = await post('', { cameraIds: ['runway'], postRoll: 1e9 });
+  const farAhead = await post('', { cameraIds: ['runway'], timestamp: new Date(Date.now() + 30 * 86400000).toISOString() });
+  const notNumber = await post('', { cameraIds: ['runway'], preRoll: 'abc' });
+  check(longRoll.status === 400 && farAhead.status === 400 && notNumber.status === 400,
+    `Roll over the maximum, far-future timestamp and non-numeric roll rejected: ${(await longRoll.json()).error}`);
+
+  const { verify, setHold } = service;
+  service.verify = async () => { throw new Error('EIO: i/o error'); };
+  service.setHold = async () => { throw new Error('ENOSPC: no space left on device'); };
+  const failedVerify = await fetch(`${base}/${manifest.id}/verify`);
+  const failedHold = await post(`/${manifest.id}/hold`, { hold: true });
+  service.verify = verify;
+  service.setHold = setHold;
+  check(failedVerify.status === 500 && failedHold.status === 500 && /ENOSPC/.test((await failedHold.json()).error),
+    'Verify and hold failures return 500');
+
+  check((await fetch(`${base}/${manifest.id}`, { method: 'DELETE' })).status === 409, 'Held evidence cannot be deleted');
+  await post(`/${manifest.id}/hold`, { hold: false });
+  check((await fetch(`${base}/${manifest.id}`, { method: 'DELETE' })).status === 200 && !service.getEvidence(manifest.id), 'Released evidence deleted');
+  check((await fetch(`${base}/nope`)).status === 404, 'Unknown evidence returns 404');
+
+  server.close();
+
+  // UniFi Protect export
+  console.log('\n📼 UniFi Protect export...');
+  const unifi = new UnifiProtectConnector({ id: 'unifi-protect-main', type: 'unifi-protect', config: { apiKey: 'test' }, logger: quietLogger });
+  const requests = [];
+  unifi.makeRequest = async (method, url, data, headers, options) => {
+    requests.push({ method, url, headers, options });
+    return new Uint8Array([1, 2, 3]).buffer;
+  };
+  const clipData = await unifi.exportClip({ cameraId: 'cam1', start: 1000, end: 31000 });
+  check(requests[0].url === '/proxy/protect/api/video/export?camera=cam1&start=1000&end=31000' &&
+    requests[0].options.responseType === 'arraybuffer' && Buffer.isBuffer(clipData) && clipData.length === 3, 'exportClip requests the window as MP4');
+  await unifi.downloadRecording({ recordingId: 'rec1' });
+  check(requests.every(request => request.options.validateStatus(200) && !request.options.validateStatus(404) &&
+    request.options.expectContentTypes.includes('video/') && !request.options.expectContentTypes.includes('application/json')),
+  'Clip and recording downloads only accept 2xx video responses');
+  try {
+    await unifi.exportClip({ cameraId: 'cam1', start: 5000, end: 1000 });
+    check(false, 'Reversed window rejected');
+  } catch (error) {
+    check(true, `Reversed window rejected: ${error.message}`);
+  }
+
+  service.stop();
+  fs.rmSync(directory, { recursive: true, force: true });
+  console.log('\n✅ Evidence test completed');
+}
+
+testEvidence().catch(error => {
+  console.error('❌ Evidence test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,222 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const FlightPhaseService = require('./services/flightPhaseService');
+const AircraftDataService = require('./services/aircraftDataService');
+const MovementLogService = require('./services/movementLogService');
+const PrestwickAirportConnector = require('./connectors/types/PrestwickAirportConnector');
+const ADSBConnector = require('./connectors/types/ADSBConnector');
+const { check, quietLogger, tick } = require('./test/helpers');
+
+const EGPK = { icao: 'EGPK', latitude: 55.5094, longitude: -4.5867 };
+const T0 = Date.parse('2025-06-24T12:00:00Z');
+
+/**
+ * Position moved along a heading by a distance in meters
+ */
+function move(position, heading, meters) {
+  const rad = heading * Math.PI / 180;
+  return {
+    latitude: position.latitude + (meters * Math.cos(rad)) / 111320,
+    longitude: position.longitude + (meters * Math.sin(rad)) / (111320 * Math.cos(position.latitude * Math.PI / 180))
+  };
+}
+
+/**
+ * Track of 10 second samples from a start point, one leg per [heading, height, speed]
+ */
+function buildTrack(icao24, start, legs, startTime = T0) {
+  let position = start;
+  return legs.map(([heading, height, speed], i) => {
+    if (i > 0) {
+      position = move(position, heading, speed * 0.514 * 10);
+    }
+    return {
+      icao24,
+      callsign: icao24,
+      latitude: position.latitude,
+      longitude: position.longitude,
+      altitude: height,
+      speed,
+      heading,
+      timestamp: new Date(startTime + i * 10000).toISOString()
+    };
+  });
+}
+
+// Descending on final for runway 30 from 6.5 km out, going around at 460 ft
+function goAroundTrack(icao24, elevation = 0, startTime = T0) {
+  const heights = [1300, 1180, 1060, 940, 820, 700, 580, 460, 660, 860, 1060];
+  return buildTrack(icao24, move(EGPK, 120, 6500), heights.map(height => [300, height + elevation, 125]), startTime);
+}
+
+async function testFlightPhases() {
+  console.log('🧪 Testing flight phase detection...\n');
+
+  const context = { airport: EGPK, fieldElevation: 0, runway: { id: '30', heading: 300 } };
+  const service = new FlightPhaseService({}, quietLogger);
+  const run = (track, extra = {}) => track.flatMap(update => service.update(update, { ...context, ...extra }));
+
+  // Go-around
+  console.log('🔄 Go-around...');
+  const goArounds = run(goAroundTrack('GOA001'));
+  const goAround = goArounds.find(event => event.type === 'go_around');
+  check(goArounds.length === 1 && goAround, `Single go-around detected (${goArounds.map(event => event.type).join(', ')})`);
+  check(goAround.runway === '30' && goAround.details.minimumHeight === 460, `Go-around on runway 30 from ${goAround.details.minimumHeight} ft`);
+  check(goAround.confidence >= 0.8 && goAround.confidence <= 1, `Go-around confidence ${goAround.confidence}`);
+  check(service.getPhase('GOA001').phase === 'climb_out', 'Aircraft in climb-out after the go-around');
+
+  // Touch-and-go followed by a circuit
+  console.log('\n🛬 Touch-and-go and circuit...');
+  const circuitLegs = [
+    [300, 1000, 90], [300, 850, 90], [300, 700, 90], [300, 550, 85], [300, 400, 80], [300, 250, 75], [300, 100, 70],
+    [300, 20, 65], [300, 10, 60], [300, 30, 62],
+    [300, 200, 70], [300, 400, 75], [300, 600, 80], [300, 800, 85],
+    [210, 1000, 90],
+    [120, 1000, 90], [120, 1000, 90], [120, 1000, 90], [120, 1000, 90], [120, 1000, 90], [120, 1000, 90],
+    [30, 900, 85], [30, 750, 85],
+    [300, 600, 80], [300, 450, 75]
+  ];
+  const circuitEvents = run(buildTrack('TNG001', move(EGPK, 120, 3000), circuitLegs));
+  const touchAndGo = circuitEvents.find(event => event.type === 'touch_and_go');
+  check(touchAndGo && touchAndGo.details.groundTime === 30 && touchAndGo.details.minGroundSpeed === 60,
+    `Touch-and-go with ${touchAndGo?.details.groundTime}s on the ground at ${touchAndGo?.details.minGroundSpeed} kts minimum`);
+  check(touchAndGo.confidence === 1, `Touch-and-go confidence ${touchAndGo.confidence}`);
+  const circuit = circuitEvents.find(event => event.type === 'circuit');
+  check(circuit && circuit.details.circuit === 1 && circuit.details.from === 'touch_and_go', 'Circuit detected back on final after the touch-and-go');
+  check(circuit.details.turn >= 270 && circuit.confidence >= 0.7, `Circuit turned ${circuit.details.turn}° (confidence ${circuit.confidence})`);
+  check(!circuitEvents.some(event => event.type === 'go_around'), 'No go-around raised for the circuit');
+
+  // Full-stop landing then departure is not a touch-and-go
+  console.log('\n🛑 Full stop...');
+  const fullStopLegs = [
+    [300, 900, 90], [300, 700, 85], [300, 500, 80], [300, 300, 75], [300, 100, 70], [300, 20, 60], [300, 0, 30], [300, 0, 15]
+  ];
+  const landed = run(buildTrack('FST001', move(EGPK, 120, 2000), fullStopLegs));
+  const departed = run(buildTrack('FST001', EGPK, [[300, 0, 80], [300, 300, 120], [300, 700, 140]], T0 + 600000));
+  check(![...landed, ...departed].some(event => event.type === 'touch_and_go'), 'Full-stop landing and later departure raise no touch-and-go');
+
+  // Holding
+  console.log('\n⭕ Holding...');
+  const holdStart = move(EGPK, 200, 20000);
+  const holdLegs = [];
+  for (let i = 0; i < 14; i++) holdLegs.push([(90 + i * 30) % 360, 5000, 200]);
+  for (let i = 0; i < 50; i++) holdLegs.push([90, 5000, 200]);
+  const holdingEvents = run(buildTrack('HLD001', holdStart, holdLegs), {
+    runway: null,
+    airspaces: [{ name: 'TURNBERRY HOLD', type: 'Holding_Pattern' }]
+  });
+  const entered = holdingEvents.find(event => event.type === 'holding:entered');
+  const exited = holdingEvents.find(event => event.type === 'holding:exited');
+  check(entered && entered.details.fix === 'TURNBERRY HOLD' && entered.confidence === 0.8, `Holding entered at ${entered?.details.fix} (confidence ${entered?.confidence})`);
+  check(exited && Date.parse(exited.timestamp) > Date.parse(entered.timestamp), `Holding exited after ${exited?.details.duration}s`);
+  check(holdingEvents.filter(event => event.type === 'holding:entered').length === 1, 'Holding entered only once');
+
+  const lowLevel = run(buildTrack('HLD002', holdStart, holdLegs.slice(0, 14).map(([heading]) => [heading, 1500, 100])), { runway: null });
+  check(lowLevel.length === 0, 'Turning below the holding level is not a hold');
+  check(service.getStats()['go_around'] === 1 && service.getStats()['touch_and_go'] === 1, 'Stats count detections');
+
+  // Airport connector and movement log
+  console.log('\n🏴 Prestwick connector...');
+  const dbPath = path.join(os.tmpdir(), `babelfish-phases-${process.pid}.db`);
+  const aircraftDataService = new AircraftDataService({ enableBaseStation: false, babelfishPath: dbPath, logLevel: 'warn' });
+  await aircraftDataService.initialize();
+
+  const eventBus = new EventEmitter();
+  const emitted = [];
+  const notifications = [];
+  eventBus.on('prestwick:go_around', event => emitted.push(event));
+  eventBus.on('alarm:notification', notification => notifications.push(notification));
+
+  const prestwick = new PrestwickAirportConnector({ id: 'prestwick-airport-main', type: 'prestwick-airport', config: {}, logger: quietLogger });
+  prestwick.setEventBus(eventBus);
+  prestwick.setupAirportEventListeners();
+
+  const movementLog = new MovementLogService({}, quietLogger);
+  movementLog.setAircraftDataService(aircraftDataService);
+  movementLog.setEventBus(eventBus);
+  await movementLog.initialize();
+  movementLog.attachAirport(prestwick);
+
+  // EGPK is 20 m (66 ft) above sea level
+  for (const update of goAroundTrack('4CA123', 66, Date.now() - 200000)) {
+    await prestwick.handleADSBEvent(update);
+  }
+  await tick();
+  await tick();
+
+  check(emitted.length === 1 && emitted[0].data.runway === '30' && emitted[0].data.confidence >= 0.8, 'prestwick:go_around emitted with runway and confidence');
+  const message = notifications.find(notification => notification.type === 'aircraft:go_around');
+  check(message && message.message.includes('Go-around at Prestwick Airport') && message.message.includes('Confidence'), 'Go-around notification sent to the alarm center');
+  check(prestwick.stats.totalGoArounds === 1 && prestwick.airportService.getStats().totalGoArounds === 1, 'Go-around counted');
+
+  const logged = await movementLog.getMovements({ airport: 'EGPK', type: 'go_around' });
+  check(logged.length === 1 && logged[0].icao24 === '4CA123' && logged[0].runway === '30', 'Go-around written to the movement log');
+
+  const phases = await prestwick.executeCapability('aircraft:tracking', 'get_flight_phases');
+  check(phases.some(phase => phase.icao24 === '4CA123' && phase.phase === 'climb_out'), 'get_flight_phases reports the climb-out');
+
+  // ADSB connector
+  console.log('\n📡 ADSB connector...');
+  const adsb = new ADSBConnector({
+    id: 'adsb-phases',
+    type: 'adsb',
+    config: {
+      enableBaseStationIntegration: false,
+      enableAirspaceAwareness: false,
+      enableAircraftDataService: false,
+      enableSquawkCodeAnalysis: false,
+      enableGroundEventDetection: false
+    },
+    logger: quietLogger
+  });
+  const adsbEvents = [];
+  adsb.on('go_around:detected', event => adsbEvents.push(event));
+
+  const feedADSB = async (update) => {
+    await adsb.processAircraftRecord({
+      hex: update.icao24.toLowerCase(),
+      flight: 'EXS12 ',
+      lat: update.latitude,
+      lon: update.longitude,
+      alt_baro: update.altitude,
+      gs: update.speed,
+      track: update.heading
+    }, Date.parse(update.timestamp));
+  };
+
+  for (const update of goAroundTrack('4CA456', 66)) {
+    await feedADSB(update);
+  }
+  check(adsbEvents.length === 1 && adsbEvents[0].metadata.airport === 'EGPK' && adsbEvents[0].metadata.confidence > 0.5,
+    'ADSB connector raises go_around:detected near EGPK');
+  // Heights from the EGPK profile elevation, not sea level
+  check(adsbEvents[0].metadata.minimumHeight === 460, `ADSB detection measured above the field (${adsbEvents[0].metadata.minimumHeight} ft)`);
+
+  // With the airport connector attached, its detector is the only one at EGPK
+  adsb.attachFlightPhaseSource('EGPK', prestwick.airportService.flightPhases);
+  adsbEvents.length = 0;
+  emitted.length = 0;
+  for (const update of goAroundTrack('4CA789', 66, Date.now() - 200000)) {
+    await feedADSB(update);
+    await prestwick.handleADSBEvent(update);
+  }
+  await tick();
+  check(emitted.length === 1 && adsbEvents.length === 1 && adsbEvents[0].aircraft.icao24 === '4CA789' && adsbEvents[0].metadata.runway === '30',
+    `One go-around at EGPK: prestwick:go_around republished as go_around:detected (${emitted.length}/${adsbEvents.length})`);
+  check(notifications.filter(notification => notification.type === 'aircraft:go_around').length === 2, 'One notification per go-around');
+
+  adsb.detachFlightPhaseSource('EGPK');
+  check(prestwick.airportService.flightPhases.listenerCount('go_around') === 1, 'Detaching removes the ADSB listeners');
+
+  prestwick.airportService.stopNotamMonitoring();
+  await aircraftDataService.close();
+  fs.rmSync(dbPath, { force: true });
+  console.log('\n✅ Flight phase test completed');
+}
+
+testFlightPhases().catch(error => {
+  console.error('❌ Flight phase test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,148 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const express = require('express');
+const AircraftDataService = require('./services/aircraftDataService');
+const MovementLogService = require('./services/movementLogService');
+const { router: prestwickRouter, injectServices } = require('./routes/prestwick');
+const { check, quietLogger, tick } = require('./test/helpers');
+
+async function testMovementLog() {
+  console.log('🧪 Testing airport movement log...\n');
+
+  const dbPath = path.join(os.tmpdir(), `babelfish-movements-${process.pid}.db`);
+  const aircraftDataService = new AircraftDataService({ enableBaseStation: false, babelfishPath: dbPath, logLevel: 'warn' });
+  await aircraftDataService.initialize();
+  // Stand-in for the BaseStation lookup
+  aircraftDataService.getAircraftRegistration = async (icao24) => icao24 === '4CA2D6'
+    ? { registration: 'EI-DWF', icaoTypeCode: 'B738', type: 'Boeing 737-8AS', operatorFlagCode: 'RYR' }
+    : null;
+
+  const eventBus = new EventEmitter();
+  const movementLog = new MovementLogService({}, quietLogger);
+  movementLog.setAircraftDataService(aircraftDataService);
+  movementLog.setEventBus(eventBus);
+  await movementLog.initialize();
+  movementLog.attachAirport({ profile: { icao: 'EGPK', eventPrefix: 'prestwick', timeZone: 'Europe/London' } });
+
+  // Recording
+  console.log('📝 Recording...');
+  eventBus.emit('prestwick:landing', {
+    type: 'landing',
+    data: { icao24: '4ca2d6', callsign: 'RYR82AB ', runway: '30', altitude: 200, speed: 130 },
+    timestamp: '2025-06-24T23:30:00Z'
+  });
+  await tick();
+  await tick();
+  let movements = await movementLog.getMovements({ airport: 'EGPK' });
+  check(movements.length === 1 && movements[0].registration === 'EI-DWF' && movements[0].aircraftType === 'B738',
+    'Landing event logged with the BaseStation registration and type');
+  check(movements[0].callsign === 'RYR82AB' && movements[0].runway === '30', 'Callsign trimmed and runway kept');
+
+  const duplicate = await movementLog.recordMovement('EGPK', 'landing', { icao24: '4CA2D6' }, '2025-06-24T23:32:00Z');
+  check(duplicate === null, 'Repeat landing within the dedupe window ignored');
+
+  await movementLog.recordMovement('EGPK', 'takeoff', { icao24: '4CA2D6', callsign: 'RYR83AB', runway: '30' }, '2025-06-25T00:40:00Z');
+  await movementLog.recordMovement('EGPK', 'go_around', { icao24: '406B90', callsign: 'EXS45M', runway: '30' }, '2025-06-25T08:10:00Z');
+  await movementLog.recordMovement('EGPK', 'touch_and_go', { icao24: '400A11', callsign: 'GBXYZ', runway: '12' }, '2025-06-25T08:20:00Z');
+  await movementLog.recordMovement('EGPK', 'landing', { icao24: '406B90', callsign: 'EXS45M', runway: '12' }, '2025-06-25T08:45:00Z');
+  await movementLog.recordMovement('EGPF', 'landing', { icao24: '4CA999', runway: '23' }, '2025-06-25T09:00:00Z');
+
+  // A failed insert must not leave the movement marked as recorded
+  const runQuery = aircraftDataService.runQuery;
+  aircraftDataService.runQuery = async () => { throw new Error('database is locked'); };
+  try {
+    await movementLog.recordMovement('EGPH', 'landing', { icao24: '4CA777' }, '2025-06-25T10:00:00Z');
+    check(false, 'Failed insert rejected');
+  } catch (error) {
+    check(/locked/.test(error.message), 'Failed insert rejected');
+  } finally {
+    aircraftDataService.runQuery = runQuery;
+  }
+  const retried = await movementLog.recordMovement('EGPH', 'landing', { icao24: '4CA777' }, '2025-06-25T10:00:05Z');
+  check(retried && retried.id, 'Movement recorded on retry after a failed insert');
+
+  try {
+    await movementLog.recordMovement('EGPK', 'crash', { icao24: '4CA2D6' });
+    check(false, 'Unknown movement type rejected');
+  } catch (error) {
+    check(true, `Unknown movement type rejected: ${error.message}`);
+  }
+
+  // Reports
+  console.log('\n📊 Reports...');
+  const daily = await movementLog.getDailyReport('EGPK', '2025-06-25');
+  // 23:30Z on the 24th is 00:30 BST on the 25th
+  check(daily.total === 5 && daily.byType.landing === 2 && daily.byType.go_around === 1 && daily.byType.touch_and_go === 1,
+    `Daily report groups by local day (${daily.total} movements)`);
+  check(daily.busiestHour.hour === 9 && daily.busiestHour.movements === 3, `Busiest local hour ${daily.busiestHour.hour}:00`);
+  check(daily.byRunway['30'] === 3 && daily.byRunway['12'] === 2, 'Totals by runway');
+  check(daily.runwaysInUse.length === 2 && daily.runwaysInUse[0].runway === '30' && daily.runwaysInUse[1].runway === '12',
+    'Runway change from 30 to 12 recorded');
+
+  const monthly = await movementLog.getMonthlyReport('EGPK', '2025-06');
+  check(monthly.total === 5 && monthly.byDay['2025-06-25'] === 5 && monthly.busiestDay.date === '2025-06-25', 'Monthly report totals by day');
+
+  // Reports read every movement, not just the first maxResults rows
+  const paged = new MovementLogService({ maxResults: 2 }, quietLogger);
+  paged.setAircraftDataService(aircraftDataService);
+  await paged.initialize();
+  const pagedMonthly = await paged.getMonthlyReport('EGPK', '2025-06');
+  const pagedBusiest = await paged.getBusiestHours('EGPK', '2025-06-24T00:00:00Z', '2025-06-26T00:00:00Z');
+  check(pagedMonthly.total === 5 && pagedBusiest.total === 5, `Reports page past maxResults (${pagedMonthly.total} movements)`);
+  check((await paged.getMovements({ airport: 'EGPK' })).length === 2, 'Listing still capped at maxResults');
+
+  const busiest = await movementLog.getBusiestHours('EGPK', '2025-06-24T00:00:00Z', '2025-06-26T00:00:00Z');
+  check(busiest.byHourOfDay[0].hour === 9 && busiest.busiestSlots[0].slot === '2025-06-25 09:00', 'Busiest hours ranked');
+
+  const printable = movementLog.toPrintable(daily);
+  check(printable.title === 'EGPK Daily Movements Report' && printable.tables.some(table => table.title === 'Movement Log' && table.rows.length === 5),
+    'PDF-ready report has a title and the movement log table');
+
+  const csv = movementLog.toCSV(movements);
+  check(csv.split('\n')[0].startsWith('"Time","Airport","Movement"') && csv.includes('"EI-DWF"'), 'CSV has headers and rows');
+
+  // Routes
+  console.log('\n🌐 Routes...');
+  injectServices({ connectorRegistry: { getConnector: () => null }, eventBus, movementLogService: movementLog });
+  const app = express();
+  app.use('/api/prestwick', prestwickRouter);
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api/prestwick`;
+
+  const list = await fetch(`${base}/movements?from=2025-06-24T00:00:00Z&to=2025-06-26T00:00:00Z&type=landing`).then(r => r.json());
+  check(list.success && list.data.count === 2, 'GET /movements filters by type');
+
+  const other = await fetch(`${base}/movements?airport=egpf&from=2025-06-24T00:00:00Z&to=2025-06-26T00:00:00Z`).then(r => r.json());
+  check(other.data.count === 1 && other.data.movements[0].runway === '23', 'GET /movements?airport=EGPF');
+
+  const csvResponse = await fetch(`${base}/movements/reports/daily?date=2025-06-25&format=csv`);
+  const csvBody = await csvResponse.text();
+  check(csvResponse.headers.get('content-type').includes('text/csv') && csvBody.split('\n').length === 6, 'Daily report as CSV');
+
+  const pdf = await fetch(`${base}/movements/reports/monthly?month=2025-06&format=pdf`).then(r => r.json());
+  check(pdf.success && pdf.data.title === 'EGPK Monthly Movements Report', 'Monthly report as PDF-ready JSON');
+
+  const runways = await fetch(`${base}/movements/runways?from=2025-06-24T00:00:00Z&to=2025-06-26T00:00:00Z`).then(r => r.json());
+  check(runways.data.periods.length === 2, 'GET /movements/runways');
+
+  const bad = await fetch(`${base}/movements/reports/daily?date=25-06-2025`);
+  check(bad.status === 400, 'Bad date rejected with 400');
+
+  const badRunways = await fetch(`${base}/movements/runways?from=yesterday`);
+  const badBusiest = await fetch(`${base}/movements/busiest?to=soon`);
+  check(badRunways.status === 400 && badBusiest.status === 400, 'Bad from/to on /runways and /busiest rejected with 400');
+
+  server.close();
+  await aircraftDataService.close();
+  fs.rmSync(dbPath, { force: true });
+  console.log('\n✅ Movement log test completed');
+}
+
+testMovementLog().catch(error => {
+  console.error('❌ Movement log test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+const NOTAMConnector = require('./connectors/types/NOTAMConnector');
+const RadarConnector = require('./connectors/types/RadarConnector');
+const NOTAMParser = require('./services/notamParser');
+const { check } = require('./test/helpers');
+
+const near = (a, b, tolerance = 0.001) => Math.abs(a - b) < tolerance;
+
+// PIB extract in the layout of the UK NOTAM archive feed
+const PIB = `<?xml version="1.0" encoding="UTF-8"?>
+<PIB>
+  <NotamList>
+    <Notam>
+      <Series>H</Series><Number>2871</Number><Year>26</Year><Type>N</Type>
+      <QLine><FIR>EGPX</FIR><Code23>WU</Code23><Code45>LW</Code45><Traffic>IV</Traffic><Purpose>BO</Purpose><Scope>W</Scope><Lower>000</Lower><Upper>004</Upper></QLine>
+      <Coordinates>5530N00436W</Coordinates><Radius>002</Radius>
+      <ItemA>EGPX</ItemA>
+      <StartValidity>0106260800</StartValidity><EndValidity>3006261700</EndValidity>
+      <ItemD>DAILY 0800-1700</ItemD>
+      <ItemE>UNMANNED AIRCRAFT WILL TAKE PLACE WI 1NM RADIUS OF 553012N 0043618W (TROON).</ItemE>
+      <ItemF>SFC</ItemF><ItemG>400FT AGL</ItemG>
+    </Notam>
+    <Notam>
+      <Series>H</Series><Number>2902</Number><Year>26</Year><Type>N</Type>
+      <QLine><FIR>EGPX</FIR><Code23>RT</Code23><Code45>CA</Code45><Traffic>IV</Traffic><Purpose>BO</Purpose><Scope>W</Scope><Lower>000</Lower><Upper>065</Upper></QLine>
+      <Coordinates>5529N00434W</Coordinates><Radius>005</Radius>
+      <StartValidity>0106260000</StartValidity><EndValidity>3006262359</EndValidity>
+      <ItemD>MON-FRI 0900-1200 1400-1600</ItemD>
+      <ItemE>TEMPORARY RESTRICTED AREA ACTIVE WI AREA 553000N 0043800W - 553000N 0043000W - 552600N 0043000W - 552600N 0043800W - 553000N 0043800W.</ItemE>
+      <ItemF>SFC</ItemF><ItemG>FL065</ItemG>
+    </Notam>
+    <Notam>
+      <Series>H</Series><Number>2950</Number><Year>26</Year><Type>N</Type>
+      <QLine><FIR>EGPX</FIR><Code23>MR</Code23><Code45>LC</Code45><Traffic>IV</Traffic><Purpose>NBO</Purpose><Scope>A</Scope><Lower>000</Lower><Upper>999</Upper></QLine>
+      <Coordinates>5530N00435W</Coordinates><Radius>005</Radius>
+      <ItemA>EGPK</ItemA>
+      <StartValidity>0106260000</StartValidity><EndValidity>0206260000</EndValidity>
+      <ItemD>SR-SS</ItemD>
+      <ItemE>RWY 12/30 CLOSED.</ItemE>
+    </Notam>
+  </NotamList>
+</PIB>`;
+
+function testParser() {
+  console.log('🔍 Q-line, item E and schedules...');
+
+  const qLine = NOTAMParser.parseQLine('Q) EGTT/QWULW/IV/M/W/000/020/5130N00010W002');
+  check(qLine.fir === 'EGTT' && qLine.subject.name === 'Unmanned aircraft' && qLine.subject.group === 'Navigation warnings' &&
+    qLine.condition.name === 'Will take place', 'Q-code subject and condition decoded');
+  check(qLine.traffic.join() === 'IFR,VFR' && qLine.purpose.join() === 'miscellaneous' && qLine.scope.join() === 'navigation warning',
+    'Traffic, purpose and scope decoded');
+  check(qLine.lowerFt === 0 && qLine.upperFt === 2000 && near(qLine.center.lat, 51.5) && near(qLine.center.lon, -0.166667) &&
+    qLine.radiusNm === 2, 'Vertical limits, centre and radius');
+  check(NOTAMParser.parseQLine('EGTT/QRTCA/IV/BO/W/000/999/5130N00010W999').upperFt === NOTAMParser.UNLIMITED_FT &&
+    NOTAMParser.parseQLine('not a q-line') === null, 'Unlimited upper limit and invalid Q-lines');
+
+  const circle = NOTAMParser.parseItemE('BALLOON ASCENT WI 500M RADIUS CENTRED ON 515013N 0010508W');
+  check(circle.type === 'circle' && near(circle.radiusNm, 0.27, 0.01) && near(circle.center.lat, 51.836944) &&
+    near(circle.center.lon, -1.085556), 'Circle in item E with metres converted to NM');
+
+  const polygon = NOTAMParser.parseItemE('AREA 553000N 0043800W - 553000N 0043000W - 552600N 0043000W - 553000N 0043800W');
+  check(polygon.type === 'polygon' && polygon.points.length === 3, 'Polygon in item E, closing point dropped');
+  check(NOTAMParser.parseItemE('OBST CRANE 553000N 0043800W 250FT AMSL') === null, 'Single coordinate is not an area');
+
+  const limits = ['SFC', '2000FT AMSL', 'FL195', '300M AGL', 'UNL'].map(text => NOTAMParser.parseAltitude(text));
+  check(limits.map(limit => `${limit.ft}/${limit.reference}`).join() === '0/SFC,2000/AMSL,19500/FL,984/AGL,99900/UNL',
+    'Item F/G limits keep their reference');
+
+  const daily = NOTAMParser.parseSchedule('DAILY 0800-1700', '2026-06-01T08:00:00Z', '2026-06-03T12:00:00Z');
+  check(daily.parsed && daily.periods.length === 3 && daily.periods[0].start === '2026-06-01T08:00:00.000Z' &&
+    daily.periods[2].end === '2026-06-03T12:00:00.000Z', 'DAILY expanded and clipped to the validity period');
+
+  const weekdays = NOTAMParser.parseSchedule('MON-FRI 0900-1200 1400-1600, SAT 1000-1100', '2026-06-05T00:00:00Z', '2026-06-08T00:00:00Z');
+  check(weekdays.periods.map(period => period.start.substring(5, 16)).join() === '06-05T09:00,06-05T14:00,06-06T10:00',
+    'Weekday ranges with several windows');
+
+  const night = NOTAMParser.parseSchedule('JUN 02 04 2200-0600', '2026-06-01T00:00:00Z', '2026-06-10T00:00:00Z');
+  check(night.periods.length === 2 && night.periods[0].start === '2026-06-02T22:00:00.000Z' &&
+    night.periods[0].end === '2026-06-03T06:00:00.000Z', 'Dates with an overnight window');
+
+  const overnight = NOTAMParser.parseSchedule('2200-0600', '2026-06-01T00:00:00Z', '2026-06-03T00:00:00Z');
+  check(overnight.periods.length === 2 && overnight.periods[0].start === '2026-06-01T22:00:00.000Z',
+    'Overnight window does not spill into the start of validity');
+
+  const unknown = NOTAMParser.parseSchedule('SR-SS', '2026-06-01T00:00:00Z', '2026-06-02T00:00:00Z');
+  check(!unknown.parsed && unknown.periods === null && NOTAMParser.isActiveAt({ startTime: '2026-06-01T00:00:00Z', activePeriods: null }, '2026-06-01T03:00:00Z'),
+    'Unparsed schedules leave the NOTAM active for its whole validity');
+}
+
+async function testConnector() {
+  console.log('\n📋 NOTAM connector...');
+
+  const connector = new NOTAMConnector({ id: 'notam-test', type: 'notam', config: {} });
+  const parsed = await connector.xmlParser.parseStringPromise(PIB);
+  const notams = connector.extractNOTAMs(parsed);
+  for (const notam of notams) {
+    await connector.processNOTAM(notam);
+  }
+
+  const drone = notams.find(notam => notam.qLine && notam.qLine.code === 'QWULW');
+  const restricted = notams.find(notam => notam.qLine && notam.qLine.code === 'QRTCA');
+  const runway = notams.find(notam => notam.qLine && notam.qLine.code === 'QMRLC');
+
+  check(notams.length === 3 && drone && restricted && runway, 'Q-lines decoded from uppercased XML fields');
+  check(drone.volume.type === 'circle' && drone.volume.source === 'item-e' && drone.volume.radiusNm === 1 &&
+    drone.volume.lowerFt === 0 && drone.volume.upperFt === 400 && drone.volume.upperReference === 'AGL', 'Item E circle with item F/G limits');
+  check(restricted.volume.type === 'polygon' && restricted.volume.upperFt === 6500 && restricted.geometry.type === 'Polygon' &&
+    restricted.geometry.coordinates[0].length === 5, 'Item E polygon as radar geometry');
+  check(runway.volume.source === 'q-line' && runway.volume.radiusNm === 5 && runway.affectedArea === 'EGPK' &&
+    drone.affectedArea === 'EGPX', 'Q-line circle fallback and affected area from item A or FIR');
+  check(drone.startTime === '2026-06-01T08:00:00Z' && drone.activePeriods.length === 30 && runway.activePeriods === null,
+    'Validity with leading zero and D-field periods');
+
+  // Inside the drone circle at 300ft, 10:00 on a weekday
+  const inDrone = { lat: 55.495, lon: -4.605, altitude: 300 };
+  const morning = '2026-06-03T10:00:00Z';
+  const evening = '2026-06-03T19:00:00Z';
+
+  let nearby = connector.checkProximity({ aircraftPosition: inDrone, radius: 0, at: morning });
+  check(nearby.some(notam => notam.id === drone.id && notam.inside), 'Aircraft inside the drone volume');
+
+  nearby = connector.checkProximity({ aircraftPosition: { ...inDrone, altitude: 3000 }, radius: 0, at: morning });
+  check(!nearby.some(notam => notam.id === drone.id) && nearby.some(notam => notam.id === restricted.id),
+    'Above the drone ceiling but inside the restricted area');
+
+  nearby = connector.checkProximity({ aircraftPosition: inDrone, radius: 10, at: evening });
+  check(!nearby.some(notam => notam.id === drone.id || notam.id === restricted.id), 'Scheduled NOTAMs ignored outside their periods');
+
+  nearby = connector.checkProximity({ aircraftPosition: { lat: 55.40, lon: -4.6, altitude: 1000 }, radius: 10, at: '2026-06-03T10:30:00Z' });
+  const edge = nearby.find(notam => notam.id === restricted.id);
+  check(edge && !edge.inside && near(edge.distance, 3.71, 0.05), `Distance measured to the volume edge (${edge && edge.distance}km)`);
+
+  check(connector.getNOTAMs({ activeAt: '2026-06-06T10:00:00Z' }).map(notam => notam.id).join() === drone.id,
+    'getNOTAMs activeAt honours weekday schedules');
+  check(connector.getNOTAMs({ lat: 55.47, lon: -4.57, altitude: 5000 }).map(notam => notam.id).join() === [restricted.id, runway.id].join(),
+    'getNOTAMs by position and altitude');
+
+  const feature = connector.convertToGeospatial(restricted);
+  check(feature.geometry.type === 'Polygon' && feature.properties.qCode === 'QRTCA' && feature.properties.upperFt === 6500,
+    'GeoJSON feature with the real area');
+
+  console.log('\n📡 Radar playback...');
+  const radar = new RadarConnector({ id: 'radar-test', type: 'radar', config: { showNotams: true } });
+  radar.updateNotamData(notams);
+  check(radar.isNotamActiveAt(restricted, Date.parse('2026-06-03T15:00:00Z')) &&
+    !radar.isNotamActiveAt(restricted, Date.parse('2026-06-03T13:00:00Z')), 'Radar respects scheduled periods');
+  check(radar.getNotamData({ bounds: { north: 55.6, south: 55.4, east: -4.5, west: -4.7 } }).count === 3,
+    'Radar bounds filter uses NOTAM volumes');
+}
+
+async function testNOTAMGeometry() {
+  console.log('🧪 Testing NOTAM geometry...\n');
+  testParser();
+  await testConnector();
+  console.log('\n✅ NOTAM geometry test completed');
+}
+
+testNOTAMGeometry().catch(error => {
+  console.error('❌ NOTAM geometry test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,150 @@
+const EventBus = require('./services/eventBus');
+const NOTAMInfringementService = require('./services/notamInfringementService');
+const NOTAMConnector = require('./connectors/types/NOTAMConnector');
+const RadarConnector = require('./connectors/types/RadarConnector');
+const config = require('./config/config');
+const { check } = require('./test/helpers');
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Stand-in for the fusion service: a mutable list of aircraft
+ */
+function createTraffic() {
+  const aircraft = new Map();
+  return {
+    aircraft,
+    getAircraft: () => Array.from(aircraft.values()),
+    set: (icao24, fields) => aircraft.set(icao24, { icao24, callsign: icao24, lat: 55.5, lon: -4.6, altitude: 3000, speed: 120, track: 90, last_seen: Date.now(), ...fields })
+  };
+}
+
+/**
+ * NOTAM element as the lenient XML parser hands it over (uppercased tags)
+ */
+function element(number, code, fields) {
+  return {
+    SERIES: 'H', NUMBER: number, YEAR: 26, TYPE: 'N',
+    QLINE: { FIR: 'EGPX', CODE23: code.substring(1, 3), CODE45: code.substring(3, 5), TRAFFIC: 'IV', PURPOSE: 'BO', SCOPE: 'W', LOWER: 0, UPPER: 999 },
+    startTime: new Date(Date.now() - 3600000).toISOString(),
+    endTime: new Date(Date.now() + 86400000).toISOString(),
+    ...fields
+  };
+}
+
+async function testNOTAMInfringement() {
+  console.log('🧪 Testing NOTAM infringement checks...\n');
+
+  const notamConnector = new NOTAMConnector({ id: 'notam-main', type: 'notam', config: {} });
+  const later = (new Date().getUTCHours() + 2) % 24;
+  const elements = [
+    element(3001, 'QWULW', {
+      COORDINATES: '5530N00436W', RADIUS: 2, ITEMF: 'SFC', ITEMG: '400FT AGL',
+      ITEME: 'UNMANNED AIRCRAFT WI 1NM RADIUS OF 553012N 0043618W'
+    }),
+    element(3002, 'QRTCA', {
+      COORDINATES: '5545N00450W', RADIUS: 5, ITEMF: 'SFC', ITEMG: '2000FT AMSL', ITEMD: 'H24',
+      ITEME: 'TEMPORARY RESTRICTED AREA 554800N 0045500W - 554800N 0044500W - 554200N 0044500W - 554200N 0045500W'
+    }),
+    element(3003, 'QWPLW', {
+      COORDINATES: '5520N00430W', RADIUS: 3, ITEMF: 'SFC', ITEMG: 'FL065', ITEMD: `DAILY ${pad(later)}00-${pad((later + 1) % 24)}00`,
+      ITEME: 'PJE WI 2NM RADIUS OF 552000N 0043000W'
+    }),
+    element(3004, 'QMRLC', { COORDINATES: '5530N00435W', RADIUS: 5, ITEME: 'RWY 12/30 CLOSED' }),
+    element(3005, 'QRDCA', { COORDINATES: '5600N00400W', RADIUS: 999, ITEME: 'DANGER AREA ACTIVITY WITHIN SCOTTISH FIR' })
+  ];
+  for (const notam of elements.map(entry => notamConnector.parseNOTAMElement(entry))) {
+    await notamConnector.processNOTAM(notam);
+  }
+
+  const eventBus = new EventBus({ maxEvents: 100 });
+  const published = [];
+  eventBus.subscribe('notam-infringement', event => published.push(event), { name: 'test' });
+
+  const radar = new RadarConnector({ id: 'radar-main', type: 'radar', config: { showNotams: true } });
+  const traffic = createTraffic();
+  const service = new NOTAMInfringementService(config.notamInfringement);
+  service.setAircraftFusionService(traffic);
+  service.setNOTAMConnector(notamConnector);
+  service.setRadarConnector(radar);
+  service.setEventBus(eventBus);
+  radar.initialize({ notamInfringementService: service });
+
+  console.log('🚁 Drone volume...');
+  traffic.set('DRN001', { lat: 55.495, lon: -4.605, altitude: 300 });
+  traffic.set('HIGH01', { lat: 55.495, lon: -4.605, altitude: 3000 });
+  let infringements = service.probe();
+  await eventBus.drainSubscribers();
+
+  const drone = infringements.find(entry => entry.aircraft.icao24 === 'DRN001');
+  check(infringements.length === 1 && drone && drone.notamNumber === 'H3001/26N' && drone.subject === 'Unmanned aircraft',
+    'Aircraft inside the drone volume flagged, aircraft above it not');
+  check(drone.penetration.verticalFt === 100 && drone.penetration.lateralNm > 0.4 && drone.penetration.lateralNm < 0.6,
+    `Penetration ${drone.penetration.lateralNm} NM / ${drone.penetration.verticalFt} ft`);
+  check(published.length === 1 && published[0].type === 'notam:infringement' && published[0].data.status === 'detected' &&
+    published[0].data.aircraft.callsign === 'DRN001', 'notam:infringement published with the aircraft');
+
+  traffic.set('DRN001', { lat: 55.5033, lon: -4.605, altitude: 200 });
+  infringements = service.probe();
+  await eventBus.drainSubscribers();
+  const deeper = service.getInfringementsFor('DRN001')[0];
+  check(published.length === 1 && deeper.id === drone.id && deeper.maxPenetration.verticalFt === 200 && deeper.maxPenetration.lateralNm > 0.9,
+    'Ongoing infringement not republished, deepest penetration kept');
+
+  const elevated = createTraffic();
+  elevated.set('DRN002', { lat: 55.495, lon: -4.605, altitude: 430 });
+  const aboveGround = new NOTAMInfringementService({ ...config.notamInfringement, groundElevationFt: 65, highlight: false });
+  aboveGround.setAircraftFusionService(elevated);
+  aboveGround.setNOTAMConnector(notamConnector);
+  const agl = aboveGround.probe();
+  check(service.getInfringementsFor('DRN001')[0].limits.upperReference === 'AGL' && agl.length === 1 &&
+    agl[0].penetration.verticalFt === 35 && !service.probe().some(entry => entry.aircraft.icao24 === 'DRN002'),
+  '400 ft AGL ceiling raised by the ground elevation');
+
+  console.log('\n📡 Radar highlighting...');
+  const display = radar.buildDisplay(traffic.getAircraft());
+  check(display.aircraft.find(ac => ac.icao24 === 'DRN001').highlighted && !display.aircraft.find(ac => ac.icao24 === 'HIGH01').highlighted,
+    'Offending track highlighted');
+  check(radar.notamData.get(drone.notamId)?.highlighted === true, 'Offending NOTAM handed to the radar and highlighted');
+
+  console.log('\n🚫 Restricted area, schedules and subjects...');
+  traffic.set('RST001', { lat: 55.75, lon: -4.8, altitude: 1500 });
+  traffic.set('PJE001', { lat: 55.333, lon: -4.5, altitude: 3000 });
+  traffic.set('RWY001', { lat: 55.51, lon: -4.59, altitude: 1000 });
+  infringements = service.probe();
+  const restricted = service.getInfringementsFor('RST001')[0];
+  check(restricted && restricted.qCode === 'QRTCA' && restricted.penetration.verticalFt === 500 && restricted.limits.upperFt === 2000,
+    'Restricted area infringement 500 ft below its ceiling');
+  check(service.getInfringementsFor('PJE001').length === 0, 'Parachuting NOTAM ignored outside its scheduled window');
+  check(service.getInfringementsFor('RWY001').length === 0, 'Runway closure is not an airspace volume');
+  check(service.getInfringementsFor('HIGH01').length === 0 && !service.getActiveNOTAMs().some(notam => notam.notamNumber === 'H3005/26N'),
+    'FIR-wide Q-line radius is not checked as a volume');
+
+  const halfway = new Date();
+  halfway.setUTCHours(halfway.getUTCHours() + 2, 30, 0, 0);
+  const inWindow = service.getActiveNOTAMs(halfway.getTime());
+  check(inWindow.some(notam => notam.notamNumber === 'H3003/26N'), 'Parachuting NOTAM checked inside its window');
+
+  console.log('\n✅ Resolution...');
+  traffic.set('DRN001', { lat: 55.5033, lon: -4.605, altitude: 600 });
+  traffic.set('RST001', { lat: 55.75, lon: -4.8, altitude: 0, onGround: true });
+  traffic.aircraft.delete('PJE001');
+  service.probe();
+  await eventBus.drainSubscribers();
+  const resolved = published.filter(event => event.type === 'notam:infringement:resolved');
+  check(service.getInfringements().length === 0 && resolved.some(event => event.data.aircraft.icao24 === 'DRN001'),
+    'Climbing out resolves the infringement');
+  check(!radar.buildDisplay(traffic.getAircraft()).aircraft.some(ac => ac.highlighted) && !radar.notamData.get(drone.notamId).highlighted,
+    'Highlights cleared');
+
+  const stats = service.getStats();
+  check(stats.detected === 2 && stats.resolved === 2, `📊 probes=${stats.probes} detected=${stats.detected} resolved=${stats.resolved}`);
+
+  service.stop();
+  console.log('\n✅ NOTAM infringement test completed');
+}
+
+testNOTAMInfringement().catch(error => {
+  console.error('❌ NOTAM infringement test failed:', error);
+  process.exit(1);
+});
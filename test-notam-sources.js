@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NOTAMConnector = require('./connectors/types/NOTAMConnector');
+const { ICAOTextSource, createNOTAMSource, detectFormat } = require('./services/notamSources');
+const { check } = require('./test/helpers');
+
+const PIB = `<?xml version="1.0" encoding="UTF-8"?>
+<PIB>
+  <NotamList>
+    <Notam>
+      <Series>H</Series><Number>2871</Number><Year>26</Year><Type>N</Type>
+      <QLine><FIR>EGPX</FIR><Code23>WU</Code23><Code45>LW</Code45><Traffic>IV</Traffic><Purpose>BO</Purpose><Scope>W</Scope><Lower>000</Lower><Upper>004</Upper></QLine>
+      <Coordinates>5530N00436W</Coordinates><Radius>002</Radius>
+      <StartValidity>0106260800</StartValidity><EndValidity>3006261700</EndValidity>
+      <ItemE>UNMANNED AIRCRAFT WILL TAKE PLACE WI 1NM RADIUS OF 553012N 0043618W (TROON).</ItemE>
+      <ItemF>SFC</ItemF><ItemG>400FT AGL</ItemG>
+    </Notam>
+    <Notam>
+      <Series>H</Series><Number>0042</Number><Year>26</Year><Type>N</Type>
+      <QLine><FIR>EGPX</FIR><Code23>RT</Code23><Code45>CA</Code45><Traffic>IV</Traffic><Purpose>BO</Purpose><Scope>W</Scope><Lower>000</Lower><Upper>065</Upper></QLine>
+      <Coordinates>5529N00434W</Coordinates><Radius>005</Radius>
+      <StartValidity>0106260000</StartValidity><EndValidity>3006262359</EndValidity>
+      <ItemE>TEMPORARY RESTRICTED AREA ACTIVE WI 2NM RADIUS OF 552900N 0043400W.</ItemE>
+      <ItemF>SFC</ItemF><ItemG>FL065</ItemG>
+    </Notam>
+  </NotamList>
+</PIB>`;
+
+const TEXT = `(H2871/26 NOTAMN
+Q) EGPX/QWULW/IV/BO/W/000/004/5530N00436W002
+A) EGPX B) 2606010800 C) 2606301700
+E) UNMANNED AIRCRAFT WILL TAKE PLACE WI 1NM RADIUS OF 553012N 0043618W (TROON).
+F) SFC G) 400FT AGL)
+
+(H3100/26 NOTAMR H42/26
+Q) EGPX/QRTCA/IV/BO/W/000/045/5529N00434W005
+A) EGPX B) 2606050000 C) 2606302359 EST
+D) MON-FRI 0900-1700
+E) TEMPORARY RESTRICTED AREA ACTIVE WI 2NM RADIUS OF 552900N 0043400W.
+F) SFC G) 4500FT AMSL)`;
+
+const AIXM = `<?xml version="1.0" encoding="UTF-8"?>
+<message:AIXMBasicMessage xmlns:message="http://www.aixm.aero/schema/5.1/message" xmlns:event="http://www.aixm.aero/schema/5.1/event" xmlns:gml="http://www.opengis.net/gml/3.2">
+  <message:hasMember>
+    <event:Event gml:id="e1">
+      <event:timeSlice>
+        <event:EventTimeSlice gml:id="ts1">
+          <event:textNOTAM>
+            <event:NOTAM gml:id="n1">
+              <event:series>B</event:series><event:number>0007</event:number><event:year>2026</event:year><event:type>N</event:type>
+              <event:affectedFIR>EGTT</event:affectedFIR><event:selectionCode>QWPLW</event:selectionCode>
+              <event:traffic>IV</event:traffic><event:purpose>M</event:purpose><event:scope>W</event:scope>
+              <event:minimumFL>000</event:minimumFL><event:maximumFL>150</event:maximumFL>
+              <event:coordinates>5130N00010W</event:coordinates><event:radius>002</event:radius>
+              <event:location>EGTT</event:location>
+              <event:effectiveStart>2606010900</event:effectiveStart><event:effectiveEnd>PERM</event:effectiveEnd>
+              <event:schedule>SAT SUN 0900-1800</event:schedule>
+              <event:text>PJE WI 2NM RADIUS OF 513000N 0001000W</event:text>
+              <event:lowerLimit>SFC</event:lowerLimit><event:upperLimit>FL150</event:upperLimit>
+            </event:NOTAM>
+          </event:textNOTAM>
+        </event:EventTimeSlice>
+      </event:timeSlice>
+    </event:Event>
+  </message:hasMember>
+</message:AIXMBasicMessage>`;
+
+const CANCEL = `(B0010/26 NOTAMC B0007/26
+Q) EGTT/QWPXX/IV/M/W/000/150/5130N00010W002
+A) EGTT B) 2606020800
+E) PJE CANCELLED)`;
+
+function testFormats() {
+  console.log('📄 Source formats...');
+
+  const [first, second] = ICAOTextSource.parseText(TEXT);
+  check(first.SERIES === 'H' && first.NUMBER === '2871' && first.TYPE === 'N' && first.ITEMA === 'EGPX' &&
+    first.startTime === '2026-06-01T08:00:00Z' && first.ITEMG === '400FT AGL', 'ICAO text items split, closing bracket dropped');
+  check(second.TYPE === 'R' && second.REFERENCE === 'H0042/26' && second.endTime === '2026-06-30T23:59:00Z' &&
+    second.ITEMD === 'MON-FRI 0900-1700', 'NOTAMR reference normalised, estimated end time read');
+
+  check(detectFormat(PIB) === 'pib' && detectFormat(AIXM) === 'aixm' && detectFormat(TEXT) === 'icao-text', 'File formats detected');
+
+  try {
+    createNOTAMSource('fax');
+    check(false, 'Unknown source type rejected');
+  } catch (error) {
+    check(true, `Unknown source type rejected: ${error.message}`);
+  }
+}
+
+async function testSources(dir) {
+  console.log('\n📥 Sources, deduplication and change log...');
+
+  fs.writeFileSync(path.join(dir, 'pib.xml'), PIB);
+  fs.writeFileSync(path.join(dir, 'event.xml'), AIXM);
+  fs.writeFileSync(path.join(dir, 'ignored.pdf'), 'not a NOTAM');
+  const textFile = path.join(dir, '..', `${path.basename(dir)}-notams.txt`);
+  fs.writeFileSync(textFile, TEXT);
+
+  const connector = new NOTAMConnector({
+    id: 'notam-test',
+    type: 'notam',
+    config: {
+      sources: [
+        { id: 'drop', type: 'directory', path: dir },
+        { id: 'text', type: 'icao-text', path: textFile },
+        { id: 'missing', type: 'icao-text', path: path.join(dir, 'missing.txt') }
+      ]
+    }
+  });
+  const events = [];
+  ['notam:replaced', 'notam:cancelled', 'notam:changes'].forEach(type => connector.on(type, event => events.push({ type, event })));
+
+  let notams = await connector.fetchNOTAMData();
+  const [drop, text, missing] = connector.lastFetch;
+  check(drop.notams === 3 && text.notams === 1 && text.duplicates === 1 && missing.error,
+    'Same series/number from two sources kept once, failing source reported');
+
+  const aixm = notams.find(notam => notam.key === 'B0007/26');
+  check(aixm && aixm.qLine.code === 'QWPLW' && aixm.volume.upperFt === 15000 && aixm.endTime === null &&
+    aixm.schedule.parsed && aixm.source === 'drop', 'AIXM Digital NOTAM decoded');
+  check(notams.find(notam => notam.key === 'H0042/26').notamNumber === 'H0042/26N', 'Leading zeros kept in NOTAM numbers');
+
+  let changes = await connector.applyNOTAMs(notams);
+  check(changes.added.length === 3 && !changes.added.includes('H0042/26N') && changes.replaced.length === 0,
+    'NOTAM replaced within the same batch is never added');
+  check(!connector.getNOTAMs().some(notam => notam.key === 'H0042/26') && connector.withdrawnKeys.has('H0042/26') &&
+    connector.getNOTAMs().some(notam => notam.key === 'H3100/26'), 'Replaced key remembered, replacement stored');
+  check(!events.some(entry => entry.type === 'notam:replaced') && events.some(entry => entry.type === 'notam:changes'),
+    'Change event emitted without a replacement of a NOTAM never stored');
+
+  // The feed still carries the replaced NOTAM; the directory files are read once
+  notams = await connector.fetchNOTAMData();
+  changes = await connector.applyNOTAMs(notams);
+  check(connector.lastFetch[0].notams === 0 && changes.added.length === 0 && changes.replaced.length === 0 &&
+    !connector.getNOTAMs().some(notam => notam.key === 'H0042/26'), 'Re-poll changes nothing and does not bring back the replaced NOTAM');
+
+  fs.writeFileSync(path.join(dir, 'cancel.txt'), CANCEL);
+  changes = await connector.applyNOTAMs(await connector.fetchNOTAMData());
+  check(changes.cancelled.length === 1 && changes.cancelled[0].notamNumber === 'B0007/26N' && changes.added.length === 0 &&
+    !connector.getNOTAM(aixm.id) && connector.getStats().notams.cancelled === 1, 'Dropped NOTAMC cancels the AIXM NOTAM');
+
+  const log = connector.getChangeLog();
+  check(log.length === 3 && log[0].cancelled.length === 1 && log[2].added.length === 3 && log[0].sources.length === 3,
+    'Change log kept per poll, newest first');
+
+  console.log('\n📦 Offline import...');
+  const imported = await connector.executeCapability('notam:tracking', 'import', {
+    content: '(H0050/26 NOTAMN Q) EGPX/QWELW/IV/BO/W/000/020/5530N00436W001 A) EGPX B) 2606100800 C) 2606101200 E) AIR DISPLAY F) SFC G) 2000FT AMSL)'
+  });
+  check(imported.added.join() === 'H0050/26N' && imported.sources[0].type === 'icao-text' &&
+    connector.getNOTAMs().some(notam => notam.key === 'H0050/26'), 'ICAO text imported from content');
+
+  const replacement = await connector.executeCapability('notam:tracking', 'import', {
+    content: '(H0051/26 NOTAMR H0050/26 Q) EGPX/QWELW/IV/BO/W/000/020/5530N00436W001 A) EGPX B) 2606100800 C) 2606101300 E) AIR DISPLAY EXTENDED F) SFC G) 2000FT AMSL)'
+  });
+  check(replacement.added.join() === 'H0051/26R' && replacement.replaced.length === 1 && replacement.replaced[0].notamNumber === 'H0050/26N' &&
+    replacement.replaced[0].by === 'H0051/26R' && connector.withdrawnNotams.size === 2 && events.some(entry => entry.type === 'notam:replaced'),
+  'NOTAMR replaces a stored NOTAM it references');
+
+  console.log('\n🧹 Withdrawn retention...');
+  // H0050/26 ended on 10 June; the others have no known end
+  check(connector.pruneWithdrawn(Date.parse('2026-06-20T00:00:00Z')) === 0 && !connector.withdrawnKeys.has('H0050/26') &&
+    connector.withdrawnKeys.has('H0042/26') && connector.withdrawnNotams.size === 2, 'Withdrawn NOTAMs kept for playback history, ended keys forgotten');
+  const pruned = connector.pruneWithdrawn(Date.now() + 31 * 86400000);
+  check(pruned === 2 && connector.withdrawnNotams.size === 0 && connector.withdrawnKeys.size === 0,
+    'Withdrawn NOTAMs and keys dropped after the retention period');
+
+  fs.unlinkSync(textFile);
+  const failing = new NOTAMConnector({
+    id: 'notam-failing', type: 'notam', config: { sources: [{ type: 'aixm', path: path.join(dir, 'missing.xml') }] }
+  });
+  try {
+    await failing.fetchNOTAMData();
+    check(false, 'All sources failing is an error');
+  } catch (error) {
+    check(/All NOTAM sources failed/.test(error.message), 'All sources failing is an error');
+  }
+
+  try {
+    NOTAMConnector.validateConfig({ id: 'n', type: 'notam', config: { sources: [{ type: 'directory' }] } });
+    check(false, 'Source without a path rejected');
+  } catch (error) {
+    check(/needs a url or path/.test(error.message), 'Source without a path rejected');
+  }
+}
+
+async function testNOTAMSources() {
+  console.log('🧪 Testing NOTAM sources...\n');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notam-drop-'));
+  try {
+    testFormats();
+    await testSources(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('\n✅ NOTAM sources test completed');
+}
+
+testNOTAMSources().catch(error => {
+  console.error('❌ NOTAM sources test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+const RuleEngine = require('./services/ruleEngine');
+const config = require('./config/config');
+const { check } = require('./test/helpers');
+
+function aircraftEvent(altitude, lat, lon, time) {
+  return {
+    type: 'aircraft:updated',
+    source: 'adsb-main',
+    timestamp: new Date(`2024-06-01T${time}:00`).toISOString(),
+    data: { aircraft: { icao24: '400abc', callsign: 'LOG123', altitude, lat, lon } }
+  };
+}
+
+function testRuleConditions() {
+  console.log('🧪 Testing rule condition expressions...\n');
+
+  const ruleEngine = new RuleEngine(config.rules);
+
+  const ruleId = ruleEngine.registerRule({
+    name: 'Low aircraft near EGPK at night',
+    conditions: {
+      expression: "type == 'aircraft:updated' AND data.aircraft.altitude < 1500 " +
+        "AND within(data.aircraft.lat, data.aircraft.lon, 'EGPK', 5, 'nm') AND time('21:00', '06:00')"
+    },
+    actions: [{ type: 'log_event' }]
+  });
+
+  const rule = ruleEngine.getRule(ruleId);
+  console.log(`📝 Stored expression: ${rule.conditions.expressionText}\n`);
+
+  check(ruleEngine.findMatchingRules(aircraftEvent(1200, 55.52, -4.60, '23:30')).length === 1, 'Low aircraft within 5nm at 23:30 matches');
+  check(ruleEngine.findMatchingRules(aircraftEvent(1200, 55.52, -4.60, '03:15')).length === 1, 'Window crossing midnight matches at 03:15');
+  check(ruleEngine.findMatchingRules(aircraftEvent(1200, 55.52, -4.60, '14:00')).length === 0, 'Daytime event does not match');
+  check(ruleEngine.findMatchingRules(aircraftEvent(3500, 55.52, -4.60, '23:30')).length === 0, 'Aircraft at 3500ft does not match');
+  check(ruleEngine.findMatchingRules(aircraftEvent(1200, 55.86, -4.43, '23:30')).length === 0, 'Aircraft over Glasgow does not match');
+
+  // Round trip through export/import
+  const exported = JSON.parse(JSON.stringify(ruleEngine.exportRules()));
+  const importedEngine = new RuleEngine(config.rules);
+  exported.forEach(ruleData => importedEngine.createRule(ruleData));
+  check(importedEngine.findMatchingRules(aircraftEvent(1200, 55.52, -4.60, '23:30')).length === 1, 'Exported rule still matches after import');
+
+  // Operators and grouping
+  console.log('\n🔣 Testing operators...');
+  const evaluator = ruleEngine.conditionEvaluator;
+  const event = {
+    type: 'smartDetectZone',
+    source: 'unifi-protect-websocket',
+    data: { smartDetectTypes: ['person', 'vehicle'], score: '87', device: 'cam-front-door' }
+  };
+  const cases = [
+    ["'person' IN data.smartDetectTypes", true],
+    ["data.smartDetectTypes IN ['animal', 'vehicle']", true],
+    ['data.score >= 80 AND data.score < 90', true],
+    ["data.device MATCHES '^cam-(front|rear)'", true],
+    ["NOT (type == 'motion' OR source != 'unifi-protect-websocket')", true],
+    ["data.device NOT IN ['cam-front-door']", false],
+    ['exists(data.missing)', false],
+    ['inPolygon(data.lat, data.lon, [[55, -5], [56, -5], [56, -4]])', false]
+  ];
+  for (const [expression, expected] of cases) {
+    const tree = evaluator.compile(expression);
+    check(evaluator.evaluate(tree, event) === expected, `${expression} → ${expected}`);
+    check(evaluator.stringify(evaluator.compile(evaluator.stringify(tree))) === evaluator.stringify(tree), `   round-trips as ${evaluator.stringify(tree)}`);
+  }
+
+  // Invalid expressions are rejected at registration
+  console.log('\n🚫 Testing validation...');
+  for (const expression of ["data.altitude <", "within(data.lat, data.lon, 'NOWHERE', 5)", "data.x MATCHES '('"]) {
+    try {
+      ruleEngine.validateExpression(expression);
+      check(false, `Accepted invalid expression: ${expression}`);
+    } catch (error) {
+      check(true, `Rejected "${expression}": ${error.message}`);
+    }
+  }
+
+  console.log('\n✅ Rule condition test completed');
+}
+
+try {
+  testRuleConditions();
+} catch (error) {
+  console.error('❌ Rule condition test failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,158 @@
+const EventBus = require('./services/eventBus');
+const RuleEngine = require('./services/ruleEngine');
+const { check } = require('./test/helpers');
+
+async function testRulePatterns() {
+  console.log('🧪 Testing temporal rule patterns...\n');
+
+  const eventBus = new EventBus({ maxEvents: 100 });
+  const ruleEngine = new RuleEngine({});
+  ruleEngine.setEventBus(eventBus);
+
+  const fired = [];
+  ruleEngine.registerAction('record', async (action, context) => fired.push(context.event));
+  ruleEngine.on('rule:pattern', ({ rule }) => console.log(`   🔔 ${rule.name}`));
+
+  const countRuleId = ruleEngine.registerRule({
+    name: '3 person detections on one camera within 2 minutes',
+    conditions: {
+      eventType: 'smartDetectZone',
+      pattern: { type: 'count', groupBy: 'data.device', match: "'person' IN data.smartDetectTypes", threshold: 3, window: '2m' }
+    },
+    actions: [{ type: 'record' }]
+  });
+
+  const sequenceRuleId = ruleEngine.registerRule({
+    name: 'Plate at gate A then gate B',
+    conditions: {
+      eventType: 'anpr:detection',
+      pattern: { type: 'sequence', key: 'data.plate', steps: ["data.camera == 'gate-a'", "data.camera == 'gate-b'"], within: '10m' }
+    },
+    actions: [{ type: 'record' }]
+  });
+
+  const absenceRuleId = ruleEngine.registerRule({
+    name: 'Plate at gate A but not gate B within 10 minutes',
+    conditions: {
+      eventType: 'anpr:detection',
+      pattern: { type: 'absence', key: 'data.plate', after: "data.camera == 'gate-a'", expect: "data.camera == 'gate-b'", within: '10m' }
+    },
+    actions: [{ type: 'record' }]
+  });
+
+  const heartbeatRuleId = ruleEngine.registerRule({
+    name: 'ADS-B feed silent for 60s',
+    conditions: {
+      eventType: 'adsb:status',
+      pattern: { type: 'absence', expect: "source == 'adsb-main'", within: '60s' }
+    },
+    actions: [{ type: 'record' }]
+  });
+
+  const start = Date.now() - 300000;
+  const at = seconds => new Date(start + seconds * 1000).toISOString();
+  const publish = event => eventBus.publishEvent(event);
+
+  // Windowed count
+  console.log('🔢 Windowed count...');
+  await publish({ type: 'smartDetectZone', source: 'unifi', timestamp: at(0), data: { device: 'cam-1', smartDetectTypes: ['person'] } });
+  await publish({ type: 'smartDetectZone', source: 'unifi', timestamp: at(30), data: { device: 'cam-1', smartDetectTypes: ['person'] } });
+  await publish({ type: 'smartDetectZone', source: 'unifi', timestamp: at(40), data: { device: 'cam-2', smartDetectTypes: ['person'] } });
+  await publish({ type: 'smartDetectZone', source: 'unifi', timestamp: at(50), data: { device: 'cam-1', smartDetectTypes: ['vehicle'] } });
+  await eventBus.drainSubscribers();
+
+  let countState = ruleEngine.getPatternState(countRuleId);
+  check(countState.windows.find(w => w.key === 'cam-1').count === 2, 'cam-1 window holds 2 person detections');
+
+  await publish({ type: 'smartDetectZone', source: 'unifi', timestamp: at(200), data: { device: 'cam-1', smartDetectTypes: ['person'] } });
+  await eventBus.drainSubscribers();
+  check(fired.length === 0, 'Third detection outside the 2 minute window does not fire');
+
+  await publish({ type: 'smartDetectZone', source: 'unifi', timestamp: at(210), data: { device: 'cam-1', smartDetectTypes: ['person'] } });
+  await publish({ type: 'smartDetectZone', source: 'unifi', timestamp: at(220), data: { device: 'cam-1', smartDetectTypes: ['person'] } });
+  await eventBus.drainSubscribers();
+  await new Promise(resolve => setImmediate(resolve));
+  check(fired.length === 1 && fired[0].data.pattern.count === 3, 'Three detections within 2 minutes fire once');
+  check(fired[0].data.pattern.key === 'cam-1' && fired[0].data.device === 'cam-1', 'Pattern event carries the group key and trigger data');
+
+  // Sequences keyed on plate
+  console.log('\n🔗 Sequence keyed on plate...');
+  fired.length = 0;
+  await publish({ type: 'anpr:detection', source: 'anpr', timestamp: at(0), data: { plate: 'AB12CDE', camera: 'gate-a' } });
+  await publish({ type: 'anpr:detection', source: 'anpr', timestamp: at(10), data: { plate: 'XY99ZZZ', camera: 'gate-b' } });
+  await publish({ type: 'anpr:detection', source: 'anpr', timestamp: at(120), data: { plate: 'AB12CDE', camera: 'gate-b' } });
+  await publish({ type: 'anpr:detection', source: 'anpr', timestamp: at(130), data: { plate: 'LM55NOP', camera: 'gate-a' } });
+  await eventBus.drainSubscribers();
+  await new Promise(resolve => setImmediate(resolve));
+
+  const sequenceFires = fired.filter(event => event.data.pattern.ruleId === sequenceRuleId);
+  check(sequenceFires.length === 1 && sequenceFires[0].data.pattern.key === 'AB12CDE', 'AB12CDE completed gate A → gate B');
+  check(ruleEngine.getPatternState(sequenceRuleId).windows.some(w => w.key === 'LM55NOP' && w.step === 1), 'LM55NOP is waiting at step 1');
+
+  // Absence after a start event
+  console.log('\n⏳ Absence and heartbeat...');
+  fired.length = 0;
+  const absenceState = ruleEngine.getPatternState(absenceRuleId);
+  check(absenceState.windows.map(w => w.key).join() === 'LM55NOP', 'Only LM55NOP is still awaited at gate B');
+
+  ruleEngine.patternEngine.sweep(Date.now() + 11 * 60000);
+  await new Promise(resolve => setImmediate(resolve));
+  const absenceFires = fired.filter(event => event.data.pattern.ruleId === absenceRuleId);
+  check(absenceFires.length === 1 && absenceFires[0].data.plate === 'LM55NOP', 'LM55NOP not seen at gate B within 10 minutes fires');
+
+  // Heartbeat: armed at registration, so silence fires without any events
+  const heartbeatFires = fired.filter(event => event.data.pattern.ruleId === heartbeatRuleId);
+  check(heartbeatFires.length === 1, 'Silent ADS-B feed fires the heartbeat rule');
+
+  ruleEngine.patternEngine.sweep(Date.now() + 12 * 60000);
+  await new Promise(resolve => setImmediate(resolve));
+  check(fired.filter(event => event.data.pattern.ruleId === heartbeatRuleId).length === 1, 'Heartbeat fires once per silence');
+
+  await publish({ type: 'adsb:status', source: 'adsb-main', data: { connected: true } });
+  await eventBus.drainSubscribers();
+  const heartbeat = ruleEngine.getPatternState(heartbeatRuleId).windows[0];
+  check(heartbeat.waiting && heartbeat.lastSeen, `Heartbeat re-armed, deadline ${heartbeat.deadline}`);
+
+  // Pattern rules never match single events directly
+  check(ruleEngine.findMatchingRules({ type: 'smartDetectZone', data: { device: 'cam-1' } }).length === 0, 'Pattern rules are not matched per event');
+
+  // A burst larger than the subscriber queue still reaches pattern rules
+  console.log('\n💥 Burst larger than the subscriber queue...');
+  const burstBus = new EventBus({ maxEvents: 100, subscriberQueueSize: 5 });
+  const burstEngine = new RuleEngine({});
+  burstEngine.setEventBus(burstBus);
+  const burstRuleId = burstEngine.registerRule({
+    name: '40 gate openings within a minute',
+    conditions: { eventType: 'gate:open', pattern: { type: 'count', threshold: 40, window: '1m' } },
+    actions: [{ type: 'log' }]
+  });
+  await Promise.all(Array.from({ length: 40 }, (_, i) =>
+    burstBus.publishEvent({ type: 'gate:open', source: 'gate', timestamp: at(600 + i), data: { i } })
+  ));
+  await burstBus.drainSubscribers();
+  const burstStats = burstBus.getSubscriberStats().find(s => s.name === 'rule-engine:patterns');
+  check(burstStats.delivered === 40 && burstStats.dropped === 0, `Pattern subscriber delivered ${burstStats.delivered}/40, dropped ${burstStats.dropped}`);
+  check(burstEngine.getPatternState(burstRuleId).fired === 1, 'Count over the whole burst fires');
+  burstEngine.shutdown();
+
+  // Validation
+  try {
+    ruleEngine.registerRule({ name: 'bad', conditions: { pattern: { type: 'count', threshold: 0, window: '1m' } }, actions: [{ type: 'record' }] });
+    check(false, 'Accepted invalid threshold');
+  } catch (error) {
+    check(true, `Rejected invalid pattern: ${error.message}`);
+  }
+
+  console.log('\n📊 Pattern stats:');
+  const stats = ruleEngine.getStats().patterns;
+  console.log(`   rules=${stats.rules} activeWindows=${stats.activeWindows} fired=${stats.patternsFired}`);
+  stats.patterns.forEach(p => console.log(`   - ${p.name}: ${p.pattern} windows=${p.activeWindows} fired=${p.fired}`));
+
+  ruleEngine.shutdown();
+  console.log('\n✅ Rule pattern test completed');
+}
+
+testRulePatterns().catch(error => {
+  console.error('❌ Rule pattern test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,236 @@
+const EventEmitter = require('events');
+const express = require('express');
+const SlewToCueService = require('./services/slewToCueService');
+const { SimulatedPTZDriver, createPTZDriver } = require('./services/ptzDrivers');
+const HikvisionConnector = require('./connectors/types/HikvisionConnector');
+const camerasRouter = require('./routes/cameras');
+const { check, quietLogger, tick } = require('./test/helpers');
+
+const T0 = Date.parse('2025-06-24T12:00:00Z');
+const CAMERA = { latitude: 55.5085, longitude: -4.5870, elevation: 20, height: 12 };
+
+/**
+ * Position a distance in metres along a bearing from the camera
+ */
+function offset(bearing, meters) {
+  const rad = bearing * Math.PI / 180;
+  return {
+    lat: CAMERA.latitude + (meters * Math.cos(rad)) / 111320,
+    lon: CAMERA.longitude + (meters * Math.sin(rad)) / (111320 * Math.cos(CAMERA.latitude * Math.PI / 180))
+  };
+}
+
+async function testSlewToCue() {
+  console.log('🧪 Testing PTZ slew-to-cue...\n');
+
+  const aircraft = new Map();
+  const fusion = { getAircraft: (icao24) => aircraft.get(icao24) || null };
+  const setAircraft = (icao24, position, fields = {}, now = T0) => {
+    aircraft.set(icao24, { icao24, ...position, last_seen: new Date(now).toISOString(), ...fields });
+  };
+
+  const service = new SlewToCueService({ lead: 0 }, quietLogger);
+  service.setAircraftFusionService(fusion);
+
+  // Pointing
+  console.log('🎯 Pointing...');
+  service.addCamera({ id: 'tower', ...CAMERA, fov: { wide: 60, narrow: 1 } });
+  const tower = service.cameras.get('tower');
+
+  const ground = service.computePointing(tower, { ...offset(90, 1000), altitude: null });
+  check(Math.abs(ground.pan - 90) < 0.5 && ground.tilt < 0 && ground.tilt > -1, `Ground target 1 km east: pan ${ground.pan}°, tilt ${ground.tilt}°`);
+  check(ground.zoom > 18 && ground.zoom < 21 && Math.abs(ground.range - 1000) <= 2, `Zoom ${ground.zoom}x frames 60 m at ${ground.range} m`);
+
+  const airborne = service.computePointing(tower, { ...offset(0, 5000), altitude: 1500 });
+  check(Math.abs(airborne.tilt - 4.8) < 0.1, `Aircraft 5 km north at 1500 ft: tilt ${airborne.tilt}°`);
+
+  service.addCamera({ id: 'offset', ...CAMERA, panOffset: 90, tiltLimits: [-10, 3] });
+  const rotated = service.computePointing(service.cameras.get('offset'), { ...offset(0, 5000), altitude: 1500 });
+  check(Math.abs(rotated.pan - 270) < 0.5 && !rotated.reachable, `Pan offset applied (${rotated.pan}°) and tilt limit enforced`);
+
+  const close = service.computePointing(tower, { ...offset(45, 50), altitude: null });
+  check(close.zoom === 1, 'Zoom never below 1x');
+
+  // Simulated driver
+  console.log('\n🕹️ Simulated driver...');
+  const driver = new SimulatedPTZDriver({ panRate: 90, tiltRate: 45 });
+  await driver.moveTo({ pan: 90, tilt: 10, zoom: 5 }, T0);
+  const halfway = driver.getPosition(T0 + 500);
+  check(Math.abs(halfway.pan - 45) < 0.01 && Math.abs(halfway.tilt - 10) < 0.01, `Slews at its rate (pan ${halfway.pan}° after 0.5 s)`);
+  await driver.moveTo({ pan: 330, tilt: 10, zoom: 5 }, T0 + 2000);
+  check(Math.abs(driver.getPosition(T0 + 3000).pan - 0) < 0.01, 'Pans the short way round through north');
+  check(driver.commands.length === 2, 'Command history kept');
+
+  // Tracking
+  console.log('\n✈️ Tracking...');
+  const moves = [];
+  service.on('camera:moved', event => moves.push(event));
+  setAircraft('4CA2D6', offset(120, 3000), { altitude: 1000, speed: 140, track: 300 });
+  await service.track('tower', '4ca2d6', T0);
+  check(tower.target.icao24 === '4CA2D6' && moves.length === 1, 'Camera steered at the selected aircraft');
+  check(Math.abs(tower.driver.target.pan - 120) < 0.5, `Driver commanded to pan ${tower.driver.target.pan}°`);
+
+  setAircraft('4CA2D6', offset(120, 3001), { altitude: 1000, speed: 140, track: 300 }, T0 + 1000);
+  await service.update(T0 + 1000);
+  check(moves.length === 1, 'Movement inside the deadband not re-commanded');
+
+  setAircraft('4CA2D6', offset(150, 2000), { altitude: 800, speed: 140, track: 300 }, T0 + 2000);
+  await service.update(T0 + 2000);
+  check(moves.length === 2 && Math.abs(tower.driver.target.pan - 150) < 0.5, 'Camera follows the aircraft');
+
+  const lost = [];
+  service.on('target:lost', event => lost.push(event));
+  await service.update(T0 + 60000);
+  check(lost.length === 1 && tower.target === null, 'Stale aircraft drops the target');
+
+  // Cueing
+  console.log('\n🛬 Cueing...');
+  const adsb = new EventEmitter();
+  service.setADSBConnector(adsb);
+  service.addCamera({ id: 'apron', ...CAMERA, auto: true, maxRange: 5000 });
+  const apron = service.cameras.get('apron');
+  const tracking = [];
+  service.on('camera:tracking', event => tracking.push(event));
+
+  setAircraft('400A11', offset(200, 8000), { altitude: 300, speed: 120, track: 20 }, Date.now());
+  adsb.emit('landing:detected', { aircraft: { icao24: '400A11' } });
+  await tick();
+  check(apron.target === null, 'Aircraft beyond maxRange does not cue');
+
+  setAircraft('406B90', offset(200, 1500), { onGround: true, speed: 15, track: 20 }, Date.now());
+  adsb.emit('taxi:movement', { aircraft: { icao24: '406B90' } });
+  await tick();
+  await tick();
+  check(apron.target?.icao24 === '406B90' && apron.target.reason === 'taxi:movement', 'Taxi event cues the auto camera');
+  check(tower.target === null && tracking.some(event => event.cameraId === 'apron' && event.mode === 'cue'), 'Non-auto cameras are not cued');
+
+  setAircraft('4CA999', offset(210, 1200), { onGround: true, speed: 12, track: 20 }, Date.now());
+  adsb.emit('ground:movement', { aircraft: { icao24: '4CA999' } });
+  await tick();
+  check(apron.target.icao24 === '406B90', 'Cued camera holds its aircraft during cueHold');
+
+  await service.release('apron');
+  check(apron.target === null, 'Release stops tracking');
+
+  // Slow driver
+  console.log('\n🐢 Slow driver...');
+  let finishMove;
+  const slowMoves = [];
+  const slow = service.addCamera({
+    id: 'slow',
+    ...CAMERA,
+    driverInstance: {
+      type: 'slow',
+      moveTo: (position) => new Promise(resolve => { slowMoves.push(position); finishMove = resolve; }),
+      stop: async () => {},
+      getPosition: () => null
+    }
+  });
+  setAircraft('4CA2D6', offset(60, 2000), { altitude: 500, speed: 140, track: 300 }, T0);
+  const slowCamera = service.cameras.get(slow.id);
+  slowCamera.target = { icao24: '4CA2D6', mode: 'manual', reason: 'manual', since: T0 };
+  const firstUpdate = service.update(T0);
+  setAircraft('4CA2D6', offset(90, 2000), { altitude: 500, speed: 140, track: 300 }, T0 + 1000);
+  await service.update(T0 + 1000);
+  await service.update(T0 + 2000);
+  check(slowMoves.length === 1 && service.getStats().skipped === 2, 'Ticks skip a camera whose move is still in flight');
+  finishMove();
+  await firstUpdate;
+  const nextUpdate = service.update(T0 + 3000);
+  check(slowMoves.length === 2 && Math.abs(slowMoves[1].pan - 90) < 0.5, 'Next tick after the move finishes steers to the latest position');
+  finishMove();
+  await nextUpdate;
+  service.removeCamera('slow');
+
+  // Hikvision and Ankke drivers
+  console.log('\n📷 Hardware drivers...');
+  const hikvision = new HikvisionConnector({ id: 'hikvision-main', type: 'hikvision', config: {}, logger: quietLogger });
+  const puts = [];
+  hikvision.httpClient = { put: async (url, body) => { puts.push({ url, body }); return { status: 200 }; } };
+  const ankkeCalls = [];
+  const ankke = {
+    movePTZ: async (parameters) => { ankkeCalls.push(parameters.direction); },
+    stopPTZ: async () => { ankkeCalls.push('stop'); }
+  };
+  const registry = { getConnector: (id) => ({ 'hikvision-main': hikvision, 'ankke-main': ankke })[id] || null };
+
+  const hikDriver = createPTZDriver('hikvision', { connectorId: 'hikvision-main', channelId: 2 }, registry);
+  await hikDriver.moveTo({ pan: 245.5, tilt: 3.2, zoom: 12 });
+  check(puts[0].url === '/ISAPI/PTZCtrl/channels/2/absolute' && puts[0].body.includes('<azimuth>2455</azimuth>') &&
+    puts[0].body.includes('<elevation>-32</elevation>') && puts[0].body.includes('<absoluteZoom>120</absoluteZoom>'),
+  'Hikvision driver sends an ISAPI absolute move');
+
+  const ankkeDriver = createPTZDriver('ankke', { connectorId: 'ankke-main', panRate: 3000, tiltRate: 1000 }, registry);
+  await ankkeDriver.moveTo({ pan: 350, tilt: 5 });
+  check(ankkeCalls.join(',') === 'up-left,stop,up,stop' && ankkeDriver.getPosition().pan === 350,
+    `Ankke driver pulses towards the position (${ankkeCalls.join(', ')})`);
+
+  try {
+    createPTZDriver('onvif');
+    check(false, 'Unknown driver rejected');
+  } catch (error) {
+    check(true, `Unknown driver rejected: ${error.message}`);
+  }
+
+  // Routes
+  console.log('\n🌐 Routes...');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/cameras', camerasRouter);
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api/cameras`;
+  const post = (path, body) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const unavailable = await fetch(`${base}/ptz`);
+  check(unavailable.status === 503, 'PTZ routes unavailable without the service');
+  app.locals.slewToCueService = service;
+
+  const list = await fetch(`${base}/ptz`).then(r => r.json());
+  check(list.success && list.data.length === 3 && list.data[0].driver === 'simulated', 'GET /ptz lists cameras');
+
+  setAircraft('4CA2D6', offset(90, 2000), { altitude: 500, speed: 140, track: 300 }, Date.now());
+  const tracked = await post('/ptz/tower/track', { icao24: '4ca2d6' }).then(r => r.json());
+  check(tracked.success && tracked.data.target.icao24 === '4CA2D6' && Math.abs(tracked.data.pointing.range - 2000) <= 4, 'POST /ptz/:id/track');
+
+  const pointed = await post('/ptz/apron/point', { lat: offset(0, 500).lat, lon: offset(0, 500).lon }).then(r => r.json());
+  check(pointed.success && Math.abs(pointed.data.pointing.pan) < 0.5, 'POST /ptz/:id/point');
+
+  const released = await post('/ptz/tower/release', {}).then(r => r.json());
+  check(released.success && released.data.target === null, 'POST /ptz/:id/release');
+
+  check((await post('/ptz/nope/track', { icao24: '4CA2D6' })).status === 404, 'Unknown camera returns 404');
+  check((await post('/ptz/tower/track', { icao24: 'xyz' })).status === 400, 'Bad icao24 rejected with 400');
+
+  server.close();
+
+  // Configuration
+  console.log('\n⚙️ Configuration...');
+  const configPath = require.resolve('./config/config');
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  process.env.SLEW_TO_CUE_CAMERAS = '[{"id": "tower",}]';
+  delete require.cache[configPath];
+  let loaded;
+  try {
+    loaded = require('./config/config');
+  } finally {
+    console.warn = warn;
+    delete process.env.SLEW_TO_CUE_CAMERAS;
+    delete require.cache[configPath];
+  }
+  check(Array.isArray(loaded.slewToCue.cameras) && loaded.slewToCue.cameras.length === 0 && /SLEW_TO_CUE_CAMERAS/.test(warnings[0]),
+    'Malformed SLEW_TO_CUE_CAMERAS logged and ignored');
+  console.log('\n✅ Slew-to-cue test completed');
+}
+
+testSlewToCue().catch(error => {
+  console.error('❌ Slew-to-cue test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,170 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const AircraftDataService = require('./services/aircraftDataService');
+const TrackPlaybackService = require('./services/trackPlaybackService');
+const RadarConnector = require('./connectors/types/RadarConnector');
+const NOTAMConnector = require('./connectors/types/NOTAMConnector');
+const { router: radarRouter, injectServices } = require('./routes/radar');
+const { check } = require('./test/helpers');
+
+const T0 = Date.parse('2025-06-24T12:00:00Z');
+
+/**
+ * Store a position with an explicit timestamp
+ */
+function storePosition(service, seconds, position) {
+  return service.runQuery(
+    `INSERT INTO aircraft_positions (icao24, callsign, lat, lon, altitude, speed, track, squawk, timestamp)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [position.icao24, position.callsign || null, position.lat, position.lon, position.altitude, 180, 90, position.squawk || null,
+      new Date(T0 + seconds * 1000).toISOString()]
+  );
+}
+
+async function testTrackPlayback() {
+  console.log('🧪 Testing radar track playback...\n');
+
+  const dbPath = path.join(os.tmpdir(), `babelfish-playback-${process.pid}.db`);
+  const aircraftDataService = new AircraftDataService({ enableBaseStation: false, babelfishPath: dbPath, logLevel: 'warn' });
+  await aircraftDataService.initialize();
+
+  // RYR82AB flies east for five minutes, reporting every 30s; EXS45M appears at 2 minutes and squawks 7700
+  for (let i = 0; i <= 10; i++) {
+    await storePosition(aircraftDataService, i * 30, { icao24: '4CA2D6', callsign: i === 0 ? 'RYR82AB' : null, lat: 55.5, lon: Number((-4.7 + i * 0.01).toFixed(2)), altitude: 3000 - i * 100 });
+  }
+  for (let i = 4; i <= 6; i++) {
+    await storePosition(aircraftDataService, i * 30, { icao24: '406B90', callsign: 'EXS45M', lat: 55.6, lon: -4.5, altitude: 5000, squawk: i === 6 ? '7700' : null });
+  }
+  // Outside the requested range
+  await storePosition(aircraftDataService, 3600, { icao24: '4CA2D6', lat: 56, lon: -4, altitude: 10000 });
+
+  const rows = await aircraftDataService.getPositionsInRange(T0, T0 + 300000);
+  check(rows.length === 14 && rows[0].timestamp <= rows[1].timestamp, `Range query returns ${rows.length} positions oldest first`);
+
+  const playback = new TrackPlaybackService({ trailLength: 3 });
+  playback.setAircraftDataService(aircraftDataService);
+
+  // Sessions
+  console.log('\n🎞️ Sessions...');
+  const now = 1000000;
+  const status = await playback.createSession({ start: new Date(T0).toISOString(), end: new Date(T0 + 300000).toISOString(), speed: 10 }, now);
+  check(status.state === 'playing' && status.aircraftCount === 2 && status.positionCount === 14, `Session loaded ${status.aircraftCount} aircraft`);
+
+  let frame = playback.getFrame(status.id, now);
+  check(frame.aircraft.length === 1 && frame.aircraft[0].callsign === 'RYR82AB', 'Only RYR82AB is airborne at the start');
+
+  // 10s wall clock at 10x = 100s of playback
+  frame = playback.getFrame(status.id, now + 10000);
+  const ryr = frame.aircraft.find(aircraft => aircraft.icao24 === '4CA2D6');
+  check(frame.time === T0 + 100000 && ryr.lon === -4.67, `10x playback at T+100s shows lon ${ryr.lon}`);
+  check(ryr.callsign === 'RYR82AB' && ryr.trail.length === 3, 'Callsign carried forward and trail limited to 3 points');
+
+  // Pause holds the clock
+  playback.pause(status.id, now + 10000);
+  frame = playback.getFrame(status.id, now + 60000);
+  check(frame.time === T0 + 100000 && frame.playback.state === 'paused', 'Paused clock holds');
+
+  // Seek and change speed
+  playback.seek(status.id, new Date(T0 + 180000).toISOString(), now + 60000);
+  playback.setSpeed(status.id, 60, now + 60000);
+  playback.play(status.id, now + 60000);
+  frame = playback.getFrame(status.id, now + 61000);
+  const exs = frame.aircraft.find(aircraft => aircraft.icao24 === '406B90');
+  check(frame.time === T0 + 240000 && exs && exs.emergency, 'Seek to T+180s then 60x shows the EXS45M emergency at T+240s');
+
+  frame = playback.getFrame(status.id, now + 120000);
+  check(frame.playback.state === 'ended' && frame.time === T0 + 300000, 'Playback stops at the end of the range');
+  check(!frame.aircraft.some(aircraft => aircraft.icao24 === '406B90'), 'EXS45M drops off once its last position is stale');
+
+  // Validation
+  console.log('\n🚫 Validation...');
+  const rejects = async (promise, message) => {
+    try {
+      await promise;
+      check(false, message);
+    } catch (error) {
+      check(true, `${message}: ${error.message}`);
+    }
+  };
+  await rejects(playback.createSession({ start: T0, end: T0 + 48 * 3600000 }), 'Range over maxRangeHours rejected');
+  await rejects(Promise.resolve().then(() => playback.setSpeed(status.id, 120, now + 120000)), 'Speed above 60x rejected');
+
+  const single = await playback.createSession({ start: T0, end: T0 + 300000, icao24: '406b90' }, now);
+  check(single.aircraftCount === 1, 'Session filtered to one aircraft');
+
+  playback.pruneSessions(now + 4000000);
+  check(playback.sessions.size === 0, 'Idle sessions expire');
+
+  const limited = new TrackPlaybackService({ maxSessions: 2 });
+  limited.setAircraftDataService(aircraftDataService);
+  await limited.createSession({ start: T0, end: T0 + 300000 }, now);
+  await limited.createSession({ start: T0, end: T0 + 300000 }, now);
+  try {
+    await limited.createSession({ start: T0, end: T0 + 300000 }, now);
+    check(false, 'Sessions beyond maxSessions refused');
+  } catch (error) {
+    check(error.code === 'PLAYBACK_LIMIT' && limited.sessions.size === 2, `Sessions beyond maxSessions refused: ${error.message}`);
+  }
+
+  // Radar display and routes
+  console.log('\n📡 Radar display...');
+  const radar = new RadarConnector({ id: 'radar-main', type: 'radar', config: {} });
+  radar.updateNotamData([
+    { id: 'NOTAM-A', title: 'Crane', validFrom: '2025-06-24T00:00:00Z', validTo: '2025-06-24T23:59:59Z', position: { lat: 55.5, lon: -4.6 } },
+    { id: 'NOTAM-B', title: 'Parachuting', startTime: new Date('2025-06-25T08:00:00Z'), endTime: new Date('2025-06-25T18:00:00Z') }
+  ]);
+
+  // NOTAMs the NOTAM connector has since expired or withdrawn
+  const notamConnector = new NOTAMConnector({ id: 'notam-main', type: 'notam', config: {} });
+  notamConnector.notams.set('NOTAM-C', {
+    id: 'NOTAM-C', key: 'H0100/25', status: 'expired', startTime: '2025-06-24T11:00:00Z', endTime: '2025-06-24T13:00:00Z', position: { lat: 55.6, lon: -4.5 }
+  });
+  notamConnector.withdrawnNotams.set('NOTAM-D', {
+    id: 'NOTAM-D', key: 'H0101/25', status: 'replaced', startTime: '2025-06-24T11:00:00Z', endTime: '2025-06-24T18:00:00Z',
+    withdrawnAt: '2025-06-24T12:30:00Z', position: { lat: 55.4, lon: -4.6 }
+  });
+  notamConnector.withdrawnNotams.set('NOTAM-E', {
+    id: 'NOTAM-E', key: 'H0102/25', status: 'cancelled', startTime: '2025-06-24T11:00:00Z', endTime: '2025-06-24T18:00:00Z',
+    withdrawnAt: '2025-06-24T12:01:00Z', position: { lat: 55.4, lon: -4.7 }
+  });
+  radar.initialize({ notamConnector });
+
+  injectServices({ radarConnector: radar, trackPlaybackService: playback });
+  const app = express();
+  app.use(express.json());
+  app.use('/radar', radarRouter);
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/radar`;
+  const post = (url, body) => fetch(base + url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }).then(r => r.json());
+
+  const created = await post('/api/playback', { start: new Date(T0).toISOString(), end: new Date(T0 + 300000).toISOString(), paused: true });
+  check(created.success && created.data.state === 'paused', 'POST /radar/api/playback creates a session');
+
+  await post(`/api/playback/${created.data.id}/control`, { action: 'seek', time: new Date(T0 + 150000).toISOString() });
+  const display = await fetch(`${base}/api/display?playback=${created.data.id}`).then(r => r.json());
+  check(display.success && display.data.aircraft.length === 2 && display.data.playback.time === new Date(T0 + 150000).toISOString(),
+    'Display replays the seeked time');
+  check(display.data.notams.notams.map(notam => notam.id).join() === 'NOTAM-A,NOTAM-C,NOTAM-D',
+    'NOTAMs in force at that time are overlaid, including since expired and replaced ones');
+
+  const badSpeed = await post(`/api/playback/${created.data.id}/control`, { action: 'speed', speed: 0 });
+  check(!badSpeed.success && badSpeed.error.includes('between'), 'Invalid speed returns an error');
+
+  const removed = await fetch(`${base}/api/playback/${created.data.id}`, { method: 'DELETE' }).then(r => r.json());
+  const missing = await fetch(`${base}/api/display?playback=${created.data.id}`);
+  check(removed.success && missing.status === 404, 'Deleted session is gone');
+
+  server.close();
+  await aircraftDataService.close();
+  fs.rmSync(dbPath, { force: true });
+  console.log('\n✅ Track playback test completed');
+}
+
+testTrackPlayback().catch(error => {
+  console.error('❌ Track playback test failed:', error);
+  process.exit(1);
+});
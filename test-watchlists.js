@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const WatchlistService = require('./services/watchlistService');
+const AnalyticsEngine = require('./services/analyticsEngine');
+const SpeedCalculationService = require('./services/speedCalculationService');
+const analyticsRouter = require('./routes/analytics');
+const { check, quietLogger } = require('./test/helpers');
+
+/**
+ * Connector stand-in that records capability calls
+ */
+class RecordingConnector {
+  constructor() {
+    this.calls = [];
+    this.fail = false;
+  }
+
+  async execute(capabilityId, operation, parameters) {
+    if (this.fail) throw new Error('connector offline');
+    this.calls.push({ capabilityId, operation, parameters });
+    return { success: true };
+  }
+}
+
+async function testWatchlists() {
+  console.log('🧪 Testing ANPR watchlists...\n');
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlists-'));
+  const file = path.join(directory, 'watchlists.json');
+  const auditFile = path.join(directory, 'watchlist-hits.jsonl');
+
+  const telegram = new RecordingConnector();
+  const mqtt = new RecordingConnector();
+  const display = new RecordingConnector();
+  const connectors = { 'telegram-bot-main': telegram, 'mqtt-broker-main': mqtt, 'display-manager-main': display };
+  const registry = { getConnector: (id) => connectors[id] || null };
+  const published = [];
+
+  const service = new WatchlistService({ file, auditFile }, quietLogger);
+  service.setConnectorRegistry(registry);
+  service.setEventBus({ publishEvent: async (event) => { published.push(event); } });
+
+  // Lists and entries
+  console.log('📋 Lists...');
+  const deny = await service.createList({
+    id: 'stolen',
+    name: 'Stolen vehicles',
+    type: 'deny',
+    fuzzy: true,
+    actions: [{ type: 'telegram', chatId: '-100-ops' }, { type: 'mqtt' }, { type: 'display', displays: ['gatehouse'] }]
+  });
+  check(deny.priority === 'high' && deny.fuzzy && deny.entries.length === 0, 'Deny list created with high priority');
+  const vip = await service.createList({ id: 'vip', name: 'VIP', type: 'vip', actions: [{ type: 'telegram' }] });
+  check(vip.fuzzy === false, 'Fuzzy matching is off unless a list opts in');
+  await service.createList({ id: 'staff', name: 'Staff', type: 'allow', fuzzy: true });
+
+  try {
+    await service.createList({ name: 'Bad', type: 'wanted' });
+    check(false, 'Unknown list type rejected');
+  } catch (error) {
+    check(true, `Unknown list type rejected: ${error.message}`);
+  }
+  try {
+    await service.createList({ name: 'Bad', type: 'deny', actions: [{ type: 'email' }] });
+    check(false, 'Unknown action rejected');
+  } catch (error) {
+    check(true, `Unknown action rejected: ${error.message}`);
+  }
+
+  const stolen = await service.addEntry('stolen', { plate: 'ab12 cde', description: 'Reported stolen 12/06' });
+  check(stolen.plate === 'AB12CDE', `Plates normalized (${stolen.plate})`);
+  await service.addEntry('stolen', { plate: 'SK19*', description: 'Cloned plates series' });
+  await service.addEntry('stolen', { plate: 'XY99XYZ', expiresAt: '2020-01-01T00:00:00Z' });
+  await service.addEntry('vip', { plate: 'VIP1' });
+  await service.addEntry('staff', { plate: 'GL21ABC' });
+  const again = await service.addEntry('stolen', { plate: 'AB12CDE', description: 'Updated' });
+  check(again.id === stolen.id && service.getList('stolen').entries.length === 3, 'Re-adding a plate updates its entry');
+
+  // Matching
+  console.log('\n🔍 Matching...');
+  const exact = service.match('AB12CDE');
+  check(exact.length === 1 && exact[0].matchType === 'exact', 'Exact match');
+  const ocr = service.match('A812C0E');
+  check(ocr.length === 1 && ocr[0].matchType === 'ocr' && ocr[0].entryPlate === 'AB12CDE', 'OCR confusions (8/B, 0/D) matched');
+  const fuzzy = service.match('AB12CDF');
+  check(fuzzy.length === 1 && fuzzy[0].matchType === 'fuzzy' && fuzzy[0].distance === 1, 'One misread character matched as fuzzy');
+  check(service.match('AB12CDE7').length === 1 && service.match('AB1CDE').length === 1, 'Extra or dropped character matched as fuzzy');
+  check(service.match('XB12CFF').length === 0, 'Two differences do not match');
+  const wildcard = service.match('SKI9 ABC');
+  check(wildcard.length === 1 && wildcard[0].matchType === 'wildcard', 'Wildcard matched through OCR confusion (I/1)');
+  check(service.match('XY99XYZ').length === 0, 'Expired entries ignored');
+  check(service.match('VIP1')[0]?.listId === 'vip' && service.match('V1P1').length === 0 && service.match('VIP2').length === 0,
+    'Lists without fuzzy matching need an exact match');
+  const ceo = await service.addEntry('vip', { plate: 'CEO*' });
+  check(service.match('CEO 1')[0]?.matchType === 'wildcard' && service.match('CE0 1').length === 0, 'Wildcards on non-fuzzy lists compare without OCR folding');
+  await service.removeEntry('vip', ceo.id);
+  check(service.match('GL21ABC')[0]?.listType === 'allow', 'Allow lists match');
+
+  // Hits and actions
+  console.log('\n🚨 Hits...');
+  const detection = { plateNumber: 'AB12 CDE', cameraId: 'gate-cam', timestamp: Date.now(), confidence: 0.72, source: 'test' };
+  const [hit] = await service.checkDetection(detection);
+  check(hit && hit.listId === 'stolen' && !hit.suppressed && hit.actions.every(action => action.success), 'Hit runs every list action');
+  check(telegram.calls[0].parameters.chatId === '-100-ops' && telegram.calls[0].parameters.text.includes('AB12CDE'), 'Telegram message sent');
+  check(mqtt.calls[0].parameters.topic === 'babelfish/anpr/watchlist/deny' && mqtt.calls[0].parameters.payload.plate === 'AB12CDE', 'MQTT hit published');
+  check(display.calls[0].operation === 'trigger' && display.calls[0].parameters.priority === 'high' &&
+    display.calls[0].parameters.displays[0] === 'gatehouse', 'Display alarm triggered');
+  check(published.some(event => event.type === 'watchlist:hit' && event.data.plate === 'AB12CDE'), 'watchlist:hit published');
+
+  check((await service.checkDetection(detection)).length === 0, 'Same detection from a second path counted once');
+  check((await service.checkDetection({ ...detection, timestamp: detection.timestamp + 800, source: 'speed' })).length === 0,
+    'Second path with its own detection time counted once');
+
+  const repeat = await service.checkDetection({ ...detection, timestamp: Date.now() + 60000 });
+  check(repeat[0].suppressed && telegram.calls.length === 1, 'Repeat sighting audited without repeating actions');
+
+  telegram.fail = true;
+  const failed = await service.checkDetection({ plateNumber: 'SK19 OOO', cameraId: 'gate-cam' });
+  check(failed[0].actions.find(action => action.type === 'telegram').success === false && mqtt.calls.length === 2, 'Failed action recorded, others still run');
+  telegram.fail = false;
+
+  const audit = fs.readFileSync(auditFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  check(audit.length === 3 && audit.every(entry => entry.plate && entry.listId), `Every hit audited (${audit.length})`);
+  check(service.getHits({ plate: 'ab12cde' }).length === 2, 'Hits filtered by plate');
+
+  // Plate detection paths
+  console.log('\n🚗 Detection paths...');
+  const analytics = new AnalyticsEngine({}, quietLogger);
+  analytics.setWatchlistService(service);
+  await analytics.processEvent({ cameraId: 'car-park', eventType: 'plateDetected', data: { plateNumber: 'VIP1', confidence: 0.9 }, timestamp: Date.now() });
+  check(service.getHits({ listId: 'vip' }).length === 1 && telegram.calls.length === 2 && telegram.calls[1].parameters.text.includes('VIP'), 'AnalyticsEngine plate detections checked');
+
+  const speed = new SpeedCalculationService({ logLevel: 'error' });
+  speed.setWatchlistService(service);
+  await speed.processANPRDetection({ cameraId: 'unregistered', plateNumber: 'GL21 A8C', timestamp: Date.now(), confidence: 0.4 });
+  check(service.getHits({ listId: 'staff' }).length === 1, 'Low-confidence ANPR detections still checked against watchlists');
+
+  // Persistence and import
+  console.log('\n💾 Persistence and import...');
+  const reloaded = new WatchlistService({ file, auditFile }, quietLogger);
+  await reloaded.load();
+  check(reloaded.getList('stolen').entries.length === 3 && reloaded.getHits().length === 5, 'Lists and audit reloaded');
+
+  const imported = await service.importEntries('vip', 'plate,description,expiresAt\nMAYOR 1,Mayor,2099-01-01\n"CEO 2",Chief executive,\n,missing plate,\nBAD1,,not-a-date');
+  check(imported.imported === 2 && imported.errors.length === 2 && imported.total === 3, `CSV import (${imported.imported} imported, ${imported.errors.length} errors)`);
+  const replaced = await service.importEntries('vip', [{ plate: 'NEW1' }], { replace: true });
+  check(replaced.total === 1 && service.match('MAYOR1').length === 0, 'Replace import swaps the entries');
+
+  // Routes
+  console.log('\n🌐 Routes...');
+  const app = express();
+  app.use(express.json());
+  app.use('/api/analytics', analyticsRouter);
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api/analytics/watchlists`;
+  const send = (method, path, body, type = 'application/json') => fetch(`${base}${path}`, {
+    method,
+    headers: { 'Content-Type': type },
+    body: type === 'application/json' ? JSON.stringify(body) : body
+  });
+
+  check((await fetch(base)).status === 503, 'Watchlist routes unavailable without the service');
+  app.locals.watchlistService = service;
+
+  const lists = await fetch(base).then(r => r.json());
+  check(lists.count === 3 && lists.watchlists.find(list => list.id === 'stolen').entryCount === 3 && !lists.watchlists[0].entries, 'GET /watchlists');
+
+  const created = await send('POST', '', { id: 'visitors', name: 'Visitors', type: 'notify', fuzzy: true });
+  check(created.status === 201 && (await send('POST', '', { name: 'No type' })).status === 400, 'POST /watchlists validates');
+
+  const entry = await send('POST', '/visitors/entries', { plate: 'VS70 ABC', expiresAt: '2099-12-31' }).then(r => r.json());
+  check(entry.plate === 'VS70ABC' && entry.expiresAt.startsWith('2099-12-31'), 'POST /watchlists/:id/entries');
+  const updated = await send('PUT', `/visitors/entries/${entry.id}`, { description: 'Contractor' }).then(r => r.json());
+  check(updated.description === 'Contractor' && updated.plate === 'VS70ABC', 'PUT /watchlists/:id/entries/:entryId');
+
+  const csv = await send('POST', '/visitors/import', 'plate,description\nDL68 XYZ,Delivery\n', 'text/csv').then(r => r.json());
+  check(csv.imported === 1 && csv.total === 2, 'POST /watchlists/:id/import takes CSV');
+  const json = await send('POST', '/visitors/import', { entries: [{ plate: 'TX01 ABC' }] }).then(r => r.json());
+  check(json.imported === 1 && json.total === 3, 'POST /watchlists/:id/import takes JSON');
+
+  const matched = await fetch(`${base}/match/VS7OABC`).then(r => r.json());
+  check(matched.count === 1 && matched.matches[0].listId === 'visitors' && matched.matches[0].matchType === 'ocr', 'GET /watchlists/match/:plate');
+
+  const hits = await fetch(`${base}/hits?listId=stolen`).then(r => r.json());
+  check(hits.count === 3, 'GET /watchlists/hits');
+
+  check((await send('DELETE', `/visitors/entries/${entry.id}`)).status === 200 && service.getList('visitors').entries.length === 2, 'DELETE entry');
+  check((await send('DELETE', '/visitors')).status === 200 && (await fetch(`${base}/visitors`)).status === 404, 'DELETE /watchlists/:id');
+
+  server.close();
+  fs.rmSync(directory, { recursive: true, force: true });
+  console.log('\n✅ Watchlist test completed');
+}
+
+testWatchlists().catch(error => {
+  console.error('❌ Watchlist test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,22 @@
+/**
+ * Helpers shared by the test-*.js scripts
+ */
+
+/**
+ * Print a ✅/❌ line for a check; a failed check makes the script exit non-zero
+ */
+function check(condition, message) {
+  console.log(`${condition ? '✅' : '❌'} ${message}`);
+  if (!condition) {
+    process.exitCode = 1;
+  }
+}
+
+const quietLogger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Let pending promise callbacks and I/O run
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+module.exports = { check, quietLogger, wait, tick };